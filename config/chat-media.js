@@ -0,0 +1,61 @@
+// ============================================
+// FILE: config/chat-media.js
+// PURPOSE: Voice notes and photos / videos sent in chats
+// (services/chat-media.service.js, POST /api/upload/voice-note and
+// POST /api/upload/message-media)
+//
+// Voice notes are re-encoded to one format every client plays (mono
+// AAC in .m4a) and come back with their duration and `waveformPeaks`
+// levels (0-1) for drawing the waveform. Photos and videos get a
+// thumbnail and their size; videos their duration.
+// Transcripts use OpenAI Whisper (OPENAI_API_KEY, services/ai.service.js),
+// on upload with ?transcribe=true or later through
+// POST /api/messages/:conversationId/:messageId/transcript.
+//
+// CHAT_MEDIA_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   CHAT_MEDIA_OVERRIDES='{"voiceNote":{"maxSeconds":300},"transcripts":{"enabled":false}}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  voiceNote: {
+    maxBytes: 25 * 1024 * 1024,
+    minSeconds: 0.5,
+    maxSeconds: 15 * 60,
+    bitrate: '48k',
+    sampleRate: 44100,
+    waveformPeaks: 64
+  },
+
+  media: {
+    maxBytes: 100 * 1024 * 1024,
+    maxVideoSeconds: 10 * 60,
+    thumbnailWidth: 480
+  },
+
+  transcripts: {
+    enabled: true,
+    model: 'whisper-1',
+    // Longer recordings are not sent for transcription
+    maxSeconds: 15 * 60
+  },
+
+  // ffmpeg jobs at once on this server - the rest wait their turn
+  maxConcurrentJobs: 2
+};
+
+const OVERRIDES = parseOverrides('CHAT_MEDIA_OVERRIDES');
+
+const CHAT_MEDIA = {
+  ...DEFAULTS,
+  ...OVERRIDES,
+  voiceNote: { ...DEFAULTS.voiceNote, ...(OVERRIDES.voiceNote || {}) },
+  media: { ...DEFAULTS.media, ...(OVERRIDES.media || {}) },
+  transcripts: { ...DEFAULTS.transcripts, ...(OVERRIDES.transcripts || {}) }
+};
+
+module.exports = {
+  DEFAULTS,
+  CHAT_MEDIA
+};
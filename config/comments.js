@@ -0,0 +1,59 @@
+// ============================================
+// FILE: config/comments.js
+// PURPOSE: Threading, ranking and moderation settings for comments
+// on blogs and posts (services/comment.service.js)
+//
+// sort=top            score (likes - dislikes), then likes, then newest
+// sort=controversial  lots of votes, split evenly:
+//                       (likes + dislikes) ^ (min / max)
+// sort=new            newest first
+// Pinned comments always come first. Comments at or below
+// `collapseScore` are returned with `collapsed: true`.
+//
+// Every new or edited comment goes through
+// services/moderation.service.js#analyzeContent; anything it doesn't
+// call safe is held for review (seen only by its author and admins).
+// With `moderation.useAI` the AI check runs after the comment is
+// posted and can still hold it.
+//
+// COMMENTS_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   COMMENTS_OVERRIDES='{"maxDepth":3,"moderation":{"useAI":true}}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  // Top-level comments are depth 0; a reply to a comment at maxDepth
+  // becomes its sibling (still pointing at it through `inReplyTo`)
+  maxDepth: 4,
+  maxLength: 5000,
+
+  // Lists nest this many levels of replies, this many per comment;
+  // GET /api/comments/:id/replies loads the rest
+  previewDepth: 2,
+  repliesPreview: 3,
+
+  collapseScore: -4,
+  // Older versions kept per comment
+  maxEditHistory: 20,
+  // Pinned comments per blog / post
+  maxPinned: 1,
+
+  moderation: {
+    enabled: true,
+    useAI: false
+  }
+};
+
+const OVERRIDES = parseOverrides('COMMENTS_OVERRIDES');
+
+const COMMENTS = {
+  ...DEFAULTS,
+  ...OVERRIDES,
+  moderation: { ...DEFAULTS.moderation, ...(OVERRIDES.moderation || {}) }
+};
+
+module.exports = {
+  DEFAULTS,
+  COMMENTS
+};
@@ -0,0 +1,40 @@
+// ============================================
+// FILE: config/e2ee.js
+// PURPOSE: Limits for end-to-end encrypted direct chats
+// (services/e2ee.service.js)
+//
+// The server is a key directory and a ciphertext relay. Each device
+// registers an identity key, a signed prekey and a batch of one-time
+// prekeys; senders fetch a bundle per device of the other person,
+// encrypt the message once per device (theirs and the sender's other
+// devices) and send one envelope each. Keys are opaque base64 strings -
+// signatures are checked by the clients, not here.
+//
+// E2EE_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   E2EE_OVERRIDES='{"maxDevices":3,"maxEnvelopeBytes":131072}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  maxDevices: 5,
+  // Unclaimed one-time prekeys kept per device
+  maxOneTimePreKeys: 100,
+  // Below this, the device is told to upload more
+  lowPreKeyThreshold: 10,
+  // Length of a base64 public key / signature
+  maxKeyLength: 512,
+  // Length of one base64 envelope / wrapped attachment key
+  maxEnvelopeBytes: 64 * 1024,
+  maxWrappedKeyLength: 1024
+};
+
+const E2EE = {
+  ...DEFAULTS,
+  ...parseOverrides('E2EE_OVERRIDES')
+};
+
+module.exports = {
+  DEFAULTS,
+  E2EE
+};
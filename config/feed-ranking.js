@@ -0,0 +1,63 @@
+// ============================================
+// FILE: config/feed-ranking.js
+// PURPOSE: Weights used by services/feed-ranking.service.js
+//
+// An item's score is
+//   (base + follow + hashtags + authorAffinity + tagAffinity + engagement + live)
+//     x freshness x diversity
+// where freshness halves every `halfLifeHours` and diversity
+// multiplies each further item by the same author by `authorRepeatPenalty`.
+// Pass ?explain=true to /api/feed/personalized to see every term.
+//
+// FEED_RANKING_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   FEED_RANKING_OVERRIDES='{"weights":{"follow":4},"halfLifeHours":12}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  weights: {
+    // Every candidate starts here so unfollowed content can still surface
+    base: 1,
+    // Author is someone the viewer follows (close friends count double)
+    follow: 3,
+    // Per followed hashtag on the item, up to maxHashtagMatches
+    hashtag: 1.5,
+    maxHashtagMatches: 3,
+    // Viewer has reacted to / bookmarked this author's content before
+    // (scaled by log2(1 + interactions))
+    authorAffinity: 1,
+    // Same, for tags the viewer has engaged with
+    tagAffinity: 0.5,
+    // log10(1 + reactions + 2 x comments + 3 x shares + views / 20)
+    engagement: 0.75,
+    // Streams that are live right now
+    live: 2.5
+  },
+
+  halfLifeHours: 18,
+  authorRepeatPenalty: 0.7,
+
+  // Candidate window and size per content type
+  candidateDays: 14,
+  candidatesPerSource: 150,
+
+  // How many of the viewer's recent reactions / bookmarks feed the affinity terms
+  historySize: 200,
+
+  // Items served in the personalized feed are not shown again for this long
+  seenTtlHours: 72
+};
+
+const OVERRIDES = parseOverrides('FEED_RANKING_OVERRIDES');
+
+const FEED_RANKING = {
+  ...DEFAULTS,
+  ...OVERRIDES,
+  weights: { ...DEFAULTS.weights, ...(OVERRIDES.weights || {}) }
+};
+
+module.exports = {
+  DEFAULTS,
+  FEED_RANKING
+};
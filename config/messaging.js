@@ -0,0 +1,84 @@
+// ============================================
+// FILE: config/messaging.js
+// PURPOSE: Sync log, receipts and presence for direct / group chats
+// (services/message-sync.service.js, socket/messaging.socket.js)
+//
+// Every change a user's devices need to know about - a new, edited or
+// deleted message, a delivered / read receipt, a new unread count - is
+// written to that user's sync log under the next number of a per-user
+// sequence and pushed to `user:<id>` as a `sync` socket event.
+// A reconnecting client calls
+//   GET /api/messages/sync?since=<last seq it saw>
+// and gets everything after it in order. Entries older than
+// `syncRetentionDays` are dropped; a cursor from before that gets
+// `reset: true` and a fresh snapshot instead.
+//
+// Group chats (services/group-chat.service.js) are run by their admins;
+// membership changes, renames and pins show up in the chat as system
+// messages. Invite links expire and can be limited to a number of uses.
+//
+// Scheduled messages (services/scheduled-message.service.js) wait in
+// their own collection and are sent by cron/scheduled-messages.js.
+//
+// MESSAGING_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   MESSAGING_OVERRIDES='{"syncRetentionDays":14,"presence":{"defaultVisibility":"contacts"}}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  syncRetentionDays: 30,
+  syncPageSize: 200,
+  maxSyncPageSize: 500,
+
+  presence: {
+    // Who sees a user online / last seen unless they change it:
+    // 'everyone' | 'contacts' (people they have a chat with) | 'nobody'
+    defaultVisibility: 'everyone',
+    // Disconnects shorter than this (page reloads, flaky networks)
+    // don't show the user as offline
+    offlineGraceMs: 10000,
+    // Max users per GET /api/messages/presence
+    maxLookup: 100
+  },
+
+  groups: {
+    maxParticipants: 256,
+    maxNameLength: 100,
+    maxDescriptionLength: 1000,
+    // Messages pinned to the top of a chat
+    maxPinnedMessages: 5,
+    // Invite links: lifetime when none is given, and the longest allowed
+    inviteDefaultHours: 24 * 7,
+    inviteMaxHours: 24 * 30,
+    maxActiveInvites: 20
+  },
+
+  scheduling: {
+    // Pending scheduled messages per user
+    maxPending: 50,
+    // How soon / how far ahead a message can be scheduled
+    minDelaySeconds: 60,
+    maxAheadDays: 365,
+    // Due messages sent per cron run (every minute)
+    batchSize: 100,
+    // A send that hasn't finished after this is treated as crashed and retried
+    claimTimeoutMinutes: 10,
+    maxAttempts: 3
+  }
+};
+
+const OVERRIDES = parseOverrides('MESSAGING_OVERRIDES');
+
+const MESSAGING = {
+  ...DEFAULTS,
+  ...OVERRIDES,
+  presence: { ...DEFAULTS.presence, ...(OVERRIDES.presence || {}) },
+  groups: { ...DEFAULTS.groups, ...(OVERRIDES.groups || {}) },
+  scheduling: { ...DEFAULTS.scheduling, ...(OVERRIDES.scheduling || {}) }
+};
+
+module.exports = {
+  DEFAULTS,
+  MESSAGING
+};
@@ -0,0 +1,285 @@
+// ============================================
+// FILE: config/notification-events.js
+// PURPOSE: Every kind of notification and how it is delivered
+// (services/notification-delivery.service.js, cron/notification-outbox.js)
+//
+// Each event type lists the channels it goes out on and its templates.
+// Channels:
+//   inApp      - the Notification document + `notification` socket event
+//   webPush    - browser subscriptions (POST /api/push/subscribe)
+//   mobilePush - app device tokens (POST /api/mobile/push/register)
+//   email      - utils/sendEmail.js
+//   whatsapp   - WhatsApp Cloud API, only for users who opted in
+//                (preferences.whatsappNotifications) with a phone number
+//
+// `title`, `body` and `url` are used on every channel unless
+// `templates.<channel>` changes them (email also takes `subject` and a
+// `layout`: 'default' or 'security'). Templates fill in {{placeholders}}:
+//   {{message}}      text passed by the caller
+//   {{sender.name}}  {{sender.username}}  {{recipient.name}}
+//   {{actionUrl}}    link passed by the caller
+//   {{data.<key>}}   anything passed in `data`
+//   {{appUrl}}       FRONTEND_URL
+//
+// `preference` is the key in the user's preferences.notifications (and
+// push preferences) that turns the event off outside the app. `critical`
+// events ignore preferences - but WhatsApp still needs the opt-in.
+//
+// In-app notifications are saved and pushed straight away; the other
+// channels go through the outbox and are retried with backoff up to
+// `delivery.maxAttempts`, then dead-lettered (status 'dead').
+//
+// NOTIFICATION_EVENTS_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   NOTIFICATION_EVENTS_OVERRIDES='{"delivery":{"maxAttempts":8},"events":{"like":{"channels":["inApp"]}}}'
+// New event types can be added the same way or with registerEvent().
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const CHANNELS = ['inApp', 'webPush', 'mobilePush', 'email', 'whatsapp'];
+
+const PUSH = ['inApp', 'webPush', 'mobilePush'];
+
+const DEFAULTS = {
+  delivery: {
+    maxAttempts: 6,
+    // Wait before retry n: retryBaseSeconds * 2^(n-1), at most retryMaxSeconds
+    retryBaseSeconds: 30,
+    retryMaxSeconds: 6 * 60 * 60,
+    batchSize: 200,
+    claimTimeoutMinutes: 5,
+    // Sent / skipped outbox entries are dropped after this; dead ones are kept longer
+    sentRetentionDays: 14,
+    deadRetentionDays: 90
+  },
+
+  whatsapp: {
+    apiVersion: 'v19.0',
+    // Messages outside a customer service window must use an approved
+    // template; when set, the rendered body is sent as its one parameter
+    templateName: null,
+    languageCode: 'en'
+  },
+
+  events: {
+    // Social
+    follow: {
+      label: 'New follower',
+      preference: 'follows',
+      channels: PUSH,
+      title: 'New follower',
+      body: '{{sender.name}} started following you',
+      url: '{{appUrl}}/profile/{{sender.username}}'
+    },
+    like: {
+      label: 'Likes',
+      preference: 'likes',
+      channels: PUSH,
+      title: 'New like',
+      body: '{{message}}'
+    },
+    reaction: {
+      label: 'Reactions',
+      preference: 'likes',
+      channels: PUSH,
+      title: 'New reaction',
+      body: '{{message}}'
+    },
+    comment: {
+      label: 'Comments',
+      preference: 'comments',
+      channels: PUSH,
+      title: 'New comment',
+      body: '{{message}}'
+    },
+    comment_like: {
+      label: 'Comment likes',
+      preference: 'likes',
+      channels: PUSH,
+      title: 'New like',
+      body: '{{message}}'
+    },
+    share: {
+      label: 'Shares',
+      preference: 'likes',
+      channels: PUSH,
+      title: 'Your post was shared',
+      body: '{{message}}'
+    },
+    mention: {
+      label: 'Mentions',
+      preference: 'mentions',
+      channels: PUSH,
+      title: 'New mention',
+      body: '{{message}}'
+    },
+
+    // Chats
+    message: {
+      label: 'Messages',
+      preference: 'messages',
+      channels: PUSH,
+      title: 'New message',
+      body: '{{sender.name}} sent you a message',
+      url: '{{appUrl}}/messages/{{data.conversationId}}'
+    },
+
+    // Money
+    tip: {
+      label: 'Tips',
+      preference: 'tips',
+      channels: [...PUSH, 'email'],
+      title: 'You received a tip',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - You received a tip' } }
+    },
+    donation: {
+      label: 'Donations',
+      preference: 'tips',
+      channels: [...PUSH, 'email'],
+      title: 'You received a donation',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - You received a donation' } }
+    },
+    reward: {
+      label: 'Rewards',
+      preference: 'stakingRewards',
+      channels: PUSH,
+      title: 'Reward',
+      body: '{{message}}'
+    },
+    nft_sold: {
+      label: 'NFT sales',
+      preference: 'nftSales',
+      channels: [...PUSH, 'email'],
+      title: 'Your NFT was sold!',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - Your NFT was sold' } }
+    },
+    new_order: {
+      label: 'Orders',
+      channels: [...PUSH, 'email', 'whatsapp'],
+      title: 'New order',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - New order' } }
+    },
+    order_update: {
+      label: 'Orders',
+      channels: [...PUSH, 'email', 'whatsapp'],
+      title: 'Order update',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - Order update' } }
+    },
+
+    // Live
+    live_started: {
+      label: 'Live streams',
+      preference: 'liveStreams',
+      channels: PUSH,
+      title: '{{sender.name}} is live now!',
+      body: '{{message}}'
+    },
+    stream_scheduled: {
+      label: 'Live streams',
+      preference: 'liveStreams',
+      channels: ['inApp'],
+      title: 'Upcoming live stream',
+      body: '{{message}}'
+    },
+    watch_party_invite: {
+      label: 'Watch parties',
+      channels: PUSH,
+      title: 'Watch party invite',
+      body: '{{message}}'
+    },
+    recording_ready: {
+      label: 'Recordings',
+      channels: [...PUSH, 'email'],
+      title: 'Your recording is ready',
+      body: '{{message}}',
+      templates: { email: { subject: 'CYBEV - Your recording is ready' } }
+    },
+
+    // Account
+    // actionUrl can carry a one-time token ("this wasn't me", password
+    // reset), so only the email gets it; elsewhere the alert links to
+    // the security settings
+    security: {
+      label: 'Security',
+      critical: true,
+      priority: 'urgent',
+      channels: ['inApp', 'email', 'whatsapp'],
+      title: '{{data.title}}',
+      body: '{{message}}',
+      url: '{{appUrl}}/settings/security',
+      templates: {
+        inApp: { body: '{{data.title}}: {{message}}' },
+        email: { subject: '🔐 CYBEV - {{data.title}}', layout: 'security', url: '{{actionUrl}}' },
+        whatsapp: { body: 'CYBEV security alert - {{data.title}}: {{message}}' }
+      }
+    },
+    search_alert: {
+      label: 'Saved searches',
+      channels: [...PUSH, 'email'],
+      title: '{{data.title}}',
+      body: '{{message}}',
+      templates: { email: { subject: '🔎 CYBEV - {{data.title}}' } }
+    },
+    announcement: {
+      label: 'Announcements',
+      priority: 'high',
+      channels: PUSH,
+      title: '{{data.title}}',
+      body: '{{message}}'
+    },
+    system: {
+      label: 'System',
+      channels: ['inApp'],
+      title: '{{data.title}}',
+      body: '{{message}}'
+    }
+  }
+};
+
+const OVERRIDES = parseOverrides('NOTIFICATION_EVENTS_OVERRIDES');
+
+const mergeEvent = (base = {}, changes = {}) => {
+  const templates = { ...(base.templates || {}) };
+  for (const [channel, template] of Object.entries(changes.templates || {})) {
+    templates[channel] = { ...(templates[channel] || {}), ...template };
+  }
+  return { url: '{{actionUrl}}', ...base, ...changes, templates };
+};
+
+const NOTIFICATION_EVENTS = {
+  delivery: { ...DEFAULTS.delivery, ...(OVERRIDES.delivery || {}) },
+  whatsapp: { ...DEFAULTS.whatsapp, ...(OVERRIDES.whatsapp || {}) },
+  events: {}
+};
+
+/**
+ * Add (or change) an event type, e.g. from a feature module at load time
+ */
+const registerEvent = (type, definition) => {
+  const event = mergeEvent(NOTIFICATION_EVENTS.events[type], definition);
+  event.channels = (event.channels || ['inApp']).filter(channel => CHANNELS.includes(channel));
+  NOTIFICATION_EVENTS.events[type] = event;
+  return event;
+};
+
+for (const type of new Set([...Object.keys(DEFAULTS.events), ...Object.keys(OVERRIDES.events || {})])) {
+  registerEvent(type, mergeEvent(DEFAULTS.events[type], (OVERRIDES.events || {})[type]));
+}
+
+const getEvent = (type) => NOTIFICATION_EVENTS.events[type] || null;
+
+const isEventType = (type) => Boolean(getEvent(type));
+
+module.exports = {
+  CHANNELS,
+  DEFAULTS,
+  NOTIFICATION_EVENTS,
+  registerEvent,
+  getEvent,
+  isEventType
+};
@@ -0,0 +1,101 @@
+// ============================================
+// FILE: config/permissions.js
+// PURPOSE: Role -> scope mapping used by middleware/auth.js
+//
+// Scopes are "<area>:<resource>:<action>" strings. A granted scope
+// ending in ":*" covers everything below it, and "*" covers all.
+// ============================================
+
+// Catalog of scopes routes can require (also used to validate API key scopes)
+const SCOPES = {
+  'profile:read': 'Read your profile',
+  'profile:write': 'Update your profile',
+  'content:read': 'Read posts, blogs and vlogs',
+  'content:write': 'Create and edit posts, blogs and vlogs',
+  'messages:read': 'Read direct messages',
+  'messages:write': 'Send direct messages',
+  'contacts:read': 'Read email contacts',
+  'contacts:write': 'Manage email contacts',
+  'campaigns:read': 'Read email campaigns',
+  'campaigns:write': 'Create and edit email campaigns',
+  'email:send': 'Send email and campaigns',
+  'email:manage': 'Manage sender domains and email settings',
+  'church:read': 'Read church and organization data',
+  'church:write': 'Manage church and organization data',
+  'church:reports:submit': 'Submit cell reports',
+  'church:reports:approve': 'Approve cell reports',
+  'church:giving': 'Give and view giving history',
+  'wallet:read': 'Read wallet balance and transactions',
+  'wallet:write': 'Transfer and spend from wallet',
+  'moderation:review': 'Review reported content',
+  'moderation:action': 'Take moderation actions',
+  'admin:users': 'Manage users',
+  'admin:settings': 'Manage platform settings',
+  'admin:analytics': 'View platform analytics'
+};
+
+const USER_SCOPES = [
+  'profile:*',
+  'content:*',
+  'messages:*',
+  'contacts:*',
+  'campaigns:*',
+  'email:*',
+  'church:*',
+  'wallet:*'
+];
+
+const ROLE_SCOPES = {
+  user: USER_SCOPES,
+  creator: USER_SCOPES,
+  moderator: [...USER_SCOPES, 'moderation:*'],
+  admin: ['*']
+};
+
+/**
+ * Does a granted scope pattern cover the required scope?
+ */
+const scopeMatches = (granted, required) => {
+  if (granted === '*' || granted === required) return true;
+  if (granted.endsWith(':*')) {
+    const prefix = granted.slice(0, -1); // keep trailing ':'
+    return required.startsWith(prefix);
+  }
+  return false;
+};
+
+const hasScope = (grantedScopes = [], required) =>
+  grantedScopes.some(granted => scopeMatches(granted, required));
+
+const scopesForRole = (role) => ROLE_SCOPES[role] || ROLE_SCOPES.user;
+
+/**
+ * Can this scope be granted to an API key or OAuth app?
+ * Accepts catalog scopes and area wildcards such as "content:*".
+ */
+const isValidScope = (scope) => {
+  if (typeof scope !== 'string') return false;
+  if (SCOPES[scope]) return true;
+  if (scope.endsWith(':*')) {
+    const prefix = scope.slice(0, -1);
+    return Object.keys(SCOPES).some(key => key.startsWith(prefix));
+  }
+  return false;
+};
+
+/**
+ * Narrow delegated scopes to what the user's role still allows,
+ * so a demoted user's keys lose their extra power immediately
+ */
+const restrictScopes = (delegated = [], roleScopes = []) =>
+  delegated.filter(scope => hasScope(roleScopes, scope));
+
+module.exports = {
+  SCOPES,
+  ROLE_SCOPES,
+  scopeMatches,
+  hasScope,
+  scopesForRole,
+  isValidScope,
+  restrictScopes
+};
@@ -0,0 +1,132 @@
+// ============================================
+// FILE: config/personal-data.js
+// PURPOSE: Where a user's data lives - drives "download my data"
+// and account deletion (services/privacy.service.js)
+//
+// Each entry:
+//   model     mongoose model name (skipped if not registered)
+//   owner     field(s) holding the user id; several are OR-ed
+//   file      name inside the export zip
+//   onDelete  'delete'    - remove the documents
+//             'anonymize' - keep the documents, $set `anonymize`
+//             'pull'      - remove the user's entries from the array
+//                           `pull.path` (subdocs matched on `pull.field`,
+//                           or plain ids when no field is given)
+//             'retain'    - keep as is (financial/legal records); the
+//                           user document itself is anonymized
+//   extract   for 'pull' entries, export only the matching array items
+// The user document is handled separately.
+// ============================================
+
+// Never leave the server, even in the user's own export
+const SECRET_FIELDS = [
+  'password', 'twoFactorSecret', 'twoFactorPendingSecret', 'backupCodes',
+  'resetPasswordToken', 'emailVerificationToken', 'refreshTokenHash',
+  'previousTokenHashes', 'keyHash', 'accessTokenHash', 'clientSecretHash',
+  'codeHash', '__v'
+];
+
+const DELETED_TEXT = '[deleted]';
+
+const PERSONAL_DATA = [
+  // Content
+  { model: 'Blog', owner: 'author', file: 'blogs', onDelete: 'delete' },
+  { model: 'Post', owner: ['author', 'authorId'], file: 'posts', onDelete: 'delete' },
+  { model: 'Vlog', owner: 'user', file: 'vlogs', onDelete: 'delete' },
+  { model: 'SharedPost', owner: 'user', file: 'shared-posts', onDelete: 'delete' },
+  { model: 'Site', owner: 'owner', file: 'websites', onDelete: 'delete' },
+  { model: 'LiveStream', owner: 'streamer', file: 'live-streams', onDelete: 'delete' },
+  { model: 'Bookmark', owner: 'user', file: 'bookmarks', onDelete: 'delete' },
+  { model: 'SavedSearch', owner: 'user', file: 'saved-searches', onDelete: 'delete' },
+  { model: 'Story', owner: 'author', file: 'stories', onDelete: 'delete' },
+  { model: 'StoryHighlight', owner: 'user', file: 'story-highlights', onDelete: 'delete' },
+  { model: 'StoryView', owner: ['viewer', 'author'], file: 'story-views', onDelete: 'delete' },
+  { model: 'Poll', owner: 'author', file: 'polls', onDelete: 'delete' },
+  { model: 'PollVote', owner: 'user', file: 'poll-votes', onDelete: 'delete' },
+  { model: 'ReelView', owner: 'viewer', file: 'reel-views', onDelete: 'delete' },
+  { model: 'Mention', owner: ['user', 'mentionedBy'], file: 'mentions', onDelete: 'delete' },
+  // Trending counts stay, without the author
+  { model: 'HashtagUsage', owner: 'author', file: 'hashtag-use', onDelete: 'anonymize', anonymize: { author: null } },
+  // Other people's reels may still play the sound
+  {
+    model: 'AudioTrack',
+    owner: 'owner',
+    file: 'reel-sounds',
+    onDelete: 'anonymize',
+    anonymize: { owner: null, artist: '', allowReuse: false }
+  },
+  // Replies stay so threads still make sense
+  {
+    model: 'Comment',
+    owner: 'user',
+    file: 'comments',
+    onDelete: 'anonymize',
+    anonymize: { content: DELETED_TEXT, authorName: 'Deleted User', authorAvatar: '', editHistory: [] }
+  },
+
+  // Social graph & messaging
+  { model: 'Follow', owner: ['follower', 'following'], file: 'follows', onDelete: 'delete' },
+  // Only the user's own blocks - not who blocked them
+  { model: 'Block', owner: 'blocker', file: 'blocks', onDelete: 'delete' },
+  { model: 'Mute', owner: 'user', file: 'mutes', onDelete: 'delete' },
+  {
+    model: 'Message',
+    owner: 'sender',
+    file: 'messages',
+    onDelete: 'anonymize',
+    anonymize: { text: DELETED_TEXT, attachments: [], envelopes: [], reactions: [], isDeleted: true }
+  },
+  {
+    model: 'Conversation',
+    owner: 'participants',
+    file: 'conversations',
+    onDelete: 'pull',
+    pull: { path: 'participants' }
+  },
+  { model: 'ScheduledMessage', owner: 'sender', file: 'scheduled-messages', onDelete: 'delete' },
+  { model: 'MessagingState', owner: 'user', file: 'messaging-settings', onDelete: 'delete' },
+  { model: 'SyncEvent', owner: 'user', file: 'message-sync-log', onDelete: 'delete' },
+  { model: 'DeviceKey', owner: 'user', file: 'encryption-devices', onDelete: 'delete' },
+  { model: 'OneTimePreKey', owner: 'user', file: 'encryption-prekeys', onDelete: 'delete' },
+  { model: 'Notification', owner: ['recipient', 'sender'], file: 'notifications', onDelete: 'delete' },
+  { model: 'NotificationOutbox', owner: 'recipient', file: 'notification-deliveries', onDelete: 'delete' },
+
+  // Money - kept for accounting, no longer linked to a person once the user is anonymized
+  { model: 'Wallet', owner: 'user', file: 'wallet', onDelete: 'retain' },
+  { model: 'Transaction', owner: 'user', file: 'transactions', onDelete: 'retain' },
+  { model: 'Earning', owner: 'userId', file: 'earnings', onDelete: 'retain' },
+
+  // Church
+  {
+    model: 'ChurchOrg',
+    owner: 'members.user',
+    file: 'church-memberships',
+    onDelete: 'pull',
+    pull: { path: 'members', field: 'user' },
+    extract: { path: 'members', field: 'user', keep: ['name', 'type'] }
+  },
+
+  // Email platform (the user's own address book and forms)
+  { model: 'Contact', owner: 'user', file: 'email-contacts', onDelete: 'delete' },
+  { model: 'CampaignContact', owner: 'user', file: 'campaign-contacts', onDelete: 'delete' },
+  { model: 'EmailContact', owner: 'user', file: 'email-platform-contacts', onDelete: 'delete' },
+  { model: 'Campaign', owner: 'user', file: 'email-campaigns', onDelete: 'delete' },
+  // models/form.model.js registers Form (owner `creator`) - the forms routes load
+  // before automation, whose models/automation.model.js then reuses it
+  { model: 'Form', owner: 'creator', file: 'forms', onDelete: 'delete' },
+  { model: 'FormSubmission', owner: 'user', file: 'form-submissions', onDelete: 'delete' },
+  // Answers the user gave on other people's forms
+  { model: 'FormResponse', owner: 'respondent', file: 'form-responses', onDelete: 'delete' },
+
+  // Account & security
+  { model: 'Session', owner: 'user', file: 'sessions', onDelete: 'delete' },
+  { model: 'LoginEvent', owner: 'user', file: 'login-history', onDelete: 'delete' },
+  { model: 'ApiKey', owner: 'user', file: 'api-keys', onDelete: 'delete' },
+  { model: 'OAuthToken', owner: 'user', file: 'connected-apps', onDelete: 'delete' },
+  { model: 'OAuthClient', owner: 'owner', file: 'oauth-apps', onDelete: 'delete' }
+];
+
+module.exports = {
+  SECRET_FIELDS,
+  PERSONAL_DATA
+};
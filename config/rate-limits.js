@@ -0,0 +1,191 @@
+// ============================================
+// FILE: config/rate-limits.js
+// PURPOSE: Rate limit policies used by middleware/rate-limit.js
+//
+// Each policy is a fixed window: at most `max` requests per `windowMs`
+// for one key. `key` picks who is counted:
+//   'ip'        - client IP
+//   'user'      - signed-in user (skipped for anonymous requests)
+//   'apiKey'    - API key / OAuth app (skipped otherwise)
+//   'principal' - API key, else user, else IP
+//   function    - (req) => string | null  (null skips the limit)
+// `max` may be a number or a per-identity map { ip, user, apiKey, oauth }.
+// `skip(req)` exempts requests; `softLimit` lets requests through with
+// req.rateLimited set instead of answering 429.
+//
+// RATE_LIMIT_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   RATE_LIMIT_OVERRIDES='{"login":{"max":20},"api":{"enabled":false}}'
+//   RATE_LIMIT_DISABLED=true   (turns every policy off)
+//
+// Client IPs come from req.ip, which Express works out from the
+// X-Forwarded-For entries added by the TRUST_PROXY_HOPS proxies in
+// front of the app (server.js sets 'trust proxy'); anything further
+// left in the header was written by the client and is ignored.
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+// Load balancer / CDN hops between the client and the app; 0 when reached directly
+const TRUST_PROXY_HOPS = Math.max(parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || 0, 0);
+
+// Where payment / messaging providers and email tracking call in. Matched
+// against the path only - a query string can't opt a request out.
+const WEBHOOK_PATH = /^\/api\/(email-webhooks|wallet\/webhook|church\/whatsapp\/webhook|email-subscription\/webhook)\//;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const normalizeEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+const POLICIES = {
+  // Baseline for every /api request
+  api: {
+    windowMs: MINUTE,
+    max: { ip: 300, user: 600, oauth: 600, apiKey: 1200 },
+    key: 'principal',
+    // Payment/messaging webhooks and email tracking arrive from a few
+    // shared provider IPs - tracking has its own policy below
+    skip: (req) => WEBHOOK_PATH.test(req.baseUrl + req.path),
+    description: 'All API requests'
+  },
+
+  // Authentication
+  login: {
+    windowMs: 15 * MINUTE,
+    max: 20,
+    key: 'ip',
+    description: 'Login attempts per IP'
+  },
+  'login-account': {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    key: normalizeEmail,
+    description: 'Login attempts per account'
+  },
+  'login-2fa': {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    key: 'ip',
+    description: 'Two-factor login codes per IP'
+  },
+  register: {
+    windowMs: HOUR,
+    max: 10,
+    key: 'ip',
+    description: 'Sign-ups per IP'
+  },
+  'password-reset': {
+    windowMs: HOUR,
+    max: 5,
+    key: 'ip',
+    description: 'Password reset and email verification requests per IP'
+  },
+  'password-reset-account': {
+    windowMs: HOUR,
+    max: 3,
+    key: normalizeEmail,
+    description: 'Password reset and verification emails per address'
+  },
+  'token-refresh': {
+    windowMs: 15 * MINUTE,
+    max: 60,
+    key: 'ip',
+    description: 'Session refreshes per IP'
+  },
+  'oauth-token': {
+    windowMs: MINUTE,
+    max: 60,
+    key: 'ip',
+    description: 'OAuth token endpoint per IP'
+  },
+
+  // Public write endpoints
+  'form-submit': {
+    windowMs: 10 * MINUTE,
+    max: 20,
+    key: 'ip',
+    description: 'Public form submissions per IP'
+  },
+  'analytics-track': {
+    windowMs: MINUTE,
+    max: 120,
+    key: 'ip',
+    description: 'Analytics events per IP'
+  },
+
+  // Reels - uploads are transcoded on this server; watch events feed
+  // the ranking, so over the limit they are accepted but not counted
+  'reel-upload': {
+    windowMs: HOUR,
+    max: 20,
+    key: 'user',
+    description: 'Reel uploads per user'
+  },
+  'reel-watch': {
+    windowMs: MINUTE,
+    max: 120,
+    key: 'principal',
+    softLimit: true,
+    description: 'Reel watch events per viewer'
+  },
+  // Chat voice notes / photos / videos are processed with ffmpeg on this
+  // server; transcripts are paid per minute of audio
+  'chat-media-upload': {
+    windowMs: HOUR,
+    max: 120,
+    key: 'user',
+    description: 'Chat media uploads per user'
+  },
+  'message-transcript': {
+    windowMs: HOUR,
+    max: 30,
+    key: 'user',
+    description: 'Voice note transcripts per user'
+  },
+  // Every bundle fetch uses up one-time prekeys of the other person
+  'e2ee-bundle': {
+    windowMs: HOUR,
+    max: 60,
+    key: 'user',
+    description: 'Encryption key bundle fetches per user'
+  },
+  // Mail clients and image proxies fetch pixels in bursts; over the limit
+  // the pixel / redirect is still served but the hit is not recorded
+  'email-tracking': {
+    windowMs: MINUTE,
+    max: 300,
+    key: 'ip',
+    softLimit: true,
+    description: 'Email open and click tracking per IP'
+  }
+};
+
+const OVERRIDES = parseOverrides('RATE_LIMIT_OVERRIDES');
+
+/**
+ * Policy with environment overrides applied, or null if unknown
+ */
+const getPolicy = (name) => {
+  if (!POLICIES[name]) return null;
+  const policy = { name, enabled: true, ...POLICIES[name], ...(OVERRIDES[name] || {}) };
+  if (process.env.RATE_LIMIT_DISABLED === 'true') policy.enabled = false;
+  return policy;
+};
+
+/**
+ * Limit for the identity type that was counted
+ */
+const limitFor = (policy, identityType) => {
+  if (typeof policy.max === 'number') return policy.max;
+  return policy.max[identityType] ?? policy.max.ip;
+};
+
+module.exports = {
+  TRUST_PROXY_HOPS,
+  POLICIES,
+  getPolicy,
+  limitFor
+};
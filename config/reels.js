@@ -0,0 +1,81 @@
+// ============================================
+// FILE: config/reels.js
+// PURPOSE: Upload limits and feed weights for reels
+// (services/reel.service.js)
+//
+// A reel's feed score is
+//   (base + watchRatio + completion + replay + engagement + follow)
+//     x freshness x diversity
+// where the watch terms use smoothed per-reel averages - `priorPlays`
+// imaginary plays at `priorWatchRatio` / `priorCompletion` - so a reel
+// with three plays can't outrank one with three thousand on luck.
+// Freshness halves every `halfLifeHours`; each further reel by the
+// same author is multiplied by `authorRepeatPenalty`.
+// Pass ?explain=true to /api/reels/feed to see every term.
+//
+// REELS_OVERRIDES is read by utils/config-overrides.js, e.g.
+//   REELS_OVERRIDES='{"upload":{"maxSeconds":120},"weights":{"completion":5}}'
+// ============================================
+
+const { parseOverrides } = require('../utils/config-overrides');
+
+const DEFAULTS = {
+  upload: {
+    minSeconds: 3,
+    maxSeconds: 90,
+    maxBytes: 200 * 1024 * 1024,
+    // height / width - vertical only, 4:5 up to a little past 9:16
+    minAspect: 1.2,
+    maxAspect: 2.2,
+    minHeight: 480,
+    // Thumbnail for grids, poster for the player
+    thumbnailWidth: 360,
+    posterWidth: 1080
+  },
+
+  weights: {
+    base: 1,
+    // Average share of the reel watched (loops count, capped at maxWatchRatio)
+    watchRatio: 3,
+    maxWatchRatio: 2,
+    // Share of plays watched to the end
+    completion: 2,
+    // Rewatches per play
+    replay: 1,
+    // log10(1 + likes + 2 x comments + 3 x shares + 4 x remixes)
+    engagement: 0.75,
+    // Author is someone the viewer follows
+    follow: 1.5
+  },
+
+  priorPlays: 20,
+  priorWatchRatio: 0.35,
+  priorCompletion: 0.15,
+
+  halfLifeHours: 36,
+  authorRepeatPenalty: 0.6,
+
+  // Candidate pool
+  candidateDays: 30,
+  candidateLimit: 400,
+
+  // Reels watched within this long are left out of the viewer's feed
+  seenTtlHours: 48,
+
+  // One watch event counts at most this many seconds per loop of the reel
+  maxLoopsPerEvent: 5
+};
+
+const OVERRIDES = parseOverrides('REELS_OVERRIDES');
+
+const REELS = {
+  ...DEFAULTS,
+  ...OVERRIDES,
+  upload: { ...DEFAULTS.upload, ...(OVERRIDES.upload || {}) },
+  weights: { ...DEFAULTS.weights, ...(OVERRIDES.weights || {}) }
+};
+
+module.exports = {
+  DEFAULTS,
+  REELS
+};
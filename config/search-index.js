@@ -0,0 +1,183 @@
+// ============================================
+// FILE: config/search-index.js
+// PURPOSE: What goes into the search index (services/search.service.js)
+//
+// Each source:
+//   model       mongoose model name (skipped if not registered)
+//   file        model file, required when the model isn't loaded yet
+//   resultKey   key under `results` in GET /api/search
+//   searchable  (doc) => bool - only public, live content is indexed;
+//               anything else is removed from the index
+//   describe    (doc) => { title, body, tags, author, group, church,
+//               date, popularity } - title counts 3x, tags 2x, body 1x
+//   select      fields loaded for results
+//   populate    [path, fields] for results
+//   publicGroupOnly  content inside a group is indexed only while the
+//               group is public
+// ============================================
+
+const FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+
+const idOrNull = (value) => value || null;
+const count = (list) => (Array.isArray(list) ? list.length : 0);
+
+const SEARCH_SOURCES = {
+  user: {
+    model: 'User',
+    file: '../models/user.model',
+    resultKey: 'users',
+    searchable: (doc) => (doc.status || 'active') === 'active' && !doc.isBanned,
+    describe: (doc) => ({
+      title: [doc.name, doc.username].filter(Boolean).join(' '),
+      body: doc.bio,
+      tags: [],
+      author: doc._id,
+      date: doc.createdAt,
+      popularity: doc.followersCount || doc.followerCount || 0
+    }),
+    select: 'name username avatar profilePicture bio isVerified followersCount followingCount'
+  },
+
+  post: {
+    model: 'Post',
+    file: '../models/post.model',
+    resultKey: 'posts',
+    publicGroupOnly: true,
+    searchable: (doc) => !doc.isDeleted && (doc.status || 'active') === 'active' && doc.isPublished !== false &&
+      (doc.visibility || 'public') === 'public' && doc.postType !== 'story',
+    describe: (doc) => ({
+      title: doc.title,
+      body: doc.content,
+      tags: [...(doc.hashtags || []), ...(doc.tags || [])],
+      author: doc.author || doc.authorId,
+      group: idOrNull(doc.group),
+      date: doc.createdAt,
+      popularity: (doc.likeCount || count(doc.likes)) + 2 * (doc.commentCount || 0) + 3 * (doc.shareCount || 0)
+    }),
+    select: '-comments',
+    populate: ['author', 'name username avatar profilePicture']
+  },
+
+  blog: {
+    model: 'Blog',
+    file: '../models/blog.model',
+    resultKey: 'blogs',
+    searchable: (doc) => !doc.isDeleted && doc.status === 'published',
+    describe: (doc) => ({
+      title: doc.title,
+      body: [doc.excerpt, doc.content].filter(Boolean).join(' '),
+      tags: [...(doc.tags || []), doc.category].filter(Boolean),
+      author: doc.author || doc.authorId,
+      date: doc.createdAt,
+      popularity: (doc.views || 0) / 10 + count(doc.likes) + 2 * (doc.commentsCount || 0)
+    }),
+    select: 'title slug excerpt featuredImage category tags views likes commentsCount readTime author createdAt',
+    populate: ['author', 'name username avatar profilePicture']
+  },
+
+  group: {
+    model: 'Group',
+    file: '../models/group.model',
+    resultKey: 'groups',
+    searchable: (doc) => doc.privacy === 'public' && doc.isActive !== false && !doc.isArchived,
+    describe: (doc) => ({
+      title: doc.name,
+      body: doc.description,
+      tags: [...(doc.tags || []), doc.category].filter(Boolean),
+      author: doc.creator,
+      group: doc._id,
+      date: doc.createdAt,
+      popularity: doc.stats?.memberCount || count(doc.members)
+    }),
+    select: 'name slug description coverImage avatar category privacy stats isVerified'
+  },
+
+  event: {
+    model: 'Event',
+    file: '../models/event.model',
+    resultKey: 'events',
+    publicGroupOnly: true,
+    searchable: (doc) => doc.visibility === 'public' && doc.status === 'published',
+    describe: (doc) => ({
+      title: doc.title,
+      body: doc.description,
+      tags: [...(doc.tags || []), doc.category].filter(Boolean),
+      author: doc.organizer,
+      group: idOrNull(doc.group),
+      date: doc.startDate || doc.createdAt,
+      popularity: count(doc.attendees)
+    }),
+    select: 'title slug description coverImage startDate endDate location type category group organizer',
+    populate: ['organizer', 'name username avatar profilePicture']
+  },
+
+  hashtag: {
+    model: 'Hashtag',
+    file: '../models/hashtag.model',
+    resultKey: 'hashtags',
+    searchable: (doc) => !doc.isBlocked,
+    describe: (doc) => ({
+      title: doc.displayName || doc.name,
+      tags: [doc.name],
+      date: doc.lastUsed || doc.createdAt,
+      popularity: doc.usageCount || 0
+    }),
+    select: 'name displayName usageCount trendingScore'
+  },
+
+  stream: {
+    model: 'LiveStream',
+    file: '../models/livestream.model',
+    resultKey: 'streams',
+    searchable: (doc) => !doc.isDeleted && doc.status === 'live' && doc.isActive && (doc.privacy || 'public') === 'public',
+    describe: (doc) => ({
+      title: doc.title,
+      body: doc.description,
+      tags: [...(doc.tags || []), doc.category].filter(Boolean),
+      author: doc.streamer,
+      date: doc.startedAt || doc.createdAt,
+      popularity: doc.peakViewers || count(doc.viewers)
+    }),
+    select: 'title description thumbnail muxPlaybackId category tags peakViewers totalViews startedAt streamer',
+    populate: ['streamer', 'name username avatar profilePicture']
+  },
+
+  church: {
+    model: 'ChurchOrg',
+    file: '../models/church.model',
+    resultKey: 'churches',
+    searchable: (doc) => doc.isActive !== false && doc.settings?.isPublic !== false,
+    describe: (doc) => ({
+      title: doc.name,
+      body: [doc.description, doc.motto, doc.leaderName, doc.ceZone?.name].filter(Boolean).join(' '),
+      tags: [doc.type, doc.customMinistry].filter(Boolean),
+      author: doc.leader,
+      // Fellowships and cells facet under their church
+      church: doc.type === 'church' || doc.type === 'zone' ? doc._id : doc.church || doc._id,
+      date: doc.createdAt,
+      popularity: count(doc.members)
+    }),
+    select: 'name slug type description motto logo coverImage leaderName ceZone parent church zone'
+  }
+};
+
+// ?type= values of GET /api/search (and saved searches) and the
+// index types each covers
+const QUERY_TYPES = {
+  all: Object.keys(SEARCH_SOURCES),
+  users: ['user'],
+  posts: ['post'],
+  blogs: ['blog'],
+  groups: ['group'],
+  events: ['event'],
+  hashtags: ['hashtag'],
+  streams: ['stream'],
+  live: ['stream'],
+  churches: ['church']
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  SEARCH_SOURCES,
+  QUERY_TYPES
+};
@@ -1,8 +1,11 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const crypto = require('crypto');
 const { sendEmail } = require('../utils/sendEmail');
+const twoFactorService = require('../services/two-factor.service');
+const sessionService = require('../services/session.service');
+const loginSecurityService = require('../services/login-security.service');
+const { getGeoLocation } = require('../utils/geolocation');
 
 // Auto-follow admin accounts on signup
 let autoFollowAdmins;
@@ -16,13 +19,8 @@ try {
 }
 
 // Get client IP address
-const getClientIP = (req) => {
-  return req.headers['x-forwarded-for']?.split(',')[0] || 
-         req.headers['x-real-ip'] || 
-         req.connection.remoteAddress || 
-         req.socket.remoteAddress || 
-         'unknown';
-};
+// req.ip honours app 'trust proxy' (config/rate-limits.js)
+const getClientIP = (req) => req.ip || req.socket?.remoteAddress || 'unknown';
 
 // Check if IP is new/suspicious
 const isNewIP = (user, currentIP) => {
@@ -34,36 +32,6 @@ const isNewIP = (user, currentIP) => {
   return !isTrusted;
 };
 
-// ========== GEOLOCATION HELPER ==========
-const getGeoLocation = async (ip) => {
-  try {
-    // Skip for local IPs
-    if (ip === '127.0.0.1' || ip === 'localhost' || ip.startsWith('192.168.') || ip.startsWith('10.') || ip === 'unknown') {
-      return null;
-    }
-    
-    // Use ip-api.com (free, no API key required, 45 requests/minute)
-    const fetch = require('node-fetch');
-    const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,country,countryCode,region,regionName,city,zip,lat,lon,timezone`);
-    const data = await response.json();
-    
-    if (data.status === 'success') {
-      return {
-        country: data.country,
-        countryCode: data.countryCode,
-        city: data.city,
-        region: data.regionName,
-        timezone: data.timezone,
-        coordinates: { lat: data.lat, lng: data.lon }
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error('Geolocation error:', error.message);
-    return null;
-  }
-};
-
 // ========== LOCATION MATCH HELPER ==========
 const checkLocationMatch = (provided, detected) => {
   if (!provided || !detected) return null;
@@ -274,13 +242,7 @@ exports.register = async (req, res) => {
       emailVerificationToken: verificationTokenHash,
       emailVerificationExpires: Date.now() + 24 * 60 * 60 * 1000,
       lastKnownIP: clientIP,
-      trustedIPs: [{ ip: clientIP }],
-      loginHistory: [{
-        ip: clientIP,
-        userAgent: req.headers['user-agent'],
-        timestamp: new Date(),
-        location: detectedLocation ? `${detectedLocation.city}, ${detectedLocation.country}` : ''
-      }]
+      trustedIPs: [{ ip: clientIP }]
     });
 
     // ==========================================
@@ -295,12 +257,10 @@ exports.register = async (req, res) => {
       console.log('⚠️ Auto-follow skipped:', afErr.message);
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET || 'cybev-secret-key',
-      { expiresIn: '30d' }
-    );
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken, expiresIn, sessionId } = await sessionService.createSession(user, req, { authMethod: 'register' });
+    loginSecurityService.recordSuccess(user, req, { authMethod: 'register', sessionId, location: detectedLocation })
+      .catch(err => console.error('⚠️ Login history error:', err.message));
 
     // Send verification email
     const verificationUrl = `${process.env.FRONTEND_URL || 'https://cybev.io'}/auth/verify-email?token=${verificationToken}`;
@@ -362,6 +322,8 @@ exports.register = async (req, res) => {
       ok: true,
       message: 'Registration successful! Please check your email to verify your account.',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
@@ -511,6 +473,112 @@ exports.resendVerification = async (req, res) => {
   }
 };
 
+// Answer for a locked account or IP (423 + Retry-After)
+const sendLocked = (res, lock, message) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(423).json({
+    success: false,
+    ok: false,
+    locked: true,
+    message,
+    lockedUntil: lock.lockedUntil,
+    retryAfter: lock.retryAfter
+  });
+};
+
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed sign-in attempts. Try again later or reset your password.';
+
+// ========== COMPLETE LOGIN ==========
+// Shared by password login and the 2FA second step: records the sign-in,
+// alerts on new IPs and starts a device session.
+const completeLogin = async (req, res, user, authMethod = 'password') => {
+  // Check if email is verified (warn but don't block)
+  if (!user.isEmailVerified) {
+    console.log('⚠️ Login from unverified email:', user.email);
+    // Continue with login, but frontend should show reminder
+  }
+
+  // Handle onboarding for users who haven't completed it
+  if (!user.hasCompletedOnboarding) {
+    // Check if onboarding data exists in different format
+    if (user.onboardingData && user.onboardingData.role) {
+      user.hasCompletedOnboarding = true;
+      await user.save();
+    } else if (user.contentType) {
+      // Legacy format - mark as completed
+      user.hasCompletedOnboarding = true;
+      if (!user.onboardingData) {
+        user.onboardingData = {
+          role: 'Creator',
+          goals: ['create'],
+          experience: 'intermediate',
+          completedAt: new Date()
+        };
+      }
+    }
+  }
+
+  // Get client IP
+  const clientIP = getClientIP(req);
+
+  // Check if this is a new/suspicious IP
+  const newIPDetected = isNewIP(user, clientIP);
+
+  if (newIPDetected) {
+    console.log('⚠️ New IP detected for:', user.email, '- IP:', clientIP);
+
+    // Add IP to trusted list (the owner is alerted below and can undo it)
+    if (!user.trustedIPs) user.trustedIPs = [];
+    user.trustedIPs.push({ ip: clientIP });
+  }
+
+  // Update login info
+  user.lastLogin = new Date();
+  user.lastKnownIP = clientIP;
+  user.suspiciousLoginAttempts = 0;
+  user.lockUntil = null;
+
+  await user.save();
+
+  const twoFactorSetupRequired = !user.twoFactorEnabled && await twoFactorService.isRequiredForUser(user);
+
+  // Start a session (short-lived access token + refresh token)
+  const { token, refreshToken, expiresIn, sessionId } = await sessionService.createSession(user, req, { authMethod });
+
+  // History + new-device alert (geo lookup and email don't hold up the response)
+  loginSecurityService.recordSuccess(user, req, { authMethod, sessionId, newDevice: newIPDetected })
+    .catch(err => console.error('⚠️ Login history error:', err.message));
+
+  console.log('✅ Login successful:', user.email, 'from IP:', clientIP, '| role:', user.role, '| isAdmin:', user.isAdmin);
+
+  // =====================================================
+  // IMPORTANT: Include role and isAdmin in the response!
+  // =====================================================
+  res.json({
+    success: true,
+    ok: true,  // For frontend compatibility
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    newIPDetected, // Let frontend know about new IP
+    twoFactorSetupRequired, // Role requires 2FA but user hasn't enrolled yet
+    user: {
+      id: user._id,
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      username: user.username,
+      avatar: user.avatar || '',
+      isEmailVerified: user.isEmailVerified || false,
+      hasCompletedOnboarding: user.hasCompletedOnboarding || false,
+      onboardingData: user.onboardingData,
+      role: user.role || 'user',           // CRITICAL: Include role for admin check
+      isAdmin: user.isAdmin || false       // CRITICAL: Include isAdmin for admin check
+    }
+  });
+};
+
 // ========== LOGIN ==========
 exports.login = async (req, res) => {
   try {
@@ -525,6 +593,13 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Too many failures from this IP (across all accounts)
+    const ipLock = await loginSecurityService.getIpLock(getClientIP(req));
+    if (ipLock) {
+      await loginSecurityService.recordBlocked(null, req, { identifier: email, reason: 'ip_locked' });
+      return sendLocked(res, ipLock, 'Too many failed sign-in attempts from your network. Please try again later.');
+    }
+
     // Find user with password
     const user = await User.findOne({ 
       $or: [
@@ -534,6 +609,7 @@ exports.login = async (req, res) => {
     }).select('+password');
 
     if (!user) {
+      await loginSecurityService.recordFailure(null, req, { identifier: email, reason: 'unknown_user' });
       return res.status(401).json({ 
         success: false,
         ok: false,
@@ -543,6 +619,7 @@ exports.login = async (req, res) => {
 
     // Check if user is banned
     if (user.isBanned) {
+      await loginSecurityService.recordBlocked(user, req, { identifier: email, reason: 'banned' });
       return res.status(403).json({ 
         success: false,
         ok: false,
@@ -550,14 +627,20 @@ exports.login = async (req, res) => {
       });
     }
 
+    const accountLock = loginSecurityService.getAccountLock(user);
+    if (accountLock) {
+      await loginSecurityService.recordBlocked(user, req, { identifier: email, reason: 'account_locked' });
+      return sendLocked(res, accountLock, ACCOUNT_LOCKED_MESSAGE);
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     
     if (!isMatch) {
-      // Track suspicious activity
-      user.suspiciousLoginAttempts = (user.suspiciousLoginAttempts || 0) + 1;
-      await user.save();
-      
+      // Progressive lockout after repeated failures
+      const lock = await loginSecurityService.recordFailure(user, req, { identifier: email, reason: 'invalid_password' });
+      if (lock) return sendLocked(res, lock, ACCOUNT_LOCKED_MESSAGE);
+
       return res.status(401).json({ 
         success: false,
         ok: false,
@@ -565,136 +648,251 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Check if email is verified (warn but don't block)
-    if (!user.isEmailVerified) {
-      console.log('⚠️ Login from unverified email:', user.email);
-      // Continue with login, but frontend should show reminder
-    }
-
-    // Handle onboarding for users who haven't completed it
-    if (!user.hasCompletedOnboarding) {
-      // Check if onboarding data exists in different format
-      if (user.onboardingData && user.onboardingData.role) {
-        user.hasCompletedOnboarding = true;
-        await user.save();
-      } else if (user.contentType) {
-        // Legacy format - mark as completed
-        user.hasCompletedOnboarding = true;
-        if (!user.onboardingData) {
-          user.onboardingData = {
-            role: 'Creator',
-            goals: ['create'],
-            experience: 'intermediate',
-            completedAt: new Date()
-          };
-        }
-      }
+    // Owner reported a sign-in they didn't make - a new password is required
+    if (user.passwordResetRequired) {
+      await loginSecurityService.recordBlocked(user, req, { identifier: email, reason: 'password_reset_required' });
+      return res.status(403).json({ 
+        success: false,
+        ok: false,
+        passwordResetRequired: true,
+        message: 'For your security, please reset your password before signing in.' 
+      });
     }
 
-    // Get client IP
-    const clientIP = getClientIP(req);
-    const userAgent = req.headers['user-agent'];
+    // Two-factor enrolled: hand back a short-lived challenge instead of the session token
+    if (user.twoFactorEnabled && user.twoFactorSecret) {
+      console.log('🔐 2FA challenge issued for:', user.email);
+      return res.json({
+        success: true,
+        ok: true,
+        requiresTwoFactor: true,
+        challengeToken: twoFactorService.createChallengeToken(user),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
-    // Check if this is a new/suspicious IP
-    const newIPDetected = isNewIP(user, clientIP);
+    await completeLogin(req, res, user);
 
-    if (newIPDetected) {
-      console.log('⚠️ New IP detected for:', user.email, '- IP:', clientIP);
-      
-      // Send security alert email
-      try {
-        await sendEmail({
-          to: user.email,
-          subject: '🔐 CYBEV - New Login Detected',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h1 style="color: #F59E0B;">New Login Detected</h1>
-              <p>Hi ${user.name},</p>
-              <p>We detected a login to your CYBEV account from a new location:</p>
-              <div style="background: #FEF3C7; padding: 15px; border-radius: 10px; margin: 20px 0;">
-                <p style="margin: 5px 0;"><strong>IP Address:</strong> ${clientIP}</p>
-                <p style="margin: 5px 0;"><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-                <p style="margin: 5px 0;"><strong>Device:</strong> ${userAgent}</p>
-              </div>
-              <p>If this was you, you can ignore this email. Your IP has been added to trusted devices.</p>
-              <p>If this wasn't you, please secure your account immediately:</p>
-              <ul>
-                <li>Change your password</li>
-                <li>Review your account activity</li>
-                <li>Enable two-factor authentication (coming soon)</li>
-              </ul>
-              <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-              <p style="color: #6b7280; font-size: 14px;">
-                This is an automated security notification from CYBEV.
-              </p>
-            </div>
-          `
-        });
-        console.log('✅ Security alert sent to:', user.email);
-      } catch (emailError) {
-        console.error('⚠️ Failed to send security alert:', emailError);
-      }
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ 
+      success: false,
+      ok: false,
+      message: 'Login failed. Please try again.' 
+    });
+  }
+};
 
-      // Add IP to trusted list
-      if (!user.trustedIPs) user.trustedIPs = [];
-      user.trustedIPs.push({ ip: clientIP });
+// ========== REFRESH TOKEN ==========
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false,
+        ok: false,
+        message: 'Refresh token is required' 
+      });
     }
 
-    // Update login info
-    user.lastLogin = new Date();
-    user.lastKnownIP = clientIP;
-    user.suspiciousLoginAttempts = 0;
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      success: true,
+      ok: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+
+  } catch (error) {
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: error.message,
+        requiresLogin: true
+      });
+    }
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      ok: false,
+      message: 'Failed to refresh session' 
+    });
+  }
+};
 
-    // Add to login history
-    if (!user.loginHistory) user.loginHistory = [];
-    user.loginHistory.push({
-      ip: clientIP,
-      userAgent: userAgent,
-      timestamp: new Date()
+// ========== OAUTH: EXCHANGE REDIRECT CODE ==========
+exports.exchangeOAuthCode = async (req, res) => {
+  try {
+    const tokens = await sessionService.redeemExchangeCode(req.body.code, req);
+
+    res.json({
+      success: true,
+      ok: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
     });
 
-    // Keep only last 10 login records
-    if (user.loginHistory.length > 10) {
-      user.loginHistory = user.loginHistory.slice(-10);
+  } catch (error) {
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: error.message,
+        requiresLogin: true
+      });
     }
+    console.error('❌ OAuth code exchange error:', error);
+    res.status(500).json({ 
+      success: false,
+      ok: false,
+      message: 'Failed to complete sign-in' 
+    });
+  }
+};
 
-    await user.save();
+// ========== LOGOUT (THIS DEVICE) ==========
+exports.logout = async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await sessionService.revokeSession(req.user.id, req.user.sessionId, 'logout');
+    }
 
-    // Generate token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET || 'cybev-secret-key',
-      { expiresIn: '30d' }
-    );
+    res.json({ success: true, ok: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ success: false, ok: false, message: 'Failed to log out' });
+  }
+};
 
-    console.log('✅ Login successful:', user.email, 'from IP:', clientIP, '| role:', user.role, '| isAdmin:', user.isAdmin);
+// ========== LOGOUT (ALL DEVICES) ==========
+exports.logoutAll = async (req, res) => {
+  try {
+    // keepCurrent: sign out everywhere else but stay signed in here
+    const keepCurrent = req.body?.keepCurrent === true;
+
+    const revoked = await sessionService.revokeAllSessions(req.user.id, {
+      exceptSessionId: keepCurrent ? req.user.sessionId : null
+    });
+
+    console.log(`🔒 ${req.user.email} signed out of ${revoked} session(s)`);
 
-    // =====================================================
-    // IMPORTANT: Include role and isAdmin in the response!
-    // =====================================================
     res.json({
       success: true,
-      ok: true,  // For frontend compatibility
-      message: 'Login successful',
-      token,
-      newIPDetected, // Let frontend know about new IP
-      user: {
-        id: user._id,
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        username: user.username,
-        avatar: user.avatar || '',
-        isEmailVerified: user.isEmailVerified || false,
-        hasCompletedOnboarding: user.hasCompletedOnboarding || false,
-        onboardingData: user.onboardingData,
-        role: user.role || 'user',           // CRITICAL: Include role for admin check
-        isAdmin: user.isAdmin || false       // CRITICAL: Include isAdmin for admin check
-      }
+      ok: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+      revoked
     });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({ success: false, ok: false, message: 'Failed to log out devices' });
+  }
+};
 
+// ========== LIST SESSIONS ==========
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+    res.json({ ok: true, sessions, count: sessions.length });
   } catch (error) {
-    console.error('❌ Login error:', error);
+    console.error('❌ List sessions error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to load sessions' });
+  }
+};
+
+// ========== REVOKE ONE SESSION ==========
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+
+    if (!revoked) {
+      return res.status(404).json({ ok: false, message: 'Session not found' });
+    }
+
+    res.json({ ok: true, message: 'Device signed out' });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to sign out device' });
+  }
+};
+
+// ========== LOGIN: TWO-FACTOR STEP ==========
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ 
+        success: false,
+        ok: false,
+        message: 'Challenge token and verification code are required' 
+      });
+    }
+
+    const challenge = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: 'Verification session expired. Please sign in again.' 
+      });
+    }
+
+    const user = await User.findById(challenge.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: 'Verification session expired. Please sign in again.' 
+      });
+    }
+
+    if (user.isBanned) {
+      return res.status(403).json({ 
+        success: false,
+        ok: false,
+        message: 'Your account has been suspended. Please contact support.' 
+      });
+    }
+
+    const accountLock = loginSecurityService.getAccountLock(user);
+    if (accountLock) {
+      await loginSecurityService.recordBlocked(user, req, { identifier: user.email, reason: 'account_locked', authMethod: '2fa' });
+      return sendLocked(res, accountLock, ACCOUNT_LOCKED_MESSAGE);
+    }
+
+    const result = await twoFactorService.verifyUserCode(user, { code, backupCode });
+    if (!result.valid) {
+      const lock = await loginSecurityService.recordFailure(user, req, { identifier: user.email, reason: 'invalid_2fa', authMethod: '2fa' });
+      if (lock) return sendLocked(res, lock, ACCOUNT_LOCKED_MESSAGE);
+
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: 'Invalid verification code' 
+      });
+    }
+
+    if (result.method === 'backup_code') {
+      console.log('🔑 Backup code used by:', user.email, '- remaining:', twoFactorService.remainingBackupCodes(user));
+    }
+
+    if (!(await twoFactorService.consumeChallenge(challenge))) {
+      return res.status(401).json({ 
+        success: false,
+        ok: false,
+        message: 'Verification session expired. Please sign in again.' 
+      });
+    }
+
+    await completeLogin(req, res, user, '2fa');
+
+  } catch (error) {
+    console.error('❌ 2FA login error:', error);
     res.status(500).json({ 
       success: false,
       ok: false,
@@ -703,6 +901,181 @@ exports.login = async (req, res) => {
   }
 };
 
+// ========== 2FA: STATUS ==========
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+
+    res.json({
+      ok: true,
+      enabled: user.twoFactorEnabled || false,
+      enabledAt: user.twoFactorEnabledAt || null,
+      required: await twoFactorService.isRequiredForUser(user),
+      backupCodesRemaining: twoFactorService.remainingBackupCodes(user)
+    });
+  } catch (error) {
+    console.error('❌ 2FA status error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to get 2FA status' });
+  }
+};
+
+// ========== 2FA: SETUP (ENROLLMENT STEP 1) ==========
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ ok: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    const otpauthUrl = twoFactorService.buildOtpauthUrl(secret, user.email);
+    const qrCode = await twoFactorService.generateQrCode(otpauthUrl);
+
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      ok: true,
+      secret, // For manual entry in the authenticator app
+      otpauthUrl,
+      qrCode,
+      message: 'Scan the QR code, then confirm with the first 6-digit code'
+    });
+  } catch (error) {
+    console.error('❌ 2FA setup error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to start 2FA setup' });
+  }
+};
+
+// ========== 2FA: ENABLE (ENROLLMENT STEP 2) ==========
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ ok: false, message: 'Verification code is required' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ ok: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ ok: false, message: 'Start 2FA setup first' });
+    }
+
+    const counter = twoFactorService.matchCounter(user.twoFactorPendingSecret, code);
+    if (counter === null) {
+      return res.status(400).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = twoFactorService.generateBackupCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    // The enrollment code can't be reused to sign in
+    user.twoFactorLastCounter = counter;
+    user.backupCodes = hashed;
+    await user.save();
+
+    console.log('🔐 2FA enabled for:', user.email);
+
+    res.json({
+      ok: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes: codes // Shown once - user must store them safely
+    });
+  } catch (error) {
+    console.error('❌ 2FA enable error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to enable 2FA' });
+  }
+};
+
+// ========== 2FA: DISABLE ==========
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ ok: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await twoFactorService.isRequiredForUser(user)) {
+      return res.status(403).json({ ok: false, message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({ ok: false, message: 'Incorrect password' });
+    }
+
+    if (!(await twoFactorService.verifyUserCode(user, { code, backupCode })).valid) {
+      return res.status(401).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorLastCounter = null;
+    user.backupCodes = [];
+    await user.save();
+
+    console.log('🔓 2FA disabled for:', user.email);
+
+    res.json({ ok: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('❌ 2FA disable error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to disable 2FA' });
+  }
+};
+
+// ========== 2FA: REGENERATE BACKUP CODES ==========
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ ok: false, message: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ ok: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await twoFactorService.acceptCode(user, code))) {
+      return res.status(401).json({ ok: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = twoFactorService.generateBackupCodes();
+    user.backupCodes = hashed;
+    await user.save();
+
+    res.json({ ok: true, backupCodes: codes });
+  } catch (error) {
+    console.error('❌ Backup codes error:', error);
+    res.status(500).json({ ok: false, message: 'Failed to regenerate backup codes' });
+  }
+};
+
 // ========== FORGOT PASSWORD ==========
 exports.forgotPassword = async (req, res) => {
   try {
@@ -780,6 +1153,41 @@ exports.forgotPassword = async (req, res) => {
   }
 };
 
+// ========== "THIS WASN'T ME" (link in the new sign-in alert) ==========
+exports.reportSuspiciousLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ 
+        success: false,
+        ok: false,
+        message: 'Token is required' 
+      });
+    }
+
+    const { revoked } = await loginSecurityService.reportNotMe(token);
+
+    res.json({
+      success: true,
+      ok: true,
+      message: 'We signed your account out everywhere. Check your email for a link to choose a new password.',
+      revoked
+    });
+
+  } catch (error) {
+    if (error.name === 'LoginSecurityError') {
+      return res.status(error.status).json({ success: false, ok: false, message: error.message });
+    }
+    console.error('❌ Report login error:', error);
+    res.status(500).json({ 
+      success: false,
+      ok: false,
+      message: 'Failed to secure account' 
+    });
+  }
+};
+
 // ========== RESET PASSWORD ==========
 exports.resetPassword = async (req, res) => {
   try {
@@ -815,8 +1223,14 @@ exports.resetPassword = async (req, res) => {
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    user.passwordResetRequired = false;
+    user.suspiciousLoginAttempts = 0;
+    user.lockUntil = null;
     await user.save();
 
+    // Sign out every device that may have been using the old password
+    await sessionService.revokeAllSessions(user._id, { reason: 'password_reset' });
+
     // Send confirmation email
     try {
       await sendEmail({
@@ -7,7 +7,11 @@ async function cleanupOldAuditLogs() {
   cutoffDate.setDate(cutoffDate.getDate() - 90);
 
   try {
-    const result = await AuditLog.deleteMany({ timestamp: { $lt: cutoffDate } });
+    // Account deletion records are the proof an erasure request was honoured - keep them
+    const result = await AuditLog.deleteMany({
+      timestamp: { $lt: cutoffDate },
+      action: { $nin: ['account_deletion_requested', 'account_deletion_cancelled', 'account_deleted'] }
+    });
     console.log(`🧹 Cleanup complete: ${result.deletedCount} old audit logs removed.`);
   } catch (err) {
     console.error('Cleanup error:', err);
@@ -0,0 +1,50 @@
+// ============================================
+// FILE: cron/notification-outbox.js
+// PURPOSE: Retry notification deliveries that failed (or never got
+// their first attempt) and dead-letter the ones out of attempts
+// (services/notification-delivery.service.js)
+// VERSION: 1.0.0
+// Runs every minute; finished entries are purged once an hour
+// ============================================
+
+let isRunning = false;
+let intervalId = null;
+let lastPurge = 0;
+
+async function processOutbox() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1) return;
+
+    const notificationDelivery = require('../services/notification-delivery.service');
+    const { sent, skipped, retrying, dead } = await notificationDelivery.processOutbox();
+    if (sent || retrying || dead) {
+      console.log(`📬 Notification outbox: ${sent} sent, ${skipped} skipped, ${retrying} retrying, ${dead} dead`);
+    }
+
+    if (Date.now() - lastPurge > 60 * 60 * 1000) {
+      lastPurge = Date.now();
+      const purged = await notificationDelivery.purge();
+      if (purged) console.log(`📬 Notification outbox: purged ${purged} finished entries`);
+    }
+  } catch (err) {
+    console.error('Notification outbox error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  start() {
+    console.log('📬 Notification Outbox started (every minute)');
+    setTimeout(processOutbox, 45 * 1000);
+    intervalId = setInterval(processOutbox, 60 * 1000);
+  },
+  stop() {
+    if (intervalId) clearInterval(intervalId);
+  },
+  processOutbox // Export for manual trigger
+};
@@ -0,0 +1,58 @@
+// ============================================
+// FILE: cron/privacy-processor.js
+// PURPOSE: Build pending data exports, expire old export files
+// and carry out account deletions whose grace period has ended
+// VERSION: 1.0.0
+// Runs every 5 minutes
+// ============================================
+
+let isRunning = false;
+let intervalId = null;
+
+async function processRequests() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1) return;
+
+    const privacyService = require('../services/privacy.service');
+    const DataRequest = privacyService.getModel();
+
+    const exports = await DataRequest.find({ type: 'export', status: 'pending' })
+      .sort({ createdAt: 1 })
+      .limit(5);
+    for (const request of exports) {
+      await privacyService.processExport(request);
+    }
+
+    const expired = await privacyService.expireExports();
+    if (expired) console.log(`🔒 Privacy: ${expired} expired export(s) removed`);
+
+    const deletions = await DataRequest.find({
+      type: 'deletion',
+      status: 'pending',
+      scheduledFor: { $lte: new Date() }
+    }).limit(10);
+    for (const request of deletions) {
+      await privacyService.processDeletion(request);
+    }
+  } catch (err) {
+    console.error('Privacy processor error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  start() {
+    console.log('🔒 Privacy Processor started (every 5 min)');
+    setTimeout(processRequests, 45000);
+    intervalId = setInterval(processRequests, 5 * 60 * 1000);
+  },
+  stop() {
+    if (intervalId) clearInterval(intervalId);
+  },
+  processRequests // Export for manual trigger
+};
@@ -0,0 +1,42 @@
+// ============================================
+// FILE: cron/saved-search-alerts.js
+// PURPOSE: Notify users when new content matches one of their saved
+// searches (services/saved-search.service.js). Each saved search is
+// checked at most once per SAVED_SEARCH_ALERT_INTERVAL_MINUTES.
+// VERSION: 1.0.0
+// Runs every 10 minutes
+// ============================================
+
+let isRunning = false;
+let intervalId = null;
+
+async function processAlerts() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1) return;
+
+    const savedSearchService = require('../services/saved-search.service');
+    const { checked, notified } = await savedSearchService.processAlerts();
+    if (notified) console.log(`🔔 Saved searches: ${checked} checked, ${notified} alert(s) sent`);
+  } catch (err) {
+    console.error('Saved search alerts error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  start() {
+    console.log('🔔 Saved Search Alerts started (every 10 min)');
+    // After the first index sweep
+    setTimeout(processAlerts, 90 * 1000);
+    intervalId = setInterval(processAlerts, 10 * 60 * 1000);
+  },
+  stop() {
+    if (intervalId) clearInterval(intervalId);
+  },
+  processAlerts // Export for manual trigger
+};
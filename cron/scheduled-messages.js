@@ -0,0 +1,40 @@
+// ============================================
+// FILE: cron/scheduled-messages.js
+// PURPOSE: Send chat messages scheduled for later
+// (services/scheduled-message.service.js)
+// VERSION: 1.0.0
+// Runs every minute
+// ============================================
+
+let isRunning = false;
+let intervalId = null;
+
+async function processScheduled() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1) return;
+
+    const scheduledMessageService = require('../services/scheduled-message.service');
+    const { sent, failed } = await scheduledMessageService.processDue();
+    if (sent || failed) console.log(`⏰ Scheduled messages: ${sent} sent, ${failed} failed`);
+  } catch (err) {
+    console.error('Scheduled messages error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  start() {
+    console.log('⏰ Scheduled Messages started (every minute)');
+    setTimeout(processScheduled, 30 * 1000);
+    intervalId = setInterval(processScheduled, 60 * 1000);
+  },
+  stop() {
+    if (intervalId) clearInterval(intervalId);
+  },
+  processScheduled // Export for manual trigger
+};
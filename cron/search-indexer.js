@@ -0,0 +1,53 @@
+// ============================================
+// FILE: cron/search-indexer.js
+// PURPOSE: Incremental search index sweep - re-indexes content whose
+// updatedAt moved past the per-source checkpoint (first run builds
+// the whole index) and prunes dictionary terms no longer used
+// VERSION: 1.0.0
+// Runs every 2 minutes
+// ============================================
+
+const { SEARCH_SOURCES } = require('../config/search-index');
+
+let isRunning = false;
+let intervalId = null;
+
+async function processIndex() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const mongoose = require('mongoose');
+    if (mongoose.connection.readyState !== 1) return;
+
+    const searchService = require('../services/search.service');
+
+    let processed = 0;
+    for (const type of Object.keys(SEARCH_SOURCES)) {
+      try {
+        processed += await searchService.sweep(type);
+      } catch (err) {
+        console.error(`Search indexer (${type}) error:`, err.message);
+      }
+    }
+
+    const pruned = await searchService.pruneDictionary();
+    if (processed || pruned) console.log(`🔎 Search index: ${processed} document(s) indexed, ${pruned} term(s) pruned`);
+  } catch (err) {
+    console.error('Search indexer error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  start() {
+    console.log('🔎 Search Indexer started (every 2 min)');
+    setTimeout(processIndex, 30000);
+    intervalId = setInterval(processIndex, 2 * 60 * 1000);
+  },
+  stop() {
+    if (intervalId) clearInterval(intervalId);
+  },
+  processIndex // Export for manual trigger
+};
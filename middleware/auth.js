@@ -1,67 +1,337 @@
-const jwt = require('jsonwebtoken');
+// ============================================
+// FILE: middleware/auth.js
+// Unified authentication & authorization layer
+// VERSION: 2.2
+// Every router authenticates through this module so req.user
+// has the same shape everywhere:
+//   { id, _id, userId, email, name, username, role, isAdmin,
+//     isEmailVerified, scopes, sessionId, authType }
+// authType is 'session' (JWT), 'api_key' or 'oauth'. Keys and
+// OAuth apps only get the scopes they were granted, and only on
+// routes that declare one (requireScope / requireAccess) - everywhere
+// else they are turned away.
+// ============================================
 
-const authenticateToken = (req, res, next) => {
+const mongoose = require('mongoose');
+const sessionService = require('../services/session.service');
+const apiKeyService = require('../services/api-key.service');
+const oauthProviderService = require('../services/oauth-provider.service');
+const { hasScope, scopesForRole, restrictScopes } = require('../config/permissions');
+
+const PRINCIPAL_FIELDS = 'email name username role isAdmin isEmailVerified isBanned status';
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+const getTokenFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+  // Scripts may also send API keys as X-API-Key
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) return String(apiKey).trim() || null;
+  return null;
+};
+
+// req.ip honours app 'trust proxy' (config/rate-limits.js) - a client
+// can't pick its own address with X-Forwarded-For
+const getRequestIp = (req) => req?.ip || req?.socket?.remoteAddress || '';
+
+const authError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Build the normalized principal from a user record (or token claims when
+ * the database is unavailable)
+ */
+const buildPrincipal = (source, extra = {}) => {
+  const id = String(source._id || source.id || source.userId);
+  const isAdmin = !!source.isAdmin || source.role === 'admin';
+  const role = isAdmin ? 'admin' : (source.role || 'user');
+
+  return {
+    id,
+    _id: id,
+    userId: id,
+    email: source.email,
+    name: source.name,
+    username: source.username,
+    role,
+    isAdmin,
+    isEmailVerified: source.isEmailVerified || false,
+    scopes: scopesForRole(role),
+    sessionId: null,
+    authType: 'session',
+    ...extra
+  };
+};
+
+const loadPrincipalUser = async (userId) => {
+  const User = mongoose.models.User || require('../models/user.model');
+  const user = await User.findById(userId).select(PRINCIPAL_FIELDS).lean();
+
+  if (!user || user.status === 'deleted') throw authError(401, 'User not found. Please login again.', 'USER_NOT_FOUND');
+  if (user.isBanned) throw authError(403, 'Your account has been suspended. Please contact support.', 'ACCOUNT_SUSPENDED');
+
+  return user;
+};
+
+/**
+ * Staff tools need a signed-in session, or a delegated credential that was
+ * explicitly granted an admin scope
+ */
+const hasStaffAccess = (principal) =>
+  principal.authType === 'session' ||
+  (principal.scopes || []).some(scope => scope === '*' || scope.startsWith('admin:'));
+
+/**
+ * Principal for a delegated credential: the owner's identity, limited to
+ * the scopes on the credential that the owner's role still allows.
+ * Without an admin scope the credential acts as a regular user, so
+ * inline role checks across routers can't be reached with it.
+ */
+const buildDelegatedPrincipal = (user, grantedScopes, extra) => {
+  const principal = buildPrincipal(user, extra);
+  principal.scopes = restrictScopes(grantedScopes, principal.scopes);
+  if (!hasStaffAccess(principal)) {
+    principal.isAdmin = false;
+    principal.role = ['admin', 'moderator'].includes(principal.role) ? 'user' : principal.role;
+  }
+  return principal;
+};
+
+const resolveApiKey = async (token, req) => {
+  if (mongoose.connection.readyState !== 1) throw authError(503, 'API keys are temporarily unavailable.', 'AUTH_UNAVAILABLE');
+
+  let apiKey;
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ 
-        ok: false,
-        error: 'Access denied. No token provided.' 
-      });
+    apiKey = await apiKeyService.authenticate(token, { ip: getRequestIp(req) });
+  } catch (error) {
+    if (error.name === 'ApiKeyError') throw authError(401, error.message, 'INVALID_API_KEY');
+    throw error;
+  }
+
+  const user = await loadPrincipalUser(apiKey.user);
+  return buildDelegatedPrincipal(user, apiKey.scopes, { authType: 'api_key', apiKeyId: String(apiKey._id) });
+};
+
+const resolveOAuthToken = async (token) => {
+  if (mongoose.connection.readyState !== 1) throw authError(503, 'OAuth is temporarily unavailable.', 'AUTH_UNAVAILABLE');
+
+  let grant;
+  try {
+    grant = await oauthProviderService.authenticate(token);
+  } catch (error) {
+    if (error.name === 'OAuthError') {
+      throw authError(401, error.message, error.expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN');
     }
+    throw error;
+  }
+
+  const user = await loadPrincipalUser(grant.user);
+  return buildDelegatedPrincipal(user, grant.scopes, {
+    authType: 'oauth',
+    oauthClientId: grant.client.clientId,
+    oauthClientName: grant.client.name
+  });
+};
+
+const delegatedNotAllowed = () =>
+  authError(403, 'API keys and connected apps can\'t be used for this action', 'AUTH_TYPE_NOT_ALLOWED');
+
+/**
+ * Resolve a bearer token (JWT, API key or OAuth access token) into a
+ * principal. Delegated credentials (API keys, OAuth access tokens) are
+ * refused unless `allowDelegated` - the caller then checks their scopes.
+ * Throws errors carrying an HTTP status and a machine-readable code.
+ */
+const resolveToken = async (token, req, { allowDelegated = false } = {}) => {
+  if (apiKeyService.isApiKey(token)) {
+    if (!allowDelegated) throw delegatedNotAllowed();
+    return resolveApiKey(token, req);
+  }
+  if (oauthProviderService.isAccessToken(token)) {
+    if (!allowDelegated) throw delegatedNotAllowed();
+    return resolveOAuthToken(token);
+  }
+
+  let decoded;
+  try {
+    decoded = await sessionService.verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw authError(401, 'Token expired. Please login again.', 'TOKEN_EXPIRED');
+    if (error.name === 'SessionRevokedError') throw authError(401, 'Session signed out. Please login again.', 'SESSION_REVOKED');
+    throw authError(401, 'Invalid token.', 'INVALID_TOKEN');
+  }
+
+  const userId = decoded.id || decoded.userId || decoded._id;
+  if (!userId) throw authError(401, 'Invalid token.', 'INVALID_TOKEN');
+
+  const extra = { sessionId: decoded.sid || null };
+
+  if (mongoose.connection.readyState !== 1) {
+    return buildPrincipal({ ...decoded, _id: userId }, extra);
+  }
+
+  const user = await loadPrincipalUser(userId);
+  return buildPrincipal(user, extra);
+};
+
+/**
+ * Authenticate a raw request (used by middleware and Socket.IO handshakes)
+ */
+const authenticateRequest = async (req, options = {}) => {
+  const token = getTokenFromRequest(req);
+  if (!token) throw authError(401, 'Access denied. No token provided.', 'NO_TOKEN');
+  return resolveToken(token, req, options);
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    req.user = {
-      id: decoded.userId || decoded.id,
-      email: decoded.email,
-      name: decoded.name
-    };
+/**
+ * Whether the matched route checks scopes itself (requireScope /
+ * requireAccess further down its middleware chain)
+ */
+const routeDeclaresScope = (req) => (req.route?.stack || [])
+  .some(layer => layer.handle?.apiDoc?.scopes || layer.handle?.apiDoc?.access);
 
+const sendAuthError = (res, error) => {
+  const status = error.status || 500;
+  res.status(status).json({
+    ok: false,
+    success: false,
+    error: status === 500 ? 'Failed to authenticate token.' : error.message,
+    code: error.code || 'AUTH_FAILED'
+  });
+};
+
+// ==========================================
+// MIDDLEWARE
+// ==========================================
+
+// Attach what a middleware requires so services/openapi.service.js can document it
+const describe = (middleware, apiDoc) => Object.assign(middleware, { apiDoc });
+
+/**
+ * Require an authenticated principal
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    req.user = await authenticateRequest(req, { allowDelegated: routeDeclaresScope(req) });
     next();
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        ok: false,
-        error: 'Token expired. Please login again.' 
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        ok: false,
-        error: 'Invalid token.' 
-      });
-    }
+    if (!error.status) console.error('❌ Authentication error:', error.message);
+    sendAuthError(res, error);
+  }
+};
+describe(authenticate, { auth: 'required' });
 
-    return res.status(500).json({ 
-      ok: false,
-      error: 'Failed to authenticate token.' 
-    });
+/**
+ * Attach req.user when a valid token is present, continue anonymously otherwise
+ */
+const optionalAuth = async (req, res, next) => {
+  if (!getTokenFromRequest(req)) return next();
+  try {
+    req.user = await authenticateRequest(req, { allowDelegated: routeDeclaresScope(req) });
+  } catch (error) {
+    req.user = undefined;
   }
+  next();
 };
+describe(optionalAuth, { auth: 'optional' });
 
-const isAdmin = (req, res, next) => {
+/**
+ * Require one of the given roles (admins always pass)
+ */
+const requireRole = (...roles) => describe((req, res, next) => {
   if (!req.user) {
-    return res.status(401).json({ 
-      ok: false,
-      error: 'Authentication required' 
-    });
+    return res.status(401).json({ ok: false, success: false, error: 'Authentication required', code: 'NO_TOKEN' });
   }
+  if (req.user.isAdmin || roles.includes(req.user.role)) return next();
+  return res.status(403).json({
+    ok: false,
+    success: false,
+    error: roles.length === 1 && roles[0] === 'admin' ? 'Admin access required' : 'Forbidden: insufficient role',
+    code: 'INSUFFICIENT_ROLE'
+  });
+}, { auth: 'required', roles });
 
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ 
+const requireAdmin = requireRole('admin');
+
+/**
+ * Require every listed scope
+ */
+const requireScope = (...scopes) => describe((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ ok: false, success: false, error: 'Authentication required', code: 'NO_TOKEN' });
+  }
+  const missing = scopes.filter(scope => !hasScope(req.user.scopes, scope));
+  if (missing.length) {
+    return res.status(403).json({
       ok: false,
-      error: 'Admin access required' 
+      success: false,
+      error: `Missing permission: ${missing.join(', ')}`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScopes: missing
     });
   }
-
   next();
-};
+}, { auth: 'required', scopes });
+
+/**
+ * Read/write scope for an area based on the HTTP method:
+ * GET/HEAD need "<area>:read", everything else "<area>:write"
+ */
+const requireAccess = (area) => describe((req, res, next) => {
+  const action = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return requireScope(`${area}:${action}`)(req, res, next);
+}, { auth: 'required', access: area });
+
+/**
+ * Restrict a route to certain credential types, e.g. managing API keys
+ * must be done from a signed-in session, never with another key
+ */
+const requireAuthType = (...types) => describe((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ ok: false, success: false, error: 'Authentication required', code: 'NO_TOKEN' });
+  }
+  if (types.includes(req.user.authType)) return next();
+  return res.status(403).json({
+    ok: false,
+    success: false,
+    error: 'This action requires signing in to CYBEV directly',
+    code: 'AUTH_TYPE_NOT_ALLOWED'
+  });
+}, { auth: 'required', authTypes: types });
+
+/**
+ * Read the authenticated user's id regardless of where it came from
+ */
+const getUserId = (req) => req.user?.id || null;
 
 module.exports = {
-  authenticateToken,
-  isAdmin
+  authenticate,
+  optionalAuth,
+  requireRole,
+  requireAdmin,
+  requireScope,
+  requireAccess,
+  requireAuthType,
+  authenticateRequest,
+  resolveToken,
+  getTokenFromRequest,
+  getRequestIp,
+  buildPrincipal,
+  getUserId,
+  hasScope,
+  hasStaffAccess,
+
+  // Legacy names used across route files
+  authenticateToken: authenticate,
+  verifyToken: authenticate,
+  requireAuth: authenticate,
+  protect: authenticate,
+  isAdmin: requireAdmin
 };
@@ -1,10 +1,6 @@
+const { requireRole } = require('./auth');
 
+// Assumes req.user is populated by middleware/auth.js
 module.exports = function checkRole(requiredRole) {
-  return (req, res, next) => {
-    const user = req.user; // assume populated from auth middleware
-    if (!user || !user.role || user.role !== requiredRole) {
-      return res.status(403).json({ error: 'Forbidden: insufficient role' });
-    }
-    next();
-  };
+  return requireRole(requiredRole);
 };
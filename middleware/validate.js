@@ -0,0 +1,109 @@
+// ============================================
+// FILE: middleware/validate.js
+// Request validation
+// VERSION: 1.0
+// Usage:
+//   const validate = require('../middleware/validate');
+//   const { v, pagination } = require('../utils/validation');
+//
+//   router.get('/', validate({
+//     query: { q: v.search({ required: true }), ...pagination() }
+//   }), handler);
+//
+// req.body / req.query / req.params are replaced with the coerced
+// values (page and limit arrive as numbers). `search` fields are
+// regex-escaped; the text as typed is on req.searchText.
+// Invalid requests get one 400 listing every bad field:
+//   { ok: false, error, message, code: 'VALIDATION_ERROR',
+//     errors: [{ location: 'query', field: 'limit', message: 'must be a whole number' }] }
+//
+// validate.rejectOperators runs app-wide (server.js) and refuses bodies /
+// query strings carrying MongoDB operator keys (`{ "email": { "$ne": null } }`),
+// which covers the routes that don't have a schema yet.
+// ============================================
+
+const { parseShape, escapeRegex, SchemaError } = require('../utils/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const MAX_DEPTH = 20;
+
+const sendErrors = (res, errors) => {
+  const first = errors[0];
+  const summary = errors.length === 1 ? `${first.field} ${first.message}` : 'Some fields are invalid';
+  return res.status(400).json({
+    ok: false,
+    success: false,
+    error: summary,
+    message: summary,
+    code: 'VALIDATION_ERROR',
+    errors
+  });
+};
+
+/**
+ * @param {Object} schemas { params, query, body } - each a map of field builders
+ * @param {Object} [options] { strip } drop keys the schema doesn't list
+ */
+const validate = (schemas, { strip = false } = {}) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      const shape = schemas[location];
+      if (!shape) continue;
+
+      try {
+        parsed[location] = parseShape(shape, req[location] || {}, '', { strip });
+      } catch (error) {
+        if (!(error instanceof SchemaError)) return next(error);
+        errors.push(...error.errors.map(e => ({ location, ...e })));
+      }
+    }
+
+    if (errors.length) return sendErrors(res, errors);
+
+    for (const [location, values] of Object.entries(parsed)) {
+      for (const [key, schema] of Object.entries(schemas[location])) {
+        if (schema.kind !== 'search' || typeof values[key] !== 'string') continue;
+        req.searchText = { ...req.searchText, [key]: values[key] };
+        values[key] = escapeRegex(values[key]);
+      }
+      req[location] = values;
+    }
+
+    next();
+  };
+
+  // Read by services/openapi.service.js
+  middleware.apiDoc = { schemas };
+  return middleware;
+};
+
+/**
+ * Path of the first `$`-prefixed key in a parsed body / query, or null
+ */
+const findOperatorKey = (value, prefix = '', depth = 0) => {
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return null;
+  if (depth > MAX_DEPTH) return prefix || null;
+  for (const [key, child] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (key.startsWith('$')) return path;
+    const found = findOperatorKey(child, path, depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+validate.rejectOperators = (req, res, next) => {
+  const errors = [];
+  for (const location of ['query', 'body']) {
+    const field = findOperatorKey(req[location]);
+    if (field) errors.push({ location, field, message: 'is not allowed' });
+  }
+  if (errors.length) return sendErrors(res, errors);
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,38 @@
+// ============================================
+// FILE: models/api-key.model.js
+// PURPOSE: Personal API keys for scripts and integrations
+// ============================================
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+
+  // Only the SHA-256 of the key is stored; the prefix is kept so users can
+  // recognise a key in the dashboard ("cybev_sk_3f9a...")
+  keyHash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true },
+
+  scopes: [{ type: String }],
+
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: '' },
+
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+apiKeySchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.keyHash;
+  return obj;
+};
+
+module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
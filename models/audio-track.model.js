@@ -0,0 +1,33 @@
+// ============================================
+// FILE: models/audio-track.model.js
+// PURPOSE: Sounds that reels play (services/reel.service.js).
+// Every reel uploaded with its own sound creates an "original audio"
+// track others can reuse; `useCount` is how many reels play it.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const audioTrackSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 120 },
+  artist: { type: String, trim: true, maxlength: 120, default: '' },
+  // Who uploaded it; null once their account is deleted
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // The reel it was taken from
+  originalReel: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+  source: { type: String, enum: ['original', 'library'], default: 'original' },
+
+  url: { type: String, required: true },
+  publicId: String,
+  duration: { type: Number, default: 0 },
+
+  // Owners can stop new reels from using it
+  allowReuse: { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true },
+  useCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+audioTrackSchema.index({ useCount: -1, createdAt: -1 });
+audioTrackSchema.index({ owner: 1, createdAt: -1 });
+audioTrackSchema.index({ title: 'text', artist: 'text' });
+
+module.exports = mongoose.models.AudioTrack || mongoose.model('AudioTrack', audioTrackSchema);
@@ -0,0 +1,19 @@
+// ============================================
+// FILE: models/block.model.js
+// PURPOSE: One user blocking another (services/block.service.js).
+// Blocks work both ways: neither side sees, follows, comments on,
+// mentions or messages the other.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  blocker: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  blocked: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true });
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+blockSchema.index({ blocker: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Block || mongoose.model('Block', blockSchema);
@@ -4,6 +4,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 
 const blogSchema = new mongoose.Schema({
   // Soft delete
@@ -221,6 +222,51 @@ blogSchema.pre('save', async function(next) {
   next();
 });
 
+// Timeline fan-out (services/timeline.service.js)
+blogSchema.pre('save', function(next) {
+  this.$locals.timelineSync = this.isNew || ['status', 'isDeleted'].some(path => this.isModified(path));
+  this.$locals.timelineIsNew = this.isNew;
+  next();
+});
+
+blogSchema.post('save', function(doc) {
+  if (!doc.$locals.timelineSync) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('fan-out', () => timelineService.syncItem('blog', doc, doc.$locals.timelineIsNew));
+});
+
+blogSchema.post('findOneAndDelete', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('blog', doc._id));
+});
+
+blogSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('blog', doc._id));
+});
+
+// Blog.deleteOne(filter) - look the id up first, it's gone afterwards
+blogSchema.pre('deleteOne', { document: false, query: true }, async function() {
+  const doc = await this.model.findOne(this.getFilter()).select('_id').lean();
+  this.$timelineItemId = doc?._id || null;
+});
+
+blogSchema.post('deleteOne', { document: false, query: true }, function() {
+  if (!this.$timelineItemId) return;
+  const itemId = this.$timelineItemId;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('blog', itemId));
+});
+
+// Status changed through findOneAndUpdate / findByIdAndUpdate
+blogSchema.post('findOneAndUpdate', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  if (!timelineService.touchesPublication('blog', this.getUpdate())) return;
+  timelineService.defer('sync', () => timelineService.syncItemById('blog', doc._id));
+});
+
 // Virtual for like count
 blogSchema.virtual('likeCount').get(function() {
   return this.likes ? this.likes.length : 0;
@@ -232,4 +278,7 @@ blogSchema.virtual('totalReactions').get(function() {
   return Object.values(this.reactions).reduce((sum, arr) => sum + (arr?.length || 0), 0);
 });
 
+// Search index (services/search.service.js)
+blogSchema.plugin(searchIndexed, { type: 'blog' });
+
 module.exports = mongoose.model('Blog', blogSchema);
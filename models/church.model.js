@@ -12,6 +12,7 @@
 
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const searchIndexed = require('./plugins/search-indexed');
 
 // ==========================================
 // MEMBER TITLES ENUM
@@ -807,6 +808,9 @@ ChurchEventSchema.index({ startDate: 1, isPublic: 1 });
 // ==========================================
 // EXPORTS
 // ==========================================
+// Search index (services/search.service.js)
+ChurchOrgSchema.plugin(searchIndexed, { type: 'church' });
+
 const ChurchOrg = mongoose.model('ChurchOrg', ChurchOrgSchema);
 const Soul = mongoose.model('Soul', SoulSchema);
 const AttendanceRecord = mongoose.model('AttendanceRecord', AttendanceRecordSchema);
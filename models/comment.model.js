@@ -1,6 +1,9 @@
 // ============================================
 // FILE: models/comment.model.js
 // UPDATED: Added authorName field
+// UPDATED: Threads (depth / root / inReplyTo), votes and ranking
+// fields, edit history, pinning and moderation status
+// (services/comment.service.js, config/comments.js)
 // ============================================
 
 const mongoose = require('mongoose');
@@ -53,12 +56,50 @@ const commentSchema = new mongoose.Schema({
     default: null
   },
   
+  // Top-level comment of the thread (null for top-level comments)
+  rootComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  
+  // 0 for top-level comments
+  depth: {
+    type: Number,
+    default: 0
+  },
+  
+  // The comment actually replied to, when the reply was placed higher
+  // up because of the depth limit
+  inReplyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  
+  // Visible direct replies
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  
   // Likes on comment
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
   
+  dislikes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  // Kept in step with likes / dislikes for sorting
+  likeCount: { type: Number, default: 0 },
+  dislikeCount: { type: Number, default: 0 },
+  score: { type: Number, default: 0 },
+  controversy: { type: Number, default: 0 },
+  
   // Reply comments
   replies: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -71,6 +112,40 @@ const commentSchema = new mongoose.Schema({
     default: false
   },
   
+  editedAt: Date,
+  
+  // Earlier versions, oldest first
+  editHistory: [{
+    _id: false,
+    content: String,
+    editedAt: Date
+  }],
+  
+  // Pinned by the blog / post author
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  
+  // 'held' - waiting for review, seen only by its author and admins
+  // 'removed' - taken down by a moderator
+  status: {
+    type: String,
+    enum: ['visible', 'held', 'removed'],
+    default: 'visible'
+  },
+  
+  moderation: {
+    flags: [String],
+    issues: [String],
+    checkedAt: Date,
+    aiCheckedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    note: String
+  },
+  
   // Soft delete
   isDeleted: {
     type: Boolean,
@@ -84,6 +159,10 @@ commentSchema.index({ blog: 1, createdAt: -1 });
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ user: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1 });
+commentSchema.index({ blog: 1, parentComment: 1, status: 1, isPinned: -1, score: -1 });
+commentSchema.index({ post: 1, parentComment: 1, status: 1, isPinned: -1, score: -1 });
+commentSchema.index({ rootComment: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
 
 // Virtual for likes count
 commentSchema.virtual('likesCount').get(function() {
@@ -104,4 +183,4 @@ commentSchema.pre('save', async function(next) {
   next();
 });
 
-module.exports = mongoose.model('Comment', commentSchema);
+module.exports = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
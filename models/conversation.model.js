@@ -0,0 +1,64 @@
+// ============================================
+// FILE: models/conversation.model.js
+// PURPOSE: Direct and group chats (routes/message.routes.js)
+// ============================================
+
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
+  type: { type: String, enum: ['direct', 'group'], default: 'direct' },
+  name: String, // For group chats
+  avatar: String, // For group chats
+  description: String, // For group chats
+  lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  lastMessageAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // For group chats
+  mutedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  pinnedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Group chats - managed by services/group-chat.service.js
+  settings: {
+    // Who can change the name, avatar and description
+    editInfo: { type: String, enum: ['admins', 'all'], default: 'admins' },
+    // Who can add people
+    addMembers: { type: String, enum: ['admins', 'all'], default: 'admins' }
+  },
+  // Messages pinned to the top of the chat, newest last
+  pinnedMessages: [{
+    _id: false,
+    message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    pinnedAt: { type: Date, default: Date.now }
+  }],
+  invites: [{
+    _id: false,
+    code: { type: String, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    maxUses: { type: Number, default: null }, // null = unlimited
+    uses: { type: Number, default: 0 },
+    revokedAt: Date
+  }],
+  // Removed by an admin - invite links won't let them back in until
+  // an admin adds them again
+  removedMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Unread messages per participant id - kept by
+  // services/message-sync.service.js so every device sees the same count
+  unreadCounts: { type: Map, of: Number, default: {} },
+  // Direct chats only - messages are stored as per-device ciphertext
+  // envelopes (services/e2ee.service.js)
+  encryption: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    enabledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1 });
+conversationSchema.index({ lastMessageAt: -1 });
+conversationSchema.index({ 'invites.code': 1 }, { sparse: true });
+
+module.exports = mongoose.models.Conversation || mongoose.model('Conversation', conversationSchema);
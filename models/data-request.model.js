@@ -0,0 +1,38 @@
+// ============================================
+// FILE: models/data-request.model.js
+// PURPOSE: "Download my data" exports and scheduled account deletions
+// Processed by cron/privacy-processor.js
+// ============================================
+
+const mongoose = require('mongoose');
+
+const dataRequestSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['export', 'deletion'], required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+
+  // Export
+  filePath: { type: String, default: null },
+  fileSize: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null },
+  downloadCount: { type: Number, default: 0 },
+
+  // Deletion - nothing is removed before this date
+  scheduledFor: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  error: { type: String, default: null },
+  // Per-model counts: { blogs: { exported: 3 } } / { blogs: { deleted: 3 } }
+  summary: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true });
+
+dataRequestSchema.index({ type: 1, status: 1, scheduledFor: 1 });
+dataRequestSchema.index({ type: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.DataRequest || mongoose.model('DataRequest', dataRequestSchema);
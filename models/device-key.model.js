@@ -0,0 +1,30 @@
+// ============================================
+// FILE: models/device-key.model.js
+// PURPOSE: Public keys of one device of a user, for end-to-end
+// encrypted chats (services/e2ee.service.js). Private keys never
+// leave the device. A revoked device keeps its row so old envelopes
+// addressed to it still make sense; it gets no new ones.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const deviceKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Chosen by the client, unique per user
+  deviceId: { type: String, required: true, maxlength: 64 },
+  name: { type: String, default: '', maxlength: 100 },
+  registrationId: { type: Number, default: null },
+  identityKey: { type: String, required: true },
+  signedPreKey: {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true },
+    signature: { type: String, required: true }
+  },
+  lastSeenAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+deviceKeySchema.index({ user: 1, deviceId: 1 }, { unique: true });
+deviceKeySchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.models.DeviceKey || mongoose.model('DeviceKey', deviceKeySchema);
@@ -5,6 +5,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 
 const eventSchema = new mongoose.Schema({
   // Basic Info
@@ -285,4 +286,7 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+// Search index (services/search.service.js)
+eventSchema.plugin(searchIndexed, { type: 'event' });
+
 module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,21 @@
+// ============================================
+// FILE: models/feed-impression.model.js
+// PURPOSE: Items already served to a user in the personalized feed,
+// so a fresh load doesn't repeat them. Expire after
+// FEED_RANKING.seenTtlHours (default 72).
+// ============================================
+
+const mongoose = require('mongoose');
+const { FEED_RANKING } = require('../config/feed-ranking');
+
+const feedImpressionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  itemType: { type: String, enum: ['post', 'blog', 'vlog', 'live'], required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+  seenAt: { type: Date, default: Date.now }
+});
+
+feedImpressionSchema.index({ user: 1, itemType: 1, item: 1 }, { unique: true });
+feedImpressionSchema.index({ seenAt: 1 }, { expireAfterSeconds: Math.round(FEED_RANKING.seenTtlHours * 60 * 60) });
+
+module.exports = mongoose.models.FeedImpression || mongoose.model('FeedImpression', feedImpressionSchema);
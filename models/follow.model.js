@@ -58,6 +58,31 @@ followSchema.pre('save', function(next) {
   next();
 });
 
+// Timeline backfill / unlink (services/timeline.service.js)
+followSchema.pre('save', function(next) {
+  this.$locals.timelineSync = this.isNew || this.isModified('status');
+  next();
+});
+
+followSchema.post('save', function(doc) {
+  if (!doc.$locals.timelineSync) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('follow', () => timelineService.syncFollow(doc));
+});
+
+// Upserts from the toggle endpoint (run with { new: true })
+followSchema.post('findOneAndUpdate', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('follow', () => timelineService.syncFollow(doc));
+});
+
+followSchema.post('findOneAndDelete', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('unfollow', () => timelineService.unlink(doc.follower, doc.following));
+});
+
 // Static: Check if user A follows user B
 followSchema.statics.isFollowing = async function(followerId, followingId) {
   const follow = await this.findOne({
@@ -4,6 +4,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 
 const groupSchema = new mongoose.Schema({
   // Basic Info
@@ -252,4 +253,7 @@ groupSchema.methods.updateMemberRole = async function(userId, newRole) {
   return { success: true };
 };
 
+// Search index (services/search.service.js)
+groupSchema.plugin(searchIndexed, { type: 'group' });
+
 module.exports = mongoose.model('Group', groupSchema);
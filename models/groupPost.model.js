@@ -32,7 +32,10 @@ const groupPostSchema = new mongoose.Schema({
     default: 'post'
   },
   
-  // Poll data (if postType is 'poll')
+  // Poll (if postType is 'poll') - see services/poll.service.js
+  pollId: { type: mongoose.Schema.Types.ObjectId, ref: 'Poll', default: null },
+
+  // Legacy embedded poll data, read-only; new polls use pollId
   poll: {
     question: String,
     options: [{
@@ -120,13 +123,10 @@ groupPostSchema.index({ postType: 1 });
 
 // Pre-save: Extract hashtags and update counts
 groupPostSchema.pre('save', function(next) {
-  // Extract hashtags
-  if (this.content) {
-    const hashtagRegex = /#(\w+)/g;
-    const matches = this.content.match(hashtagRegex);
-    if (matches) {
-      this.hashtags = matches.map(tag => tag.slice(1).toLowerCase());
-    }
+  // Extract hashtags (services/content-parsing.service.js)
+  if (this.isModified('content') && this.content) {
+    const contentParsingService = require('../services/content-parsing.service');
+    this.hashtags = contentParsingService.extractHashtags(this.content);
   }
   
   // Update counts
@@ -167,33 +167,4 @@ groupPostSchema.methods.addComment = async function(userId, content) {
   return this.comments[this.comments.length - 1];
 };
 
-// Method: Vote on poll
-groupPostSchema.methods.votePoll = async function(userId, optionIndex) {
-  if (this.postType !== 'poll' || !this.poll) {
-    return { success: false, error: 'Not a poll' };
-  }
-  
-  if (this.poll.endDate && new Date() > new Date(this.poll.endDate)) {
-    return { success: false, error: 'Poll has ended' };
-  }
-  
-  // Remove previous votes if not allowing multiple
-  if (!this.poll.allowMultiple) {
-    this.poll.options.forEach(opt => {
-      opt.votes = opt.votes.filter(v => v.toString() !== userId.toString());
-    });
-  }
-  
-  // Add vote
-  if (this.poll.options[optionIndex]) {
-    const alreadyVoted = this.poll.options[optionIndex].votes.some(v => v.toString() === userId.toString());
-    if (!alreadyVoted) {
-      this.poll.options[optionIndex].votes.push(userId);
-    }
-  }
-  
-  await this.save();
-  return { success: true, poll: this.poll };
-};
-
 module.exports = mongoose.model('GroupPost', groupPostSchema);
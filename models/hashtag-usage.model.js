@@ -0,0 +1,25 @@
+// ============================================
+// FILE: models/hashtag-usage.model.js
+// PURPOSE: One entry per hashtag per piece of public content, used
+// to work out what's trending (GET /api/hashtags/trending). Entries
+// older than HASHTAG_USAGE_RETENTION_DAYS (default 35) expire; the
+// all-time count stays on the Hashtag.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.HASHTAG_USAGE_RETENTION_DAYS) || 35;
+
+const hashtagUsageSchema = new mongoose.Schema({
+  tag: { type: String, required: true, lowercase: true },
+  contentType: { type: String, required: true },
+  contentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+hashtagUsageSchema.index({ contentType: 1, contentId: 1, tag: 1 }, { unique: true });
+hashtagUsageSchema.index({ createdAt: -1, tag: 1 });
+hashtagUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.HashtagUsage || mongoose.model('HashtagUsage', hashtagUsageSchema);
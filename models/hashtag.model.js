@@ -0,0 +1,35 @@
+// ============================================
+// FILE: models/hashtag.model.js
+// PURPOSE: One document per hashtag. `usageCount` is how many
+// pieces of content use it right now; per-use history for trending
+// lives in models/hashtag-usage.model.js
+// (services/content-parsing.service.js keeps both up to date).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const hashtagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  displayName: String, // Casing as first used
+  // Legacy - no longer written; use HashtagUsage
+  posts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+  blogs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Blog' }],
+  usageCount: { type: Number, default: 0 },
+  trendingScore: { type: Number, default: 0 },
+  lastUsed: { type: Date, default: Date.now },
+  category: String,
+  isBlocked: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+hashtagSchema.index({ usageCount: -1 });
+hashtagSchema.index({ trendingScore: -1 });
+
+module.exports = mongoose.models.Hashtag || mongoose.model('Hashtag', hashtagSchema);
@@ -5,6 +5,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 
 const liveStreamSchema = new mongoose.Schema({
   // Soft delete
@@ -398,6 +399,9 @@ liveStreamSchema.statics.findUserActiveStream = function(userId) {
 liveStreamSchema.set('toJSON', { virtuals: true });
 liveStreamSchema.set('toObject', { virtuals: true });
 
+// Search index (services/search.service.js)
+liveStreamSchema.plugin(searchIndexed, { type: 'stream' });
+
 const LiveStream = mongoose.model('LiveStream', liveStreamSchema);
 
 module.exports = LiveStream;
@@ -0,0 +1,51 @@
+// ============================================
+// FILE: models/login-event.model.js
+// PURPOSE: Sign-in history (successes, failures and blocked attempts)
+// Drives per-IP lockout and the account security page.
+// Kept for LOGIN_HISTORY_RETENTION_DAYS (default 90).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS) || 90;
+
+const loginEventSchema = new mongoose.Schema({
+  // Null when the identifier did not match an account
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Email / username that was typed (lower-cased)
+  identifier: { type: String, default: '' },
+
+  status: { type: String, enum: ['success', 'failure', 'blocked'], required: true },
+  reason: {
+    type: String,
+    enum: [
+      null,
+      'invalid_password', 'unknown_user', 'invalid_2fa',
+      'account_locked', 'ip_locked', 'banned', 'password_reset_required'
+    ],
+    default: null
+  },
+  authMethod: { type: String, default: 'password' },
+
+  ip: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  // Looked up for successful sign-ins only (the geo API is rate limited)
+  location: {
+    country: String,
+    countryCode: String,
+    city: String,
+    region: String
+  },
+
+  newDevice: { type: Boolean, default: false },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+
+  // Set when the user answers "this wasn't me"
+  reportedAt: { type: Date, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ ip: 1, status: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.LoginEvent || mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,25 @@
+// ============================================
+// FILE: models/mention.model.js
+// PURPOSE: Who was @mentioned where - one entry per user per piece
+// of content. Editing content only notifies people newly added
+// (services/content-parsing.service.js).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const mentionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  mentionedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  contentType: { type: String, required: true },
+  contentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // What to open - the post a comment belongs to, the conversation
+  // of a message; same as contentId otherwise
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  notified: { type: Boolean, default: false }
+}, { timestamps: true });
+
+mentionSchema.index({ contentType: 1, contentId: 1, user: 1 }, { unique: true });
+mentionSchema.index({ user: 1, createdAt: -1 });
+mentionSchema.index({ mentionedBy: 1 });
+
+module.exports = mongoose.models.Mention || mongoose.model('Mention', mentionSchema);
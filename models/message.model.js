@@ -0,0 +1,95 @@
+// ============================================
+// FILE: models/message.model.js
+// PURPOSE: Direct / group chat messages (routes/message.routes.js)
+// ============================================
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // 'system' messages record group changes - `sender` is who made the
+  // change and `text` a readable fallback (services/group-chat.service.js)
+  type: { type: String, enum: ['user', 'system'], default: 'user' },
+  system: {
+    action: String,
+    targets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    data: mongoose.Schema.Types.Mixed
+  },
+  // Sent by cron/scheduled-messages.js
+  scheduledMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledMessage' },
+  // Empty for end-to-end encrypted messages - the content is in `envelopes`
+  text: { type: String, required: function () { return !this.encrypted; } },
+  attachments: [{
+    type: { type: String, enum: ['image', 'video', 'file', 'audio'] },
+    url: String,
+    name: String,
+    size: Number,
+    // Filled in by services/chat-media.service.js when uploaded through
+    // /api/upload/voice-note or /api/upload/message-media
+    publicId: String,
+    mimeType: String,
+    voice: { type: Boolean, default: false }, // recorded voice note
+    duration: Number, // seconds - audio / video
+    waveform: [Number], // voice notes - peak levels 0-1
+    width: Number,
+    height: Number,
+    thumbnailUrl: String,
+    transcript: {
+      status: { type: String, enum: ['pending', 'done', 'failed'] },
+      text: String,
+      language: String,
+      updatedAt: Date
+    },
+    // Encrypted chats: the file at `url` is ciphertext; its key is
+    // wrapped once per recipient device
+    encryption: {
+      algorithm: String,
+      digest: String,
+      keys: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        device: String,
+        key: String
+      }]
+    }
+  }],
+  // End-to-end encrypted: one ciphertext per recipient device
+  // (services/e2ee.service.js)
+  encrypted: { type: Boolean, default: false },
+  senderDevice: String,
+  envelopes: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    device: String,
+    // 'prekey' starts a session from a claimed bundle
+    type: { type: String, enum: ['prekey', 'message'] },
+    body: String
+  }],
+  readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Participants whose device has received the message (receipts)
+  deliveredTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+  // Reply to a story - a snapshot, since the story expires
+  storyReply: {
+    story: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    mediaType: { type: String, enum: ['image', 'video', 'text'] },
+    previewUrl: String,
+    text: String,
+    expiresAt: Date
+  },
+  reactions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    emoji: String
+  }],
+  editedAt: Date,
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, { timestamps: true });
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ sender: 1 });
+messageSchema.index({ scheduledMessage: 1 }, { sparse: true });
+
+module.exports = mongoose.models.Message || mongoose.model('Message', messageSchema);
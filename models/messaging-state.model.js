@@ -0,0 +1,23 @@
+// ============================================
+// FILE: models/messaging-state.model.js
+// PURPOSE: Per-user messaging state (services/message-sync.service.js):
+// the last sync sequence number handed out, when the user was last
+// online, and their presence / read receipt privacy settings
+// ============================================
+
+const mongoose = require('mongoose');
+
+const messagingStateSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  seq: { type: Number, default: 0 },
+  lastSeenAt: { type: Date, default: null },
+  privacy: {
+    // Who sees online / last seen - unset means config/messaging.js default
+    presence: { type: String, enum: ['everyone', 'contacts', 'nobody'] },
+    // Off: others don't get read receipts from this user (and this
+    // user doesn't get theirs)
+    readReceipts: { type: Boolean, default: true }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.models.MessagingState || mongoose.model('MessagingState', messagingStateSchema);
@@ -0,0 +1,34 @@
+// ============================================
+// FILE: models/mute.model.js
+// PURPOSE: Things a user doesn't want to see - another user, a word
+// or phrase, or a hashtag (services/block.service.js). Muting is
+// one-sided and silent; `feed` / `notifications` say where it applies.
+// Timed mutes are removed by the TTL index shortly after `expiresAt`.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const muteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['user', 'word', 'hashtag'], required: true },
+  // type 'user'
+  mutedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // type 'word' / 'hashtag' - lower case, hashtags without the '#'
+  value: { type: String, default: null, maxlength: 100 },
+  feed: { type: Boolean, default: true },
+  notifications: { type: Boolean, default: true },
+  expiresAt: { type: Date, default: null }
+}, { timestamps: true });
+
+muteSchema.index(
+  { user: 1, type: 1, mutedUser: 1 },
+  { unique: true, partialFilterExpression: { mutedUser: { $type: 'objectId' } } }
+);
+muteSchema.index(
+  { user: 1, type: 1, value: 1 },
+  { unique: true, partialFilterExpression: { value: { $type: 'string' } } }
+);
+muteSchema.index({ user: 1, createdAt: -1 });
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Mute || mongoose.model('Mute', muteSchema);
@@ -0,0 +1,34 @@
+// ============================================
+// FILE: models/notification-outbox.model.js
+// PURPOSE: One channel of one notification waiting to go out
+// (services/notification-delivery.service.js, cron/notification-outbox.js).
+// `payload` is rendered when the notification is created, so a retry
+// sends exactly what the first attempt did. Entries that run out of
+// attempts stay behind with status 'dead'.
+// ============================================
+
+const mongoose = require('mongoose');
+const { CHANNELS } = require('../config/notification-events');
+
+const notificationOutboxSchema = new mongoose.Schema({
+  notification: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', required: true },
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  eventType: { type: String, required: true },
+  channel: { type: String, enum: CHANNELS, required: true },
+  payload: { type: Object, default: {} },
+  // pending -> sending -> sent / skipped, or dead after the last attempt
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'skipped', 'dead'], default: 'pending' },
+  nextAttemptAt: { type: Date, default: Date.now },
+  claimedAt: Date,
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  reason: String,
+  sentAt: Date,
+  deadAt: Date
+}, { timestamps: true });
+
+notificationOutboxSchema.index({ notification: 1, channel: 1 }, { unique: true });
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ recipient: 1 });
+
+module.exports = mongoose.models.NotificationOutbox || mongoose.model('NotificationOutbox', notificationOutboxSchema);
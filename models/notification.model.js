@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { CHANNELS, isEventType } = require('../config/notification-events');
+
+// Where each channel of this notification got to
+// (services/notification-delivery.service.js)
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: CHANNELS, required: true },
+    // pending -> sent, skipped (nothing to send to / turned off) or,
+    // after the last retry, dead
+    status: { type: String, enum: ['pending', 'sent', 'skipped', 'dead'], default: 'pending' },
+    reason: { type: String, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -13,21 +31,26 @@ const notificationSchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // Any event type in config/notification-events.js
     type: {
       type: String,
-      enum: ['follow', 'like', 'comment', 'comment_like', 'mention', 'reward', 'system'],
       default: 'system',
       index: true,
+      validate: {
+        validator: isEventType,
+        message: (props) => `Unknown notification type: ${props.value}`,
+      },
     },
     entityId: { type: mongoose.Schema.Types.ObjectId, default: null },
     entityModel: { type: String, default: null },
     message: { type: String, required: true },
     isRead: { type: Boolean, default: false, index: true },
     meta: { type: Object, default: {} },
+    deliveries: { type: [deliverySchema], default: [] },
   },
   { timestamps: true }
 );
 
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 
-module.exports = mongoose.model('Notification', notificationSchema);
+module.exports = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,89 @@
+// ============================================
+// FILE: models/oauth-app.model.js
+// PURPOSE: Third-party apps acting on behalf of CYBEV users
+// (OAuth2 authorization-code flow)
+// ============================================
+
+const mongoose = require('mongoose');
+
+// ==========================================
+// CLIENT (registered third-party app)
+// ==========================================
+
+const oauthClientSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, default: '', maxlength: 500 },
+  website: { type: String, default: '' },
+  logoUrl: { type: String, default: '' },
+
+  clientId: { type: String, required: true, unique: true },
+  clientSecretHash: { type: String, required: true },
+
+  // Exact-match allow list
+  redirectUris: [{ type: String, required: true }],
+  // Upper bound of what the app may ask users for
+  scopes: [{ type: String }],
+
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+oauthClientSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.clientSecretHash;
+  return obj;
+};
+
+// ==========================================
+// AUTHORIZATION CODE (short-lived, single use)
+// ==========================================
+
+const oauthAuthorizationCodeSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'OAuthClient', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true, unique: true },
+  redirectUri: { type: String, required: true },
+  scopes: [{ type: String }],
+
+  // PKCE (RFC 7636)
+  codeChallenge: { type: String, default: null },
+  codeChallengeMethod: { type: String, enum: ['S256', null], default: null },
+
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==========================================
+// TOKEN (access + refresh pair for one grant)
+// ==========================================
+
+const oauthTokenSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'OAuthClient', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  scopes: [{ type: String }],
+  // Issued to a public client via PKCE (no client secret)
+  publicClient: { type: Boolean, default: false },
+
+  accessTokenHash: { type: String, required: true, unique: true },
+  accessTokenExpiresAt: { type: Date, required: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  refreshTokenExpiresAt: { type: Date, required: true },
+
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+oauthTokenSchema.index({ user: 1, client: 1, revokedAt: 1 });
+oauthTokenSchema.index({ refreshTokenExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthClient = mongoose.models.OAuthClient || mongoose.model('OAuthClient', oauthClientSchema);
+const OAuthAuthorizationCode = mongoose.models.OAuthAuthorizationCode || mongoose.model('OAuthAuthorizationCode', oauthAuthorizationCodeSchema);
+const OAuthToken = mongoose.models.OAuthToken || mongoose.model('OAuthToken', oauthTokenSchema);
+
+module.exports = {
+  OAuthClient,
+  OAuthAuthorizationCode,
+  OAuthToken
+};
@@ -0,0 +1,19 @@
+// ============================================
+// FILE: models/one-time-prekey.model.js
+// PURPOSE: Single-use prekeys a device uploads in batches
+// (services/e2ee.service.js). Handing one out deletes it, so no two
+// senders ever get the same one.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const oneTimePreKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deviceId: { type: String, required: true },
+  keyId: { type: Number, required: true },
+  publicKey: { type: String, required: true }
+}, { timestamps: true });
+
+oneTimePreKeySchema.index({ user: 1, deviceId: 1, keyId: 1 }, { unique: true });
+
+module.exports = mongoose.models.OneTimePreKey || mongoose.model('OneTimePreKey', oneTimePreKeySchema);
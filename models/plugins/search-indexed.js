@@ -0,0 +1,57 @@
+// ============================================
+// FILE: models/plugins/search-indexed.js
+// PURPOSE: Keep the search index in step with a model.
+//   schema.plugin(searchIndexed, { type: 'post' });
+// Saves and findOneAndUpdate re-index the document; findOneAndDelete,
+// doc.deleteOne() and Model.deleteOne / deleteMany remove it. Bulk
+// updates (updateMany etc.) are picked up by the sweep in
+// cron/search-indexer.js instead.
+// `fields` limits re-indexing on save to changes of those paths
+// (users are saved on every sign-in).
+// ============================================
+
+module.exports = function searchIndexed(schema, { type, fields = null }) {
+  const service = () => require('../../services/search.service');
+
+  schema.pre('save', function(next) {
+    this.$locals.searchDirty = this.isNew || !fields || fields.some(path => this.isModified(path));
+    next();
+  });
+
+  schema.post('save', function(doc) {
+    if (!doc.$locals.searchDirty) return;
+    service().defer(`index ${type}`, () => service().indexDocument(type, doc));
+  });
+
+  schema.post('findOneAndUpdate', function(doc) {
+    if (!doc) return;
+    service().defer(`index ${type}`, () => service().reindex(type, doc._id));
+  });
+
+  schema.post('findOneAndDelete', function(doc) {
+    if (!doc) return;
+    service().defer(`remove ${type}`, () => service().removeDocument(type, doc._id));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    service().defer(`remove ${type}`, () => service().removeDocument(type, doc._id));
+  });
+
+  // Query deletes only report a count - collect the ids before they go
+  const collectIds = async function() {
+    const query = this.model.find(this.getFilter());
+    if (this.op === 'deleteOne') query.limit(1);
+    this.$searchRemovedIds = (await query.select('_id').lean()).map(doc => doc._id);
+  };
+
+  const removeCollected = function() {
+    const ids = this.$searchRemovedIds || [];
+    if (!ids.length) return;
+    service().defer(`remove ${type}`, async () => {
+      for (const id of ids) await service().removeDocument(type, id);
+    });
+  };
+
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, collectIds);
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, removeCollected);
+};
@@ -0,0 +1,20 @@
+// ============================================
+// FILE: models/poll-vote.model.js
+// PURPOSE: One vote per user per poll (the options they picked).
+// Kept for anonymous polls too so nobody votes twice; the voter is
+// just never exposed (services/poll.service.js).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const pollVoteSchema = new mongoose.Schema({
+  poll: { type: mongoose.Schema.Types.ObjectId, ref: 'Poll', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  options: [{ type: mongoose.Schema.Types.ObjectId }]
+}, { timestamps: true });
+
+pollVoteSchema.index({ poll: 1, user: 1 }, { unique: true });
+pollVoteSchema.index({ poll: 1, options: 1, createdAt: -1 });
+pollVoteSchema.index({ user: 1 });
+
+module.exports = mongoose.models.PollVote || mongoose.model('PollVote', pollVoteSchema);
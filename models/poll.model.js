@@ -0,0 +1,51 @@
+// ============================================
+// FILE: models/poll.model.js
+// PURPOSE: Polls attached to a feed post, a group post, a group or a
+// live stream (services/poll.service.js). Votes are kept one per
+// voter in models/poll-vote.model.js; the counts here are maintained
+// with $inc so results never need a scan.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const pollSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  question: { type: String, required: true, trim: true, maxlength: 300 },
+  options: [{
+    text: { type: String, required: true, trim: true, maxlength: 100 },
+    voteCount: { type: Number, default: 0 }
+  }],
+
+  // What the poll belongs to - decides who can see it and vote
+  attachedTo: {
+    type: { type: String, enum: ['post', 'group_post', 'group', 'stream'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true }
+  },
+  // The group for group / group_post polls (membership checks)
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null },
+
+  multipleChoice: { type: Boolean, default: false },
+  // Multiple choice only; 0 = any number of options
+  maxChoices: { type: Number, default: 0 },
+  // Voters are never revealed, not even to the author
+  anonymous: { type: Boolean, default: false },
+  allowVoteChange: { type: Boolean, default: true },
+  // always | after_vote (or once closed) | after_close - the author
+  // always sees results
+  resultsVisibility: { type: String, enum: ['always', 'after_vote', 'after_close'], default: 'always' },
+
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  endsAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+
+  // Sum of selected options / people who voted
+  totalVotes: { type: Number, default: 0 },
+  voterCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+pollSchema.index({ 'attachedTo.type': 1, 'attachedTo.id': 1, createdAt: -1 });
+pollSchema.index({ 'attachedTo.id': 1, status: 1 });
+pollSchema.index({ author: 1, createdAt: -1 });
+pollSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.models.Poll || mongoose.model('Poll', pollSchema);
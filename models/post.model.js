@@ -5,6 +5,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 
 const LikeSchema = new mongoose.Schema(
   {
@@ -137,6 +138,35 @@ const PostSchema = new mongoose.Schema(
       recordingUrl: String
     },
 
+    // ==========================================
+    // Reel Data (postType 'reel', services/reel.service.js)
+    // ==========================================
+    reel: {
+      video: {
+        url: String,
+        publicId: String,
+        duration: Number,
+        width: Number,
+        height: Number
+      },
+      thumbnailUrl: String,
+      posterUrl: String,
+      audio: { type: mongoose.Schema.Types.ObjectId, ref: 'AudioTrack', default: null },
+      // Where the sound starts within the audio track
+      audioStart: { type: Number, default: 0 },
+      remixOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+      remixType: { type: String, enum: ['remix', 'duet', 'stitch', null], default: null },
+      allowRemix: { type: Boolean, default: true },
+      remixCount: { type: Number, default: 0 },
+      stats: {
+        plays: { type: Number, default: 0 },
+        viewers: { type: Number, default: 0 },
+        watchSeconds: { type: Number, default: 0 },
+        completions: { type: Number, default: 0 },
+        replays: { type: Number, default: 0 }
+      }
+    },
+
     // ==========================================
     // Engagement
     // ==========================================
@@ -152,6 +182,11 @@ const PostSchema = new mongoose.Schema(
     // Mentions & References
     // ==========================================
     mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+    // ==========================================
+    // Poll (services/poll.service.js)
+    // ==========================================
+    pollId: { type: mongoose.Schema.Types.ObjectId, ref: 'Poll', default: null },
     
     // ==========================================
     // Group Posts
@@ -194,14 +229,11 @@ PostSchema.pre('save', function(next) {
   next();
 });
 
-// Extract hashtags from content
+// Extract hashtags from content (same rules as mentions / trending)
 PostSchema.pre('save', function(next) {
   if (this.isModified('content') && this.content) {
-    const hashtagRegex = /#(\w+)/g;
-    const matches = this.content.match(hashtagRegex);
-    if (matches) {
-      this.hashtags = [...new Set(matches.map(tag => tag.slice(1).toLowerCase()))];
-    }
+    const contentParsingService = require('../services/content-parsing.service');
+    this.hashtags = contentParsingService.extractHashtags(this.content);
   }
   next();
 });
@@ -217,6 +249,54 @@ PostSchema.pre('save', function(next) {
   next();
 });
 
+// ==========================================
+// Timeline fan-out (services/timeline.service.js)
+// ==========================================
+
+PostSchema.pre('save', function(next) {
+  this.$locals.timelineSync = this.isNew || ['status', 'visibility', 'isPublished', 'isDeleted'].some(path => this.isModified(path));
+  this.$locals.timelineIsNew = this.isNew;
+  next();
+});
+
+PostSchema.post('save', function(doc) {
+  if (!doc.$locals.timelineSync) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('fan-out', () => timelineService.syncItem('post', doc, doc.$locals.timelineIsNew));
+});
+
+PostSchema.post('findOneAndDelete', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('post', doc._id));
+});
+
+PostSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('post', doc._id));
+});
+
+// Post.deleteOne(filter) - look the id up first, it's gone afterwards
+PostSchema.pre('deleteOne', { document: false, query: true }, async function() {
+  const doc = await this.model.findOne(this.getFilter()).select('_id').lean();
+  this.$timelineItemId = doc?._id || null;
+});
+
+PostSchema.post('deleteOne', { document: false, query: true }, function() {
+  if (!this.$timelineItemId) return;
+  const itemId = this.$timelineItemId;
+  const timelineService = require('../services/timeline.service');
+  timelineService.defer('remove', () => timelineService.removeItem('post', itemId));
+});
+
+// Status / visibility changed through findOneAndUpdate / findByIdAndUpdate
+PostSchema.post('findOneAndUpdate', function(doc) {
+  if (!doc) return;
+  const timelineService = require('../services/timeline.service');
+  if (!timelineService.touchesPublication('post', this.getUpdate())) return;
+  timelineService.defer('sync', () => timelineService.syncItemById('post', doc._id));
+});
+
 // ==========================================
 // Indexes
 // ==========================================
@@ -228,6 +308,8 @@ PostSchema.index({ postType: 1, createdAt: -1 });
 PostSchema.index({ hashtags: 1 });
 PostSchema.index({ group: 1, createdAt: -1 });
 PostSchema.index({ visibility: 1, status: 1, createdAt: -1 });
+PostSchema.index({ 'reel.audio': 1, createdAt: -1 }, { sparse: true });
+PostSchema.index({ 'reel.remixOf': 1, createdAt: -1 }, { sparse: true });
 
 // ==========================================
 // Virtual Population
@@ -240,4 +322,7 @@ PostSchema.virtual('authorInfo', {
   justOne: true
 });
 
+// Search index (services/search.service.js)
+PostSchema.plugin(searchIndexed, { type: 'post' });
+
 module.exports = mongoose.model('Post', PostSchema);
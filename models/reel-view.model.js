@@ -0,0 +1,27 @@
+// ============================================
+// FILE: models/reel-view.model.js
+// PURPOSE: A signed-in viewer's watch history for one reel.
+// Keeps the reel out of their feed for a while and lets repeat
+// watches count as replays rather than new viewers. The reel's own
+// totals live on the post (`reel.stats`); entries here expire after
+// REEL_VIEWS_RETENTION_DAYS (default 30).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.REEL_VIEWS_RETENTION_DAYS) || 30;
+
+const reelViewSchema = new mongoose.Schema({
+  reel: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  viewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  plays: { type: Number, default: 0 },
+  watchSeconds: { type: Number, default: 0 },
+  completed: { type: Boolean, default: false },
+  lastWatchedAt: { type: Date, default: Date.now }
+});
+
+reelViewSchema.index({ reel: 1, viewer: 1 }, { unique: true });
+reelViewSchema.index({ viewer: 1, lastWatchedAt: -1 });
+reelViewSchema.index({ lastWatchedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.ReelView || mongoose.model('ReelView', reelViewSchema);
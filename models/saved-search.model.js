@@ -0,0 +1,37 @@
+// ============================================
+// FILE: models/saved-search.model.js
+// PURPOSE: A search a user saved to re-run later. With alerts on, the
+// saved-search alerts job notifies the user when new matching content
+// is indexed (services/saved-search.service.js).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const savedSearchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true, maxlength: 80 },
+  query: { type: String, required: true, trim: true, maxlength: 100 },
+  // ?type= value of GET /api/search
+  type: { type: String, default: 'all' },
+  filters: {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null },
+    church: { type: mongoose.Schema.Types.ObjectId, ref: 'ChurchOrg', default: null }
+  },
+
+  alerts: {
+    enabled: { type: Boolean, default: true },
+    email: { type: Boolean, default: false }
+  },
+
+  // Content indexed after this counts as new
+  lastCheckedAt: { type: Date, default: Date.now },
+  lastNotifiedAt: { type: Date, default: null },
+  lastRunAt: { type: Date, default: null },
+  newMatches: { type: Number, default: 0 }
+}, { timestamps: true });
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ 'alerts.enabled': 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema);
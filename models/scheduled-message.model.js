@@ -0,0 +1,49 @@
+// ============================================
+// FILE: models/scheduled-message.model.js
+// PURPOSE: A chat message waiting to be sent at `sendAt`
+// (services/scheduled-message.service.js, cron/scheduled-messages.js).
+// Once sent, `message` points at the real Message.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const scheduledMessageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, default: '' },
+  attachments: [{
+    _id: false,
+    type: { type: String, enum: ['image', 'video', 'file', 'audio'] },
+    url: String,
+    name: String,
+    size: Number,
+    publicId: String,
+    mimeType: String,
+    voice: Boolean,
+    duration: Number,
+    waveform: [Number],
+    width: Number,
+    height: Number,
+    thumbnailUrl: String,
+    transcript: {
+      status: String,
+      text: String,
+      language: String,
+      updatedAt: Date
+    }
+  }],
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  sendAt: { type: Date, required: true },
+  // pending -> sending -> sent, or failed once it can't be sent
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'], default: 'pending' },
+  claimedAt: Date,
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  message: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  sentAt: Date
+}, { timestamps: true });
+
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+module.exports = mongoose.models.ScheduledMessage || mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,48 @@
+// ============================================
+// FILE: models/search-document.model.js
+// PURPOSE: One entry per searchable user / post / blog / group /
+// event / hashtag / stream / church. Holds the analysed terms with
+// their weighted frequencies (for BM25), the facet fields and short
+// text for snippets. Maintained by services/search.service.js.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const searchDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['user', 'post', 'blog', 'group', 'event', 'hashtag', 'stream', 'church'],
+    required: true
+  },
+  ref: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  // t = stemmed term, tf = weighted frequency (title 3x, tags 2x, body 1x)
+  terms: [{ _id: false, t: String, tf: Number }],
+  // Weighted length, for BM25 length normalisation
+  length: { type: Number, default: 0 },
+
+  // Snippet source (truncated)
+  title: { type: String, default: '' },
+  body: { type: String, default: '' },
+
+  // Facets
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null },
+  church: { type: mongoose.Schema.Types.ObjectId, ref: 'ChurchOrg', default: null },
+  date: { type: Date, default: null },
+
+  popularity: { type: Number, default: 0 },
+  indexedAt: { type: Date, default: Date.now },
+  // When the item first became searchable (saved-search alerts)
+  firstIndexedAt: { type: Date, default: Date.now }
+});
+
+searchDocumentSchema.index({ type: 1, ref: 1 }, { unique: true });
+searchDocumentSchema.index({ 'terms.t': 1, type: 1 });
+searchDocumentSchema.index({ author: 1 });
+searchDocumentSchema.index({ group: 1 });
+searchDocumentSchema.index({ church: 1 });
+searchDocumentSchema.index({ type: 1, popularity: -1 });
+searchDocumentSchema.index({ firstIndexedAt: -1 });
+
+module.exports = mongoose.models.SearchDocument || mongoose.model('SearchDocument', searchDocumentSchema);
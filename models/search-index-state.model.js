@@ -0,0 +1,22 @@
+// ============================================
+// FILE: models/search-index-state.model.js
+// PURPOSE: Per-source bookkeeping for the search index: document
+// count and total length (BM25 average length) and how far the
+// incremental sweep (cron/search-indexer.js) has got.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const searchIndexStateSchema = new mongoose.Schema({
+  source: { type: String, required: true, unique: true },
+  docCount: { type: Number, default: 0 },
+  totalLength: { type: Number, default: 0 },
+  // Source documents updated after this are re-indexed by the sweep
+  // (checkpointId breaks ties between documents saved in the same millisecond)
+  checkpoint: { type: Date, default: () => new Date(0) },
+  checkpointId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  lastRunAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
+});
+
+module.exports = mongoose.models.SearchIndexState || mongoose.model('SearchIndexState', searchIndexStateSchema);
@@ -0,0 +1,45 @@
+// ============================================
+// FILE: models/search-log.model.js
+// PURPOSE: Anonymized record of one search and the results clicked
+// from it (services/search-analytics.service.js). No user id or IP
+// is stored: `visitor` is a hash that changes every day, enough to
+// count distinct searchers without following anyone over time.
+// Kept for SEARCH_LOG_RETENTION_DAYS (default 90).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90;
+
+const searchLogSchema = new mongoose.Schema({
+  // Normalised, with emails / phone numbers / long numbers redacted
+  query: { type: String, required: true, maxlength: 100 },
+  type: { type: String, default: 'all' },
+  sort: { type: String, default: 'relevance' },
+  filtered: { type: Boolean, default: false },
+  source: { type: String, enum: ['search', 'users', 'posts', 'saved'], default: 'search' },
+
+  resultCount: { type: Number, default: 0 },
+  didYouMean: { type: String, default: null },
+  page: { type: Number, default: 1 },
+
+  visitor: { type: String, default: null },
+  signedIn: { type: Boolean, default: false },
+
+  clicks: [{
+    _id: false,
+    type: { type: String },
+    ref: mongoose.Schema.Types.ObjectId,
+    // 1-based rank of the result on its page
+    position: Number,
+    at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+searchLogSchema.index({ createdAt: -1 });
+searchLogSchema.index({ query: 1, createdAt: -1 });
+searchLogSchema.index({ resultCount: 1, createdAt: -1 });
+searchLogSchema.index({ 'clicks.ref': 1 });
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.SearchLog || mongoose.model('SearchLog', searchLogSchema);
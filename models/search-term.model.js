@@ -0,0 +1,22 @@
+// ============================================
+// FILE: models/search-term.model.js
+// PURPOSE: Dictionary of indexed terms with document frequency.
+// Gives BM25 its idf and /api/search/suggestions its prefix and
+// typo candidates.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const searchTermSchema = new mongoose.Schema({
+  term: { type: String, required: true, unique: true },
+  // A word as it was written, shown in suggestions instead of the stem
+  display: { type: String, default: '' },
+  // Number of indexed documents containing the term
+  df: { type: Number, default: 0 },
+  length: { type: Number, required: true }
+});
+
+searchTermSchema.index({ df: -1 });
+searchTermSchema.index({ length: 1, term: 1 });
+
+module.exports = mongoose.models.SearchTerm || mongoose.model('SearchTerm', searchTermSchema);
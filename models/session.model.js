@@ -0,0 +1,48 @@
+// ============================================
+// FILE: models/session.model.js
+// PURPOSE: Signed-in devices with rotating refresh tokens
+// ============================================
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  // SHA-256 of the refresh token currently valid for this session
+  refreshTokenHash: { type: String, required: true },
+  // Hashes already rotated out - presenting one again means the token was stolen
+  previousTokenHashes: [{ type: String }],
+  rotationCount: { type: Number, default: 0 },
+  lastRotatedAt: Date,
+
+  // Device info (for "where you're signed in")
+  deviceName: { type: String, default: '' },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  authMethod: { type: String, enum: ['password', '2fa', 'google', 'facebook', 'apple', 'register'], default: 'password' },
+
+  // One-time code an OAuth callback redirect carries instead of the
+  // tokens (POST /api/auth/oauth/exchange); SHA-256, valid for a minute
+  exchangeCodeHash: { type: String, default: null },
+  exchangeCodeExpiresAt: { type: Date, default: null },
+
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'reuse_detected', 'password_reset', 'password_changed', 'suspicious_login', 'admin', null],
+    default: null
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ exchangeCodeHash: 1 }, { sparse: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
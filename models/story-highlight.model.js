@@ -0,0 +1,20 @@
+// ============================================
+// FILE: models/story-highlight.model.js
+// PURPOSE: Stories pinned to the profile under a title. Pinned
+// stories are not purged when they expire (models/story.model.js).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const storyHighlightSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true, trim: true, maxlength: 30 },
+  coverUrl: { type: String, default: null },
+  stories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Story' }],
+  // Position on the profile, lowest first
+  order: { type: Number, default: 0 }
+}, { timestamps: true });
+
+storyHighlightSchema.index({ user: 1, order: 1 });
+
+module.exports = mongoose.models.StoryHighlight || mongoose.model('StoryHighlight', storyHighlightSchema);
@@ -0,0 +1,26 @@
+// ============================================
+// FILE: models/story-view.model.js
+// PURPOSE: Who viewed a story - one entry per story per viewer.
+// The viewer list is kept for STORY_VIEWERS_RETENTION_HOURS
+// (default 48); the story's viewCount stays.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_HOURS = parseInt(process.env.STORY_VIEWERS_RETENTION_HOURS) || 48;
+
+const storyViewSchema = new mongoose.Schema({
+  story: { type: mongoose.Schema.Types.ObjectId, ref: 'Story', required: true },
+  // Denormalised so "has unseen stories" is one query per tray
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  viewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reaction: { type: String, maxlength: 16, default: null },
+  viewedAt: { type: Date, default: Date.now }
+});
+
+storyViewSchema.index({ story: 1, viewer: 1 }, { unique: true });
+storyViewSchema.index({ story: 1, viewedAt: -1 });
+storyViewSchema.index({ viewer: 1, author: 1 });
+storyViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: RETENTION_HOURS * 60 * 60 });
+
+module.exports = mongoose.models.StoryView || mongoose.model('StoryView', storyViewSchema);
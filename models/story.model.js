@@ -0,0 +1,57 @@
+// ============================================
+// FILE: models/story.model.js
+// PURPOSE: 24-hour stories (services/story.service.js)
+// A story is visible until `expiresAt`. `purgeAt` drives the TTL
+// index: it equals `expiresAt`, except while the story is pinned to
+// a highlight, when it is unset so the story is kept.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const STORY_LIFETIME_HOURS = parseInt(process.env.STORY_LIFETIME_HOURS) || 24;
+
+const storySchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  mediaType: { type: String, enum: ['image', 'video', 'text'], required: true },
+
+  // Image / video, uploaded through POST /api/upload/story
+  media: {
+    url: String,
+    publicId: String,
+    thumbnailUrl: String,
+    duration: Number,
+    width: Number,
+    height: Number
+  },
+
+  // Text stories (and the caption on media stories)
+  text: { type: String, maxlength: 500, default: '' },
+  style: {
+    background: { type: String, default: '#7c3aed' },
+    color: { type: String, default: '#ffffff' },
+    font: { type: String, default: 'classic' }
+  },
+
+  // public - anyone; followers - people following the author;
+  // close_friends - the author's close friends list
+  audience: { type: String, enum: ['public', 'followers', 'close_friends'], default: 'followers' },
+  allowReplies: { type: Boolean, default: true },
+
+  viewCount: { type: Number, default: 0 },
+  replyCount: { type: Number, default: 0 },
+
+  expiresAt: { type: Date, default: () => new Date(Date.now() + STORY_LIFETIME_HOURS * 60 * 60 * 1000) },
+  purgeAt: { type: Date },
+  highlights: [{ type: mongoose.Schema.Types.ObjectId, ref: 'StoryHighlight' }]
+}, { timestamps: true });
+
+storySchema.index({ author: 1, expiresAt: -1 });
+storySchema.index({ expiresAt: -1 });
+storySchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+storySchema.pre('save', function(next) {
+  if (this.isNew && !this.highlights.length) this.purgeAt = this.expiresAt;
+  next();
+});
+
+module.exports = mongoose.models.Story || mongoose.model('Story', storySchema);
@@ -0,0 +1,25 @@
+// ============================================
+// FILE: models/sync-event.model.js
+// PURPOSE: One entry in a user's messaging sync log
+// (services/message-sync.service.js). `seq` counts up per user with
+// no gaps, so a client that has seen seq N asks for everything after N.
+// Entries are dropped by the TTL index after `syncRetentionDays`.
+// ============================================
+
+const mongoose = require('mongoose');
+const { MESSAGING } = require('../config/messaging');
+
+const syncEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seq: { type: Number, required: true },
+  // message | message.updated | message.deleted | receipt | unread | conversation | keys
+  type: { type: String, required: true },
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now }
+});
+
+syncEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+syncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: MESSAGING.syncRetentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.models.SyncEvent || mongoose.model('SyncEvent', syncEventSchema);
@@ -0,0 +1,30 @@
+// ============================================
+// FILE: models/timeline-entry.model.js
+// PURPOSE: Precomputed "following" timeline. One entry per follower
+// per post / blog, written when the content is published
+// (services/timeline.service.js). Authors with very large followings
+// are not fanned out - their content is merged in at read time.
+// Kept for TIMELINE_RETENTION_DAYS (default 30).
+// ============================================
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.TIMELINE_RETENTION_DAYS) || 30;
+
+const timelineEntrySchema = new mongoose.Schema({
+  // Whose timeline this is
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  itemType: { type: String, enum: ['post', 'blog'], required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // The item's own createdAt, so entries sort like the content
+  publishedAt: { type: Date, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+timelineEntrySchema.index({ owner: 1, itemType: 1, item: 1 }, { unique: true });
+timelineEntrySchema.index({ owner: 1, publishedAt: -1, item: -1 });
+timelineEntrySchema.index({ owner: 1, author: 1 });
+timelineEntrySchema.index({ itemType: 1, item: 1 });
+timelineEntrySchema.index({ publishedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.TimelineEntry || mongoose.model('TimelineEntry', timelineEntrySchema);
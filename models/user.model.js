@@ -5,6 +5,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const searchIndexed = require('./plugins/search-indexed');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -185,6 +186,32 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Lower-case, without '#' (POST /api/hashtags/:name/follow)
+  followedHashtags: {
+    type: [String],
+    default: []
+  },
+  // Set once the following timeline has been backfilled (services/timeline.service.js)
+  timelineBuiltAt: {
+    type: Date,
+    default: null
+  },
+  // When a background rebuild was claimed, so only one runs at a time
+  timelineRebuildAt: {
+    type: Date,
+    default: null
+  },
+  // Too many followers to copy content into timelines - followers read it
+  // on demand. Kept up to date by services/timeline.service.js
+  timelinePull: {
+    type: Boolean,
+    default: false
+  },
+  // Who sees this user's close-friends stories (services/story.service.js)
+  closeFriends: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // ==========================================
   // Onboarding
@@ -310,6 +337,11 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Notifications over WhatsApp (to `phone`) are opt-in
+    whatsappNotifications: {
+      type: Boolean,
+      default: false
+    },
     newsletterSubscription: {
       type: Boolean,
       default: false
@@ -355,6 +387,15 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'suspended', 'deleted'],
     default: 'active'
   },
+  // Pending account deletion (services/privacy.service.js); cleared on cancel
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   
   // ==========================================
   // Ban Management (for Admin)
@@ -415,6 +456,7 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Legacy - sign-ins are now stored in the LoginEvent collection
   loginHistory: [{
     ip: String,
     userAgent: String,
@@ -436,13 +478,32 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Consecutive failed sign-ins; drives the progressive lockout
   suspiciousLoginAttempts: {
     type: Number,
     default: 0
   },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Set by "this wasn't me" - password sign-in refused until reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Tokens issued before this instant are rejected ("log out all devices")
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
   
   // ==========================================
-  // Two-Factor Auth (Future)
+  // Two-Factor Auth (TOTP)
   // ==========================================
   twoFactorEnabled: {
     type: Boolean,
@@ -451,6 +512,25 @@ const userSchema = new mongoose.Schema({
   twoFactorSecret: {
     type: String
   },
+  // Secret issued by /2fa/setup, promoted once the first code is verified
+  twoFactorPendingSecret: {
+    type: String
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Time step of the last code accepted - that step and earlier ones
+  // can't be used again
+  twoFactorLastCounter: {
+    type: Number,
+    default: null
+  },
+  // Issue time (ms) of the last login challenge completed - challenges
+  // issued up to then are spent
+  twoFactorLastChallengeAt: {
+    type: Number,
+    default: null
+  },
   backupCodes: [{
     code: String,
     used: { type: Boolean, default: false }
@@ -576,6 +656,7 @@ userSchema.methods.toJSON = function() {
   delete obj.resetPasswordToken;
   delete obj.emailVerificationToken;
   delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
   delete obj.backupCodes;
   if (obj.oauthProfile) {
     Object.keys(obj.oauthProfile).forEach(provider => {
@@ -643,4 +724,10 @@ userSchema.index({ 'oauthProfile.google.id': 1 });
 userSchema.index({ 'oauthProfile.facebook.id': 1 });
 userSchema.index({ 'oauthProfile.apple.id': 1 });
 
+// Search index (services/search.service.js)
+userSchema.plugin(searchIndexed, {
+  type: 'user',
+  fields: ['name', 'username', 'bio', 'status', 'isBanned', 'followersCount', 'followerCount']
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Models
 const User = require('../models/user.model');
@@ -150,7 +152,11 @@ router.get('/overview', async (req, res) => {
 // USER ANALYTICS
 // ==========================================
 
-router.get('/users/chart', async (req, res) => {
+router.get('/users/chart', validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const days = period === '7d' ? 7 : period === '90d' ? 90 : 30;
@@ -189,7 +195,16 @@ router.get('/users/chart', async (req, res) => {
   }
 });
 
-router.get('/users/list', async (req, res) => {
+router.get('/users/list', validate({
+  query: {
+    search: v.search(),
+    role: v.string({ max: 20 }),
+    status: v.enum(['banned', 'verified', 'unverified', 'active']),
+    sort: v.string({ max: 40, pattern: /^[a-zA-Z.]+$/, default: 'createdAt' }),
+    order: v.enum(['asc', 'desc'], { default: 'desc' }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, search, role, status, sort = 'createdAt', order = 'desc' } = req.query;
 
@@ -299,7 +314,12 @@ router.get('/content/stats', async (req, res) => {
   }
 });
 
-router.get('/content/top', async (req, res) => {
+router.get('/content/top', validate({
+  query: {
+    type: v.string({ max: 50 }),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const { type = 'blog', limit = 10 } = req.query;
     const Blog = mongoose.models.Blog;
@@ -344,7 +364,11 @@ router.get('/content/top', async (req, res) => {
 // REVENUE ANALYTICS
 // ==========================================
 
-router.get('/revenue/chart', async (req, res) => {
+router.get('/revenue/chart', validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const Transaction = mongoose.models.Transaction;
@@ -428,7 +452,12 @@ router.get('/revenue/breakdown', async (req, res) => {
 // LIVE STREAMS MANAGEMENT
 // ==========================================
 
-router.get('/streams', async (req, res) => {
+router.get('/streams', validate({
+  query: {
+    status: v.string({ max: 50 }),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const LiveStream = mongoose.models.LiveStream;
     
@@ -457,7 +486,12 @@ router.get('/streams', async (req, res) => {
 // REPORTS & FLAGS
 // ==========================================
 
-router.get('/reports', async (req, res) => {
+router.get('/reports', validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const Report = mongoose.models.Report;
     
@@ -742,7 +776,11 @@ router.post('/users/send-bulk-verification-reminders', async (req, res) => {
 // ==========================================
 
 // Delete a single user (admin only)
-router.delete('/users/:userId', async (req, res) => {
+router.delete('/users/:userId', validate({
+  query: {
+    deleteContent: v.string({ max: 5 })
+  }
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { deleteContent } = req.query;
@@ -976,7 +1014,12 @@ const validateNameQuality = (name) => {
 };
 
 // Get users with low-quality names
-router.get('/data-quality/flagged-names', async (req, res) => {
+router.get('/data-quality/flagged-names', validate({
+  query: {
+    severity: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { severity = 'all', page = 1, limit = 50 } = req.query;
 
@@ -10,25 +10,15 @@ const mongoose = require('mongoose');
 const axios = require('axios');
 console.log('🤖 Admin Special Users Routes v3.0 loaded');
 
-let verifyToken;
-try { verifyToken = require('../middleware/verifyToken'); } catch {
-  try { verifyToken = require('../middleware/auth'); } catch {
-    verifyToken = (req, res, next) => {
-      const token = req.headers.authorization?.replace('Bearer ', '');
-      if (!token) return res.status(401).json({ error: 'No token' });
-      try { req.user = require('jsonwebtoken').verify(token, process.env.JWT_SECRET || 'cybev-secret-key'); next(); }
-      catch { return res.status(401).json({ error: 'Invalid token' }); }
-    };
-  }
-}
-const requireAdmin = async (req, res, next) => {
+const { verifyToken, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const requireAdmin = [requireRole('admin'), async (req, res, next) => {
   try {
-    const User = mongoose.model('User');
-    const user = await User.findById(req.user.id || req.user._id);
-    if (!user || (user.role !== 'admin' && !user.isAdmin)) return res.status(403).json({ error: 'Admin access required' });
-    req.adminUser = user; next();
+    req.adminUser = await mongoose.model('User').findById(req.user.id);
+    next();
   } catch (err) { return res.status(500).json({ error: 'Auth check failed' }); }
-};
+}];
 
 let FakeUserGenerator;
 try { ({ FakeUserGenerator } = require('../services/fake-user-generator.service')); console.log('✅ FakeUserGenerator loaded'); } catch (e) { console.log('⚠️ FakeUserGenerator:', e.message); }
@@ -327,7 +317,9 @@ router.post('/simulate-stream-viewers', verifyToken, requireAdmin, async (req, r
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-router.get('/list', verifyToken, requireAdmin, async (req, res) => {
+router.get('/list', verifyToken, requireAdmin, validate({
+  query: { search: v.search(), country: v.string({ max: 100 }), ...pagination({ defaultLimit: 50 }) }
+}), async (req, res) => {
   try { const User = mongoose.model('User'); const p = parseInt(req.query.page) || 1; const l = Math.min(parseInt(req.query.limit) || 50, 100);
     const f = { isSynthetic: true }; if (req.query.country) f['locationData.providedCountry'] = req.query.country;
     if (req.query.search) f.$or = [{ name: { $regex: req.query.search, $options: 'i' } }, { email: { $regex: req.query.search, $options: 'i' } }, { username: { $regex: req.query.search, $options: 'i' } }];
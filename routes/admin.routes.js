@@ -7,17 +7,34 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const verifyToken = require('../middleware/verifyToken');
+const { verifyToken, hasStaffAccess } = require('../middleware/auth');
+const twoFactorService = require('../services/two-factor.service');
+const rateLimitService = require('../services/rate-limit.service');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Admin middleware
 const adminOnly = async (req, res, next) => {
   try {
+    if (!hasStaffAccess(req.user)) {
+      return res.status(403).json({ ok: false, error: 'This credential cannot access admin tools' });
+    }
+
     const User = mongoose.model('User');
     const user = await User.findById(req.user.id);
     
     if (!user || (!user.isAdmin && user.role !== 'admin')) {
       return res.status(403).json({ ok: false, error: 'Admin access required' });
     }
+
+    // Enforce the 2FA policy for admin tools until the admin has enrolled
+    if (!user.twoFactorEnabled && await twoFactorService.isRequiredForUser(user)) {
+      return res.status(403).json({
+        ok: false,
+        error: 'Two-factor authentication is required for your role',
+        twoFactorSetupRequired: true
+      });
+    }
     
     req.adminUser = user;
     next();
@@ -135,7 +152,15 @@ router.get('/stats', verifyToken, adminOnly, async (req, res) => {
 // ==========================================
 
 // GET /api/admin/users - Get all users
-router.get('/users', verifyToken, adminOnly, async (req, res) => {
+router.get('/users', verifyToken, adminOnly, validate({
+  query: {
+    search: v.search(),
+    role: v.string({ max: 20 }),
+    status: v.enum(['verified', 'banned', 'admin']),
+    sort: v.enum(['newest', 'oldest', 'name'], { default: 'newest' }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, search, role, status, sort = 'newest' } = req.query;
 
@@ -257,7 +282,12 @@ router.delete('/users/:userId', verifyToken, adminOnly, async (req, res) => {
 // ==========================================
 
 // GET /api/admin/content - Get all content
-router.get('/content', verifyToken, adminOnly, async (req, res) => {
+router.get('/content', verifyToken, adminOnly, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { type = 'all', page = 1, limit = 20 } = req.query;
     const content = [];
@@ -326,7 +356,11 @@ router.post('/content/:contentId/feature', verifyToken, adminOnly, async (req, r
 // ==========================================
 
 // GET /api/admin/analytics - Get analytics
-router.get('/analytics', verifyToken, adminOnly, async (req, res) => {
+router.get('/analytics', verifyToken, adminOnly, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { period = '7d' } = req.query;
     const User = mongoose.model('User');
@@ -392,6 +426,120 @@ router.put('/settings', verifyToken, adminOnly, async (req, res) => {
   }
 });
 
+// ==========================================
+// SECURITY: TWO-FACTOR POLICY
+// ==========================================
+
+const TWO_FACTOR_ROLES = ['user', 'creator', 'moderator', 'admin'];
+
+// GET /api/admin/security/two-factor - Current 2FA policy + adoption
+router.get('/security/two-factor', verifyToken, adminOnly, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const requiredRoles = await twoFactorService.getRequiredRoles();
+
+    const adoption = await User.aggregate([
+      { $group: {
+        _id: '$role',
+        total: { $sum: 1 },
+        enabled: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } }
+      } }
+    ]);
+
+    res.json({ ok: true, requiredRoles, availableRoles: TWO_FACTOR_ROLES, adoption });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to get 2FA policy' });
+  }
+});
+
+// PUT /api/admin/security/two-factor - Require 2FA for roles
+router.put('/security/two-factor', verifyToken, adminOnly, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(r => !TWO_FACTOR_ROLES.includes(r))) {
+      return res.status(400).json({ ok: false, error: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}` });
+    }
+
+    // Don't lock the acting admin out of the admin tools
+    if (!req.adminUser.twoFactorEnabled && requiredRoles.includes('admin')) {
+      return res.status(400).json({ ok: false, error: 'Enable two-factor authentication on your own account first' });
+    }
+
+    await Settings.findOneAndUpdate(
+      { key: 'twoFactorRequiredRoles' },
+      { value: [...new Set(requiredRoles)], updatedBy: req.user.id },
+      { upsert: true }
+    );
+
+    res.json({ ok: true, requiredRoles: [...new Set(requiredRoles)], message: '2FA policy updated' });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to update 2FA policy' });
+  }
+});
+
+// POST /api/admin/users/:userId/reset-2fa - Clear a user's 2FA (lost device)
+router.post('/users/:userId/reset-2fa', verifyToken, adminOnly, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findByIdAndUpdate(req.params.userId, {
+      twoFactorEnabled: false,
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorEnabledAt: 1 },
+      backupCodes: []
+    }, { new: true }).select('-password');
+
+    if (!user) return res.status(404).json({ ok: false, error: 'User not found' });
+
+    console.log(`🔓 2FA reset for ${user.email} by admin ${req.user.id}`);
+    res.json({ ok: true, user, message: 'Two-factor authentication reset' });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to reset 2FA' });
+  }
+});
+
+// POST /api/admin/users/:userId/unlock - Clear a sign-in lockout
+router.post('/users/:userId/unlock', verifyToken, adminOnly, async (req, res) => {
+  try {
+    const User = mongoose.model('User');
+    const user = await User.findByIdAndUpdate(req.params.userId, {
+      suspiciousLoginAttempts: 0,
+      lockUntil: null
+    }, { new: true }).select('email');
+
+    if (!user) return res.status(404).json({ ok: false, error: 'User not found' });
+
+    console.log(`🔓 Sign-in lock cleared for ${user.email} by admin ${req.user.id}`);
+    res.json({ ok: true, message: 'Account unlocked' });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to unlock account' });
+  }
+});
+
+// ==========================================
+// SECURITY: RATE LIMITS
+// ==========================================
+
+// GET /api/admin/rate-limits - Policies and currently throttled principals
+router.get('/rate-limits', verifyToken, adminOnly, async (req, res) => {
+  try {
+    const throttled = await rateLimitService.listThrottled();
+    res.json({ ok: true, policies: rateLimitService.listPolicies(), throttled });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to get rate limits' });
+  }
+});
+
+// DELETE /api/admin/rate-limits/:id - Lift a throttle early (id from the list above)
+router.delete('/rate-limits/:id', verifyToken, adminOnly, async (req, res) => {
+  try {
+    await rateLimitService.clear(req.params.id);
+    console.log(`🚦 Rate limit ${req.params.id} cleared by admin ${req.user.id}`);
+    res.json({ ok: true, message: 'Throttle lifted' });
+  } catch (error) {
+    res.status(500).json({ ok: false, error: 'Failed to clear rate limit' });
+  }
+});
+
 // ==========================================
 // BULK ACTIONS
 // ==========================================
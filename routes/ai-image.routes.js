@@ -11,27 +11,7 @@ const router = express.Router();
 const axios = require('axios');
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try {
-    verifyToken = require('../middleware/auth.middleware');
-    if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-  } catch (e2) {
-    verifyToken = (req, res, next) => {
-      const token = req.headers.authorization?.split(' ')[1];
-      if (!token) return res.status(401).json({ success: false, error: 'No token' });
-      try {
-        const jwt = require('jsonwebtoken');
-        req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-        next();
-      } catch (err) {
-        res.status(401).json({ success: false, error: 'Invalid token' });
-      }
-    };
-  }
-}
+const { verifyToken } = require('../middleware/auth');
 
 // Image generation providers (in order of preference)
 const PROVIDERS = {
@@ -18,23 +18,7 @@ try {
 }
 
 // Import middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken } = require('../middleware/auth');
 
 const getSitesCollection = () => mongoose.connection.db.collection('sites');
 
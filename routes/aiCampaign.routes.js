@@ -10,27 +10,10 @@ const router = express.Router();
 const AICampaign = require('../models/aiCampaign.model');
 const axios = require('axios');
 
-// Auth middleware - resilient import
-let authenticateToken;
-try {
-  const authMod = require('../middleware/verifyToken');
-  authenticateToken = authMod.authenticateToken || authMod.verifyToken || authMod;
-} catch {
-  try {
-    authenticateToken = require('../middleware/auth');
-    if (authenticateToken.authenticateToken) authenticateToken = authenticateToken.authenticateToken;
-  } catch {
-    authenticateToken = (req, res, next) => {
-      const jwt = require('jsonwebtoken');
-      const token = req.headers.authorization?.split(' ')[1];
-      if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-      try {
-        req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-        next();
-      } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-    };
-  }
-}
+// Auth middleware
+const { authenticateToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 const auth = authenticateToken;
 
 // ==========================================
@@ -111,7 +94,12 @@ function parseJSON(text) {
 // ==========================================
 
 // GET /api/ai-campaigns - List user's campaigns
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
     const query = { user: req.user.id };
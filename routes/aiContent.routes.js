@@ -8,33 +8,14 @@
 // ============================================
 const express = require('express');
 const router = express.Router();
-// Auth middleware - resilient import matching project pattern
-let auth;
-try {
-  auth = require('../middleware/verifyToken');
-} catch (e) {
-  try { auth = require('../middleware/auth.middleware'); } catch (e2) {
-    try {
-      const authModule = require('../middleware/auth');
-      auth = authModule.authenticateToken || authModule;
-    } catch (e3) {
-      auth = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user.id = req.user.userId || req.user.id;
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
+// Auth middleware
+const { authenticate: auth } = require('../middleware/auth');
 const User = require('../models/user.model');
 const Replicate = require('replicate');
 const axios = require('axios');
 const mongoose = require('mongoose');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ─── Initialize Replicate client ───
 const replicate = new Replicate({
@@ -604,7 +585,11 @@ router.post('/video/status/batch', auth, async (req, res) => {
   }
 });
 
-router.get('/video/status/:taskId', auth, async (req, res) => {
+router.get('/video/status/:taskId', auth, validate({
+  query: {
+    provider: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { provider = 'replicate' } = req.query;
@@ -737,7 +722,11 @@ router.post('/music/generate', auth, async (req, res) => {
   }
 });
 
-router.get('/music/status/:taskId', auth, async (req, res) => {
+router.get('/music/status/:taskId', auth, validate({
+  query: {
+    provider: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { taskId } = req.params;
     const { provider = 'replicate' } = req.query;
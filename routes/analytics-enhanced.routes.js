@@ -10,20 +10,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // DASHBOARD OVERVIEW
@@ -33,7 +22,11 @@ const verifyToken = (req, res, next) => {
  * Get comprehensive dashboard analytics
  * GET /api/analytics/dashboard
  */
-router.get('/dashboard', verifyToken, async (req, res) => {
+router.get('/dashboard', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const User = mongoose.models.User || require('../models/user.model');
@@ -141,7 +134,13 @@ router.get('/dashboard', verifyToken, async (req, res) => {
  * Get time-series analytics data
  * GET /api/analytics/timeseries
  */
-router.get('/timeseries', verifyToken, async (req, res) => {
+router.get('/timeseries', verifyToken, validate({
+  query: {
+    metric: v.string({ max: 50 }),
+    period: v.string({ max: 50 }),
+    granularity: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const { metric = 'views', period = '7d', granularity = 'day' } = req.query;
@@ -207,7 +206,14 @@ router.get('/timeseries', verifyToken, async (req, res) => {
  * Get top performing content
  * GET /api/analytics/top-content
  */
-router.get('/top-content', verifyToken, async (req, res) => {
+router.get('/top-content', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    metric: v.string({ max: 50 }),
+    period: v.string({ max: 50 }),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const Blog = mongoose.models.Blog;
@@ -352,7 +358,11 @@ router.get('/audience', verifyToken, async (req, res) => {
  * Get engagement metrics
  * GET /api/analytics/engagement
  */
-router.get('/engagement', verifyToken, async (req, res) => {
+router.get('/engagement', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const { period = '30d' } = req.query;
@@ -458,7 +468,12 @@ router.get('/realtime', verifyToken, async (req, res) => {
  * Export analytics data
  * GET /api/analytics/export
  */
-router.get('/export', verifyToken, async (req, res) => {
+router.get('/export', verifyToken, validate({
+  query: {
+    format: v.string({ max: 50 }),
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const { format = 'json', period = '30d' } = req.query;
@@ -521,7 +536,12 @@ router.get('/export', verifyToken, async (req, res) => {
  * Compare periods
  * GET /api/analytics/compare
  */
-router.get('/compare', verifyToken, async (req, res) => {
+router.get('/compare', verifyToken, validate({
+  query: {
+    period1: v.string({ max: 50 }),
+    period2: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Post = mongoose.models.Post || require('../models/post.model');
     const { period1 = '7d', period2 = 'previous' } = req.query;
@@ -7,7 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const verifyToken = require('../middleware/verifyToken');
+const { verifyToken, authenticateRequest } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // ANALYTICS SCHEMA
@@ -44,7 +47,7 @@ try {
 // ==========================================
 
 // POST /api/analytics/track - Track an event
-router.post('/track', async (req, res) => {
+router.post('/track', rateLimit('analytics-track'), async (req, res) => {
   try {
     const { userId, contentType, contentId, eventType, metadata } = req.body;
 
@@ -54,13 +57,10 @@ router.post('/track', async (req, res) => {
 
     // Get viewer info from token if available
     let viewerId = null;
-    const authHeader = req.headers.authorization;
-    if (authHeader) {
+    if (req.headers.authorization) {
       try {
-        const jwt = require('jsonwebtoken');
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        viewerId = decoded.id;
+        const viewer = await authenticateRequest(req);
+        viewerId = viewer.id;
       } catch {}
     }
 
@@ -89,7 +89,11 @@ router.post('/track', async (req, res) => {
 // ==========================================
 
 // GET /api/analytics - Get user's analytics
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const userId = req.user.id;
@@ -237,7 +241,11 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // GET /api/analytics/content/:contentId - Get content analytics
-router.get('/content/:contentId', verifyToken, async (req, res) => {
+router.get('/content/:contentId', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { contentId } = req.params;
     const { period = '30d' } = req.query;
@@ -326,7 +334,11 @@ router.get('/realtime', verifyToken, async (req, res) => {
 });
 
 // GET /api/analytics/followers - Get follower analytics
-router.get('/followers', verifyToken, async (req, res) => {
+router.get('/followers', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     const userId = req.user.id;
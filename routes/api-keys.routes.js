@@ -0,0 +1,90 @@
+// ============================================
+// FILE: routes/api-keys.routes.js
+// Personal API Keys
+// VERSION: 1.0
+// Keys are managed from a signed-in session only
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticate, requireAuthType } = require('../middleware/auth');
+const { SCOPES, hasScope } = require('../config/permissions');
+const apiKeyService = require('../services/api-key.service');
+
+const sessionOnly = [authenticate, requireAuthType('session')];
+
+const sendError = (res, err, fallback) => {
+  if (err.name === 'ApiKeyError') return res.status(err.status || 400).json({ ok: false, error: err.message });
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ ok: false, error: fallback });
+};
+
+// ==========================================
+// GET /api/api-keys/scopes - Scope catalog for the "new key" form
+// ==========================================
+router.get('/scopes', authenticate, (req, res) => {
+  const scopes = Object.entries(SCOPES)
+    .filter(([scope]) => hasScope(req.user.scopes, scope))
+    .map(([scope, description]) => ({ scope, description }));
+
+  res.json({ ok: true, scopes });
+});
+
+// ==========================================
+// GET /api/api-keys - List my keys
+// ==========================================
+router.get('/', sessionOnly, async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user.id);
+    const now = new Date();
+    res.json({
+      ok: true,
+      keys: keys.map(key => ({
+        ...key,
+        isActive: !key.revokedAt && (!key.expiresAt || key.expiresAt > now)
+      }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to load API keys');
+  }
+});
+
+// ==========================================
+// POST /api/api-keys - Create a key (the key is only shown once)
+// ==========================================
+router.post('/', sessionOnly, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const { key, apiKey } = await apiKeyService.createKey(req.user, { name, scopes, expiresInDays });
+
+    res.status(201).json({
+      ok: true,
+      key,
+      apiKey,
+      message: 'Copy this key now - it will not be shown again'
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to create API key');
+  }
+});
+
+// ==========================================
+// DELETE /api/api-keys/:id - Revoke a key
+// ==========================================
+router.delete('/:id', sessionOnly, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid key id' });
+    }
+
+    const revoked = await apiKeyService.revokeKey(req.user.id, req.params.id);
+    if (!revoked) return res.status(404).json({ ok: false, error: 'API key not found' });
+
+    res.json({ ok: true, message: 'API key revoked' });
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
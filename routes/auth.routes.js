@@ -7,20 +7,28 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const axios = require('axios');
 const authController = require('../controllers/auth.controller');
 const verifyToken = require('../middleware/verifyToken');
+const { requireAuthType } = require('../middleware/auth');
 const requireEmailVerification = require('../middleware/requireEmailVerification');
 const User = require('../models/user.model');
+const twoFactorService = require('../services/two-factor.service');
+const sessionService = require('../services/session.service');
+const loginSecurityService = require('../services/login-security.service');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
+
+// Everything here acts on the account itself (sessions, 2FA, profile) -
+// only from a signed-in session, never with an API key or app token
+const sessionOnly = [verifyToken, requireAuthType('session')];
 
 // ==========================================
 // CONFIGURATION
 // ==========================================
 
-const JWT_SECRET = process.env.JWT_SECRET || 'cybev-secret-key';
-const JWT_EXPIRES = '30d';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://cybev.io';
 const API_URL = process.env.API_URL || 'https://api.cybev.io';
 
@@ -47,19 +55,6 @@ router.options('*', (req, res) => {
 // HELPER FUNCTIONS
 // ==========================================
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user._id, 
-      email: user.email,
-      role: user.role || 'user'
-    },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES }
-  );
-};
-
 // Generate unique username from name/email
 const generateUsername = async (name, email) => {
   let baseUsername = name 
@@ -79,13 +74,23 @@ const generateUsername = async (name, email) => {
   return username;
 };
 
-// Redirect with token (for OAuth callback)
-const redirectWithAuth = (res, user, isNewUser = false) => {
-  const token = generateToken(user);
+// Redirect after an OAuth callback. The URL only carries a one-time code
+// the frontend swaps for the tokens at POST /oauth/exchange - tokens in a
+// URL end up in logs, browser history and Referer headers.
+// Users with 2FA get a challenge token instead and finish at POST /login/2fa
+const redirectWithAuth = async (req, res, user, isNewUser = false, provider = 'google') => {
   const redirectUrl = new URL(`${FRONTEND_URL}/auth/oauth-callback`);
-  redirectUrl.searchParams.set('token', token);
+  if (user.twoFactorEnabled && user.twoFactorSecret) {
+    redirectUrl.searchParams.set('challenge', twoFactorService.createChallengeToken(user));
+    redirectUrl.searchParams.set('requires2fa', '1');
+    return res.redirect(redirectUrl.toString());
+  }
+  const { sessionId } = await sessionService.createSession(user, req, { authMethod: provider });
+  loginSecurityService.recordSuccess(user, req, { authMethod: provider, sessionId })
+    .catch(err => console.error('⚠️ Login history error:', err.message));
+  redirectUrl.searchParams.set('code', await sessionService.createExchangeCode(sessionId));
   redirectUrl.searchParams.set('new', isNewUser ? '1' : '0');
-  console.log('✅ OAuth redirect to:', redirectUrl.toString());
+  console.log(`✅ OAuth ${provider} sign-in for ${user._id} - redirecting to the app`);
   res.redirect(redirectUrl.toString());
 };
 
@@ -128,7 +133,12 @@ router.get('/google', (req, res) => {
 });
 
 // Step 2: Google Callback
-router.get('/google/callback', async (req, res) => {
+router.get('/google/callback', validate({
+  query: {
+    code: v.string({ max: 2048 }),
+    error: v.string({ max: 500 })
+  }
+}), async (req, res) => {
   try {
     const { code, error } = req.query;
     console.log('🔵 Google callback received');
@@ -230,7 +240,7 @@ router.get('/google/callback', async (req, res) => {
       console.log('✅ New user created via Google:', user.email);
     }
 
-    redirectWithAuth(res, user, isNewUser);
+    await redirectWithAuth(req, res, user, isNewUser, 'google');
   } catch (error) {
     console.error('❌ Google OAuth callback error:', error.response?.data || error.message);
     redirectWithError(res, 'callback_error', 'Authentication failed. Please try again.');
@@ -264,7 +274,13 @@ router.get('/facebook', (req, res) => {
 });
 
 // Step 2: Facebook Callback
-router.get('/facebook/callback', async (req, res) => {
+router.get('/facebook/callback', validate({
+  query: {
+    code: v.string({ max: 2048 }),
+    error: v.string({ max: 500 }),
+    error_description: v.string({ max: 500 })
+  }
+}), async (req, res) => {
   try {
     const { code, error, error_description } = req.query;
 
@@ -365,7 +381,7 @@ router.get('/facebook/callback', async (req, res) => {
       console.log('✅ New user created via Facebook:', user.email || fbProfile.id);
     }
 
-    redirectWithAuth(res, user, isNewUser);
+    await redirectWithAuth(req, res, user, isNewUser, 'facebook');
   } catch (error) {
     console.error('❌ Facebook OAuth callback error:', error.response?.data || error.message);
     redirectWithError(res, 'callback_error', 'Authentication failed. Please try again.');
@@ -438,7 +454,7 @@ router.get('/email-status', async (req, res) => {
 });
 
 // Test email sending (admin only)
-router.post('/test-email', verifyToken, async (req, res) => {
+router.post('/test-email', sessionOnly, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user?.isAdmin) {
@@ -494,7 +510,7 @@ router.post('/test-email', verifyToken, async (req, res) => {
 });
 
 // Manually trigger verification email resend (admin can resend for any user)
-router.post('/admin-resend-verification', verifyToken, async (req, res) => {
+router.post('/admin-resend-verification', sessionOnly, async (req, res) => {
   try {
     const adminUser = await User.findById(req.user.id);
     if (!adminUser?.isAdmin) {
@@ -562,19 +578,90 @@ router.post('/admin-resend-verification', verifyToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// REQUEST BODIES
+// Controllers still answer missing fields with their own messages;
+// these reject wrong types (e.g. `{ "email": { "$ne": "" } }`) and
+// oversized input before any query runs.
+// ==========================================
+
+const password = (options = {}) => v.string({ trim: false, max: 128, ...options });
+const token = () => v.string({ max: 2048 });
+const otp = () => v.string({ max: 10 });
+const backupCode = () => v.string({ max: 20 });
+
+const bodies = {
+  register: validate({
+    body: {
+      name: v.string({ max: 100 }),
+      email: v.email(),
+      username: v.string({
+        min: 3,
+        max: 30,
+        pattern: /^[a-zA-Z0-9_]+$/,
+        patternMessage: 'can only contain letters, numbers, and underscores'
+      }),
+      password: password({ min: 6 }),
+      country: v.string({ max: 100 }),
+      city: v.string({ max: 100 })
+    }
+  }),
+  // `email` also accepts a username
+  login: validate({ body: { email: v.string({ max: 254 }), password: password() } }),
+  email: validate({ body: { email: v.email() } }),
+  token: validate({ body: { token: token() } }),
+  resetPassword: validate({ body: { token: token(), password: password({ min: 6 }) } }),
+  refresh: validate({ body: { refreshToken: token() } }),
+  exchange: validate({ body: { code: v.string({ required: true, max: 128 }) } }),
+  logoutAll: validate({ body: { keepCurrent: v.boolean() } }),
+  twoFactorLogin: validate({ body: { challengeToken: token(), code: otp(), backupCode: backupCode() } }),
+  twoFactorCode: validate({ body: { code: otp() } }),
+  twoFactorDisable: validate({ body: { password: password(), code: otp(), backupCode: backupCode() } })
+};
+
 // ==========================================
 // AUTHENTICATION ROUTES
 // ==========================================
 
-router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/verify-email', authController.verifyEmail);
-router.post('/resend-verification', authController.resendVerification);
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password', authController.resetPassword);
+router.post('/register', rateLimit('register'), bodies.register, authController.register);
+router.post('/login', rateLimit('login', 'login-account'), bodies.login, authController.login);
+router.post('/verify-email', bodies.token, authController.verifyEmail);
+router.post('/resend-verification', rateLimit('password-reset', 'password-reset-account'), bodies.email, authController.resendVerification);
+router.post('/forgot-password', rateLimit('password-reset', 'password-reset-account'), bodies.email, authController.forgotPassword);
+router.post('/reset-password', rateLimit('password-reset'), bodies.resetPassword, authController.resetPassword);
+
+// One-click "this wasn't me" from the new sign-in alert
+router.post('/security/not-me', rateLimit('password-reset'), bodies.token, authController.reportSuspiciousLogin);
+
+// ==========================================
+// SESSIONS (REFRESH TOKENS & DEVICES)
+// ==========================================
+
+router.post('/refresh', rateLimit('token-refresh'), bodies.refresh, authController.refreshToken);
+// Code from the OAuth callback redirect -> token pair (once, within a minute)
+router.post('/oauth/exchange', rateLimit('token-refresh'), bodies.exchange, authController.exchangeOAuthCode);
+router.post('/logout', sessionOnly, authController.logout);
+router.post('/logout-all', sessionOnly, bodies.logoutAll, authController.logoutAll);
+router.get('/sessions', sessionOnly, authController.getSessions);
+router.delete('/sessions/:sessionId', sessionOnly, validate({
+  params: { sessionId: v.objectId({ required: true }) }
+}), authController.revokeSession);
+
+// ==========================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ==========================================
+
+// Second login step: exchange challenge token + code for the session token
+router.post('/login/2fa', rateLimit('login-2fa'), bodies.twoFactorLogin, authController.verifyTwoFactorLogin);
+
+router.get('/2fa/status', sessionOnly, authController.getTwoFactorStatus);
+router.post('/2fa/setup', sessionOnly, authController.setupTwoFactor);
+router.post('/2fa/enable', sessionOnly, bodies.twoFactorCode, authController.enableTwoFactor);
+router.post('/2fa/disable', sessionOnly, bodies.twoFactorDisable, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', sessionOnly, bodies.twoFactorCode, authController.regenerateBackupCodes);
 
 // User Profile - Get current user
-router.get('/me', verifyToken, async (req, res) => {
+router.get('/me', sessionOnly, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
     
@@ -611,7 +698,7 @@ router.get('/me', verifyToken, async (req, res) => {
 });
 
 // Profile endpoint (used by login to check onboarding status)
-router.get('/profile', verifyToken, async (req, res) => {
+router.get('/profile', sessionOnly, async (req, res) => {
   try {
     console.log('📋 Fetching profile for user:', req.user.id);
     
@@ -652,7 +739,7 @@ router.get('/profile', verifyToken, async (req, res) => {
 });
 
 // Update Profile - REQUIRES EMAIL VERIFICATION
-router.post('/update-profile', verifyToken, requireEmailVerification, async (req, res) => {
+router.post('/update-profile', sessionOnly, requireEmailVerification, async (req, res) => {
   try {
     const { name, referral } = req.body;
     const user = await User.findByIdAndUpdate(
@@ -667,7 +754,7 @@ router.post('/update-profile', verifyToken, requireEmailVerification, async (req
 });
 
 // Complete Onboarding endpoint - REQUIRES EMAIL VERIFICATION
-router.put('/complete-onboarding', verifyToken, requireEmailVerification, async (req, res) => {
+router.put('/complete-onboarding', sessionOnly, requireEmailVerification, async (req, res) => {
   try {
     const { fullName, role, goals, experience } = req.body;
     
@@ -724,7 +811,7 @@ router.put('/complete-onboarding', verifyToken, requireEmailVerification, async
 });
 
 // Legacy onboarding endpoint (keep for backward compatibility) - REQUIRES EMAIL VERIFICATION
-router.post('/onboarding', verifyToken, requireEmailVerification, async (req, res) => {
+router.post('/onboarding', sessionOnly, requireEmailVerification, async (req, res) => {
   try {
     const { contentType } = req.body;
     
@@ -759,11 +846,17 @@ router.post('/onboarding', verifyToken, requireEmailVerification, async (req, re
 });
 
 // Search users
-router.get('/search', async (req, res) => {
+router.get('/search', validate({
+  query: {
+    q: v.search(),
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 }),
+    skip: v.int({ min: 0, default: 0 })
+  }
+}), async (req, res) => {
   try {
-    const { q, limit = 20, skip = 0 } = req.query;
+    const { q, limit, skip } = req.query;
     
-    if (!q || q.length < 2) {
+    if (!q || req.searchText.q.length < 2) {
       return res.json({ ok: true, users: [], total: 0 });
     }
     
@@ -777,8 +870,8 @@ router.get('/search', async (req, res) => {
     
     const users = await User.find(query)
       .select('username name avatar bio followerCount followingCount')
-      .skip(parseInt(skip))
-      .limit(parseInt(limit))
+      .skip(skip)
+      .limit(limit)
       .sort({ followerCount: -1 });
     
     const total = await User.countDocuments(query);
@@ -787,7 +880,7 @@ router.get('/search', async (req, res) => {
       ok: true,
       success: true,
       users,
-      pagination: { total, limit: parseInt(limit), skip: parseInt(skip) }
+      pagination: { total, limit, skip }
     });
   } catch (error) {
     console.error('User search error:', error);
@@ -796,7 +889,9 @@ router.get('/search', async (req, res) => {
 });
 
 // Get user profile by username (PUBLIC)
-router.get('/user/:username', async (req, res) => {
+router.get('/user/:username', validate({
+  params: { username: v.string({ max: 50 }) }
+}), async (req, res) => {
   try {
     const { username } = req.params;
     
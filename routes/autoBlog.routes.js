@@ -7,26 +7,9 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-let verifyToken;
-try { verifyToken = require('../middleware/verifyToken'); } catch {
-  try { verifyToken = require('../middleware/auth'); } catch {
-    verifyToken = (req, res, next) => {
-      const token = req.headers.authorization?.replace('Bearer ', '');
-      if (!token) return res.status(401).json({ error: 'No token' });
-      try { req.user = require('jsonwebtoken').verify(token, process.env.JWT_SECRET || 'cybev-secret-key'); next(); }
-      catch { return res.status(401).json({ error: 'Invalid token' }); }
-    };
-  }
-}
-
-const requireAdmin = async (req, res, next) => {
-  try {
-    const User = mongoose.model('User');
-    const user = await User.findById(req.user.id || req.user._id);
-    if (!user || (user.role !== 'admin' && !user.isAdmin)) return res.status(403).json({ error: 'Admin access required' });
-    next();
-  } catch { return res.status(500).json({ error: 'Auth check failed' }); }
-};
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 console.log('📝 Auto-Blog routes v1.0 loaded');
 
@@ -148,7 +131,9 @@ router.get('/stats', verifyToken, requireAdmin, async (req, res) => {
 });
 
 // GET /special-users — List available special users for assignment
-router.get('/special-users', verifyToken, requireAdmin, async (req, res) => {
+router.get('/special-users', verifyToken, requireAdmin, validate({
+  query: { search: v.search(), limit: v.int({ min: 1, max: 200, clamp: true, default: 50 }) }
+}), async (req, res) => {
   try {
     const User = mongoose.model('User');
     const { limit = 50, search } = req.query;
@@ -7,7 +7,6 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Import models
 const { Automation, AutomationEnrollment, AutomationEmailLog } = require('../models/automation.model');
@@ -24,18 +23,9 @@ try {
 // AUTHENTICATION MIDDLEWARE
 // ==========================================
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 const getUserId = (req) => req.user.userId || req.user.id || req.user._id;
 
@@ -134,7 +124,11 @@ const AUTOMATION_TEMPLATES = [
 // ==========================================
 
 // Get all automations
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({
+  query: {
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { status } = req.query;
@@ -375,7 +369,12 @@ router.post('/:id/duplicate', auth, async (req, res) => {
 // ==========================================
 
 // Get enrollments for an automation
-router.get('/:id/enrollments', auth, async (req, res) => {
+router.get('/:id/enrollments', auth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { status, page = 1, limit = 50 } = req.query;
@@ -520,7 +519,11 @@ router.delete('/:id/enrollments/:enrollmentId', auth, async (req, res) => {
 // ==========================================
 
 // Get automation analytics
-router.get('/:id/analytics', auth, async (req, res) => {
+router.get('/:id/analytics', auth, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { period = '30d' } = req.query;
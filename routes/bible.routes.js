@@ -8,13 +8,9 @@
 const express = require('express');
 const router = express.Router();
 
-let auth;
-try {
-  const m = require('../middleware/auth');
-  auth = m.authenticateToken || m.verifyToken || m;
-} catch {
-  auth = (req, res, next) => next();
-}
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Very small in-memory cache with TTL (best-effort)
 const cache = new Map();
@@ -37,7 +33,12 @@ function cacheSet(key, value) {
  * GET /api/church/bible/passage?ref=John%203:16-18&translation=kjv
  * Returns full verse text for a reference.
  */
-router.get('/passage', async (req, res) => {
+router.get('/passage', validate({
+  query: {
+    ref: v.string({ max: 200 }),
+    translation: v.string({ max: 20 })
+  }
+}), async (req, res) => {
   try {
     const ref = (req.query.ref || '').toString().trim();
     const translation = (req.query.translation || '').toString().trim().toLowerCase();
@@ -85,7 +86,11 @@ router.get('/passage', async (req, res) => {
  * NOTE: Full-Bible concordance requires a provider/key.
  * This endpoint currently returns a helpful error unless configured.
  */
-router.get('/concordance', async (req, res) => {
+router.get('/concordance', validate({
+  query: {
+    q: v.string({ max: 200 })
+  }
+}), async (req, res) => {
   const q = (req.query.q || '').toString().trim();
   if (!q) return res.status(400).json({ ok: false, error: 'Missing q' });
 
@@ -116,7 +121,11 @@ router.get('/concordance', async (req, res) => {
  * Commentary is church-specific: teachers/pastors can attach notes to scriptures.
  * For now, this endpoint is a placeholder for external commentary providers.
  */
-router.get('/commentary', async (req, res) => {
+router.get('/commentary', validate({
+  query: {
+    ref: v.string({ max: 200 })
+  }
+}), async (req, res) => {
   const ref = (req.query.ref || '').toString().trim();
   if (!ref) return res.status(400).json({ ok: false, error: 'Missing ref' });
 
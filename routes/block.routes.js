@@ -0,0 +1,82 @@
+// ============================================
+// FILE: routes/block.routes.js
+// Blocked users - list, block, unblock
+// VERSION: 1.0
+// Enforcement lives in services/block.service.js; mutes are at
+// /api/mutes (routes/mute.routes.js).
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const blockService = require('../services/block.service');
+
+console.log('🚫 Block Routes v1.0 loaded');
+
+const sendError = (res, error, label) => {
+  if (error.name === 'BlockError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const userParam = { userId: v.objectId({ required: true }) };
+
+/**
+ * People you've blocked
+ * GET /api/blocks
+ */
+router.get('/', verifyToken, validate({
+  query: pagination({ defaultLimit: 20, maxLimit: 100 })
+}), async (req, res) => {
+  try {
+    const result = await blockService.listBlocks(req.user.id, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Blocked users');
+  }
+});
+
+/**
+ * Block / mute state between you and one user
+ * GET /api/blocks/:userId
+ */
+router.get('/:userId', verifyToken, validate({ params: userParam }), async (req, res) => {
+  try {
+    const status = await blockService.getStatus(req.user.id, req.params.userId);
+    res.json({ ok: true, ...status });
+  } catch (error) {
+    sendError(res, error, 'Block status');
+  }
+});
+
+/**
+ * Block a user - also unfollows both ways
+ * POST /api/blocks/:userId
+ */
+router.post('/:userId', verifyToken, validate({ params: userParam }), async (req, res) => {
+  try {
+    const block = await blockService.block(req.user.id, req.params.userId);
+    res.status(201).json({ ok: true, ...block });
+  } catch (error) {
+    sendError(res, error, 'Block');
+  }
+});
+
+/**
+ * DELETE /api/blocks/:userId
+ */
+router.delete('/:userId', verifyToken, validate({ params: userParam }), async (req, res) => {
+  try {
+    await blockService.unblock(req.user.id, req.params.userId);
+    res.json({ ok: true, message: 'User unblocked' });
+  } catch (error) {
+    sendError(res, error, 'Unblock');
+  }
+});
+
+module.exports = router;
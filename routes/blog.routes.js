@@ -1,6 +1,7 @@
 // ============================================
 // FILE: routes/blog.routes.js
 // Blog Routes - FIXED ROUTE ORDER + POPULATE
+// VERSION: 2.4 - @mentions / #hashtags parsed on create / edit
 // VERSION: 2.3 - Added GET / for public blog listing
 // PREVIOUS: 2.2 - Fixed authorName auto-population
 // ISSUE: /my was being caught by /:id route
@@ -9,7 +10,6 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Get Blog model
 const getBlog = () => {
@@ -52,34 +52,42 @@ const getUser = () => {
   }
 };
 
-// Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
-
-// Optional auth - doesn't fail if no token
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    } catch (err) {}
-  }
-  next();
+// Auth middleware (optionalAuth doesn't fail if no token)
+const { verifyToken, optionalAuth, requireAccess } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const contentParsingService = require('../services/content-parsing.service');
+
+// @mentions / #hashtags in a blog. Drafts notify nobody and don't count
+// towards trending; publishing re-parses and notifies then.
+const parseBlog = (blog, userId) => {
+  const published = blog.status === 'published';
+  return contentParsingService.processContent({
+    type: 'blog',
+    id: blog._id,
+    author: userId,
+    text: `${blog.title || ''}\n${blog.content || ''}`,
+    html: true,
+    url: `/blog/${blog.slug || blog._id}`,
+    audience: published ? null : [],
+    isPublic: published,
+    createdAt: blog.publishedAt || blog.createdAt
+  });
 };
+const contentAccess = requireAccess('content');
 
 // ==========================================
 // GET /api/blogs - List all public blogs
 // MUST come before /my and /:id
 // ==========================================
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    search: v.search(),
+    category: v.string({ max: 50 }),
+    sort: v.string({ max: 40, pattern: /^-?[a-zA-Z.]+$/, default: 'createdAt' }),
+    ...pagination({ defaultLimit: 12, maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { 
@@ -167,7 +175,13 @@ router.get('/', optionalAuth, async (req, res) => {
 // ==========================================
 
 // GET /api/blogs/my - Get current user's blogs (MUST BE FIRST!)
-router.get('/my', verifyToken, async (req, res) => {
+router.get('/my', verifyToken, contentAccess, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    sort: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const userId = req.user.id || req.user.userId || req.user._id;
@@ -225,7 +239,7 @@ router.get('/my', verifyToken, async (req, res) => {
 });
 
 // GET /api/blogs/stats - Get blog stats for current user
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', verifyToken, contentAccess, async (req, res) => {
   try {
     const Blog = getBlog();
     const userId = req.user.id || req.user.userId || req.user._id;
@@ -268,7 +282,11 @@ router.get('/stats', verifyToken, async (req, res) => {
 });
 
 // GET /api/blogs/featured - Get featured blogs
-router.get('/featured', optionalAuth, async (req, res) => {
+router.get('/featured', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { limit = 10 } = req.query;
@@ -289,7 +307,11 @@ router.get('/featured', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/recent - Get recent public blogs
-router.get('/recent', optionalAuth, async (req, res) => {
+router.get('/recent', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { limit = 20 } = req.query;
@@ -307,7 +329,11 @@ router.get('/recent', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/popular - Get popular blogs by views
-router.get('/popular', optionalAuth, async (req, res) => {
+router.get('/popular', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { limit = 10 } = req.query;
@@ -325,7 +351,10 @@ router.get('/popular', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/category/:category - Get blogs by category
-router.get('/category/:category', optionalAuth, async (req, res) => {
+router.get('/category/:category', optionalAuth, validate({
+  params: { category: v.search({ required: true, max: 50 }) },
+  query: pagination({ maxLimit: 50 })
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { category } = req.params;
@@ -352,7 +381,10 @@ router.get('/category/:category', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/tag/:tag - Get blogs by tag
-router.get('/tag/:tag', optionalAuth, async (req, res) => {
+router.get('/tag/:tag', optionalAuth, validate({
+  params: { tag: v.search({ required: true, max: 50 }) },
+  query: pagination({ maxLimit: 50 })
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { tag } = req.params;
@@ -379,7 +411,12 @@ router.get('/tag/:tag', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/user/:userId - Get blogs by user ID
-router.get('/user/:userId', optionalAuth, async (req, res) => {
+router.get('/user/:userId', optionalAuth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { userId } = req.params;
@@ -418,7 +455,12 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
 });
 
 // GET /api/blogs/site/:siteId - Get blogs for a specific website
-router.get('/site/:siteId', optionalAuth, async (req, res) => {
+router.get('/site/:siteId', optionalAuth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const Blog = getBlog();
     const { siteId } = req.params;
@@ -482,7 +524,7 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
 // ==========================================
 
 // POST /api/blogs - Create new blog
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, contentAccess, async (req, res) => {
   try {
     const Blog = getBlog();
     const User = getUser();
@@ -540,6 +582,7 @@ router.post('/', verifyToken, async (req, res) => {
     });
 
     await blog.save();
+    await parseBlog(blog, userId);
     await blog.populate('author', 'name username avatar');
 
     console.log(`✅ Blog created: "${title}" by ${blogAuthorName}`);
@@ -551,7 +594,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // PUT /api/blogs/:id - Update blog
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, contentAccess, async (req, res) => {
   try {
     const Blog = getBlog();
     const { id } = req.params;
@@ -592,7 +635,9 @@ router.put('/:id', verifyToken, async (req, res) => {
     }
 
     blog.updatedAt = new Date();
+    const reparse = ['title', 'content', 'status'].some(field => blog.isModified(field));
     await blog.save();
+    if (reparse) await parseBlog(blog, blog.author || userId);
     await blog.populate('author', 'name username avatar');
 
     res.json({ ok: true, blog });
@@ -603,7 +648,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // DELETE /api/blogs/:id - Delete blog
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, contentAccess, async (req, res) => {
   try {
     const Blog = getBlog();
     const LiveStream = mongoose.models.LiveStream || require('../models/livestream.model');
@@ -648,6 +693,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
       }
 
       await blog.deleteOne();
+      contentParsingService.defer('blog deleted', () => contentParsingService.removeContent('blog', blog._id));
       return res.json({ ok: true, message: 'Deleted' });
     }
 
@@ -674,6 +720,7 @@ router.delete('/:id', verifyToken, async (req, res) => {
         return res.status(403).json({ ok: false, error: 'Not authorized' });
       }
       await post.deleteOne();
+      contentParsingService.defer('post deleted', () => contentParsingService.removeContent('post', post._id));
       return res.json({ ok: true, message: 'Post deleted' });
     }
 
@@ -3,6 +3,8 @@ const router = express.Router();
 const BlogSite = require('../models/blogsite.model');
 const Blog = require('../models/blog.model');
 const { requireAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Helpers
 function slugify(input = '') {
@@ -111,7 +113,11 @@ router.get('/public/:slug', async (req, res) => {
 });
 
 // Public: get posts for site
-router.get('/public/:slug/posts', async (req, res) => {
+router.get('/public/:slug/posts', validate({
+  query: {
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const site = await BlogSite.findOne({ slug: req.params.slug }).lean();
     if (!site || !site.isPublished) return res.status(404).json({ error: 'Site not found.' });
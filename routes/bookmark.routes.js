@@ -3,9 +3,16 @@ const router = express.Router();
 const Bookmark = require('../models/bookmark.model');
 const Blog = require('../models/blog.model');
 const { authenticateToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Get all bookmarks for user
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate({
+  query: {
+    collection: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { collection, page = 1, limit = 20 } = req.query;
     
@@ -7,7 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Email AI Service
 let emailAI = null;
@@ -137,18 +138,7 @@ const RevenueEvent = mongoose.models.RevenueEvent || mongoose.model('RevenueEven
 // AUTHENTICATION
 // ==========================================
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
 
 const getUserId = (req) => req.user.userId || req.user.id || req.user._id;
 
@@ -367,7 +357,12 @@ router.post('/ab-test', auth, async (req, res) => {
 });
 
 // Get A/B tests
-router.get('/ab-tests', auth, async (req, res) => {
+router.get('/ab-tests', auth, validate({
+  query: {
+    campaignId: v.objectId(),
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { campaignId, status } = req.query;
@@ -536,7 +531,11 @@ router.post('/revenue', auth, async (req, res) => {
 });
 
 // Get revenue overview
-router.get('/revenue/overview', auth, async (req, res) => {
+router.get('/revenue/overview', auth, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { period = '30d' } = req.query;
@@ -126,24 +126,13 @@ const EmailTemplate = mongoose.models.EmailTemplate || mongoose.model('EmailTemp
 // AUTHENTICATION MIDDLEWARE
 // ==========================================
 
-const jwt = require('jsonwebtoken');
+const { authenticateToken, requireAccess, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-  
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
+// API keys and OAuth apps only reach the areas they were granted
+const campaignsAccess = requireAccess('campaigns');
+const contactsAccess = requireAccess('contacts');
 
 // ==========================================
 // HELPER: Get User ID
@@ -158,7 +147,7 @@ const getUserId = (req) => {
 // ==========================================
 
 // ---------- STATS ----------
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     
@@ -202,7 +191,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // ---------- LISTS ----------
-router.get('/lists', authenticateToken, async (req, res) => {
+router.get('/lists', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     console.log('📋 Fetching lists for user:', userId);
@@ -224,7 +213,7 @@ router.get('/lists', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/lists', authenticateToken, async (req, res) => {
+router.post('/lists', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, description } = req.body;
@@ -239,7 +228,7 @@ router.post('/lists', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/lists/:id', authenticateToken, async (req, res) => {
+router.put('/lists/:id', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, description } = req.body;
@@ -257,7 +246,7 @@ router.put('/lists/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/lists/:id', authenticateToken, async (req, res) => {
+router.delete('/lists/:id', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     
@@ -275,7 +264,7 @@ router.delete('/lists/:id', authenticateToken, async (req, res) => {
 });
 
 // ---------- TAGS ----------
-router.get('/tags', authenticateToken, async (req, res) => {
+router.get('/tags', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const tags = await CampaignContact.distinct('tags', { user: userId });
@@ -318,7 +307,7 @@ async function getBrevoSenders() {
 // SENDER ADDRESSES
 // ==========================================
 
-router.get('/addresses', authenticateToken, async (req, res) => {
+router.get('/addresses', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     let addresses = await SenderAddress.find({ user: userId });
@@ -347,7 +336,7 @@ router.get('/addresses', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/addresses', authenticateToken, async (req, res) => {
+router.post('/addresses', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { email, displayName, isDefault } = req.body;
@@ -366,7 +355,7 @@ router.post('/addresses', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/addresses/:id/default', authenticateToken, async (req, res) => {
+router.put('/addresses/:id/default', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     
@@ -384,7 +373,7 @@ router.put('/addresses/:id/default', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/addresses/:id', authenticateToken, async (req, res) => {
+router.delete('/addresses/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     await SenderAddress.deleteOne({ _id: req.params.id, user: userId });
@@ -638,7 +627,7 @@ const BUILTIN_TEMPLATES = {
 };
 
 // GET single template (including built-in templates)
-router.get('/templates/:id', authenticateToken, async (req, res) => {
+router.get('/templates/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const templateId = req.params.id;
@@ -667,7 +656,7 @@ router.get('/templates/:id', authenticateToken, async (req, res) => {
 });
 
 // GET all templates (includes built-in templates)
-router.get('/templates', authenticateToken, async (req, res) => {
+router.get('/templates', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     
@@ -732,7 +721,7 @@ function getTemplateUsageCount(templateId) {
 }
 
 // Create/Save a template
-router.post('/templates', authenticateToken, async (req, res) => {
+router.post('/templates', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, category, html, designJson, thumbnail } = req.body;
@@ -762,7 +751,7 @@ router.post('/templates', authenticateToken, async (req, res) => {
 });
 
 // Update a template
-router.put('/templates/:id', authenticateToken, async (req, res) => {
+router.put('/templates/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, category, html, designJson, thumbnail } = req.body;
@@ -787,7 +776,7 @@ router.put('/templates/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete a template
-router.delete('/templates/:id', authenticateToken, async (req, res) => {
+router.delete('/templates/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     
@@ -811,7 +800,11 @@ router.delete('/templates/:id', authenticateToken, async (req, res) => {
 // ---------- CONTACTS BULK OPERATIONS (MUST BE BEFORE /contacts/:id) ----------
 
 // DELETE ALL CONTACTS
-router.delete('/contacts/delete-all', authenticateToken, async (req, res) => {
+router.delete('/contacts/delete-all', authenticateToken, contactsAccess, validate({
+  query: {
+    list: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { list } = req.query;
@@ -837,7 +830,7 @@ router.delete('/contacts/delete-all', authenticateToken, async (req, res) => {
 });
 
 // BULK DELETE SELECTED
-router.post('/contacts/bulk-delete', authenticateToken, async (req, res) => {
+router.post('/contacts/bulk-delete', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { contactIds } = req.body;
@@ -859,7 +852,7 @@ router.post('/contacts/bulk-delete', authenticateToken, async (req, res) => {
 });
 
 // BULK ADD TAG
-router.post('/contacts/bulk-tag', authenticateToken, async (req, res) => {
+router.post('/contacts/bulk-tag', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { contactIds, tag } = req.body;
@@ -881,7 +874,7 @@ router.post('/contacts/bulk-tag', authenticateToken, async (req, res) => {
 });
 
 // BULK MOVE TO LIST
-router.post('/contacts/bulk-move', authenticateToken, async (req, res) => {
+router.post('/contacts/bulk-move', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { contactIds, listId } = req.body;
@@ -912,7 +905,7 @@ router.post('/contacts/bulk-move', authenticateToken, async (req, res) => {
 });
 
 // AI CLEAN LIST
-router.post('/contacts/ai-clean', authenticateToken, async (req, res) => {
+router.post('/contacts/ai-clean', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { list } = req.body;
@@ -980,7 +973,7 @@ router.post('/contacts/ai-clean', authenticateToken, async (req, res) => {
 });
 
 // IMPORT CONTACTS
-router.post('/contacts/import', authenticateToken, async (req, res) => {
+router.post('/contacts/import', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     // Handle multipart form data - you may need multer middleware
@@ -992,7 +985,13 @@ router.post('/contacts/import', authenticateToken, async (req, res) => {
 });
 
 // EXPORT CONTACTS
-router.get('/contacts/export', authenticateToken, async (req, res) => {
+router.get('/contacts/export', authenticateToken, contactsAccess, validate({
+  query: {
+    list: v.string({ max: 50 }),
+    tag: v.string({ max: 50 }),
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { list, tag, status } = req.query;
@@ -1022,7 +1021,15 @@ router.get('/contacts/export', authenticateToken, async (req, res) => {
 // ---------- CONTACTS CRUD ----------
 
 // GET ALL CONTACTS
-router.get('/contacts', authenticateToken, async (req, res) => {
+router.get('/contacts', authenticateToken, contactsAccess, validate({
+  query: {
+    search: v.search(),
+    status: v.string({ max: 30 }),
+    tag: v.string({ max: 50 }),
+    list: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50, maxLimit: 200 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { page = 1, limit = 50, search, status, tag, list } = req.query;
@@ -1071,7 +1078,7 @@ router.get('/contacts', authenticateToken, async (req, res) => {
 });
 
 // CREATE CONTACT
-router.post('/contacts', authenticateToken, async (req, res) => {
+router.post('/contacts', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { email, firstName, lastName, phone, company, tags, list } = req.body;
@@ -1103,7 +1110,7 @@ router.post('/contacts', authenticateToken, async (req, res) => {
 });
 
 // GET SINGLE CONTACT
-router.get('/contacts/:id', authenticateToken, async (req, res) => {
+router.get('/contacts/:id', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const contact = await CampaignContact.findOne({ _id: req.params.id, user: userId }).populate('list', 'name');
@@ -1120,7 +1127,7 @@ router.get('/contacts/:id', authenticateToken, async (req, res) => {
 });
 
 // UPDATE CONTACT
-router.put('/contacts/:id', authenticateToken, async (req, res) => {
+router.put('/contacts/:id', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const updates = req.body;
@@ -1139,7 +1146,7 @@ router.put('/contacts/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE CONTACT
-router.delete('/contacts/:id', authenticateToken, async (req, res) => {
+router.delete('/contacts/:id', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     await CampaignContact.deleteOne({ _id: req.params.id, user: userId });
@@ -1152,7 +1159,7 @@ router.delete('/contacts/:id', authenticateToken, async (req, res) => {
 
 // ---------- AI FEATURES ----------
 
-router.post('/ai/subject-line', authenticateToken, async (req, res) => {
+router.post('/ai/subject-line', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const { context, tone = 'professional' } = req.body;
     
@@ -1172,7 +1179,7 @@ router.post('/ai/subject-line', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/ai/email-content', authenticateToken, async (req, res) => {
+router.post('/ai/email-content', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const { prompt, subject, tone = 'professional' } = req.body;
     
@@ -1194,7 +1201,7 @@ router.post('/ai/email-content', authenticateToken, async (req, res) => {
 
 // ---------- SEGMENTS PREVIEW ----------
 
-router.post('/segments/preview', authenticateToken, async (req, res) => {
+router.post('/segments/preview', authenticateToken, contactsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { audienceType, lists, includeTags, excludeTags } = req.body;
@@ -1233,7 +1240,7 @@ router.post('/segments/preview', authenticateToken, async (req, res) => {
 // ---------- CAMPAIGNS CRUD ----------
 
 // GET ALL CAMPAIGNS
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const campaigns = await Campaign.find({ user: userId }).sort({ createdAt: -1 });
@@ -1245,7 +1252,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // CREATE CAMPAIGN
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const { name, subject, content, html, ...rest } = req.body;
@@ -1279,7 +1286,7 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // SEND TEST EMAIL
-router.post('/test', authenticateToken, async (req, res) => {
+router.post('/test', authenticateToken, campaignsAccess, requireScope('email:send'), async (req, res) => {
   try {
     const { email, subject, html, fromEmail, fromName } = req.body;
     
@@ -1327,7 +1334,7 @@ router.post('/test', authenticateToken, async (req, res) => {
 });
 
 // SEND CAMPAIGN (create and send in one step)
-router.post('/send', authenticateToken, async (req, res) => {
+router.post('/send', authenticateToken, campaignsAccess, requireScope('email:send'), async (req, res) => {
   try {
     const userId = getUserId(req);
     const campaignData = req.body;
@@ -1441,7 +1448,7 @@ router.post('/send', authenticateToken, async (req, res) => {
 });
 
 // GET SINGLE CAMPAIGN
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const campaign = await Campaign.findOne({ _id: req.params.id, user: userId });
@@ -1458,7 +1465,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // UPDATE CAMPAIGN
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const updates = req.body;
@@ -1484,7 +1491,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // DELETE CAMPAIGN
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     await Campaign.deleteOne({ _id: req.params.id, user: userId });
@@ -1498,7 +1505,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // ==========================================
 // POST /:id/send - Send a specific campaign (v4.1.0)
 // ==========================================
-router.post('/:id/send', authenticateToken, async (req, res) => {
+router.post('/:id/send', authenticateToken, campaignsAccess, requireScope('email:send'), async (req, res) => {
   try {
     const userId = getUserId(req);
     const campaign = await Campaign.findOne({ _id: req.params.id, user: userId });
@@ -1626,7 +1633,7 @@ router.post('/:id/send', authenticateToken, async (req, res) => {
 // ==========================================
 // GET /:id/report - Get campaign analytics report
 // ==========================================
-router.get('/:id/report', authenticateToken, async (req, res) => {
+router.get('/:id/report', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const campaign = await Campaign.findOne({ _id: req.params.id, user: userId });
@@ -1687,7 +1694,7 @@ router.get('/:id/report', authenticateToken, async (req, res) => {
 // ==========================================
 // POST /:id/duplicate - Duplicate a campaign (v4.1.0)
 // ==========================================
-router.post('/:id/duplicate', authenticateToken, async (req, res) => {
+router.post('/:id/duplicate', authenticateToken, campaignsAccess, async (req, res) => {
   try {
     const userId = getUserId(req);
     const original = await Campaign.findOne({ _id: req.params.id, user: userId }).lean();
@@ -9,21 +9,19 @@ const mongoose = require('mongoose');
 const { Campaign, CampaignRecipient, EmailTemplate, Automation, AutomationSubscriber, EmailContact, ContactList, Segment, EmailSubscriptionPlan, UserEmailSubscription } = require('../models/campaign-premium.model');
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) { res.status(401).json({ error: 'Invalid token' }); }
-};
+const { authenticate: auth, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination, escapeRegex } = require('../utils/validation');
 
 // ==========================================
 // DASHBOARD
 // ==========================================
 
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', auth, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { period = '30d' } = req.query;
@@ -62,7 +60,17 @@ router.get('/dashboard', auth, async (req, res) => {
 // CAMPAIGNS CRUD
 // ==========================================
 
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({
+  query: {
+    status: v.string({ max: 30 }),
+    type: v.string({ max: 30 }),
+    tag: v.string({ max: 50 }),
+    search: v.search(),
+    sortBy: v.string({ max: 40, pattern: /^[a-zA-Z.]+$/, default: 'createdAt' }),
+    sortOrder: v.enum(['asc', 'desc'], { default: 'desc' }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { status, type, tag, search, sortBy = 'createdAt', sortOrder = 'desc', page = 1, limit = 20 } = req.query;
@@ -186,7 +194,7 @@ router.post('/:id/test', auth, async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed to send test' }); }
 });
 
-router.post('/:id/send', auth, async (req, res) => {
+router.post('/:id/send', auth, requireScope('email:send'), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const campaign = await Campaign.findOne({ _id: req.params.id, user: userId, status: { $in: ['draft', 'scheduled'] } });
@@ -342,7 +350,10 @@ router.get('/:id/analytics', auth, async (req, res) => {
   } catch (err) { res.status(500).json({ error: 'Failed to fetch analytics' }); }
 });
 
-router.get('/:id/recipients', auth, async (req, res) => {
+router.get('/:id/recipients', auth, validate({
+  params: { id: v.objectId({ required: true }) },
+  query: { status: v.string({ max: 30 }), search: v.search(), ...pagination({ defaultLimit: 50, maxLimit: 200 }) }
+}), async (req, res) => {
   try {
     const { status, search, page = 1, limit = 50 } = req.query;
     const campaign = await Campaign.findOne({ _id: req.params.id, user: req.user.userId || req.user.id });
@@ -364,7 +375,9 @@ router.get('/:id/recipients', auth, async (req, res) => {
 // TEMPLATES
 // ==========================================
 
-router.get('/templates', auth, async (req, res) => {
+router.get('/templates', auth, validate({
+  query: { category: v.string({ max: 50 }), type: v.string({ max: 30 }), search: v.search() }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { category, type, search } = req.query;
@@ -502,7 +515,12 @@ router.post('/automations/:id/pause', auth, async (req, res) => {
 // PUBLIC ENDPOINTS
 // ==========================================
 
-router.get('/unsubscribe', async (req, res) => {
+router.get('/unsubscribe', validate({
+  query: {
+    email: v.email(),
+    campaign: v.objectId()
+  }
+}), async (req, res) => {
   const { email, campaign } = req.query;
   if (!email) return res.status(400).send('Invalid link');
   try {
@@ -531,8 +549,8 @@ function buildSegmentQuery(rules, userId) {
     switch (operator) {
       case 'equals': return { [field]: value };
       case 'not_equals': return { [field]: { $ne: value } };
-      case 'contains': return { [field]: { $regex: value, $options: 'i' } };
-      case 'not_contains': return { [field]: { $not: { $regex: value, $options: 'i' } } };
+      case 'contains': return { [field]: { $regex: escapeRegex(value), $options: 'i' } };
+      case 'not_contains': return { [field]: { $not: { $regex: escapeRegex(value), $options: 'i' } } };
       case 'is_empty': return { $or: [{ [field]: { $exists: false } }, { [field]: '' }, { [field]: null }] };
       case 'is_not_empty': return { [field]: { $exists: true, $ne: '' } };
       case 'greater_than': return { [field]: { $gt: parseFloat(value) } };
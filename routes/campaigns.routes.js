@@ -8,20 +8,10 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-// Simple auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+// Auth middleware
+const { authenticate: auth, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Campaign Schema
 const campaignSchema = new mongoose.Schema({
@@ -192,7 +182,7 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Send campaign
-router.post('/:id/send', auth, async (req, res) => {
+router.post('/:id/send', auth, requireScope('email:send'), async (req, res) => {
   try {
     const campaign = await Campaign.findOne({
       _id: req.params.id,
@@ -321,7 +311,11 @@ router.delete('/:id', auth, async (req, res) => {
 // ==========================================
 
 // Get contacts
-router.get('/contacts', auth, async (req, res) => {
+router.get('/contacts', auth, validate({
+  query: {
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
 
@@ -56,28 +56,14 @@ CellReportSchema.index({ submittedBy: 1, status: 1 });
 const CellReport = mongoose.models.CellReport || mongoose.model('CellReport', CellReportSchema);
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // POST /api/church/cell-reports - Create report
 // ==========================================
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireScope('church:reports:submit'), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { 
@@ -141,7 +127,14 @@ router.post('/', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/cell-reports - List reports
 // ==========================================
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, validate({
+  query: {
+    cellId: v.objectId(),
+    status: v.string({ max: 50 }),
+    year: v.int({ min: 2000, max: 2100 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { cellId, status, year, page = 1, limit = 20 } = req.query;
@@ -258,7 +251,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 // ==========================================
 // POST /api/church/cell-reports/:id/approve - Approve report
 // ==========================================
-router.post('/:id/approve', verifyToken, async (req, res) => {
+router.post('/:id/approve', verifyToken, requireScope('church:reports:approve'), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { id } = req.params;
@@ -288,7 +281,7 @@ router.post('/:id/approve', verifyToken, async (req, res) => {
 // ==========================================
 // POST /api/church/cell-reports/:id/reject - Reject report
 // ==========================================
-router.post('/:id/reject', verifyToken, async (req, res) => {
+router.post('/:id/reject', verifyToken, requireScope('church:reports:approve'), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { id } = req.params;
@@ -314,7 +307,11 @@ router.post('/:id/reject', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/cell-reports/stats/:cellId - Cell statistics
 // ==========================================
-router.get('/stats/:cellId', verifyToken, async (req, res) => {
+router.get('/stats/:cellId', verifyToken, validate({
+  query: {
+    year: v.int({ min: 2000, max: 2100 })
+  }
+}), async (req, res) => {
   try {
     const { cellId } = req.params;
     const { year } = req.query;
@@ -15,7 +15,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const sessionService = require('../services/session.service');
 const { ObjectId } = mongoose.Types;
 
 // Import models
@@ -169,7 +169,7 @@ router.post('/:slug', async (req, res) => {
     // Create or find CYBEV user account
     let user = null;
     let isNewUser = false;
-    let authToken = null;
+    let authSession = null;
 
     if (email) {
       // Check if user exists
@@ -209,11 +209,7 @@ router.post('/:slug', async (req, res) => {
         await user.save();
         
         // Generate auth token for new user
-        authToken = jwt.sign(
-          { id: user._id, email: user.email },
-          process.env.JWT_SECRET || 'cybev_secret',
-          { expiresIn: '30d' }
-        );
+        authSession = await sessionService.createSession(user, req, { authMethod: 'register' });
       }
     }
 
@@ -290,7 +286,8 @@ router.post('/:slug', async (req, res) => {
         email: user.email,
         isNewUser
       } : null,
-      token: authToken, // Only for new users
+      token: authSession?.token || null, // Only for new users
+      refreshToken: authSession?.refreshToken || null,
       loginCredentials: isNewUser ? {
         email: user.email,
         tempPassword: password ? undefined : `${firstName.toLowerCase()}${phone?.slice(-4) || '1234'}`,
@@ -26,35 +26,9 @@ const { ObjectId } = mongoose.Types;
 const { ChurchOrg, Soul, FoundationModule, FoundationEnrollment, ChurchEvent, AttendanceRecord } = require('../models/church.model');
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
-
-// Optional auth
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // CHRIST EMBASSY ZONES DATA (263 Zones)
@@ -380,7 +354,12 @@ const canManageOrg = isOwnerOrAdmin;
 // CE ZONES ROUTES
 // ==========================================
 
-router.get('/zones', verifyToken, (req, res) => {
+router.get('/zones', verifyToken, validate({
+  query: {
+    category: v.string({ max: 50 }),
+    search: v.string({ max: 100 })
+  }
+}), (req, res) => {
   try {
     const { category, search } = req.query;
     let zones = [...CE_ZONES];
@@ -442,7 +421,13 @@ router.get('/organizations/create', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/organizations/available-parents', verifyToken, async (req, res) => {
+router.get('/organizations/available-parents', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    ministry: v.string({ max: 50 }),
+    ceZoneId: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { type, ministry, ceZoneId } = req.query;
     const query = { isActive: { $ne: false } };
@@ -520,7 +505,9 @@ router.post('/organizations', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/organizations', verifyToken, async (req, res) => {
+router.get('/organizations', verifyToken, validate({
+  query: { search: v.search(), ...pagination() }
+}), async (req, res) => {
   try {
     const { type, parentId, zoneId, churchId, ministry, ceZoneId, page = 1, limit = 20, search } = req.query;
     const userId = req.user?.id || req.user?._id || req.user?.userId;
@@ -668,7 +655,14 @@ router.put('/organizations/:id/images', verifyToken, async (req, res) => {
 // MEMBER MANAGEMENT ROUTES
 // ==========================================
 
-router.get('/organizations/:id/members', verifyToken, async (req, res) => {
+router.get('/organizations/:id/members', verifyToken, validate({
+  query: {
+    search: v.string({ max: 100 }),
+    role: v.string({ max: 50 }),
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id || req.user.userId;
     const { id } = req.params;
@@ -770,7 +764,9 @@ router.delete('/members/:orgId/:memberId', verifyToken, async (req, res) => {
 // SOULS ROUTES
 // ==========================================
 
-router.get('/souls', verifyToken, async (req, res) => {
+router.get('/souls', verifyToken, validate({
+  query: { search: v.search(), status: v.string({ max: 30 }), ...pagination() }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id || req.user.userId;
     const { organizationId, zoneId, churchId, fellowshipId, cellId, ceZoneId, status, page = 1, limit = 20, search } = req.query;
@@ -874,7 +870,14 @@ router.post('/events', verifyToken, async (req, res) => {
   }
 });
 
-router.get('/events', optionalAuth, async (req, res) => {
+router.get('/events', optionalAuth, validate({
+  query: {
+    orgId: v.objectId(),
+    type: v.string({ max: 50 }),
+    upcoming: v.string({ max: 5 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { orgId, type, upcoming, page = 1, limit = 20 } = req.query;
     const query = {};
@@ -1,376 +1,268 @@
 // ============================================
 // FILE: routes/comment.routes.js
 // FIXED: Auto-populate authorName for comments
+// @mentions / #hashtags go through services/content-parsing.service.js
+// Blocks and mutes (services/block.service.js) apply to posting and listing
+// UPDATED: Threads, sort=top|new|controversial, votes, edit history,
+// pinning and held-for-review moderation (services/comment.service.js,
+// config/comments.js)
 // ============================================
 
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 
-// Try to load verifyToken middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try {
-    verifyToken = require('../middleware/auth.middleware');
-  } catch (e2) {
-    try {
-      verifyToken = require('../middleware/auth');
-    } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-          return res.status(401).json({ error: 'No token provided' });
-        }
-        try {
-          const jwt = require('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user = decoded;
-          next();
-        } catch (err) {
-          return res.status(401).json({ error: 'Invalid token' });
-        }
-      };
-    }
-  }
-}
+// Auth middleware (optionalAuth doesn't fail if no token)
+const { verifyToken, optionalAuth, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const commentService = require('../services/comment.service');
+
+// Same reviewers as routes/moderation.routes.js
+const requireModerator = requireRole('admin', 'moderator');
 
-// Optional auth - doesn't fail if no token
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-      req.user = decoded;
-    } catch (err) {
-      // Ignore invalid token
-    }
+const sendError = (res, error, label) => {
+  if (error.name === 'CommentError') {
+    return res.status(error.status).json({ success: false, error: error.message });
   }
-  next();
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({ success: false, error: `${label} failed` });
 };
 
-// Load Comment model
-let Comment;
-try {
-  Comment = require('../models/comment.model');
-} catch (e) {
-  // Create inline schema if model doesn't exist
-  const commentSchema = new mongoose.Schema({
-    content: { type: String, required: true },
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    authorName: { type: String, required: true },
-    authorAvatar: { type: String },
-    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog' },
-    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
-    parentComment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
-    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    replies: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }]
-  }, { timestamps: true });
-  
-  Comment = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
-}
-
-// Helper: Get user info
-async function getUserInfo(userId) {
-  try {
-    const User = mongoose.model('User');
-    const user = await User.findById(userId).select('name username profilePicture avatar');
-    return {
-      name: user?.name || user?.username || 'Anonymous',
-      avatar: user?.profilePicture || user?.avatar || null
-    };
-  } catch (e) {
-    return { name: 'Anonymous', avatar: null };
-  }
-}
+const idParam = { id: v.objectId({ required: true }) };
+const content = v.string({ required: true, max: commentService.config.maxLength });
+const listQuery = {
+  ...pagination({ defaultLimit: 20, maxLimit: 50 }),
+  sort: v.enum(commentService.sorts, { default: 'top' })
+};
 
 // ==========================================
 // POST /api/comments - Create comment (generic)
+// parentCommentId replies; deeper than the depth limit, the reply is
+// placed next to the comment it answers (inReplyTo points at it)
 // ==========================================
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, validate({
+  body: {
+    content,
+    blogId: v.objectId(),
+    postId: v.objectId(),
+    parentCommentId: v.objectId()
+  }
+}), async (req, res) => {
   try {
-    const { content, blogId, postId, parentCommentId } = req.body;
-    
-    if (!content?.trim()) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
-    
-    // Get user info for authorName
-    const userInfo = await getUserInfo(req.user.id);
-    
-    const comment = new Comment({
-      content: content.trim(),
-      user: req.user.id,
-      authorName: userInfo.name,
-      authorAvatar: userInfo.avatar,
-      blog: blogId || null,
-      post: postId || null,
-      parentComment: parentCommentId || null
-    });
-    
-    await comment.save();
-    
-    // Populate user for response
-    await comment.populate('user', 'name username profilePicture avatar');
-    
-    // Update blog/post comment count
-    if (blogId) {
-      try {
-        const Blog = mongoose.model('Blog');
-        await Blog.findByIdAndUpdate(blogId, { $inc: { commentsCount: 1 } });
-      } catch {}
-    }
-    
-    console.log(`💬 Comment created by ${userInfo.name} on ${blogId ? 'blog' : 'post'}`);
-    
+    const comment = await commentService.create(req.user.id, req.body);
+
+    console.log(`💬 Comment created by ${comment.authorName} on ${comment.blog ? 'blog' : 'post'}`);
+
     res.status(201).json({
       success: true,
-      message: 'Comment added',
-      comment: {
-        _id: comment._id,
-        content: comment.content,
-        user: comment.user,
-        authorName: comment.authorName,
-        createdAt: comment.createdAt
-      }
+      message: comment.status === 'held' ? 'Comment held for review' : 'Comment added',
+      comment
     });
-    
   } catch (error) {
-    console.error('❌ Comment creation error:', error);
-    res.status(500).json({ 
-      error: 'Failed to add comment',
-      message: error.message 
-    });
+    sendError(res, error, 'Add comment');
   }
 });
 
 // ==========================================
 // POST /api/comments/blog/:blogId - Comment on blog
 // ==========================================
-router.post('/blog/:blogId', verifyToken, async (req, res) => {
+router.post('/blog/:blogId', verifyToken, validate({
+  params: { blogId: v.objectId({ required: true }) },
+  body: { content, parentCommentId: v.objectId() }
+}), async (req, res) => {
   try {
-    const { blogId } = req.params;
-    const { content, parentCommentId } = req.body;
-    
-    if (!content?.trim()) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
-    
-    // Get user info
-    const userInfo = await getUserInfo(req.user.id);
-    
-    const comment = new Comment({
-      content: content.trim(),
-      user: req.user.id,
-      authorName: userInfo.name,
-      authorAvatar: userInfo.avatar,
-      blog: blogId,
-      parentComment: parentCommentId || null
-    });
-    
-    await comment.save();
-    await comment.populate('user', 'name username profilePicture avatar');
-    
-    // Update blog comment count
-    try {
-      const Blog = mongoose.model('Blog');
-      await Blog.findByIdAndUpdate(blogId, { $inc: { commentsCount: 1 } });
-    } catch {}
-    
-    console.log(`💬 Comment on blog ${blogId} by ${userInfo.name}`);
-    
-    res.status(201).json({
-      success: true,
-      comment: {
-        _id: comment._id,
-        content: comment.content,
-        user: comment.user,
-        authorName: comment.authorName,
-        createdAt: comment.createdAt
-      }
-    });
-    
+    const comment = await commentService.create(req.user.id, { ...req.body, blogId: req.params.blogId });
+
+    console.log(`💬 Comment on blog ${req.params.blogId} by ${comment.authorName}`);
+
+    res.status(201).json({ success: true, comment });
   } catch (error) {
-    console.error('❌ Blog comment error:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    sendError(res, error, 'Add comment');
   }
 });
 
 // ==========================================
 // POST /api/comments/post/:postId - Comment on post
 // ==========================================
-router.post('/post/:postId', verifyToken, async (req, res) => {
+router.post('/post/:postId', verifyToken, validate({
+  params: { postId: v.objectId({ required: true }) },
+  body: { content, parentCommentId: v.objectId() }
+}), async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { content, parentCommentId } = req.body;
-    
-    if (!content?.trim()) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
-    
-    const userInfo = await getUserInfo(req.user.id);
-    
-    const comment = new Comment({
-      content: content.trim(),
-      user: req.user.id,
-      authorName: userInfo.name,
-      authorAvatar: userInfo.avatar,
-      post: postId,
-      parentComment: parentCommentId || null
-    });
-    
-    await comment.save();
-    await comment.populate('user', 'name username profilePicture avatar');
-    
-    console.log(`💬 Comment on post ${postId} by ${userInfo.name}`);
-    
-    res.status(201).json({
-      success: true,
-      comment: {
-        _id: comment._id,
-        content: comment.content,
-        user: comment.user,
-        authorName: comment.authorName,
-        createdAt: comment.createdAt
-      }
-    });
-    
+    const comment = await commentService.create(req.user.id, { ...req.body, postId: req.params.postId });
+
+    console.log(`💬 Comment on post ${req.params.postId} by ${comment.authorName}`);
+
+    res.status(201).json({ success: true, comment });
   } catch (error) {
-    console.error('❌ Post comment error:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    sendError(res, error, 'Add comment');
   }
 });
 
 // ==========================================
 // GET /api/comments/blog/:blogId - Get blog comments
+// ?sort=top|new|controversial - pinned first, with reply previews
 // ==========================================
-router.get('/blog/:blogId', optionalAuth, async (req, res) => {
+router.get('/blog/:blogId', optionalAuth, validate({
+  params: { blogId: v.objectId({ required: true }) },
+  query: listQuery
+}), async (req, res) => {
   try {
-    const { blogId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    
-    const comments = await Comment.find({ blog: blogId, parentComment: null })
-      .populate('user', 'name username profilePicture avatar')
-      .populate({
-        path: 'replies',
-        populate: { path: 'user', select: 'name username profilePicture avatar' }
-      })
-      .sort({ createdAt: -1 })
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .limit(parseInt(limit));
-    
-    const total = await Comment.countDocuments({ blog: blogId, parentComment: null });
-    
-    res.json({
-      success: true,
-      comments,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit))
-    });
-    
+    const result = await commentService.list(req.user?.id, { blogId: req.params.blogId }, req.query);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Fetch comments error:', error);
-    res.status(500).json({ error: 'Failed to fetch comments', comments: [] });
+    sendError(res, error, 'Fetch comments');
   }
 });
 
 // ==========================================
 // GET /api/comments/post/:postId - Get post comments
 // ==========================================
-router.get('/post/:postId', optionalAuth, async (req, res) => {
+router.get('/post/:postId', optionalAuth, validate({
+  params: { postId: v.objectId({ required: true }) },
+  query: listQuery
+}), async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    
-    const comments = await Comment.find({ post: postId, parentComment: null })
-      .populate('user', 'name username profilePicture avatar')
-      .sort({ createdAt: -1 })
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .limit(parseInt(limit));
-    
-    const total = await Comment.countDocuments({ post: postId, parentComment: null });
-    
-    res.json({
-      success: true,
-      comments,
-      total
-    });
-    
+    const result = await commentService.list(req.user?.id, { postId: req.params.postId }, req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Fetch comments');
+  }
+});
+
+// ==========================================
+// GET /api/comments/admin/held - Comments waiting for review (moderators)
+// ==========================================
+router.get('/admin/held', verifyToken, requireModerator, validate({
+  query: pagination({ defaultLimit: 20, maxLimit: 100 })
+}), async (req, res) => {
+  try {
+    const result = await commentService.listHeld(req.query);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Fetch comments error:', error);
-    res.status(500).json({ error: 'Failed to fetch comments', comments: [] });
+    sendError(res, error, 'Held comments');
+  }
+});
+
+// ==========================================
+// GET /api/comments/:id/replies - Replies to a comment
+// ==========================================
+router.get('/:id/replies', optionalAuth, validate({
+  params: idParam,
+  query: listQuery
+}), async (req, res) => {
+  try {
+    const result = await commentService.getReplies(req.user?.id, req.params.id, req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Fetch replies');
+  }
+});
+
+// ==========================================
+// GET /api/comments/:id/history - Earlier versions of an edited comment
+// ==========================================
+router.get('/:id/history', optionalAuth, validate({ params: idParam }), async (req, res) => {
+  try {
+    const result = await commentService.getHistory(req.user?.id, req.params.id, { isAdmin: req.user?.isAdmin });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Comment history');
+  }
+});
+
+// ==========================================
+// PUT /api/comments/:id - Edit comment (keeps the old version)
+// ==========================================
+router.put('/:id', verifyToken, validate({
+  params: idParam,
+  body: { content }
+}), async (req, res) => {
+  try {
+    const comment = await commentService.edit(req.user.id, req.params.id, req.body.content);
+    res.json({ success: true, comment });
+  } catch (error) {
+    sendError(res, error, 'Edit comment');
   }
 });
 
 // ==========================================
 // DELETE /api/comments/:id - Delete comment
+// Comment author, blog / post author or admin. Comments with replies
+// are blanked to [deleted] instead.
+// ==========================================
+router.delete('/:id', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    const result = await commentService.remove(req.user, req.params.id);
+    res.json({ success: true, message: 'Comment deleted', ...result });
+  } catch (error) {
+    sendError(res, error, 'Delete comment');
+  }
+});
+
+// ==========================================
+// POST /api/comments/:id/pin - Pin / unpin (blog / post author)
+// ==========================================
+router.post('/:id/pin', verifyToken, validate({
+  params: idParam,
+  body: { pinned: v.boolean({ default: true }) }
+}), async (req, res) => {
+  try {
+    const result = await commentService.pin(req.user, req.params.id, req.body.pinned);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Pin comment');
+  }
+});
+
 // ==========================================
-router.delete('/:id', verifyToken, async (req, res) => {
+// POST /api/comments/:id/vote - 1 like, -1 dislike, 0 clear
+// ==========================================
+router.post('/:id/vote', verifyToken, validate({
+  params: idParam,
+  body: { value: v.int({ required: true, min: -1, max: 1 }) }
+}), async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-    
-    // Check ownership
-    if (comment.user.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-    
-    // Decrement comment count
-    if (comment.blog) {
-      try {
-        const Blog = mongoose.model('Blog');
-        await Blog.findByIdAndUpdate(comment.blog, { $inc: { commentsCount: -1 } });
-      } catch {}
-    }
-    
-    await Comment.findByIdAndDelete(req.params.id);
-    
-    res.json({ success: true, message: 'Comment deleted' });
-    
+    const result = await commentService.vote(req.user.id, req.params.id, req.body.value);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Delete comment error:', error);
-    res.status(500).json({ error: 'Failed to delete comment' });
+    sendError(res, error, 'Vote');
   }
 });
 
 // ==========================================
-// POST /api/comments/:id/like - Like comment
+// POST /api/comments/:id/like - Like comment (toggle)
 // ==========================================
-router.post('/:id/like', verifyToken, async (req, res) => {
+router.post('/:id/like', verifyToken, validate({ params: idParam }), async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-    
-    const userId = req.user.id;
-    const hasLiked = comment.likes?.includes(userId);
-    
-    if (hasLiked) {
-      comment.likes = comment.likes.filter(id => id.toString() !== userId);
-    } else {
-      comment.likes = comment.likes || [];
-      comment.likes.push(userId);
-    }
-    
-    await comment.save();
-    
+    const result = await commentService.toggleLike(req.user.id, req.params.id);
+
     res.json({
       success: true,
-      liked: !hasLiked,
-      likesCount: comment.likes.length
+      liked: result.liked,
+      likesCount: result.likeCount,
+      score: result.score
     });
-    
   } catch (error) {
-    console.error('❌ Like comment error:', error);
-    res.status(500).json({ error: 'Failed to like comment' });
+    sendError(res, error, 'Like comment');
+  }
+});
+
+// ==========================================
+// POST /api/comments/:id/review - Approve or remove a held comment (moderators)
+// ==========================================
+router.post('/:id/review', verifyToken, requireModerator, validate({
+  params: idParam,
+  body: {
+    action: v.enum(['approve', 'remove'], { required: true }),
+    note: v.string({ max: 500 })
+  }
+}), async (req, res) => {
+  try {
+    const result = await commentService.review(req.user.id, req.params.id, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Review comment');
   }
 });
 
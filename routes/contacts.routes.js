@@ -7,6 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Import schemas from campaigns routes
 const ContactList = mongoose.models.ContactList;
@@ -37,7 +39,14 @@ router.post('/lists', async (req, res) => {
 });
 
 // Get contacts
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  query: {
+    listId: v.string({ max: 50 }),
+    status: v.string({ max: 30 }),
+    search: v.search(),
+    ...pagination({ defaultLimit: 50, maxLimit: 200 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user?._id || req.headers['x-user-id'];
     const { listId, status, search, page = 1, limit = 50 } = req.query;
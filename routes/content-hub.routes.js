@@ -8,24 +8,13 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // ---------------------------
 // Auth
 // ---------------------------
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 const getUserId = (req) => req.user?.id || req.user?.userId || req.user?._id;
 
@@ -172,7 +161,11 @@ router.post('/:id/restore', verifyToken, async (req, res) => {
 // ---------------------------
 // GET /api/content-hub/trash (current user's deleted items)
 // ---------------------------
-router.get('/trash/list', verifyToken, async (req, res) => {
+router.get('/trash/list', verifyToken, validate({
+  query: {
+    limit: v.int({ min: 1, max: 200, clamp: true, default: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     if (!userId) return res.status(401).json({ ok: false, error: 'Unauthorized' });
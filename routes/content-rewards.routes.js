@@ -8,26 +8,7 @@ const router = express.Router();
 const { rewardUser, RATES } = require('../middleware/rewards.middleware');
 
 // Auth middleware
-let verifyToken;
-try { verifyToken = require('../middleware/verifyToken'); } catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    try {
-      const m = require('../middleware/auth');
-      verifyToken = m.authenticateToken || m;
-    } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user.id = req.user.userId || req.user.id;
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
+const { verifyToken } = require('../middleware/auth');
 
 console.log('💰 Content Rewards routes loaded — auto-crediting on content actions');
 
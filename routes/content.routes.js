@@ -12,24 +12,7 @@ const mongoose = require('mongoose');
 // AUTH MIDDLEWARE
 // ==========================================
 
-const jwt = require('jsonwebtoken');
-
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'Access token required' });
-  }
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(403).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
 
 // ==========================================
 // LOAD CONTENT CREATOR SERVICE
@@ -13,6 +13,8 @@ const verifyToken = require('../middleware/verifyToken');
 const User = require('../models/user.model');
 const Post = require('../models/post.model');
 const Blog = require('../models/blog.model');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Try to load optional models
 let Vlog, Follow, Notification, Reaction;
@@ -55,7 +57,11 @@ function calcChange(current, previous) {
 // GET DASHBOARD OVERVIEW
 // ==========================================
 
-router.get('/overview', verifyToken, async (req, res) => {
+router.get('/overview', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
@@ -176,7 +182,11 @@ router.get('/overview', verifyToken, async (req, res) => {
 // GET ENGAGEMENT OVER TIME (Chart Data)
 // ==========================================
 
-router.get('/engagement-chart', verifyToken, async (req, res) => {
+router.get('/engagement-chart', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
@@ -268,7 +278,13 @@ router.get('/engagement-chart', verifyToken, async (req, res) => {
 // GET TOP PERFORMING CONTENT
 // ==========================================
 
-router.get('/top-content', verifyToken, async (req, res) => {
+router.get('/top-content', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 }),
+    type: v.string({ max: 50 }),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d', limit = 10, type = 'all' } = req.query;
@@ -351,7 +367,11 @@ router.get('/top-content', verifyToken, async (req, res) => {
 // GET FOLLOWER GROWTH
 // ==========================================
 
-router.get('/follower-growth', verifyToken, async (req, res) => {
+router.get('/follower-growth', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
@@ -437,7 +457,11 @@ router.get('/content-breakdown', verifyToken, async (req, res) => {
 // GET REACTION BREAKDOWN
 // ==========================================
 
-router.get('/reaction-breakdown', verifyToken, async (req, res) => {
+router.get('/reaction-breakdown', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
@@ -512,7 +536,11 @@ router.get('/reaction-breakdown', verifyToken, async (req, res) => {
 // GET POSTING ACTIVITY (Heatmap Data)
 // ==========================================
 
-router.get('/activity-heatmap', verifyToken, async (req, res) => {
+router.get('/activity-heatmap', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '90d' } = req.query;
@@ -51,19 +51,9 @@ const oauthStates = new Map();
 // AUTH MIDDLEWARE
 // ==========================================
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // GET AVAILABLE PROVIDERS
@@ -161,7 +151,13 @@ router.get('/oauth/:provider/start', auth, async (req, res) => {
 // OAUTH FLOW - CALLBACK
 // ==========================================
 
-router.get('/oauth/:provider/callback', async (req, res) => {
+router.get('/oauth/:provider/callback', validate({
+  query: {
+    code: v.string({ max: 2048 }),
+    state: v.string({ max: 500 }),
+    error: v.string({ max: 500 })
+  }
+}), async (req, res) => {
   try {
     const { provider } = req.params;
     const { code, state, error } = req.query;
@@ -13,15 +13,7 @@ let domainService;
 try { domainService = require('../services/domain.service'); } catch (err) {}
 
 // Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-};
+const { verifyToken } = require('../middleware/auth');
 
 // DNS Presets
 const DNS_PRESETS = {
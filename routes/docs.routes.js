@@ -0,0 +1,66 @@
+// ============================================
+// FILE: routes/docs.routes.js
+// API Documentation Routes
+// VERSION: 1.0
+// GET /api/docs               - interactive explorer (Swagger UI)
+// GET /api/docs/openapi.json  - OpenAPI 3 document
+// GET /api/docs/routes        - which routers loaded / failed (admin)
+// Set API_DOCS_ENABLED=false to turn the docs off.
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const openApiService = require('../services/openapi.service');
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+
+const SWAGGER_UI_VERSION = '5.17.14';
+
+router.use((req, res, next) => {
+  if (process.env.API_DOCS_ENABLED === 'false') {
+    return res.status(404).json({ ok: false, error: 'API documentation is disabled' });
+  }
+  next();
+});
+
+// GET /api/docs/openapi.json
+router.get('/openapi.json', (req, res) => {
+  try {
+    res.json(openApiService.getSpec());
+  } catch (error) {
+    console.error('OpenAPI build error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to build API documentation' });
+  }
+});
+
+// GET /api/docs/routes - Router load report
+router.get('/routes', verifyToken, requireAdmin, (req, res) => {
+  res.json({ ok: true, ...openApiService.getLoadReport() });
+});
+
+// GET /api/docs - Explorer
+router.get('/', (req, res) => {
+  const cdn = `https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}`;
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>CYBEV API</title>
+  <link rel="stylesheet" href="${cdn}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${cdn}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: '${req.baseUrl}/openapi.json',
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`);
+});
+
+module.exports = router;
@@ -14,6 +14,8 @@ const crypto = require('crypto');
 const getDomainModel = () => mongoose.models.Domain || require('../models/domain.model');
 const getUserModel = () => mongoose.models.User || require('../models/user.model');
 const getSiteModel = () => mongoose.models.Site || require('../models/site.model');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Domain service
 let domainService;
@@ -78,15 +80,7 @@ const TLD_PRICING = {
 // HELPERS
 // ==========================================
 
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-};
+const { verifyToken } = require('../middleware/auth');
 
 const getAvailableProviders = () => {
   return Object.entries(PROVIDERS)
@@ -210,7 +204,11 @@ router.get('/providers', async (req, res) => {
 });
 
 // GET /api/domain-payments/pricing
-router.get('/pricing', async (req, res) => {
+router.get('/pricing', validate({
+  query: {
+    currency: v.string({ max: 10 })
+  }
+}), async (req, res) => {
   try {
     const { currency = 'USD' } = req.query;
     const rate = EXCHANGE_RATES[currency] || 1;
@@ -296,7 +294,12 @@ router.post('/initialize', verifyToken, async (req, res) => {
 });
 
 // GET /api/domain-payments/verify/:reference
-router.get('/verify/:reference', verifyToken, async (req, res) => {
+router.get('/verify/:reference', verifyToken, validate({
+  query: {
+    session_id: v.string({ max: 200 }),
+    transaction_id: v.string({ max: 200 })
+  }
+}), async (req, res) => {
   try {
     const { session_id, transaction_id } = req.query;
     const reference = req.params.reference;
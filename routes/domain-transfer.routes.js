@@ -14,15 +14,9 @@ let domainService;
 try { domainService = require('../services/domain.service'); } catch (err) {}
 
 // Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-};
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Transfer pricing (includes 1 year extension)
 const TRANSFER_PRICING = {
@@ -31,7 +25,11 @@ const TRANSFER_PRICING = {
 };
 
 // GET /api/domain-transfer/check - Check if domain can be transferred
-router.get('/check', verifyToken, async (req, res) => {
+router.get('/check', verifyToken, validate({
+  query: {
+    domain: v.string({ max: 253 })
+  }
+}), async (req, res) => {
   try {
     const { domain } = req.query;
     if (!domain) return res.status(400).json({ ok: false, error: 'Domain required' });
@@ -17,20 +17,9 @@ try {
 }
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // DOMAIN AVAILABILITY & SEARCH
@@ -40,7 +29,11 @@ const verifyToken = (req, res, next) => {
  * Check domain availability
  * GET /api/domains/check?domain=example.com
  */
-router.get('/check', async (req, res) => {
+router.get('/check', validate({
+  query: {
+    domain: v.string({ max: 253 })
+  }
+}), async (req, res) => {
   try {
     const { domain } = req.query;
     
@@ -84,7 +77,12 @@ router.get('/check', async (req, res) => {
  * Search/suggest domains
  * GET /api/domains/search?keyword=mybrand
  */
-router.get('/search', async (req, res) => {
+router.get('/search', validate({
+  query: {
+    keyword: v.string({ max: 63 }),
+    tlds: v.string({ max: 100 })
+  }
+}), async (req, res) => {
   try {
     const { keyword, tlds } = req.query;
     
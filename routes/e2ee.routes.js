@@ -0,0 +1,166 @@
+// ============================================
+// FILE: routes/e2ee.routes.js
+// End-to-end encrypted direct chats - device keys and prekey bundles
+// VERSION: 1.0
+// Messages themselves still go through /api/messages: in a chat with
+// encryption on, send `envelopes` (one per device) instead of `text`
+// and name the sending device in the X-Device-Id header.
+// See services/e2ee.service.js; limits are in config/e2ee.js.
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const { verifyToken, requireAuthType } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
+const e2eeService = require('../services/e2ee.service');
+
+// Device keys belong to signed-in sessions only, never API keys or app tokens
+const sessionOnly = [verifyToken, requireAuthType('session')];
+
+console.log('🔐 E2EE Routes v1.0 loaded - device keys, prekey bundles');
+
+const sendError = (res, error, label) => {
+  if (error.name === 'E2EEError') {
+    return res.status(error.status).json({ ok: false, error: error.message, ...(error.details || {}) });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const { maxKeyLength, maxOneTimePreKeys } = e2eeService.config;
+const key = (options = {}) => v.string({ max: maxKeyLength, trim: false, ...options });
+const deviceParam = { deviceId: v.string({ required: true, max: 64, pattern: /^[A-Za-z0-9_-]+$/ }) };
+const preKeys = (options = {}) => v.array(v.object({
+  keyId: v.int({ required: true, min: 0 }),
+  publicKey: key({ required: true })
+}), { max: maxOneTimePreKeys, ...options });
+
+// ==========================================
+// DEVICES
+// ==========================================
+
+/**
+ * Your registered devices
+ * GET /api/e2ee/devices
+ */
+router.get('/devices', sessionOnly, async (req, res) => {
+  try {
+    const devices = await e2eeService.listDevices(req.user.id);
+    res.json({ ok: true, devices });
+  } catch (error) {
+    sendError(res, error, 'List devices');
+  }
+});
+
+/**
+ * Register this device, or rotate its signed prekey
+ * PUT /api/e2ee/devices/:deviceId
+ */
+router.put('/devices/:deviceId', sessionOnly, validate({
+  params: deviceParam,
+  body: {
+    name: v.string({ max: 100 }),
+    registrationId: v.int({ min: 0 }),
+    identityKey: key({ required: true }),
+    signedPreKey: v.object({
+      keyId: v.int({ required: true, min: 0 }),
+      publicKey: key({ required: true }),
+      signature: key({ required: true })
+    }, { required: true }),
+    oneTimePreKeys: preKeys()
+  }
+}), async (req, res) => {
+  try {
+    const device = await e2eeService.registerDevice(req.user.id, req.params.deviceId, req.body);
+    res.json({ ok: true, device });
+  } catch (error) {
+    sendError(res, error, 'Register device');
+  }
+});
+
+/**
+ * Remove a device - it gets no new messages
+ * DELETE /api/e2ee/devices/:deviceId
+ */
+router.delete('/devices/:deviceId', sessionOnly, validate({ params: deviceParam }), async (req, res) => {
+  try {
+    await e2eeService.revokeDevice(req.user.id, req.params.deviceId);
+    res.json({ ok: true, message: 'Device removed' });
+  } catch (error) {
+    sendError(res, error, 'Remove device');
+  }
+});
+
+/**
+ * How many one-time prekeys are left
+ * GET /api/e2ee/devices/:deviceId/prekeys
+ */
+router.get('/devices/:deviceId/prekeys', sessionOnly, validate({ params: deviceParam }), async (req, res) => {
+  try {
+    const status = await e2eeService.getPreKeyStatus(req.user.id, req.params.deviceId);
+    res.json({ ok: true, ...status });
+  } catch (error) {
+    sendError(res, error, 'Prekey status');
+  }
+});
+
+/**
+ * Upload more one-time prekeys
+ * POST /api/e2ee/devices/:deviceId/prekeys
+ */
+router.post('/devices/:deviceId/prekeys', sessionOnly, validate({
+  params: deviceParam,
+  body: { oneTimePreKeys: preKeys({ required: true, min: 1 }) }
+}), async (req, res) => {
+  try {
+    const preKeyCount = await e2eeService.addPreKeys(req.user.id, req.params.deviceId, req.body.oneTimePreKeys);
+    res.json({ ok: true, preKeyCount });
+  } catch (error) {
+    sendError(res, error, 'Upload prekeys');
+  }
+});
+
+// ==========================================
+// BUNDLES
+// ==========================================
+
+/**
+ * Prekey bundles for every device of a user (yourself included, for
+ * your other devices). Each call uses up one-time prekeys.
+ * GET /api/e2ee/users/:userId/bundles
+ */
+router.get('/users/:userId/bundles', sessionOnly, rateLimit('e2ee-bundle'), validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const bundles = await e2eeService.getBundles(req.user.id, req.params.userId);
+    res.json({ ok: true, ...bundles });
+  } catch (error) {
+    sendError(res, error, 'Key bundles');
+  }
+});
+
+// ==========================================
+// CONVERSATIONS
+// ==========================================
+
+/**
+ * Turn end-to-end encryption on / off for a direct chat
+ * PUT /api/e2ee/conversations/:conversationId
+ */
+router.put('/conversations/:conversationId', sessionOnly, validate({
+  params: { conversationId: v.objectId({ required: true }) },
+  body: { enabled: v.boolean({ required: true }) }
+}), async (req, res) => {
+  try {
+    const result = await e2eeService.setEncryption(req.user.id, req.params.conversationId, req.body.enabled);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Chat encryption');
+  }
+});
+
+module.exports = router;
@@ -9,18 +9,9 @@ const router = express.Router();
 const { EmailPlan, UserEmailSubscription, UsageLog } = require('../models/email-subscription.model');
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // PLANS
@@ -157,7 +148,11 @@ router.get('/usage', auth, async (req, res) => {
 });
 
 // Get usage history
-router.get('/usage/history', auth, async (req, res) => {
+router.get('/usage/history', auth, validate({
+  query: {
+    months: v.int({ min: 1, max: 24, clamp: true, default: 6 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { months = 6 } = req.query;
@@ -8,6 +8,9 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const sesInbound = require('../services/ses-inbound.service');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // SNS MESSAGE VALIDATION
@@ -152,7 +155,7 @@ router.post('/sns', express.text({ type: '*/*' }), async (req, res) => {
  * Track email open (pixel)
  * URL format: /track/open/:trackingId
  */
-router.get('/track/open/:trackingId', async (req, res) => {
+router.get('/track/open/:trackingId', rateLimit('email-tracking'), async (req, res) => {
   try {
     const { trackingId } = req.params;
     
@@ -163,8 +166,8 @@ router.get('/track/open/:trackingId', async (req, res) => {
       location: {} // Would use IP geolocation service in production
     };
     
-    // Track the open
-    await sesInbound.trackEmailOpen(trackingId, metadata);
+    // Track the open (over the limit the pixel is served but not counted)
+    if (!req.rateLimited) await sesInbound.trackEmailOpen(trackingId, metadata);
     
     // Return transparent 1x1 pixel
     const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
@@ -186,7 +189,11 @@ router.get('/track/open/:trackingId', async (req, res) => {
  * Track link click
  * URL format: /track/click/:trackingId?url=<encoded_url>
  */
-router.get('/track/click/:trackingId', async (req, res) => {
+router.get('/track/click/:trackingId', rateLimit('email-tracking'), validate({
+  query: {
+    url: v.string({ max: 2048 })
+  }
+}), async (req, res) => {
   try {
     const { trackingId } = req.params;
     const { url } = req.query;
@@ -210,8 +217,8 @@ router.get('/track/click/:trackingId', async (req, res) => {
       userAgent: req.headers['user-agent']
     };
     
-    // Track the click
-    await sesInbound.trackEmailClick(trackingId, decodedUrl, metadata);
+    // Track the click (over the limit the visitor is still redirected)
+    if (!req.rateLimited) await sesInbound.trackEmailClick(trackingId, decodedUrl, metadata);
     
     // Redirect to actual URL
     res.redirect(302, decodedUrl);
@@ -234,7 +241,14 @@ router.get('/track/click/:trackingId', async (req, res) => {
 /**
  * Handle unsubscribe requests
  */
-router.get('/unsubscribe', async (req, res) => {
+router.get('/unsubscribe', validate({
+  query: {
+    email: v.email(),
+    campaign: v.objectId(),
+    auto: v.string({ max: 50 }),
+    list: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { email, campaign, auto, list } = req.query;
     
@@ -14,19 +14,9 @@ const { EmailAddress, SenderDomain, EmailMessage, EmailThread, EmailLabel, Email
 const sesService = require('../services/ses.service');
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // EMAIL ADDRESS MANAGEMENT
@@ -192,7 +182,16 @@ router.delete('/addresses/:id', auth, async (req, res) => {
 // ==========================================
 
 // Get messages (inbox, sent, drafts, etc.)
-router.get('/messages', auth, async (req, res) => {
+router.get('/messages', auth, validate({
+  query: {
+    folder: v.string({ max: 50 }),
+    search: v.string({ max: 100 }),
+    label: v.string({ max: 50 }),
+    isRead: v.string({ max: 5 }),
+    isStarred: v.string({ max: 5 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { 
@@ -578,7 +577,11 @@ router.post('/messages/bulk', auth, async (req, res) => {
 });
 
 // Delete message (move to trash or permanent)
-router.delete('/messages/:id', auth, async (req, res) => {
+router.delete('/messages/:id', auth, validate({
+  query: {
+    permanent: v.string({ max: 5 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { permanent } = req.query;
@@ -701,7 +704,12 @@ router.delete('/labels/:id', auth, async (req, res) => {
 // ==========================================
 
 // Get contacts
-router.get('/contacts', auth, async (req, res) => {
+router.get('/contacts', auth, validate({
+  query: {
+    search: v.string({ max: 100 }),
+    ...pagination({ defaultLimit: 100 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { search, page = 1, limit = 100 } = req.query;
@@ -727,7 +735,9 @@ router.get('/contacts', auth, async (req, res) => {
 });
 
 // Search contacts (for autocomplete)
-router.get('/contacts/search', auth, async (req, res) => {
+router.get('/contacts/search', auth, validate({
+  query: { q: v.search() }
+}), async (req, res) => {
   try {
     const userId = req.user.userId || req.user.id;
     const { q } = req.query;
@@ -9,32 +9,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
-
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-      req.user = decoded;
-    } catch (err) {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Get Event model
 const getEventModel = () => {
@@ -124,7 +101,20 @@ router.post('/', verifyToken, async (req, res) => {
 // GET /api/events
 // ==========================================
 
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    search: v.search(),
+    city: v.search(),
+    country: v.search(),
+    category: v.string({ max: 50 }),
+    type: v.string({ max: 30 }),
+    startDate: v.date(),
+    endDate: v.date(),
+    organizer: v.objectId(),
+    group: v.objectId(),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Event = getEventModel();
     const {
@@ -449,7 +439,12 @@ router.post('/:id/rsvp', verifyToken, async (req, res) => {
 // GET /api/events/:id/attendees
 // ==========================================
 
-router.get('/:id/attendees', optionalAuth, async (req, res) => {
+router.get('/:id/attendees', optionalAuth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Event = getEventModel();
     const { id } = req.params;
@@ -541,7 +536,11 @@ router.post('/:id/comments', verifyToken, async (req, res) => {
 // GET /api/events/user/me
 // ==========================================
 
-router.get('/user/me', verifyToken, async (req, res) => {
+router.get('/user/me', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Event = getEventModel();
     const { type = 'all' } = req.query; // 'organized', 'attending', 'interested', 'all'
@@ -1,6 +1,9 @@
 // ============================================
 // FILE: routes/feed.routes.js
 // CYBEV Feed Routes - Fixed Populate Issues
+// /personalized is ranked by services/feed-ranking.service.js
+// /following reads the precomputed timeline (services/timeline.service.js)
+// Every tab hides what the viewer blocked or muted (services/block.service.js)
 // ============================================
 
 const express = require('express');
@@ -34,35 +37,21 @@ try {
   console.log('SharedPost model not found');
 }
 
-// Auth middleware - try multiple paths
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try {
-    verifyToken = require('../middleware/auth.middleware');
-  } catch (e2) {
-    try {
-      verifyToken = require('../middleware/auth');
-    } catch (e3) {
-      // Fallback middleware
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) {
-          return res.status(401).json({ error: 'No token provided' });
-        }
-        try {
-          const jwt = require('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user = decoded;
-          next();
-        } catch (err) {
-          return res.status(401).json({ error: 'Invalid token' });
-        }
-      };
-    }
-  }
-}
+// Auth middleware
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const feedRankingService = require('../services/feed-ranking.service');
+const timelineService = require('../services/timeline.service');
+const blockService = require('../services/block.service');
+
+// Helper: drop items from people blocked either way / muted, and items
+// with muted words or hashtags (shares: the sharer counts too)
+const applyViewerFilter = async (userId, items) => {
+  const filter = await blockService.getFilter(userId);
+  if (filter.isEmpty) return items;
+  return items.filter(item => !filter.hidesDoc(item) && !filter.hidesUser(item.sharedBy));
+};
 
 // Helper: Safe populate
 const safePopulate = async (query, populateOptions) => {
@@ -78,7 +67,12 @@ const safePopulate = async (query, populateOptions) => {
 // ==========================================
 // GET /api/feed - Main Feed
 // ==========================================
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    tab: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { tab = 'latest', page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -242,6 +236,8 @@ router.get('/', async (req, res) => {
       }
     }
     
+    if (req.user) feed = await applyViewerFilter(req.user.id, feed);
+    
     // Sort by pinned first, then by date
     feed.sort((a, b) => {
       if (a.isPinned && !b.isPinned) return -1;
@@ -273,7 +269,11 @@ router.get('/', async (req, res) => {
 // ==========================================
 // GET /api/feed/trending - Trending Posts
 // ==========================================
-router.get('/trending', async (req, res) => {
+router.get('/trending', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
@@ -313,6 +313,8 @@ router.get('/trending', async (req, res) => {
       }
     }
     
+    if (req.user) trending = await applyViewerFilter(req.user.id, trending);
+    
     res.json({
       ok: true,
       trending,
@@ -327,134 +329,85 @@ router.get('/trending', async (req, res) => {
 
 // ==========================================
 // GET /api/feed/following - Following Feed
+// ?cursor=<nextCursor>  next page
+// ?type=post|blog       one content type only
 // ==========================================
-router.get('/following', verifyToken, async (req, res) => {
+router.get('/following', verifyToken, validate({
+  query: {
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 }),
+    cursor: v.string({ max: 256 }),
+    type: v.enum(['post', 'blog'])
+  }
+}), async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Get user's following list
-    let followingIds = [];
-    
-    if (User) {
-      try {
-        const user = await User.findById(userId).select('following').lean();
-        followingIds = user?.following || [];
-      } catch (e) {
-        console.log('Failed to get following list:', e.message);
-      }
-    }
-    
-    let feed = [];
-    
-    if (Blog && followingIds.length > 0) {
-      try {
-        const blogs = await Blog.find({
-          author: { $in: followingIds },
-          status: 'published'
-        })
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(parseInt(limit))
-          .lean();
-        
-        // Fetch authors
-        const authorIds = [...new Set(blogs.map(b => b.author || b.authorId).filter(Boolean))];
-        let authors = {};
-        
-        if (User && authorIds.length > 0) {
-          const users = await User.find({ _id: { $in: authorIds } })
-            .select('name username avatar profileImage profilePicture')
-            .lean();
-          
-          users.forEach(u => {
-            authors[u._id.toString()] = u;
-          });
-        }
-        
-        feed = blogs.map(blog => {
-          const authorId = (blog.author || blog.authorId)?.toString();
-          return {
-            ...blog,
-            contentType: 'blog',
-            author: authors[authorId] || { name: blog.authorName || 'Anonymous' }
-          };
-        });
-      } catch (e) {
-        console.log('Following feed error:', e.message);
-      }
-    }
-    
+    const { limit, cursor, type } = req.query;
+
+    const filter = await blockService.getFilter(userId);
+    const { items, hasMore, nextCursor } = await timelineService.read(userId, {
+      limit,
+      cursor: cursor || null,
+      hide: filter.isEmpty ? null : (doc) => filter.hidesDoc(doc),
+      ...(type ? { types: [type] } : {})
+    });
+
     res.json({
       ok: true,
-      feed,
-      items: feed,
-      page: parseInt(page),
-      hasMore: feed.length === parseInt(limit)
+      feed: items,
+      items,
+      hasMore,
+      nextCursor
     });
-    
+
   } catch (error) {
+    if (error.name === 'TimelineError') {
+      return res.status(error.status).json({ ok: false, error: error.message, feed: [] });
+    }
     console.error('Following feed error:', error);
     res.status(500).json({ ok: false, error: 'Failed to load following feed', feed: [] });
   }
 });
 
 // ==========================================
-// GET /api/feed/personalized - AI Personalized
+// GET /api/feed/personalized - Ranked for the viewer
+// ?cursor=<nextCursor>  next page
+// ?explain=true         include why each item ranked where it did
+// ?includeSeen=true     don't hide items served in the last few days
 // ==========================================
-router.get('/personalized', verifyToken, async (req, res) => {
+router.get('/personalized', verifyToken, validate({
+  query: {
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 }),
+    cursor: v.string({ max: 512 }),
+    explain: v.boolean({ default: false }),
+    includeSeen: v.boolean({ default: false })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user._id || req.user.id;
-    const { limit = 20 } = req.query;
-    
-    // For now, return trending + some randomization
-    let feed = [];
-    
-    if (Blog) {
-      try {
-        const blogs = await Blog.find({ status: 'published' })
-          .sort({ views: -1, createdAt: -1 })
-          .limit(parseInt(limit) * 2)
-          .lean();
-        
-        // Shuffle and take limit
-        const shuffled = blogs.sort(() => Math.random() - 0.5);
-        
-        // Fetch authors
-        const authorIds = [...new Set(shuffled.map(b => b.author || b.authorId).filter(Boolean))];
-        let authors = {};
-        
-        if (User && authorIds.length > 0) {
-          const users = await User.find({ _id: { $in: authorIds } })
-            .select('name username avatar profileImage profilePicture')
-            .lean();
-          
-          users.forEach(u => {
-            authors[u._id.toString()] = u;
-          });
-        }
-        
-        feed = shuffled.slice(0, parseInt(limit)).map(blog => {
-          const authorId = (blog.author || blog.authorId)?.toString();
-          return {
-            ...blog,
-            contentType: 'blog',
-            author: authors[authorId] || { name: blog.authorName || 'Anonymous' }
-          };
-        });
-      } catch (e) {
-        console.log('Personalized feed error:', e.message);
-      }
-    }
-    
+    const { limit, cursor, explain, includeSeen } = req.query;
+
+    const result = await feedRankingService.getPersonalizedFeed(userId, {
+      limit,
+      cursor: cursor || null,
+      explain,
+      includeSeen
+    });
+
     res.json({
       ok: true,
-      feed,
-      items: feed
+      feed: result.items,
+      items: result.items,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      asOf: result.asOf,
+      ...(result.seenFallback ? { seenFallback: true } : {}),
+      ...(result.explain ? { explain: result.explain } : {})
     });
-    
+
   } catch (error) {
+    if (error.name === 'FeedError') {
+      return res.status(error.status).json({ ok: false, error: error.message, feed: [] });
+    }
     console.error('Personalized feed error:', error);
     res.status(500).json({ ok: false, error: 'Failed to load personalized feed', feed: [] });
   }
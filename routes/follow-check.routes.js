@@ -8,18 +8,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Auth middleware (optional for check)
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    } catch (error) {
-      // Token invalid, continue without user
-    }
-  }
-  next();
-};
+const { optionalAuth } = require('../middleware/auth');
 
 // Get Follow model
 const getFollow = () => {
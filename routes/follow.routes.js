@@ -1,7 +1,7 @@
 // ============================================
 // FILE: routes/follow.routes.js
 // Follow System API Routes
-// VERSION: 6.4.3 - Added /check/:userId endpoint for frontend compatibility
+// VERSION: 6.5.0 - Blocked users can't follow; suggestions skip blocked / muted users
 // ============================================
 
 const express = require('express');
@@ -13,29 +13,10 @@ const getFollowModel = () => mongoose.models.Follow || require('../models/follow
 const getUserModel = () => mongoose.models.User || require('../models/user.model');
 
 // Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { 
-    return res.status(401).json({ ok: false, error: 'Invalid token' }); 
-  }
-};
-
-// Optional auth
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const blockService = require('../services/block.service');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Helper: Update user follow counts
 const updateUserCounts = async (userId) => {
@@ -133,6 +114,10 @@ router.post('/:userId', verifyToken, async (req, res) => {
     if (!targetUser) {
       return res.status(404).json({ ok: false, error: 'User not found' });
     }
+
+    if (await blockService.isBlocked(followerId, userId)) {
+      return res.status(403).json({ ok: false, error: "You can't follow this user" });
+    }
     
     // Check if already following
     const existingFollow = await Follow.findOne({
@@ -259,6 +244,10 @@ router.post('/:userId/toggle', verifyToken, async (req, res) => {
     if (!targetUser) {
       return res.status(404).json({ ok: false, error: 'User not found' });
     }
+
+    if (await blockService.isBlocked(followerId, userId)) {
+      return res.status(403).json({ ok: false, error: "You can't follow this user" });
+    }
     
     // Check current follow status
     const existingFollow = await Follow.findOne({
@@ -316,7 +305,12 @@ router.post('/:userId/toggle', verifyToken, async (req, res) => {
 // ==========================================
 
 // GET /api/follow/:userId/followers - Get user's followers
-router.get('/:userId/followers', optionalAuth, async (req, res) => {
+router.get('/:userId/followers', optionalAuth, validate({
+  query: {
+    search: v.string({ max: 100 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20, search } = req.query;
@@ -392,7 +386,12 @@ router.get('/:userId/followers', optionalAuth, async (req, res) => {
 });
 
 // GET /api/follow/:userId/following - Get users that this user follows
-router.get('/:userId/following', optionalAuth, async (req, res) => {
+router.get('/:userId/following', optionalAuth, validate({
+  query: {
+    search: v.string({ max: 100 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 20, search } = req.query;
@@ -532,7 +531,11 @@ router.get('/:userId/counts', async (req, res) => {
 // ==========================================
 
 // GET /api/follow/:userId/mutuals - Get mutual follows
-router.get('/:userId/mutuals', optionalAuth, async (req, res) => {
+router.get('/:userId/mutuals', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 20 } = req.query;
@@ -571,7 +574,11 @@ router.get('/:userId/mutuals', optionalAuth, async (req, res) => {
 });
 
 // GET /api/follow/suggestions - Get follow suggestions
-router.get('/suggestions', verifyToken, async (req, res) => {
+router.get('/suggestions', verifyToken, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     const userId = req.user.id;
@@ -583,11 +590,14 @@ router.get('/suggestions', verifyToken, async (req, res) => {
     const following = await Follow.find({ follower: userId, status: 'active' }).select('following');
     const followingIds = following.map(f => f.following.toString());
     followingIds.push(userId); // Exclude self
+    // ...and anyone blocked either way or muted
+    const filter = await blockService.getFilter(userId);
+    followingIds.push(...filter.hiddenAuthors());
     
     // Strategy 1: Friends of friends
     let suggestions = [];
     
-    if (followingIds.length > 1) {
+    if (following.length > 0) {
       suggestions = await Follow.aggregate([
         // Find who my followings follow
         { $match: { 
@@ -7,10 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Import models
 const { Form, FormSubmission } = require('../models/form.model');
+const { rateLimit } = require('../middleware/rate-limit');
 
 // Contact model (for creating contacts on form submit)
 const contactSchema = new mongoose.Schema({
@@ -42,18 +42,9 @@ const ContactList = mongoose.models.ContactList || mongoose.model('ContactList',
 // AUTHENTICATION MIDDLEWARE
 // ==========================================
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 const getUserId = (req) => req.user.userId || req.user.id || req.user._id;
 
@@ -62,7 +53,12 @@ const getUserId = (req) => req.user.userId || req.user.id || req.user._id;
 // ==========================================
 
 // Get all forms for user
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    type: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { status, type } = req.query;
@@ -273,7 +269,11 @@ router.post('/:id/duplicate', auth, async (req, res) => {
 // ==========================================
 
 // Get form submissions
-router.get('/:id/submissions', auth, async (req, res) => {
+router.get('/:id/submissions', auth, validate({
+  query: {
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { page = 1, limit = 50 } = req.query;
@@ -342,7 +342,7 @@ router.get('/embed/:shortCode', async (req, res) => {
 });
 
 // Submit form (public endpoint)
-router.post('/submit/:shortCode', async (req, res) => {
+router.post('/submit/:shortCode', rateLimit('form-submit'), async (req, res) => {
   try {
     const form = await Form.findOne({ shortCode: req.params.shortCode, status: 'active' });
     
@@ -463,7 +463,11 @@ router.post('/submit/:shortCode', async (req, res) => {
 // ==========================================
 
 // Get form analytics
-router.get('/:id/analytics', auth, async (req, res) => {
+router.get('/:id/analytics', auth, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { period = '30d' } = req.query;
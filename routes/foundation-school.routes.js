@@ -27,9 +27,9 @@ const {
 } = require('../models/church.model');
 
 // Middleware
-// NOTE: backend uses middleware/auth.js which exports authenticateToken
-const { authenticateToken } = require('../middleware/auth');
-const verifyToken = authenticateToken;
+const { verifyToken, resolveToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // PUBLIC ROUTES (No Auth Required)
@@ -83,7 +83,12 @@ router.get('/modules/:moduleNumber', async (req, res) => {
  * GET /api/church/foundation/batches
  * Get available Foundation School batches
  */
-router.get('/batches', async (req, res) => {
+router.get('/batches', validate({
+  query: {
+    churchId: v.objectId(),
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { churchId, status } = req.query;
     
@@ -188,7 +193,11 @@ router.post('/enroll', verifyToken, async (req, res) => {
  * GET /api/church/foundation/enrollment
  * Get current user's enrollment status
  */
-router.get('/enrollment', verifyToken, async (req, res) => {
+router.get('/enrollment', verifyToken, validate({
+  query: {
+    organizationId: v.objectId()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { organizationId } = req.query;
@@ -512,7 +521,11 @@ router.get('/certificate', verifyToken, async (req, res) => {
  * GET /api/church/foundation/stats
  * Get Foundation School statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', validate({
+  query: {
+    organizationId: v.objectId()
+  }
+}), async (req, res) => {
   try {
     const { organizationId } = req.query;
 
@@ -698,23 +711,26 @@ router.post('/admin/issue-certificate/:enrollmentId', verifyToken, async (req, r
  * GET /api/church/foundation/certificates/:enrollmentId/image
  * Streams the generated certificate image with student's name.
  */
-router.get('/certificates/:enrollmentId/image', async (req, res) => {
+router.get('/certificates/:enrollmentId/image', validate({
+  query: {
+    token: v.string({ max: 4096 })
+  }
+}), async (req, res) => {
   try {
     // Allow auth via Bearer header OR ?token= (useful for opening in a new tab)
-    const jwt = require('jsonwebtoken');
     const bearer = req.headers.authorization?.replace('Bearer ', '');
     const qtok = (req.query.token || '').toString();
     const token = bearer || qtok;
     if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
 
-    let decoded;
+    let viewer;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    } catch {
-      return res.status(401).json({ ok: false, error: 'Invalid token' });
+      viewer = await resolveToken(token);
+    } catch (err) {
+      return res.status(err.status || 401).json({ ok: false, error: err.message || 'Invalid token', code: err.code });
     }
 
-    const userId = decoded.userId || decoded.id || decoded._id;
+    const userId = viewer.id;
     const { enrollmentId } = req.params;
     const enrollment = await FoundationEnrollment.findById(enrollmentId)
       .populate('student', 'name username')
@@ -789,7 +805,14 @@ router.post('/admin/seed-modules', verifyToken, async (req, res) => {
  * GET /api/church/foundation/admin/students
  * Get all enrolled students (Admin dashboard)
  */
-router.get('/admin/students', verifyToken, async (req, res) => {
+router.get('/admin/students', verifyToken, validate({
+  query: {
+    organizationId: v.objectId(),
+    batchId: v.objectId(),
+    status: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { organizationId, batchId, status, page = 1, limit = 50 } = req.query;
     
@@ -826,7 +849,12 @@ router.get('/admin/students', verifyToken, async (req, res) => {
  * GET /api/church/foundation/leaderboard
  * Public leaderboard - top students by quiz scores
  */
-router.get('/leaderboard', async (req, res) => {
+router.get('/leaderboard', validate({
+  query: {
+    organizationId: v.objectId(),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 50 })
+  }
+}), async (req, res) => {
   try {
     const { organizationId, limit = 50 } = req.query;
     
@@ -943,7 +971,14 @@ router.put('/admin/grade-assignment/:submissionId', verifyToken, async (req, res
  * GET /api/church/foundation/admin/enrollments
  * Get all enrollments (Admin)
  */
-router.get('/admin/enrollments', verifyToken, async (req, res) => {
+router.get('/admin/enrollments', verifyToken, validate({
+  query: {
+    organizationId: v.objectId(),
+    batchId: v.objectId(),
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { organizationId, batchId, status, page = 1, limit = 20 } = req.query;
 
@@ -1012,9 +1047,8 @@ router.post('/admin/run-seed', async (req, res) => {
     if (!authorized && authHeader) {
       try {
         const token = authHeader.replace('Bearer ', '');
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-        if (decoded.role === 'admin' || decoded.isAdmin) {
+        const principal = await resolveToken(token);
+        if (principal.isAdmin) {
           authorized = true;
         }
       } catch (e) {
@@ -49,28 +49,14 @@ GivingSchema.index({ type: 1, createdAt: -1 });
 const Giving = mongoose.models.Giving || mongoose.model('Giving', GivingSchema);
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // POST /api/church/giving - Create donation
 // ==========================================
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requireScope('church:giving'), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { 
@@ -145,7 +131,13 @@ router.post('/', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/giving/history - User's giving history
 // ==========================================
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', verifyToken, validate({
+  query: {
+    orgId: v.objectId(),
+    type: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { orgId, type, page = 1, limit = 20 } = req.query;
@@ -235,7 +227,12 @@ router.get('/history', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/giving/org/:orgId - Organization giving summary
 // ==========================================
-router.get('/org/:orgId', verifyToken, async (req, res) => {
+router.get('/org/:orgId', verifyToken, validate({
+  query: {
+    startDate: v.date(),
+    endDate: v.date()
+  }
+}), async (req, res) => {
   try {
     const { orgId } = req.params;
     const { startDate, endDate } = req.query;
@@ -1,7 +1,7 @@
 // ============================================
 // FILE: routes/group-enhanced.routes.js
 // Enhanced Group Features (Chat, Polls, Announcements)
-// VERSION: 1.0
+// VERSION: 1.1 - Polls use the shared poll service
 // ============================================
 
 const express = require('express');
@@ -9,20 +9,10 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
+const pollService = require('../services/poll.service');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Get Group model
 const getGroupModel = () => {
@@ -154,223 +144,102 @@ router.delete('/:groupId/announcements/:announcementId', verifyToken, async (req
 
 // ==========================================
 // GROUP POLLS
+// Kept for existing clients; polls live in services/poll.service.js
+// (also reachable at /api/polls)
 // ==========================================
 
+const sendPollError = (res, error, label) => {
+  if (error.name === 'PollError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: error.message });
+};
+
+// The poll, checked to belong to this group
+const getGroupPoll = async (groupId, pollId, userId) => {
+  const poll = await pollService.getForUser(userId, pollId);
+  if (poll.attachedTo.type !== 'group' || poll.attachedTo.id.toString() !== groupId) {
+    throw pollService.pollError('Poll not found', 404);
+  }
+  return poll;
+};
+
 // Create poll
 router.post('/:groupId/polls', verifyToken, async (req, res) => {
   try {
-    const Group = getGroupModel();
-    const { groupId } = req.params;
-    const { question, options, multipleChoice = false, endsAt, anonymous = false } = req.body;
-
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ ok: false, error: 'Group not found' });
-    }
+    const { question, options, multipleChoice = false, endsAt, anonymous = false, resultsVisibility } = req.body;
 
-    if (!isMember(group, req.user.id)) {
-      return res.status(403).json({ ok: false, error: 'Must be a member' });
-    }
-
-    if (!question || !options || options.length < 2) {
+    if (!question || !Array.isArray(options) || options.length < 2) {
       return res.status(400).json({ ok: false, error: 'Question and at least 2 options required' });
     }
 
-    if (!group.polls) group.polls = [];
-
-    const poll = {
-      _id: new mongoose.Types.ObjectId(),
-      author: req.user.id,
+    const created = await pollService.create(req.user.id, {
+      attachTo: { type: 'group', id: req.params.groupId },
       question,
-      options: options.map(opt => ({
-        text: opt,
-        votes: []
-      })),
-      multipleChoice,
-      anonymous,
-      endsAt: endsAt ? new Date(endsAt) : null,
-      createdAt: new Date(),
-      status: 'active'
-    };
-
-    group.polls.unshift(poll);
-    await group.save();
-
-    // Populate author
-    const User = mongoose.models.User || require('../models/user.model');
-    const author = await User.findById(req.user.id).select('name username avatar');
-
-    res.status(201).json({
-      ok: true,
-      poll: {
-        ...poll,
-        author,
-        totalVotes: 0,
-        userVoted: false
-      }
+      options,
+      multipleChoice: !!multipleChoice,
+      anonymous: !!anonymous,
+      resultsVisibility,
+      endsAt
     });
+
+    const poll = await pollService.getForUser(req.user.id, created._id);
+    res.status(201).json({ ok: true, poll });
   } catch (error) {
-    console.error('Create poll error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendPollError(res, error, 'Create poll');
   }
 });
 
 // Vote on poll
 router.post('/:groupId/polls/:pollId/vote', verifyToken, async (req, res) => {
   try {
-    const Group = getGroupModel();
     const { groupId, pollId } = req.params;
-    const { optionIndexes } = req.body; // Array of indexes
-
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ ok: false, error: 'Group not found' });
-    }
-
-    if (!isMember(group, req.user.id)) {
-      return res.status(403).json({ ok: false, error: 'Must be a member' });
-    }
-
-    const poll = group.polls?.find(p => p._id.toString() === pollId);
-    if (!poll) {
-      return res.status(404).json({ ok: false, error: 'Poll not found' });
-    }
-
-    // Check if poll is still active
-    if (poll.status !== 'active') {
-      return res.status(400).json({ ok: false, error: 'Poll is closed' });
-    }
-
-    if (poll.endsAt && new Date(poll.endsAt) < new Date()) {
-      poll.status = 'closed';
-      await group.save();
-      return res.status(400).json({ ok: false, error: 'Poll has ended' });
-    }
+    const { optionIndexes, optionIds } = req.body;
 
-    // Remove previous votes
-    poll.options.forEach(opt => {
-      opt.votes = opt.votes.filter(v => v.toString() !== req.user.id);
-    });
-
-    // Add new votes
-    const indexes = Array.isArray(optionIndexes) ? optionIndexes : [optionIndexes];
-    
-    if (!poll.multipleChoice && indexes.length > 1) {
-      return res.status(400).json({ ok: false, error: 'Only one choice allowed' });
-    }
-
-    indexes.forEach(idx => {
-      if (poll.options[idx]) {
-        poll.options[idx].votes.push(req.user.id);
-      }
-    });
-
-    await group.save();
-
-    // Calculate results
-    const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes.length, 0);
-    const results = poll.options.map(opt => ({
-      text: opt.text,
-      votes: opt.votes.length,
-      percentage: totalVotes > 0 ? Math.round((opt.votes.length / totalVotes) * 100) : 0
-    }));
+    await getGroupPoll(groupId, pollId, req.user.id);
+    await pollService.vote(req.user.id, pollId, optionIds || optionIndexes);
 
+    const poll = await pollService.getForUser(req.user.id, pollId);
     res.json({
       ok: true,
-      results,
-      totalVotes,
-      userVotes: indexes
+      poll,
+      results: poll.resultsVisible ? poll.options : null,
+      totalVotes: poll.totalVotes,
+      userVotes: poll.myVotes
     });
   } catch (error) {
-    console.error('Vote error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendPollError(res, error, 'Vote');
   }
 });
 
 // Get polls
-router.get('/:groupId/polls', verifyToken, async (req, res) => {
+router.get('/:groupId/polls', verifyToken, validate({
+  query: {
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
-    const Group = getGroupModel();
-    const { groupId } = req.params;
     const { status = 'all' } = req.query;
+    // Older clients ask for 'active'
+    const filter = status === 'active' ? 'open' : ['open', 'closed'].includes(status) ? status : 'all';
 
-    const group = await Group.findById(groupId)
-      .populate('polls.author', 'name username avatar')
-      .lean();
-
-    if (!group) {
-      return res.status(404).json({ ok: false, error: 'Group not found' });
-    }
-
-    if (!isMember(group, req.user.id)) {
-      return res.status(403).json({ ok: false, error: 'Must be a member' });
-    }
-
-    let polls = group.polls || [];
-
-    // Filter by status
-    if (status !== 'all') {
-      polls = polls.filter(p => p.status === status);
-    }
-
-    // Add computed fields
-    polls = polls.map(poll => {
-      const totalVotes = poll.options.reduce((sum, opt) => sum + opt.votes.length, 0);
-      const userVoted = poll.options.some(opt => 
-        opt.votes.some(v => v.toString() === req.user.id)
-      );
-      const userVotes = poll.options
-        .map((opt, idx) => opt.votes.some(v => v.toString() === req.user.id) ? idx : -1)
-        .filter(idx => idx !== -1);
-
-      return {
-        ...poll,
-        options: poll.options.map(opt => ({
-          text: opt.text,
-          votes: poll.anonymous ? opt.votes.length : opt.votes,
-          percentage: totalVotes > 0 ? Math.round((opt.votes.length / totalVotes) * 100) : 0
-        })),
-        totalVotes,
-        userVoted,
-        userVotes
-      };
-    });
-
+    const polls = await pollService.listFor(req.user.id, 'group', req.params.groupId, { status: filter, limit: 50 });
     res.json({ ok: true, polls });
   } catch (error) {
-    console.error('Get polls error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendPollError(res, error, 'Get polls');
   }
 });
 
 // Close poll
 router.post('/:groupId/polls/:pollId/close', verifyToken, async (req, res) => {
   try {
-    const Group = getGroupModel();
     const { groupId, pollId } = req.params;
-
-    const group = await Group.findById(groupId);
-    if (!group) {
-      return res.status(404).json({ ok: false, error: 'Group not found' });
-    }
-
-    const poll = group.polls?.find(p => p._id.toString() === pollId);
-    if (!poll) {
-      return res.status(404).json({ ok: false, error: 'Poll not found' });
-    }
-
-    // Only author or admin can close
-    if (poll.author.toString() !== req.user.id && !isGroupAdmin(group, req.user.id)) {
-      return res.status(403).json({ ok: false, error: 'Not authorized' });
-    }
-
-    poll.status = 'closed';
-    await group.save();
-
+    await getGroupPoll(groupId, pollId, req.user.id);
+    await pollService.closeForUser(req.user.id, pollId);
     res.json({ ok: true, message: 'Poll closed' });
   } catch (error) {
-    console.error('Close poll error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendPollError(res, error, 'Close poll');
   }
 });
 
@@ -443,7 +312,12 @@ router.post('/:groupId/chat', verifyToken, async (req, res) => {
 });
 
 // Get chat messages
-router.get('/:groupId/chat', verifyToken, async (req, res) => {
+router.get('/:groupId/chat', verifyToken, validate({
+  query: {
+    before: v.date(),
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 50 })
+  }
+}), async (req, res) => {
   try {
     const Group = getGroupModel();
     const { groupId } = req.params;
@@ -522,7 +396,13 @@ router.post('/:groupId/chat/:messageId/react', verifyToken, async (req, res) =>
 // ==========================================
 
 // Get members with roles
-router.get('/:groupId/members', verifyToken, async (req, res) => {
+router.get('/:groupId/members', verifyToken, validate({
+  query: {
+    role: v.string({ max: 50 }),
+    search: v.string({ max: 100 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Group = getGroupModel();
     const { groupId } = req.params;
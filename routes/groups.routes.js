@@ -1,7 +1,7 @@
 // ============================================
 // FILE: routes/group.routes.js
 // Facebook-like Groups API Routes
-// VERSION: 6.4.2
+// VERSION: 6.6.0 - @mentions / #hashtags in posts and comments
 // ============================================
 
 const express = require('express');
@@ -12,36 +12,45 @@ const mongoose = require('mongoose');
 const getGroupModel = () => mongoose.models.Group || require('../models/group.model');
 const getGroupPostModel = () => mongoose.models.GroupPost || require('../models/groupPost.model');
 const getUserModel = () => mongoose.models.User || require('../models/user.model');
-
-// Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    const jwt = require('jsonwebtoken');
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
+const pollService = require('../services/poll.service');
+const contentParsingService = require('../services/content-parsing.service');
+
+// @mentions / #hashtags in a group post or comment. Only members can be
+// mentioned outside public groups, and only public groups count
+// towards trending.
+const parseGroupContent = (group, post, { type = 'group_post', id = post._id, author = post.author, text = post.content } = {}) => {
+  const isPublic = group.privacy === 'public';
+  return contentParsingService.processContent({
+    type,
+    id,
+    parentId: post._id,
+    author,
+    text,
+    url: `/groups/${group._id}?post=${post._id}`,
+    audience: isPublic ? null : group.members.filter(m => m.status === 'active').map(m => m.user),
+    isPublic: isPublic && post.status === 'approved'
+  });
 };
 
-// Optional auth
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    } catch {}
-  }
-  next();
-};
+// Auth middleware
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // GROUP CRUD
 // ==========================================
 
 // GET /api/groups - List groups (discover, my groups, search)
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    type: v.enum(['discover', 'my', 'joined', 'managed'], { default: 'discover' }),
+    category: v.string({ max: 50 }),
+    search: v.search(),
+    sort: v.enum(['popular', 'recent', 'alphabetical', 'active'], { default: 'popular' }),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { 
       type = 'discover', // discover, my, joined, managed
@@ -434,7 +443,13 @@ router.post('/:id/leave', verifyToken, async (req, res) => {
 });
 
 // GET /api/groups/:id/members - Get members
-router.get('/:id/members', optionalAuth, async (req, res) => {
+router.get('/:id/members', optionalAuth, validate({
+  query: {
+    role: v.string({ max: 50 }),
+    search: v.string({ max: 100 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { role, search, page = 1, limit = 50 } = req.query;
     const Group = getGroupModel();
@@ -664,7 +679,13 @@ router.delete('/:id/members/:memberId', verifyToken, async (req, res) => {
 // ==========================================
 
 // GET /api/groups/:id/posts - Get group posts
-router.get('/:id/posts', optionalAuth, async (req, res) => {
+router.get('/:id/posts', optionalAuth, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    pinned: v.string({ max: 5 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, type, pinned } = req.query;
     const Group = getGroupModel();
@@ -750,18 +771,38 @@ router.post('/:id/posts', verifyToken, async (req, res) => {
       content,
       media: media || [],
       postType: postType || 'post',
-      poll: postType === 'poll' ? poll : undefined,
       event: postType === 'event' ? event : undefined,
       status: group.settings.postApproval && !group.isAdmin(req.user.id) ? 'pending' : 'approved'
     });
 
     await post.save();
 
+    if (post.postType === 'poll' && poll) {
+      try {
+        const created = await pollService.create(req.user.id, {
+          attachTo: { type: 'group_post', id: post._id },
+          question: poll.question || content,
+          options: (poll.options || []).map(option => option?.text ?? option),
+          multipleChoice: !!poll.allowMultiple,
+          anonymous: !!poll.isAnonymous,
+          endsAt: poll.endDate || null
+        });
+        post.pollId = created._id;
+      } catch (error) {
+        await GroupPost.deleteOne({ _id: post._id });
+        if (error.name === 'PollError') {
+          return res.status(error.status).json({ ok: false, error: error.message });
+        }
+        throw error;
+      }
+    }
+
     // Update group stats
     group.stats.postCount = (group.stats.postCount || 0) + 1;
     group.lastActivityAt = new Date();
     await group.save();
 
+    await parseGroupContent(group, post);
     await post.populate('author', 'name username avatar');
 
     res.status(201).json({ 
@@ -798,6 +839,7 @@ router.post('/:id/posts/:postId/like', verifyToken, async (req, res) => {
 router.post('/:id/posts/:postId/comment', verifyToken, async (req, res) => {
   try {
     const { content } = req.body;
+    const Group = getGroupModel();
     const GroupPost = getGroupPostModel();
     const post = await GroupPost.findOne({ _id: req.params.postId, group: req.params.id });
 
@@ -807,6 +849,11 @@ router.post('/:id/posts/:postId/comment', verifyToken, async (req, res) => {
 
     const comment = await post.addComment(req.user.id, content);
 
+    const group = await Group.findById(req.params.id).select('privacy members');
+    if (group) {
+      await parseGroupContent(group, post, { type: 'group_comment', id: comment._id, author: req.user.id, text: content });
+    }
+
     // Populate author
     await post.populate('comments.author', 'name username avatar');
 
@@ -866,6 +913,11 @@ router.delete('/:id/posts/:postId', verifyToken, async (req, res) => {
 
     await GroupPost.findByIdAndDelete(req.params.postId);
 
+    contentParsingService.defer('group post deleted', async () => {
+      await contentParsingService.removeContent('group_post', post._id);
+      await contentParsingService.removeContent('group_comment', post.comments.map(c => c._id));
+    });
+
     // Update stats
     group.stats.postCount = Math.max(0, (group.stats.postCount || 0) - 1);
     await group.save();
@@ -880,22 +932,25 @@ router.delete('/:id/posts/:postId', verifyToken, async (req, res) => {
 // POST /api/groups/:id/posts/:postId/vote - Vote on poll
 router.post('/:id/posts/:postId/vote', verifyToken, async (req, res) => {
   try {
-    const { optionIndex } = req.body;
+    const { optionIndex, optionIds } = req.body;
     const GroupPost = getGroupPostModel();
-    const post = await GroupPost.findOne({ _id: req.params.postId, group: req.params.id });
+    const post = await GroupPost.findOne({ _id: req.params.postId, group: req.params.id }).select('pollId').lean();
 
     if (!post) {
       return res.status(404).json({ ok: false, error: 'Post not found' });
     }
-
-    const result = await post.votePoll(req.user.id, optionIndex);
-
-    if (!result.success) {
-      return res.status(400).json({ ok: false, error: result.error });
+    if (!post.pollId) {
+      return res.status(400).json({ ok: false, error: 'Not a poll' });
     }
 
-    res.json({ ok: true, poll: result.poll });
+    await pollService.vote(req.user.id, post.pollId, optionIds || [optionIndex]);
+    const result = await pollService.getForUser(req.user.id, post.pollId);
+
+    res.json({ ok: true, poll: result });
   } catch (error) {
+    if (error.name === 'PollError') {
+      return res.status(error.status).json({ ok: false, error: error.message });
+    }
     console.error('Vote error:', error);
     res.status(500).json({ ok: false, error: error.message });
   }
@@ -1,106 +1,36 @@
 // ============================================
 // FILE: routes/hashtag.routes.js
 // Hashtag System Routes
-// VERSION: 1.0
+// VERSION: 1.1 - Trending from recorded hashtag use
+// Hashtags are picked out of posts, comments, group posts and blogs
+// by services/content-parsing.service.js.
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-// Create Hashtag schema if not exists
-const getHashtagModel = () => {
-  if (mongoose.models.Hashtag) {
-    return mongoose.models.Hashtag;
-  }
-
-  const hashtagSchema = new mongoose.Schema({
-    name: {
-      type: String,
-      required: true,
-      unique: true,
-      lowercase: true,
-      trim: true
-    },
-    displayName: String, // Original casing
-    posts: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Post'
-    }],
-    blogs: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Blog'
-    }],
-    usageCount: {
-      type: Number,
-      default: 0
-    },
-    trendingScore: {
-      type: Number,
-      default: 0
-    },
-    lastUsed: {
-      type: Date,
-      default: Date.now
-    },
-    category: String,
-    isBlocked: {
-      type: Boolean,
-      default: false
-    }
-  }, {
-    timestamps: true
-  });
-
-  hashtagSchema.index({ name: 1 });
-  hashtagSchema.index({ usageCount: -1 });
-  hashtagSchema.index({ trendingScore: -1 });
-
-  return mongoose.model('Hashtag', hashtagSchema);
-};
+const getHashtagModel = () => mongoose.models.Hashtag || require('../models/hashtag.model');
+const contentParsingService = require('../services/content-parsing.service');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 /**
  * Get trending hashtags
  * GET /api/hashtags/trending
  */
-router.get('/trending', async (req, res) => {
+router.get('/trending', validate({
+  query: {
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 10 }),
+    period: v.enum(['1h', '24h', '7d', '30d'], { default: '24h' })
+  }
+}), async (req, res) => {
   try {
-    const Hashtag = getHashtagModel();
-    const { limit = 10, period = '24h' } = req.query;
-
-    const periodMs = {
-      '1h': 60 * 60 * 1000,
-      '24h': 24 * 60 * 60 * 1000,
-      '7d': 7 * 24 * 60 * 60 * 1000,
-      '30d': 30 * 24 * 60 * 60 * 1000
-    }[period] || 24 * 60 * 60 * 1000;
-
-    const cutoff = new Date(Date.now() - periodMs);
-
-    const trending = await Hashtag.find({
-      lastUsed: { $gte: cutoff },
-      isBlocked: { $ne: true }
-    })
-      .sort({ trendingScore: -1, usageCount: -1 })
-      .limit(parseInt(limit))
-      .select('name displayName usageCount trendingScore')
-      .lean();
+    const { limit, period } = req.query;
+    const trending = await contentParsingService.getTrending({ period, limit });
 
     res.json({
       ok: true,
@@ -117,7 +47,12 @@ router.get('/trending', async (req, res) => {
  * Search hashtags
  * GET /api/hashtags/search
  */
-router.get('/search', async (req, res) => {
+router.get('/search', validate({
+  query: {
+    q: v.search({ required: true, max: 50 }),
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const Hashtag = getHashtagModel();
     const { q, limit = 10 } = req.query;
@@ -149,12 +84,14 @@ router.get('/search', async (req, res) => {
  * Get hashtag details and posts
  * GET /api/hashtags/:name
  */
-router.get('/:name', async (req, res) => {
+router.get('/:name', validate({
+  query: pagination({ defaultLimit: 20, maxLimit: 50 })
+}), async (req, res) => {
   try {
     const Hashtag = getHashtagModel();
     const Post = mongoose.models.Post || require('../models/post.model');
     const { name } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit } = req.query;
 
     const hashtag = await Hashtag.findOne({ 
       name: name.toLowerCase().replace('#', '') 
@@ -164,17 +101,18 @@ router.get('/:name', async (req, res) => {
       return res.status(404).json({ ok: false, error: 'Hashtag not found' });
     }
 
-    // Get posts with this hashtag
+    // Public posts tagged with it (Post.hashtags is filled on save)
     const posts = await Post.find({
-      $or: [
-        { hashtags: hashtag._id },
-        { content: { $regex: `#${hashtag.name}\\b`, $options: 'i' } }
-      ],
-      hidden: { $ne: true }
+      hashtags: hashtag.name,
+      isDeleted: { $ne: true },
+      status: 'active',
+      visibility: { $in: ['public', null] },
+      group: null
     })
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit))
+      .limit(limit)
+      .select('-comments -likes')
       .populate('author', 'name username avatar')
       .lean();
 
@@ -187,10 +125,7 @@ router.get('/:name', async (req, res) => {
         trendingScore: hashtag.trendingScore
       },
       posts,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit)
-      }
+      pagination: { page, limit }
     });
   } catch (error) {
     console.error('Get hashtag error:', error);
@@ -267,42 +202,4 @@ router.get('/user/following', verifyToken, async (req, res) => {
   }
 });
 
-/**
- * Extract and save hashtags from content
- * Utility function - called when creating/updating posts
- */
-async function extractAndSaveHashtags(content, contentType = 'post', contentId) {
-  const Hashtag = getHashtagModel();
-  
-  // Extract hashtags from content
-  const hashtagRegex = /#(\w+)/g;
-  const matches = content.match(hashtagRegex) || [];
-  const hashtags = [...new Set(matches.map(h => h.slice(1).toLowerCase()))];
-
-  for (const tag of hashtags) {
-    await Hashtag.findOneAndUpdate(
-      { name: tag },
-      {
-        $set: { 
-          lastUsed: new Date(),
-          displayName: tag
-        },
-        $inc: { 
-          usageCount: 1,
-          trendingScore: 1 
-        },
-        $addToSet: contentType === 'post' 
-          ? { posts: contentId }
-          : { blogs: contentId }
-      },
-      { upsert: true }
-    );
-  }
-
-  return hashtags;
-}
-
-// Export utility function
-router.extractAndSaveHashtags = extractAndSaveHashtags;
-
 module.exports = router;
@@ -43,35 +43,9 @@ try {
 }
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    try { verifyToken = require('../middleware/auth'); } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
-
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Live Stream Model - Import from existing model file
 let LiveStream;
@@ -190,7 +164,12 @@ async function notifyFollowers(stream, userId) {
 // ==========================================
 // GET /api/live - Get all live streams
 // ==========================================
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'live' } = req.query;
     
@@ -225,7 +204,12 @@ router.get('/', optionalAuth, async (req, res) => {
 // ==========================================
 // GET /api/live/streams - Get all live streams (alias)
 // ==========================================
-router.get('/streams', optionalAuth, async (req, res) => {
+router.get('/streams', optionalAuth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'live' } = req.query;
     
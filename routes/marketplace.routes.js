@@ -8,35 +8,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    try { verifyToken = require('../middleware/auth'); } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
-
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // SCHEMAS
@@ -207,7 +181,20 @@ const Order = mongoose.models.Order || mongoose.model('Order', orderSchema);
 // ==========================================
 
 // GET /api/marketplace/products - Get all products
-router.get('/products', optionalAuth, async (req, res) => {
+router.get('/products', optionalAuth, validate({
+  query: {
+    search: v.search(),
+    category: v.string({ max: 50 }),
+    subcategory: v.string({ max: 50 }),
+    condition: v.string({ max: 30 }),
+    minPrice: v.number({ min: 0 }),
+    maxPrice: v.number({ min: 0 }),
+    seller: v.objectId(),
+    sort: v.string({ max: 30, default: 'newest' }),
+    featured: v.boolean(),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { 
       category, subcategory, condition, minPrice, maxPrice, 
@@ -221,7 +208,7 @@ router.get('/products', optionalAuth, async (req, res) => {
     if (subcategory) query.subcategory = subcategory;
     if (condition) query.condition = condition;
     if (seller) query.seller = seller;
-    if (featured === 'true') query.isFeatured = true;
+    if (featured) query.isFeatured = true;
     
     if (minPrice || maxPrice) {
       query.price = {};
@@ -289,7 +276,12 @@ router.get('/products/categories', async (req, res) => {
 });
 
 // GET /api/marketplace/products/my-products - Seller's products
-router.get('/products/my-products', verifyToken, async (req, res) => {
+router.get('/products/my-products', verifyToken, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
     
@@ -669,7 +661,13 @@ router.post('/orders', verifyToken, async (req, res) => {
 });
 
 // GET /api/marketplace/orders - Get user's orders
-router.get('/orders', verifyToken, async (req, res) => {
+router.get('/orders', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { type = 'buying', status, page = 1, limit = 20 } = req.query;
     
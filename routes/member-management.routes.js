@@ -20,23 +20,9 @@ const { ObjectId } = mongoose.Types;
 const { ChurchOrg, Soul, FoundationEnrollment, MEMBER_TITLES } = require('../models/church.model');
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Helper: Check if user can manage org
 async function canManageOrg(userId, orgId) {
@@ -85,7 +71,17 @@ router.get('/titles', (req, res) => {
 // ==========================================
 // GET /members/:orgId - Get all members of an org
 // ==========================================
-router.get('/:orgId', verifyToken, async (req, res) => {
+router.get('/:orgId', verifyToken, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    search: v.string({ max: 100 }),
+    role: v.string({ max: 50 }),
+    title: v.string({ max: 50 }),
+    sort: v.string({ max: 50 }),
+    order: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { orgId } = req.params;
     const { status, search, role, title, page = 1, limit = 50, sort = 'firstName', order = 'asc' } = req.query;
@@ -378,7 +374,11 @@ router.put('/:orgId/:memberId', verifyToken, async (req, res) => {
 // ==========================================
 // DELETE /members/:orgId/:memberId - Delete member
 // ==========================================
-router.delete('/:orgId/:memberId', verifyToken, async (req, res) => {
+router.delete('/:orgId/:memberId', verifyToken, validate({
+  query: {
+    permanent: v.string({ max: 5 })
+  }
+}), async (req, res) => {
   try {
     const { orgId, memberId } = req.params;
     const userId = req.user.id || req.user._id;
@@ -429,7 +429,12 @@ router.delete('/:orgId/:memberId', verifyToken, async (req, res) => {
 // ==========================================
 // GET /members/:orgId/export - Export members
 // ==========================================
-router.get('/:orgId/export', verifyToken, async (req, res) => {
+router.get('/:orgId/export', verifyToken, validate({
+  query: {
+    format: v.string({ max: 50 }),
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { orgId } = req.params;
     const { format = 'csv', status } = req.query;
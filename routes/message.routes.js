@@ -2,77 +2,116 @@
 // FILE: routes/message.routes.js
 // PATH: cybev-backend/routes/message.routes.js
 // PURPOSE: Real-time messaging backend routes
+// Delivered / read receipts, unread counts, presence and the per-user
+// sync log (GET /sync) live in services/message-sync.service.js;
+// group administration, pins and invite links in
+// services/group-chat.service.js; scheduled messages in
+// services/scheduled-message.service.js
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const { requireAuthType } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const { v, pagination } = require('../utils/validation');
+const contentParsingService = require('../services/content-parsing.service');
+const blockService = require('../services/block.service');
+const messageSync = require('../services/message-sync.service');
+const e2eeService = require('../services/e2ee.service');
+const groupChat = require('../services/group-chat.service');
+const scheduledMessages = require('../services/scheduled-message.service');
+const chatMedia = require('../services/chat-media.service');
+const notificationDelivery = require('../services/notification-delivery.service');
+
+// Private conversations - signed-in sessions only, never API keys or app tokens
+const sessionOnly = [verifyToken, requireAuthType('session')];
+
+const SERVICE_ERRORS = ['MessageSyncError', 'E2EEError', 'GroupChatError', 'ScheduledMessageError', 'ChatMediaError'];
+
+const sendError = (res, error, label) => {
+  if (SERVICE_ERRORS.includes(error.name)) {
+    return res.status(error.status).json({ ok: false, error: error.message, ...(error.details || {}) });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+// The device a request comes from - encrypted chats address envelopes per device
+const getDeviceId = (req) => req.get('x-device-id') || req.body?.deviceId || req.query?.deviceId || null;
+
+// Ciphertext for an end-to-end encrypted chat: one envelope per device
+const envelopesField = v.array(v.object({
+  user: v.objectId({ required: true }),
+  device: v.string({ required: true, max: 64 }),
+  type: v.enum(['prekey', 'message'], { required: true }),
+  body: v.string({ required: true, trim: false })
+}), { max: 50 });
+
+// As returned by POST /api/upload/voice-note and /api/upload/message-media;
+// in encrypted chats with the file's key wrapped for each device
+const attachmentsField = v.array(v.object({
+  type: v.enum(['image', 'video', 'file', 'audio'], { required: true }),
+  url: v.url({ required: true }),
+  name: v.string({ max: 255 }),
+  size: v.int({ min: 0 }),
+  publicId: v.string({ max: 255 }),
+  mimeType: v.string({ max: 100 }),
+  voice: v.boolean(),
+  duration: v.number({ min: 0 }),
+  waveform: v.array(v.number({ min: 0, max: 1 }), { max: 256 }),
+  width: v.int({ min: 0 }),
+  height: v.int({ min: 0 }),
+  thumbnailUrl: v.url(),
+  // From POST /api/upload/voice-note?transcribe=true - the transcript
+  // itself is only ever written by the server
+  transcriptToken: v.string({ max: 50000, trim: false }),
+  encryption: v.object({
+    algorithm: v.string({ max: 50 }),
+    digest: v.string({ max: 200, trim: false }),
+    keys: v.array(v.object({
+      user: v.objectId({ required: true }),
+      device: v.string({ required: true, max: 64 }),
+      key: v.string({ trim: false })
+    }, { strip: true }), { max: 50 })
+  }, { strip: true })
+}, { strip: true }), { max: 10 });
+
+const groupLimits = groupChat.config;
+
+// @mentions in a message - only other participants can be mentioned,
+// and chat hashtags are private so they never count towards trending.
+// Encrypted messages have no text the server can read.
+const parseMessage = (message, conversation) => message.encrypted ? null : contentParsingService.processContent({
+  type: 'message',
+  id: message._id,
+  parentId: conversation._id,
+  author: message.sender,
+  text: message.text,
+  url: `/messages/${conversation._id}`,
+  audience: conversation.participants,
+  isPublic: false
+});
 
 // ==========================================
-// MESSAGE SCHEMA (define inline if not exists)
+// MODELS
 // ==========================================
 
-let Message, Conversation;
-
-try {
-  Message = mongoose.model('Message');
-} catch {
-  const messageSchema = new mongoose.Schema({
-    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
-    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    text: { type: String, required: true },
-    attachments: [{
-      type: { type: String, enum: ['image', 'video', 'file', 'audio'] },
-      url: String,
-      name: String,
-      size: Number
-    }],
-    readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
-    reactions: [{
-      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      emoji: String
-    }],
-    isDeleted: { type: Boolean, default: false },
-    deletedAt: Date
-  }, { timestamps: true });
-
-  messageSchema.index({ conversation: 1, createdAt: -1 });
-  messageSchema.index({ sender: 1 });
-  
-  Message = mongoose.model('Message', messageSchema);
-}
-
-try {
-  Conversation = mongoose.model('Conversation');
-} catch {
-  const conversationSchema = new mongoose.Schema({
-    participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }],
-    type: { type: String, enum: ['direct', 'group'], default: 'direct' },
-    name: String, // For group chats
-    avatar: String, // For group chats
-    lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
-    lastMessageAt: Date,
-    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // For group chats
-    mutedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    pinnedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    isActive: { type: Boolean, default: true }
-  }, { timestamps: true });
-
-  conversationSchema.index({ participants: 1 });
-  conversationSchema.index({ lastMessageAt: -1 });
-  
-  Conversation = mongoose.model('Conversation', conversationSchema);
-}
+const Message = require('../models/message.model');
+const Conversation = require('../models/conversation.model');
 
 // ==========================================
 // CONVERSATIONS
 // ==========================================
 
 // GET /api/messages/conversations - Get user's conversations
-router.get('/conversations', verifyToken, async (req, res) => {
+router.get('/conversations', sessionOnly, validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { page = 1, limit = 20 } = req.query;
@@ -81,28 +120,15 @@ router.get('/conversations', verifyToken, async (req, res) => {
       participants: userId,
       isActive: true
     })
+      .select('-invites -removedMembers')
       .populate('participants', 'name username avatar')
       .populate('lastMessage')
       .sort({ lastMessageAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    // Get unread counts for each conversation
-    const conversationsWithUnread = await Promise.all(
-      conversations.map(async (conv) => {
-        const unreadCount = await Message.countDocuments({
-          conversation: conv._id,
-          sender: { $ne: userId },
-          readBy: { $ne: userId },
-          isDeleted: false
-        });
-
-        return {
-          ...conv.toObject(),
-          unreadCount
-        };
-      })
-    );
+    // The viewer's unread count for each conversation
+    const conversationsWithUnread = await messageSync.withUnread(userId, conversations);
 
     res.json({
       ok: true,
@@ -117,7 +143,7 @@ router.get('/conversations', verifyToken, async (req, res) => {
 });
 
 // POST /api/messages/conversations - Create or get existing conversation
-router.post('/conversations', verifyToken, async (req, res) => {
+router.post('/conversations', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { participantId, participantIds, type = 'direct', name } = req.body;
@@ -127,6 +153,13 @@ router.post('/conversations', verifyToken, async (req, res) => {
       if (!participantId) {
         return res.status(400).json({ ok: false, error: 'participantId required for direct messages' });
       }
+      if (!mongoose.isValidObjectId(participantId)) {
+        return res.status(400).json({ ok: false, error: 'Invalid participantId' });
+      }
+
+      if (await blockService.isBlocked(userId, participantId)) {
+        return res.status(403).json({ ok: false, error: "You can't message this user" });
+      }
 
       // Check if conversation already exists
       const existingConversation = await Conversation.findOne({
@@ -148,6 +181,7 @@ router.post('/conversations', verifyToken, async (req, res) => {
 
       const populatedConversation = await Conversation.findById(newConversation._id)
         .populate('participants', 'name username avatar');
+      await messageSync.conversationChanged(newConversation.participants, populatedConversation, 'created');
 
       return res.json({ ok: true, conversation: populatedConversation, isNew: true });
     }
@@ -157,13 +191,25 @@ router.post('/conversations', verifyToken, async (req, res) => {
       if (!participantIds || participantIds.length < 2) {
         return res.status(400).json({ ok: false, error: 'At least 2 participants required for group chat' });
       }
+      if (!Array.isArray(participantIds) || !participantIds.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ ok: false, error: 'Invalid participantIds' });
+      }
+
+      const allParticipants = [...new Set([userId, ...participantIds].map(String))];
+      if (allParticipants.length > groupLimits.maxParticipants) {
+        return res.status(400).json({ ok: false, error: `Groups can have up to ${groupLimits.maxParticipants} people` });
+      }
 
-      const allParticipants = [...new Set([userId, ...participantIds])];
+      // Nobody can be put in a group with someone they blocked (or who blocked them)
+      const blocked = await blockService.getBlockedBetween(userId, participantIds);
+      if (blocked.size) {
+        return res.status(403).json({ ok: false, error: "Some of these people can't be added" });
+      }
 
       const newConversation = await Conversation.create({
         participants: allParticipants,
         type: 'group',
-        name: name || 'New Group',
+        name: String(name || 'New Group').trim().slice(0, groupLimits.maxNameLength),
         createdBy: userId,
         admins: [userId],
         lastMessageAt: new Date()
@@ -171,6 +217,8 @@ router.post('/conversations', verifyToken, async (req, res) => {
 
       const populatedConversation = await Conversation.findById(newConversation._id)
         .populate('participants', 'name username avatar');
+      await messageSync.conversationChanged(allParticipants, populatedConversation, 'created');
+      await groupChat.systemMessage(newConversation, userId, 'created', { data: { name: newConversation.name } });
 
       return res.json({ ok: true, conversation: populatedConversation, isNew: true });
     }
@@ -183,7 +231,7 @@ router.post('/conversations', verifyToken, async (req, res) => {
 });
 
 // GET /api/messages/conversations/:conversationId - Get single conversation
-router.get('/conversations/:conversationId', verifyToken, async (req, res) => {
+router.get('/conversations/:conversationId', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
@@ -191,7 +239,9 @@ router.get('/conversations/:conversationId', verifyToken, async (req, res) => {
     const conversation = await Conversation.findOne({
       _id: conversationId,
       participants: userId
-    }).populate('participants', 'name username avatar');
+    })
+      .select('-invites -removedMembers')
+      .populate('participants', 'name username avatar');
 
     if (!conversation) {
       return res.status(404).json({ ok: false, error: 'Conversation not found' });
@@ -205,7 +255,7 @@ router.get('/conversations/:conversationId', verifyToken, async (req, res) => {
 });
 
 // DELETE /api/messages/conversations/:conversationId - Leave/delete conversation
-router.delete('/conversations/:conversationId', verifyToken, async (req, res) => {
+router.delete('/conversations/:conversationId', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
@@ -226,27 +276,350 @@ router.delete('/conversations/:conversationId', verifyToken, async (req, res) =>
         { _id: conversationId },
         { isActive: false }
       );
+      await messageSync.conversationChanged(conversation.participants, { _id: conversation._id }, 'left', { userId });
     } else {
-      // For group chats, remove user from participants
-      await Conversation.updateOne(
-        { _id: conversationId },
-        { $pull: { participants: userId, admins: userId } }
-      );
+      // For group chats, leave - the group is told and keeps an admin
+      await groupChat.leave(userId, conversationId);
     }
 
     res.json({ ok: true, message: 'Left conversation' });
   } catch (error) {
+    if (error.name === 'GroupChatError') return sendError(res, error, 'Leave conversation');
     console.error('Delete conversation error:', error);
     res.status(500).json({ ok: false, error: 'Failed to delete conversation' });
   }
 });
 
+// ==========================================
+// GROUP CHATS
+// ==========================================
+
+const conversationParam = { conversationId: v.objectId({ required: true }) };
+const memberParams = { ...conversationParam, userId: v.objectId({ required: true }) };
+
+// PUT /api/messages/conversations/:conversationId - Group name, avatar,
+// description; admins can also change who may edit info / add people
+router.put('/conversations/:conversationId', sessionOnly, validate({
+  params: conversationParam,
+  body: {
+    name: v.string({ min: 1, max: groupLimits.maxNameLength }),
+    avatar: v.url(),
+    description: v.string({ max: groupLimits.maxDescriptionLength }),
+    settings: v.object({
+      editInfo: v.enum(['admins', 'all']),
+      addMembers: v.enum(['admins', 'all'])
+    })
+  }
+}, { strip: true }), async (req, res) => {
+  try {
+    const conversation = await groupChat.updateInfo(req.user.id, req.params.conversationId, req.body);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Update group');
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/participants - Add people
+router.post('/conversations/:conversationId/participants', sessionOnly, validate({
+  params: conversationParam,
+  body: { userIds: v.array(v.objectId(), { required: true, min: 1, max: groupLimits.maxParticipants }) }
+}), async (req, res) => {
+  try {
+    const conversation = await groupChat.addMembers(req.user.id, req.params.conversationId, req.body.userIds);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Add participants');
+  }
+});
+
+// DELETE /api/messages/conversations/:conversationId/participants/:userId - Remove someone (admins)
+router.delete('/conversations/:conversationId/participants/:userId', sessionOnly, validate({
+  params: memberParams
+}), async (req, res) => {
+  try {
+    const conversation = await groupChat.removeMember(req.user.id, req.params.conversationId, req.params.userId);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Remove participant');
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/admins/:userId - Make someone an admin
+router.post('/conversations/:conversationId/admins/:userId', sessionOnly, validate({
+  params: memberParams
+}), async (req, res) => {
+  try {
+    const conversation = await groupChat.setAdmin(req.user.id, req.params.conversationId, req.params.userId, true);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Add admin');
+  }
+});
+
+// DELETE /api/messages/conversations/:conversationId/admins/:userId - Remove an admin (or step down)
+router.delete('/conversations/:conversationId/admins/:userId', sessionOnly, validate({
+  params: memberParams
+}), async (req, res) => {
+  try {
+    const conversation = await groupChat.setAdmin(req.user.id, req.params.conversationId, req.params.userId, false);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Remove admin');
+  }
+});
+
+// GET /api/messages/conversations/:conversationId/pins - Pinned messages
+router.get('/conversations/:conversationId/pins', sessionOnly, validate({
+  params: conversationParam
+}), async (req, res) => {
+  try {
+    const pins = await groupChat.getPins(req.user.id, req.params.conversationId);
+    const deviceId = getDeviceId(req);
+    res.json({ ok: true, pins: pins.map(pin => ({ ...pin, message: e2eeService.viewFor(pin.message, req.user.id, deviceId) })) });
+  } catch (error) {
+    sendError(res, error, 'Pinned messages');
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/pins - Pin a message
+router.post('/conversations/:conversationId/pins', sessionOnly, validate({
+  params: conversationParam,
+  body: { messageId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const pins = await groupChat.pinMessage(req.user.id, req.params.conversationId, req.body.messageId);
+    const deviceId = getDeviceId(req);
+    res.json({ ok: true, pins: pins.map(pin => ({ ...pin, message: e2eeService.viewFor(pin.message, req.user.id, deviceId) })) });
+  } catch (error) {
+    sendError(res, error, 'Pin message');
+  }
+});
+
+// DELETE /api/messages/conversations/:conversationId/pins/:messageId - Unpin
+router.delete('/conversations/:conversationId/pins/:messageId', sessionOnly, validate({
+  params: { ...conversationParam, messageId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const pins = await groupChat.unpinMessage(req.user.id, req.params.conversationId, req.params.messageId);
+    const deviceId = getDeviceId(req);
+    res.json({ ok: true, pins: pins.map(pin => ({ ...pin, message: e2eeService.viewFor(pin.message, req.user.id, deviceId) })) });
+  } catch (error) {
+    sendError(res, error, 'Unpin message');
+  }
+});
+
+// GET /api/messages/conversations/:conversationId/invites - Active invite links
+router.get('/conversations/:conversationId/invites', sessionOnly, validate({
+  params: conversationParam
+}), async (req, res) => {
+  try {
+    const invites = await groupChat.listInvites(req.user.id, req.params.conversationId);
+    res.json({ ok: true, invites });
+  } catch (error) {
+    sendError(res, error, 'Invite links');
+  }
+});
+
+// POST /api/messages/conversations/:conversationId/invites - New invite link
+router.post('/conversations/:conversationId/invites', sessionOnly, validate({
+  params: conversationParam,
+  body: {
+    expiresInHours: v.int({ min: 1, max: groupLimits.inviteMaxHours, clamp: true }),
+    maxUses: v.int({ min: 1, max: groupLimits.maxParticipants })
+  }
+}), async (req, res) => {
+  try {
+    const invite = await groupChat.createInvite(req.user.id, req.params.conversationId, req.body);
+    res.json({ ok: true, invite });
+  } catch (error) {
+    sendError(res, error, 'Create invite link');
+  }
+});
+
+// DELETE /api/messages/conversations/:conversationId/invites/:code - Revoke a link
+router.delete('/conversations/:conversationId/invites/:code', sessionOnly, validate({
+  params: { ...conversationParam, code: v.string({ required: true, max: 32 }) }
+}), async (req, res) => {
+  try {
+    await groupChat.revokeInvite(req.user.id, req.params.conversationId, req.params.code);
+    res.json({ ok: true, message: 'Invite link revoked' });
+  } catch (error) {
+    sendError(res, error, 'Revoke invite link');
+  }
+});
+
+// GET /api/messages/invites/:code - What a link leads to, before joining
+router.get('/invites/:code', sessionOnly, validate({
+  params: { code: v.string({ required: true, max: 32 }) }
+}), async (req, res) => {
+  try {
+    const group = await groupChat.previewInvite(req.user.id, req.params.code);
+    res.json({ ok: true, group });
+  } catch (error) {
+    sendError(res, error, 'Invite link');
+  }
+});
+
+// POST /api/messages/invites/:code/join - Join a group with a link
+router.post('/invites/:code/join', sessionOnly, validate({
+  params: { code: v.string({ required: true, max: 32 }) }
+}), async (req, res) => {
+  try {
+    const conversation = await groupChat.joinByInvite(req.user.id, req.params.code);
+    res.json({ ok: true, conversation });
+  } catch (error) {
+    sendError(res, error, 'Join group');
+  }
+});
+
+// ==========================================
+// SYNC, UNREAD, PRESENCE
+// ==========================================
+
+// GET /api/messages/sync?since=<seq> - Everything since the last seq this
+// device saw, across all conversations. `reset: true` comes with a fresh
+// snapshot (conversations + unread) when the cursor is 0 or too old.
+router.get('/sync', sessionOnly, validate({
+  query: {
+    since: v.int({ min: 0, default: 0 }),
+    limit: v.int({ min: 1, max: messageSync.config.maxSyncPageSize, clamp: true, default: messageSync.config.syncPageSize })
+  }
+}), async (req, res) => {
+  try {
+    const result = await messageSync.getSince(req.user.id, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Sync');
+  }
+});
+
+// GET /api/messages/unread - Total and per-conversation unread counts
+router.get('/unread', sessionOnly, async (req, res) => {
+  try {
+    const unread = await messageSync.getUnread(req.user.id);
+    res.json({ ok: true, ...unread });
+  } catch (error) {
+    sendError(res, error, 'Unread counts');
+  }
+});
+
+// GET /api/messages/presence?userIds=a,b - Online / last seen, where
+// each user's privacy setting allows
+router.get('/presence', sessionOnly, validate({
+  query: {
+    userIds: v.array(v.objectId(), { required: true, min: 1, max: messageSync.config.presence.maxLookup })
+  }
+}), async (req, res) => {
+  try {
+    const presence = await messageSync.getPresence(req.user.id, req.query.userIds);
+    res.json({ ok: true, presence });
+  } catch (error) {
+    sendError(res, error, 'Presence');
+  }
+});
+
+// GET /api/messages/settings - Presence and read receipt privacy
+router.get('/settings', sessionOnly, async (req, res) => {
+  try {
+    const settings = await messageSync.getSettings(req.user.id);
+    res.json({ ok: true, settings });
+  } catch (error) {
+    sendError(res, error, 'Messaging settings');
+  }
+});
+
+// PUT /api/messages/settings
+router.put('/settings', sessionOnly, validate({
+  body: {
+    presence: v.enum(['everyone', 'contacts', 'nobody']),
+    readReceipts: v.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const settings = await messageSync.updateSettings(req.user.id, req.body);
+    res.json({ ok: true, settings });
+  } catch (error) {
+    sendError(res, error, 'Update messaging settings');
+  }
+});
+
+// ==========================================
+// SCHEDULED MESSAGES
+// ==========================================
+
+// GET /api/messages/scheduled?conversationId=&status=pending - Your scheduled messages
+router.get('/scheduled', sessionOnly, validate({
+  query: {
+    conversationId: v.objectId(),
+    status: v.enum(['pending', 'sent', 'failed', 'cancelled'], { default: 'pending' })
+  }
+}), async (req, res) => {
+  try {
+    const scheduled = await scheduledMessages.list(req.user.id, req.query);
+    res.json({ ok: true, scheduled });
+  } catch (error) {
+    sendError(res, error, 'Scheduled messages');
+  }
+});
+
+// PUT /api/messages/scheduled/:id - Change text, attachments or send time
+router.put('/scheduled/:id', sessionOnly, validate({
+  params: { id: v.objectId({ required: true }) },
+  body: {
+    text: v.string({ max: 10000 }),
+    attachments: attachmentsField,
+    sendAt: v.date()
+  }
+}, { strip: true }), async (req, res) => {
+  try {
+    const scheduled = await scheduledMessages.update(req.user.id, req.params.id, req.body);
+    res.json({ ok: true, scheduled });
+  } catch (error) {
+    sendError(res, error, 'Update scheduled message');
+  }
+});
+
+// DELETE /api/messages/scheduled/:id - Cancel before it's sent
+router.delete('/scheduled/:id', sessionOnly, validate({
+  params: { id: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await scheduledMessages.cancel(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Scheduled message cancelled' });
+  } catch (error) {
+    sendError(res, error, 'Cancel scheduled message');
+  }
+});
+
+// POST /api/messages/:conversationId/schedule - Send a message later
+router.post('/:conversationId/schedule', sessionOnly, validate({
+  params: { conversationId: v.objectId({ required: true }) },
+  body: {
+    text: v.string({ max: 10000 }),
+    attachments: attachmentsField,
+    replyTo: v.objectId(),
+    sendAt: v.date({ required: true })
+  }
+}, { strip: true }), async (req, res) => {
+  try {
+    const scheduled = await scheduledMessages.schedule(req.user.id, req.params.conversationId, req.body);
+    res.json({ ok: true, scheduled });
+  } catch (error) {
+    sendError(res, error, 'Schedule message');
+  }
+});
+
 // ==========================================
 // MESSAGES
 // ==========================================
 
 // GET /api/messages/:conversationId - Get messages in a conversation
-router.get('/:conversationId', verifyToken, async (req, res) => {
+router.get('/:conversationId', sessionOnly, validate({
+  query: {
+    before: v.date(),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
@@ -279,19 +652,15 @@ router.get('/:conversationId', verifyToken, async (req, res) => {
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        conversation: conversationId,
-        sender: { $ne: userId },
-        readBy: { $ne: userId }
-      },
-      { $addToSet: { readBy: userId } }
-    );
+    // Mark messages as read (receipts + unread count on every device)
+    await messageSync.markRead(userId, conversationId);
+    const deviceId = getDeviceId(req);
+    const visibleMessages = (await messageSync.filterReadReceipts(userId, messages))
+      .map(message => e2eeService.viewFor(message, userId, deviceId));
 
     res.json({
       ok: true,
-      messages: messages.reverse(), // Return in chronological order
+      messages: visibleMessages.reverse(), // Return in chronological order
       page: parseInt(page),
       hasMore: messages.length === parseInt(limit)
     });
@@ -302,13 +671,16 @@ router.get('/:conversationId', verifyToken, async (req, res) => {
 });
 
 // POST /api/messages/:conversationId - Send a message
-router.post('/:conversationId', verifyToken, async (req, res) => {
+// In an encrypted chat: `envelopes` instead of `text`, X-Device-Id header
+router.post('/:conversationId', sessionOnly, validate({
+  body: { envelopes: envelopesField, attachments: attachmentsField }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
-    const { text, attachments, replyTo } = req.body;
+    const { text, attachments, replyTo, envelopes } = req.body;
 
-    if (!text && (!attachments || attachments.length === 0)) {
+    if (!text && !envelopes?.length && (!attachments || attachments.length === 0)) {
       return res.status(400).json({ ok: false, error: 'Message text or attachment required' });
     }
 
@@ -322,12 +694,35 @@ router.post('/:conversationId', verifyToken, async (req, res) => {
       return res.status(404).json({ ok: false, error: 'Conversation not found' });
     }
 
+    if (conversation.type === 'direct') {
+      const otherId = conversation.participants.find(id => id.toString() !== userId.toString());
+      if (await blockService.isBlocked(userId, otherId)) {
+        return res.status(403).json({ ok: false, error: "You can't message this user" });
+      }
+    }
+
+    // Encrypted chats store ciphertext only
+    let content = { text: text || '', attachments: attachments || [] };
+    if (conversation.encryption?.enabled) {
+      if (text) {
+        return res.status(400).json({ ok: false, error: 'This chat is end-to-end encrypted - send envelopes, not text' });
+      }
+      const prepared = await e2eeService.prepareEnvelopes(conversation, userId, getDeviceId(req), {
+        envelopes: envelopes || [],
+        attachments: attachments || []
+      });
+      content = { text: '', ...prepared };
+    } else if (envelopes?.length) {
+      return res.status(400).json({ ok: false, error: 'Turn on encryption for this chat first' });
+    } else {
+      content.attachments = chatMedia.checkAttachments(userId, content.attachments);
+    }
+
     // Create message
     const message = await Message.create({
       conversation: conversationId,
       sender: userId,
-      text: text || '',
-      attachments: attachments || [],
+      ...content,
       replyTo: replyTo || null,
       readBy: [userId]
     });
@@ -341,63 +736,55 @@ router.post('/:conversationId', verifyToken, async (req, res) => {
       }
     );
 
+    await parseMessage(message, conversation);
+
     // Populate sender info
     const populatedMessage = await Message.findById(message._id)
       .populate('sender', 'name username avatar')
       .populate('replyTo');
 
-    // Emit socket event for real-time delivery
-    const io = req.app.get('io');
-    if (io) {
-      conversation.participants.forEach(participantId => {
-        if (participantId.toString() !== userId.toString()) {
-          io.to(`user_${participantId}`).emit('newMessage', {
-            conversationId,
-            message: populatedMessage
-          });
-        }
-      });
-    }
+    // Unread counts + sync log; pushed to every participant's devices
+    await messageSync.messageSent(conversation, populatedMessage);
 
-    // Create notifications for other participants
+    // Notify the other participants (config/notification-events.js 'message')
     try {
-      const Notification = mongoose.model('Notification');
-      const User = mongoose.model('User');
-      const sender = await User.findById(userId).select('name');
-
-      for (const participantId of conversation.participants) {
-        if (participantId.toString() !== userId.toString()) {
-          await Notification.create({
-            recipient: participantId,
-            sender: userId,
-            type: 'message',
-            message: `${sender?.name || 'Someone'} sent you a message`,
-            relatedConversation: conversationId
-          });
+      await notificationDelivery.notifyMany(
+        'message',
+        conversation.participants.filter(id => id.toString() !== userId.toString()),
+        {
+          sender: userId,
+          entityId: conversation._id,
+          entityModel: 'Conversation',
+          data: { conversationId: conversation._id.toString() }
         }
-      }
+      );
     } catch (notifError) {
       console.log('Notification creation failed:', notifError.message);
     }
 
-    res.json({ ok: true, message: populatedMessage });
+    res.json({ ok: true, message: e2eeService.viewFor(populatedMessage, userId, getDeviceId(req)) });
   } catch (error) {
+    if (SERVICE_ERRORS.includes(error.name)) return sendError(res, error, 'Send message');
     console.error('Send message error:', error);
     res.status(500).json({ ok: false, error: 'Failed to send message' });
   }
 });
 
 // PUT /api/messages/:conversationId/:messageId - Edit a message
-router.put('/:conversationId/:messageId', verifyToken, async (req, res) => {
+// Encrypted messages are edited by sending new envelopes
+router.put('/:conversationId/:messageId', sessionOnly, validate({
+  body: { envelopes: envelopesField }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId, messageId } = req.params;
-    const { text } = req.body;
+    const { text, envelopes } = req.body;
 
     const message = await Message.findOne({
       _id: messageId,
       conversation: conversationId,
       sender: userId,
+      type: { $ne: 'system' },
       isDeleted: false
     });
 
@@ -405,22 +792,37 @@ router.put('/:conversationId/:messageId', verifyToken, async (req, res) => {
       return res.status(404).json({ ok: false, error: 'Message not found or not authorized' });
     }
 
-    message.text = text;
+    const conversation = await Conversation.findById(conversationId).select('participants encryption');
+
+    if (message.encrypted) {
+      if (text || !conversation) {
+        return res.status(400).json({ ok: false, error: 'This message is end-to-end encrypted - send envelopes, not text' });
+      }
+      const prepared = await e2eeService.prepareEnvelopes(conversation, userId, getDeviceId(req), { envelopes: envelopes || [] });
+      message.envelopes = prepared.envelopes;
+      message.senderDevice = prepared.senderDevice;
+    } else {
+      message.text = text;
+    }
     message.editedAt = new Date();
     await message.save();
 
+    if (conversation) await parseMessage(message, conversation);
+
     const populatedMessage = await Message.findById(message._id)
       .populate('sender', 'name username avatar');
+    if (conversation) await messageSync.messageUpdated(conversation, populatedMessage);
 
-    res.json({ ok: true, message: populatedMessage });
+    res.json({ ok: true, message: e2eeService.viewFor(populatedMessage, userId, getDeviceId(req)) });
   } catch (error) {
+    if (error.name === 'E2EEError') return sendError(res, error, 'Edit message');
     console.error('Edit message error:', error);
     res.status(500).json({ ok: false, error: 'Failed to edit message' });
   }
 });
 
 // DELETE /api/messages/:conversationId/:messageId - Delete a message
-router.delete('/:conversationId/:messageId', verifyToken, async (req, res) => {
+router.delete('/:conversationId/:messageId', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId, messageId } = req.params;
@@ -428,7 +830,8 @@ router.delete('/:conversationId/:messageId', verifyToken, async (req, res) => {
     const message = await Message.findOne({
       _id: messageId,
       conversation: conversationId,
-      sender: userId
+      sender: userId,
+      type: { $ne: 'system' }
     });
 
     if (!message) {
@@ -438,7 +841,15 @@ router.delete('/:conversationId/:messageId', verifyToken, async (req, res) => {
     message.isDeleted = true;
     message.deletedAt = new Date();
     message.text = 'This message was deleted';
+    if (message.encrypted) {
+      message.envelopes = [];
+      message.attachments = [];
+    }
     await message.save();
+    contentParsingService.defer('message deleted', () => contentParsingService.removeContent('message', message._id));
+
+    const conversation = await Conversation.findById(conversationId).select('participants');
+    if (conversation) await messageSync.messageDeleted(conversation, message);
 
     res.json({ ok: true, message: 'Message deleted' });
   } catch (error) {
@@ -451,8 +862,16 @@ router.delete('/:conversationId/:messageId', verifyToken, async (req, res) => {
 // MESSAGE REACTIONS
 // ==========================================
 
+// Reactions reach the other devices as an updated message
+const notifyReactionChange = async (message) => {
+  const conversation = await Conversation.findById(message.conversation).select('participants');
+  if (!conversation) return;
+  const populatedMessage = await Message.findById(message._id).populate('sender', 'name username avatar');
+  await messageSync.messageUpdated(conversation, populatedMessage);
+};
+
 // POST /api/messages/:conversationId/:messageId/react - Add reaction to message
-router.post('/:conversationId/:messageId/react', verifyToken, async (req, res) => {
+router.post('/:conversationId/:messageId/react', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId, messageId } = req.params;
@@ -480,6 +899,7 @@ router.post('/:conversationId/:messageId/react', verifyToken, async (req, res) =
     // Add new reaction
     message.reactions.push({ user: userId, emoji });
     await message.save();
+    await notifyReactionChange(message);
 
     res.json({ ok: true, reactions: message.reactions });
   } catch (error) {
@@ -489,7 +909,7 @@ router.post('/:conversationId/:messageId/react', verifyToken, async (req, res) =
 });
 
 // DELETE /api/messages/:conversationId/:messageId/react - Remove reaction
-router.delete('/:conversationId/:messageId/react', verifyToken, async (req, res) => {
+router.delete('/:conversationId/:messageId/react', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId, messageId } = req.params;
@@ -507,6 +927,7 @@ router.delete('/:conversationId/:messageId/react', verifyToken, async (req, res)
       r => r.user.toString() !== userId.toString()
     );
     await message.save();
+    await notifyReactionChange(message);
 
     res.json({ ok: true, reactions: message.reactions });
   } catch (error) {
@@ -520,44 +941,57 @@ router.delete('/:conversationId/:messageId/react', verifyToken, async (req, res)
 // ==========================================
 
 // POST /api/messages/:conversationId/read - Mark messages as read
-router.post('/:conversationId/read', verifyToken, async (req, res) => {
+// (all of them, or up to upToMessageId)
+router.post('/:conversationId/read', sessionOnly, validate({
+  params: { conversationId: v.objectId({ required: true }) },
+  body: { upToMessageId: v.objectId() }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
-    const { upToMessageId } = req.body;
-
-    const query = {
-      conversation: conversationId,
-      sender: { $ne: userId },
-      readBy: { $ne: userId }
-    };
-
-    if (upToMessageId) {
-      const upToMessage = await Message.findById(upToMessageId);
-      if (upToMessage) {
-        query.createdAt = { $lte: upToMessage.createdAt };
-      }
-    }
+    const result = await messageSync.markRead(userId, conversationId, { upToMessageId: req.body.upToMessageId });
 
-    const result = await Message.updateMany(
-      query,
-      { $addToSet: { readBy: userId } }
-    );
-
-    // Emit read receipt via socket
+    // Older clients listen in the conversation room
     const io = req.app.get('io');
-    if (io) {
-      io.to(`conversation_${conversationId}`).emit('messagesRead', {
+    if (io && result.markedRead > 0) {
+      io.to(`conversation:${conversationId}`).emit('messagesRead', {
         conversationId,
         userId,
-        count: result.modifiedCount
+        count: result.markedRead
       });
     }
 
-    res.json({ ok: true, markedRead: result.modifiedCount });
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Mark read');
+  }
+});
+
+// POST /api/messages/:conversationId/delivered - This device received
+// these messages (or everything in the conversation); senders get a
+// delivered receipt. Socket clients send `messages:delivered` instead.
+router.post('/:conversationId/delivered', sessionOnly, validate({
+  params: { conversationId: v.objectId({ required: true }) },
+  body: { messageIds: v.array(v.objectId(), { max: 500 }) }
+}), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { conversationId } = req.params;
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId }).select('_id');
+    if (!conversation) {
+      return res.status(404).json({ ok: false, error: 'Conversation not found' });
+    }
+
+    const { messageIds } = req.body;
+    const result = await messageSync.markDelivered(userId, {
+      messageIds: messageIds?.length ? messageIds : undefined,
+      conversationIds: [conversation._id]
+    });
+
+    res.json({ ok: true, ...result });
   } catch (error) {
-    console.error('Mark read error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to mark as read' });
+    sendError(res, error, 'Mark delivered');
   }
 });
 
@@ -566,7 +1000,7 @@ router.post('/:conversationId/read', verifyToken, async (req, res) => {
 // ==========================================
 
 // POST /api/messages/:conversationId/typing - Send typing indicator
-router.post('/:conversationId/typing', verifyToken, async (req, res) => {
+router.post('/:conversationId/typing', sessionOnly, async (req, res) => {
   try {
     const userId = req.user.id;
     const { conversationId } = req.params;
@@ -575,7 +1009,7 @@ router.post('/:conversationId/typing', verifyToken, async (req, res) => {
     // Emit typing indicator via socket
     const io = req.app.get('io');
     if (io) {
-      io.to(`conversation_${conversationId}`).emit('userTyping', {
+      io.to(`conversation:${conversationId}`).emit('userTyping', {
         conversationId,
         userId,
         isTyping: !!isTyping
@@ -589,12 +1023,41 @@ router.post('/:conversationId/typing', verifyToken, async (req, res) => {
   }
 });
 
+// POST /api/messages/:conversationId/:messageId/transcript - Transcript of
+// a voice note (the first audio attachment unless `index` is given)
+router.post('/:conversationId/:messageId/transcript', sessionOnly, rateLimit('message-transcript'), validate({
+  params: {
+    conversationId: v.objectId({ required: true }),
+    messageId: v.objectId({ required: true })
+  },
+  body: {
+    index: v.int({ min: 0, max: 9 }),
+    language: v.string({ pattern: /^[a-z]{2}$/ })
+  }
+}), async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { transcript, cached } = await chatMedia.transcribeMessage(req.user.id, conversationId, messageId, {
+      index: req.body.index ?? null,
+      language: req.body.language || null
+    });
+    res.json({ ok: true, transcript, cached });
+  } catch (error) {
+    sendError(res, error, 'Transcript');
+  }
+});
+
 // ==========================================
 // SEARCH MESSAGES
 // ==========================================
 
 // GET /api/messages/search - Search messages across conversations
-router.get('/search/all', verifyToken, async (req, res) => {
+router.get('/search/all', sessionOnly, validate({
+  query: {
+    q: v.search({ required: true, min: 2 }),
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { q, limit = 20 } = req.query;
@@ -606,14 +1069,18 @@ router.get('/search/all', verifyToken, async (req, res) => {
     // Get user's conversations
     const userConversations = await Conversation.find({
       participants: userId
-    }).select('_id');
+    }).select('_id encryption');
 
     const conversationIds = userConversations.map(c => c._id);
+    // The server can't read encrypted chats - clients search those locally
+    const skippedEncrypted = userConversations.filter(c => c.encryption?.enabled).length;
 
     // Search messages
     const messages = await Message.find({
       conversation: { $in: conversationIds },
       text: { $regex: q, $options: 'i' },
+      encrypted: { $ne: true },
+      type: { $ne: 'system' },
       isDeleted: false
     })
       .populate('sender', 'name username avatar')
@@ -621,7 +1088,7 @@ router.get('/search/all', verifyToken, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit));
 
-    res.json({ ok: true, messages, query: q });
+    res.json({ ok: true, messages, skippedEncrypted, query: req.searchText.q });
   } catch (error) {
     console.error('Search messages error:', error);
     res.status(500).json({ ok: false, error: 'Failed to search messages' });
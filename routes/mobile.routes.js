@@ -1,13 +1,16 @@
 // ============================================
 // FILE: routes/mobile.routes.js
 // Mobile App API - Push Tokens, Device Registration
-// VERSION: 1.0
+// VERSION: 1.1 - push senders moved to utils/push.js
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const notificationDelivery = require('../services/notification-delivery.service');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // Device Token Schema
@@ -145,226 +148,17 @@ router.get('/devices', verifyToken, async (req, res) => {
 // SEND PUSH TO USER (Internal Use)
 // ==========================================
 
+// Sent through the notification pipeline's mobile push channel
+// (services/notification-delivery.service.js, senders in utils/push.js)
 async function sendPushToUser(userId, notification) {
   try {
-    const tokens = await DeviceToken.find({
-      user: userId,
-      isActive: true
-    }).select('token platform');
-
-    if (tokens.length === 0) {
-      console.log(`No active tokens for user ${userId}`);
-      return { sent: 0 };
-    }
-
-    const results = { ios: 0, android: 0, web: 0, failed: 0 };
-
-    for (const device of tokens) {
-      try {
-        if (device.platform === 'ios') {
-          // Send via APNs (requires apple-auth setup)
-          // await sendAPNs(device.token, notification);
-          results.ios++;
-        } else if (device.platform === 'android') {
-          // Send via FCM
-          await sendFCM(device.token, notification);
-          results.android++;
-        } else if (device.platform === 'web') {
-          // Send via web-push
-          await sendWebPush(device.token, notification);
-          results.web++;
-        }
-      } catch (error) {
-        console.error(`Push to ${device.platform} failed:`, error.message);
-        results.failed++;
-        
-        // Mark token as inactive if it's invalid
-        if (error.message?.includes('NotRegistered') || error.message?.includes('InvalidRegistration')) {
-          await DeviceToken.findByIdAndUpdate(device._id, { isActive: false });
-        }
-      }
-    }
-
-    return {
-      sent: results.ios + results.android + results.web,
-      ...results
-    };
+    return await notificationDelivery.sendMobilePush(userId, notification);
   } catch (error) {
     console.error('Send push error:', error);
     return { sent: 0, error: error.message };
   }
 }
 
-// FCM V1 (Firebase Cloud Messaging) for Android
-// Uses Service Account authentication (new method)
-async function sendFCM(token, notification) {
-  try {
-    // Try FCM V1 first (recommended)
-    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT;
-    
-    if (serviceAccountJson) {
-      return await sendFCMv1(token, notification, serviceAccountJson);
-    }
-    
-    // Fallback to legacy if configured
-    const FCM_SERVER_KEY = process.env.FCM_SERVER_KEY;
-    if (FCM_SERVER_KEY) {
-      return await sendFCMLegacy(token, notification, FCM_SERVER_KEY);
-    }
-    
-    console.log('FCM not configured, skipping Android push');
-    return null;
-  } catch (error) {
-    console.error('FCM send error:', error);
-    throw error;
-  }
-}
-
-// FCM V1 API (New method with Service Account)
-async function sendFCMv1(token, notification, serviceAccountJson) {
-  const jwt = require('jsonwebtoken');
-  
-  let serviceAccount;
-  try {
-    serviceAccount = typeof serviceAccountJson === 'string' 
-      ? JSON.parse(serviceAccountJson) 
-      : serviceAccountJson;
-  } catch (e) {
-    throw new Error('Invalid FIREBASE_SERVICE_ACCOUNT JSON');
-  }
-  
-  const projectId = serviceAccount.project_id;
-  
-  // Create JWT for authentication
-  const now = Math.floor(Date.now() / 1000);
-  const jwtPayload = {
-    iss: serviceAccount.client_email,
-    sub: serviceAccount.client_email,
-    aud: 'https://oauth2.googleapis.com/token',
-    iat: now,
-    exp: now + 3600,
-    scope: 'https://www.googleapis.com/auth/firebase.messaging'
-  };
-  
-  const signedJwt = jwt.sign(jwtPayload, serviceAccount.private_key, { algorithm: 'RS256' });
-  
-  // Get access token
-  const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: `grant_type=urn:ietf:params:oauth:grant-type:jwt-bearer&assertion=${signedJwt}`
-  });
-  
-  const tokenData = await tokenResponse.json();
-  
-  if (!tokenData.access_token) {
-    throw new Error('Failed to get FCM access token');
-  }
-  
-  // Send notification via FCM V1
-  const fcmResponse = await fetch(
-    `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${tokenData.access_token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        message: {
-          token: token,
-          notification: {
-            title: notification.title,
-            body: notification.body
-          },
-          android: {
-            notification: {
-              icon: notification.icon || 'ic_notification',
-              color: '#7c3aed',
-              click_action: notification.clickAction || 'OPEN_APP'
-            }
-          },
-          data: notification.data ? 
-            Object.fromEntries(Object.entries(notification.data).map(([k, v]) => [k, String(v)])) 
-            : {}
-        }
-      })
-    }
-  );
-  
-  const result = await fcmResponse.json();
-  
-  if (result.error) {
-    throw new Error(result.error.message || 'FCM V1 send failed');
-  }
-  
-  console.log('✅ FCM V1 notification sent:', result.name);
-  return result;
-}
-
-// FCM Legacy API (Deprecated but may still work for some)
-async function sendFCMLegacy(token, notification, serverKey) {
-  const response = await fetch('https://fcm.googleapis.com/fcm/send', {
-    method: 'POST',
-    headers: {
-      'Authorization': `key=${serverKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      to: token,
-      notification: {
-        title: notification.title,
-        body: notification.body,
-        icon: notification.icon || 'ic_notification',
-        color: '#7c3aed',
-        click_action: notification.clickAction || 'OPEN_APP'
-      },
-      data: notification.data || {}
-    })
-  });
-
-  const result = await response.json();
-  
-  if (result.failure > 0) {
-    throw new Error(result.results?.[0]?.error || 'FCM Legacy send failed');
-  }
-
-  return result;
-}
-
-// Web Push
-async function sendWebPush(subscription, notification) {
-  try {
-    const webPush = require('web-push');
-    
-    const VAPID_PUBLIC = process.env.VAPID_PUBLIC_KEY;
-    const VAPID_PRIVATE = process.env.VAPID_PRIVATE_KEY;
-    
-    if (!VAPID_PUBLIC || !VAPID_PRIVATE) {
-      console.log('Web push not configured');
-      return;
-    }
-
-    webPush.setVapidDetails(
-      'mailto:support@cybev.io',
-      VAPID_PUBLIC,
-      VAPID_PRIVATE
-    );
-
-    const payload = JSON.stringify({
-      title: notification.title,
-      body: notification.body,
-      icon: notification.icon || '/icon-192.png',
-      badge: '/badge-72.png',
-      data: notification.data || {}
-    });
-
-    await webPush.sendNotification(JSON.parse(subscription), payload);
-  } catch (error) {
-    throw error;
-  }
-}
-
 // ==========================================
 // TEST PUSH NOTIFICATION (Admin)
 // ==========================================
@@ -422,7 +216,13 @@ router.get('/version', (req, res) => {
 // DEEP LINK RESOLVER
 // ==========================================
 
-router.get('/deeplink', (req, res) => {
+router.get('/deeplink', validate({
+  query: {
+    path: v.string({ max: 500 }),
+    id: v.string({ max: 50 }),
+    type: v.string({ max: 50 })
+  }
+}), (req, res) => {
   const { path, id, type } = req.query;
 
   let redirectUrl = 'https://cybev.io';
@@ -9,35 +9,12 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken, requireRole } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
-// Admin check middleware
-const requireAdmin = async (req, res, next) => {
-  try {
-    const User = mongoose.models.User || require('../models/user.model');
-    const user = await User.findById(req.user.id);
-    if (!user || (user.role !== 'admin' && user.role !== 'moderator')) {
-      return res.status(403).json({ ok: false, error: 'Admin access required' });
-    }
-    req.userRole = user.role;
-    next();
-  } catch (err) {
-    return res.status(500).json({ ok: false, error: err.message });
-  }
-};
+// Admins and moderators
+const requireAdmin = requireRole('admin', 'moderator');
 
 // Get models
 const getModels = () => {
@@ -75,7 +52,8 @@ router.post('/report', verifyToken, async (req, res) => {
       contentType,
       contentId,
       reason,
-      reasonDetails
+      reasonDetails,
+      decryptedText
     } = req.body;
 
     // Validate
@@ -116,7 +94,29 @@ router.post('/report', verifyToken, async (req, res) => {
       };
 
       const Model = ModelMap[contentType];
-      if (Model) {
+      if (contentType === 'message') {
+        // Only someone in the chat can report a message. The server can't
+        // read an encrypted one - the reporter may include the text themselves.
+        const Message = mongoose.models.Message || require('../models/message.model');
+        const Conversation = mongoose.models.Conversation || require('../models/conversation.model');
+        const message = await Message.findById(contentId).lean();
+        const inChat = message && await Conversation.exists({ _id: message.conversation, participants: req.user.id });
+        if (!inChat) {
+          return res.status(404).json({ ok: false, error: 'Message not found' });
+        }
+        contentSnapshot = {
+          text: message.encrypted
+            ? (typeof decryptedText === 'string' ? decryptedText.slice(0, 5000) : undefined)
+            : message.text,
+          media: message.encrypted ? [] : (message.attachments || []).map(a => a.url).filter(Boolean),
+          metadata: {
+            conversation: message.conversation,
+            createdAt: message.createdAt,
+            ...(message.encrypted ? { encrypted: true, providedByReporter: typeof decryptedText === 'string' } : {})
+          }
+        };
+        contentAuthor = message.sender;
+      } else if (Model) {
         const content = await Model.findById(contentId).lean();
         if (content) {
           contentSnapshot = {
@@ -127,7 +127,7 @@ router.post('/report', verifyToken, async (req, res) => {
               createdAt: content.createdAt
             }
           };
-          contentAuthor = content.author || content.authorId || content.creator || 
+          contentAuthor = content.author || content.authorId || content.user || content.creator || 
                           content.organizer || content._id;
         }
       }
@@ -203,7 +203,12 @@ router.post('/report', verifyToken, async (req, res) => {
  * Get user's reports
  * GET /api/moderation/my-reports
  */
-router.get('/my-reports', verifyToken, async (req, res) => {
+router.get('/my-reports', verifyToken, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { ContentReport } = getModels();
     const { status, page = 1, limit = 20 } = req.query;
@@ -240,7 +245,15 @@ router.get('/my-reports', verifyToken, async (req, res) => {
  * Get all reports (admin)
  * GET /api/moderation/admin/reports
  */
-router.get('/admin/reports', verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/reports', verifyToken, requireAdmin, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    priority: v.string({ max: 50 }),
+    contentType: v.string({ max: 50 }),
+    reason: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { ContentReport } = getModels();
     const { 
@@ -681,7 +694,12 @@ router.post('/admin/users/:userId/unsuspend', verifyToken, requireAdmin, async (
  * Get word filters (admin)
  * GET /api/moderation/admin/filters
  */
-router.get('/admin/filters', verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/filters', verifyToken, requireAdmin, validate({
+  query: {
+    category: v.string({ max: 50 }),
+    isActive: v.string({ max: 5 })
+  }
+}), async (req, res) => {
   try {
     const { WordFilter } = getModels();
     const { category, isActive } = req.query;
@@ -862,7 +880,11 @@ router.post('/analyze', verifyToken, async (req, res) => {
  * Get moderation dashboard stats (admin)
  * GET /api/moderation/admin/stats
  */
-router.get('/admin/stats', verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/stats', verifyToken, requireAdmin, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { ContentReport, ModerationAction } = getModels();
     const { period = '7d' } = req.query;
@@ -959,6 +981,11 @@ async function applyModerationAction(action, report) {
           'blog': mongoose.models.Blog,
           'comment': mongoose.models.Comment
         };
+        // Comments have their own review states (services/comment.service.js)
+        if (contentType === 'comment') {
+          await require('../services/comment.service').review(action.moderator, contentId, { action: 'remove', note: action.reason });
+          break;
+        }
         const Model = ModelMap[contentType];
         if (Model) {
           await Model.findByIdAndUpdate(contentId, {
@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // SCHEMAS
@@ -134,7 +136,11 @@ router.post('/tip', verifyToken, async (req, res) => {
 });
 
 // GET /api/monetization/tips/received - Get received tips
-router.get('/tips/received', verifyToken, async (req, res) => {
+router.get('/tips/received', verifyToken, validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { page = 1, limit = 20 } = req.query;
@@ -368,7 +374,13 @@ router.post('/content/purchase', verifyToken, async (req, res) => {
 });
 
 // GET /api/monetization/content/check-access - Check if user has access
-router.get('/content/check-access', verifyToken, async (req, res) => {
+router.get('/content/check-access', verifyToken, validate({
+  query: {
+    contentId: v.objectId(),
+    contentType: v.string({ max: 50 }),
+    creatorId: v.objectId()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { contentId, contentType, creatorId } = req.query;
@@ -11,18 +11,7 @@ const axios = require('axios');
 const Replicate = require('replicate');
 
 // Auth
-let auth;
-try { auth = require('../middleware/verifyToken'); } catch {
-  try { auth = require('../middleware/auth.middleware'); } catch {
-    try { const a = require('../middleware/auth'); auth = a.authenticateToken || a; } catch {
-      auth = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try { const jwt = require('jsonwebtoken'); req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024'); req.user.id = req.user.userId || req.user.id; next(); } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
+const { authenticate: auth } = require('../middleware/auth');
 
 const MovieProject = require('../models/movieProject.model');
 const replicate = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
@@ -0,0 +1,99 @@
+// ============================================
+// FILE: routes/mute.routes.js
+// Muted users, words and hashtags - list, mute, unmute
+// VERSION: 1.0
+// Mutes are silent and one-sided; `feed` / `notifications` pick where
+// one applies, `duration` makes it temporary (services/block.service.js)
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const blockService = require('../services/block.service');
+
+console.log('🔇 Mute Routes v1.0 loaded');
+
+const sendError = (res, error, label) => {
+  if (error.name === 'BlockError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const MUTE_TYPES = ['user', 'word', 'hashtag'];
+
+/**
+ * GET /api/mutes
+ * ?type=user|word|hashtag
+ */
+router.get('/', verifyToken, validate({
+  query: {
+    type: v.enum(MUTE_TYPES),
+    ...pagination({ defaultLimit: 50, maxLimit: 200 })
+  }
+}), async (req, res) => {
+  try {
+    const result = await blockService.listMutes(req.user.id, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Mutes');
+  }
+});
+
+/**
+ * Mute a user ({ type: 'user', userId }) or a word / phrase / hashtag
+ * ({ type: 'word' | 'hashtag', value }). Muting it again updates it.
+ * POST /api/mutes
+ */
+router.post('/', verifyToken, validate({
+  body: {
+    type: v.enum(MUTE_TYPES, { required: true }),
+    userId: v.objectId(),
+    value: v.string({ max: 100 }),
+    duration: v.enum(blockService.durations, { default: 'forever' }),
+    feed: v.boolean({ default: true }),
+    notifications: v.boolean({ default: true })
+  }
+}), async (req, res) => {
+  try {
+    const mute = await blockService.mute(req.user.id, req.body);
+    res.status(201).json({ ok: true, mute });
+  } catch (error) {
+    sendError(res, error, 'Mute');
+  }
+});
+
+/**
+ * Unmute a user by their id
+ * DELETE /api/mutes/user/:userId
+ */
+router.delete('/user/:userId', verifyToken, validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await blockService.unmuteUser(req.user.id, req.params.userId);
+    res.json({ ok: true, message: 'User unmuted' });
+  } catch (error) {
+    sendError(res, error, 'Unmute');
+  }
+});
+
+/**
+ * DELETE /api/mutes/:id
+ */
+router.delete('/:id', verifyToken, validate({
+  params: { id: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await blockService.unmute(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Unmuted' });
+  } catch (error) {
+    sendError(res, error, 'Unmute');
+  }
+});
+
+module.exports = router;
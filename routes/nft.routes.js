@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // NFT SCHEMA
@@ -146,7 +148,19 @@ try {
 // ==========================================
 
 // GET /api/nft - Get all NFTs (marketplace)
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  query: {
+    search: v.search(),
+    category: v.string({ max: 50 }),
+    sort: v.string({ max: 30 }),
+    minPrice: v.number({ min: 0 }),
+    maxPrice: v.number({ min: 0 }),
+    creator: v.objectId(),
+    owner: v.objectId(),
+    collection: v.objectId(),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -217,7 +231,11 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/nft/featured - Get featured NFTs
-router.get('/featured', async (req, res) => {
+router.get('/featured', validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 8 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 8 } = req.query;
 
@@ -657,7 +675,12 @@ router.post('/:nftId/like', verifyToken, async (req, res) => {
 // ==========================================
 
 // GET /api/nft/collections - Get all collections
-router.get('/collections/all', async (req, res) => {
+router.get('/collections/all', validate({
+  query: {
+    creator: v.objectId(),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, creator } = req.query;
 
@@ -735,7 +758,12 @@ router.get('/collections/:collectionId', async (req, res) => {
 // ==========================================
 
 // GET /api/nft/user/:userId - Get user's NFTs
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', validate({
+  query: {
+    type: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const { type = 'owned', page = 1, limit = 20 } = req.query;
@@ -768,7 +796,11 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // GET /api/nft/my - Get current user's NFTs
-router.get('/my/all', verifyToken, async (req, res) => {
+router.get('/my/all', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { type = 'all' } = req.query;
@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user.model');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // GET NOTIFICATION PREFERENCES
@@ -124,7 +126,11 @@ router.put('/preferences', verifyToken, async (req, res) => {
 // UNSUBSCRIBE FROM EMAILS (Public - via token)
 // ==========================================
 
-router.get('/unsubscribe/:token', async (req, res) => {
+router.get('/unsubscribe/:token', validate({
+  query: {
+    type: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const { token } = req.params;
     const { type } = req.query; // digest, marketing, all
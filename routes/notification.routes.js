@@ -3,20 +3,44 @@ const router = express.Router();
 
 const { authenticateToken } = require('../middleware/auth');
 const Notification = require('../models/notification.model');
+const blockService = require('../services/block.service');
+const notificationDelivery = require('../services/notification-delivery.service');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 /**
  * Notifications API
  *
  * Base path mounted in server.js: /api/notifications
+ *
+ * Notifications from people the user blocked (or who blocked them) or
+ * muted, and ones mentioning muted words / hashtags, are left out.
+ *
+ * GET /:id also returns `deliveries` - how each channel (in-app, web
+ * push, mobile push, email, WhatsApp) went: pending (with the next
+ * retry time), sent, skipped (with the reason) or dead after the last
+ * retry. See services/notification-delivery.service.js.
  */
 
+// Query part leaving out blocked / muted senders
+const hiddenSenders = (filter) => {
+  const hidden = filter.hiddenAuthors('notifications');
+  return hidden.length ? { sender: { $nin: hidden } } : {};
+};
+
 // GET /api/notifications?limit=50&unreadOnly=false
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, validate({
+  query: {
+    unreadOnly: v.string({ max: 5 }),
+    limit: v.int({ min: 1, max: 200, clamp: true, default: 50 })
+  }
+}), async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
     const unreadOnly = String(req.query.unreadOnly || 'false') === 'true';
 
-    const query = { recipient: req.user.id };
+    const filter = await blockService.getFilter(req.user.id);
+    const query = { recipient: req.user.id, ...hiddenSenders(filter) };
     if (unreadOnly) query.isRead = false;
 
     const notifications = await Notification.find(query)
@@ -24,7 +48,10 @@ router.get('/', authenticateToken, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit);
 
-    res.json({ ok: true, notifications });
+    res.json({
+      ok: true,
+      notifications: notifications.filter(n => !filter.hides({ text: n.message }, 'notifications'))
+    });
   } catch (err) {
     console.error('notifications:list error', err);
     res.status(500).json({ ok: false, message: 'Server error' });
@@ -76,9 +103,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // GET /api/notifications/unread-count
 router.get('/unread-count', authenticateToken, async (req, res) => {
   try {
+    const filter = await blockService.getFilter(req.user.id);
     const count = await Notification.countDocuments({
       recipient: req.user.id,
-      isRead: false
+      isRead: false,
+      ...hiddenSenders(filter)
     });
     res.json({ ok: true, count });
   } catch (err) {
@@ -101,4 +130,18 @@ router.post('/mark-all-read', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/notifications/:id (after the fixed paths above)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const notification = await notificationDelivery.getWithDeliveries(req.user.id, req.params.id);
+    res.json({ ok: true, notification });
+  } catch (err) {
+    if (err.name === 'NotificationDeliveryError') {
+      return res.status(err.status).json({ ok: false, message: err.message });
+    }
+    console.error('notifications:get error', err);
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -10,34 +10,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ ok: false, error: 'No token provided' });
-  }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
-
-// Admin middleware
-const requireAdmin = async (req, res, next) => {
-  try {
-    const User = mongoose.models.User || require('../models/user.model');
-    const user = await User.findById(req.user.id);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ ok: false, error: 'Admin access required' });
-    }
-    next();
-  } catch (err) {
-    return res.status(500).json({ ok: false, error: err.message });
-  }
-};
+const { verifyToken, requireAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Get notification service
 const getNotificationService = () => {
@@ -290,7 +265,11 @@ router.delete('/scheduled/:id', verifyToken, async (req, res) => {
  * Get notification statistics
  * GET /api/notifications/stats
  */
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Notification = mongoose.models.Notification || require('../models/notification.model');
     const { period = '7d' } = req.query;
@@ -481,7 +460,11 @@ router.post('/admin/process-scheduled', verifyToken, requireAdmin, async (req, r
  * Get notification delivery stats (admin)
  * GET /api/notifications/admin/delivery-stats
  */
-router.get('/admin/delivery-stats', verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/delivery-stats', verifyToken, requireAdmin, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const Notification = mongoose.models.Notification || require('../models/notification.model');
     const { period = '7d' } = req.query;
@@ -0,0 +1,266 @@
+// ============================================
+// FILE: routes/oauth-provider.routes.js
+// OAuth2 Provider - third-party apps on behalf of users
+// VERSION: 1.0
+//
+// Flow:
+//   1. App sends the user to the CYBEV consent page with
+//      client_id, redirect_uri, response_type=code, scope, state
+//      (+ code_challenge with code_challenge_method=S256 for PKCE)
+//   2. Consent page calls GET /authorize for app/scope details,
+//      then POST /authorize with the user's decision
+//   3. App exchanges the code at POST /token
+//   4. App calls the API with "Authorization: Bearer cybev_at_..."
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticate, requireAuthType } = require('../middleware/auth');
+const { SCOPES } = require('../config/permissions');
+const oauthProviderService = require('../services/oauth-provider.service');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
+
+const sessionOnly = [authenticate, requireAuthType('session')];
+
+const sendError = (res, err, fallback) => {
+  if (err.name === 'OAuthError') {
+    return res.status(err.status || 400).json({ ok: false, error: err.message, code: err.oauthError });
+  }
+  console.error(`${fallback}:`, err);
+  res.status(500).json({ ok: false, error: fallback });
+};
+
+// Token endpoint errors use the RFC 6749 shape
+const sendTokenError = (res, err) => {
+  if (err.name === 'OAuthError') {
+    return res.status(err.status || 400).json({ error: err.oauthError, error_description: err.message });
+  }
+  console.error('OAuth token error:', err);
+  res.status(500).json({ error: 'server_error', error_description: 'Token request failed' });
+};
+
+// client_id / client_secret from HTTP Basic auth or the form body
+const getClientCredentials = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [clientId, clientSecret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { client_id: decodeURIComponent(clientId || ''), client_secret: decodeURIComponent(clientSecret || '') };
+  }
+  return { client_id: req.body.client_id, client_secret: req.body.client_secret };
+};
+
+const describeScopes = (scopes) => scopes.map(scope => ({
+  scope,
+  description: SCOPES[scope] || `All "${scope.replace(':*', '')}" permissions`
+}));
+
+// ==========================================
+// APP REGISTRATION (developers)
+// ==========================================
+
+// GET /api/oauth2/clients - My registered apps
+router.get('/clients', sessionOnly, async (req, res) => {
+  try {
+    const clients = await oauthProviderService.listClients(req.user.id);
+    res.json({ ok: true, clients });
+  } catch (err) {
+    sendError(res, err, 'Failed to load apps');
+  }
+});
+
+// POST /api/oauth2/clients - Register an app (secret is shown once)
+router.post('/clients', sessionOnly, async (req, res) => {
+  try {
+    const { client, clientSecret } = await oauthProviderService.createClient(req.user, req.body);
+    res.status(201).json({
+      ok: true,
+      client,
+      clientSecret,
+      message: 'Copy the client secret now - it will not be shown again'
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to register app');
+  }
+});
+
+// PUT /api/oauth2/clients/:id - Update name, redirect URIs or scopes
+router.put('/clients/:id', sessionOnly, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid app id' });
+    }
+    const client = await oauthProviderService.updateClient(req.user, req.params.id, req.body);
+    if (!client) return res.status(404).json({ ok: false, error: 'App not found' });
+
+    res.json({ ok: true, client });
+  } catch (err) {
+    sendError(res, err, 'Failed to update app');
+  }
+});
+
+// POST /api/oauth2/clients/:id/rotate-secret
+router.post('/clients/:id/rotate-secret', sessionOnly, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid app id' });
+    }
+    const result = await oauthProviderService.rotateClientSecret(req.user.id, req.params.id);
+    if (!result) return res.status(404).json({ ok: false, error: 'App not found' });
+
+    res.json({ ok: true, client: result.client, clientSecret: result.clientSecret });
+  } catch (err) {
+    sendError(res, err, 'Failed to rotate secret');
+  }
+});
+
+// DELETE /api/oauth2/clients/:id - Delete app and revoke all its tokens
+router.delete('/clients/:id', sessionOnly, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid app id' });
+    }
+    const deleted = await oauthProviderService.revokeClient(req.user.id, req.params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: 'App not found' });
+
+    res.json({ ok: true, message: 'App deleted' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete app');
+  }
+});
+
+// ==========================================
+// CONSENT (signed-in users)
+// ==========================================
+
+// GET /api/oauth2/authorize - Details for the consent screen
+router.get('/authorize', sessionOnly, validate({
+  query: {
+    response_type: v.string({ max: 20 }),
+    client_id: v.string({ max: 100 }),
+    redirect_uri: v.string({ max: 2048 }),
+    scope: v.string({ max: 500 }),
+    state: v.string({ max: 500 }),
+    code_challenge: v.string({ max: 128 }),
+    code_challenge_method: v.string({ max: 10 })
+  }
+}), async (req, res) => {
+  try {
+    const request = await oauthProviderService.validateAuthorizationRequest(req.user, req.query);
+    res.json({
+      ok: true,
+      client: {
+        name: request.client.name,
+        description: request.client.description,
+        website: request.client.website,
+        logoUrl: request.client.logoUrl
+      },
+      scopes: describeScopes(request.scopes),
+      redirectUri: request.redirectUri,
+      state: request.state
+    });
+  } catch (err) {
+    sendError(res, err, 'Invalid authorization request');
+  }
+});
+
+// POST /api/oauth2/authorize - User approves or denies
+// Body: the same parameters as the GET plus { approve: true|false }
+router.post('/authorize', sessionOnly, async (req, res) => {
+  try {
+    const request = await oauthProviderService.validateAuthorizationRequest(req.user, req.body);
+
+    if (!req.body.approve) {
+      return res.json({
+        ok: true,
+        redirectUrl: oauthProviderService.buildRedirectUrl(request.redirectUri, {
+          error: 'access_denied',
+          state: request.state
+        })
+      });
+    }
+
+    const code = await oauthProviderService.createAuthorizationCode(req.user, request);
+    res.json({
+      ok: true,
+      redirectUrl: oauthProviderService.buildRedirectUrl(request.redirectUri, { code, state: request.state })
+    });
+  } catch (err) {
+    sendError(res, err, 'Authorization failed');
+  }
+});
+
+// ==========================================
+// TOKEN ENDPOINT (apps)
+// ==========================================
+
+// POST /api/oauth2/token
+router.post('/token', rateLimit('oauth-token'), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  try {
+    const credentials = getClientCredentials(req);
+    const { grant_type } = req.body;
+
+    let tokens;
+    if (grant_type === 'authorization_code') {
+      tokens = await oauthProviderService.exchangeAuthorizationCode({ ...req.body, ...credentials });
+    } else if (grant_type === 'refresh_token') {
+      tokens = await oauthProviderService.refreshAccessToken({ ...req.body, ...credentials });
+    } else {
+      return res.status(400).json({
+        error: 'unsupported_grant_type',
+        error_description: 'grant_type must be authorization_code or refresh_token'
+      });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    sendTokenError(res, err);
+  }
+});
+
+// POST /api/oauth2/revoke - RFC 7009, with the same client credentials as /token
+router.post('/revoke', rateLimit('oauth-token'), async (req, res) => {
+  try {
+    await oauthProviderService.revokeToken(req.body.token, getClientCredentials(req));
+    res.status(200).json({});
+  } catch (err) {
+    sendTokenError(res, err);
+  }
+});
+
+// ==========================================
+// CONNECTED APPS (users)
+// ==========================================
+
+// GET /api/oauth2/grants - Apps with access to my account
+router.get('/grants', sessionOnly, async (req, res) => {
+  try {
+    const grants = await oauthProviderService.listGrants(req.user.id);
+    res.json({
+      ok: true,
+      grants: grants.map(grant => ({ ...grant, scopes: describeScopes(grant.scopes) }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to load connected apps');
+  }
+});
+
+// DELETE /api/oauth2/grants/:clientId - Disconnect an app
+router.delete('/grants/:clientId', sessionOnly, async (req, res) => {
+  try {
+    const client = await oauthProviderService.findActiveClient(req.params.clientId);
+    if (!client) return res.status(404).json({ ok: false, error: 'App not found' });
+
+    const revoked = await oauthProviderService.revokeGrant(req.user.id, client._id);
+    res.json({ ok: true, revoked, message: `${client.name} disconnected` });
+  } catch (err) {
+    sendError(res, err, 'Failed to disconnect app');
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,8 @@ const paymentService = require('../services/payment.service');
 
 // Models
 const User = require('../models/user.model');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // Transaction Schema (inline for simplicity)
@@ -390,7 +392,13 @@ router.post('/webhook/hubtel', express.json(), async (req, res) => {
 // GET TRANSACTION HISTORY
 // ==========================================
 
-router.get('/transactions', verifyToken, async (req, res) => {
+router.get('/transactions', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { type, status, page = 1, limit = 20 } = req.query;
@@ -432,7 +440,11 @@ router.get('/transactions', verifyToken, async (req, res) => {
 // GET EARNINGS (For Creators)
 // ==========================================
 
-router.get('/earnings', verifyToken, async (req, res) => {
+router.get('/earnings', verifyToken, validate({
+  query: {
+    period: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
@@ -0,0 +1,185 @@
+// ============================================
+// FILE: routes/poll.routes.js
+// Polls
+// VERSION: 1.0
+// Polls on feed posts, group posts, groups and live streams
+// (services/poll.service.js)
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const pollService = require('../services/poll.service');
+
+console.log('📊 Poll Routes v1.0 loaded');
+
+const TARGET_TYPES = ['post', 'group_post', 'group', 'stream'];
+
+const sendError = (res, error, label) => {
+  if (error.name === 'PollError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const idParam = { id: v.objectId({ required: true }) };
+
+/**
+ * Create a poll
+ * POST /api/polls
+ * { attachTo: { type: post|group_post|group|stream, id }, question,
+ *   options: [text], multipleChoice?, maxChoices?, anonymous?,
+ *   allowVoteChange?, resultsVisibility?: always|after_vote|after_close,
+ *   endsAt? | durationSeconds? }
+ */
+router.post('/', verifyToken, validate({
+  body: {
+    attachTo: v.object({
+      type: v.enum(TARGET_TYPES, { required: true }),
+      id: v.objectId({ required: true })
+    }, { required: true }),
+    question: v.string({ required: true, max: 300 }),
+    options: v.array(v.string({ required: true, max: 100 }), { required: true, min: 2, max: 10 }),
+    multipleChoice: v.boolean({ default: false }),
+    maxChoices: v.int({ min: 0, max: 10 }),
+    anonymous: v.boolean({ default: false }),
+    allowVoteChange: v.boolean({ default: true }),
+    resultsVisibility: v.enum(['always', 'after_vote', 'after_close'], { default: 'always' }),
+    endsAt: v.date(),
+    durationSeconds: v.int({ min: 10, max: 30 * 24 * 60 * 60 })
+  }
+}), async (req, res) => {
+  try {
+    const created = await pollService.create(req.user.id, req.body);
+    const poll = await pollService.getForUser(req.user.id, created._id);
+    res.status(201).json({ ok: true, poll });
+  } catch (error) {
+    sendError(res, error, 'Create poll');
+  }
+});
+
+/**
+ * Polls attached to something
+ * GET /api/polls/for/:type/:targetId?status=open|closed|all
+ */
+router.get('/for/:type/:targetId', optionalAuth, validate({
+  params: {
+    type: v.enum(TARGET_TYPES, { required: true }),
+    targetId: v.objectId({ required: true })
+  },
+  query: {
+    status: v.enum(['all', 'open', 'closed'], { default: 'all' }),
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
+  try {
+    const { type, targetId } = req.params;
+    const polls = await pollService.listFor(req.user?.id, type, targetId, req.query);
+    res.json({ ok: true, polls });
+  } catch (error) {
+    sendError(res, error, 'List polls');
+  }
+});
+
+/**
+ * The open poll on a live stream
+ * GET /api/polls/stream/:streamId/active
+ */
+router.get('/stream/:streamId/active', optionalAuth, validate({
+  params: { streamId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const [poll] = await pollService.listFor(req.user?.id, 'stream', req.params.streamId, { status: 'open', limit: 1 });
+    res.json({ ok: true, poll: poll || null });
+  } catch (error) {
+    sendError(res, error, 'Active stream poll');
+  }
+});
+
+router.get('/:id', optionalAuth, validate({ params: idParam }), async (req, res) => {
+  try {
+    const poll = await pollService.getForUser(req.user?.id, req.params.id);
+    res.json({ ok: true, poll });
+  } catch (error) {
+    sendError(res, error, 'Get poll');
+  }
+});
+
+/**
+ * Vote, or change a vote
+ * POST /api/polls/:id/vote { optionIds: [id] } (option indexes also accepted)
+ */
+router.post('/:id/vote', verifyToken, validate({
+  params: idParam,
+  body: {
+    optionIds: v.array(v.string({ max: 24 }), { min: 1, max: 10 }),
+    optionIndexes: v.array(v.int({ min: 0, max: 9 }), { min: 1, max: 10 }),
+    optionIndex: v.int({ min: 0, max: 9 })
+  }
+}), async (req, res) => {
+  try {
+    const { optionIds, optionIndexes, optionIndex } = req.body;
+    const choices = optionIds || optionIndexes || (optionIndex !== undefined ? [optionIndex] : []);
+    await pollService.vote(req.user.id, req.params.id, choices);
+    const poll = await pollService.getForUser(req.user.id, req.params.id);
+    res.json({ ok: true, poll });
+  } catch (error) {
+    sendError(res, error, 'Vote');
+  }
+});
+
+/**
+ * Take back my vote
+ * DELETE /api/polls/:id/vote
+ */
+router.delete('/:id/vote', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await pollService.retract(req.user.id, req.params.id);
+    const poll = await pollService.getForUser(req.user.id, req.params.id);
+    res.json({ ok: true, poll });
+  } catch (error) {
+    sendError(res, error, 'Retract vote');
+  }
+});
+
+/**
+ * Who voted for an option (public polls)
+ * GET /api/polls/:id/options/:optionId/voters
+ */
+router.get('/:id/options/:optionId/voters', optionalAuth, validate({
+  params: { ...idParam, optionId: v.objectId({ required: true }) },
+  query: pagination({ defaultLimit: 50, maxLimit: 100 })
+}), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { option, voters, total } = await pollService.getVoters(req.user?.id, req.params.id, req.params.optionId, { page, limit });
+    res.json({ ok: true, option, voters, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    sendError(res, error, 'Poll voters');
+  }
+});
+
+router.post('/:id/close', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await pollService.closeForUser(req.user.id, req.params.id);
+    const poll = await pollService.getForUser(req.user.id, req.params.id);
+    res.json({ ok: true, poll });
+  } catch (error) {
+    sendError(res, error, 'Close poll');
+  }
+});
+
+router.delete('/:id', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await pollService.remove(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Poll deleted' });
+  } catch (error) {
+    sendError(res, error, 'Delete poll');
+  }
+});
+
+module.exports = router;
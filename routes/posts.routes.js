@@ -4,6 +4,35 @@ const Post = require('../models/post.model');
 const User = require('../models/user.model');
 const Follow = require('../models/follow.model');
 const verifyToken = require('../middleware/verifyToken');
+const pollService = require('../services/poll.service');
+const contentParsingService = require('../services/content-parsing.service');
+const blockService = require('../services/block.service');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+
+// @mentions and #hashtags of a post, or of one of its comments
+const parsePost = (post, authorId) => contentParsingService.processContent({
+  type: 'post',
+  id: post._id,
+  author: authorId,
+  text: post.content,
+  url: `/post/${post._id}`,
+  audience: contentParsingService.audienceFor(authorId, post.visibility),
+  isPublic: (post.visibility || 'public') === 'public',
+  createdAt: post.createdAt
+});
+
+const parsePostComment = (post, comment) => contentParsingService.processContent({
+  type: 'post_comment',
+  id: comment._id,
+  parentId: post._id,
+  author: comment.user,
+  text: comment.content,
+  url: `/post/${post._id}`,
+  audience: contentParsingService.audienceFor(post.authorId || post.author, post.visibility),
+  isPublic: (post.visibility || 'public') === 'public',
+  createdAt: comment.createdAt
+});
 
 // Import existing controller if it exists
 let postsController;
@@ -53,7 +82,7 @@ if (postsController && postsController.getMyPosts) {
 // ========== CREATE POST ==========
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { content, title, images, video, type, visibility, location } = req.body;
+    const { content, title, images, video, type, visibility, location, poll } = req.body;
 
     if (!content || content.trim().length === 0) {
       return res.status(400).json({
@@ -88,6 +117,25 @@ router.post('/', verifyToken, async (req, res) => {
       tokensEarned: 10 // Base reward for creating post
     });
 
+    // Optional poll: { question, options, multipleChoice, anonymous, endsAt, ... }
+    if (poll) {
+      try {
+        await pollService.create(req.user.id, {
+          ...poll,
+          question: poll.question || content,
+          attachTo: { type: 'post', id: post._id }
+        });
+      } catch (error) {
+        await Post.deleteOne({ _id: post._id });
+        if (error.name === 'PollError') {
+          return res.status(error.status).json({ success: false, error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    await parsePost(post, req.user.id);
+
     console.log(`✅ Post created by ${authorName}: ${post._id}`);
 
     // Populate author data for response
@@ -110,7 +158,13 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // ========== GET FEED POSTS ==========
-router.get('/feed', verifyToken, async (req, res) => {
+router.get('/feed', verifyToken, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    scope: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, type, scope } = req.query;
     const skip = (page - 1) * limit;
@@ -128,6 +182,11 @@ router.get('/feed', verifyToken, async (req, res) => {
       query.authorId = { $in: followingIds };
     }
 
+    // People blocked either way or muted; muted words / hashtags below
+    const filter = await blockService.getFilter(req.user.id);
+    const hidden = filter.hiddenAuthors();
+    if (hidden.length) query.authorId = { ...query.authorId, $nin: hidden };
+
     const posts = await Post.find(query)
       .sort({ isPinned: -1, createdAt: -1 })
       .skip(skip)
@@ -136,7 +195,7 @@ router.get('/feed', verifyToken, async (req, res) => {
       .lean();
 
     // Ensure authorName is populated
-    const postsWithAuthor = posts.map(post => ({
+    const postsWithAuthor = posts.filter(post => !filter.hidesDoc(post)).map(post => ({
       ...post,
       authorName: post.authorName || post.authorId?.name || post.authorId?.username || 'Anonymous'
     }));
@@ -196,7 +255,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // ========== GET USER'S POSTS ==========
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
@@ -264,7 +327,9 @@ router.put('/:id', verifyToken, async (req, res) => {
     if (video) post.video = video;
     if (visibility) post.visibility = visibility;
 
+    const reparse = post.isModified('content') || post.isModified('visibility');
     await post.save();
+    if (reparse) await parsePost(post, req.user.id);
 
     res.json({
       success: true,
@@ -321,6 +386,11 @@ router.delete('/:id', verifyToken, async (req, res) => {
 
     await Post.findByIdAndDelete(req.params.id);
 
+    contentParsingService.defer('post deleted', async () => {
+      await contentParsingService.removeContent('post', post._id);
+      await contentParsingService.removeContent('post_comment', post.comments.map(c => c._id));
+    });
+
     res.json({
       success: true,
       message: 'Post deleted successfully'
@@ -418,6 +488,13 @@ router.post('/:id/comment', verifyToken, async (req, res) => {
       });
     }
 
+    if (await blockService.isBlocked(req.user.id, post.authorId || post.author)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can't comment on this"
+      });
+    }
+
     // Get user data for comment
     const user = await User.findById(req.user.id).select('name username');
 
@@ -432,6 +509,7 @@ router.post('/:id/comment', verifyToken, async (req, res) => {
     post.tokensEarned += 2;
 
     await post.save();
+    await parsePostComment(post, post.comments[post.comments.length - 1]);
 
     const populatedPost = await post.populate('comments.user', 'name username avatar');
 
@@ -483,6 +561,7 @@ router.delete('/:id/comment/:commentId', verifyToken, async (req, res) => {
 
     post.comments.pull(req.params.commentId);
     await post.save();
+    contentParsingService.defer('post comment deleted', () => contentParsingService.removeContent('post_comment', req.params.commentId));
 
     res.json({
       success: true,
@@ -545,7 +624,11 @@ router.post('/:id/bookmark', verifyToken, async (req, res) => {
 });
 
 // ========== GET TRENDING POSTS ==========
-router.get('/trending/top', async (req, res) => {
+router.get('/trending/top', validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     
@@ -566,7 +649,11 @@ router.get('/trending/top', async (req, res) => {
 });
 
 // ========== GET POSTS BY HASHTAG ==========
-router.get('/hashtag/:tag', async (req, res) => {
+router.get('/hashtag/:tag', validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 20 } = req.query;
     const tag = req.params.tag.replace('#', '').toLowerCase();
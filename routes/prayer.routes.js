@@ -50,35 +50,9 @@ PrayerSchema.index({ category: 1, isAnswered: 1 });
 const Prayer = mongoose.models.Prayer || mongoose.model('Prayer', PrayerSchema);
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
-
-// Optional auth
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // POST /api/church/prayers - Create prayer request
@@ -120,7 +94,16 @@ router.post('/', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/prayers - List prayers
 // ==========================================
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    category: v.string({ max: 50 }),
+    urgent: v.string({ max: 5 }),
+    answered: v.string({ max: 5 }),
+    mine: v.string({ max: 5 }),
+    orgId: v.objectId(),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user?.id || req.user?._id;
     const { category, urgent, answered, mine, orgId, page = 1, limit = 20 } = req.query;
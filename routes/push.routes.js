@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const notificationDelivery = require('../services/notification-delivery.service');
 
 // ==========================================
 // PUSH SUBSCRIPTION SCHEMA
@@ -200,58 +201,14 @@ router.put('/preferences', verifyToken, async (req, res) => {
 // SEND NOTIFICATIONS
 // ==========================================
 
-// Helper function to send push notification
+// Helper function to send push notification - through the notification
+// pipeline's web push channel, which checks the preferences and quiet
+// hours above (services/notification-delivery.service.js)
 const sendPushNotification = async (userId, notification) => {
   try {
-    // Check user preferences
-    const prefs = await NotificationPreferences.findOne({ user: userId });
-    
-    if (prefs && !prefs.push.enabled) {
-      return { sent: false, reason: 'Push disabled' };
-    }
-
-    // Check quiet hours
-    if (prefs?.quiet.enabled) {
-      const now = new Date();
-      const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-      const { startTime, endTime } = prefs.quiet;
-      
-      if (startTime < endTime) {
-        if (currentTime >= startTime && currentTime < endTime) {
-          return { sent: false, reason: 'Quiet hours' };
-        }
-      } else {
-        if (currentTime >= startTime || currentTime < endTime) {
-          return { sent: false, reason: 'Quiet hours' };
-        }
-      }
-    }
-
-    // Get user's subscriptions
-    const subscriptions = await PushSubscription.find({ user: userId, isActive: true });
-    
-    if (subscriptions.length === 0) {
-      return { sent: false, reason: 'No subscriptions' };
-    }
-
-    // In production, use web-push library here
-    // const webpush = require('web-push');
-    // webpush.setVapidDetails(...)
-    // await webpush.sendNotification(subscription, JSON.stringify(notification));
-
-    // For now, emit via Socket.IO
-    const io = global.io;
-    if (io) {
-      io.to(`user:${userId}`).emit('push-notification', notification);
-    }
-
-    // Update last used timestamp
-    await PushSubscription.updateMany(
-      { user: userId, isActive: true },
-      { lastUsed: new Date() }
-    );
-
-    return { sent: true, count: subscriptions.length };
+    const result = await notificationDelivery.sendWebPush(userId, notification);
+    if (result.skipped) return { sent: false, reason: result.skipped };
+    return { sent: true, count: result.sent };
   } catch (error) {
     console.error('Send push error:', error);
     return { sent: false, reason: error.message };
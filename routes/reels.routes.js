@@ -0,0 +1,302 @@
+// ============================================
+// FILE: routes/reels.routes.js
+// Reels - short vertical videos
+// VERSION: 1.0
+// Reels are posts (postType 'reel'): like, comment and share them
+// through /api/posts/:id. Uploads are checked and cut up with ffmpeg
+// (services/reel.service.js); limits and feed weights are in
+// config/reels.js.
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const { REELS } = require('../config/reels');
+const reelService = require('../services/reel.service');
+
+console.log('🎬 Reels Routes v1.0 loaded - upload, swipe feed, sounds, remixes');
+
+const sendError = (res, error, label) => {
+  if (error.name === 'ReelError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const idParam = { id: v.objectId({ required: true }) };
+
+// Videos are written to disk - ffmpeg reads them from there
+const videoUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: REELS.upload.maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Reels must be a video file'), false);
+    }
+  }
+});
+
+/**
+ * Single `file` field; the temp file is removed once the response is sent
+ */
+const receiveVideo = (req, res, next) => {
+  videoUpload.single('file')(req, res, (error) => {
+    if (req.file) {
+      res.on('close', () => fs.promises.unlink(req.file.path).catch(() => {}));
+    }
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        ok: false,
+        error: tooLarge ? `Reels can be up to ${Math.round(REELS.upload.maxBytes / (1024 * 1024))}MB` : error.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ ok: false, error: 'No video uploaded' });
+    }
+    next();
+  });
+};
+
+// ==========================================
+// FEED
+// ==========================================
+
+/**
+ * Swipe feed, ranked on watch time
+ * GET /api/reels/feed
+ * ?cursor=<nextCursor>  next page
+ * ?explain=true         include why each reel ranked where it did
+ */
+router.get('/feed', optionalAuth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 30, clamp: true, default: 10 }),
+    cursor: v.string({ max: 512 }),
+    explain: v.boolean({ default: false })
+  }
+}), async (req, res) => {
+  try {
+    const { limit, cursor, explain } = req.query;
+    const result = await reelService.getFeed(req.user?.id, { limit, cursor: cursor || null, explain });
+
+    res.json({
+      ok: true,
+      reels: result.reels,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      asOf: result.asOf,
+      ...(result.seenFallback ? { seenFallback: true } : {}),
+      ...(result.explain ? { explain: result.explain } : {})
+    });
+  } catch (error) {
+    sendError(res, error, 'Reels feed');
+  }
+});
+
+// ==========================================
+// SOUNDS
+// ==========================================
+
+/**
+ * GET /api/reels/audio/trending
+ */
+router.get('/audio/trending', validate({
+  query: {
+    days: v.int({ min: 1, max: 30, clamp: true, default: 7 }),
+    limit: v.int({ min: 1, max: 50, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
+  try {
+    const sounds = await reelService.getTrendingAudio(req.query);
+    res.json({ ok: true, sounds });
+  } catch (error) {
+    sendError(res, error, 'Trending sounds');
+  }
+});
+
+/**
+ * A sound and the reels using it
+ * GET /api/reels/audio/:audioId
+ */
+router.get('/audio/:audioId', optionalAuth, validate({
+  params: { audioId: v.objectId({ required: true }) },
+  query: { ...pagination({ defaultLimit: 20, maxLimit: 50 }), sort: v.enum(['popular', 'recent'], { default: 'popular' }) }
+}), async (req, res) => {
+  try {
+    const result = await reelService.getAudio(req.params.audioId, req.user?.id, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Sound');
+  }
+});
+
+/**
+ * Rename your original sound or stop reuse
+ * PUT /api/reels/audio/:audioId
+ */
+router.put('/audio/:audioId', verifyToken, validate({
+  params: { audioId: v.objectId({ required: true }) },
+  body: {
+    title: v.string({ max: 120 }),
+    allowReuse: v.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const audio = await reelService.updateAudio(req.user.id, req.params.audioId, req.body);
+    res.json({ ok: true, audio });
+  } catch (error) {
+    sendError(res, error, 'Update sound');
+  }
+});
+
+// ==========================================
+// LISTS
+// ==========================================
+
+/**
+ * GET /api/reels/user/:userId
+ */
+router.get('/user/:userId', optionalAuth, validate({
+  params: { userId: v.objectId({ required: true }) },
+  query: pagination({ defaultLimit: 20, maxLimit: 50 })
+}), async (req, res) => {
+  try {
+    const result = await reelService.getUserReels(req.user?.id, req.params.userId, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'User reels');
+  }
+});
+
+// ==========================================
+// CREATE
+// ==========================================
+
+/**
+ * Upload a reel (multipart, video in `file`)
+ * POST /api/reels
+ * remixOf + remixType link it to another reel; audioId reuses a sound
+ * (remixes keep the original's sound by default). Without either, the
+ * video's own sound becomes a new reusable track.
+ */
+router.post('/', verifyToken, rateLimit('reel-upload'), receiveVideo, validate({
+  body: {
+    caption: v.string({ max: 2200 }),
+    visibility: v.enum(['public', 'followers', 'private'], { default: 'public' }),
+    allowRemix: v.boolean({ default: true }),
+    coverAt: v.number({ min: 0 }),
+    audioId: v.objectId(),
+    audioStart: v.number({ min: 0 }),
+    audioTitle: v.string({ max: 120 }),
+    remixOf: v.objectId(),
+    remixType: v.enum(['remix', 'duet', 'stitch'])
+  }
+}), async (req, res) => {
+  try {
+    // ffmpeg + Cloudinary on a long video can take a while
+    req.setTimeout(300000);
+    res.setTimeout(300000);
+
+    const reel = await reelService.create(req.user.id, req.file, req.body);
+    res.status(201).json({ ok: true, reel });
+  } catch (error) {
+    sendError(res, error, 'Reel upload');
+  }
+});
+
+// ==========================================
+// SINGLE REEL
+// ==========================================
+
+/**
+ * GET /api/reels/:id
+ */
+router.get('/:id', optionalAuth, validate({ params: idParam }), async (req, res) => {
+  try {
+    const reel = await reelService.getReel(req.params.id, req.user?.id);
+    res.json({ ok: true, reel });
+  } catch (error) {
+    sendError(res, error, 'Reel');
+  }
+});
+
+/**
+ * Remixes, duets and stitches of a reel
+ * GET /api/reels/:id/remixes
+ */
+router.get('/:id/remixes', optionalAuth, validate({
+  params: idParam,
+  query: pagination({ defaultLimit: 20, maxLimit: 50 })
+}), async (req, res) => {
+  try {
+    const result = await reelService.getRemixes(req.user?.id, req.params.id, req.query);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Remixes');
+  }
+});
+
+/**
+ * Report one play: seconds watched, loops, reached the end
+ * POST /api/reels/:id/watch
+ */
+router.post('/:id/watch', optionalAuth, rateLimit('reel-watch'), validate({
+  params: idParam,
+  body: {
+    watchedSeconds: v.number({ required: true, min: 0 }),
+    loops: v.int({ min: 0, max: 100, clamp: true, default: 0 }),
+    completed: v.boolean({ default: false })
+  }
+}), async (req, res) => {
+  try {
+    if (req.rateLimited) return res.json({ ok: true, counted: false });
+
+    const result = await reelService.recordWatch(req.params.id, req.user?.id, req.body);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Reel watch');
+  }
+});
+
+/**
+ * PUT /api/reels/:id
+ */
+router.put('/:id', verifyToken, validate({
+  params: idParam,
+  body: {
+    caption: v.string({ max: 2200 }),
+    visibility: v.enum(['public', 'followers', 'private']),
+    allowRemix: v.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const reel = await reelService.update(req.user.id, req.params.id, req.body);
+    res.json({ ok: true, reel });
+  } catch (error) {
+    sendError(res, error, 'Update reel');
+  }
+});
+
+/**
+ * DELETE /api/reels/:id
+ */
+router.delete('/:id', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await reelService.remove(req.user.id, req.params.id, { isAdmin: req.user.isAdmin });
+    res.json({ ok: true, message: 'Reel deleted' });
+  } catch (error) {
+    sendError(res, error, 'Delete reel');
+  }
+});
+
+module.exports = router;
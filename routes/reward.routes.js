@@ -12,7 +12,6 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Reward Schema
 const RewardSchema = new mongoose.Schema({
@@ -40,16 +39,9 @@ try {
 }
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 const getUserId = (req) => req.user?.userId || req.user?.id || req.user?._id;
 
@@ -162,7 +154,12 @@ router.get('/balance', auth, async (req, res) => {
 // ==========================================
 // GET /api/rewards/history - Transaction history
 // ==========================================
-router.get('/history', auth, async (req, res) => {
+router.get('/history', auth, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = getUserId(req);
     const { limit = 50, page = 1, type } = req.query;
@@ -1,312 +1,182 @@
 // ============================================
 // FILE: routes/search.routes.js
 // Comprehensive Search Routes
-// VERSION: 1.1 - Improved user search + live streams
-// FIXES:
-//   - Autocomplete now searches both name AND username
-//   - Partial matching (not just prefix)
-//   - Added live streams to search results
+// VERSION: 2.2 - Blocked users left out
+// CHANGES (2.2):
+//   - People blocked either way (services/block.service.js), and their
+//     content, are left out of results, suggestions and saved-search
+//     alerts
+// CHANGES (2.1):
+//   - Searches are logged anonymously; responses carry a searchId
+//     that POST /click sends back (services/search-analytics.service.js)
+//   - Admin reports: overview, top queries, zero-result queries,
+//     most clicked results
+//   - Saved searches with new-content alerts
+//     (services/saved-search.service.js)
+//   - /popular includes queries searched by several people
+// CHANGES (2.0): Ranked full-text search (services/search.service.js)
+// CHANGES:
+//   - Results come from the search index, ranked by relevance (BM25)
+//     instead of regex scans in createdAt order
+//   - Facets (type, date, author, group, church) and filters for them
+//   - Highlighted title / snippet per hit, "did you mean" on typos
+//   - Suggestions tolerate typos and complete the word being typed
+//   - Churches are searchable
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-console.log('🔍 Search Routes v1.1 loaded - improved user search + live streams');
+console.log('🔍 Search Routes v2.1 loaded - ranked search, analytics, saved searches');
 
 // Middleware
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-      req.user = decoded;
-    } catch (err) {
-      // Token invalid, continue without auth
-    }
+const { optionalAuth, verifyToken, requireAdmin, getRequestIp } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const searchService = require('../services/search.service');
+const searchAnalytics = require('../services/search-analytics.service');
+const savedSearchService = require('../services/saved-search.service');
+const contentParsingService = require('../services/content-parsing.service');
+const blockService = require('../services/block.service');
+const { SEARCH_SOURCES, QUERY_TYPES } = require('../config/search-index');
+
+const filterQuery = {
+  author: v.objectId(),
+  group: v.objectId(),
+  church: v.objectId(),
+  date: v.enum(['day', 'week', 'month', 'year'])
+};
+
+const pickFilters = ({ author, group, church, date }) => ({ author, group, church, date });
+
+// People blocked either way, and everything they wrote, never show up
+const getHiddenAuthors = async (req) => {
+  if (!req.user) return [];
+  const filter = await blockService.getFilter(req.user.id);
+  return [...filter.blocked];
+};
+
+const sendError = (res, error, label) => {
+  if (error.name === 'SearchError' || error.name === 'SavedSearchError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: 'Search failed' });
+};
+
+/**
+ * Log a search for analytics. A client paging through results sends
+ * the first page's searchId back so one search is logged once.
+ */
+const logSearch = (req, { source, type = 'all', sort, result }) => {
+  const { q, page, searchId, author, group, church, date } = req.query;
+  if (searchId && page > 1) return searchId;
+  return searchAnalytics.logSearch({
+    q,
+    type,
+    sort,
+    source,
+    page,
+    filtered: !!(author || group || church || date),
+    resultCount: result.total,
+    didYouMean: result.didYouMean,
+    userId: req.user?.id,
+    ip: getRequestIp(req)
+  });
+};
+
+/**
+ * Items with their ranking details attached, grouped by result key
+ */
+const groupResults = (hits) => {
+  const results = Object.fromEntries(Object.values(SEARCH_SOURCES).map(s => [s.resultKey, []]));
+  for (const hit of hits) {
+    results[SEARCH_SOURCES[hit.type].resultKey].push({
+      ...hit.item,
+      _search: { score: hit.score, highlight: hit.highlight }
+    });
   }
-  next();
+  return results;
 };
 
 /**
  * Global search across all content types
  * GET /api/search
+ * ?type=users|posts|...  &sort=relevance|recent|popular
+ * ?author= &group= &church= &date=day|week|month|year  (facet filters)
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    q: v.string({ required: true, min: 2, max: 100 }),
+    type: v.enum(Object.keys(QUERY_TYPES), { default: 'all' }),
+    sort: v.enum(['relevance', 'recent', 'popular'], { default: 'relevance' }),
+    ...filterQuery,
+    searchId: v.objectId(),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
-    const { q, type = 'all', page = 1, limit = 20 } = req.query;
-
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Search query must be at least 2 characters' 
-      });
-    }
-
-    const searchQuery = q.trim();
-    const searchRegex = new RegExp(searchQuery, 'i');
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const limitNum = parseInt(limit);
-
-    const results = {
-      users: [],
-      posts: [],
-      blogs: [],
-      groups: [],
-      events: [],
-      hashtags: [],
-      streams: []
-    };
-
-    // Search users
-    if (type === 'all' || type === 'users') {
-      const User = mongoose.models.User || require('../models/user.model');
-      results.users = await User.find({
-        $or: [
-          { name: searchRegex },
-          { username: searchRegex },
-          { bio: searchRegex }
-        ],
-        role: { $ne: 'banned' }
-      })
-        .select('name username avatar bio followers following isVerified')
-        .limit(type === 'users' ? limitNum : 5)
-        .skip(type === 'users' ? skip : 0)
-        .lean();
-
-      // Add follower/following counts
-      results.users = results.users.map(u => ({
-        ...u,
-        followersCount: u.followers?.length || 0,
-        followingCount: u.following?.length || 0
-      }));
-    }
-
-    // Search posts
-    if (type === 'all' || type === 'posts') {
-      const Post = mongoose.models.Post || require('../models/post.model');
-      results.posts = await Post.find({
-        $or: [
-          { content: searchRegex },
-          { tags: searchRegex }
-        ],
-        hidden: { $ne: true }
-      })
-        .populate('author', 'name username avatar')
-        .select('content media views likes commentsCount createdAt')
-        .sort({ createdAt: -1 })
-        .limit(type === 'posts' ? limitNum : 10)
-        .skip(type === 'posts' ? skip : 0)
-        .lean();
-
-      results.posts = results.posts.map(p => ({
-        ...p,
-        likesCount: p.likes?.length || 0
-      }));
-    }
-
-    // Search blogs
-    if (type === 'all' || type === 'blogs') {
-      const Blog = mongoose.models.Blog;
-      if (Blog) {
-        results.blogs = await Blog.find({
-          $or: [
-            { title: searchRegex },
-            { content: searchRegex },
-            { tags: searchRegex }
-          ],
-          published: true
-        })
-          .populate('author', 'name username avatar')
-          .select('title slug excerpt coverImage views likes createdAt')
-          .sort({ createdAt: -1 })
-          .limit(type === 'blogs' ? limitNum : 5)
-          .skip(type === 'blogs' ? skip : 0)
-          .lean();
-      }
-    }
-
-    // Search groups
-    if (type === 'all' || type === 'groups') {
-      const Group = mongoose.models.Group;
-      if (Group) {
-        results.groups = await Group.find({
-          $or: [
-            { name: searchRegex },
-            { description: searchRegex }
-          ],
-          visibility: 'public'
-        })
-          .select('name description coverImage membersCount category')
-          .limit(type === 'groups' ? limitNum : 5)
-          .skip(type === 'groups' ? skip : 0)
-          .lean();
-      }
-    }
-
-    // Search events
-    if (type === 'all' || type === 'events') {
-      const Event = mongoose.models.Event;
-      if (Event) {
-        results.events = await Event.find({
-          $or: [
-            { title: searchRegex },
-            { description: searchRegex }
-          ],
-          visibility: 'public',
-          startDate: { $gte: new Date() }
-        })
-          .select('title description coverImage startDate endDate location type')
-          .sort({ startDate: 1 })
-          .limit(type === 'events' ? limitNum : 5)
-          .skip(type === 'events' ? skip : 0)
-          .lean();
-      }
-    }
-
-    // Search hashtags
-    if (type === 'all' || type === 'hashtags') {
-      const Hashtag = mongoose.models.Hashtag;
-      if (Hashtag) {
-        results.hashtags = await Hashtag.find({
-          name: searchRegex,
-          isBlocked: { $ne: true }
-        })
-          .select('name displayName usageCount')
-          .sort({ usageCount: -1 })
-          .limit(type === 'hashtags' ? limitNum : 5)
-          .skip(type === 'hashtags' ? skip : 0)
-          .lean();
-      }
-    }
-
-    // Search live streams
-    if (type === 'all' || type === 'streams' || type === 'live') {
-      const LiveStream = mongoose.models.LiveStream;
-      if (LiveStream) {
-        results.streams = await LiveStream.find({
-          $or: [
-            { title: searchRegex },
-            { description: searchRegex }
-          ],
-          status: 'live',
-          isActive: true
-        })
-          .populate('streamer', 'name username avatar profilePicture')
-          .select('title description thumbnail muxPlaybackId viewerCount startedAt')
-          .sort({ viewerCount: -1, startedAt: -1 })
-          .limit(type === 'streams' || type === 'live' ? limitNum : 5)
-          .lean();
-      }
-    }
-
-    // Calculate total results for pagination
-    const totalResults = type === 'all'
-      ? Object.values(results).reduce((sum, arr) => sum + arr.length, 0)
-      : results[type]?.length || 0;
+    const { q, type, sort, page, limit } = req.query;
+
+    const result = await searchService.search({
+      q,
+      types: QUERY_TYPES[type],
+      sort,
+      page,
+      limit,
+      filters: { ...pickFilters(req.query), hiddenAuthors: await getHiddenAuthors(req) }
+    });
 
     res.json({
       ok: true,
-      query: searchQuery,
+      query: q,
       type,
-      results,
+      searchId: logSearch(req, { source: 'search', type, sort, result }),
+      results: groupResults(result.hits),
+      hits: result.hits,
+      facets: result.facets,
+      didYouMean: result.didYouMean,
       pagination: {
-        page: parseInt(page),
-        limit: limitNum,
-        total: totalResults
+        page,
+        limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit),
+        approximate: !!result.approximate
       }
     });
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendError(res, error, 'Search');
   }
 });
 
 /**
  * Get search suggestions (autocomplete)
  * GET /api/search/suggestions
- * FIXED: Now searches both name and username with partial matching
+ * People and hashtags matching the word being typed (prefix or a
+ * small typo), plus completed queries
  */
-router.get('/suggestions', async (req, res) => {
+router.get('/suggestions', optionalAuth, validate({
+  query: {
+    q: v.string({ max: 50 }),
+    limit: v.int({ min: 1, max: 20, clamp: true, default: 5 })
+  }
+}), async (req, res) => {
   try {
-    const { q, limit = 5 } = req.query;
+    const { q, limit } = req.query;
 
-    if (!q || q.length < 1) {
+    if (!q) {
       return res.json({ ok: true, suggestions: [] });
     }
 
-    // FIXED: Use partial matching (no ^ anchor) for better results
-    const partialRegex = new RegExp(q, 'i');
-    const startWithRegex = new RegExp('^' + q, 'i');
-    const suggestions = [];
-
-    // Username and name suggestions - search both fields
-    const User = mongoose.models.User || require('../models/user.model');
-    const users = await User.find({
-      $or: [
-        { username: partialRegex },
-        { name: partialRegex }
-      ],
-      role: { $ne: 'banned' }
-    })
-      .select('username name avatar profilePicture')
-      .limit(parseInt(limit) * 2)  // Get more results to sort
-      .lean();
-    
-    // Sort: prioritize matches that start with query
-    const sortedUsers = users.sort((a, b) => {
-      const aStartsUsername = startWithRegex.test(a.username || '');
-      const bStartsUsername = startWithRegex.test(b.username || '');
-      const aStartsName = startWithRegex.test(a.name || '');
-      const bStartsName = startWithRegex.test(b.name || '');
-      
-      // Prioritize: starts with query > partial match
-      if (aStartsUsername && !bStartsUsername) return -1;
-      if (bStartsUsername && !aStartsUsername) return 1;
-      if (aStartsName && !bStartsName) return -1;
-      if (bStartsName && !aStartsName) return 1;
-      return 0;
-    }).slice(0, parseInt(limit));
-
-    sortedUsers.forEach(u => {
-      suggestions.push({
-        type: 'user',
-        text: `@${u.username}`,
-        name: u.name,
-        avatar: u.avatar || u.profilePicture,
-        userId: u._id
-      });
-    });
-
-    // Hashtag suggestions
-    const Hashtag = mongoose.models.Hashtag;
-    if (Hashtag) {
-      const hashtags = await Hashtag.find({
-        name: searchRegex,
-        isBlocked: { $ne: true }
-      })
-        .select('name usageCount')
-        .sort({ usageCount: -1 })
-        .limit(parseInt(limit))
-        .lean();
-
-      hashtags.forEach(h => {
-        suggestions.push({
-          type: 'hashtag',
-          text: `#${h.name}`,
-          count: h.usageCount
-        });
-      });
-    }
+    const suggestions = await searchService.suggest(q, { limit, hiddenAuthors: await getHiddenAuthors(req) });
 
     res.json({
       ok: true,
-      suggestions: suggestions.slice(0, parseInt(limit) * 2)
+      suggestions: suggestions.slice(0, limit * 3)
     });
   } catch (error) {
-    console.error('Suggestions error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendError(res, error, 'Suggestions');
   }
 });
 
@@ -314,32 +184,31 @@ router.get('/suggestions', async (req, res) => {
  * Get recent/popular searches
  * GET /api/search/popular
  */
-router.get('/popular', async (req, res) => {
+router.get('/popular', validate({
+  query: { limit: v.int({ min: 1, max: 50, clamp: true, default: 10 }) }
+}), async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
-
-    // Get trending hashtags
-    const Hashtag = mongoose.models.Hashtag;
-    let trending = [];
-    
-    if (Hashtag) {
-      trending = await Hashtag.find({
-        isBlocked: { $ne: true },
-        lastUsed: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-      })
-        .select('name usageCount')
-        .sort({ trendingScore: -1 })
-        .limit(parseInt(limit))
-        .lean();
-    }
+    const { limit } = req.query;
+
+    const trending = await contentParsingService.getTrending({ period: '24h', limit });
+
+    // Searches made by several different people this week
+    const queries = await searchAnalytics.getPopularQueries({ days: 7, limit });
 
     res.json({
       ok: true,
-      popular: trending.map(h => ({
-        type: 'hashtag',
-        text: `#${h.name}`,
-        count: h.usageCount
-      }))
+      popular: [
+        ...trending.map(h => ({
+          type: 'hashtag',
+          text: `#${h.name}`,
+          count: h.usageCount
+        })),
+        ...queries.map(entry => ({
+          type: 'query',
+          text: entry.query,
+          count: entry.searches
+        }))
+      ]
     });
   } catch (error) {
     console.error('Popular searches error:', error);
@@ -351,39 +220,21 @@ router.get('/popular', async (req, res) => {
  * Search users only
  * GET /api/search/users
  */
-router.get('/users', optionalAuth, async (req, res) => {
+router.get('/users', optionalAuth, validate({
+  query: { q: v.string({ required: true, max: 100 }), searchId: v.objectId(), ...pagination({ maxLimit: 50 }) }
+}), async (req, res) => {
   try {
     const User = mongoose.models.User || require('../models/user.model');
-    const { q, page = 1, limit = 20 } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ ok: false, error: 'Search query required' });
-    }
-
-    const searchRegex = new RegExp(q, 'i');
-
-    const [users, total] = await Promise.all([
-      User.find({
-        $or: [
-          { name: searchRegex },
-          { username: searchRegex },
-          { bio: searchRegex }
-        ],
-        role: { $ne: 'banned' }
-      })
-        .select('name username avatar bio followers following isVerified')
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .lean(),
-      User.countDocuments({
-        $or: [
-          { name: searchRegex },
-          { username: searchRegex },
-          { bio: searchRegex }
-        ],
-        role: { $ne: 'banned' }
-      })
-    ]);
+    const { q, page, limit } = req.query;
+
+    const result = await searchService.search({
+      q,
+      types: ['user'],
+      page,
+      limit,
+      filters: { hiddenAuthors: await getHiddenAuthors(req) }
+    });
+    const users = result.hits.map(hit => ({ ...hit.item, _search: { score: hit.score, highlight: hit.highlight } }));
 
     // Check if current user follows each result
     let currentUserFollowing = [];
@@ -394,24 +245,25 @@ router.get('/users', optionalAuth, async (req, res) => {
 
     const usersWithFollowStatus = users.map(u => ({
       ...u,
-      followersCount: u.followers?.length || 0,
-      followingCount: u.following?.length || 0,
+      followersCount: u.followersCount || 0,
+      followingCount: u.followingCount || 0,
       isFollowing: currentUserFollowing.includes(u._id.toString())
     }));
 
     res.json({
       ok: true,
+      searchId: logSearch(req, { source: 'users', type: 'users', result }),
       users: usersWithFollowStatus,
+      didYouMean: result.didYouMean,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        page,
+        limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
       }
     });
   } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendError(res, error, 'Search users');
   }
 });
 
@@ -419,62 +271,295 @@ router.get('/users', optionalAuth, async (req, res) => {
  * Search posts only
  * GET /api/search/posts
  */
-router.get('/posts', optionalAuth, async (req, res) => {
+router.get('/posts', optionalAuth, validate({
+  query: {
+    q: v.string({ required: true, max: 100 }),
+    sort: v.enum(['relevance', 'recent', 'popular', 'engagement'], { default: 'relevance' }),
+    ...filterQuery,
+    searchId: v.objectId(),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
-    const Post = mongoose.models.Post || require('../models/post.model');
-    const { q, page = 1, limit = 20, sort = 'recent' } = req.query;
+    const { q, page, limit, sort } = req.query;
+
+    const result = await searchService.search({
+      q,
+      types: ['post'],
+      // Popularity already weighs likes, comments and shares
+      sort: sort === 'engagement' ? 'popular' : sort,
+      page,
+      limit,
+      filters: { ...pickFilters(req.query), hiddenAuthors: await getHiddenAuthors(req) }
+    });
 
-    if (!q) {
-      return res.status(400).json({ ok: false, error: 'Search query required' });
-    }
+    res.json({
+      ok: true,
+      searchId: logSearch(req, { source: 'posts', type: 'posts', sort, result }),
+      posts: result.hits.map(hit => ({
+        ...hit.item,
+        likesCount: hit.item.likeCount || hit.item.likes?.length || 0,
+        _search: { score: hit.score, highlight: hit.highlight }
+      })),
+      facets: result.facets,
+      didYouMean: result.didYouMean,
+      pagination: {
+        page,
+        limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Search posts');
+  }
+});
+
+/**
+ * Record a click on a search result
+ * POST /api/search/click
+ * { searchId, type, id, position } - searchId from the search response,
+ * position is the result's 1-based rank on the page
+ */
+router.post('/click', validate({
+  body: {
+    searchId: v.objectId({ required: true }),
+    type: v.enum(Object.keys(SEARCH_SOURCES), { required: true }),
+    id: v.objectId({ required: true }),
+    position: v.int({ min: 1, max: 1000 })
+  }
+}), async (req, res) => {
+  try {
+    const { searchId, type, id, position } = req.body;
+    const recorded = await searchAnalytics.recordClick(searchId, { type, id, position });
+    res.json({ ok: true, recorded });
+  } catch (error) {
+    sendError(res, error, 'Search click');
+  }
+});
 
-    const searchRegex = new RegExp(q, 'i');
-    
-    const sortOptions = {
-      recent: { createdAt: -1 },
-      popular: { views: -1 },
-      engagement: { commentsCount: -1 }
-    };
-
-    const [posts, total] = await Promise.all([
-      Post.find({
-        $or: [
-          { content: searchRegex },
-          { tags: searchRegex }
-        ],
-        hidden: { $ne: true }
-      })
-        .populate('author', 'name username avatar')
-        .select('content media views likes commentsCount createdAt')
-        .sort(sortOptions[sort] || sortOptions.recent)
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit))
-        .lean(),
-      Post.countDocuments({
-        $or: [
-          { content: searchRegex },
-          { tags: searchRegex }
-        ],
-        hidden: { $ne: true }
-      })
-    ]);
+// ==========================================
+// SAVED SEARCHES
+// ==========================================
+
+const savedSearchBody = {
+  name: v.string({ max: 80 }),
+  alerts: v.object({
+    enabled: v.boolean(),
+    email: v.boolean()
+  })
+};
+
+/**
+ * List my saved searches
+ * GET /api/search/saved
+ */
+router.get('/saved', verifyToken, async (req, res) => {
+  try {
+    const savedSearches = await savedSearchService.list(req.user.id);
+    res.json({ ok: true, savedSearches });
+  } catch (error) {
+    sendError(res, error, 'Saved searches');
+  }
+});
+
+/**
+ * Save a search
+ * POST /api/search/saved
+ * { query, type?, filters? { author, group, church }, name?, alerts? { enabled, email } }
+ */
+router.post('/saved', verifyToken, validate({
+  body: {
+    query: v.string({ required: true, min: 2, max: 100 }),
+    type: v.enum(Object.keys(QUERY_TYPES), { default: 'all' }),
+    filters: v.object({
+      author: v.objectId(),
+      group: v.objectId(),
+      church: v.objectId()
+    }),
+    ...savedSearchBody
+  }
+}), async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.create(req.user.id, req.body);
+    res.status(201).json({ ok: true, savedSearch });
+  } catch (error) {
+    sendError(res, error, 'Save search');
+  }
+});
+
+/**
+ * Rename a saved search or change its alerts
+ * PATCH /api/search/saved/:id
+ */
+router.patch('/saved/:id', verifyToken, validate({
+  params: { id: v.objectId({ required: true }) },
+  body: savedSearchBody
+}), async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.update(req.user.id, req.params.id, req.body);
+    res.json({ ok: true, savedSearch });
+  } catch (error) {
+    sendError(res, error, 'Update saved search');
+  }
+});
+
+/**
+ * Delete a saved search
+ * DELETE /api/search/saved/:id
+ */
+router.delete('/saved/:id', verifyToken, validate({
+  params: { id: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await savedSearchService.remove(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Saved search deleted' });
+  } catch (error) {
+    sendError(res, error, 'Delete saved search');
+  }
+});
+
+/**
+ * Run a saved search
+ * GET /api/search/saved/:id/results
+ */
+router.get('/saved/:id/results', verifyToken, validate({
+  params: { id: v.objectId({ required: true }) },
+  query: {
+    sort: v.enum(['relevance', 'recent', 'popular'], { default: 'relevance' }),
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
+  try {
+    const { sort, page, limit } = req.query;
+    const { savedSearch, result } = await savedSearchService.run(req.user.id, req.params.id, { sort, page, limit });
+
+    const searchId = searchAnalytics.logSearch({
+      q: savedSearch.query,
+      type: savedSearch.type,
+      sort,
+      source: 'saved',
+      page,
+      resultCount: result.total,
+      didYouMean: result.didYouMean,
+      userId: req.user.id
+    });
 
     res.json({
       ok: true,
-      posts: posts.map(p => ({
-        ...p,
-        likesCount: p.likes?.length || 0
-      })),
+      savedSearch,
+      searchId,
+      results: groupResults(result.hits),
+      hits: result.hits,
+      facets: result.facets,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        page,
+        limit,
+        total: result.total,
+        pages: Math.ceil(result.total / limit),
+        approximate: !!result.approximate
       }
     });
   } catch (error) {
-    console.error('Search posts error:', error);
-    res.status(500).json({ ok: false, error: error.message });
+    sendError(res, error, 'Run saved search');
+  }
+});
+
+// ==========================================
+// ANALYTICS (admin)
+// ==========================================
+
+const reportQuery = {
+  days: v.int({ min: 1, max: 90, clamp: true, default: 7 }),
+  limit: v.int({ min: 1, max: 200, clamp: true, default: 50 })
+};
+
+/**
+ * Searches, distinct searchers, zero-result / click-through rates
+ * GET /api/search/analytics/overview?days=7
+ */
+router.get('/analytics/overview', verifyToken, requireAdmin, validate({
+  query: { days: reportQuery.days }
+}), async (req, res) => {
+  try {
+    const overview = await searchAnalytics.getOverview({ days: req.query.days });
+    res.json({ ok: true, overview });
+  } catch (error) {
+    sendError(res, error, 'Search analytics overview');
+  }
+});
+
+/**
+ * Most searched queries with click-through
+ * GET /api/search/analytics/queries
+ */
+router.get('/analytics/queries', verifyToken, requireAdmin, validate({ query: reportQuery }), async (req, res) => {
+  try {
+    const queries = await searchAnalytics.getTopQueries(req.query);
+    res.json({ ok: true, days: req.query.days, queries });
+  } catch (error) {
+    sendError(res, error, 'Search analytics queries');
+  }
+});
+
+/**
+ * Queries that returned nothing
+ * GET /api/search/analytics/zero-results
+ */
+router.get('/analytics/zero-results', verifyToken, requireAdmin, validate({ query: reportQuery }), async (req, res) => {
+  try {
+    const queries = await searchAnalytics.getZeroResultQueries(req.query);
+    res.json({ ok: true, days: req.query.days, queries });
+  } catch (error) {
+    sendError(res, error, 'Search analytics zero results');
+  }
+});
+
+/**
+ * Results opened most from search
+ * GET /api/search/analytics/clicks?type=post
+ */
+router.get('/analytics/clicks', verifyToken, requireAdmin, validate({
+  query: { ...reportQuery, type: v.enum(Object.keys(SEARCH_SOURCES)) }
+}), async (req, res) => {
+  try {
+    const results = await searchAnalytics.getTopClickedResults(req.query);
+    res.json({ ok: true, days: req.query.days, results });
+  } catch (error) {
+    sendError(res, error, 'Search analytics clicks');
+  }
+});
+
+/**
+ * Index status (admin)
+ * GET /api/search/index/status
+ */
+router.get('/index/status', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await searchService.getStatus()) });
+  } catch (error) {
+    sendError(res, error, 'Search index status');
+  }
+});
+
+/**
+ * Rebuild the index (admin) - resets the sweep checkpoints; the
+ * search indexer re-indexes everything over its next runs
+ * POST /api/search/index/rebuild
+ */
+router.post('/index/rebuild', verifyToken, requireAdmin, validate({
+  body: { types: v.array(v.enum(Object.keys(SEARCH_SOURCES))) }
+}), async (req, res) => {
+  try {
+    const types = req.body.types?.length ? req.body.types : Object.keys(SEARCH_SOURCES);
+    await searchService.resetCheckpoints(types);
+
+    const { processIndex } = require('../cron/search-indexer');
+    processIndex();
+
+    res.status(202).json({ ok: true, message: 'Search index rebuild started', types });
+  } catch (error) {
+    sendError(res, error, 'Search index rebuild');
   }
 });
 
@@ -8,12 +8,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const axios = require('axios');
 
-let auth, isAdmin;
-try { const m = require('../middleware/verifyToken'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { try { const m = require('../middleware/auth.middleware'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { try { const m = require('../middleware/auth'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { auth = (req, res, next) => { const t = req.headers.authorization?.replace('Bearer ', ''); if (!t) return res.status(401).json({ error: 'No token' }); try { const jwt = require('jsonwebtoken'); req.user = jwt.verify(t, process.env.JWT_SECRET || 'cybev_secret_key_2024'); req.user.id = req.user.userId || req.user.id; next(); } catch { return res.status(401).json({ error: 'Invalid token' }); } }; isAdmin = null; }}}
-if (!isAdmin) isAdmin = (req, res, next) => { if (req.user?.role === 'admin' || req.user?.isAdmin) return next(); res.status(403).json({ error: 'Admin only' }); };
+const { authenticate: auth, isAdmin } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 let SEOCampaign, Blog, User;
 try { SEOCampaign = require('../models/seoCampaign.model'); } catch { SEOCampaign = mongoose.model('SEOCampaign'); }
@@ -128,7 +125,13 @@ router.post('/social-channels', auth, async (req, res) => {
 });
 
 // ═══ CAMPAIGNS CRUD ═══
-router.get('/campaigns', auth, async (req, res) => {
+router.get('/campaigns', auth, validate({
+  query: {
+    type: v.string({ max: 50 }),
+    status: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { type, status, page = 1, limit = 20 } = req.query;
@@ -583,7 +586,11 @@ router.get('/health', auth, async (req, res) => {
   } catch (e) { res.status(500).json({ success: false, error: e.message }); }
 });
 
-router.get('/analytics', auth, async (req, res) => {
+router.get('/analytics', auth, validate({
+  query: {
+    days: v.int({ min: 1, max: 365, clamp: true, default: 30 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id; const uid = new mongoose.Types.ObjectId(userId); const { days = 30 } = req.query; const since = new Date(Date.now() - days * 86400000);
     const [daily, top, catPerf] = await Promise.all([
@@ -608,7 +615,11 @@ router.get('/admin/overview', auth, isAdmin, async (req, res) => {
   } catch (e) { res.status(500).json({ success: false, error: e.message }); }
 });
 
-router.get('/admin/campaigns', auth, isAdmin, async (req, res) => {
+router.get('/admin/campaigns', auth, isAdmin, validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const campaigns = await SEOCampaign.find({}).populate('user', 'name username displayName').sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(Number(limit)).lean();
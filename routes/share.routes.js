@@ -7,32 +7,10 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-// Load verifyToken middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try {
-    verifyToken = require('../middleware/auth.middleware');
-  } catch (e2) {
-    try {
-      verifyToken = require('../middleware/auth');
-    } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token provided' });
-        try {
-          const jwt = require('jsonwebtoken');
-          const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user = decoded;
-          next();
-        } catch (err) {
-          return res.status(401).json({ error: 'Invalid token' });
-        }
-      };
-    }
-  }
-}
+// Auth middleware
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Load models
 let SharedPost, Blog, User;
@@ -204,7 +182,11 @@ router.delete('/timeline/:id', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/share/timeline/:userId - Get user's shared posts
 // ==========================================
-router.get('/timeline/:userId', async (req, res) => {
+router.get('/timeline/:userId', validate({
+  query: {
+    ...pagination({ defaultLimit: 10 })
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     
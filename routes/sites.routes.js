@@ -11,23 +11,9 @@ const mongoose = require('mongoose');
 const { ObjectId } = mongoose.Types;
 
 // Import middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // USE NATIVE MONGODB - NO MONGOOSE MODEL
@@ -321,7 +307,11 @@ router.get('/stats', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/sites/domain/check
 // ==========================================
-router.get('/domain/check', async (req, res) => {
+router.get('/domain/check', validate({
+  query: {
+    subdomain: v.string({ max: 63 })
+  }
+}), async (req, res) => {
   try {
     const { subdomain } = req.query;
     if (!subdomain || subdomain.length < 3) {
@@ -10,19 +10,9 @@ const mongoose = require('mongoose');
 const crypto = require('crypto');
 
 // Simple auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ error: 'No token provided' });
-  
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Encryption for credentials
 const ENCRYPTION_KEY = process.env.SOCIAL_ENCRYPTION_KEY || 'cYb3v2026S3cur3K3y@Fb4ut0m4t10n!';
@@ -276,7 +266,11 @@ router.get('/stats', auth, async (req, res) => {
 // AUDIENCE ROUTES
 // ==========================================
 
-router.get('/audience', auth, async (req, res) => {
+router.get('/audience', auth, validate({
+  query: {
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 50 } = req.query;
 
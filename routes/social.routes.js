@@ -7,18 +7,12 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-};
+const { authenticate: auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // MODELS
@@ -394,7 +388,11 @@ router.get('/stats', auth, async (req, res) => {
 // ==========================================
 
 // GET /api/social/posts/scheduled - Get scheduled posts
-router.get('/posts/scheduled', auth, async (req, res) => {
+router.get('/posts/scheduled', auth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 })
+  }
+}), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     
@@ -603,7 +601,12 @@ router.get('/automations/stats', auth, async (req, res) => {
 // ==========================================
 
 // GET /api/social/activity - Get activity log
-router.get('/activity', auth, async (req, res) => {
+router.get('/activity', auth, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 20 }),
+    skip: v.int({ min: 0, default: 0 })
+  }
+}), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const skip = parseInt(req.query.skip) || 0;
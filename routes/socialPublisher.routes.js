@@ -11,26 +11,9 @@ const mongoose = require('mongoose');
 const axios = require('axios');
 
 // Auth middleware
-let authenticateToken;
-try {
-  const authMod = require('../middleware/verifyToken');
-  authenticateToken = authMod.authenticateToken || authMod.verifyToken || authMod;
-} catch {
-  try {
-    authenticateToken = require('../middleware/auth');
-    if (authenticateToken.authenticateToken) authenticateToken = authenticateToken.authenticateToken;
-  } catch {
-    authenticateToken = (req, res, next) => {
-      const jwt = require('jsonwebtoken');
-      const token = req.headers.authorization?.split(' ')[1];
-      if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-      try {
-        req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-        next();
-      } catch { return res.status(401).json({ ok: false, error: 'Invalid token' }); }
-    };
-  }
-}
+const { authenticateToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 const auth = authenticateToken;
 
 // ==========================================
@@ -519,7 +502,13 @@ router.get('/oauth/:platform/url', auth, async (req, res) => {
 });
 
 // GET /api/social-publisher/oauth/:platform/callback - Handle OAuth callback
-router.get('/oauth/:platform/callback', async (req, res) => {
+router.get('/oauth/:platform/callback', validate({
+  query: {
+    code: v.string({ max: 2048 }),
+    state: v.string({ max: 500 }),
+    error: v.string({ max: 500 })
+  }
+}), async (req, res) => {
   const { platform } = req.params;
   const { code, state: userId, error } = req.query;
   const frontendUrl = process.env.FRONTEND_URL || 'https://cybev.io';
@@ -640,7 +629,12 @@ router.get('/oauth/:platform/callback', async (req, res) => {
 // ==========================================
 
 // GET /api/social-publisher/queue - List scheduled posts
-router.get('/queue', auth, async (req, res) => {
+router.get('/queue', auth, validate({
+  query: {
+    status: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { status, page = 1, limit = 50 } = req.query;
     const query = { user: req.user.id };
@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // ==========================================
 // STAKING SCHEMA
@@ -447,7 +449,11 @@ router.post('/compound/:stakeId', verifyToken, async (req, res) => {
 // ==========================================
 
 // GET /api/staking/leaderboard - Get top stakers
-router.get('/leaderboard', async (req, res) => {
+router.get('/leaderboard', validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 10 })
+  }
+}), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
@@ -1,9 +1,288 @@
-// routes/story.routes.js
+// ============================================
+// FILE: routes/story.routes.js
+// Stories
+// VERSION: 2.0 - Story model, viewers, replies, close friends, highlights
+// Media is uploaded first with POST /api/upload/story; stories last
+// 24 hours unless pinned to a highlight (services/story.service.js).
+// ============================================
+
 const express = require('express');
 const router = express.Router();
-const { getStories } = require('../controllers/story.controller');
 
-// GET /api/stories
-router.get('/', getStories);
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
+const storyService = require('../services/story.service');
+
+console.log('📸 Story Routes v2.0 loaded - viewers, replies, close friends, highlights');
+
+const sendError = (res, error, label) => {
+  if (error.name === 'StoryError' || error.name === 'BlockError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+const idParam = { id: v.objectId({ required: true }) };
+
+// ==========================================
+// TRAY & READING
+// ==========================================
+
+/**
+ * Story tray - people I follow (and me) with active stories
+ * GET /api/stories
+ */
+router.get('/', optionalAuth, validate({
+  query: { limit: v.int({ min: 1, max: 100, clamp: true, default: 50 }) }
+}), async (req, res) => {
+  try {
+    const tray = await storyService.getTray(req.user?.id, { limit: req.query.limit });
+    res.json({ ok: true, tray });
+  } catch (error) {
+    sendError(res, error, 'Story tray');
+  }
+});
+
+/**
+ * Close friends list
+ * GET /api/stories/close-friends
+ */
+router.get('/close-friends', verifyToken, async (req, res) => {
+  try {
+    const closeFriends = await storyService.getCloseFriends(req.user.id);
+    res.json({ ok: true, closeFriends });
+  } catch (error) {
+    sendError(res, error, 'Close friends');
+  }
+});
+
+/**
+ * PUT /api/stories/close-friends/:userId - add
+ * DELETE /api/stories/close-friends/:userId - remove
+ */
+router.put('/close-friends/:userId', verifyToken, validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await storyService.addCloseFriend(req.user.id, req.params.userId);
+    res.json({ ok: true, message: 'Added to close friends' });
+  } catch (error) {
+    sendError(res, error, 'Add close friend');
+  }
+});
+
+router.delete('/close-friends/:userId', verifyToken, validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    await storyService.removeCloseFriend(req.user.id, req.params.userId);
+    res.json({ ok: true, message: 'Removed from close friends' });
+  } catch (error) {
+    sendError(res, error, 'Remove close friend');
+  }
+});
+
+/**
+ * A user's active stories
+ * GET /api/stories/user/:userId
+ */
+router.get('/user/:userId', optionalAuth, validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const stories = await storyService.getUserStories(req.user?.id, req.params.userId);
+    res.json({ ok: true, stories });
+  } catch (error) {
+    sendError(res, error, 'User stories');
+  }
+});
+
+// ==========================================
+// HIGHLIGHTS
+// ==========================================
+
+/**
+ * Highlights on a profile
+ * GET /api/stories/highlights/user/:userId
+ */
+router.get('/highlights/user/:userId', optionalAuth, validate({
+  params: { userId: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const highlights = await storyService.getHighlights(req.user?.id, req.params.userId);
+    res.json({ ok: true, highlights });
+  } catch (error) {
+    sendError(res, error, 'Highlights');
+  }
+});
+
+/**
+ * Create a highlight from my stories
+ * POST /api/stories/highlights { title, coverUrl?, storyIds }
+ */
+router.post('/highlights', verifyToken, validate({
+  body: {
+    title: v.string({ required: true, max: 30 }),
+    coverUrl: v.url(),
+    storyIds: v.array(v.objectId(), { required: true, min: 1, max: 100 })
+  }
+}), async (req, res) => {
+  try {
+    const highlight = await storyService.createHighlight(req.user.id, req.body);
+    res.status(201).json({ ok: true, highlight });
+  } catch (error) {
+    sendError(res, error, 'Create highlight');
+  }
+});
+
+/**
+ * Rename, re-cover, reorder, add / remove stories
+ * PATCH /api/stories/highlights/:id
+ */
+router.patch('/highlights/:id', verifyToken, validate({
+  params: idParam,
+  body: {
+    title: v.string({ max: 30 }),
+    coverUrl: v.url(),
+    order: v.int({ min: 0 }),
+    addStories: v.array(v.objectId(), { max: 100 }),
+    removeStories: v.array(v.objectId(), { max: 100 })
+  }
+}), async (req, res) => {
+  try {
+    const highlight = await storyService.updateHighlight(req.user.id, req.params.id, req.body);
+    res.json({ ok: true, highlight });
+  } catch (error) {
+    sendError(res, error, 'Update highlight');
+  }
+});
+
+router.delete('/highlights/:id', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await storyService.deleteHighlight(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Highlight deleted' });
+  } catch (error) {
+    sendError(res, error, 'Delete highlight');
+  }
+});
+
+// ==========================================
+// STORIES
+// ==========================================
+
+/**
+ * Post a story
+ * POST /api/stories
+ * Image / video: { mediaType, media: <POST /api/upload/story response>, text? }
+ * Text: { mediaType: 'text', text, style? { background, color, font } }
+ * audience: public | followers (default) | close_friends
+ */
+router.post('/', verifyToken, validate({
+  body: {
+    mediaType: v.enum(['image', 'video', 'text'], { required: true }),
+    media: v.object({
+      url: v.url({ required: true }),
+      publicId: v.string({ required: true, max: 200 }),
+      thumbnailUrl: v.url(),
+      duration: v.number({ min: 0 }),
+      width: v.int({ min: 0 }),
+      height: v.int({ min: 0 })
+    }),
+    text: v.string({ max: 500, trim: false }),
+    style: v.object({
+      background: v.string({ max: 100 }),
+      color: v.string({ max: 30 }),
+      font: v.string({ max: 30 })
+    }),
+    audience: v.enum(['public', 'followers', 'close_friends'], { default: 'followers' }),
+    allowReplies: v.boolean({ default: true })
+  }
+}), async (req, res) => {
+  try {
+    const story = await storyService.create(req.user.id, req.body);
+    res.status(201).json({ ok: true, story });
+  } catch (error) {
+    sendError(res, error, 'Create story');
+  }
+});
+
+/**
+ * Single story (active, or pinned to a highlight)
+ * GET /api/stories/:id
+ */
+router.get('/:id', optionalAuth, validate({ params: idParam }), async (req, res) => {
+  try {
+    const story = await storyService.getVisibleStory(req.user?.id, req.params.id, { allowExpired: true });
+    const [withState] = await storyService.withViewerState(req.user?.id, [story]);
+    res.json({ ok: true, story: withState });
+  } catch (error) {
+    sendError(res, error, 'Get story');
+  }
+});
+
+/**
+ * Mark as viewed, optionally with an emoji reaction
+ * POST /api/stories/:id/view { reaction? }
+ */
+router.post('/:id/view', verifyToken, validate({
+  params: idParam,
+  body: { reaction: v.string({ max: 16 }) }
+}), async (req, res) => {
+  try {
+    const result = await storyService.markViewed(req.user.id, req.params.id, { reaction: req.body.reaction });
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'View story');
+  }
+});
+
+/**
+ * Who viewed my story
+ * GET /api/stories/:id/viewers
+ */
+router.get('/:id/viewers', verifyToken, validate({
+  params: idParam,
+  query: pagination({ defaultLimit: 50, maxLimit: 100 })
+}), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { viewCount, viewers, total } = await storyService.getViewers(req.user.id, req.params.id, { page, limit });
+    res.json({
+      ok: true,
+      viewCount,
+      viewers,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Story viewers');
+  }
+});
+
+/**
+ * Reply - arrives in the author's direct messages
+ * POST /api/stories/:id/reply { text }
+ */
+router.post('/:id/reply', verifyToken, validate({
+  params: idParam,
+  body: { text: v.string({ required: true, max: 1000 }) }
+}), async (req, res) => {
+  try {
+    const { conversationId, message } = await storyService.reply(req.user.id, req.params.id, req.body.text);
+    res.status(201).json({ ok: true, conversationId, message });
+  } catch (error) {
+    sendError(res, error, 'Story reply');
+  }
+});
+
+router.delete('/:id', verifyToken, validate({ params: idParam }), async (req, res) => {
+  try {
+    await storyService.remove(req.user.id, req.params.id);
+    res.json({ ok: true, message: 'Story deleted' });
+  } catch (error) {
+    sendError(res, error, 'Delete story');
+  }
+});
 
 module.exports = router;
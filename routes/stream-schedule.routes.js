@@ -1,16 +1,20 @@
 // ============================================
 // FILE: routes/stream-schedule.routes.js
 // Stream Scheduling & Live Enhancements
-// VERSION: 1.0
+// VERSION: 1.1 - Live polls use the shared poll service
 // ============================================
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const { optionalAuth } = require('../middleware/auth');
+const pollService = require('../services/poll.service');
 
 // Models
 const User = require('../models/user.model');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // Scheduled Stream Schema
@@ -47,26 +51,6 @@ scheduledStreamSchema.index({ scheduledFor: 1, status: 1 });
 const ScheduledStream = mongoose.models.ScheduledStream || 
   mongoose.model('ScheduledStream', scheduledStreamSchema);
 
-// ==========================================
-// Live Poll Schema
-// ==========================================
-
-const livePollSchema = new mongoose.Schema({
-  stream: { type: mongoose.Schema.Types.ObjectId, ref: 'LiveStream', required: true },
-  host: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  question: { type: String, required: true, maxLength: 200 },
-  options: [{
-    text: { type: String, required: true, maxLength: 100 },
-    votes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    voteCount: { type: Number, default: 0 }
-  }],
-  isActive: { type: Boolean, default: true },
-  endsAt: Date,
-  showResults: { type: Boolean, default: false },
-  totalVotes: { type: Number, default: 0 }
-}, { timestamps: true });
-
-const LivePoll = mongoose.models.LivePoll || mongoose.model('LivePoll', livePollSchema);
 
 // ==========================================
 // Stream Donation Schema
@@ -158,7 +142,13 @@ router.post('/schedule', verifyToken, async (req, res) => {
 // GET SCHEDULED STREAMS
 // ==========================================
 
-router.get('/scheduled', async (req, res) => {
+router.get('/scheduled', validate({
+  query: {
+    userId: v.objectId(),
+    upcoming: v.string({ max: 5 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { userId, upcoming = 'true', limit = 20, page = 1 } = req.query;
 
@@ -201,7 +191,11 @@ router.get('/scheduled', async (req, res) => {
 // GET MY SCHEDULED STREAMS
 // ==========================================
 
-router.get('/my-schedule', verifyToken, async (req, res) => {
+router.get('/my-schedule', verifyToken, validate({
+  query: {
+    status: v.string({ max: 50 })
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id;
     const { status } = req.query;
@@ -324,196 +318,77 @@ router.post('/schedule/:id/remind', verifyToken, async (req, res) => {
 });
 
 // ==========================================
-// CREATE LIVE POLL
+// LIVE POLLS
+// Kept for existing clients; polls live in services/poll.service.js
+// (also reachable at /api/polls). Viewers get 'poll-created',
+// 'poll-update' and 'poll-ended' in the stream room.
 // ==========================================
 
+const sendPollError = (res, error, label) => {
+  if (error.name === 'PollError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${label.toLowerCase()}` });
+};
+
 router.post('/poll', verifyToken, async (req, res) => {
   try {
-    const { streamId, question, options, duration } = req.body;
-    const userId = req.user.id;
+    const { streamId, question, options, duration, multipleChoice, anonymous, resultsVisibility } = req.body;
 
-    if (!streamId || !question || !options || options.length < 2) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Stream ID, question, and at least 2 options required' 
+    if (!streamId || !question || !Array.isArray(options) || options.length < 2) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Stream ID, question, and at least 2 options required'
       });
     }
 
-    // Verify user is the stream host
-    const LiveStream = require('../models/livestream.model');
-    const stream = await LiveStream.findById(streamId);
-
-    if (!stream || stream.host.toString() !== userId) {
-      return res.status(403).json({ ok: false, error: 'Not authorized' });
-    }
-
-    // Close any existing active polls
-    await LivePoll.updateMany(
-      { stream: streamId, isActive: true },
-      { isActive: false, showResults: true }
-    );
-
-    const poll = await LivePoll.create({
-      stream: streamId,
-      host: userId,
+    const created = await pollService.create(req.user.id, {
+      attachTo: { type: 'stream', id: streamId },
       question,
-      options: options.map(text => ({ text, votes: [], voteCount: 0 })),
-      endsAt: duration ? new Date(Date.now() + duration * 1000) : null
+      options,
+      multipleChoice: !!multipleChoice,
+      // Live polls are anonymous unless the host says otherwise
+      anonymous: anonymous !== false,
+      resultsVisibility: resultsVisibility || 'always',
+      durationSeconds: duration ? parseInt(duration) : null
     });
 
-    // Emit poll to stream viewers via socket
-    if (global.io) {
-      global.io.to(`stream:${streamId}`).emit('poll-created', {
-        pollId: poll._id,
-        question: poll.question,
-        options: poll.options.map(o => ({ text: o.text, voteCount: 0 })),
-        endsAt: poll.endsAt
-      });
-    }
-
+    const poll = await pollService.getForUser(req.user.id, created._id);
     res.json({ ok: true, poll });
   } catch (error) {
-    console.error('Create poll error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to create poll' });
+    sendPollError(res, error, 'Create poll');
   }
 });
 
-// ==========================================
-// VOTE ON POLL
-// ==========================================
-
 router.post('/poll/:pollId/vote', verifyToken, async (req, res) => {
   try {
-    const { pollId } = req.params;
-    const { optionIndex } = req.body;
-    const userId = req.user.id;
+    const { optionIndex, optionIds } = req.body;
+    await pollService.vote(req.user.id, req.params.pollId, optionIds || [optionIndex]);
 
-    const poll = await LivePoll.findById(pollId);
-
-    if (!poll || !poll.isActive) {
-      return res.status(404).json({ ok: false, error: 'Poll not found or closed' });
-    }
-
-    if (poll.endsAt && new Date() > poll.endsAt) {
-      poll.isActive = false;
-      poll.showResults = true;
-      await poll.save();
-      return res.status(400).json({ ok: false, error: 'Poll has ended' });
-    }
-
-    // Check if user already voted
-    const hasVoted = poll.options.some(opt => opt.votes.includes(userId));
-    if (hasVoted) {
-      return res.status(400).json({ ok: false, error: 'Already voted' });
-    }
-
-    // Add vote
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      return res.status(400).json({ ok: false, error: 'Invalid option' });
-    }
-
-    poll.options[optionIndex].votes.push(userId);
-    poll.options[optionIndex].voteCount += 1;
-    poll.totalVotes += 1;
-    await poll.save();
-
-    // Emit updated results
-    if (global.io) {
-      global.io.to(`stream:${poll.stream}`).emit('poll-update', {
-        pollId: poll._id,
-        options: poll.options.map(o => ({ text: o.text, voteCount: o.voteCount })),
-        totalVotes: poll.totalVotes
-      });
-    }
-
-    res.json({
-      ok: true,
-      voted: true,
-      results: poll.options.map(o => ({
-        text: o.text,
-        voteCount: o.voteCount,
-        percentage: poll.totalVotes > 0 ? Math.round((o.voteCount / poll.totalVotes) * 100) : 0
-      }))
-    });
+    const poll = await pollService.getForUser(req.user.id, req.params.pollId);
+    res.json({ ok: true, voted: true, poll, results: poll.resultsVisible ? poll.options : null });
   } catch (error) {
-    console.error('Vote error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to vote' });
+    sendPollError(res, error, 'Vote');
   }
 });
 
-// ==========================================
-// END POLL
-// ==========================================
-
 router.post('/poll/:pollId/end', verifyToken, async (req, res) => {
   try {
-    const { pollId } = req.params;
-    const userId = req.user.id;
-
-    const poll = await LivePoll.findOne({ _id: pollId, host: userId });
-
-    if (!poll) {
-      return res.status(404).json({ ok: false, error: 'Poll not found' });
-    }
-
-    poll.isActive = false;
-    poll.showResults = true;
-    await poll.save();
-
-    // Emit final results
-    if (global.io) {
-      global.io.to(`stream:${poll.stream}`).emit('poll-ended', {
-        pollId: poll._id,
-        question: poll.question,
-        results: poll.options.map(o => ({
-          text: o.text,
-          voteCount: o.voteCount,
-          percentage: poll.totalVotes > 0 ? Math.round((o.voteCount / poll.totalVotes) * 100) : 0
-        })),
-        totalVotes: poll.totalVotes
-      });
-    }
-
+    await pollService.closeForUser(req.user.id, req.params.pollId);
+    const poll = await pollService.getForUser(req.user.id, req.params.pollId);
     res.json({ ok: true, poll });
   } catch (error) {
-    console.error('End poll error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to end poll' });
+    sendPollError(res, error, 'End poll');
   }
 });
 
-// ==========================================
-// GET ACTIVE POLL
-// ==========================================
-
-router.get('/poll/active/:streamId', async (req, res) => {
+router.get('/poll/active/:streamId', optionalAuth, async (req, res) => {
   try {
-    const { streamId } = req.params;
-
-    const poll = await LivePoll.findOne({
-      stream: streamId,
-      isActive: true
-    }).lean();
-
-    if (!poll) {
-      return res.json({ ok: true, poll: null });
-    }
-
-    res.json({
-      ok: true,
-      poll: {
-        id: poll._id,
-        question: poll.question,
-        options: poll.options.map(o => ({
-          text: o.text,
-          voteCount: poll.showResults ? o.voteCount : undefined
-        })),
-        totalVotes: poll.totalVotes,
-        endsAt: poll.endsAt
-      }
-    });
+    const [poll] = await pollService.listFor(req.user?.id, 'stream', req.params.streamId, { status: 'open', limit: 1 });
+    res.json({ ok: true, poll: poll || null });
   } catch (error) {
-    console.error('Get active poll error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to fetch poll' });
+    sendPollError(res, error, 'Fetch poll');
   }
 });
 
@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const verifyToken = require('../middleware/verifyToken');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Tip Schema
 const tipSchema = new mongoose.Schema({
@@ -126,7 +128,11 @@ router.put('/confirm/:id', verifyToken, async (req, res) => {
 });
 
 // GET /api/tips/received - Get tips received
-router.get('/received', verifyToken, async (req, res) => {
+router.get('/received', verifyToken, validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -5,12 +5,7 @@
 const express = require('express');
 const router = express.Router();
 
-let auth, isAdmin;
-try { const m = require('../middleware/verifyToken'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { try { const m = require('../middleware/auth.middleware'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { try { const m = require('../middleware/auth'); auth = m.authenticateToken || m; isAdmin = m.isAdmin; }
-catch { auth = (req, res, next) => { const t = req.headers.authorization?.replace('Bearer ', ''); if (!t) return res.status(401).json({ error: 'No token' }); try { const jwt = require('jsonwebtoken'); req.user = jwt.verify(t, process.env.JWT_SECRET || 'cybev_secret_key_2024'); req.user.id = req.user.userId || req.user.id; next(); } catch { return res.status(401).json({ error: 'Invalid token' }); } }; isAdmin = null; }}}
-if (!isAdmin) isAdmin = (req, res, next) => { if (req.user?.role === 'admin' || req.user?.isAdmin) return next(); res.status(403).json({ error: 'Admin only' }); };
+const { authenticate: auth, isAdmin } = require('../middleware/auth');
 
 let trafficService;
 try { trafficService = require('../services/trafficSimulation.service'); } catch (e) { console.log('⚠️ Traffic service not loaded:', e.message); }
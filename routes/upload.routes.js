@@ -1,7 +1,10 @@
 // ============================================
 // FILE: routes/upload.routes.js
 // PURPOSE: File upload endpoints
-// VERSION: 1.4.0 - FIXED: Video thumbnails now work
+// VERSION: 1.7.0 - Chat voice notes and media (POST /api/upload/voice-note,
+//   POST /api/upload/message-media) - processed by services/chat-media.service.js
+// 1.6.0 - Story media upload (POST /api/upload/story)
+// 1.4.0 - FIXED: Video thumbnails now work
 // FIXES:
 //   - Returns thumbnailUrl (not thumbnail) for frontend compatibility
 //   - Synchronous thumbnail generation (removed eager_async)
@@ -12,7 +15,6 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
-const jwt = require('jsonwebtoken');
 
 // ==========================================
 // CLOUDINARY CONFIGURATION
@@ -30,38 +32,10 @@ if (process.env.CLOUDINARY_URL) {
   console.log('⚠️ Cloudinary NOT configured - check env vars');
 }
 
-// Import auth middleware with robust fallback
-let verifyToken;
-try {
-  const authModule = require('../middleware/auth');
-  verifyToken = authModule.verifyToken || authModule.default || authModule;
-} catch (e1) {
-  try {
-    const authModule = require('../middleware/auth.middleware');
-    verifyToken = authModule.verifyToken || authModule.default || authModule;
-  } catch (e2) {
-    try {
-      verifyToken = require('../middleware/verifyToken');
-    } catch (e3) {}
-  }
-}
-
-if (typeof verifyToken !== 'function') {
-  console.log('📤 Upload routes: Using inline auth middleware');
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1] || req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ ok: false, error: 'No token provided' });
-    }
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-      req.user = decoded;
-      next();
-    } catch (err) {
-      return res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+// Auth middleware
+const { verifyToken } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v } = require('../utils/validation');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -527,6 +501,153 @@ router.post('/video', verifyToken, videoUpload.single('file'), async (req, res)
   }
 });
 
+// ==========================================
+// UPLOAD STORY MEDIA - POST /api/upload/story
+// Image or short video for POST /api/stories; the returned publicId
+// is what the story is created with
+// ==========================================
+const STORY_MAX_VIDEO_SECONDS = parseInt(process.env.STORY_MAX_VIDEO_SECONDS) || 60;
+
+const storyUpload = multer({
+  storage,
+  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Stories must be an image or a video'), false);
+    }
+  }
+});
+
+router.post('/story', verifyToken, storyUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ ok: false, error: 'No file uploaded' });
+    }
+
+    const userId = req.user?.id || req.user?._id || req.user?.userId;
+    const isVideo = req.file.mimetype.startsWith('video/');
+
+    const result = await uploadToCloudinary(req.file.buffer, {
+      folder: 'cybev/stories',
+      resource_type: isVideo ? 'video' : 'image',
+      public_id: `story-${userId}-${Date.now()}`,
+      // Portrait 9:16, no larger than needed on a phone
+      transformation: [{ width: 1080, height: 1920, crop: 'limit' }]
+    });
+
+    if (isVideo && result.duration > STORY_MAX_VIDEO_SECONDS) {
+      await cloudinary.uploader.destroy(result.public_id, { resource_type: 'video' }).catch(() => {});
+      return res.status(400).json({ ok: false, error: `Story videos can be up to ${STORY_MAX_VIDEO_SECONDS} seconds` });
+    }
+
+    console.log(`✅ Story media uploaded: ${result.public_id}`);
+
+    res.json({
+      ok: true,
+      mediaType: isVideo ? 'video' : 'image',
+      url: result.secure_url,
+      publicId: result.public_id,
+      thumbnailUrl: isVideo ? generateThumbnailUrl(result.secure_url, result.public_id) : result.secure_url,
+      duration: result.duration || null,
+      width: result.width,
+      height: result.height
+    });
+  } catch (err) {
+    console.error('❌ Story upload error:', err.message);
+    res.status(500).json({ ok: false, error: err.message || 'Story upload failed' });
+  }
+});
+
+// ==========================================
+// CHAT MEDIA - voice notes, photos and videos for messages
+// Written to disk for ffmpeg; the response is an attachment to send
+// with POST /api/messages/:conversationId. Limits: config/chat-media.js
+// ==========================================
+const fs = require('fs');
+const os = require('os');
+const { rateLimit } = require('../middleware/rate-limit');
+const chatMedia = require('../services/chat-media.service');
+
+const chatMediaUpload = (field, maxBytes, accept, typeError) => {
+  const diskUpload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (accept(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error(typeError), false);
+      }
+    }
+  });
+
+  // The temp file is removed once the response is sent
+  return (req, res, next) => {
+    diskUpload.single(field)(req, res, (error) => {
+      if (req.file) {
+        res.on('close', () => fs.promises.unlink(req.file.path).catch(() => {}));
+      }
+      if (error) {
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+          ok: false,
+          error: tooLarge ? `Files can be up to ${Math.round(maxBytes / (1024 * 1024))}MB` : error.message
+        });
+      }
+      if (!req.file) {
+        return res.status(400).json({ ok: false, error: 'No file uploaded' });
+      }
+      next();
+    });
+  };
+};
+
+const sendChatMediaError = (res, error, label) => {
+  if (error.name === 'ChatMediaError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`❌ ${label} error:`, error.message);
+  res.status(500).json({ ok: false, error: `${label} failed` });
+};
+
+// POST /api/upload/voice-note - `file` is the recording (any audio
+// format, or a video's sound); ?transcribe=true&language=en adds a transcript
+// and a `transcriptToken` to send back with the message
+router.post('/voice-note', verifyToken, rateLimit('chat-media-upload'),
+  chatMediaUpload('file', chatMedia.config.voiceNote.maxBytes,
+    (type) => type.startsWith('audio/') || type.startsWith('video/'), 'Voice notes must be an audio file'),
+  validate({ query: { transcribe: v.string({ max: 5 }), language: v.string({ max: 10 }) } }),
+  async (req, res) => {
+    try {
+      const userId = req.user?.id || req.user?._id || req.user?.userId;
+      const transcribe = ['true', '1', 'yes'].includes(String(req.query.transcribe || req.body?.transcribe).toLowerCase());
+      const language = /^[a-z]{2}$/.test(req.query.language || '') ? req.query.language : null;
+
+      const attachment = await chatMedia.processVoiceNote(userId, req.file, { transcribe, language });
+      console.log(`✅ Voice note uploaded: ${attachment.publicId} (${attachment.duration}s)`);
+      res.json({ ok: true, attachment });
+    } catch (err) {
+      sendChatMediaError(res, err, 'Voice note upload');
+    }
+  });
+
+// POST /api/upload/message-media - `file` is a photo or video
+router.post('/message-media', verifyToken, rateLimit('chat-media-upload'),
+  chatMediaUpload('file', chatMedia.config.media.maxBytes,
+    (type) => type.startsWith('image/') || type.startsWith('video/'), 'Only photos and videos can be sent this way'),
+  async (req, res) => {
+    try {
+      const userId = req.user?.id || req.user?._id || req.user?.userId;
+      const attachment = await chatMedia.processMedia(userId, req.file);
+      console.log(`✅ Message media uploaded: ${attachment.publicId}`);
+      res.json({ ok: true, attachment });
+    } catch (err) {
+      sendChatMediaError(res, err, 'Media upload');
+    }
+  });
+
 // ==========================================
 // DELETE FILE - DELETE /api/upload/:publicId
 // ==========================================
@@ -550,6 +671,6 @@ router.delete('/:publicId', verifyToken, async (req, res) => {
   }
 });
 
-console.log('📤 Upload routes v1.5.0 loaded - Fast video upload with chunking');
+console.log('📤 Upload routes v1.7.0 loaded - Fast video upload with chunking, story media, chat voice notes');
 
 module.exports = router;
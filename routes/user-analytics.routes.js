@@ -12,19 +12,9 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
 
 // Auth middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { authenticate: auth } = require('../middleware/auth');
 
 // Helper to get user ID from token
 const getUserId = (req) => {
@@ -14,7 +14,6 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
 
 // Get User model
 const getUser = () => mongoose.models.User || require('../models/user.model');
@@ -51,16 +50,18 @@ const countWithFields = async (Model, userId, fields) => {
 };
 
 // Auth middleware
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { verifyToken, requireAuthType } = require('../middleware/auth');
+
+// Account security, data export and deletion - signed-in sessions only
+const sessionOnly = [verifyToken, requireAuthType('session')];
+const loginSecurityService = require('../services/login-security.service');
+const sessionService = require('../services/session.service');
+const privacyService = require('../services/privacy.service');
+const twoFactorService = require('../services/two-factor.service');
+const blockService = require('../services/block.service');
+const { getRequestIp } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination, literalRegex } = require('../utils/validation');
 
 // Configure multer for avatar/cover upload
 const storage = multer.memoryStorage();
@@ -226,6 +227,50 @@ router.get('/me/stats', verifyToken, async (req, res) => {
   }
 });
 
+// GET /api/users/me/security - Sign-in history, lockout state, trusted IPs
+router.get('/me/security', sessionOnly, validate({
+  query: {
+    ...pagination()
+  }
+}), async (req, res) => {
+  try {
+    const User = getUser();
+    const userId = req.user.id || req.user.userId || req.user._id;
+
+    const user = await User.findById(userId)
+      .select('email twoFactorEnabled suspiciousLoginAttempts lastFailedLoginAt lockUntil passwordResetRequired trustedIPs lastLogin')
+      .lean();
+    if (!user) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+
+    const [history, sessions] = await Promise.all([
+      loginSecurityService.getHistory(userId, { page: req.query.page, limit: req.query.limit }),
+      sessionService.listSessions(userId, req.user.sessionId)
+    ]);
+    const lock = loginSecurityService.getAccountLock(user);
+
+    res.json({
+      ok: true,
+      security: {
+        twoFactorEnabled: user.twoFactorEnabled || false,
+        lastLogin: user.lastLogin || null,
+        failedAttempts: user.suspiciousLoginAttempts || 0,
+        lastFailedLoginAt: user.lastFailedLoginAt || null,
+        lockedUntil: lock ? lock.lockedUntil : null,
+        passwordResetRequired: user.passwordResetRequired || false,
+        trustedIPs: user.trustedIPs || [],
+        activeSessions: sessions.length
+      },
+      loginHistory: history.events,
+      pagination: history.pagination
+    });
+  } catch (err) {
+    console.error('Error fetching account security:', err);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
 // GET /api/users/profile - Get current user's profile (alias for /me)
 router.get('/profile', verifyToken, async (req, res) => {
   try {
@@ -292,7 +337,11 @@ router.get('/stats/:userId', async (req, res) => {
 // ==========================================
 
 // GET /api/users/suggested - Get suggested users to follow
-router.get('/suggested', verifyToken, async (req, res) => {
+router.get('/suggested', verifyToken, validate({
+  query: {
+    limit: v.int({ min: 1, max: 100, clamp: true, default: 5 })
+  }
+}), async (req, res) => {
   try {
     const User = getUser();
     const limit = parseInt(req.query.limit) || 5;
@@ -305,9 +354,12 @@ router.get('/suggested', verifyToken, async (req, res) => {
       followingIds = currentUser?.following?.map(id => id.toString()) || [];
     }
 
+    // Nor anyone blocked either way or muted
+    const filter = await blockService.getFilter(currentUserId);
+
     // Find users that are not the current user and not already followed
     const query = {
-      _id: { $nin: [...followingIds, currentUserId].filter(Boolean) },
+      _id: { $nin: [...followingIds, ...filter.hiddenAuthors(), currentUserId].filter(Boolean) },
       status: { $ne: 'deleted' }
     };
 
@@ -346,7 +398,7 @@ router.get('/username/:username', async (req, res) => {
     console.log(`Looking up user: ${username}`);
 
     const user = await User.findOne({ 
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
+      username: literalRegex(username, { exact: true })
     }).select('-password -__v');
 
     if (!user) {
@@ -390,6 +442,7 @@ router.get('/preferences', verifyToken, async (req, res) => {
         theme: 'system',
         emailNotifications: true,
         pushNotifications: true,
+        whatsappNotifications: false,
         language: 'en',
         notifications: {
           likes: true,
@@ -409,10 +462,27 @@ router.get('/preferences', verifyToken, async (req, res) => {
 });
 
 // PUT /api/users/preferences
-router.put('/preferences', verifyToken, async (req, res) => {
+router.put('/preferences', verifyToken, validate({
+  body: {
+    theme: v.enum(['light', 'dark', 'system']),
+    language: v.string({ max: 10 }),
+    emailNotifications: v.boolean(),
+    pushNotifications: v.boolean(),
+    whatsappNotifications: v.boolean(),
+    notifications: v.object({
+      likes: v.boolean(),
+      comments: v.boolean(),
+      follows: v.boolean(),
+      mentions: v.boolean(),
+      messages: v.boolean(),
+      tips: v.boolean(),
+      marketing: v.boolean()
+    })
+  }
+}), async (req, res) => {
   try {
     const User = getUser();
-    const { theme, notifications, language, emailNotifications, pushNotifications } = req.body;
+    const { theme, notifications, language, emailNotifications, pushNotifications, whatsappNotifications } = req.body;
     const userId = req.user.id || req.user.userId;
 
     const updateData = {};
@@ -429,6 +499,9 @@ router.put('/preferences', verifyToken, async (req, res) => {
     if (typeof pushNotifications === 'boolean') {
       updateData['preferences.pushNotifications'] = pushNotifications;
     }
+    if (typeof whatsappNotifications === 'boolean') {
+      updateData['preferences.whatsappNotifications'] = whatsappNotifications;
+    }
     if (notifications && typeof notifications === 'object') {
       const validKeys = ['likes', 'comments', 'follows', 'mentions', 'messages', 'tips', 'marketing'];
       for (const key of validKeys) {
@@ -464,9 +537,40 @@ router.put('/preferences', verifyToken, async (req, res) => {
 // PROFILE UPDATE ENDPOINTS
 // ==========================================
 
+const USERNAME_PATTERN = /^[a-z0-9_]+$/;
+
+// Fields shared by PUT /profile and PUT /me
+const profileBody = {
+  name: v.string({ max: 100 }),
+  username: v.string({
+    min: 3,
+    max: 30,
+    lowercase: true,
+    pattern: USERNAME_PATTERN,
+    patternMessage: 'may only contain letters, numbers and underscores'
+  }),
+  bio: v.string({ max: 1000 }),
+  location: v.string({ max: 200 }),
+  website: v.string({ max: 2048 }),
+  avatar: v.string({ max: 2048 }),
+  coverImage: v.string({ max: 2048 }),
+  socialLinks: v.object({})
+};
+
 // PUT /api/users/update-profile - Update profile during onboarding
 // NOTE: No email verification required - used during onboarding flow
-router.put('/update-profile', verifyToken, async (req, res) => {
+router.put('/update-profile', verifyToken, validate({
+  body: {
+    // Cleaned by the handler, which suggests an alternative when taken
+    username: v.string({ max: 50 }),
+    name: v.string({ max: 100 }),
+    bio: v.string({ max: 1000 }),
+    interests: v.array(v.string({ max: 50 }), { max: 50 }),
+    profilePicture: v.string({ max: 2048 }),
+    avatar: v.string({ max: 2048 }),
+    hasCompletedOnboarding: v.boolean()
+  }
+}), async (req, res) => {
   try {
     const User = getUser();
     const userId = req.user.id || req.user.userId;
@@ -554,7 +658,13 @@ router.put('/update-profile', verifyToken, async (req, res) => {
 });
 
 // PUT /api/users/profile - Update profile (Enhanced for full profile)
-router.put('/profile', verifyToken, async (req, res) => {
+router.put('/profile', verifyToken, validate({
+  body: {
+    ...profileBody,
+    personalInfo: v.object({}),
+    locationData: v.object({})
+  }
+}), async (req, res) => {
   try {
     const User = getUser();
     const { 
@@ -664,7 +774,7 @@ router.put('/profile', verifyToken, async (req, res) => {
 });
 
 // PUT /api/users/me - Update current user (alias)
-router.put('/me', verifyToken, async (req, res) => {
+router.put('/me', verifyToken, validate({ body: profileBody }), async (req, res) => {
   try {
     const User = getUser();
     const userId = req.user.id || req.user.userId;
@@ -680,7 +790,7 @@ router.put('/me', verifyToken, async (req, res) => {
     // Check username uniqueness
     if (updateData.username) {
       const existing = await User.findOne({
-        username: { $regex: new RegExp(`^${updateData.username}$`, 'i') },
+        username: literalRegex(updateData.username, { exact: true }),
         _id: { $ne: userId }
       });
       if (existing) {
@@ -814,7 +924,12 @@ router.post('/cover', verifyToken, upload.single('cover'), async (req, res) => {
 // ==========================================
 
 // PUT /api/users/change-password
-router.put('/change-password', verifyToken, async (req, res) => {
+router.put('/change-password', verifyToken, validate({
+  body: {
+    currentPassword: v.string({ required: true, trim: false, max: 128 }),
+    newPassword: v.string({ required: true, trim: false, min: 6, max: 128 })
+  }
+}), async (req, res) => {
   try {
     const User = getUser();
     const { currentPassword, newPassword } = req.body;
@@ -853,12 +968,20 @@ router.put('/change-password', verifyToken, async (req, res) => {
     }
 
     user.password = newPassword;
+    user.passwordResetRequired = false;
     await user.save();
 
+    // Everywhere else signs in again with the new password
+    const revoked = await sessionService.revokeAllSessions(user._id, {
+      exceptSessionId: req.user.sessionId || null,
+      reason: 'password_changed'
+    });
+
     res.json({
       ok: true,
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revoked
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -867,7 +990,9 @@ router.put('/change-password', verifyToken, async (req, res) => {
 });
 
 // POST /api/users/set-password (for OAuth users)
-router.post('/set-password', verifyToken, async (req, res) => {
+router.post('/set-password', verifyToken, validate({
+  body: { password: v.string({ required: true, trim: false, min: 6, max: 128 }) }
+}), async (req, res) => {
   try {
     const User = getUser();
     const { password } = req.body;
@@ -921,7 +1046,7 @@ router.get('/profile/:username', async (req, res) => {
     const { username } = req.params;
     
     const user = await User.findOne({ 
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
+      username: literalRegex(username, { exact: true })
     }).select('name username bio avatar coverImage followerCount followingCount socialLinks createdAt isVerified');
 
     if (!user) {
@@ -952,53 +1077,164 @@ router.get('/profile/:username', async (req, res) => {
   }
 });
 
+// ==========================================
+// DATA EXPORT ("download my data")
+// ==========================================
+
+const sendPrivacyError = (res, error, fallback) => {
+  if (error.name === 'PrivacyError') {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ ok: false, error: fallback });
+};
+
+// POST /api/users/me/data-export - Queue an export of everything the user owns
+router.post('/me/data-export', sessionOnly, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const request = await privacyService.requestExport(userId);
+
+    res.status(202).json({
+      ok: true,
+      request: { _id: request._id, type: request.type, status: request.status, createdAt: request.createdAt },
+      message: 'Your export is being prepared. We\'ll email you when it\'s ready to download.'
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to request data export');
+  }
+});
+
+// GET /api/users/me/data-export - Export and deletion requests
+router.get('/me/data-export', sessionOnly, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const requests = await privacyService.listRequests(userId);
+    res.json({ ok: true, requests });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to fetch data requests');
+  }
+});
+
+// GET /api/users/me/data-export/:id/download - Download a finished export
+router.get('/me/data-export/:id/download', sessionOnly, validate({
+  params: { id: v.objectId({ required: true }) }
+}), async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { filePath, filename } = await privacyService.getDownload(userId, req.params.id);
+    res.download(filePath, filename);
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to download data export');
+  }
+});
+
 // ==========================================
 // ACCOUNT DELETION
+// Scheduled with a grace period (DELETION_GRACE_DAYS, default 30);
+// services/privacy.service.js does the cascade when it ends
 // ==========================================
 
-router.delete('/account', verifyToken, async (req, res) => {
+/**
+ * Re-check the user's credentials before scheduling a deletion:
+ * password when one is set, plus a 2FA / backup code when enabled
+ */
+const verifyDeletionRequest = async (user, { password, code, backupCode, confirmation }) => {
+  if (confirmation !== 'DELETE') {
+    return { status: 400, error: 'Please type DELETE to confirm account deletion' };
+  }
+  if (user.password && !(await user.comparePassword(password || ''))) {
+    return { status: 401, error: 'Incorrect password' };
+  }
+  if (user.twoFactorEnabled && !(await twoFactorService.verifyUserCode(user, { code, backupCode })).valid) {
+    return { status: 401, error: 'A valid two-factor code is required' };
+  }
+  return null;
+};
+
+const deletionBody = validate({
+  body: {
+    confirmation: v.string({ max: 20 }),
+    password: v.string({ trim: false, max: 128 }),
+    code: v.string({ max: 10 }),
+    backupCode: v.string({ max: 20 }),
+    reason: v.string({ max: 500 })
+  }
+});
+
+const scheduleAccountDeletion = async (req, res) => {
   try {
     const User = getUser();
-    const { password, confirmation } = req.body;
     const userId = req.user.id || req.user.userId;
 
-    if (confirmation !== 'DELETE') {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Please type DELETE to confirm account deletion' 
-      });
-    }
-
-    const user = await User.findById(userId);
-    
+    const user = await User.findById(userId).select('+password');
     if (!user) {
       return res.status(404).json({ ok: false, error: 'User not found' });
     }
 
-    if (user.password && password) {
-      const isMatch = await user.comparePassword(password);
-      if (!isMatch) {
-        return res.status(401).json({ ok: false, error: 'Incorrect password' });
-      }
+    const body = req.body || {};
+    const problem = await verifyDeletionRequest(user, body);
+    if (problem) {
+      return res.status(problem.status).json({ ok: false, error: problem.error });
     }
+    // A used backup code has to be persisted
+    if (user.isModified('backupCodes')) await user.save();
 
-    // Soft delete
-    user.status = 'deleted';
-    user.email = `deleted_${user._id}_${user.email}`;
-    user.username = `deleted_${user._id}`;
-    await user.save();
+    const request = await privacyService.scheduleDeletion(user, {
+      reason: body.reason || '',
+      ip: getRequestIp(req)
+    });
 
     res.json({
       ok: true,
       success: true,
-      message: 'Account scheduled for deletion.'
+      scheduledFor: request.scheduledFor,
+      message: `Account scheduled for deletion on ${request.scheduledFor.toDateString()}. You can cancel until then.`
     });
   } catch (error) {
-    console.error('Account deletion error:', error);
-    res.status(500).json({ ok: false, error: 'Failed to delete account' });
+    sendPrivacyError(res, error, 'Failed to delete account');
+  }
+};
+
+// GET /api/users/me/deletion - Pending deletion, if any
+router.get('/me/deletion', sessionOnly, async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const request = await privacyService.getPendingDeletion(userId);
+    res.json({
+      ok: true,
+      scheduled: !!request,
+      scheduledFor: request ? request.scheduledFor : null,
+      requestedAt: request ? request.createdAt : null
+    });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to fetch deletion status');
   }
 });
 
+// POST /api/users/me/deletion - Schedule deletion
+router.post('/me/deletion', sessionOnly, deletionBody, scheduleAccountDeletion);
+
+// DELETE /api/users/me/deletion - Cancel a scheduled deletion
+router.delete('/me/deletion', sessionOnly, async (req, res) => {
+  try {
+    const User = getUser();
+    const userId = req.user.id || req.user.userId;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ ok: false, error: 'User not found' });
+    }
+
+    await privacyService.cancelDeletion(user);
+    res.json({ ok: true, success: true, message: 'Account deletion cancelled' });
+  } catch (error) {
+    sendPrivacyError(res, error, 'Failed to cancel account deletion');
+  }
+});
+
+// DELETE /api/users/account - Kept for existing clients; same as POST /me/deletion
+router.delete('/account', sessionOnly, deletionBody, scheduleAccountDeletion);
+
 // ==========================================
 // CATCH-ALL: GET USER BY USERNAME (MUST BE LAST!)
 // ==========================================
@@ -1026,7 +1262,7 @@ router.get('/:username', async (req, res) => {
     
     // Username lookup
     const user = await User.findOne({ 
-      username: { $regex: new RegExp(`^${username}$`, 'i') }
+      username: literalRegex(username, { exact: true })
     }).select('name username bio avatar coverImage isVerified socialLinks createdAt');
 
     if (!user) {
@@ -8,15 +8,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 
-let verifyToken;
-try { verifyToken = require('../middleware/verifyToken'); } catch {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ error: 'No token' });
-    try { req.user = require('jsonwebtoken').verify(token, process.env.JWT_SECRET || 'cybev-secret-key'); next(); }
-    catch { return res.status(401).json({ error: 'Invalid token' }); }
-  };
-}
+const { verifyToken } = require('../middleware/auth');
 
 console.log('📝 User Auto-Blog routes v1.0 loaded');
 
@@ -12,6 +12,8 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // Build an ObjectId that roughly matches a given date
 const objectIdFromDate = (date) => {
@@ -80,36 +82,7 @@ try {
 try { User = require('../models/user.model'); } catch (e) { User = mongoose.model('User'); }
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    try { verifyToken = require('../middleware/auth'); } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
-
-// Optional auth
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-    } catch {}
-  }
-  next();
-};
+const { verifyToken, optionalAuth } = require('../middleware/auth');
 
 // Background gradients for vlogs
 const GRADIENTS = [
@@ -126,7 +99,12 @@ const GRADIENTS = [
 // ==========================================
 // GET /api/vlogs - Get all vlogs (stories)
 // ==========================================
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', optionalAuth, validate({
+  query: {
+    userId: v.objectId(),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 20, userId } = req.query;
     
@@ -8,26 +8,9 @@ const router = express.Router();
 const mongoose = require('mongoose');
 
 // Auth middleware
-let verifyToken;
-try { verifyToken = require('../middleware/verifyToken'); } catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    try {
-      const m = require('../middleware/auth');
-      verifyToken = m.authenticateToken || m;
-    } catch (e3) {
-      verifyToken = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try {
-          const jwt = require('jsonwebtoken');
-          req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-          req.user.id = req.user.userId || req.user.id;
-          next();
-        } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
+const { verifyToken, requireAdmin, requireScope } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 let Wallet, User;
 try { Wallet = require('../models/wallet.model'); } catch (e) { Wallet = mongoose.model('Wallet'); }
@@ -269,7 +252,7 @@ router.post('/buy-credits', verifyToken, async (req, res) => {
 //  CASH OUT CREDITS → USD
 // ═══════════════════════════════════════════
 
-router.post('/cashout', verifyToken, async (req, res) => {
+router.post('/cashout', verifyToken, requireScope('wallet:write'), async (req, res) => {
   try {
     const { creditsAmount } = req.body;
     if (!creditsAmount || creditsAmount < 500) return res.status(400).json({ error: 'Minimum cashout is 500 credits ($4.00)' });
@@ -313,7 +296,7 @@ router.post('/cashout', verifyToken, async (req, res) => {
 //  WITHDRAW USD (to bank / mobile money)
 // ═══════════════════════════════════════════
 
-router.post('/withdraw', verifyToken, async (req, res) => {
+router.post('/withdraw', verifyToken, requireScope('wallet:write'), async (req, res) => {
   try {
     const { amount, bankDetails } = req.body;
     const minWithdraw = Wallet.MIN_WITHDRAW || 5;
@@ -467,7 +450,13 @@ router.get('/plans', async (req, res) => {
 //  TRANSACTIONS
 // ═══════════════════════════════════════════
 
-router.get('/transactions', verifyToken, async (req, res) => {
+router.get('/transactions', verifyToken, validate({
+  query: {
+    currency: v.string({ max: 10 }),
+    type: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 30 })
+  }
+}), async (req, res) => {
   try {
     const { page = 1, limit = 30, currency, type } = req.query;
     const userId = req.user.id || req.user.userId;
@@ -512,7 +501,7 @@ router.post('/credit', verifyToken, async (req, res) => {
 });
 
 // Tip creator
-router.post('/tip', verifyToken, async (req, res) => {
+router.post('/tip', verifyToken, requireScope('wallet:write'), async (req, res) => {
   try {
     const { recipientId, amount } = req.body;
     if (!recipientId || !amount || amount < 1) return res.status(400).json({ error: 'Invalid tip' });
@@ -536,7 +525,7 @@ router.post('/tip', verifyToken, async (req, res) => {
 });
 
 // Transfer credits
-router.post('/transfer', verifyToken, async (req, res) => {
+router.post('/transfer', verifyToken, requireScope('wallet:write'), async (req, res) => {
   try {
     const { recipientId, amount } = req.body;
     if (!recipientId || !amount || amount < 1) return res.status(400).json({ error: 'Invalid transfer' });
@@ -687,14 +676,6 @@ router.post('/webhook/flutterwave', async (req, res) => {
 //  ADMIN: Manual Fund/Credit Management
 // ═══════════════════════════════════════════
 
-const requireAdmin = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.id || req.user._id);
-    if (!user || (user.role !== 'admin' && !user.isAdmin)) return res.status(403).json({ error: 'Admin access required' });
-    next();
-  } catch { return res.status(500).json({ error: 'Auth check failed' }); }
-};
-
 // POST /admin/adjust — Add or deduct USD/credits from any user
 router.post('/admin/adjust', verifyToken, requireAdmin, async (req, res) => {
   try {
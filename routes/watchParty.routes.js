@@ -10,41 +10,14 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-let auth;
-try { auth = require('../middleware/verifyToken'); } catch (e) {
-  try { auth = require('../middleware/auth.middleware'); } catch (e2) {
-    try { const m = require('../middleware/auth'); auth = m.authenticateToken || m; } catch (e3) {
-      auth = (req, res, next) => {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        if (!token) return res.status(401).json({ error: 'No token' });
-        try { const jwt = require('jsonwebtoken'); req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024'); req.user.id = req.user.userId || req.user.id; next(); } catch { return res.status(401).json({ error: 'Invalid token' }); }
-      };
-    }
-  }
-}
 
-// Optional auth — sets req.user if token present, otherwise req.user = null (guest)
-const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) { req.user = null; return next(); }
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024' || 'cybev-secret-key');
-    req.user = decoded;
-    req.user.id = decoded.userId || decoded.id;
-    // Try to load full user if verifyToken does DB lookup
-    const User = require('../models/user.model');
-    User.findById(req.user.id).select('-password').then(u => {
-      if (u) { req.user.id = u._id; req.user.isAdmin = u.isAdmin; }
-      next();
-    }).catch(() => next());
-  } catch {
-    req.user = null;
-    next();
-  }
-};
+// Auth middleware (optionalAuth leaves guests anonymous)
+const { authenticate: auth, optionalAuth } = require('../middleware/auth');
+
 const WatchParty = require('../models/watchParty.model');
 const User = require('../models/user.model');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 let Blog, Notification;
 try { Blog = require('../models/blog.model'); } catch (e) {}
 try { Notification = require('../models/notification.model'); } catch (e) {}
@@ -52,7 +25,13 @@ const FRONTEND_URL = process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http
 console.log('🎬 Watch Party routes v2.0 loaded — publish, invite, boost, share');
 
 // GET / — List
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  query: {
+    status: v.string({ max: 50 }),
+    privacy: v.string({ max: 50 }),
+    ...pagination()
+  }
+}), async (req, res) => {
   try {
     const { status = 'live', privacy, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
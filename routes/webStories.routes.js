@@ -9,6 +9,8 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 
 // ==========================================
 // GET /api/web-stories/:blogId - Serve AMP Web Story for a blog post
@@ -167,7 +169,11 @@ router.get('/:blogId', async (req, res) => {
 // ==========================================
 // GET /api/web-stories - List available stories
 // ==========================================
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  query: {
+    ...pagination({ maxLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const Blog = mongoose.model('Blog');
     const page = parseInt(req.query.page) || 1;
@@ -31,22 +31,8 @@ try {
 }
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/verifyToken');
-} catch (e) {
-  try { verifyToken = require('../middleware/auth.middleware'); } catch (e2) {
-    verifyToken = (req, res, next) => {
-      const token = req.headers.authorization?.replace('Bearer ', '');
-      if (!token) return res.status(401).json({ error: 'No token' });
-      try {
-        const jwt = require('jsonwebtoken');
-        req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-        next();
-      } catch { return res.status(401).json({ error: 'Invalid token' }); }
-    };
-  }
-}
+const { verifyToken } = require('../middleware/auth');
+const { socketAuth } = require('../socket/auth.socket');
 
 // Get LiveStream model - MUST use the same model as live.routes.js
 let LiveStream;
@@ -419,6 +405,7 @@ function initializeWebSocket(io) {
   console.log(`${'='.repeat(50)}`);
   
   const webrtcNamespace = io.of('/webrtc');
+  webrtcNamespace.use(socketAuth());
   
   webrtcNamespace.on('connection', (socket) => {
     console.log(`\n🔌 WebRTC client connected: ${socket.id}`);
@@ -447,21 +434,18 @@ function initializeWebSocket(io) {
       console.log(`\n🔐 AUTH REQUEST from ${socket.id}`);
       
       try {
-        const { token, streamId, rtmpUrl } = data;
+        const { streamId, rtmpUrl } = data;
         
-        // Only token and streamId are required - rtmpUrl will be fetched from DB
-        if (!token || !streamId) {
-          console.log('❌ Missing auth data:', { hasToken: !!token, hasStreamId: !!streamId });
-          socket.emit('error', { message: 'Missing token or streamId' });
+        // The user was authenticated during the handshake - only streamId is required
+        if (!streamId) {
+          console.log('❌ Missing streamId');
+          socket.emit('error', { message: 'Missing streamId' });
           return;
         }
         
         console.log(`   Stream ID: ${streamId}`);
         
-        // Verify token
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret_key_2024');
-        userId = decoded.id;
+        userId = socket.user.id;
         
         console.log(`   User ID: ${userId}`);
         
@@ -7,6 +7,8 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const validate = require('../middleware/validate');
+const { v, pagination } = require('../utils/validation');
 const { ObjectId } = mongoose.Types;
 
 // WhatsApp Template Model
@@ -87,28 +89,16 @@ const WhatsAppSettingsSchema = new mongoose.Schema({
 const WhatsAppSettings = mongoose.models.WhatsAppSettings || mongoose.model('WhatsAppSettings', WhatsAppSettingsSchema);
 
 // Auth middleware
-let verifyToken;
-try {
-  verifyToken = require('../middleware/auth.middleware');
-  if (verifyToken.verifyToken) verifyToken = verifyToken.verifyToken;
-} catch (e) {
-  verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ ok: false, error: 'No token' });
-    try {
-      const jwt = require('jsonwebtoken');
-      req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev_secret');
-      next();
-    } catch (err) {
-      res.status(401).json({ ok: false, error: 'Invalid token' });
-    }
-  };
-}
+const { verifyToken } = require('../middleware/auth');
 
 // ==========================================
 // GET /api/church/whatsapp/status - Connection status
 // ==========================================
-router.get('/status', verifyToken, async (req, res) => {
+router.get('/status', verifyToken, validate({
+  query: {
+    orgId: v.objectId()
+  }
+}), async (req, res) => {
   try {
     const userId = req.user.id || req.user._id;
     const { orgId } = req.query;
@@ -171,7 +161,13 @@ router.post('/templates', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/whatsapp/templates - List templates
 // ==========================================
-router.get('/templates', verifyToken, async (req, res) => {
+router.get('/templates', verifyToken, validate({
+  query: {
+    orgId: v.objectId(),
+    category: v.string({ max: 50 }),
+    active: v.string({ max: 5 })
+  }
+}), async (req, res) => {
   try {
     const { orgId, category, active } = req.query;
 
@@ -240,7 +236,13 @@ router.delete('/templates/:id', verifyToken, async (req, res) => {
 // ==========================================
 // GET /api/church/whatsapp/logs - Message logs
 // ==========================================
-router.get('/logs', verifyToken, async (req, res) => {
+router.get('/logs', verifyToken, validate({
+  query: {
+    orgId: v.objectId(),
+    status: v.string({ max: 50 }),
+    ...pagination({ defaultLimit: 50 })
+  }
+}), async (req, res) => {
   try {
     const { orgId, status, page = 1, limit = 50 } = req.query;
 
@@ -428,7 +430,13 @@ router.post('/webhook/:orgId', async (req, res) => {
 });
 
 // Webhook verification (GET)
-router.get('/webhook/:orgId', (req, res) => {
+router.get('/webhook/:orgId', validate({
+  query: {
+    'hub.mode': v.string({ max: 50 }),
+    'hub.verify_token': v.string({ max: 200 }),
+    'hub.challenge': v.string({ max: 200 })
+  }
+}), (req, res) => {
   const mode = req.query['hub.mode'];
   const token = req.query['hub.verify_token'];
   const challenge = req.query['hub.challenge'];
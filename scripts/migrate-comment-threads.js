@@ -0,0 +1,60 @@
+// ============================================
+// FILE: scripts/migrate-comment-threads.js
+// ============================================
+// Run this ONCE to fill the threading / ranking fields on existing
+// comments so sort=top|controversial and reply counts work for them
+// Usage: node scripts/migrate-comment-threads.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('../models/comment.model');
+
+async function migrateCommentThreads() {
+  try {
+    console.log('🚀 Starting comment thread migration...');
+    console.log('📦 Connecting to MongoDB...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Counts and score from the likes array (there were no dislikes)
+    const counts = await Comment.updateMany(
+      { likeCount: { $exists: false } },
+      [{
+        $set: {
+          likeCount: { $size: { $ifNull: ['$likes', []] } },
+          dislikeCount: 0,
+          score: { $size: { $ifNull: ['$likes', []] } },
+          controversy: 0,
+          replyCount: { $size: { $ifNull: ['$replies', []] } },
+          status: { $ifNull: ['$status', 'visible'] },
+          isPinned: { $ifNull: ['$isPinned', false] }
+        }
+      }]
+    );
+    console.log(`✅ Set counts on ${counts.modifiedCount} comments`);
+
+    // Old replies were one level deep
+    const replies = await Comment.updateMany(
+      { parentComment: { $ne: null }, depth: { $exists: false } },
+      [{ $set: { depth: 1, rootComment: '$parentComment' } }]
+    );
+    const topLevel = await Comment.updateMany(
+      { parentComment: null, depth: { $exists: false } },
+      { $set: { depth: 0 } }
+    );
+    console.log(`✅ Set depth on ${replies.modifiedCount} replies and ${topLevel.modifiedCount} top-level comments`);
+
+    console.log('🎉 Migration completed successfully!');
+
+    await mongoose.disconnect();
+    console.log('👋 Disconnected from MongoDB');
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateCommentThreads();
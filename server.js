@@ -21,12 +21,14 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIO = require('socket.io');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
 
+// req.ip = the client as seen by our own proxies (config/rate-limits.js)
+app.set('trust proxy', require('./config/rate-limits').TRUST_PROXY_HOPS);
+
 // ==========================================
 // SOCKET.IO SETUP (Includes wildcard subdomains)
 // ==========================================
@@ -117,6 +119,8 @@ app.use((req, res, next) => {
 
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// No MongoDB operators in bodies / query strings (middleware/validate.js)
+app.use(require('./middleware/validate').rejectOperators);
 
 // Request logging
 app.use((req, res, next) => {
@@ -124,6 +128,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// ==========================================
+// RATE LIMITING (baseline - routes add stricter policies)
+// ==========================================
+
+const { rateLimit } = require('./middleware/rate-limit');
+app.use('/api', rateLimit('api'));
+
 // ==========================================
 // DATABASE CONNECTION
 // ==========================================
@@ -168,6 +179,46 @@ if (!MONGODB_URI) {
         console.log('⚠️ Social Publisher processor not started:', err.message);
       }
 
+      // Start privacy processor (data exports, scheduled account deletions)
+      try {
+        const privacyProcessor = require('./cron/privacy-processor');
+        privacyProcessor.start();
+      } catch (err) {
+        console.log('⚠️ Privacy processor not started:', err.message);
+      }
+
+      // Start search indexer (incremental sweep; first run builds the index)
+      try {
+        const searchIndexer = require('./cron/search-indexer');
+        searchIndexer.start();
+      } catch (err) {
+        console.log('⚠️ Search indexer not started:', err.message);
+      }
+
+      // Start saved search alerts
+      try {
+        const savedSearchAlerts = require('./cron/saved-search-alerts');
+        savedSearchAlerts.start();
+      } catch (err) {
+        console.log('⚠️ Saved search alerts not started:', err.message);
+      }
+
+      // Start scheduled chat messages
+      try {
+        const scheduledMessages = require('./cron/scheduled-messages');
+        scheduledMessages.start();
+      } catch (err) {
+        console.log('⚠️ Scheduled messages not started:', err.message);
+      }
+
+      // Start notification outbox (delivery retries / dead-lettering)
+      try {
+        const notificationOutbox = require('./cron/notification-outbox');
+        notificationOutbox.start();
+      } catch (err) {
+        console.log('⚠️ Notification outbox not started:', err.message);
+      }
+
       // Register SEO Campaign model
       try {
         require('./models/seoCampaign.model');
@@ -241,19 +292,10 @@ if (!MONGODB_URI) {
 }
 
 // ==========================================
-// AUTH MIDDLEWARE (Inline)
+// AUTH MIDDLEWARE (shared - middleware/auth.js)
 // ==========================================
 
-const authMiddleware = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ ok: false, error: 'No token provided' });
-  try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET || 'cybev-secret-key');
-    next();
-  } catch (err) {
-    return res.status(401).json({ ok: false, error: 'Invalid token' });
-  }
-};
+const { authenticate: authMiddleware } = require('./middleware/auth');
 
 // ==========================================
 // HELPER: Get model safely
@@ -959,12 +1001,24 @@ app.get('/api/studio/stats', authMiddleware, async (req, res) => {
 });
 
 // GET /api/posts/feed - Feed posts (combines posts + blogs)
+// ?scope=following reads the precomputed timeline (pass back nextCursor as ?cursor=)
 app.get('/api/posts/feed', authMiddleware, async (req, res) => {
   try {
     const Post = getModel('Post');
     const Blog = getModel('Blog');
     const userId = req.user.userId || req.user.id || req.user._id;
-    const { limit = 20, page = 1 } = req.query;
+    const { limit = 20, page = 1, scope, cursor } = req.query;
+
+    if (scope === 'following') {
+      const timelineService = require('./services/timeline.service');
+      const { items, hasMore, nextCursor } = await timelineService.read(userId, {
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+        cursor: typeof cursor === 'string' && cursor ? cursor : null,
+        includeOwn: true
+      });
+      const posts = items.map(item => ({ ...item, type: item.contentType }));
+      return res.json({ ok: true, posts, feed: posts, count: posts.length, hasMore, nextCursor });
+    }
     
     let posts = [];
     
@@ -994,6 +1048,9 @@ app.get('/api/posts/feed', authMiddleware, async (req, res) => {
     
     res.json({ ok: true, posts, feed: posts, count: posts.length });
   } catch (err) {
+    if (err.name === 'TimelineError') {
+      return res.status(err.status).json({ ok: false, error: err.message, posts: [], feed: [] });
+    }
     console.error('❌ /api/posts/feed error:', err.message);
     res.status(500).json({ ok: false, error: err.message, posts: [], feed: [] });
   }
@@ -1331,14 +1388,19 @@ app.get('/api/posts/user/:userId', async (req, res) => {
 const routes = [
   // Core
   ['auth', '/api/auth', './routes/auth.routes'],
+  ['api-keys', '/api/api-keys', './routes/api-keys.routes'],
+  ['oauth2', '/api/oauth2', './routes/oauth-provider.routes'],
   ['users', '/api/users', './routes/user.routes'],
   ['user-analytics', '/api/user-analytics', './routes/user-analytics.routes'],
   ['posts', '/api/posts', './routes/posts.routes'],
   ['comments', '/api/comments', './routes/comment.routes'],
   ['messages', '/api/messages', './routes/message.routes'],
+  ['e2ee', '/api/e2ee', './routes/e2ee.routes'],
   ['notifications', '/api/notifications', './routes/notification.routes'],
   ['follows', '/api/follows', './routes/follow.routes'],
   ['follow', '/api/follow', './routes/follow.routes'],
+  ['blocks', '/api/blocks', './routes/block.routes'],
+  ['mutes', '/api/mutes', './routes/mute.routes'],
   ['search', '/api/search', './routes/search.routes'],
   ['hashtags', '/api/hashtags', './routes/hashtag.routes'],
   ['bookmarks', '/api/bookmarks', './routes/bookmark.routes'],
@@ -1453,6 +1515,9 @@ const routes = [
   // Web Stories for Google Discover
   ['web-stories', '/api/web-stories', './routes/webStories.routes'],
   
+  // API documentation (OpenAPI spec + explorer)
+  ['docs', '/api/docs', './routes/docs.routes'],
+
   // Debug routes (TEMPORARY - remove after fixing)
   ['debug', '/api/debug', './routes/debug.routes']
   
@@ -1460,22 +1525,26 @@ const routes = [
 ];
 
 // Load all routes with error handling
+// openApiService records each outcome for the load report and /api/docs
+const openApiService = require('./services/openapi.service');
+openApiService.attach(app);
+
 console.log('\n=== Loading Routes ===');
 let loadedCount = 0;
 let failedCount = 0;
 
 routes.forEach(([name, path, file]) => {
-  try {
-    app.use(path, require(file));
+  const { status, error } = openApiService.mountRouter(app, { name, path, file });
+  if (status === 'loaded') {
     console.log(`✅ ${name}`);
     loadedCount++;
-  } catch (err) {
-    console.log(`⚠️ ${name}: ${err.message}`);
+  } else {
+    console.log(`⚠️ ${name}: ${error}`);
     failedCount++;
   }
 });
 
-console.log(`=== Routes: ${loadedCount} loaded, ${failedCount} skipped ===\n`);
+openApiService.printLoadReport();
 
 // ==========================================
 // INITIALIZE WEBRTC WEBSOCKET NAMESPACE
@@ -1589,7 +1658,11 @@ app.get('/api/health', async (req, res) => {
       configured: sesStatus.enabled,
       region: sesStatus.region || 'not_set'
     },
-    routes: { loaded: loadedCount, skipped: failedCount }
+    routes: {
+      loaded: loadedCount,
+      skipped: failedCount,
+      unavailable: openApiService.mounts.filter(r => r.status !== 'loaded').map(r => r.name)
+    }
   });
 });
 
@@ -1613,39 +1686,69 @@ app.get('/', (req, res) => {
 // SOCKET.IO FOR REAL-TIME FEATURES
 // ==========================================
 
+const { socketAuth, authorizeRoom } = require('./socket/auth.socket');
+
+// Every connection must present a valid token (see socket/auth.socket.js)
+io.use(socketAuth());
+
+// Join a room only after the membership check passes
+const joinRoom = async (socket, type, id, onJoined) => {
+  const room = `${type}:${id}`;
+  if (!(await authorizeRoom(socket, type, id, room))) return;
+  socket.join(room);
+  socket.emit('joined', { room, type, id });
+  if (onJoined) onJoined(room);
+};
+
+// Relay only from sockets that are actually in the room
+const inRoom = (socket, room) => socket.rooms.has(room);
+
 io.on('connection', (socket) => {
-  socket.on('join', (userId) => socket.join(`user:${userId}`));
-  socket.on('join-conversation', (id) => socket.join(`conversation:${id}`));
+  // Personal room is joined automatically; 'join' is kept for older clients
+  socket.join(`user:${socket.user.id}`);
+  socket.on('join', (userId) => joinRoom(socket, 'user', userId || socket.user.id));
+
+  socket.on('join-conversation', (id) => joinRoom(socket, 'conversation', id));
   socket.on('leave-conversation', (id) => socket.leave(`conversation:${id}`));
   
-  socket.on('join-meeting', (roomId) => {
-    socket.join(`meeting:${roomId}`);
-    socket.to(`meeting:${roomId}`).emit('participant-joined', { socketId: socket.id });
-  });
+  socket.on('join-meeting', (roomId) => joinRoom(socket, 'meeting', roomId, (room) => {
+    socket.to(room).emit('participant-joined', { socketId: socket.id, userId: socket.user.id });
+  }));
   socket.on('leave-meeting', (roomId) => {
     socket.leave(`meeting:${roomId}`);
-    socket.to(`meeting:${roomId}`).emit('participant-left', { socketId: socket.id });
+    socket.to(`meeting:${roomId}`).emit('participant-left', { socketId: socket.id, userId: socket.user.id });
   });
-  socket.on('meeting-signal', ({ roomId, signal }) => {
+  socket.on('meeting-signal', ({ roomId, signal } = {}) => {
+    if (!inRoom(socket, `meeting:${roomId}`)) return;
     socket.to(`meeting:${roomId}`).emit('meeting-signal', { socketId: socket.id, signal });
   });
-  socket.on('meeting-chat', ({ roomId, message }) => {
-    io.to(`meeting:${roomId}`).emit('meeting-chat', { socketId: socket.id, message, timestamp: new Date() });
+  socket.on('meeting-chat', ({ roomId, message } = {}) => {
+    if (!inRoom(socket, `meeting:${roomId}`)) return;
+    io.to(`meeting:${roomId}`).emit('meeting-chat', { socketId: socket.id, userId: socket.user.id, message, timestamp: new Date() });
   });
   
-  socket.on('join-stream', (id) => socket.join(`stream:${id}`));
+  socket.on('join-stream', (id) => joinRoom(socket, 'stream', id));
   socket.on('leave-stream', (id) => socket.leave(`stream:${id}`));
-  socket.on('stream-chat', ({ streamId, message }) => {
+  socket.on('stream-chat', ({ streamId, message } = {}) => {
+    if (!inRoom(socket, `stream:${streamId}`)) return;
     io.to(`stream:${streamId}`).emit('chat-message', message);
   });
   
-  socket.on('join-campaign', (campaignId) => socket.join(`campaign:${campaignId}`));
+  socket.on('join-campaign', (campaignId) => joinRoom(socket, 'campaign', campaignId));
   socket.on('leave-campaign', (campaignId) => socket.leave(`campaign:${campaignId}`));
   
-  socket.on('join-automation', (automationId) => socket.join(`automation:${automationId}`));
+  socket.on('join-automation', (automationId) => joinRoom(socket, 'automation', automationId));
   socket.on('leave-automation', (automationId) => socket.leave(`automation:${automationId}`));
 });
 
+// Direct message presence, receipts and sync (socket/messaging.socket.js)
+try {
+  const { initMessagingSocket } = require('./socket/messaging.socket');
+  initMessagingSocket(io);
+} catch (err) {
+  console.log('⚠️ Messaging socket skipped:', err.message);
+}
+
 // ==========================================
 // ERROR HANDLING
 // ==========================================
@@ -398,6 +398,56 @@ Return as JSON:
     }
   }
 
+  /**
+   * Transcribe speech with OpenAI Whisper
+   * @param {Buffer} audio     file contents (m4a, mp3, wav, webm, ogg...)
+   * @param {Object} options   filename, mimeType, model, language (ISO-639-1 hint)
+   * @returns {Promise<{ text: string, language: string|null, duration: number|null }>}
+   */
+  async transcribeAudio(audio, { filename = 'audio.m4a', mimeType = 'audio/mp4', model = 'whisper-1', language = null } = {}) {
+    if (!this.openaiKey) {
+      throw new Error('OpenAI API key not configured');
+    }
+
+    const boundary = `----FormBoundary${Date.now()}`;
+    const field = (name, value) => Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+    );
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
+      audio,
+      Buffer.from('\r\n'),
+      field('model', model),
+      field('response_format', 'verbose_json'),
+      ...(language ? [field('language', language)] : []),
+      Buffer.from(`--${boundary}--\r\n`)
+    ]);
+
+    try {
+      const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', body, {
+        headers: {
+          'Authorization': `Bearer ${this.openaiKey}`,
+          'Content-Type': `multipart/form-data; boundary=${boundary}`
+        },
+        maxBodyLength: Infinity,
+        timeout: 120000
+      });
+
+      this.stats.openaiUsed++;
+      return {
+        text: (response.data.text || '').trim(),
+        language: response.data.language || null,
+        duration: response.data.duration || null
+      };
+    } catch (error) {
+      if (error.response) {
+        console.error('Whisper API error:', error.response.status, error.response.data);
+        throw new Error(`Whisper API error: ${error.response.status}`);
+      }
+      throw new Error(`Whisper error: ${error.message}`);
+    }
+  }
+
   /**
    * Build website generation prompt
    */
@@ -0,0 +1,150 @@
+// ============================================
+// FILE: services/api-key.service.js
+// Personal API Key Service
+// VERSION: 1.0
+// Named, scoped, expirable keys - hashed at rest
+// ============================================
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isValidScope, scopesForRole, hasScope } = require('../config/permissions');
+
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'cybev_sk_';
+    this.maxKeysPerUser = 25;
+    this.maxExpiryDays = 365;
+    // Avoid a write on every request - last-used is only refreshed once a minute
+    this.touchInterval = 60 * 1000;
+  }
+
+  getModel() {
+    return mongoose.models.ApiKey || require('../models/api-key.model');
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(this.keyPrefix);
+  }
+
+  keyError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'ApiKeyError';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Validate requested scopes against the catalog and the owner's role
+   */
+  validateScopes(scopes, user) {
+    if (!Array.isArray(scopes) || !scopes.length) {
+      throw this.keyError('Select at least one scope');
+    }
+
+    const unique = [...new Set(scopes)];
+    const unknown = unique.filter(scope => !isValidScope(scope));
+    if (unknown.length) throw this.keyError(`Unknown scopes: ${unknown.join(', ')}`);
+
+    const roleScopes = scopesForRole(user.isAdmin ? 'admin' : user.role);
+    const forbidden = unique.filter(scope => !hasScope(roleScopes, scope));
+    if (forbidden.length) throw this.keyError(`Your account cannot grant: ${forbidden.join(', ')}`, 403);
+
+    return unique;
+  }
+
+  // ==========================================
+  // MANAGE
+  // ==========================================
+
+  /**
+   * Create a key. The plaintext key is only returned here.
+   */
+  async createKey(user, { name, scopes, expiresInDays } = {}) {
+    const ApiKey = this.getModel();
+
+    if (!name || !String(name).trim()) throw this.keyError('Key name is required');
+
+    const validScopes = this.validateScopes(scopes, user);
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > this.maxExpiryDays) {
+        throw this.keyError(`expiresInDays must be between 1 and ${this.maxExpiryDays}`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiKey.countDocuments({ user: user._id, revokedAt: null });
+    if (activeCount >= this.maxKeysPerUser) {
+      throw this.keyError(`You can have at most ${this.maxKeysPerUser} active API keys`);
+    }
+
+    const key = `${this.keyPrefix}${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      user: user._id,
+      name: String(name).trim(),
+      keyHash: this.hashKey(key),
+      prefix: key.slice(0, this.keyPrefix.length + 6),
+      scopes: validScopes,
+      expiresAt
+    });
+
+    return { key, apiKey };
+  }
+
+  async listKeys(userId) {
+    return this.getModel()
+      .find({ user: userId })
+      .select('-keyHash')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async revokeKey(userId, keyId) {
+    const result = await this.getModel().updateOne(
+      { _id: keyId, user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeAllKeys(userId) {
+    const result = await this.getModel().updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  // ==========================================
+  // AUTHENTICATE
+  // ==========================================
+
+  /**
+   * Look up an active key. Throws ApiKeyError (401) when the key is unknown,
+   * revoked or expired.
+   */
+  async authenticate(key, { ip } = {}) {
+    const apiKey = await this.getModel().findOne({ keyHash: this.hashKey(key) });
+
+    if (!apiKey || apiKey.revokedAt) throw this.keyError('Invalid API key', 401);
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) throw this.keyError('API key expired', 401);
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > this.touchInterval) {
+      this.getModel().updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: ip || '' }
+      ).catch(err => console.error('API key touch error:', err.message));
+    }
+
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -7,6 +7,7 @@
 const mongoose = require('mongoose');
 const { AutomationWorkflow, AutomationSubscriber, AutomationQueue, AutomationLog } = require('../models/automation.model');
 const sesService = require('./ses.service');
+const { escapeRegex } = require('../utils/validation');
 
 // ==========================================
 // WORKFLOW MANAGEMENT
@@ -583,7 +584,7 @@ async function executeConditionStep(step, subscriber, workflow) {
       const clickLog = await AutomationLog.findOne({
         subscriber: subscriber._id,
         event: 'email_clicked',
-        'data.url': { $regex: condition.linkUrl, $options: 'i' }
+        'data.url': { $regex: escapeRegex(condition.linkUrl || ''), $options: 'i' }
       });
       result = !!clickLog;
       break;
@@ -0,0 +1,487 @@
+// ============================================
+// FILE: services/block.service.js
+// Block & Mute Service
+// VERSION: 1.0
+// Blocking is mutual and enforced: once either side blocks, neither
+// can follow, comment on, mention or message the other, and each is
+// left out of the other's feed, search and suggestions. Muting is
+// one-sided and silent - a user, word / phrase or hashtag is hidden
+// from the muter's feed and / or notifications, optionally for a while.
+//
+// Routes ask for a viewer's filter once per request:
+//   const filter = await blockService.getFilter(userId);
+//   items.filter(item => !filter.hidesDoc(item))
+// Filters are cached per process for FILTER_TTL_MS and dropped on
+// change, so other instances catch up within that window.
+// Follow documents with status 'blocked' / 'muted' (the old way) are
+// still honoured.
+// ============================================
+
+const mongoose = require('mongoose');
+const { stripHtml } = require('../utils/search-text');
+
+const USER_FIELDS = 'name username avatar profilePicture isVerified';
+const FILTER_TTL_MS = 30 * 1000;
+const FILTER_CACHE_SIZE = 5000;
+// Muted words and hashtags together
+const MAX_MUTED_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+const MUTE_DURATIONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  forever: null
+};
+
+const SCOPES = ['feed', 'notifications'];
+
+// Fields content documents keep their author / text / tags in
+const AUTHOR_PATHS = ['author', 'authorId', 'user', 'streamer', 'sender'];
+const TEXT_PATHS = ['title', 'content', 'caption', 'text', 'description'];
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const toObjectId = (value) => {
+  const id = idOf(value);
+  if (!mongoose.isValidObjectId(id)) {
+    const error = new Error('Invalid user id');
+    error.name = 'BlockError';
+    error.status = 400;
+    throw error;
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalizeTerm = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+class BlockService {
+  constructor() {
+    this.filters = new Map();
+    this.durations = Object.keys(MUTE_DURATIONS);
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getBlockModel() {
+    return this.model('Block', '../models/block.model');
+  }
+
+  getMuteModel() {
+    return this.model('Mute', '../models/mute.model');
+  }
+
+  blockError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'BlockError';
+    error.status = status;
+    return error;
+  }
+
+  async getTargetUser(userId, targetId) {
+    if (idOf(userId) === idOf(targetId)) throw this.blockError("You can't do that to yourself");
+    const User = this.model('User', '../models/user.model');
+    const target = await User.findById(targetId).select(USER_FIELDS).lean();
+    if (!target) throw this.blockError('User not found', 404);
+    return target;
+  }
+
+  // ==========================================
+  // BLOCKS
+  // ==========================================
+
+  /**
+   * Block `targetId`: follows either way are removed (which also takes
+   * their posts out of each other's timelines)
+   */
+  async block(userId, targetId) {
+    const target = await this.getTargetUser(userId, targetId);
+    const Block = this.getBlockModel();
+
+    let block;
+    try {
+      block = await Block.findOneAndUpdate(
+        { blocker: toObjectId(userId), blocked: toObjectId(targetId) },
+        {},
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // Double click - the other request created it
+      if (error.code !== 11000) throw error;
+      block = await Block.findOne({ blocker: userId, blocked: targetId }).lean();
+    }
+
+    await this.removeFollows(userId, targetId);
+    this.invalidate(userId, targetId);
+
+    return { user: target, blockedAt: block.createdAt };
+  }
+
+  async unblock(userId, targetId) {
+    const Block = this.getBlockModel();
+    const Follow = this.model('Follow', '../models/follow.model');
+
+    const [removed, legacy] = await Promise.all([
+      Block.deleteOne({ blocker: toObjectId(userId), blocked: toObjectId(targetId) }),
+      Follow.deleteOne({ follower: toObjectId(userId), following: toObjectId(targetId), status: 'blocked' })
+    ]);
+    if (!removed.deletedCount && !legacy.deletedCount) throw this.blockError('User is not blocked', 404);
+
+    this.invalidate(userId, targetId);
+    return true;
+  }
+
+  async removeFollows(userId, targetId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    const User = this.model('User', '../models/user.model');
+    const a = toObjectId(userId);
+    const b = toObjectId(targetId);
+
+    const follows = await Follow.find({
+      $or: [{ follower: a, following: b }, { follower: b, following: a }]
+    }).select('_id').lean();
+    // One at a time so the timeline unlink hook runs for each
+    for (const follow of follows) {
+      await Follow.findOneAndDelete({ _id: follow._id });
+    }
+
+    await Promise.all([
+      User.updateOne({ _id: a }, { $pull: { followers: b, following: b } }),
+      User.updateOne({ _id: b }, { $pull: { followers: a, following: a } })
+    ]);
+    await Promise.all([a, b].map(async (id) => {
+      const [followersCount, followingCount] = await Promise.all([
+        Follow.countDocuments({ following: id, status: 'active' }),
+        Follow.countDocuments({ follower: id, status: 'active' })
+      ]);
+      await User.updateOne({ _id: id }, { $set: { followersCount, followingCount } });
+    }));
+  }
+
+  /**
+   * Of `otherIds`, those with a block between them and `userId`
+   * (either direction), as a Set of id strings
+   */
+  async getBlockedBetween(userId, otherIds) {
+    // A malformed id can't belong to anyone who blocked - callers 404 on it later
+    const valid = otherIds.filter(id => mongoose.isValidObjectId(idOf(id)));
+    if (!userId || !valid.length) return new Set();
+    const Block = this.getBlockModel();
+    const Follow = this.model('Follow', '../models/follow.model');
+    const user = toObjectId(userId);
+    const others = valid.map(toObjectId);
+
+    const [blocks, legacy] = await Promise.all([
+      Block.find({
+        $or: [
+          { blocker: user, blocked: { $in: others } },
+          { blocker: { $in: others }, blocked: user }
+        ]
+      }).select('blocker blocked').lean(),
+      Follow.find({
+        status: 'blocked',
+        $or: [
+          { follower: user, following: { $in: others } },
+          { follower: { $in: others }, following: user }
+        ]
+      }).select('follower following').lean()
+    ]);
+
+    const other = (a, b) => (idOf(a) === idOf(userId) ? idOf(b) : idOf(a));
+    return new Set([
+      ...blocks.map(b => other(b.blocker, b.blocked)),
+      ...legacy.map(f => other(f.follower, f.following))
+    ]);
+  }
+
+  async isBlocked(userId, otherId) {
+    if (!userId || !otherId || idOf(userId) === idOf(otherId)) return false;
+    const blocked = await this.getBlockedBetween(userId, [otherId]);
+    return blocked.size > 0;
+  }
+
+  /**
+   * Throws a 403 BlockError when either side has blocked the other
+   */
+  async assertNotBlocked(userId, otherId, message = "You can't interact with this user") {
+    if (await this.isBlocked(userId, otherId)) throw this.blockError(message, 403);
+  }
+
+  /**
+   * { blocking, blockedBy, muted } between the viewer and one user
+   */
+  async getStatus(userId, targetId) {
+    const Block = this.getBlockModel();
+    const Mute = this.getMuteModel();
+    const [blocking, blockedBy, muted] = await Promise.all([
+      Block.exists({ blocker: toObjectId(userId), blocked: toObjectId(targetId) }),
+      Block.exists({ blocker: toObjectId(targetId), blocked: toObjectId(userId) }),
+      Mute.findOne({ user: toObjectId(userId), type: 'user', mutedUser: toObjectId(targetId), ...this.activeMuteQuery() }).lean()
+    ]);
+    return {
+      blocking: !!blocking,
+      blockedBy: !!blockedBy,
+      muted: muted ? this.formatMute(muted) : null
+    };
+  }
+
+  async listBlocks(userId, { page = 1, limit = 20 } = {}) {
+    const Block = this.getBlockModel();
+    const query = { blocker: toObjectId(userId) };
+
+    const [blocks, total] = await Promise.all([
+      Block.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('blocked', USER_FIELDS)
+        .lean(),
+      Block.countDocuments(query)
+    ]);
+
+    return {
+      blocks: blocks
+        .filter(b => b.blocked)
+        .map(b => ({ user: b.blocked, blockedAt: b.createdAt })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // ==========================================
+  // MUTES
+  // ==========================================
+
+  activeMuteQuery(now = new Date()) {
+    // The TTL monitor only runs every minute or so
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  }
+
+  formatMute(mute) {
+    return {
+      _id: mute._id,
+      type: mute.type,
+      ...(mute.type === 'user' ? { user: mute.mutedUser } : { value: mute.value }),
+      feed: mute.feed,
+      notifications: mute.notifications,
+      expiresAt: mute.expiresAt,
+      createdAt: mute.createdAt
+    };
+  }
+
+  /**
+   * Mute a user, a word / phrase or a hashtag. Muting the same thing
+   * again updates where it applies and for how long.
+   * @param {Object} options { type, userId | value, duration, feed, notifications }
+   */
+  async mute(userId, { type, userId: targetId, value, duration = 'forever', feed = true, notifications = true }) {
+    const Mute = this.getMuteModel();
+    if (!feed && !notifications) throw this.blockError('Mute at least one of feed or notifications');
+    if (!(duration in MUTE_DURATIONS)) throw this.blockError(`duration must be one of ${this.durations.join(', ')}`);
+
+    const filter = { user: toObjectId(userId), type };
+    if (type === 'user') {
+      if (!targetId) throw this.blockError('userId is required to mute a user');
+      await this.getTargetUser(userId, targetId);
+      filter.mutedUser = toObjectId(targetId);
+    } else {
+      let term = normalizeTerm(value);
+      if (type === 'hashtag') {
+        term = term.replace(/^#+/, '');
+        if (!/^[\p{L}\p{N}_]+$/u.test(term)) throw this.blockError('Not a valid hashtag');
+      }
+      if (term.length < 2 || term.length > MAX_TERM_LENGTH) {
+        throw this.blockError(`Muted ${type}s must be 2-${MAX_TERM_LENGTH} characters`);
+      }
+      filter.value = term;
+
+      const exists = await Mute.exists(filter);
+      if (!exists) {
+        const count = await Mute.countDocuments({ user: toObjectId(userId), type: { $in: ['word', 'hashtag'] } });
+        if (count >= MAX_MUTED_TERMS) {
+          throw this.blockError(`You can mute up to ${MAX_MUTED_TERMS} words and hashtags`);
+        }
+      }
+    }
+
+    const ms = MUTE_DURATIONS[duration];
+    const update = { feed, notifications, expiresAt: ms ? new Date(Date.now() + ms) : null };
+
+    let mute;
+    try {
+      mute = await Mute.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true })
+        .populate('mutedUser', USER_FIELDS)
+        .lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      mute = await Mute.findOneAndUpdate(filter, { $set: update }, { new: true }).populate('mutedUser', USER_FIELDS).lean();
+    }
+
+    this.invalidate(userId);
+    return this.formatMute(mute);
+  }
+
+  async unmute(userId, muteId) {
+    const Mute = this.getMuteModel();
+    const removed = await Mute.findOneAndDelete({ _id: muteId, user: toObjectId(userId) });
+    if (!removed) throw this.blockError('Mute not found', 404);
+
+    this.invalidate(userId);
+    return true;
+  }
+
+  async unmuteUser(userId, targetId) {
+    const Mute = this.getMuteModel();
+    const Follow = this.model('Follow', '../models/follow.model');
+
+    const [removed, legacy] = await Promise.all([
+      Mute.deleteOne({ user: toObjectId(userId), type: 'user', mutedUser: toObjectId(targetId) }),
+      // Old-style mutes were a follow with status 'muted' - keep following
+      Follow.findOneAndUpdate(
+        { follower: toObjectId(userId), following: toObjectId(targetId), status: 'muted' },
+        { $set: { status: 'active' } },
+        { new: true }
+      )
+    ]);
+    if (!removed.deletedCount && !legacy) throw this.blockError('User is not muted', 404);
+
+    this.invalidate(userId);
+    return true;
+  }
+
+  async listMutes(userId, { type, page = 1, limit = 50 } = {}) {
+    const Mute = this.getMuteModel();
+    const query = { user: toObjectId(userId), ...this.activeMuteQuery(), ...(type ? { type } : {}) };
+
+    const [mutes, total] = await Promise.all([
+      Mute.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('mutedUser', USER_FIELDS)
+        .lean(),
+      Mute.countDocuments(query)
+    ]);
+
+    return {
+      mutes: mutes
+        .filter(m => m.type !== 'user' || m.mutedUser)
+        .map(m => this.formatMute(m)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // ==========================================
+  // FILTER
+  // ==========================================
+
+  /**
+   * What `userId` shouldn't see. Without a user, an empty filter.
+   * @returns {Object} {
+   *   blocked: Set of user ids (either direction),
+   *   hiddenAuthors(scope) - ids to leave out of queries,
+   *   hidesUser(id, scope), hides({ authors, text, hashtags }, scope),
+   *   hidesDoc(doc, scope) - the same, for a post / blog / comment ...
+   * } where scope is 'feed' (default) or 'notifications'
+   */
+  async getFilter(userId) {
+    if (!userId || mongoose.connection.readyState !== 1) return this.buildFilter(userId, [], []);
+
+    const key = idOf(userId);
+    const cached = this.filters.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.filter;
+
+    const Block = this.getBlockModel();
+    const Mute = this.getMuteModel();
+    const Follow = this.model('Follow', '../models/follow.model');
+    const user = toObjectId(userId);
+
+    const [blocks, mutes, legacy] = await Promise.all([
+      Block.find({ $or: [{ blocker: user }, { blocked: user }] }).select('blocker blocked').lean(),
+      Mute.find({ user, ...this.activeMuteQuery() }).select('type mutedUser value feed notifications').lean(),
+      Follow.find({
+        $or: [{ follower: user, status: { $in: ['blocked', 'muted'] } }, { following: user, status: 'blocked' }]
+      }).select('follower following status').lean()
+    ]);
+
+    const other = (a, b) => (idOf(a) === key ? idOf(b) : idOf(a));
+    const blocked = [
+      ...blocks.map(b => other(b.blocker, b.blocked)),
+      ...legacy.filter(f => f.status === 'blocked').map(f => other(f.follower, f.following))
+    ];
+    const legacyMutes = legacy
+      .filter(f => f.status === 'muted')
+      .map(f => ({ type: 'user', mutedUser: f.following, feed: true, notifications: true }));
+
+    const filter = this.buildFilter(userId, blocked, [...mutes, ...legacyMutes]);
+
+    if (this.filters.size >= FILTER_CACHE_SIZE) {
+      this.filters.delete(this.filters.keys().next().value);
+    }
+    this.filters.set(key, { filter, expiresAt: Date.now() + FILTER_TTL_MS });
+    return filter;
+  }
+
+  buildFilter(userId, blockedIds, mutes) {
+    const blocked = new Set(blockedIds.filter(Boolean));
+    const scopes = {};
+
+    for (const scope of SCOPES) {
+      const active = mutes.filter(m => m[scope] !== false);
+      const words = active.filter(m => m.type === 'word').map(m => m.value);
+      scopes[scope] = {
+        users: new Set(active.filter(m => m.type === 'user').map(m => idOf(m.mutedUser))),
+        hashtags: new Set(active.filter(m => m.type === 'hashtag').map(m => m.value)),
+        // Whole words / phrases only: muting "cat" leaves "category" alone
+        words: words.length
+          ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}_])`, 'iu')
+          : null
+      };
+    }
+
+    const isEmpty = !blocked.size && !mutes.length;
+    const hidesUser = (id, scope = 'feed') => {
+      const userKey = idOf(id);
+      return !!userKey && (blocked.has(userKey) || scopes[scope].users.has(userKey));
+    };
+
+    const hides = ({ authors = [], text = '', hashtags = [] } = {}, scope = 'feed') => {
+      if (isEmpty) return false;
+      if (authors.some(author => author && idOf(author) !== idOf(userId) && hidesUser(author, scope))) return true;
+
+      const muted = scopes[scope];
+      if (muted.words && text && muted.words.test(text)) return true;
+      if (muted.hashtags.size) {
+        // Lazy: the parsing service asks this one about blocks
+        const contentParsingService = require('./content-parsing.service');
+        const tags = [...hashtags.map(t => normalizeTerm(t).replace(/^#+/, '')), ...contentParsingService.extractHashtags(text)];
+        if (tags.some(tag => muted.hashtags.has(tag))) return true;
+      }
+      return false;
+    };
+
+    const hidesDoc = (doc, scope = 'feed') => {
+      if (isEmpty || !doc) return false;
+      return hides({
+        authors: AUTHOR_PATHS.map(path => doc[path]).filter(Boolean),
+        text: stripHtml(TEXT_PATHS.map(path => doc[path]).filter(v => typeof v === 'string').join('\n')),
+        hashtags: [...(doc.hashtags || []), ...(doc.tags || [])].filter(t => typeof t === 'string')
+      }, scope);
+    };
+
+    return {
+      blocked,
+      isEmpty,
+      hiddenAuthors: (scope = 'feed') => [...new Set([...blocked, ...scopes[scope].users])],
+      hidesUser,
+      hides,
+      hidesDoc
+    };
+  }
+
+  invalidate(...userIds) {
+    userIds.forEach(id => this.filters.delete(idOf(id)));
+  }
+}
+
+module.exports = new BlockService();
@@ -0,0 +1,438 @@
+// ============================================
+// FILE: services/chat-media.service.js
+// Chat Media Service
+// VERSION: 1.0
+// Voice notes, photos and videos for messages (routes/upload.routes.js):
+// - Voice notes are re-encoded with ffmpeg (utils/ffmpeg.js) to mono
+//   AAC .m4a, measured, and given waveform peaks for the player
+// - Photos and videos get a thumbnail plus width / height (and the
+//   video's duration)
+// - Transcripts go through OpenAI Whisper (services/ai.service.js),
+//   on upload or later for a message already sent
+// - Audio sent in a message must be a voice note its sender uploaded
+//   here; the server only ever fetches those, by Cloudinary public id
+// - Transcripts are only written by the server: one made on upload
+//   comes back with a signed `transcriptToken` the message must carry
+// Files are processed on this server, so only a few jobs run at once;
+// the rest wait. End-to-end encrypted chats can't use any of this -
+// the server must never see their plaintext media.
+// Limits are in config/chat-media.js.
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { CHAT_MEDIA } = require('../config/chat-media');
+const ffmpeg = require('../utils/ffmpeg');
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class ChatMediaService {
+  constructor() {
+    this.config = CHAT_MEDIA;
+    this.transcriptSecret = `${process.env.JWT_SECRET || 'cybev-secret-key'}:voice-transcript`;
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  mediaError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'ChatMediaError';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Run `job` once fewer than `maxConcurrentJobs` are running
+   */
+  async withSlot(job) {
+    if (this.running >= this.config.maxConcurrentJobs) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.running++;
+    try {
+      return await job();
+    } finally {
+      this.running--;
+      const next = this.waiting.shift();
+      if (next) next();
+    }
+  }
+
+  async withWorkDir(job) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'chat-media-'));
+    try {
+      return await job(workDir);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  requireFfmpeg() {
+    if (!ffmpeg.isAvailable()) throw this.mediaError('Media processing is not available right now', 503);
+  }
+
+  async probe(filePath) {
+    try {
+      return await ffmpeg.probe(filePath);
+    } catch (error) {
+      throw this.mediaError('Unsupported or damaged media file');
+    }
+  }
+
+  uploadFile(filePath, options) {
+    // Configured by routes/upload.routes.js at startup
+    const cloudinary = require('cloudinary').v2;
+    return new Promise((resolve, reject) => {
+      const done = (error, result) => (error ? reject(error) : resolve(result));
+      if (options.resource_type === 'video') {
+        cloudinary.uploader.upload_large(filePath, { chunk_size: 6000000, timeout: 300000, ...options }, done);
+      } else {
+        cloudinary.uploader.upload(filePath, options, done);
+      }
+    });
+  }
+
+  async destroyUploads(uploads) {
+    const cloudinary = require('cloudinary').v2;
+    await Promise.all(uploads.map(({ publicId, resourceType }) =>
+      cloudinary.uploader.destroy(publicId, { resource_type: resourceType }).catch(() => {})));
+  }
+
+  // ==========================================
+  // VOICE NOTES
+  // ==========================================
+
+  /**
+   * `count` peaks from per-block levels, scaled so the loudest is 1 -
+   * quiet recordings still get a readable shape
+   */
+  toWaveform(levels, count = this.config.voiceNote.waveformPeaks) {
+    if (!levels.length) return new Array(count).fill(0);
+    const peaks = [];
+    for (let i = 0; i < count; i++) {
+      const start = Math.floor(i * levels.length / count);
+      const end = Math.max(start + 1, Math.floor((i + 1) * levels.length / count));
+      peaks.push(Math.max(...levels.slice(start, end)));
+    }
+    const loudest = Math.max(...peaks);
+    return peaks.map(peak => (loudest > 0 ? round(peak / loudest) : 0));
+  }
+
+  /**
+   * @param {String} userId
+   * @param {Object} file   multer file on disk ({ path, size, mimetype, originalname })
+   * @param {Object} options  transcribe, language
+   * @returns attachment for POST /api/messages/:conversationId
+   */
+  async processVoiceNote(userId, file, { transcribe = false, language = null } = {}) {
+    this.requireFfmpeg();
+    if (transcribe && !this.transcriptsEnabled()) throw this.mediaError('Transcripts are not available right now', 503);
+    const { minSeconds, maxSeconds, bitrate, sampleRate } = this.config.voiceNote;
+
+    return this.withSlot(() => this.withWorkDir(async (workDir) => {
+      const info = await this.probe(file.path);
+      if (!info.hasAudio) throw this.mediaError('Voice notes need an audio track');
+      if (info.duration !== null && info.duration > maxSeconds + 1) {
+        throw this.mediaError(`Voice notes can be up to ${Math.round(maxSeconds / 60)} minutes`);
+      }
+
+      const output = path.join(workDir, 'voice.m4a');
+      try {
+        await ffmpeg.transcodeVoice(file.path, output, { bitrate, sampleRate });
+      } catch (error) {
+        console.error('Voice note transcode error:', error.message);
+        throw this.mediaError('Could not process this recording');
+      }
+
+      // Decoded length is exact; container headers can be off or missing
+      const { levels, duration } = await ffmpeg.audioLevels(output);
+      if (duration < minSeconds) throw this.mediaError('This recording is too short');
+      if (duration > maxSeconds + 1) {
+        throw this.mediaError(`Voice notes can be up to ${Math.round(maxSeconds / 60)} minutes`);
+      }
+
+      const { size } = await fs.promises.stat(output);
+      const uploaded = await this.uploadFile(output, {
+        folder: 'cybev/messages/voice',
+        resource_type: 'video',
+        public_id: `voice-${userId}-${Date.now()}`
+      });
+
+      const attachment = {
+        type: 'audio',
+        voice: true,
+        url: uploaded.secure_url,
+        publicId: uploaded.public_id,
+        name: 'Voice note.m4a',
+        mimeType: 'audio/mp4',
+        size,
+        duration: round(duration),
+        waveform: this.toWaveform(levels)
+      };
+
+      // Recordings too long to transcribe are still sent
+      if (transcribe && duration <= this.config.transcripts.maxSeconds) {
+        attachment.transcript = await this.transcribeFile(output, { duration, language });
+        attachment.transcriptToken = this.signTranscript(attachment.publicId, attachment.transcript);
+      }
+      return attachment;
+    }));
+  }
+
+  // ==========================================
+  // PHOTOS AND VIDEOS
+  // ==========================================
+
+  /**
+   * @param {String} userId
+   * @param {Object} file   multer file on disk - an image or a video
+   * @returns attachment for POST /api/messages/:conversationId
+   */
+  async processMedia(userId, file) {
+    this.requireFfmpeg();
+    const { maxVideoSeconds, thumbnailWidth } = this.config.media;
+    const isVideo = file.mimetype.startsWith('video/');
+
+    return this.withSlot(() => this.withWorkDir(async (workDir) => {
+      const info = await this.probe(file.path);
+      if (!info.hasVideo || !info.width) throw this.mediaError('Unsupported or damaged media file');
+      if (isVideo && info.duration > maxVideoSeconds) {
+        throw this.mediaError(`Videos can be up to ${Math.round(maxVideoSeconds / 60)} minutes`);
+      }
+
+      const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+      const at = isVideo ? Math.min(1, (info.duration || 0) / 2) : 0;
+      try {
+        await ffmpeg.extractFrame(file.path, thumbnailPath, { at, width: Math.min(thumbnailWidth, info.width) });
+      } catch (error) {
+        console.error('Media thumbnail error:', error.message);
+        throw this.mediaError('Could not process this file');
+      }
+
+      const stamp = `${userId}-${Date.now()}`;
+      const uploads = [];
+      try {
+        const original = await this.uploadFile(file.path, {
+          folder: 'cybev/messages/media',
+          resource_type: isVideo ? 'video' : 'image',
+          public_id: `media-${stamp}`
+        });
+        uploads.push({ publicId: original.public_id, resourceType: isVideo ? 'video' : 'image' });
+
+        const thumbnail = await this.uploadFile(thumbnailPath, {
+          folder: 'cybev/messages/media',
+          public_id: `media-${stamp}-thumb`
+        });
+
+        return {
+          type: isVideo ? 'video' : 'image',
+          url: original.secure_url,
+          publicId: original.public_id,
+          name: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          width: info.width,
+          height: info.height,
+          ...(isVideo ? { duration: round(info.duration || original.duration || 0) } : {}),
+          thumbnailUrl: thumbnail.secure_url
+        };
+      } catch (error) {
+        if (uploads.length) await this.destroyUploads(uploads);
+        throw error;
+      }
+    }));
+  }
+
+  // ==========================================
+  // SENDING
+  // ==========================================
+
+  voiceNotePrefix(userId) {
+    return `cybev/messages/voice/voice-${userId}-`;
+  }
+
+  /**
+   * Delivery URL of a stored voice note, built from its public id
+   * rather than a URL a client sent
+   */
+  voiceNoteUrl(publicId) {
+    const cloudinary = require('cloudinary').v2;
+    return cloudinary.url(publicId, { resource_type: 'video', format: 'm4a', secure: true });
+  }
+
+  signTranscript(publicId, { status, text, language }) {
+    return jwt.sign({ publicId, status, text, language, purpose: 'voice_transcript' }, this.transcriptSecret, { expiresIn: '7d' });
+  }
+
+  /**
+   * The transcript inside a token from processVoiceNote, if it was made
+   * for this voice note
+   */
+  readTranscript(token, publicId) {
+    if (!token) return null;
+    try {
+      const payload = jwt.verify(token, this.transcriptSecret);
+      if (payload.purpose !== 'voice_transcript' || payload.publicId !== publicId) return null;
+      return { status: payload.status, text: payload.text, language: payload.language, updatedAt: new Date(payload.iat * 1000) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Attachments for a message `userId` sends in a chat that isn't end-to-end
+   * encrypted. Audio must be a voice note they uploaded through
+   * POST /api/upload/voice-note; its URL is rebuilt from the public id.
+   * A transcript sent by the client is dropped unless its token checks out.
+   */
+  checkAttachments(userId, attachments = []) {
+    return attachments.map(({ transcript, transcriptToken, ...attachment }) => {
+      if (attachment.type !== 'audio') return attachment;
+      if (!attachment.publicId?.startsWith(this.voiceNotePrefix(userId))) {
+        throw this.mediaError('Upload audio with POST /api/upload/voice-note first');
+      }
+      const signed = this.readTranscript(transcriptToken, attachment.publicId);
+      return { ...attachment, url: this.voiceNoteUrl(attachment.publicId), ...(signed ? { transcript: signed } : {}) };
+    });
+  }
+
+  // ==========================================
+  // TRANSCRIPTS
+  // ==========================================
+
+  transcriptsEnabled() {
+    return this.config.transcripts.enabled && !!process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * Transcript of a local audio file. A failed transcription doesn't
+   * fail the upload - it comes back with status 'failed'.
+   */
+  async transcribeFile(filePath, { duration = null, language = null } = {}) {
+    if (!this.transcriptsEnabled()) throw this.mediaError('Transcripts are not available right now', 503);
+    if (duration !== null && duration > this.config.transcripts.maxSeconds) {
+      throw this.mediaError(`Recordings over ${Math.round(this.config.transcripts.maxSeconds / 60)} minutes can't be transcribed`);
+    }
+
+    const aiService = require('./ai.service');
+    try {
+      const audio = await fs.promises.readFile(filePath);
+      const result = await aiService.transcribeAudio(audio, {
+        filename: path.basename(filePath),
+        model: this.config.transcripts.model,
+        language
+      });
+      return { status: 'done', text: result.text, language: result.language, updatedAt: new Date() };
+    } catch (error) {
+      console.error('Transcription error:', error.message);
+      return { status: 'failed', updatedAt: new Date() };
+    }
+  }
+
+  /**
+   * Transcript for an audio attachment of a message already sent -
+   * any participant can ask. Kept on the message, so it's made once.
+   */
+  async transcribeMessage(userId, conversationId, messageId, { index = null, language = null } = {}) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const Message = this.model('Message', '../models/message.model');
+    this.requireFfmpeg();
+
+    const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+      ? await Conversation.findOne({ _id: conversationId, participants: userId }).select('participants encryption')
+      : null;
+    if (!conversation) throw this.mediaError('Conversation not found', 404);
+
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({ _id: messageId, conversation: conversation._id, isDeleted: false })
+      : null;
+    if (!message) throw this.mediaError('Message not found', 404);
+    if (message.encrypted) throw this.mediaError("Encrypted messages can't be transcribed on the server", 409);
+
+    const position = index !== null ? index : message.attachments.findIndex(a => a.type === 'audio');
+    const attachment = message.attachments[position];
+    if (!attachment || attachment.type !== 'audio') throw this.mediaError('This message has no audio', 404);
+    if (!attachment.publicId?.startsWith(this.voiceNotePrefix(message.sender))) {
+      throw this.mediaError('Only voice notes can be transcribed', 409);
+    }
+    if (attachment.transcript?.status === 'done') return { message, transcript: attachment.transcript, cached: true };
+    if (!this.transcriptsEnabled()) throw this.mediaError('Transcripts are not available right now', 503);
+
+    // Claim it so two people asking at once don't pay twice; a claim
+    // older than five minutes is treated as abandoned
+    const abandoned = new Date(Date.now() - 5 * 60 * 1000);
+    const claimed = await Message.updateOne(
+      {
+        _id: message._id,
+        [`attachments.${position}.type`]: 'audio',
+        $or: [
+          { [`attachments.${position}.transcript.status`]: { $in: [null, 'failed'] } },
+          { [`attachments.${position}.transcript.status`]: 'pending', [`attachments.${position}.transcript.updatedAt`]: { $lt: abandoned } }
+        ]
+      },
+      { $set: { [`attachments.${position}.transcript`]: { status: 'pending', updatedAt: new Date() } } }
+    );
+    if (!claimed.modifiedCount) throw this.mediaError('A transcript is already being made - try again shortly', 409);
+
+    let transcript;
+    try {
+      transcript = await this.withSlot(() => this.withWorkDir(async (workDir) => {
+        const source = path.join(workDir, 'source');
+        await this.download(this.voiceNoteUrl(attachment.publicId), source);
+
+        // Small mono file for the upload to Whisper
+        const speech = path.join(workDir, 'speech.m4a');
+        await ffmpeg.transcodeVoice(source, speech, { bitrate: '32k', sampleRate: 16000 });
+        const info = await this.probe(speech);
+        return this.transcribeFile(speech, { duration: info.duration, language });
+      }));
+    } catch (error) {
+      transcript = { status: 'failed', updatedAt: new Date() };
+      await Message.updateOne({ _id: message._id }, { $set: { [`attachments.${position}.transcript`]: transcript } });
+      throw error.name === 'ChatMediaError' ? error : this.mediaError('Could not transcribe this recording', 502);
+    }
+
+    await Message.updateOne({ _id: message._id }, { $set: { [`attachments.${position}.transcript`]: transcript } });
+
+    const updated = await Message.findById(message._id).populate('sender', 'name username avatar');
+    await require('./message-sync.service').messageUpdated(conversation, updated);
+    if (transcript.status !== 'done') throw this.mediaError('Could not transcribe this recording', 502);
+    return { message: updated, transcript, cached: false };
+  }
+
+  /**
+   * Fetch a stored voice note to disk (no bigger than a voice note may be)
+   */
+  async download(url, filePath) {
+    const axios = require('axios');
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: 60000,
+      maxContentLength: this.config.voiceNote.maxBytes
+    });
+
+    let received = 0;
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(filePath);
+      response.data.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > this.config.voiceNote.maxBytes) {
+          response.data.destroy(this.mediaError('This recording is too large to transcribe'));
+        }
+      });
+      response.data.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+      response.data.pipe(out);
+    });
+  }
+}
+
+module.exports = new ChatMediaService();
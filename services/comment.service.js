@@ -0,0 +1,659 @@
+// ============================================
+// FILE: services/comment.service.js
+// Comment Service
+// VERSION: 1.0
+// Threaded comments on blogs and posts (models/comment.model.js):
+// - Replies nest up to `maxDepth`; deeper replies become siblings that
+//   keep `inReplyTo` so clients can still show who they answer
+// - sort=top|new|controversial, pinned comments first, low scores
+//   collapsed
+// - Edits keep the earlier versions (GET /api/comments/:id/history)
+// - The blog / post author can pin comments
+// - Every new or edited comment is run through
+//   moderation.service#analyzeContent; flagged ones are held for review
+//   and only count (replyCount / commentsCount, mentions) once approved
+// Settings are in config/comments.js.
+// ============================================
+
+const mongoose = require('mongoose');
+const { COMMENTS } = require('../config/comments');
+const moderationService = require('./moderation.service');
+const contentParsingService = require('./content-parsing.service');
+const blockService = require('./block.service');
+
+const USER_FIELDS = 'name username profilePicture avatar';
+const DELETED_TEXT = '[deleted]';
+
+const SORTS = {
+  top: { score: -1, likeCount: -1, createdAt: -1 },
+  new: { createdAt: -1 },
+  controversial: { controversy: -1, createdAt: -1 }
+};
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const toObjectId = (value) => new mongoose.Types.ObjectId(idOf(value));
+// Comments from before moderation have no status
+const statusOf = (comment) => comment.status || 'visible';
+const VISIBLE = { $in: ['visible', null] };
+
+class CommentService {
+  constructor() {
+    this.config = COMMENTS;
+    this.sorts = Object.keys(SORTS);
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getCommentModel() {
+    return this.model('Comment', '../models/comment.model');
+  }
+
+  commentError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'CommentError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // TARGETS
+  // ==========================================
+
+  /**
+   * The blog or post a comment belongs to, with its author
+   * { field: 'blog' | 'post', id, ownerId, visibility }
+   */
+  async getTarget({ blogId, postId }) {
+    if (blogId) {
+      const Blog = this.model('Blog', '../models/blog.model');
+      const blog = await Blog.findById(blogId).select('author').lean();
+      if (!blog) throw this.commentError('Blog not found', 404);
+      return { field: 'blog', id: blog._id, ownerId: idOf(blog.author), visibility: 'public' };
+    }
+
+    if (postId) {
+      const Post = this.model('Post', '../models/post.model');
+      const post = await Post.findById(postId).select('author authorId visibility isDeleted').lean();
+      if (!post || post.isDeleted) throw this.commentError('Post not found', 404);
+      return { field: 'post', id: post._id, ownerId: idOf(post.authorId || post.author), visibility: post.visibility || 'public' };
+    }
+
+    throw this.commentError('blogId or postId is required');
+  }
+
+  targetOf(comment) {
+    return comment.blog ? { blogId: comment.blog } : { postId: comment.post };
+  }
+
+  /**
+   * Moves a comment in or out of the visible counts: its parent's
+   * replyCount / replies and the blog's commentsCount
+   * ({ thread: false } leaves the parent alone)
+   */
+  async adjustCounts(comment, delta, { thread = true } = {}) {
+    const Comment = this.getCommentModel();
+    if (thread && comment.parentComment) {
+      await Comment.updateOne({ _id: comment.parentComment }, {
+        $inc: { replyCount: delta },
+        [delta > 0 ? '$addToSet' : '$pull']: { replies: comment._id }
+      });
+    }
+    if (comment.blog) {
+      const Blog = this.model('Blog', '../models/blog.model');
+      await Blog.updateOne({ _id: comment.blog }, { $inc: { commentsCount: delta } });
+    }
+  }
+
+  // ==========================================
+  // MODERATION
+  // ==========================================
+
+  /**
+   * Fields to $set from a moderation check; `held` when it isn't safe
+   */
+  async moderate(content, { useAI = false } = {}) {
+    if (!this.config.moderation.enabled) return { held: false, moderation: {}, fields: {} };
+
+    const result = await moderationService.analyzeContent(content, { useAI });
+    const moderation = {
+      flags: result.flags || [],
+      issues: result.issues || [],
+      [useAI ? 'aiCheckedAt' : 'checkedAt']: new Date()
+    };
+    return {
+      held: !result.safe,
+      moderation,
+      fields: Object.fromEntries(Object.entries(moderation).map(([key, value]) => [`moderation.${key}`, value]))
+    };
+  }
+
+  /**
+   * The AI check is slow - it runs after the response and holds the
+   * comment if it's flagged and hasn't been edited since
+   */
+  deferAICheck(comment) {
+    if (!this.config.moderation.enabled || !this.config.moderation.useAI) return;
+
+    setImmediate(async () => {
+      try {
+        const Comment = this.getCommentModel();
+        const { held, fields } = await this.moderate(comment.content, { useAI: true });
+        const current = await Comment.findOneAndUpdate(
+          { _id: comment._id, content: comment.content },
+          { $set: fields },
+          { new: false }
+        ).lean();
+        if (!held || !current || statusOf(current) !== 'visible') return;
+
+        await Comment.updateOne({ _id: comment._id }, { $set: { status: 'held' } });
+        await this.adjustCounts(current, -1);
+        await contentParsingService.removeContent('comment', comment._id);
+        console.log(`🛡️ Comment ${comment._id} held after AI check: ${fields['moderation.flags'].join(', ')}`);
+      } catch (error) {
+        console.error('Comment AI moderation error:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Mentions / hashtags of a visible comment. A post comment is seen by
+   * whoever can see the post; blog comments are public.
+   */
+  async parse(comment, target) {
+    return contentParsingService.processContent({
+      type: 'comment',
+      id: comment._id,
+      parentId: target.id,
+      author: idOf(comment.user),
+      text: comment.content,
+      url: `/${target.field}/${target.id}`,
+      audience: target.field === 'post' ? contentParsingService.audienceFor(target.ownerId, target.visibility) : null,
+      isPublic: target.visibility === 'public',
+      createdAt: comment.createdAt
+    });
+  }
+
+  // ==========================================
+  // CREATE
+  // ==========================================
+
+  async getUserInfo(userId) {
+    const User = this.model('User', '../models/user.model');
+    const user = await User.findById(userId).select(USER_FIELDS).lean();
+    return {
+      name: user?.name || user?.username || 'Anonymous',
+      avatar: user?.profilePicture || user?.avatar || null
+    };
+  }
+
+  /**
+   * Comment on a blog / post, or reply to `parentCommentId` (the target
+   * is taken from the parent when not given)
+   */
+  async create(userId, { content, blogId, postId, parentCommentId }) {
+    const Comment = this.getCommentModel();
+    const text = (content || '').trim();
+    if (!text) throw this.commentError('Comment content is required');
+    if (text.length > this.config.maxLength) {
+      throw this.commentError(`Comments can be up to ${this.config.maxLength} characters`);
+    }
+
+    let parent = null;
+    if (parentCommentId) {
+      parent = await Comment.findById(parentCommentId).lean();
+      if (!parent || statusOf(parent) !== 'visible') throw this.commentError('Comment not found', 404);
+      if (parent.isDeleted) throw this.commentError("You can't reply to a deleted comment");
+      if ((blogId && idOf(parent.blog) !== idOf(blogId)) || (postId && idOf(parent.post) !== idOf(postId))) {
+        throw this.commentError('That comment is on a different thread');
+      }
+    }
+
+    const target = await this.getTarget(parent ? this.targetOf(parent) : { blogId, postId });
+
+    const others = [target.ownerId, parent && idOf(parent.user)].filter(Boolean);
+    const blocked = await blockService.getBlockedBetween(userId, others);
+    if (blocked.size > 0) throw this.commentError("You can't comment on this", 403);
+
+    // At the depth limit the reply goes next to the comment it answers
+    let threading = {};
+    if (parent) {
+      const parentDepth = parent.depth || 0;
+      const atLimit = parentDepth >= this.config.maxDepth;
+      threading = {
+        parentComment: atLimit ? parent.parentComment : parent._id,
+        rootComment: parent.rootComment || parent.parentComment || parent._id,
+        depth: atLimit ? parentDepth : parentDepth + 1,
+        inReplyTo: atLimit ? parent._id : null
+      };
+    }
+
+    const [userInfo, check] = await Promise.all([
+      this.getUserInfo(userId),
+      this.moderate(text)
+    ]);
+
+    const comment = new Comment({
+      content: text,
+      user: userId,
+      authorName: userInfo.name,
+      authorAvatar: userInfo.avatar,
+      [target.field]: target.id,
+      ...threading,
+      status: check.held ? 'held' : 'visible',
+      moderation: check.moderation
+    });
+    await comment.save();
+
+    if (check.held) {
+      console.log(`🛡️ Comment ${comment._id} held for review: ${comment.moderation.flags.join(', ')}`);
+    } else {
+      await this.adjustCounts(comment, 1);
+      await this.parse(comment, target);
+      this.deferAICheck(comment);
+    }
+
+    await comment.populate('user', USER_FIELDS);
+    return this.format(comment.toObject(), userId);
+  }
+
+  // ==========================================
+  // READ
+  // ==========================================
+
+  /**
+   * Query + post-filter for what `viewerId` sees: visible comments and
+   * their own held ones, without blocked / muted people or muted words
+   */
+  async getViewerScope(viewerId) {
+    const filter = await blockService.getFilter(viewerId);
+    const hidden = filter.hiddenAuthors();
+    const match = {
+      ...(viewerId
+        ? { $or: [{ status: VISIBLE }, { status: 'held', user: toObjectId(viewerId) }] }
+        : { status: VISIBLE }),
+      ...(hidden.length ? { user: { $nin: hidden.map(toObjectId) } } : {})
+    };
+    return {
+      match,
+      visible: (comments) => comments.filter(c => c.isDeleted || !filter.hides({ text: c.content }))
+    };
+  }
+
+  /**
+   * Up to `repliesPreview` replies for each of `parents`, nested
+   * `levels` deep
+   */
+  async attachReplies(parents, { scope, sort, viewerId, levels }) {
+    if (!parents.length || levels <= 0) return parents;
+    const Comment = this.getCommentModel();
+
+    const groups = await Comment.aggregate([
+      { $match: { parentComment: { $in: parents.map(p => p._id) }, ...scope.match } },
+      { $sort: SORTS[sort] },
+      { $project: { editHistory: 0, replies: 0 } },
+      { $group: { _id: '$parentComment', replies: { $push: '$$ROOT' } } },
+      // Take a few extra so the word filter doesn't leave previews short
+      { $project: { replies: { $slice: ['$replies', this.config.repliesPreview * 2] } } }
+    ]);
+
+    const byParent = new Map(groups.map(g => [idOf(g._id), scope.visible(g.replies).slice(0, this.config.repliesPreview)]));
+    const replies = [...byParent.values()].flat();
+    await Comment.populate(replies, { path: 'user', select: USER_FIELDS });
+    await this.attachReplies(replies, { scope, sort, viewerId, levels: levels - 1 });
+
+    for (const parent of parents) {
+      parent.replies = (byParent.get(idOf(parent._id)) || []).map(reply => this.format(reply, viewerId));
+      parent.hasMoreReplies = (parent.replyCount || 0) > parent.replies.length;
+    }
+    return parents;
+  }
+
+  /**
+   * Top-level comments on a blog / post with reply previews
+   */
+  async list(viewerId, { blogId, postId }, { sort = 'top', page = 1, limit = 20 } = {}) {
+    const Comment = this.getCommentModel();
+    const target = await this.getTarget({ blogId, postId });
+    const scope = await this.getViewerScope(viewerId);
+    const query = { [target.field]: target.id, parentComment: null, ...scope.match };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .select('-editHistory -replies')
+        .populate('user', USER_FIELDS)
+        .sort({ isPinned: -1, ...SORTS[sort] })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    const visible = scope.visible(comments);
+    await this.attachReplies(visible, { scope, sort, viewerId, levels: this.config.previewDepth });
+
+    return {
+      comments: visible.map(c => this.format(c, viewerId)),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      sort
+    };
+  }
+
+  /**
+   * Direct replies to one comment (the ones previews leave out)
+   */
+  async getReplies(viewerId, commentId, { sort = 'top', page = 1, limit = 20 } = {}) {
+    const Comment = this.getCommentModel();
+    const parent = await Comment.findById(commentId).select('status user').lean();
+    if (!parent || !this.canSee(parent, viewerId)) throw this.commentError('Comment not found', 404);
+
+    const scope = await this.getViewerScope(viewerId);
+    const query = { parentComment: parent._id, ...scope.match };
+
+    const [replies, total] = await Promise.all([
+      Comment.find(query)
+        .select('-editHistory -replies')
+        .populate('user', USER_FIELDS)
+        .sort(SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    const visible = scope.visible(replies);
+    await this.attachReplies(visible, { scope, sort, viewerId, levels: this.config.previewDepth - 1 });
+
+    return {
+      comments: visible.map(c => this.format(c, viewerId)),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      sort
+    };
+  }
+
+  canSee(comment, viewerId, { isAdmin = false } = {}) {
+    if (statusOf(comment) === 'visible' || isAdmin) return true;
+    return comment.status === 'held' && !!viewerId && idOf(comment.user) === idOf(viewerId);
+  }
+
+  /**
+   * Earlier versions of a comment, newest first
+   */
+  async getHistory(viewerId, commentId, { isAdmin = false } = {}) {
+    const Comment = this.getCommentModel();
+    const comment = await Comment.findById(commentId).select('content user status isDeleted editedAt createdAt editHistory').lean();
+    if (!comment || !this.canSee(comment, viewerId, { isAdmin })) throw this.commentError('Comment not found', 404);
+    if (comment.isDeleted) return { current: null, history: [] };
+
+    return {
+      current: { content: comment.content, editedAt: comment.editedAt || null },
+      history: [...(comment.editHistory || [])].reverse()
+    };
+  }
+
+  /**
+   * API shape - vote arrays become counts and the viewer's own vote
+   */
+  format(comment, viewerId = null) {
+    const { likes = [], dislikes = [], editHistory, moderation, ...rest } = comment;
+    const viewer = idOf(viewerId);
+    const likeCount = comment.likeCount ?? likes.length;
+    const score = comment.score ?? likeCount - (comment.dislikeCount || 0);
+
+    return {
+      ...rest,
+      likeCount,
+      likesCount: likeCount,
+      dislikeCount: comment.dislikeCount || 0,
+      score,
+      depth: comment.depth || 0,
+      replyCount: comment.replyCount ?? (comment.replies?.length || 0),
+      isPinned: !!comment.isPinned,
+      status: statusOf(comment),
+      editCount: editHistory?.length || 0,
+      collapsed: !comment.isPinned && score <= this.config.collapseScore,
+      viewerVote: !viewer ? 0
+        : likes.some(id => idOf(id) === viewer) ? 1
+          : dislikes.some(id => idOf(id) === viewer) ? -1 : 0,
+      ...(comment.status === 'held' && moderation ? { moderation: { flags: moderation.flags || [] } } : {})
+    };
+  }
+
+  // ==========================================
+  // VOTES
+  // ==========================================
+
+  /**
+   * 1 = like, -1 = dislike, 0 = clear. One update sets the vote arrays
+   * and recomputes the counts, score and controversy from them.
+   */
+  async vote(userId, commentId, value) {
+    const Comment = this.getCommentModel();
+    const comment = await Comment.findById(commentId).select('user status isDeleted').lean();
+    if (!comment || statusOf(comment) !== 'visible') throw this.commentError('Comment not found', 404);
+    if (comment.isDeleted) throw this.commentError("You can't vote on a deleted comment");
+    if (await blockService.isBlocked(userId, comment.user)) {
+      throw this.commentError("You can't interact with this user", 403);
+    }
+
+    const voter = [toObjectId(userId)];
+    const withVote = (field, add) => add
+      ? { $setUnion: [{ $ifNull: [field, []] }, voter] }
+      : { $setDifference: [{ $ifNull: [field, []] }, voter] };
+
+    const updated = await Comment.findOneAndUpdate({ _id: comment._id }, [
+      { $set: { likes: withVote('$likes', value === 1), dislikes: withVote('$dislikes', value === -1) } },
+      { $set: { likeCount: { $size: '$likes' }, dislikeCount: { $size: '$dislikes' } } },
+      {
+        $set: {
+          score: { $subtract: ['$likeCount', '$dislikeCount'] },
+          controversy: {
+            $cond: [
+              { $and: [{ $gt: ['$likeCount', 0] }, { $gt: ['$dislikeCount', 0] }] },
+              {
+                $pow: [
+                  { $add: ['$likeCount', '$dislikeCount'] },
+                  { $divide: [{ $min: ['$likeCount', '$dislikeCount'] }, { $max: ['$likeCount', '$dislikeCount'] }] }
+                ]
+              },
+              0
+            ]
+          }
+        }
+      }
+    ], { new: true }).select('likeCount dislikeCount score').lean();
+
+    return {
+      vote: value,
+      likeCount: updated.likeCount,
+      dislikeCount: updated.dislikeCount,
+      score: updated.score
+    };
+  }
+
+  /**
+   * The old like button: like, or clear the like
+   */
+  async toggleLike(userId, commentId) {
+    const Comment = this.getCommentModel();
+    const liked = await Comment.exists({ _id: commentId, likes: toObjectId(userId) });
+    const result = await this.vote(userId, commentId, liked ? 0 : 1);
+    return { ...result, liked: !liked };
+  }
+
+  // ==========================================
+  // EDIT / PIN / DELETE
+  // ==========================================
+
+  async edit(userId, commentId, content) {
+    const Comment = this.getCommentModel();
+    const text = (content || '').trim();
+    if (!text) throw this.commentError('Comment content is required');
+    if (text.length > this.config.maxLength) {
+      throw this.commentError(`Comments can be up to ${this.config.maxLength} characters`);
+    }
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.status === 'removed') throw this.commentError('Comment not found', 404);
+    if (idOf(comment.user) !== idOf(userId)) throw this.commentError('Not authorized', 403);
+    if (comment.isDeleted) throw this.commentError("Deleted comments can't be edited");
+    if (comment.content === text) return this.format(comment.toObject(), userId);
+
+    const wasVisible = comment.status === 'visible';
+    const check = await this.moderate(text);
+    const now = new Date();
+
+    const updated = await Comment.findOneAndUpdate({ _id: comment._id }, {
+      $push: {
+        editHistory: {
+          $each: [{ content: comment.content, editedAt: comment.editedAt || comment.createdAt }],
+          $slice: -this.config.maxEditHistory
+        }
+      },
+      $set: {
+        content: text,
+        isEdited: true,
+        editedAt: now,
+        ...check.fields,
+        // An edit can put a comment on hold, but only review releases it
+        ...(check.held ? { status: 'held' } : {})
+      }
+    }, { new: true }).populate('user', USER_FIELDS);
+
+    if (wasVisible && check.held) {
+      await this.adjustCounts(updated, -1);
+      await contentParsingService.removeContent('comment', updated._id);
+    } else if (updated.status === 'visible') {
+      await this.parse(updated, await this.getTarget(this.targetOf(updated)));
+      this.deferAICheck(updated);
+    }
+
+    return this.format(updated.toObject(), userId);
+  }
+
+  /**
+   * Pin / unpin a top-level comment - blog / post author or admins.
+   * Past `maxPinned`, the longest-pinned comment is unpinned.
+   */
+  async pin(user, commentId, pinned = true) {
+    const Comment = this.getCommentModel();
+    const comment = await Comment.findById(commentId).select('blog post parentComment status isDeleted isPinned').lean();
+    if (!comment || statusOf(comment) !== 'visible') throw this.commentError('Comment not found', 404);
+
+    const target = await this.getTarget(this.targetOf(comment));
+    if (target.ownerId !== idOf(user.id) && !user.isAdmin) {
+      throw this.commentError('Only the author can pin comments', 403);
+    }
+
+    if (pinned) {
+      if (comment.parentComment) throw this.commentError('Only top-level comments can be pinned');
+      if (comment.isDeleted) throw this.commentError("Deleted comments can't be pinned");
+
+      const others = await Comment.find({ [target.field]: target.id, isPinned: true, _id: { $ne: comment._id } })
+        .sort({ pinnedAt: -1 })
+        .select('_id')
+        .lean();
+      const unpin = others.slice(Math.max(this.config.maxPinned - 1, 0)).map(c => c._id);
+      if (unpin.length) {
+        await Comment.updateMany({ _id: { $in: unpin } }, { $set: { isPinned: false }, $unset: { pinnedAt: 1 } });
+      }
+      await Comment.updateOne({ _id: comment._id }, { $set: { isPinned: true, pinnedAt: new Date() } });
+    } else {
+      await Comment.updateOne({ _id: comment._id }, { $set: { isPinned: false }, $unset: { pinnedAt: 1 } });
+    }
+
+    return { pinned };
+  }
+
+  /**
+   * Delete - the comment's author, the blog / post author or admins.
+   * Comments with replies are blanked so the thread stays readable.
+   */
+  async remove(user, commentId) {
+    const Comment = this.getCommentModel();
+    const comment = await Comment.findById(commentId).lean();
+    if (!comment || comment.isDeleted) throw this.commentError('Comment not found', 404);
+
+    if (idOf(comment.user) !== idOf(user.id) && !user.isAdmin) {
+      const target = await this.getTarget(this.targetOf(comment)).catch(() => null);
+      if (target?.ownerId !== idOf(user.id)) throw this.commentError('Not authorized', 403);
+    }
+
+    const hasReplies = await Comment.exists({ parentComment: comment._id });
+    if (hasReplies) {
+      await Comment.updateOne({ _id: comment._id }, {
+        $set: { content: DELETED_TEXT, isDeleted: true, isPinned: false, editHistory: [] },
+        $unset: { pinnedAt: 1 }
+      });
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+    }
+
+    // A blanked comment still sits in its parent's thread
+    if (statusOf(comment) === 'visible') await this.adjustCounts(comment, -1, { thread: !hasReplies });
+    contentParsingService.defer('comment deleted', () => contentParsingService.removeContent('comment', comment._id));
+
+    return { softDeleted: !!hasReplies };
+  }
+
+  // ==========================================
+  // REVIEW (admins)
+  // ==========================================
+
+  async listHeld({ page = 1, limit = 20 } = {}) {
+    const Comment = this.getCommentModel();
+    const query = { status: 'held' };
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .select('-likes -dislikes -replies')
+        .populate('user', USER_FIELDS)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+    return { comments, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * approve - make a held (or removed) comment visible
+   * remove  - take it down; it stays in the database for appeals
+   */
+  async review(adminId, commentId, { action, note }) {
+    const Comment = this.getCommentModel();
+    const comment = await Comment.findById(commentId).lean();
+    if (!comment || comment.isDeleted) throw this.commentError('Comment not found', 404);
+
+    const status = action === 'approve' ? 'visible' : 'removed';
+    if (statusOf(comment) === status) return { status };
+
+    const updated = await Comment.findOneAndUpdate({ _id: comment._id }, {
+      $set: {
+        status,
+        ...(status === 'removed' ? { isPinned: false } : {}),
+        'moderation.reviewedBy': adminId,
+        'moderation.reviewedAt': new Date(),
+        'moderation.note': note || ''
+      }
+    }, { new: true });
+
+    if (status === 'visible') {
+      await this.adjustCounts(updated, 1);
+      await this.parse(updated, await this.getTarget(this.targetOf(updated)));
+    } else {
+      if (statusOf(comment) === 'visible') await this.adjustCounts(comment, -1);
+      await contentParsingService.removeContent('comment', comment._id);
+    }
+
+    console.log(`🛡️ Comment ${comment._id} ${status === 'visible' ? 'approved' : 'removed'} by ${adminId}`);
+    return { status };
+  }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,390 @@
+// ============================================
+// FILE: services/content-parsing.service.js
+// Content Parsing Service
+// VERSION: 1.1
+// @mentions and #hashtags for everything people write: posts,
+// comments, group posts, blogs and chat messages. Routes call
+// processContent() after a create / edit and removeContent() after a
+// delete; this service
+// - finds @username and #tag (ignoring emails, URLs, HTML entities)
+// - resolves mentions to users the content is visible to, skipping
+//   anyone blocked either way (services/block.service.js), and records
+//   them (models/mention.model.js)
+// - notifies people newly mentioned, if their preferences and mutes allow
+// - records hashtag use on public content for /api/hashtags/trending
+// ============================================
+
+const mongoose = require('mongoose');
+const { stripHtml } = require('../utils/search-text');
+const blockService = require('./block.service');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_MENTIONS = 20;
+const MAX_HASHTAGS = 30;
+const MAX_USERNAME_LENGTH = 30;
+const MAX_HASHTAG_LENGTH = 50;
+// Trending counts at most this many uses of one tag per author
+const TRENDING_PER_AUTHOR = 3;
+
+const TRENDING_PERIODS = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': 30 * 24 * HOUR
+};
+
+// What each kind of content is called in notifications, what the
+// notification links to, and where resolved mentions are stored
+const CONTENT_TYPES = {
+  post: { label: 'a post', entityModel: 'Post', store: { model: 'Post', file: '../models/post.model' } },
+  post_comment: { label: 'a comment', entityModel: 'Post' },
+  comment: { label: 'a comment', entityModel: 'Comment' },
+  blog: { label: 'a blog post', entityModel: 'Blog' },
+  group_post: { label: 'a group post', entityModel: 'GroupPost', store: { model: 'GroupPost', file: '../models/groupPost.model' } },
+  group_comment: { label: 'a group comment', entityModel: 'GroupPost' },
+  message: { label: 'a message', entityModel: 'Conversation' }
+};
+
+const MENTION_PATTERN = /(?<![\w@./])@([a-z0-9_](?:[a-z0-9_.]*[a-z0-9_])?)/gi;
+const HASHTAG_PATTERN = /(?<![\w&#/])#([\p{L}\p{N}_]+)/gu;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const toObjectId = (value) => new mongoose.Types.ObjectId(idOf(value));
+
+class ContentParsingService {
+  constructor() {
+    this.contentTypes = CONTENT_TYPES;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  // ==========================================
+  // PARSING
+  // ==========================================
+
+  /**
+   * @param {String} text
+   * @param {Object} options { html } - text is HTML (blog bodies)
+   * @returns {Object} { mentions: [username], hashtags: [{ name, displayName }] }
+   */
+  parse(text, { html = false } = {}) {
+    const plain = (html ? stripHtml(text) : String(text || '')).replace(URL_PATTERN, ' ');
+
+    const mentions = new Set();
+    for (const match of plain.matchAll(MENTION_PATTERN)) {
+      const username = match[1].toLowerCase();
+      if (username.length <= MAX_USERNAME_LENGTH) mentions.add(username);
+      if (mentions.size >= MAX_MENTIONS) break;
+    }
+
+    const hashtags = new Map();
+    for (const match of plain.matchAll(HASHTAG_PATTERN)) {
+      const displayName = match[1];
+      // "#1" is a ranking, not a tag
+      if (displayName.length > MAX_HASHTAG_LENGTH || !/\p{L}/u.test(displayName)) continue;
+      const name = displayName.toLowerCase();
+      if (!hashtags.has(name)) hashtags.set(name, { name, displayName });
+      if (hashtags.size >= MAX_HASHTAGS) break;
+    }
+
+    return { mentions: [...mentions], hashtags: [...hashtags.values()] };
+  }
+
+  /**
+   * Lower-cased hashtag names only (model hooks use this)
+   */
+  extractHashtags(text, options) {
+    return this.parse(text, options).hashtags.map(tag => tag.name);
+  }
+
+  // ==========================================
+  // MENTIONS
+  // ==========================================
+
+
+  /**
+   * Mentioned usernames -> users who may be mentioned here
+   * @param {Array|Function} audience ids the content is visible to, or
+   *   async (ids) => ids; omitted means visible to everyone
+   */
+  async resolveMentions(usernames, authorId, audience) {
+    if (!usernames.length) return [];
+    const User = this.model('User', '../models/user.model');
+
+    let users = await User.find({ username: { $in: usernames } })
+      .select('name username email preferences pushTokens isBanned')
+      .lean();
+    users = users.filter(u => idOf(u._id) !== idOf(authorId) && !u.isBanned);
+
+    if (audience) {
+      const ids = users.map(u => idOf(u._id));
+      const allowed = new Set((typeof audience === 'function' ? await audience(ids) : audience).map(idOf));
+      users = users.filter(u => allowed.has(idOf(u._id)));
+    }
+
+    const blocked = await blockService.getBlockedBetween(authorId, users.map(u => u._id));
+    return users.filter(u => !blocked.has(idOf(u._id)));
+  }
+
+  /**
+   * Audience for content with a public / followers / private setting
+   */
+  audienceFor(authorId, visibility = 'public') {
+    if (!visibility || visibility === 'public') return null;
+    if (visibility !== 'followers') return [];
+    return async (ids) => {
+      const Follow = this.model('Follow', '../models/follow.model');
+      const follows = await Follow.find({
+        follower: { $in: ids.map(toObjectId) },
+        following: toObjectId(authorId),
+        status: 'active'
+      }).select('follower').lean();
+      return follows.map(f => f.follower);
+    };
+  }
+
+  /**
+   * Make the recorded mentions of one piece of content match `users`;
+   * returns the users that are new
+   */
+  async syncMentions({ type, id, parentId, authorId }, users) {
+    const Mention = this.model('Mention', '../models/mention.model');
+    const existing = await Mention.find({ contentType: type, contentId: id }).select('user').lean();
+    const had = new Set(existing.map(m => idOf(m.user)));
+    const wanted = new Set(users.map(u => idOf(u._id)));
+
+    const added = users.filter(u => !had.has(idOf(u._id)));
+    const removed = [...had].filter(userId => !wanted.has(userId));
+
+    if (removed.length) {
+      await Mention.deleteMany({ contentType: type, contentId: id, user: { $in: removed.map(toObjectId) } });
+    }
+    if (added.length) {
+      try {
+        await Mention.insertMany(added.map(u => ({
+          user: u._id,
+          mentionedBy: authorId,
+          contentType: type,
+          contentId: id,
+          parentId: parentId || id
+        })), { ordered: false });
+      } catch (error) {
+        // A concurrent edit already recorded some of them
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return added;
+  }
+
+  async notifyMentions({ type, id, parentId, authorId, text, html, url }, users) {
+    if (!users.length) return 0;
+    const notificationService = require('./notification.service');
+    const Mention = this.model('Mention', '../models/mention.model');
+    const User = this.model('User', '../models/user.model');
+
+    const sender = await User.findById(authorId).select('name username').lean();
+    const senderName = sender?.name || sender?.username || 'Someone';
+    const config = CONTENT_TYPES[type];
+    const plain = (html ? stripHtml(text) : String(text || '')).replace(/\s+/g, ' ').trim();
+    const excerpt = plain.length > 120 ? `${plain.slice(0, 117)}...` : plain;
+    const clientUrl = process.env.CLIENT_URL || 'https://cybev.io';
+
+    const notified = [];
+    for (const user of users) {
+      if (user.preferences?.notifications?.mentions === false) continue;
+      // Muted the author, or a word / hashtag in the text
+      const filter = await blockService.getFilter(user._id);
+      if (filter.hides({ authors: [authorId], text: plain }, 'notifications')) continue;
+      const sent = await notificationService.sendMentionNotification(user, {
+        senderId: authorId,
+        entityId: parentId || id,
+        entityModel: config.entityModel,
+        message: `${senderName} mentioned you in ${config.label}`,
+        actionUrl: url ? `${clientUrl}${url}` : null,
+        data: { contentType: type, contentId: idOf(id), excerpt }
+      });
+      if (sent.notification) notified.push(user._id);
+    }
+
+    if (notified.length) {
+      await Mention.updateMany({ contentType: type, contentId: id, user: { $in: notified } }, { $set: { notified: true } });
+    }
+    return notified.length;
+  }
+
+  // ==========================================
+  // HASHTAGS
+  // ==========================================
+
+  /**
+   * Make the recorded hashtag uses of one piece of content match
+   * `hashtags` (none when the content isn't public)
+   */
+  async syncHashtags({ type, id, authorId, createdAt }, hashtags) {
+    const Hashtag = this.model('Hashtag', '../models/hashtag.model');
+    const HashtagUsage = this.model('HashtagUsage', '../models/hashtag-usage.model');
+
+    const existing = await HashtagUsage.find({ contentType: type, contentId: id }).select('tag').lean();
+    const had = new Set(existing.map(u => u.tag));
+    const wanted = new Map(hashtags.map(tag => [tag.name, tag]));
+
+    const added = [...wanted.values()].filter(tag => !had.has(tag.name));
+    const removed = [...had].filter(name => !wanted.has(name));
+    const now = new Date();
+
+    if (removed.length) {
+      await HashtagUsage.deleteMany({ contentType: type, contentId: id, tag: { $in: removed } });
+      await Hashtag.updateMany({ name: { $in: removed }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+    }
+
+    for (const tag of added) {
+      try {
+        await HashtagUsage.create({ tag: tag.name, contentType: type, contentId: id, author: authorId, createdAt: createdAt || now });
+      } catch (error) {
+        if (error.code === 11000) continue;
+        throw error;
+      }
+      await Hashtag.findOneAndUpdate(
+        { name: tag.name },
+        {
+          $set: { lastUsed: now },
+          $setOnInsert: { displayName: tag.displayName },
+          $inc: { usageCount: 1 }
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * What's trending: tags on the most public content in the period,
+   * counting at most TRENDING_PER_AUTHOR uses per person so one
+   * account can't push a tag up alone
+   */
+  async getTrending({ period = '24h', limit = 10 } = {}) {
+    const Hashtag = this.model('Hashtag', '../models/hashtag.model');
+    const HashtagUsage = this.model('HashtagUsage', '../models/hashtag-usage.model');
+    const since = new Date(Date.now() - (TRENDING_PERIODS[period] || TRENDING_PERIODS['24h']));
+
+    const rows = await HashtagUsage.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: { tag: '$tag', author: '$author' }, uses: { $sum: 1 } } },
+      {
+        $group: {
+          _id: '$_id.tag',
+          uses: { $sum: { $min: ['$uses', TRENDING_PER_AUTHOR] } },
+          authors: { $sum: 1 }
+        }
+      },
+      { $sort: { uses: -1, authors: -1, _id: 1 } },
+      { $limit: limit * 2 }
+    ]);
+
+    const tags = await Hashtag.find({ name: { $in: rows.map(r => r._id) }, isBlocked: { $ne: true } })
+      .select('name displayName usageCount')
+      .lean();
+    const byName = new Map(tags.map(t => [t.name, t]));
+
+    return rows
+      .filter(row => byName.has(row._id))
+      .slice(0, limit)
+      .map(row => ({
+        ...byName.get(row._id),
+        trendingScore: row.uses,
+        authors: row.authors
+      }));
+  }
+
+  // ==========================================
+  // ENTRY POINTS
+  // ==========================================
+
+  /**
+   * Parse content after a create or edit. Never throws - a failure
+   * here shouldn't fail the write that triggered it.
+   *
+   * @param {Object} options
+   *   type      key of CONTENT_TYPES
+   *   id        the content's _id (a comment's own id for comments)
+   *   parentId  what notifications open (post of a comment, ...)
+   *   author    user id of the writer
+   *   text      the content; html: true for HTML bodies
+   *   url       client path for the notification link
+   *   audience  who can see it (see resolveMentions)
+   *   isPublic  record hashtags for trending (default true)
+   *   createdAt when the content was first published
+   * @returns {Object} { mentions: [userId], hashtags: [name] }
+   */
+  async processContent({ type, id, parentId = null, author, text, html = false, url = null, audience = null, isPublic = true, createdAt = null }) {
+    const empty = { mentions: [], hashtags: [] };
+    if (!CONTENT_TYPES[type] || !id || !author || mongoose.connection.readyState !== 1) return empty;
+
+    try {
+      const parsed = this.parse(text, { html });
+      const context = { type, id: toObjectId(id), parentId: parentId ? toObjectId(parentId) : null, authorId: toObjectId(author), text, html, url, createdAt };
+
+      const users = await this.resolveMentions(parsed.mentions, author, audience);
+      const added = await this.syncMentions(context, users);
+      await this.notifyMentions(context, added);
+
+      await this.syncHashtags(context, isPublic ? parsed.hashtags : []);
+
+      const mentions = users.map(u => u._id);
+      const store = CONTENT_TYPES[type].store;
+      if (store) {
+        await this.model(store.model, store.file).updateOne({ _id: context.id }, { $set: { mentions } });
+      }
+
+      return { mentions, hashtags: parsed.hashtags.map(tag => tag.name) };
+    } catch (error) {
+      console.error(`Content parsing (${type} ${id}) error:`, error.message);
+      return empty;
+    }
+  }
+
+  /**
+   * Forget mentions and hashtag uses of deleted content
+   */
+  async removeContent(type, ids) {
+    const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(toObjectId);
+    if (!list.length || mongoose.connection.readyState !== 1) return;
+
+    try {
+      const Mention = this.model('Mention', '../models/mention.model');
+      const Hashtag = this.model('Hashtag', '../models/hashtag.model');
+      const HashtagUsage = this.model('HashtagUsage', '../models/hashtag-usage.model');
+
+      await Mention.deleteMany({ contentType: type, contentId: { $in: list } });
+
+      const usages = await HashtagUsage.find({ contentType: type, contentId: { $in: list } }).select('tag').lean();
+      if (usages.length) {
+        await HashtagUsage.deleteMany({ contentType: type, contentId: { $in: list } });
+        const counts = new Map();
+        usages.forEach(u => counts.set(u.tag, (counts.get(u.tag) || 0) + 1));
+        await Hashtag.bulkWrite([...counts].map(([name, count]) => ({
+          updateOne: { filter: { name }, update: { $inc: { usageCount: -count } } }
+        })));
+        await Hashtag.updateMany({ name: { $in: [...counts.keys()] }, usageCount: { $lt: 0 } }, { $set: { usageCount: 0 } });
+      }
+    } catch (error) {
+      console.error(`Content parsing cleanup (${type}) error:`, error.message);
+    }
+  }
+
+  /**
+   * Run after the response - for callers that don't need the result
+   */
+  defer(label, task) {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(task)
+        .catch(error => console.error(`Content parsing (${label}) error:`, error.message));
+    });
+  }
+}
+
+module.exports = new ContentParsingService();
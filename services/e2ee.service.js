@@ -0,0 +1,377 @@
+// ============================================
+// FILE: services/e2ee.service.js
+// End-to-End Encryption Service
+// VERSION: 1.0
+// Opt-in end-to-end encryption for direct chats. The server never sees
+// a private key or plaintext; it:
+// - keeps each device's public keys (models/device-key.model.js) and
+//   hands out prekey bundles, one single-use prekey per device per
+//   fetch (models/one-time-prekey.model.js)
+// - checks an encrypted message carries exactly one envelope per
+//   active device of both people (minus the sending device) - if the
+//   device list changed it answers 409 with what's missing / stale so
+//   the client can fetch bundles and resend
+// - checks every attachment's key is wrapped for those same devices
+// - gives each reader only the envelopes addressed to them
+// Search skips encrypted messages and reports carry plaintext only if
+// the reporter chooses to include it. Limits are in config/e2ee.js.
+// ============================================
+
+const mongoose = require('mongoose');
+const { E2EE } = require('../config/e2ee');
+const blockService = require('./block.service');
+
+const DEVICE_FIELDS = 'deviceId name registrationId identityKey signedPreKey lastSeenAt createdAt';
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const deviceKey = (userId, deviceId) => `${idOf(userId)}:${deviceId}`;
+
+class E2EEService {
+  constructor() {
+    this.config = E2EE;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getDeviceModel() {
+    return this.model('DeviceKey', '../models/device-key.model');
+  }
+
+  getPreKeyModel() {
+    return this.model('OneTimePreKey', '../models/one-time-prekey.model');
+  }
+
+  e2eeError(message, status = 400, details = null) {
+    const error = new Error(message);
+    error.name = 'E2EEError';
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+  }
+
+  // ==========================================
+  // DEVICES
+  // ==========================================
+
+  formatDevice(device, preKeyCount) {
+    return {
+      deviceId: device.deviceId,
+      name: device.name,
+      registrationId: device.registrationId,
+      identityKey: device.identityKey,
+      signedPreKey: device.signedPreKey,
+      lastSeenAt: device.lastSeenAt,
+      createdAt: device.createdAt,
+      ...(preKeyCount !== undefined ? { preKeyCount, preKeysLow: preKeyCount < this.config.lowPreKeyThreshold } : {})
+    };
+  }
+
+  /**
+   * Register a device or rotate its signed prekey. A new identity key
+   * on an existing device id counts as a new device: its old prekeys are
+   * dropped and the people it chats with are told.
+   */
+  async registerDevice(userId, deviceId, { name, registrationId, identityKey, signedPreKey, oneTimePreKeys = [] }) {
+    const DeviceKey = this.getDeviceModel();
+    const PreKey = this.getPreKeyModel();
+
+    const existing = await DeviceKey.findOne({ user: userId, deviceId }).lean();
+    const isNew = !existing || !!existing.revokedAt;
+    if (isNew) {
+      const active = await DeviceKey.countDocuments({ user: userId, revokedAt: null });
+      if (active >= this.config.maxDevices) {
+        throw this.e2eeError(`You can have up to ${this.config.maxDevices} devices - remove one first`, 409);
+      }
+    }
+    const identityChanged = !!existing && existing.identityKey !== identityKey;
+
+    const device = await DeviceKey.findOneAndUpdate(
+      { user: userId, deviceId },
+      {
+        $set: {
+          identityKey,
+          signedPreKey,
+          lastSeenAt: new Date(),
+          revokedAt: null,
+          ...(name !== undefined ? { name } : {}),
+          ...(registrationId !== undefined ? { registrationId } : {})
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    if (identityChanged || existing?.revokedAt) await PreKey.deleteMany({ user: userId, deviceId });
+    const preKeyCount = await this.addPreKeys(userId, deviceId, oneTimePreKeys, { checkDevice: false });
+
+    if (isNew || identityChanged) {
+      await this.notifyKeyChange(userId, deviceId, isNew ? 'device-added' : 'identity-changed');
+    }
+
+    return this.formatDevice(device, preKeyCount);
+  }
+
+  /**
+   * Store more one-time prekeys (up to `maxOneTimePreKeys` unclaimed);
+   * key ids already stored are ignored. Returns how many are left.
+   */
+  async addPreKeys(userId, deviceId, keys = [], { checkDevice = true } = {}) {
+    const PreKey = this.getPreKeyModel();
+    if (checkDevice) await this.getActiveDevice(userId, deviceId);
+
+    const count = await PreKey.countDocuments({ user: userId, deviceId });
+    const room = Math.max(this.config.maxOneTimePreKeys - count, 0);
+    const batch = keys.slice(0, room).map(key => ({ user: userId, deviceId, keyId: key.keyId, publicKey: key.publicKey }));
+
+    if (batch.length) {
+      try {
+        await PreKey.insertMany(batch, { ordered: false });
+      } catch (error) {
+        // Duplicate key ids - the rest are stored
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+      }
+    }
+    return PreKey.countDocuments({ user: userId, deviceId });
+  }
+
+  async getActiveDevice(userId, deviceId) {
+    const DeviceKey = this.getDeviceModel();
+    const device = deviceId ? await DeviceKey.findOne({ user: userId, deviceId, revokedAt: null }).lean() : null;
+    if (!device) throw this.e2eeError('This device is not registered for encrypted chats', 404);
+    return device;
+  }
+
+  async getPreKeyStatus(userId, deviceId) {
+    await this.getActiveDevice(userId, deviceId);
+    const count = await this.getPreKeyModel().countDocuments({ user: userId, deviceId });
+    return { preKeyCount: count, preKeysLow: count < this.config.lowPreKeyThreshold };
+  }
+
+  async listDevices(userId) {
+    const DeviceKey = this.getDeviceModel();
+    const devices = await DeviceKey.find({ user: userId, revokedAt: null }).select(DEVICE_FIELDS).sort({ createdAt: 1 }).lean();
+    return devices.map(d => this.formatDevice(d));
+  }
+
+  async revokeDevice(userId, deviceId) {
+    const DeviceKey = this.getDeviceModel();
+    const result = await DeviceKey.updateOne({ user: userId, deviceId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    if (!result.matchedCount) throw this.e2eeError('Device not found', 404);
+
+    await this.getPreKeyModel().deleteMany({ user: userId, deviceId });
+    await this.notifyKeyChange(userId, deviceId, 'device-removed');
+  }
+
+  async getActiveDevices(userIds) {
+    const DeviceKey = this.getDeviceModel();
+    return DeviceKey.find({ user: { $in: userIds }, revokedAt: null }).select('user deviceId').lean();
+  }
+
+  /**
+   * Tell the user's own devices and everyone they have an encrypted
+   * chat with, so they refetch bundles (and can show a safety number
+   * change)
+   */
+  async notifyKeyChange(userId, deviceId, action) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const conversations = await Conversation.find({
+      type: 'direct',
+      participants: userId,
+      'encryption.enabled': true
+    }).select('participants').lean();
+
+    const partners = conversations.flatMap(c => c.participants);
+    await require('./message-sync.service').record([userId, ...partners], 'keys', {
+      data: { userId: idOf(userId), deviceId, action }
+    });
+  }
+
+  // ==========================================
+  // BUNDLES
+  // ==========================================
+
+  /**
+   * One bundle per active device of `targetId`, each with a freshly
+   * claimed one-time prekey when any are left. Only for yourself (your
+   * other devices) or someone you have a direct chat with.
+   */
+  async getBundles(requesterId, targetId) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const DeviceKey = this.getDeviceModel();
+    const PreKey = this.getPreKeyModel();
+
+    if (idOf(requesterId) !== idOf(targetId)) {
+      if (await blockService.isBlocked(requesterId, targetId)) {
+        throw this.e2eeError("You can't message this user", 403);
+      }
+      const shared = await Conversation.exists({ type: 'direct', participants: { $all: [requesterId, targetId], $size: 2 } });
+      if (!shared) throw this.e2eeError('Start a conversation with this user first', 403);
+    }
+
+    const devices = await DeviceKey.find({ user: targetId, revokedAt: null }).select(DEVICE_FIELDS).lean();
+    const bundles = await Promise.all(devices.map(async (device) => {
+      const preKey = await PreKey.findOneAndDelete({ user: targetId, deviceId: device.deviceId }, { sort: { keyId: 1 } }).lean();
+      return {
+        deviceId: device.deviceId,
+        registrationId: device.registrationId,
+        identityKey: device.identityKey,
+        signedPreKey: device.signedPreKey,
+        oneTimePreKey: preKey ? { keyId: preKey.keyId, publicKey: preKey.publicKey } : null
+      };
+    }));
+
+    this.warnLowPreKeys(targetId, devices.map(d => d.deviceId));
+    return { userId: idOf(targetId), devices: bundles };
+  }
+
+  /**
+   * Nudge devices running low to upload more prekeys
+   */
+  warnLowPreKeys(userId, deviceIds) {
+    setImmediate(async () => {
+      try {
+        const PreKey = this.getPreKeyModel();
+        for (const deviceId of deviceIds) {
+          const count = await PreKey.countDocuments({ user: userId, deviceId });
+          if (count < this.config.lowPreKeyThreshold && global.io) {
+            global.io.to(`user:${userId}`).emit('e2ee:prekeys-low', { deviceId, preKeyCount: count });
+          }
+        }
+      } catch (error) {
+        console.error('Prekey check error:', error.message);
+      }
+    });
+  }
+
+  // ==========================================
+  // CONVERSATIONS
+  // ==========================================
+
+  /**
+   * Turn encryption on / off for a direct chat. Turning it on needs a
+   * registered device on both sides. Earlier messages stay as they were.
+   */
+  async setEncryption(userId, conversationId, enabled) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId });
+    if (!conversation) throw this.e2eeError('Conversation not found', 404);
+    if (conversation.type !== 'direct') throw this.e2eeError('Only direct chats can be end-to-end encrypted');
+    if (!!conversation.encryption?.enabled === enabled) return { enabled };
+
+    if (enabled) {
+      const otherId = conversation.participants.find(id => idOf(id) !== idOf(userId));
+      if (await blockService.isBlocked(userId, otherId)) throw this.e2eeError("You can't message this user", 403);
+
+      const devices = await this.getActiveDevices(conversation.participants);
+      const ready = new Set(devices.map(d => idOf(d.user)));
+      if (!ready.has(idOf(userId))) throw this.e2eeError('Register this device for encrypted chats first', 409);
+      if (!ready.has(idOf(otherId))) throw this.e2eeError("The other person hasn't set up encrypted chats yet", 409);
+    }
+
+    conversation.encryption = enabled
+      ? { enabled: true, enabledAt: new Date(), enabledBy: userId }
+      : { enabled: false };
+    await conversation.save();
+
+    await require('./message-sync.service').conversationChanged(
+      conversation.participants,
+      { _id: conversation._id },
+      'encryption',
+      { enabled, userId: idOf(userId) }
+    );
+    return { enabled };
+  }
+
+  // ==========================================
+  // MESSAGES
+  // ==========================================
+
+  /**
+   * Check an encrypted message against the current device list and
+   * return what to store. 409 with { missing, stale } when the sender's
+   * idea of the devices is out of date.
+   */
+  async prepareEnvelopes(conversation, senderId, senderDevice, { envelopes = [], attachments = null }) {
+    await this.getActiveDevice(senderId, senderDevice);
+
+    const devices = await this.getActiveDevices(conversation.participants);
+    const expected = new Map(devices
+      .filter(d => !(idOf(d.user) === idOf(senderId) && d.deviceId === senderDevice))
+      .map(d => [deviceKey(d.user, d.deviceId), { userId: idOf(d.user), deviceId: d.deviceId }]));
+    if (!expected.size) throw this.e2eeError("The other person hasn't set up encrypted chats yet", 409);
+
+    const given = new Map();
+    for (const envelope of envelopes) {
+      const key = deviceKey(envelope.user, envelope.device);
+      if (given.has(key)) throw this.e2eeError('Only one envelope per device');
+      if (envelope.body.length > this.config.maxEnvelopeBytes) throw this.e2eeError('Message is too large');
+      given.set(key, envelope);
+    }
+
+    const missing = [...expected.keys()].filter(key => !given.has(key)).map(key => expected.get(key));
+    const stale = [...given.keys()].filter(key => !expected.has(key)).map(key => ({
+      userId: idOf(given.get(key).user),
+      deviceId: given.get(key).device
+    }));
+    if (missing.length || stale.length) {
+      throw this.e2eeError('The devices in this chat have changed - fetch their keys and send again', 409, { missing, stale });
+    }
+
+    const prepared = {
+      encrypted: true,
+      senderDevice,
+      envelopes: envelopes.map(e => ({ user: e.user, device: e.device, type: e.type, body: e.body }))
+    };
+
+    if (attachments) {
+      prepared.attachments = attachments.map((attachment) => {
+        const keys = attachment.encryption?.keys || [];
+        if (keys.some(k => typeof k.key !== 'string' || !k.key || k.key.length > this.config.maxWrappedKeyLength)) {
+          throw this.e2eeError('Attachment key is missing or too long');
+        }
+        const covered = new Set(keys.map(k => deviceKey(k.user, k.device)));
+        if (keys.length !== expected.size || [...expected.keys()].some(key => !covered.has(key))) {
+          throw this.e2eeError('Each attachment needs its key wrapped for every device in the chat');
+        }
+        return {
+          type: attachment.type,
+          url: attachment.url,
+          size: attachment.size,
+          // The name is part of the encrypted message, not stored here
+          encryption: {
+            algorithm: attachment.encryption.algorithm,
+            digest: attachment.encryption.digest,
+            keys: keys.map(k => ({ user: k.user, device: k.device, key: k.key }))
+          }
+        };
+      });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * A message as `userId` (optionally one device of theirs) may see it:
+   * only their envelopes and attachment keys. Plain messages pass through.
+   */
+  viewFor(message, userId, deviceId = null) {
+    if (!message) return message;
+    const plain = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+    if (plain.replyTo?.encrypted) plain.replyTo = this.viewFor(plain.replyTo, userId, deviceId);
+    if (!plain.encrypted) return plain;
+
+    const mine = (entry) => idOf(entry.user) === idOf(userId) && (!deviceId || entry.device === deviceId);
+    plain.envelopes = (plain.envelopes || []).filter(mine);
+    plain.attachments = (plain.attachments || []).map(attachment => ({
+      ...attachment,
+      encryption: attachment.encryption && {
+        ...attachment.encryption,
+        keys: (attachment.encryption.keys || []).filter(mine)
+      }
+    }));
+    return plain;
+  }
+}
+
+module.exports = new E2EEService();
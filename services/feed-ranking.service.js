@@ -0,0 +1,464 @@
+// ============================================
+// FILE: services/feed-ranking.service.js
+// Feed Ranking Service
+// VERSION: 1.0
+// Builds GET /api/feed/personalized: gathers recent posts, blogs,
+// vlogs and live streams, scores them for the viewer (follow graph,
+// followed hashtags, past reactions / bookmarks, engagement,
+// freshness) and pages through the result with a cursor.
+// Weights live in config/feed-ranking.js.
+// ============================================
+
+const mongoose = require('mongoose');
+const { FEED_RANKING } = require('../config/feed-ranking');
+const blockService = require('./block.service');
+
+const HOUR = 60 * 60 * 1000;
+const AUTHOR_FIELDS = 'name username avatar profileImage profilePicture isVerified';
+const REACTION_TYPES = ['like', 'love', 'haha', 'wow', 'sad', 'angry', 'fire', 'clap', 'think'];
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const round = (value) => Math.round(value * 10000) / 10000;
+const countReactions = (reactions = {}) =>
+  Object.values(reactions || {}).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+const lowerTags = (...lists) =>
+  [...new Set(lists.flat().filter(t => typeof t === 'string' && t).map(t => t.replace(/^#/, '').toLowerCase()))];
+
+class FeedRankingService {
+  constructor() {
+    this.config = FEED_RANKING;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  feedError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'FeedError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // CURSOR
+  // ==========================================
+
+  /**
+   * The cursor pins `asOf` (and whether seen items were included) so
+   * freshness and the seen filter stay the same across pages, plus the
+   * position of the last item served.
+   */
+  encodeCursor({ asOf, score, key, includeSeen }) {
+    return Buffer.from(JSON.stringify({ t: asOf.getTime(), s: score, k: key, a: includeSeen ? 1 : 0 }))
+      .toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, s, k, a } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !Number.isFinite(s) || typeof k !== 'string') throw new Error('shape');
+      return { asOf: new Date(t), score: s, key: k, includeSeen: a === 1 };
+    } catch (error) {
+      throw this.feedError('Invalid cursor');
+    }
+  }
+
+  // ==========================================
+  // VIEWER
+  // ==========================================
+
+  /**
+   * Who the viewer follows, which hashtags, and which authors / tags
+   * they have reacted to or bookmarked recently
+   */
+  async getViewerContext(userId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    const User = this.model('User', '../models/user.model');
+    const Blog = this.model('Blog', '../models/blog.model');
+    const Post = this.model('Post', '../models/post.model');
+    const Bookmark = this.model('Bookmark', '../models/bookmark.model');
+    const viewer = new mongoose.Types.ObjectId(String(userId));
+    const { historySize } = this.config;
+
+    const [follows, user, reactedBlogs, likedPosts, bookmarks] = await Promise.all([
+      Follow.find({ follower: viewer }).select('following status isCloseFriend').lean(),
+      User.findById(viewer).select('followedHashtags').lean(),
+      Blog.find({ $or: [{ likes: viewer }, ...REACTION_TYPES.map(type => ({ [`reactions.${type}`]: viewer }))] })
+        .sort({ createdAt: -1 })
+        .limit(historySize)
+        .select('author authorId tags')
+        .lean(),
+      Post.find({ 'likes.user': viewer })
+        .sort({ createdAt: -1 })
+        .limit(historySize)
+        .select('author authorId hashtags tags')
+        .lean(),
+      Bookmark.find({ user: viewer })
+        .sort({ createdAt: -1 })
+        .limit(historySize)
+        .populate('blog', 'author authorId tags')
+        .lean()
+    ]);
+
+    const following = new Map();
+    const excludedAuthors = new Set();
+    for (const follow of follows) {
+      const id = idOf(follow.following);
+      if (follow.status === 'active') following.set(id, { closeFriend: !!follow.isCloseFriend });
+      else excludedAuthors.add(id);
+    }
+
+    // Blocked either way or muted; muted words / hashtags are checked per item
+    const filter = await blockService.getFilter(userId);
+    filter.hiddenAuthors().forEach(id => excludedAuthors.add(id));
+
+    const authorAffinity = new Map();
+    const tagAffinity = new Map();
+    const bump = (map, key) => key && map.set(key, (map.get(key) || 0) + 1);
+    const engaged = [
+      ...reactedBlogs,
+      ...likedPosts,
+      ...bookmarks.map(b => b.blog).filter(Boolean)
+    ];
+    for (const item of engaged) {
+      const authorId = idOf(item.author || item.authorId);
+      if (authorId !== String(userId)) bump(authorAffinity, authorId);
+      lowerTags(item.tags || [], item.hashtags || []).forEach(tag => bump(tagAffinity, tag));
+    }
+
+    return {
+      userId: String(userId),
+      viewer,
+      following,
+      excludedAuthors,
+      filter,
+      hashtags: new Set(lowerTags(user?.followedHashtags || [])),
+      authorAffinity,
+      tagAffinity
+    };
+  }
+
+  // ==========================================
+  // CANDIDATES
+  // ==========================================
+
+  /**
+   * Recent content from every source, normalised to
+   * { type, key, doc, authorId, createdAt, tags, engagement, isLive }
+   */
+  async getCandidates(context, asOf) {
+    const Post = this.model('Post', '../models/post.model');
+    const Blog = this.model('Blog', '../models/blog.model');
+    const Vlog = this.model('Vlog', '../models/vlog.model');
+    const LiveStream = this.model('LiveStream', '../models/livestream.model');
+    const { candidateDays, candidatesPerSource } = this.config;
+
+    const since = new Date(asOf.getTime() - candidateDays * 24 * HOUR);
+    const window = { $gte: since, $lte: asOf };
+    const followingIds = [...context.following.keys()].map(id => new mongoose.Types.ObjectId(id));
+    const notDeleted = { isDeleted: { $ne: true } };
+
+    const sources = await Promise.all([
+      Post.find({
+        ...notDeleted,
+        status: 'active',
+        isPublished: { $ne: false },
+        postType: { $ne: 'story' },
+        group: null,
+        createdAt: window,
+        $or: [
+          { visibility: { $in: ['public', null] } },
+          { visibility: 'followers', $or: [{ author: { $in: followingIds } }, { authorId: { $in: followingIds } }] }
+        ]
+      })
+        .sort({ createdAt: -1 })
+        .limit(candidatesPerSource)
+        .select('-comments')
+        .lean(),
+
+      Blog.find({ ...notDeleted, status: 'published', createdAt: window })
+        .sort({ createdAt: -1 })
+        .limit(candidatesPerSource)
+        .lean(),
+
+      Vlog.find({
+        ...notDeleted,
+        isActive: { $ne: false },
+        isStory: { $ne: true },
+        visibility: { $in: ['public', null] },
+        createdAt: window
+      })
+        .sort({ createdAt: -1 })
+        .limit(candidatesPerSource)
+        .select('-views')
+        .lean(),
+
+      LiveStream.find({
+        ...notDeleted,
+        status: 'live',
+        isActive: true,
+        $or: [
+          { privacy: 'public' },
+          { privacy: 'followers', streamer: { $in: followingIds } }
+        ]
+      })
+        .sort({ startedAt: -1 })
+        .limit(candidatesPerSource)
+        .select('-comments -viewers -bannedUsers -muxStreamKey -muxRtmpUrl')
+        .lean()
+    ]);
+
+    const [posts, blogs, vlogs, streams] = sources;
+    const liveIds = new Set(streams.map(s => idOf(s._id)));
+    const blogIds = new Set(blogs.map(b => idOf(b._id)));
+
+    const candidates = [
+      ...posts
+        // Share posts for a blog / stream that is itself a candidate
+        .filter(p => !blogIds.has(idOf(p.blogData?.blogId)) && !liveIds.has(idOf(p.liveData?.streamId)))
+        .map(p => ({
+          type: 'post',
+          doc: p,
+          authorId: idOf(p.author || p.authorId),
+          createdAt: p.createdAt,
+          tags: lowerTags(p.hashtags || [], p.tags || []),
+          engagement: {
+            reactions: p.likeCount || p.likes?.length || 0,
+            comments: p.commentCount || 0,
+            shares: p.shareCount || 0,
+            views: p.viewCount || 0
+          }
+        })),
+      ...blogs
+        // Feed post of a stream that is live right now
+        .filter(b => !liveIds.has(idOf(b.liveStreamId)))
+        .map(b => ({
+          type: 'blog',
+          doc: b,
+          authorId: idOf(b.author || b.authorId),
+          createdAt: b.createdAt,
+          tags: lowerTags(b.tags || []),
+          engagement: {
+            reactions: Math.max(countReactions(b.reactions), b.likes?.length || 0),
+            comments: b.commentsCount || 0,
+            shares: b.shares?.total || 0,
+            views: b.views || 0
+          }
+        })),
+      ...vlogs.map(vl => ({
+        type: 'vlog',
+        doc: vl,
+        authorId: idOf(vl.user),
+        createdAt: vl.createdAt,
+        tags: lowerTags(vl.hashtags || []),
+        engagement: {
+          reactions: Math.max(countReactions(vl.reactions), vl.likes?.length || 0),
+          comments: 0,
+          shares: 0,
+          views: vl.viewsCount || 0
+        }
+      })),
+      ...streams.map(s => ({
+        type: 'live',
+        doc: s,
+        authorId: idOf(s.streamer),
+        createdAt: s.startedAt || s.createdAt,
+        tags: lowerTags(s.tags || [], s.category ? [s.category] : []),
+        engagement: {
+          reactions: s.likes?.length || 0,
+          comments: 0,
+          shares: 0,
+          views: s.totalViews || 0
+        },
+        isLive: true
+      }))
+    ];
+
+    return candidates
+      .filter(c => c.authorId !== context.userId && !context.excludedAuthors.has(c.authorId) && !context.filter.hidesDoc(c.doc))
+      .map(c => ({ ...c, key: `${c.type}:${idOf(c.doc._id)}` }));
+  }
+
+  // ==========================================
+  // SCORING
+  // ==========================================
+
+  score(candidate, context, asOf) {
+    const { weights, halfLifeHours } = this.config;
+    const reasons = [];
+    const signals = { base: weights.base };
+
+    const follow = context.following.get(candidate.authorId);
+    signals.follow = follow ? weights.follow * (follow.closeFriend ? 2 : 1) : 0;
+    if (follow) reasons.push(follow.closeFriend ? 'close friend' : 'you follow the author');
+
+    const matched = candidate.tags.filter(tag => context.hashtags.has(tag));
+    signals.hashtags = weights.hashtag * Math.min(matched.length, weights.maxHashtagMatches);
+    if (matched.length) reasons.push(`followed hashtag ${matched.map(t => `#${t}`).join(', ')}`);
+
+    const authorInteractions = context.authorAffinity.get(candidate.authorId) || 0;
+    signals.authorAffinity = weights.authorAffinity * Math.log2(1 + authorInteractions);
+    if (authorInteractions) reasons.push(`you engaged with this author ${authorInteractions}x`);
+
+    const tagInteractions = candidate.tags.reduce((sum, tag) => sum + (context.tagAffinity.get(tag) || 0), 0);
+    signals.tagAffinity = weights.tagAffinity * Math.log2(1 + tagInteractions);
+
+    const { reactions, comments, shares, views } = candidate.engagement;
+    signals.engagement = weights.engagement * Math.log10(1 + reactions + 2 * comments + 3 * shares + views / 20);
+
+    signals.live = candidate.isLive ? weights.live : 0;
+    if (candidate.isLive) reasons.push('live now');
+
+    // Live streams stay fresh while they are on air
+    const ageHours = candidate.isLive ? 0 : Math.max(0, (asOf - new Date(candidate.createdAt)) / HOUR);
+    const freshness = Math.pow(0.5, ageHours / halfLifeHours);
+    const relevance = Object.values(signals).reduce((sum, value) => sum + value, 0);
+
+    return {
+      rawScore: relevance * freshness,
+      explain: {
+        ageHours: round(ageHours),
+        freshness: round(freshness),
+        relevance: round(relevance),
+        signals: Object.fromEntries(Object.entries(signals).map(([k, value]) => [k, round(value)])),
+        reasons
+      }
+    };
+  }
+
+  /**
+   * Score, spread out repeat authors, and sort (score desc, key asc)
+   */
+  rank(candidates, context, asOf) {
+    const { authorRepeatPenalty } = this.config;
+    const byRaw = candidates
+      .map(c => ({ ...c, ...this.score(c, context, asOf) }))
+      .sort((a, b) => b.rawScore - a.rawScore || a.key.localeCompare(b.key));
+
+    const perAuthor = new Map();
+    for (const item of byRaw) {
+      const seen = perAuthor.get(item.authorId) || 0;
+      perAuthor.set(item.authorId, seen + 1);
+      item.explain.diversity = round(Math.pow(authorRepeatPenalty, seen));
+      // Rounded so the cursor comparison is exact
+      item.score = round(item.rawScore * item.explain.diversity);
+    }
+
+    return byRaw.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+  }
+
+  // ==========================================
+  // SEEN ITEMS
+  // ==========================================
+
+  async getSeenKeys(context, candidates, asOf) {
+    const FeedImpression = this.model('FeedImpression', '../models/feed-impression.model');
+    if (!candidates.length) return new Set();
+
+    const seen = await FeedImpression.find({
+      user: context.viewer,
+      item: { $in: candidates.map(c => c.doc._id) },
+      seenAt: { $lt: asOf }
+    }).select('itemType item').lean();
+
+    return new Set(seen.map(s => `${s.itemType}:${idOf(s.item)}`));
+  }
+
+  async markSeen(userId, items) {
+    const FeedImpression = this.model('FeedImpression', '../models/feed-impression.model');
+    if (!items.length) return;
+
+    try {
+      await FeedImpression.bulkWrite(items.map(item => ({
+        updateOne: {
+          filter: { user: userId, itemType: item.type, item: item.doc._id },
+          update: { $setOnInsert: { seenAt: new Date() } },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      console.error('Feed impression error:', error.message);
+    }
+  }
+
+  // ==========================================
+  // FEED
+  // ==========================================
+
+  async attachAuthors(items) {
+    const User = this.model('User', '../models/user.model');
+    const ids = [...new Set(items.map(i => i.authorId).filter(Boolean))];
+    const authors = {};
+
+    if (ids.length) {
+      const users = await User.find({ _id: { $in: ids } }).select(AUTHOR_FIELDS).lean();
+      users.forEach(u => { authors[u._id.toString()] = u; });
+    }
+
+    return items.map(item => ({
+      ...item.doc,
+      contentType: item.type,
+      author: authors[item.authorId] || { name: item.doc.authorName || 'Anonymous' }
+    }));
+  }
+
+  /**
+   * @param {String} userId
+   * @param {Object} options { limit, cursor, explain, includeSeen }
+   * explain adds `_ranking` to each item and does not record impressions.
+   */
+  async getPersonalizedFeed(userId, { limit = 20, cursor, explain = false, includeSeen = false } = {}) {
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const asOf = position?.asOf || new Date();
+    if (position?.includeSeen) includeSeen = true;
+
+    const context = await this.getViewerContext(userId);
+    const candidates = await this.getCandidates(context, asOf);
+    const seenKeys = includeSeen ? new Set() : await this.getSeenKeys(context, candidates, asOf);
+
+    let ranked = this.rank(candidates.filter(c => !seenKeys.has(c.key)), context, asOf);
+    // Everything recent has been seen - show it again rather than an empty feed
+    const seenFallback = !position && !ranked.length && seenKeys.size > 0;
+    if (seenFallback) {
+      includeSeen = true;
+      ranked = this.rank(candidates, context, asOf);
+    }
+
+    const start = position
+      ? ranked.findIndex(c => c.score < position.score || (c.score === position.score && c.key > position.key))
+      : 0;
+    const page = start === -1 ? [] : ranked.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < ranked.length;
+
+    const items = await this.attachAuthors(page);
+    if (explain) {
+      page.forEach((item, i) => {
+        items[i]._ranking = { rank: start + i + 1, score: item.score, key: item.key, ...item.explain };
+      });
+    } else {
+      await this.markSeen(context.viewer, page);
+    }
+
+    const last = page[page.length - 1];
+    return {
+      items,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor({ asOf, score: last.score, key: last.key, includeSeen }) : null,
+      asOf,
+      ...(seenFallback ? { seenFallback } : {}),
+      ...(explain ? {
+        explain: {
+          candidates: candidates.length,
+          suppressedAsSeen: seenFallback ? 0 : seenKeys.size,
+          following: context.following.size,
+          followedHashtags: [...context.hashtags],
+          weights: this.config.weights,
+          halfLifeHours: this.config.halfLifeHours
+        }
+      } : {})
+    };
+  }
+}
+
+module.exports = new FeedRankingService();
@@ -0,0 +1,521 @@
+// ============================================
+// FILE: services/group-chat.service.js
+// Group Chat Service
+// VERSION: 1.0
+// Running a group conversation (routes/message.routes.js):
+// - name, avatar and description, editable by admins or everyone
+//   (conversation.settings.editInfo)
+// - adding people (settings.addMembers), removing them, promoting and
+//   demoting admins; the last admin to leave hands over to the longest
+//   standing member
+// - pinned messages (direct chats too)
+// - invite links with an expiry and an optional use limit; people an
+//   admin removed can't come back through one
+// Every change is posted into the chat as a system message (Message
+// type 'system') and pushed through the sync log. Limits are in
+// config/messaging.js (MESSAGING.groups).
+// ============================================
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MESSAGING } = require('../config/messaging');
+const blockService = require('./block.service');
+const messageSync = require('./message-sync.service');
+
+const USER_FIELDS = 'name username avatar';
+// Invites are only shown to the people allowed to hand them out
+const PUBLIC_FIELDS = '-invites -removedMembers -unreadCounts';
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const unique = (ids) => [...new Set(ids.map(idOf).filter(Boolean))];
+
+class GroupChatService {
+  constructor() {
+    this.config = MESSAGING.groups;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getConversationModel() {
+    return this.model('Conversation', '../models/conversation.model');
+  }
+
+  getMessageModel() {
+    return this.model('Message', '../models/message.model');
+  }
+
+  groupError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'GroupChatError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // ACCESS
+  // ==========================================
+
+  isAdmin(conversation, userId) {
+    return (conversation.admins || []).some(id => idOf(id) === idOf(userId));
+  }
+
+  isMember(conversation, userId) {
+    return (conversation.participants || []).some(id => idOf(id) === idOf(userId));
+  }
+
+  // `setting` is 'editInfo' or 'addMembers'
+  can(conversation, userId, setting) {
+    return this.isAdmin(conversation, userId) || conversation.settings?.[setting] === 'all';
+  }
+
+  /**
+   * A conversation the user is in. `group` rejects direct chats, `admin`
+   * non-admins, `allow` checks one of the group's settings.
+   */
+  async getConversation(userId, conversationId, { group = true, admin = false, allow = null } = {}) {
+    const Conversation = this.getConversationModel();
+    const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+      ? await Conversation.findOne({ _id: conversationId, participants: userId, isActive: true })
+      : null;
+    if (!conversation) throw this.groupError('Conversation not found', 404);
+    if (group && conversation.type !== 'group') throw this.groupError('Only group chats can do this');
+    if (admin && !this.isAdmin(conversation, userId)) throw this.groupError('Only group admins can do this', 403);
+    if (allow && !this.can(conversation, userId, allow)) throw this.groupError('Only group admins can do this', 403);
+    return conversation;
+  }
+
+  async getPublic(conversationId) {
+    return this.getConversationModel().findById(conversationId)
+      .select(PUBLIC_FIELDS)
+      .populate('participants', USER_FIELDS);
+  }
+
+  // ==========================================
+  // SYSTEM MESSAGES
+  // ==========================================
+
+  describe(action, actor, targets, data = {}) {
+    const list = targets.join(', ').replace(/, ([^,]*)$/, ' and $1');
+    switch (action) {
+      case 'created': return `${actor} created the group "${data.name}"`;
+      case 'members-added': return `${actor} added ${list}`;
+      case 'member-removed': return `${actor} removed ${list}`;
+      case 'member-left': return `${actor} left`;
+      case 'member-joined': return `${actor} joined using an invite link`;
+      case 'admin-added': return data.automatic ? `${list} is now an admin` : `${actor} made ${list} an admin`;
+      case 'admin-removed': return `${actor} removed ${list} as admin`;
+      case 'renamed': return `${actor} renamed the group to "${data.name}"`;
+      case 'avatar-changed': return data.removed ? `${actor} removed the group photo` : `${actor} changed the group photo`;
+      case 'description-changed': return `${actor} changed the group description`;
+      case 'settings-changed': return `${actor} changed the group settings`;
+      case 'message-pinned': return `${actor} pinned a message`;
+      case 'message-unpinned': return `${actor} unpinned a message`;
+      default: return `${actor} updated the group`;
+    }
+  }
+
+  /**
+   * Post a system message to `participants` (the members after the
+   * change), or to `conversation.participants`
+   */
+  async systemMessage(conversation, actorId, action, { targets = [], data = {}, participants = null } = {}) {
+    const Conversation = this.getConversationModel();
+    const Message = this.getMessageModel();
+    const User = this.model('User', '../models/user.model');
+
+    const users = await User.find({ _id: { $in: unique([actorId, ...targets]) } }).select('name username').lean();
+    const names = new Map(users.map(u => [idOf(u), u.name || u.username || 'Someone']));
+    const nameOf = (id) => names.get(idOf(id)) || 'Someone';
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: actorId,
+      type: 'system',
+      text: this.describe(action, nameOf(actorId), targets.map(nameOf), data),
+      system: { action, targets, data },
+      readBy: [actorId]
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { lastMessage: message._id, lastMessageAt: message.createdAt }
+    );
+
+    const populated = await Message.findById(message._id).populate('sender', USER_FIELDS);
+    await messageSync.messageSent({ _id: conversation._id, participants: participants || conversation.participants }, populated);
+    return populated;
+  }
+
+  /**
+   * Tell every member (and `notify`, e.g. someone just removed) the
+   * group changed, and post the system message to the members
+   */
+  async announce(conversation, actorId, action, { targets = [], data = {}, notify = [] } = {}) {
+    const updated = await this.getPublic(conversation._id);
+    const members = unique(updated?.participants || []);
+    await messageSync.conversationChanged(unique([...members, ...notify]), updated || { _id: conversation._id }, action, {
+      actorId: idOf(actorId),
+      targets: targets.map(idOf)
+    });
+    await this.systemMessage(conversation, actorId, action, { targets, data, participants: members });
+    return updated;
+  }
+
+  // ==========================================
+  // GROUP INFO
+  // ==========================================
+
+  async updateInfo(userId, conversationId, { name, avatar, description, settings }) {
+    const conversation = await this.getConversation(userId, conversationId, { allow: 'editInfo' });
+    if (settings && !this.isAdmin(conversation, userId)) {
+      throw this.groupError('Only group admins can change the group settings', 403);
+    }
+
+    const $set = {};
+    const changes = [];
+    if (name !== undefined && name !== conversation.name) {
+      if (!name) throw this.groupError('Group name is required');
+      $set.name = name;
+      changes.push(['renamed', { name }]);
+    }
+    if (avatar !== undefined && (avatar || null) !== (conversation.avatar || null)) {
+      $set.avatar = avatar || null;
+      changes.push(['avatar-changed', { removed: !avatar }]);
+    }
+    if (description !== undefined && (description || '') !== (conversation.description || '')) {
+      $set.description = description || '';
+      changes.push(['description-changed', {}]);
+    }
+    if (settings) {
+      const next = { ...(conversation.settings?.toObject?.() || conversation.settings || {}), ...settings };
+      if (next.editInfo !== conversation.settings?.editInfo || next.addMembers !== conversation.settings?.addMembers) {
+        $set.settings = { editInfo: next.editInfo, addMembers: next.addMembers };
+        changes.push(['settings-changed', { settings: $set.settings }]);
+      }
+    }
+
+    if (!changes.length) return this.getPublic(conversation._id);
+
+    await this.getConversationModel().updateOne({ _id: conversation._id }, { $set });
+    let updated;
+    for (const [action, data] of changes) {
+      updated = await this.announce(conversation, userId, action, { data });
+    }
+    return updated;
+  }
+
+  // ==========================================
+  // MEMBERS
+  // ==========================================
+
+  async addMembers(userId, conversationId, userIds) {
+    const Conversation = this.getConversationModel();
+    const User = this.model('User', '../models/user.model');
+    const conversation = await this.getConversation(userId, conversationId, { allow: 'addMembers' });
+
+    const current = new Set(unique(conversation.participants));
+    const requested = unique(userIds).filter(id => !current.has(id));
+    if (!requested.length) throw this.groupError('Everyone is already in this group');
+
+    const existing = await User.find({ _id: { $in: requested }, isActive: { $ne: false } }).select('_id').lean();
+    const newIds = existing.map(u => idOf(u));
+    if (newIds.length !== requested.length) throw this.groupError('Some of these people were not found', 404);
+
+    const blocked = await blockService.getBlockedBetween(userId, newIds);
+    if (blocked.size) throw this.groupError("Some of these people can't be added", 403);
+
+    if (current.size + newIds.length > this.config.maxParticipants) {
+      throw this.groupError(`Groups can have up to ${this.config.maxParticipants} people`, 409);
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $addToSet: { participants: { $each: newIds } }, $pull: { removedMembers: { $in: newIds } } }
+    );
+
+    return this.announce(conversation, userId, 'members-added', { targets: newIds });
+  }
+
+  /**
+   * Admins can remove members; only the group's creator can remove
+   * another admin. The links they made stop working and they can't
+   * rejoin with a link until an admin adds them back.
+   */
+  async removeMember(userId, conversationId, targetId) {
+    const conversation = await this.getConversation(userId, conversationId, { admin: true });
+    if (idOf(targetId) === idOf(userId)) throw this.groupError('Leave the group instead');
+    if (!this.isMember(conversation, targetId)) throw this.groupError('This person is not in the group', 404);
+    if (this.isAdmin(conversation, targetId) && idOf(conversation.createdBy) !== idOf(userId)) {
+      throw this.groupError('Only the group creator can remove an admin', 403);
+    }
+
+    await this.pull(conversation, targetId);
+    await this.getConversationModel().updateOne(
+      { _id: conversation._id },
+      {
+        $addToSet: { removedMembers: targetId },
+        $set: { 'invites.$[link].revokedAt': new Date() }
+      },
+      { arrayFilters: [{ 'link.createdBy': new mongoose.Types.ObjectId(idOf(targetId)), 'link.revokedAt': null }] }
+    );
+    return this.announce(conversation, userId, 'member-removed', { targets: [targetId], notify: [targetId] });
+  }
+
+  /**
+   * Leave a group. If the last admin leaves, the longest standing member
+   * becomes admin; an empty group is closed.
+   */
+  async leave(userId, conversationId) {
+    const Conversation = this.getConversationModel();
+    const conversation = await this.getConversation(userId, conversationId);
+
+    await this.pull(conversation, userId);
+    const remaining = (conversation.participants || []).filter(id => idOf(id) !== idOf(userId));
+    if (!remaining.length) {
+      await Conversation.updateOne({ _id: conversation._id }, { isActive: false });
+      return null;
+    }
+
+    const updated = await this.announce(conversation, userId, 'member-left', { notify: [userId] });
+
+    const admins = (conversation.admins || []).filter(id => idOf(id) !== idOf(userId));
+    if (!admins.length) {
+      const successor = remaining[0];
+      await Conversation.updateOne({ _id: conversation._id }, { $addToSet: { admins: successor } });
+      return this.announce(conversation, userId, 'admin-added', { targets: [successor], data: { automatic: true } });
+    }
+    return updated;
+  }
+
+  async pull(conversation, userId) {
+    await this.getConversationModel().updateOne(
+      { _id: conversation._id },
+      {
+        $pull: { participants: userId, admins: userId, pinnedBy: userId, mutedBy: userId },
+        $unset: { [`unreadCounts.${idOf(userId)}`]: 1 }
+      }
+    );
+  }
+
+  async setAdmin(userId, conversationId, targetId, makeAdmin) {
+    const Conversation = this.getConversationModel();
+    const conversation = await this.getConversation(userId, conversationId, { admin: true });
+    if (!this.isMember(conversation, targetId)) throw this.groupError('This person is not in the group', 404);
+
+    const isAdmin = this.isAdmin(conversation, targetId);
+    if (makeAdmin === isAdmin) throw this.groupError(isAdmin ? 'Already an admin' : 'Not an admin');
+
+    if (!makeAdmin) {
+      const self = idOf(targetId) === idOf(userId);
+      if (!self && idOf(targetId) === idOf(conversation.createdBy)) {
+        throw this.groupError("The group creator can't be removed as admin", 403);
+      }
+      if (conversation.admins.length <= 1) throw this.groupError('A group needs at least one admin', 409);
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      makeAdmin ? { $addToSet: { admins: targetId } } : { $pull: { admins: targetId } }
+    );
+    return this.announce(conversation, userId, makeAdmin ? 'admin-added' : 'admin-removed', { targets: [targetId] });
+  }
+
+  // ==========================================
+  // PINNED MESSAGES
+  // ==========================================
+
+  /**
+   * Anyone can pin in a direct chat; in a group, whoever may edit the
+   * group info
+   */
+  async pinMessage(userId, conversationId, messageId) {
+    const Conversation = this.getConversationModel();
+    const conversation = await this.getConversation(userId, conversationId, { group: false });
+    if (conversation.type === 'group' && !this.can(conversation, userId, 'editInfo')) {
+      throw this.groupError('Only group admins can pin messages', 403);
+    }
+
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await this.getMessageModel().findOne({ _id: messageId, conversation: conversation._id, isDeleted: false, type: { $ne: 'system' } }).select('_id').lean()
+      : null;
+    if (!message) throw this.groupError('Message not found', 404);
+
+    const pinned = conversation.pinnedMessages || [];
+    if (pinned.some(p => idOf(p.message) === idOf(messageId))) throw this.groupError('Message is already pinned');
+    if (pinned.length >= this.config.maxPinnedMessages) {
+      throw this.groupError(`Up to ${this.config.maxPinnedMessages} messages can be pinned - unpin one first`, 409);
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id, 'pinnedMessages.message': { $ne: message._id } },
+      { $push: { pinnedMessages: { message: message._id, pinnedBy: userId, pinnedAt: new Date() } } }
+    );
+    await this.announce(conversation, userId, 'message-pinned', { data: { messageId: idOf(message) } });
+    return this.getPins(userId, conversation._id);
+  }
+
+  async unpinMessage(userId, conversationId, messageId) {
+    const Conversation = this.getConversationModel();
+    const conversation = await this.getConversation(userId, conversationId, { group: false });
+    if (conversation.type === 'group' && !this.can(conversation, userId, 'editInfo')) {
+      throw this.groupError('Only group admins can unpin messages', 403);
+    }
+    if (!(conversation.pinnedMessages || []).some(p => idOf(p.message) === idOf(messageId))) {
+      throw this.groupError('Message is not pinned', 404);
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, { $pull: { pinnedMessages: { message: messageId } } });
+    await this.announce(conversation, userId, 'message-unpinned', { data: { messageId: idOf(messageId) } });
+    return this.getPins(userId, conversation._id);
+  }
+
+  /**
+   * Pinned messages, oldest pin first - deleted messages drop out
+   */
+  async getPins(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId, { group: false });
+    const pins = conversation.pinnedMessages || [];
+    if (!pins.length) return [];
+
+    const messages = await this.getMessageModel().find({ _id: { $in: pins.map(p => p.message) }, isDeleted: false })
+      .populate('sender', USER_FIELDS);
+    const byId = new Map(messages.map(m => [idOf(m), m]));
+    return pins
+      .filter(p => byId.has(idOf(p.message)))
+      .map(p => ({ message: byId.get(idOf(p.message)), pinnedBy: p.pinnedBy, pinnedAt: p.pinnedAt }));
+  }
+
+  // ==========================================
+  // INVITE LINKS
+  // ==========================================
+
+  isInviteActive(invite, now = new Date()) {
+    return !invite.revokedAt && invite.expiresAt > now && (!invite.maxUses || invite.uses < invite.maxUses);
+  }
+
+  formatInvite(invite) {
+    return {
+      code: invite.code,
+      url: `${process.env.FRONTEND_URL || 'https://cybev.io'}/messages/join/${invite.code}`,
+      createdBy: invite.createdBy,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses
+    };
+  }
+
+  async createInvite(userId, conversationId, { expiresInHours, maxUses = null } = {}) {
+    const Conversation = this.getConversationModel();
+    const conversation = await this.getConversation(userId, conversationId, { allow: 'addMembers' });
+
+    const active = (conversation.invites || []).filter(i => this.isInviteActive(i));
+    if (active.length >= this.config.maxActiveInvites) {
+      throw this.groupError(`Up to ${this.config.maxActiveInvites} invite links can be active - revoke one first`, 409);
+    }
+
+    const hours = Math.min(expiresInHours || this.config.inviteDefaultHours, this.config.inviteMaxHours);
+    const invite = {
+      code: crypto.randomBytes(9).toString('base64url'),
+      createdBy: userId,
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      maxUses: maxUses || null,
+      uses: 0
+    };
+
+    // Expired and revoked links are dropped while we're here
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $pull: { invites: { $or: [{ expiresAt: { $lte: new Date() } }, { revokedAt: { $ne: null } }] } } }
+    );
+    await Conversation.updateOne({ _id: conversation._id }, { $push: { invites: invite } });
+    return this.formatInvite(invite);
+  }
+
+  async listInvites(userId, conversationId) {
+    const conversation = await this.getConversation(userId, conversationId, { allow: 'addMembers' });
+    return (conversation.invites || []).filter(i => this.isInviteActive(i)).map(i => this.formatInvite(i));
+  }
+
+  /**
+   * Admins can revoke any link, members the ones they made
+   */
+  async revokeInvite(userId, conversationId, code) {
+    const conversation = await this.getConversation(userId, conversationId);
+    const invite = (conversation.invites || []).find(i => i.code === code && !i.revokedAt);
+    if (!invite) throw this.groupError('Invite link not found', 404);
+    if (!this.isAdmin(conversation, userId) && idOf(invite.createdBy) !== idOf(userId)) {
+      throw this.groupError('Only group admins can revoke this link', 403);
+    }
+
+    await this.getConversationModel().updateOne(
+      { _id: conversation._id, 'invites.code': code },
+      { $set: { 'invites.$.revokedAt': new Date() } }
+    );
+  }
+
+  async findInvite(code) {
+    const conversation = typeof code === 'string' && code
+      ? await this.getConversationModel().findOne({ 'invites.code': code, type: 'group', isActive: true })
+      : null;
+    const invite = conversation?.invites.find(i => i.code === code);
+    if (!invite || !this.isInviteActive(invite)) throw this.groupError('This invite link is invalid or has expired', 404);
+    return { conversation, invite };
+  }
+
+  async previewInvite(userId, code) {
+    const { conversation, invite } = await this.findInvite(code);
+    return {
+      conversationId: conversation._id,
+      name: conversation.name,
+      avatar: conversation.avatar,
+      description: conversation.description,
+      memberCount: conversation.participants.length,
+      isMember: this.isMember(conversation, userId),
+      expiresAt: invite.expiresAt
+    };
+  }
+
+  async joinByInvite(userId, code) {
+    const Conversation = this.getConversationModel();
+    const { conversation, invite } = await this.findInvite(code);
+    if (this.isMember(conversation, userId)) throw this.groupError('You are already in this group', 409);
+    if ((conversation.removedMembers || []).some(id => idOf(id) === idOf(userId))) {
+      throw this.groupError('You were removed from this group - ask an admin to add you back', 403);
+    }
+
+    const blocked = await blockService.getBlockedBetween(userId, unique(conversation.participants));
+    if (blocked.size) throw this.groupError("You can't join this group", 403);
+
+    // Claim a use only while the link is still good and there's room
+    const now = new Date();
+    const result = await Conversation.updateOne(
+      {
+        _id: conversation._id,
+        participants: { $ne: userId },
+        removedMembers: { $ne: userId },
+        [`participants.${this.config.maxParticipants - 1}`]: { $exists: false },
+        invites: {
+          $elemMatch: {
+            code,
+            revokedAt: null,
+            expiresAt: { $gt: now },
+            ...(invite.maxUses ? { uses: { $lt: invite.maxUses } } : {})
+          }
+        }
+      },
+      { $addToSet: { participants: userId }, $inc: { 'invites.$.uses': 1 } }
+    );
+    if (!result.modifiedCount) {
+      if (conversation.participants.length >= this.config.maxParticipants) throw this.groupError('This group is full', 409);
+      throw this.groupError('This invite link is invalid or has expired', 404);
+    }
+
+    return this.announce(conversation, userId, 'member-joined', { data: { invitedBy: idOf(invite.createdBy) } });
+  }
+}
+
+module.exports = new GroupChatService();
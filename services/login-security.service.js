@@ -0,0 +1,349 @@
+// ============================================
+// FILE: services/login-security.service.js
+// Login Security Service
+// VERSION: 1.0
+// Progressive account / IP lockout, sign-in history,
+// new-device alerts and "this wasn't me" recovery
+// ============================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const sessionService = require('./session.service');
+const notificationService = require('./notification.service');
+const { getGeoLocation } = require('../utils/geolocation');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+class LoginSecurityService {
+  constructor() {
+    // Separate secret so a "this wasn't me" link can never be used as an access token
+    this.reportSecret = `${process.env.JWT_SECRET || 'cybev-secret-key'}:login-report`;
+    this.frontendUrl = process.env.FRONTEND_URL || 'https://cybev.io';
+
+    // Consecutive failures on one account -> lock length (highest match wins)
+    this.accountLockSteps = [
+      { attempts: 20, ms: 24 * HOUR },
+      { attempts: 15, ms: HOUR },
+      { attempts: 10, ms: 15 * MINUTE },
+      { attempts: 5, ms: 5 * MINUTE }
+    ];
+
+    // Failures from one IP across all accounts
+    this.ipLockTiers = [
+      { windowMs: 15 * MINUTE, maxFailures: 20 },
+      { windowMs: HOUR, maxFailures: 50 },
+      { windowMs: 24 * HOUR, maxFailures: 200 }
+    ];
+
+    this.reportTokenExpires = '7d';
+    this.recoveryResetMs = 24 * HOUR;
+  }
+
+  getModel() {
+    return mongoose.models.LoginEvent || require('../models/login-event.model');
+  }
+
+  isDbReady() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  securityError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'LoginSecurityError';
+    error.status = status;
+    return error;
+  }
+
+  lockInfo(until) {
+    return { lockedUntil: until, retryAfter: Math.max(1, Math.ceil((until - Date.now()) / 1000)) };
+  }
+
+  // ==========================================
+  // LOCKOUT
+  // ==========================================
+
+  accountLockDuration(attempts) {
+    const step = this.accountLockSteps.find(s => attempts >= s.attempts);
+    return step ? step.ms : 0;
+  }
+
+  /**
+   * Active account lock, or null
+   */
+  getAccountLock(user) {
+    if (!user?.lockUntil || user.lockUntil <= new Date()) return null;
+    return this.lockInfo(user.lockUntil);
+  }
+
+  /**
+   * Active IP lock, or null. A tier trips when the IP has `maxFailures`
+   * failures inside the window; it clears once the oldest of them ages out.
+   */
+  async getIpLock(ip) {
+    if (!ip || !this.isDbReady()) return null;
+
+    const longest = Math.max(...this.ipLockTiers.map(t => t.windowMs));
+    const deepest = Math.max(...this.ipLockTiers.map(t => t.maxFailures));
+    const failures = await this.getModel()
+      .find({ ip, status: 'failure', createdAt: { $gte: new Date(Date.now() - longest) } })
+      .sort({ createdAt: -1 })
+      .limit(deepest)
+      .select('createdAt')
+      .lean();
+
+    let lockedUntil = null;
+    for (const tier of this.ipLockTiers) {
+      const since = Date.now() - tier.windowMs;
+      const inWindow = failures.filter(f => f.createdAt.getTime() >= since);
+      if (inWindow.length < tier.maxFailures) continue;
+
+      const until = new Date(inWindow[tier.maxFailures - 1].createdAt.getTime() + tier.windowMs);
+      if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+    }
+
+    return lockedUntil ? this.lockInfo(lockedUntil) : null;
+  }
+
+  // ==========================================
+  // HISTORY
+  // ==========================================
+
+  async recordEvent(req, fields) {
+    if (!this.isDbReady()) return null;
+    const meta = sessionService.getRequestMeta(req);
+
+    try {
+      return await this.getModel().create({
+        ip: meta.ip,
+        userAgent: meta.userAgent,
+        ...fields
+      });
+    } catch (error) {
+      console.error('Login event error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Wrong password / 2FA code. Bumps the account counter, locks the
+   * account progressively and returns the lock if one now applies.
+   */
+  async recordFailure(user, req, { identifier = '', reason, authMethod = 'password' } = {}) {
+    let lock = null;
+
+    if (user) {
+      // $inc so parallel failures each count; the lock follows the stored total
+      const User = mongoose.models.User || require('../models/user.model');
+      const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { suspiciousLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true, projection: { suspiciousLoginAttempts: 1 } }
+      ).lean();
+      const attempts = updated?.suspiciousLoginAttempts || 0;
+      const lockMs = this.accountLockDuration(attempts);
+
+      if (lockMs) {
+        // $max keeps a longer lock set by a concurrent failure
+        const lockUntil = new Date(Date.now() + lockMs);
+        await User.updateOne({ _id: user._id }, { $max: { lockUntil } });
+
+        lock = this.lockInfo(lockUntil);
+        // Tell the owner when a new lock level is reached, not on every retry
+        if (this.accountLockSteps.some(s => s.attempts === attempts)) {
+          this.alertLockout(user, attempts, lock).catch(err => console.error('Lockout alert error:', err.message));
+        }
+      }
+    }
+
+    await this.recordEvent(req, {
+      user: user?._id || null,
+      identifier: String(identifier).toLowerCase(),
+      status: 'failure',
+      reason,
+      authMethod
+    });
+
+    return lock;
+  }
+
+  /**
+   * Attempt refused before the password was checked (lock, ban, forced reset)
+   */
+  async recordBlocked(user, req, { identifier = '', reason, authMethod = 'password' } = {}) {
+    return this.recordEvent(req, {
+      user: user?._id || null,
+      identifier: String(identifier).toLowerCase(),
+      status: 'blocked',
+      reason,
+      authMethod
+    });
+  }
+
+  /**
+   * Successful sign-in. Alerts the owner when it came from a new device.
+   * Pass `location` when it was already looked up to save a geo call.
+   */
+  async recordSuccess(user, req, { authMethod = 'password', sessionId = null, newDevice = false, location } = {}) {
+    const meta = sessionService.getRequestMeta(req);
+    if (location === undefined) location = await getGeoLocation(meta.ip);
+
+    const event = await this.recordEvent(req, {
+      user: user._id,
+      identifier: user.email,
+      status: 'success',
+      authMethod,
+      newDevice,
+      session: sessionId,
+      location: location ? {
+        country: location.country,
+        countryCode: location.countryCode,
+        city: location.city,
+        region: location.region
+      } : undefined
+    });
+
+    if (newDevice) await this.alertNewDevice(user, event, { ...meta, location });
+    return event;
+  }
+
+  async getHistory(userId, { page = 1, limit = 20 } = {}) {
+    const LoginEvent = this.getModel();
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const safePage = Math.max(parseInt(page) || 1, 1);
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip((safePage - 1) * safeLimit)
+        .limit(safeLimit)
+        .select('-identifier -__v')
+        .lean(),
+      LoginEvent.countDocuments({ user: userId })
+    ]);
+
+    return {
+      events,
+      pagination: { page: safePage, limit: safeLimit, total, pages: Math.ceil(total / safeLimit) }
+    };
+  }
+
+  // ==========================================
+  // ALERTS
+  // ==========================================
+
+  /**
+   * "This wasn't me" link token. Tied to the sign-in event, whose
+   * reportedAt makes it single-use.
+   */
+  createReportToken(user, event) {
+    return jwt.sign(
+      { id: user._id, evt: event._id, purpose: 'login_report' },
+      this.reportSecret,
+      { expiresIn: this.reportTokenExpires }
+    );
+  }
+
+  describeLocation(location) {
+    if (!location) return 'Unknown location';
+    return [location.city, location.country].filter(Boolean).join(', ') || 'Unknown location';
+  }
+
+  async alertNewDevice(user, event, { ip, userAgent, location }) {
+    // Without a saved event the link couldn't be made single-use - offer a reset instead.
+    // Only the email carries this link (config/notification-events.js `security`).
+    const reportUrl = event
+      ? `${this.frontendUrl}/auth/not-me?token=${this.createReportToken(user, event)}`
+      : `${this.frontendUrl}/auth/forgot-password`;
+
+    await notificationService.sendSecurityAlert(user, {
+      title: 'New sign-in to your account',
+      message: 'Your CYBEV account was just signed in to from a device we haven\'t seen before. If this was you, there\'s nothing to do.',
+      details: {
+        Location: this.describeLocation(location),
+        'IP address': ip || 'Unknown',
+        Device: userAgent || 'Unknown',
+        Time: new Date().toUTCString()
+      },
+      actionUrl: reportUrl,
+      actionLabel: event ? 'This wasn\'t me' : 'Reset password',
+      data: { loginEventId: event?._id }
+    });
+  }
+
+  async alertLockout(user, attempts, lock) {
+    await notificationService.sendSecurityAlert(user, {
+      title: 'Sign-in temporarily locked',
+      message: `We paused sign-ins to your account after ${attempts} failed attempts. If that wasn't you, reset your password.`,
+      details: {
+        'Locked until': lock.lockedUntil.toUTCString()
+      },
+      actionUrl: `${this.frontendUrl}/auth/forgot-password`,
+      actionLabel: 'Reset password'
+    });
+  }
+
+  // ==========================================
+  // "THIS WASN'T ME"
+  // ==========================================
+
+  /**
+   * Sign the account out everywhere, drop delegated access, forget the
+   * device and require a new password. The reset link goes to the
+   * account's email only - whoever holds the report link may not own
+   * the account. Each link works once.
+   */
+  async reportNotMe(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.reportSecret);
+    } catch (error) {
+      throw this.securityError('This link is invalid or has expired');
+    }
+    if (payload.purpose !== 'login_report' || !payload.evt) throw this.securityError('This link is invalid or has expired');
+
+    const User = mongoose.models.User || require('../models/user.model');
+    const user = await User.findById(payload.id);
+    if (!user) throw this.securityError('Account not found', 404);
+
+    // Claim the report - a second use of the same link finds reportedAt set
+    const event = await this.getModel().findOneAndUpdate(
+      { _id: payload.evt, user: user._id, reportedAt: null },
+      { $set: { reportedAt: new Date() } },
+      { new: true }
+    );
+    if (!event) throw this.securityError('This link has already been used or has expired');
+
+    const apiKeyService = require('./api-key.service');
+    const oauthProviderService = require('./oauth-provider.service');
+    const [sessions, apiKeys, grants] = await Promise.all([
+      sessionService.revokeAllSessions(user._id, { reason: 'suspicious_login' }),
+      apiKeyService.revokeAllKeys(user._id),
+      oauthProviderService.revokeAllGrants(user._id)
+    ]);
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    user.resetPasswordExpires = Date.now() + this.recoveryResetMs;
+    user.passwordResetRequired = true;
+    user.lastKnownIP = '';
+    if (event.ip) user.trustedIPs = (user.trustedIPs || []).filter(t => t.ip !== event.ip);
+    await user.save();
+
+    await notificationService.sendSecurityAlert(user, {
+      title: 'Choose a new password',
+      message: 'You told us a sign-in to your CYBEV account wasn\'t you, so we signed it out everywhere. Choose a new password to get back in.',
+      actionUrl: `${this.frontendUrl}/auth/reset-password?token=${resetToken}`,
+      actionLabel: 'Choose a new password',
+      data: { loginEventId: event._id },
+      channels: ['email']
+    });
+
+    console.log(`🚨 ${user.email} reported a sign-in they didn't make - ${sessions} session(s), ${apiKeys} key(s), ${grants} app grant(s) revoked`);
+
+    return { user, revoked: { sessions, apiKeys, grants } };
+  }
+}
+
+module.exports = new LoginSecurityService();
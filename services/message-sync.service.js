@@ -0,0 +1,579 @@
+// ============================================
+// FILE: services/message-sync.service.js
+// Message Sync Service
+// VERSION: 1.0
+// Keeps every device of a chat user in step:
+// - A per-user sync log (models/sync-event.model.js) numbered by a
+//   gap-free sequence; each entry is also pushed to `user:<id>` as a
+//   `sync` socket event. GET /api/messages/sync?since=N replays it.
+// - Delivered / read receipts per message (deliveredTo / readBy)
+// - Unread counts stored on the conversation per participant, so every
+//   device reads the same number
+// - Online / last seen presence, limited by each user's privacy setting
+// Presence is tracked in this process - run sockets on one instance
+// (or sticky sessions) as everything else realtime does.
+// Settings are in config/messaging.js.
+// ============================================
+
+const mongoose = require('mongoose');
+const { MESSAGING } = require('../config/messaging');
+const blockService = require('./block.service');
+const e2eeService = require('./e2ee.service');
+
+const USER_FIELDS = 'name username avatar';
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const unique = (ids) => [...new Set(ids.map(idOf).filter(Boolean))];
+
+class MessageSyncService {
+  constructor() {
+    this.config = MESSAGING;
+    // userId -> Set of socket ids
+    this.sockets = new Map();
+    // userId -> timer that marks them offline after the grace period
+    this.offlineTimers = new Map();
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  syncError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'MessageSyncError';
+    error.status = status;
+    return error;
+  }
+
+  emit(userId, event, payload) {
+    if (global.io) global.io.to(`user:${userId}`).emit(event, payload);
+  }
+
+  // ==========================================
+  // SYNC LOG
+  // ==========================================
+
+  async nextSeq(userId) {
+    const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+    const update = () => MessagingState.findOneAndUpdate(
+      { user: userId },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    ).select('seq').lean();
+
+    try {
+      return (await update()).seq;
+    } catch (error) {
+      // Two first-ever events racing on the upsert
+      if (error.code === 11000) return (await update()).seq;
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to each user's log and push it to their devices.
+   * `data` may be a function of the user id for per-user payloads.
+   * Never throws - a failed sync write shouldn't fail the request.
+   */
+  async record(userIds, type, { conversation = null, data = {} } = {}) {
+    const SyncEvent = this.model('SyncEvent', '../models/sync-event.model');
+    const conversationId = idOf(conversation);
+
+    await Promise.all(unique(userIds).map(async (userId) => {
+      try {
+        const payload = typeof data === 'function' ? data(userId) : data;
+        const seq = await this.nextSeq(userId);
+        const event = await SyncEvent.create({ user: userId, seq, type, conversation: conversationId, data: payload });
+        this.emit(userId, 'sync', { seq, type, conversationId, data: payload, createdAt: event.createdAt });
+      } catch (error) {
+        console.error(`Message sync (${type}) error:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Everything after `since`. A cursor the log no longer covers (too old,
+   * or 0 for a new device) gets `reset: true` and a snapshot to start from.
+   */
+  async getSince(userId, { since = 0, limit = this.config.syncPageSize } = {}) {
+    const SyncEvent = this.model('SyncEvent', '../models/sync-event.model');
+    const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+    const state = await MessagingState.findOne({ user: userId }).select('seq').lean();
+    const current = state?.seq || 0;
+
+    let reset = since === 0 || since > current;
+    if (!reset && since < current) {
+      const oldest = await SyncEvent.findOne({ user: userId }).sort({ seq: 1 }).select('seq').lean();
+      reset = !oldest || oldest.seq > since + 1;
+    }
+
+    if (reset) {
+      const snapshot = await this.getSnapshot(userId);
+      return { reset: true, cursor: current, events: [], hasMore: false, ...snapshot };
+    }
+
+    const size = Math.min(limit, this.config.maxSyncPageSize);
+    const rows = await SyncEvent.find({ user: userId, seq: { $gt: since } })
+      .sort({ seq: 1 })
+      .limit(size + 1)
+      .lean();
+    // A number handed out but not written yet (two writes racing) would
+    // be skipped for good once the cursor passes it - stop short of it
+    // and let the client ask again. Older gaps are failed writes.
+    let expected = since + 1;
+    let contiguous = Math.min(rows.length, size);
+    for (let i = 0; i < contiguous; i++) {
+      if (rows[i].seq !== expected && Date.now() - rows[i].createdAt < 5000) {
+        contiguous = i;
+        break;
+      }
+      expected = rows[i].seq + 1;
+    }
+
+    const events = rows.slice(0, contiguous).map(e => ({
+      seq: e.seq,
+      type: e.type,
+      conversationId: idOf(e.conversation),
+      data: e.data,
+      createdAt: e.createdAt
+    }));
+
+    // Fetching them is proof the device has them
+    const received = events.filter(e => e.type === 'message').map(e => e.data?.message?._id).filter(Boolean);
+    if (received.length) await this.markDelivered(userId, { messageIds: received });
+
+    return {
+      reset: false,
+      cursor: events.length ? events[events.length - 1].seq : since,
+      events,
+      hasMore: rows.length > contiguous
+    };
+  }
+
+  /**
+   * Latest conversations with unread counts - where a new or reset
+   * device starts; older conversations page in through /conversations
+   */
+  async getSnapshot(userId, { limit = 50 } = {}) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const conversations = await Conversation.find({ participants: userId, isActive: true })
+      .populate('participants', USER_FIELDS)
+      .populate('lastMessage')
+      .sort({ lastMessageAt: -1 })
+      .limit(limit)
+      .lean();
+
+    await this.markDelivered(userId, { conversationIds: conversations.map(c => c._id) });
+    const withUnread = await this.withUnread(userId, conversations);
+    const { totalUnread } = await this.getUnread(userId);
+
+    return { conversations: withUnread, totalUnread };
+  }
+
+  // ==========================================
+  // UNREAD COUNTS
+  // ==========================================
+
+  countsOf(conversation) {
+    const counts = conversation.unreadCounts;
+    if (!counts) return {};
+    return counts instanceof Map ? Object.fromEntries(counts) : counts;
+  }
+
+  async countUnread(userId, conversationId) {
+    const Message = this.model('Message', '../models/message.model');
+    return Message.countDocuments({
+      conversation: conversationId,
+      sender: { $ne: userId },
+      readBy: { $ne: userId },
+      isDeleted: false
+    });
+  }
+
+  /**
+   * Recount from the messages and store it - the count only ever
+   * drifts if an increment was lost, and this puts it right
+   */
+  async refreshUnread(userId, conversationId) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const unreadCount = await this.countUnread(userId, conversationId);
+    await Conversation.updateOne({ _id: conversationId }, { $set: { [`unreadCounts.${idOf(userId)}`]: unreadCount } });
+    return unreadCount;
+  }
+
+  /**
+   * Conversations with the viewer's `unreadCount` (and nobody else's).
+   * Counts missing on older conversations are computed and stored.
+   */
+  async withUnread(userId, conversations) {
+    const uid = idOf(userId);
+    return Promise.all(conversations.map(async (conversation) => {
+      const plain = typeof conversation.toObject === 'function' ? conversation.toObject() : conversation;
+      const { unreadCounts, ...rest } = plain;
+      if (rest.lastMessage?.encrypted) rest.lastMessage = e2eeService.viewFor(rest.lastMessage, uid);
+      const stored = this.countsOf(conversation)[uid];
+      const unreadCount = stored === undefined ? await this.refreshUnread(uid, plain._id) : Math.max(stored, 0);
+      return { ...rest, unreadCount };
+    }));
+  }
+
+  async getUnread(userId) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const conversations = await Conversation.find({ participants: userId, isActive: true }).select('unreadCounts').lean();
+    const counted = await this.withUnread(userId, conversations);
+    const byConversation = Object.fromEntries(counted.filter(c => c.unreadCount > 0).map(c => [idOf(c._id), c.unreadCount]));
+    return {
+      totalUnread: counted.reduce((sum, c) => sum + c.unreadCount, 0),
+      conversations: byConversation
+    };
+  }
+
+  // ==========================================
+  // MESSAGE EVENTS
+  // ==========================================
+
+  /**
+   * Drop receipt arrays from message payloads - receipts travel as
+   * their own events and respect read receipt privacy. Encrypted
+   * messages keep only the envelopes addressed to `userId`.
+   */
+  publicMessage(message, userId = null) {
+    const plain = e2eeService.viewFor(message, userId);
+    delete plain.readBy;
+    delete plain.deliveredTo;
+    return plain;
+  }
+
+  /**
+   * A new message: bump the other participants' unread counts and put
+   * it in everyone's log (the sender's other devices included)
+   */
+  async messageSent(conversation, message) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const senderId = idOf(message.sender);
+    const participants = unique(conversation.participants);
+    const recipients = participants.filter(id => id !== senderId);
+
+    let counts = {};
+    if (recipients.length) {
+      const updated = await Conversation.findOneAndUpdate(
+        { _id: conversation._id },
+        { $inc: Object.fromEntries(recipients.map(id => [`unreadCounts.${id}`, 1])) },
+        { new: true }
+      ).select('unreadCounts').lean();
+      counts = this.countsOf(updated || {});
+    }
+
+    await this.record(participants, 'message', {
+      conversation: conversation._id,
+      data: (userId) => ({ message: this.publicMessage(message, userId), unreadCount: userId === senderId ? 0 : counts[userId] || 0 })
+    });
+
+    // Older clients listen for this instead of `sync`
+    recipients.forEach(id => this.emit(id, 'newMessage', { conversationId: conversation._id, message: this.publicMessage(message, id) }));
+  }
+
+  async messageUpdated(conversation, message) {
+    await this.record(conversation.participants, 'message.updated', {
+      conversation: conversation._id,
+      data: (userId) => ({ message: this.publicMessage(message, userId) })
+    });
+  }
+
+  /**
+   * A deleted message no longer counts as unread for anyone
+   */
+  async messageDeleted(conversation, message) {
+    const senderId = idOf(message.sender);
+    const readBy = new Set(unique(message.readBy || []));
+    const stillUnread = unique(conversation.participants).filter(id => id !== senderId && !readBy.has(id));
+
+    await this.record(conversation.participants, 'message.deleted', {
+      conversation: conversation._id,
+      data: { messageId: idOf(message._id) }
+    });
+    await Promise.all(stillUnread.map(async (userId) => {
+      const unreadCount = await this.refreshUnread(userId, conversation._id);
+      await this.record([userId], 'unread', { conversation: conversation._id, data: { unreadCount } });
+    }));
+  }
+
+  /**
+   * created / left / updated
+   */
+  async conversationChanged(userIds, conversation, action, extra = {}) {
+    await this.record(userIds, 'conversation', {
+      conversation: conversation._id,
+      data: { action, conversation: typeof conversation.toObject === 'function' ? conversation.toObject() : conversation, ...extra }
+    });
+  }
+
+  // ==========================================
+  // RECEIPTS
+  // ==========================================
+
+  async getStates(userIds) {
+    const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+    const states = await MessagingState.find({ user: { $in: unique(userIds) } }).select('user lastSeenAt privacy').lean();
+    return new Map(states.map(s => [idOf(s.user), s]));
+  }
+
+  sendsReadReceipts(state) {
+    return state?.privacy?.readReceipts !== false;
+  }
+
+  /**
+   * Mark messages delivered to `userId` - by id, everything in some
+   * conversations, or both - and tell each sender. Without
+   * conversationIds, only messages in the user's own conversations count.
+   */
+  async markDelivered(userId, { messageIds, conversationIds } = {}) {
+    const Message = this.model('Message', '../models/message.model');
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    if (!messageIds && !conversationIds) return { delivered: 0 };
+
+    let pending = await Message.find({
+      ...(messageIds ? { _id: { $in: messageIds } } : {}),
+      ...(conversationIds ? { conversation: { $in: conversationIds } } : {}),
+      sender: { $ne: userId },
+      deliveredTo: { $ne: userId },
+      isDeleted: false
+    }).select('conversation sender').lean();
+
+    if (!conversationIds && pending.length) {
+      const own = await Conversation.find({ _id: { $in: unique(pending.map(m => m.conversation)) }, participants: userId })
+        .select('_id')
+        .lean();
+      const allowed = new Set(own.map(c => idOf(c._id)));
+      pending = pending.filter(m => allowed.has(idOf(m.conversation)));
+    }
+    if (!pending.length) return { delivered: 0 };
+
+    await Message.updateMany({ _id: { $in: pending.map(m => m._id) } }, { $addToSet: { deliveredTo: userId } });
+
+    // One receipt per sender per conversation
+    const groups = new Map();
+    for (const message of pending) {
+      const key = `${idOf(message.conversation)}:${idOf(message.sender)}`;
+      if (!groups.has(key)) groups.set(key, { conversation: message.conversation, sender: idOf(message.sender), messageIds: [] });
+      groups.get(key).messageIds.push(idOf(message._id));
+    }
+
+    const at = new Date();
+    await Promise.all([...groups.values()].map(group => this.record([group.sender], 'receipt', {
+      conversation: group.conversation,
+      data: { type: 'delivered', userId: idOf(userId), messageIds: group.messageIds, at }
+    })));
+
+    return { delivered: pending.length };
+  }
+
+  /**
+   * Mark a conversation read for `userId`, up to a message or all of it.
+   * Their devices get the new unread count; the other participants get
+   * a read receipt unless either side has receipts turned off.
+   */
+  async markRead(userId, conversationId, { upToMessageId = null } = {}) {
+    const Message = this.model('Message', '../models/message.model');
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId }).select('participants').lean();
+    if (!conversation) throw this.syncError('Conversation not found', 404);
+
+    const query = {
+      conversation: conversation._id,
+      sender: { $ne: userId },
+      readBy: { $ne: userId }
+    };
+    let upTo = null;
+    if (upToMessageId) {
+      upTo = await Message.findOne({ _id: upToMessageId, conversation: conversation._id }).select('createdAt').lean();
+      if (!upTo) throw this.syncError('Message not found', 404);
+      query.createdAt = { $lte: upTo.createdAt };
+    }
+
+    const result = await Message.updateMany(query, { $addToSet: { readBy: userId, deliveredTo: userId } });
+    const unreadCount = await this.refreshUnread(userId, conversation._id);
+
+    if (result.modifiedCount > 0) {
+      const at = new Date();
+      await this.record([userId], 'unread', { conversation: conversation._id, data: { unreadCount } });
+
+      const others = unique(conversation.participants).filter(id => id !== idOf(userId));
+      const states = await this.getStates([userId, ...others]);
+      if (this.sendsReadReceipts(states.get(idOf(userId)))) {
+        const receivers = others.filter(id => this.sendsReadReceipts(states.get(id)));
+        await this.record(receivers, 'receipt', {
+          conversation: conversation._id,
+          data: { type: 'read', userId: idOf(userId), upTo: upTo ? idOf(upTo._id) : null, at }
+        });
+      }
+    }
+
+    return { markedRead: result.modifiedCount, unreadCount };
+  }
+
+  /**
+   * readBy without the ids of people the viewer may not see reads
+   * from (either side has read receipts off)
+   */
+  async filterReadReceipts(viewerId, messages) {
+    const readers = unique(messages.flatMap(m => m.readBy || []));
+    const states = await this.getStates([viewerId, ...readers]);
+    const viewer = idOf(viewerId);
+    const viewerSees = this.sendsReadReceipts(states.get(viewer));
+
+    return messages.map((message) => {
+      const plain = typeof message.toObject === 'function' ? message.toObject() : message;
+      plain.readBy = (plain.readBy || []).filter((id) => {
+        const reader = idOf(id);
+        return reader === viewer || idOf(plain.sender) === reader || (viewerSees && this.sendsReadReceipts(states.get(reader)));
+      });
+      return plain;
+    });
+  }
+
+  // ==========================================
+  // PRESENCE
+  // ==========================================
+
+  isOnline(userId) {
+    return this.sockets.has(idOf(userId));
+  }
+
+  connected(userId, socketId) {
+    const id = idOf(userId);
+    const wasOnline = this.sockets.has(id);
+    if (!wasOnline) this.sockets.set(id, new Set());
+    this.sockets.get(id).add(socketId);
+
+    // Back within the grace period - they never looked offline
+    if (this.offlineTimers.has(id)) {
+      clearTimeout(this.offlineTimers.get(id));
+      this.offlineTimers.delete(id);
+      return;
+    }
+    if (!wasOnline) this.broadcastPresence(id).catch(error => console.error('Presence error:', error.message));
+  }
+
+  disconnected(userId, socketId) {
+    const id = idOf(userId);
+    const sockets = this.sockets.get(id);
+    if (!sockets) return;
+    sockets.delete(socketId);
+    if (sockets.size > 0 || this.offlineTimers.has(id)) return;
+
+    const timer = setTimeout(async () => {
+      this.offlineTimers.delete(id);
+      if (this.sockets.get(id)?.size) return;
+      this.sockets.delete(id);
+      try {
+        const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+        await MessagingState.updateOne({ user: id }, { $set: { lastSeenAt: new Date() } }, { upsert: true });
+        await this.broadcastPresence(id);
+      } catch (error) {
+        console.error('Presence error:', error.message);
+      }
+    }, this.config.presence.offlineGraceMs);
+    timer.unref?.();
+    this.offlineTimers.set(id, timer);
+  }
+
+  /**
+   * People the user has a direct chat with
+   */
+  async getContacts(userId) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const conversations = await Conversation.find({ type: 'direct', participants: userId }).select('participants').lean();
+    return new Set(unique(conversations.flatMap(c => c.participants)).filter(id => id !== idOf(userId)));
+  }
+
+  visibilityOf(state) {
+    return state?.privacy?.presence || this.config.presence.defaultVisibility;
+  }
+
+  /**
+   * Whether `viewerId` may see `targetId`'s presence. Hiding your own
+   * presence from everyone hides everyone else's from you.
+   */
+  canSeePresence(viewerId, targetId, { states, blocked, viewerContacts }) {
+    if (idOf(viewerId) === idOf(targetId)) return true;
+    if (blocked.has(idOf(targetId))) return false;
+    if (this.visibilityOf(states.get(idOf(viewerId))) === 'nobody') return false;
+
+    const visibility = this.visibilityOf(states.get(idOf(targetId)));
+    if (visibility === 'everyone') return true;
+    if (visibility === 'contacts') return viewerContacts.has(idOf(targetId));
+    return false;
+  }
+
+  presenceOf(userId, state) {
+    const online = this.isOnline(userId);
+    return { userId: idOf(userId), visible: true, online, lastSeenAt: online ? null : state?.lastSeenAt || null };
+  }
+
+  async getPresence(viewerId, userIds) {
+    const ids = unique(userIds).slice(0, this.config.presence.maxLookup);
+    const [states, blocked, viewerContacts] = await Promise.all([
+      this.getStates([viewerId, ...ids]),
+      blockService.getBlockedBetween(viewerId, ids),
+      this.getContacts(viewerId)
+    ]);
+
+    return ids.map(id => (this.canSeePresence(viewerId, id, { states, blocked, viewerContacts })
+      ? this.presenceOf(id, states.get(id))
+      : { userId: id, visible: false, online: null, lastSeenAt: null }));
+  }
+
+  /**
+   * Tell the user's contacts they came online or went offline (or, for
+   * those not allowed to know, that it's hidden). Presence is live
+   * state, not part of the sync log.
+   */
+  async broadcastPresence(userId) {
+    const contacts = [...await this.getContacts(userId)];
+    if (!contacts.length) return;
+
+    const [states, blocked] = await Promise.all([
+      this.getStates([userId, ...contacts]),
+      blockService.getBlockedBetween(userId, contacts)
+    ]);
+    const presence = this.presenceOf(userId, states.get(idOf(userId)));
+
+    const hidden = { userId: idOf(userId), visible: false, online: null, lastSeenAt: null };
+
+    for (const contactId of contacts) {
+      // They're all contacts of each other by definition
+      const allowed = this.canSeePresence(contactId, userId, { states, blocked, viewerContacts: new Set([idOf(userId)]) });
+      this.emit(contactId, 'presence', allowed ? presence : hidden);
+    }
+  }
+
+  // ==========================================
+  // SETTINGS
+  // ==========================================
+
+  async getSettings(userId) {
+    const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+    const state = await MessagingState.findOne({ user: userId }).select('privacy').lean();
+    return {
+      presence: this.visibilityOf(state),
+      readReceipts: this.sendsReadReceipts(state)
+    };
+  }
+
+  async updateSettings(userId, { presence, readReceipts }) {
+    const MessagingState = this.model('MessagingState', '../models/messaging-state.model');
+    const $set = {};
+    if (presence !== undefined) $set['privacy.presence'] = presence;
+    if (readReceipts !== undefined) $set['privacy.readReceipts'] = readReceipts;
+
+    if (Object.keys($set).length) {
+      await MessagingState.updateOne({ user: userId }, { $set }, { upsert: true });
+      if (presence !== undefined) this.broadcastPresence(userId).catch(error => console.error('Presence error:', error.message));
+    }
+    return this.getSettings(userId);
+  }
+}
+
+module.exports = new MessageSyncService();
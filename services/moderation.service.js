@@ -5,6 +5,7 @@
 // ============================================
 
 const axios = require('axios');
+const rateLimitService = require('./rate-limit.service');
 
 class ModerationService {
   constructor() {
@@ -495,15 +496,20 @@ Content: "${text.substring(0, 1000)}"`
   // ==========================================
 
   /**
-   * Check if user is rate limited
+   * Count an action against a user's limit ({ max, windowMs }, default one hour)
    */
   async checkRateLimit(userId, action, limits) {
-    // Implementation would use Redis or in-memory store
-    // For now, return not limited
+    const policy = {
+      name: `moderation-${action}`,
+      max: limits.max,
+      windowMs: limits.windowMs || 60 * 60 * 1000
+    };
+    const result = await rateLimitService.consume(policy, { type: 'user', id: String(userId) });
+
     return {
-      limited: false,
-      remaining: limits.max,
-      resetAt: null
+      limited: !result.allowed,
+      remaining: result.remaining,
+      resetAt: new Date(result.resetAt)
     };
   }
 
@@ -0,0 +1,601 @@
+// ============================================
+// FILE: services/notification-delivery.service.js
+// Notification Delivery Service
+// VERSION: 1.0
+// The one way to notify a user. notify() renders the event type's
+// templates (config/notification-events.js), saves the in-app
+// Notification, pushes it to the user's sockets and puts every other
+// channel in the outbox (models/notification-outbox.model.js).
+// Outbox entries are tried straight away; failures are retried by
+// cron/notification-outbox.js with backoff and dead-lettered after
+// `delivery.maxAttempts`. Each channel's outcome is kept on
+// Notification.deliveries (GET /api/notifications/:id).
+// ============================================
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, getEvent } = require('../config/notification-events');
+const { fcmConfigured, webPushConfigured, sendFCM, sendWebPush } = require('../utils/push');
+const { escapeHtml } = require('../utils/search-text');
+
+const USER_FIELDS = 'name username email phone status preferences';
+const SENDER_FIELDS = 'name username avatar';
+
+// Wait this long before the cron picks up a new entry, so it doesn't
+// race the first attempt made right after notify()
+const FIRST_ATTEMPT_GRACE_MS = 60 * 1000;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class NotificationDeliveryService {
+  constructor() {
+    this.config = NOTIFICATION_EVENTS.delivery;
+    this.appUrl = process.env.FRONTEND_URL || 'https://cybev.io';
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getNotificationModel() {
+    return this.model('Notification', '../models/notification.model');
+  }
+
+  getOutboxModel() {
+    return this.model('NotificationOutbox', '../models/notification-outbox.model');
+  }
+
+  deliveryError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'NotificationDeliveryError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // TEMPLATES
+  // ==========================================
+
+  /**
+   * Fill in {{path.to.value}} placeholders; missing values become ''
+   */
+  render(template, context) {
+    return String(template || '')
+      .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+        return value == null ? '' : String(value);
+      })
+      .trim();
+  }
+
+  renderChannel(event, channel, context) {
+    const template = { title: event.title, body: event.body, url: event.url, ...(event.templates?.[channel] || {}) };
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = key === 'layout' ? value : this.render(value, context);
+    }
+    return rendered;
+  }
+
+  /**
+   * What goes in the outbox for one channel - rendered now, so retries
+   * send the same thing
+   */
+  buildPayload(channel, event, context, notification, user) {
+    const rendered = this.renderChannel(event, channel, context);
+
+    if (channel === 'email') {
+      // Templates carry user-written text (names, search queries)
+      const notificationService = require('./notification.service');
+      const title = escapeHtml(rendered.title);
+      const message = escapeHtml(rendered.body);
+      const html = rendered.layout === 'security'
+        ? notificationService.generateSecurityEmailHtml(user, {
+          title,
+          message,
+          details: context.data.details,
+          actionUrl: rendered.url,
+          actionLabel: context.data.actionLabel
+        })
+        : notificationService.generateDefaultEmailHtml(user, { title, message, actionUrl: rendered.url });
+      return {
+        subject: rendered.subject || rendered.title,
+        html,
+        text: [rendered.body, rendered.url].filter(Boolean).join('\n\n')
+      };
+    }
+
+    if (channel === 'whatsapp') {
+      return { body: rendered.body, url: rendered.url || null };
+    }
+
+    // webPush / mobilePush
+    return {
+      title: rendered.title,
+      body: rendered.body,
+      url: rendered.url || null,
+      tag: notification.type,
+      data: {
+        type: notification.type,
+        notificationId: idOf(notification),
+        ...(rendered.url ? { actionUrl: rendered.url } : {}),
+        ...(notification.entityId ? { entityId: idOf(notification.entityId) } : {})
+      }
+    };
+  }
+
+  // ==========================================
+  // NOTIFYING
+  // ==========================================
+
+  /**
+   * Why `channel` isn't used for this user, or null to send
+   */
+  skipReason(event, channel, user) {
+    if (channel === 'inApp') return null;
+    if (!user || user.status === 'deleted') return 'Account unavailable';
+    const prefs = user.preferences || {};
+
+    if (channel === 'email' && !user.email) return 'No email address';
+    if (channel === 'whatsapp') {
+      // Opt-in even for critical events
+      if (prefs.whatsappNotifications !== true) return 'WhatsApp notifications are off';
+      if (!user.phone) return 'No phone number';
+    }
+    if (event.critical) return null;
+
+    if (event.preference && prefs.notifications?.[event.preference] === false) return 'Turned off for this type';
+    if ((channel === 'webPush' || channel === 'mobilePush') && prefs.pushNotifications === false) return 'Push notifications are off';
+    if (channel === 'email' && prefs.emailNotifications === false) return 'Email notifications are off';
+    return null;
+  }
+
+  /**
+   * Notify one user of a `type` event.
+   * `message`, `actionUrl` and `data` fill the templates; `channels`
+   * narrows the event's channels for this one notification.
+   * The Notification is always saved - delivery status hangs off it -
+   * but only shown in the app when the event has the inApp channel.
+   * Returns the Notification, or null when the recipient doesn't exist.
+   */
+  async notify(type, { recipient, sender = null, entityId = null, entityModel = null, message = '', actionUrl = null, data = {}, channels = null }) {
+    const event = getEvent(type);
+    if (!event) throw this.deliveryError(`Unknown notification type: ${type}`);
+
+    const Notification = this.getNotificationModel();
+    const Outbox = this.getOutboxModel();
+    const User = this.model('User', '../models/user.model');
+
+    const [user, senderUser] = await Promise.all([
+      User.findById(recipient).select(USER_FIELDS).lean(),
+      sender ? User.findById(sender).select(SENDER_FIELDS).lean() : null
+    ]);
+    if (!user) return null;
+
+    const context = {
+      message,
+      actionUrl: actionUrl || '',
+      data,
+      appUrl: this.appUrl,
+      sender: {
+        name: senderUser?.name || senderUser?.username || 'Someone',
+        username: senderUser?.username || ''
+      },
+      recipient: { name: user.name || 'there' }
+    };
+
+    const inApp = this.renderChannel(event, 'inApp', context);
+    if (!inApp.body) throw this.deliveryError('Notification text is required');
+
+    const notification = new Notification({
+      recipient: user._id,
+      sender: senderUser?._id || null,
+      type,
+      entityId,
+      entityModel,
+      message: inApp.body,
+      meta: { title: inApp.title, actionUrl: inApp.url || null, ...data }
+    });
+
+    const wanted = event.channels.filter(channel => !channels || channels.includes(channel));
+    const now = new Date();
+    const entries = [];
+    for (const channel of wanted) {
+      if (channel === 'inApp') {
+        notification.deliveries.push({ channel, status: 'sent', sentAt: now, updatedAt: now });
+        continue;
+      }
+      const reason = this.skipReason(event, channel, user);
+      notification.deliveries.push({ channel, status: reason ? 'skipped' : 'pending', reason, updatedAt: now });
+      if (!reason) {
+        entries.push({
+          notification: notification._id,
+          recipient: user._id,
+          eventType: type,
+          channel,
+          payload: this.buildPayload(channel, event, context, notification, user),
+          nextAttemptAt: new Date(now.getTime() + FIRST_ATTEMPT_GRACE_MS)
+        });
+      }
+    }
+
+    // Outbox first: if the server stops in between, the cron still
+    // delivers (and skips entries whose notification never got saved)
+    const queued = entries.length ? await Outbox.insertMany(entries) : [];
+    await notification.save();
+
+    if (wanted.includes('inApp')) this.emitInApp(notification, inApp, event, senderUser);
+    if (queued.length) {
+      setImmediate(() => {
+        this.deliverNow(queued.map(entry => entry._id))
+          .catch(error => console.error('Notification delivery error:', error.message));
+      });
+    }
+
+    return notification;
+  }
+
+  /**
+   * notify() for several recipients; one failing doesn't stop the rest
+   */
+  async notifyMany(type, recipients, options = {}) {
+    const notifications = [];
+    for (const recipient of recipients) {
+      try {
+        const notification = await this.notify(type, { ...options, recipient });
+        if (notification) notifications.push(notification);
+      } catch (error) {
+        console.error(`Notification (${type}) error:`, error.message);
+      }
+    }
+    return notifications;
+  }
+
+  emitInApp(notification, rendered, event, senderUser) {
+    const io = global.io;
+    if (!io) return;
+    io.to(`user:${notification.recipient}`).emit('notification', {
+      _id: notification._id,
+      type: notification.type,
+      title: rendered.title,
+      message: notification.message,
+      actionUrl: rendered.url || null,
+      sender: senderUser || null,
+      createdAt: notification.createdAt,
+      priority: event.priority || 'normal'
+    });
+  }
+
+  // ==========================================
+  // OUTBOX
+  // ==========================================
+
+  claimFilter(now) {
+    const stale = new Date(now.getTime() - this.config.claimTimeoutMinutes * 60 * 1000);
+    return {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', claimedAt: { $lt: stale } }
+      ]
+    };
+  }
+
+  async claim(filter, now) {
+    return this.getOutboxModel().findOneAndUpdate(
+      filter,
+      { $set: { status: 'sending', claimedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+  }
+
+  /**
+   * First attempt for entries notify() just queued
+   */
+  async deliverNow(ids) {
+    for (const id of ids) {
+      const entry = await this.claim({ _id: id, status: 'pending' }, new Date());
+      if (entry) await this.attempt(entry);
+    }
+  }
+
+  /**
+   * Claim due entries one at a time (so several servers can run the
+   * cron) and try them. Claims left by a crashed run are retried after
+   * `claimTimeoutMinutes`.
+   */
+  async processOutbox() {
+    const counts = { sent: 0, skipped: 0, retrying: 0, dead: 0 };
+
+    for (let i = 0; i < this.config.batchSize; i++) {
+      const now = new Date();
+      const entry = await this.claim(this.claimFilter(now), now);
+      if (!entry) break;
+      const status = await this.attempt(entry);
+      counts[status === 'pending' ? 'retrying' : status]++;
+    }
+
+    return counts;
+  }
+
+  retryDelayMs(attempts) {
+    const seconds = Math.min(this.config.retryBaseSeconds * 2 ** Math.max(attempts - 1, 0), this.config.retryMaxSeconds);
+    return seconds * 1000;
+  }
+
+  /**
+   * Send one claimed entry; returns the status it ended up in
+   */
+  async attempt(entry) {
+    const Notification = this.getNotificationModel();
+    const User = this.model('User', '../models/user.model');
+
+    try {
+      if (!await Notification.exists({ _id: entry.notification })) {
+        return await this.finish(entry, { status: 'skipped', reason: 'Notification deleted' });
+      }
+      const user = await User.findById(entry.recipient).select(USER_FIELDS).lean();
+      if (!user || user.status === 'deleted') {
+        return await this.finish(entry, { status: 'skipped', reason: 'Account unavailable' });
+      }
+
+      const result = await this.send(entry.channel, user, entry.payload);
+      return await this.finish(entry, result.skipped
+        ? { status: 'skipped', reason: result.skipped }
+        : { status: 'sent' });
+    } catch (error) {
+      const dead = error.permanent || entry.attempts >= this.config.maxAttempts;
+      console.error(`Notification ${entry.channel} delivery error (attempt ${entry.attempts}):`, error.message);
+      return this.finish(entry, dead
+        ? { status: 'dead', lastError: error.message }
+        : { status: 'pending', lastError: error.message, nextAttemptAt: new Date(Date.now() + this.retryDelayMs(entry.attempts)) });
+    }
+  }
+
+  /**
+   * Record the outcome on the outbox entry (if it's still ours) and on
+   * the notification's deliveries
+   */
+  async finish(entry, { status, reason = null, lastError = null, nextAttemptAt = null }) {
+    const now = new Date();
+    const result = await this.getOutboxModel().updateOne(
+      { _id: entry._id, status: 'sending', claimedAt: entry.claimedAt },
+      {
+        $set: {
+          status,
+          reason,
+          lastError,
+          ...(nextAttemptAt ? { nextAttemptAt } : {}),
+          ...(status === 'sent' ? { sentAt: now } : {}),
+          ...(status === 'dead' ? { deadAt: now } : {})
+        },
+        $unset: { claimedAt: 1 }
+      }
+    );
+    // Another worker took over a claim we held too long
+    if (!result.modifiedCount) return status;
+
+    await this.getNotificationModel().updateOne(
+      { _id: entry.notification },
+      {
+        $set: {
+          'deliveries.$[d].status': status,
+          'deliveries.$[d].reason': reason,
+          'deliveries.$[d].attempts': entry.attempts,
+          'deliveries.$[d].lastError': lastError,
+          'deliveries.$[d].updatedAt': now,
+          ...(status === 'sent' ? { 'deliveries.$[d].sentAt': now } : {})
+        }
+      },
+      { arrayFilters: [{ 'd.channel': entry.channel }] }
+    );
+    return status;
+  }
+
+  /**
+   * Drop finished entries; dead ones are kept longer for a look
+   */
+  async purge() {
+    const day = 24 * 60 * 60 * 1000;
+    const result = await this.getOutboxModel().deleteMany({
+      $or: [
+        { status: { $in: ['sent', 'skipped'] }, updatedAt: { $lt: new Date(Date.now() - this.config.sentRetentionDays * day) } },
+        { status: 'dead', updatedAt: { $lt: new Date(Date.now() - this.config.deadRetentionDays * day) } }
+      ]
+    });
+    return result.deletedCount || 0;
+  }
+
+  // ==========================================
+  // CHANNELS
+  // Each returns { sent, ... } or { sent: 0, skipped: reason }, and
+  // throws when the attempt should be retried (or `permanent` errors,
+  // which are dead-lettered at once)
+  // ==========================================
+
+  send(channel, user, payload) {
+    switch (channel) {
+      case 'webPush': return this.sendWebPush(user._id, payload);
+      case 'mobilePush': return this.sendMobilePush(user._id, payload);
+      case 'email': return this.sendEmail(user, payload);
+      case 'whatsapp': return this.sendWhatsApp(user, payload);
+      default: {
+        const error = this.deliveryError(`Unknown channel: ${channel}`);
+        error.permanent = true;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Nothing sent: throw the last real error so the entry is retried,
+   * or skip when there was nothing to send to
+   */
+  tally({ sent, failed, lastError, ...counts }, noTargets) {
+    if (sent) return { sent, failed, ...counts };
+    if (failed) throw lastError;
+    return { sent: 0, skipped: noTargets, ...counts };
+  }
+
+  inQuietHours(quiet) {
+    if (!quiet?.enabled) return false;
+    const now = new Date();
+    const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+    const { startTime, endTime } = quiet;
+    return startTime < endTime
+      ? currentTime >= startTime && currentTime < endTime
+      : currentTime >= startTime || currentTime < endTime;
+  }
+
+  /**
+   * Browser subscriptions (routes/push.routes.js), honouring the push
+   * preferences and quiet hours kept there
+   */
+  async sendWebPush(userId, payload) {
+    const PushSubscription = mongoose.models.PushSubscription;
+    const NotificationPreferences = mongoose.models.NotificationPreferences;
+    const event = getEvent(payload.data?.type);
+
+    const prefs = NotificationPreferences ? await NotificationPreferences.findOne({ user: userId }).lean() : null;
+    if (prefs && !event?.critical) {
+      if (prefs.push?.enabled === false) return { sent: 0, skipped: 'Push disabled' };
+      if (event?.preference && prefs.push?.[event.preference] === false) return { sent: 0, skipped: 'Turned off for this type' };
+      if (this.inQuietHours(prefs.quiet)) return { sent: 0, skipped: 'Quiet hours' };
+    }
+
+    const subscriptions = PushSubscription ? await PushSubscription.find({ user: userId, isActive: true }).lean() : [];
+    if (!subscriptions.length) return { sent: 0, skipped: 'No subscriptions' };
+    if (!webPushConfigured()) return { sent: 0, skipped: 'Web push not configured' };
+
+    let sent = 0;
+    let failed = 0;
+    let lastError = null;
+    for (const subscription of subscriptions) {
+      try {
+        await sendWebPush(subscription, payload);
+        sent++;
+      } catch (error) {
+        if (error.expired) {
+          await PushSubscription.updateOne({ _id: subscription._id }, { isActive: false });
+        } else {
+          failed++;
+          lastError = error;
+        }
+      }
+    }
+
+    if (sent) {
+      await PushSubscription.updateMany({ user: userId, isActive: true }, { lastUsed: new Date() });
+    }
+    return this.tally({ sent, failed, lastError }, 'No subscriptions');
+  }
+
+  /**
+   * App device tokens (routes/mobile.routes.js): FCM for Android,
+   * web-push for 'web' tokens. APNs isn't set up, so iOS tokens wait.
+   */
+  async sendMobilePush(userId, payload) {
+    const DeviceToken = mongoose.models.DeviceToken;
+    const tokens = DeviceToken ? await DeviceToken.find({ user: userId, isActive: true }).select('token platform').lean() : [];
+
+    const counts = { ios: 0, android: 0, web: 0 };
+    let sent = 0;
+    let failed = 0;
+    let lastError = null;
+    for (const device of tokens) {
+      const sender = device.platform === 'android' && fcmConfigured() ? sendFCM
+        : device.platform === 'web' && webPushConfigured() ? sendWebPush
+          : null;
+      if (!sender) continue;
+
+      try {
+        await sender(device.token, payload);
+        counts[device.platform]++;
+        sent++;
+      } catch (error) {
+        if (error.expired) {
+          await DeviceToken.updateOne({ _id: device._id }, { isActive: false });
+        } else {
+          failed++;
+          lastError = error;
+        }
+      }
+    }
+
+    return this.tally({ sent, failed, lastError, ...counts }, tokens.length ? 'Push not configured for these devices' : 'No devices');
+  }
+
+  async sendEmail(user, payload) {
+    const { sendEmail } = require('../utils/sendEmail');
+    const result = await sendEmail({ to: user.email, subject: payload.subject, html: payload.html, text: payload.text });
+    if (result?.success === false) throw new Error(result.error || 'Email not sent');
+    return { sent: 1, provider: result?.provider };
+  }
+
+  /**
+   * WhatsApp Cloud API (WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN)
+   */
+  async sendWhatsApp(user, payload) {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+    if (!phoneNumberId || !accessToken) return { sent: 0, skipped: 'WhatsApp not configured' };
+
+    const to = String(user.phone || '').replace(/\D/g, '');
+    if (!to) return { sent: 0, skipped: 'No phone number' };
+
+    const { apiVersion, templateName, languageCode } = NOTIFICATION_EVENTS.whatsapp;
+    const text = payload.url && !payload.body.includes(payload.url) ? `${payload.body}\n${payload.url}` : payload.body;
+    const message = templateName
+      ? {
+        type: 'template',
+        template: {
+          name: templateName,
+          language: { code: languageCode },
+          components: [{ type: 'body', parameters: [{ type: 'text', text }] }]
+        }
+      }
+      : { type: 'text', text: { body: text, preview_url: Boolean(payload.url) } };
+
+    const response = await fetch(`https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ messaging_product: 'whatsapp', to, ...message })
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(result.error?.message || `WhatsApp send failed (${response.status})`);
+      // A bad number, template or token won't get better by retrying
+      error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+      throw error;
+    }
+    return { sent: 1, messageId: result.messages?.[0]?.id };
+  }
+
+  // ==========================================
+  // STATUS (GET /api/notifications/:id)
+  // ==========================================
+
+  async getWithDeliveries(userId, id) {
+    const notification = mongoose.Types.ObjectId.isValid(id)
+      ? await this.getNotificationModel().findOne({ _id: id, recipient: userId })
+        .populate('sender', 'username displayName avatar')
+        .lean()
+      : null;
+    if (!notification) throw this.deliveryError('Not found', 404);
+
+    // When the next retry is due, for channels still pending
+    const entries = await this.getOutboxModel().find({ notification: notification._id, status: 'pending' })
+      .select('channel nextAttemptAt')
+      .lean();
+    const nextAttempt = new Map(entries.map(entry => [entry.channel, entry.nextAttemptAt]));
+    notification.deliveries = (notification.deliveries || []).map(delivery => ({
+      ...delivery,
+      ...(nextAttempt.has(delivery.channel) ? { nextAttemptAt: nextAttempt.get(delivery.channel) } : {})
+    }));
+    return notification;
+  }
+}
+
+module.exports = new NotificationDeliveryService();
@@ -1,16 +1,18 @@
 // ============================================
 // FILE: services/notification.service.js
 // Advanced Notification Service
-// VERSION: 1.0
-// Digest emails, scheduling, batching
+// VERSION: 1.1
+// Digest emails, scheduling, batching - on top of the delivery pipeline
+// in services/notification-delivery.service.js
 // ============================================
 
 const mongoose = require('mongoose');
+const { isEventType } = require('../config/notification-events');
+const notificationDelivery = require('./notification-delivery.service');
 
 class NotificationService {
   constructor() {
     this.emailService = null;
-    this.pushService = null;
     
     // Batch settings
     this.batchSize = 100;
@@ -24,14 +26,14 @@ class NotificationService {
     console.log('📬 Advanced Notification Service initialized');
   }
 
-  // Initialize with dependencies
-  init(emailService, pushService) {
+  // Initialize with dependencies (push goes through the delivery pipeline)
+  init(emailService) {
     this.emailService = emailService;
-    this.pushService = pushService;
   }
 
   // ==========================================
   // NOTIFICATION CREATION
+  // Everything goes out through services/notification-delivery.service.js
   // ==========================================
 
   /**
@@ -46,21 +48,15 @@ class NotificationService {
       data = {},
       priority = 'normal', // 'low', 'normal', 'high', 'urgent'
       actionUrl,
-      imageUrl,
       sendPush = true,
-      sendEmail = false,
-      emailSubject,
-      emailTemplate,
-      groupKey, // For grouping similar notifications
-      expiresAt
+      sendEmail = false
     } = options;
 
     try {
-      const Notification = mongoose.models.Notification || require('../models/notification.model');
       const User = mongoose.models.User || require('../models/user.model');
 
       // Get user preferences
-      const user = await User.findById(userId).select('notificationPreferences email name pushTokens');
+      const user = await User.findById(userId).select('notificationPreferences');
       if (!user) return null;
 
       const prefs = user.notificationPreferences || {};
@@ -80,37 +76,20 @@ class NotificationService {
         });
       }
 
-      // Create notification record
-      const notification = new Notification({
-        user: userId,
-        type,
-        title,
+      // Users on a digest only get it in the app for now; the digest email covers the rest
+      const deliveryFrequency = prefs.frequency || 'instant';
+      const instant = deliveryFrequency === 'instant' || priority === 'urgent';
+      const channels = ['inApp'];
+      if (instant && sendPush) channels.push('webPush', 'mobilePush');
+      if (instant && sendEmail) channels.push('email');
+
+      return await notificationDelivery.notify(isEventType(type) ? type : 'system', {
+        recipient: userId,
         message,
-        data,
-        priority,
         actionUrl,
-        imageUrl,
-        groupKey,
-        expiresAt,
-        status: 'pending'
+        data: { title, ...data },
+        channels
       });
-
-      await notification.save();
-
-      // Determine delivery method based on preferences
-      const deliveryFrequency = prefs.frequency || 'instant';
-
-      if (deliveryFrequency === 'instant' || priority === 'urgent') {
-        // Send immediately
-        await this.deliverNotification(notification, user, { sendPush, sendEmail, emailSubject, emailTemplate });
-      } else {
-        // Queue for digest
-        notification.status = 'queued';
-        notification.digestSchedule = deliveryFrequency;
-        await notification.save();
-      }
-
-      return notification;
     } catch (error) {
       console.error('Create notification error:', error);
       return null;
@@ -118,117 +97,69 @@ class NotificationService {
   }
 
   /**
-   * Deliver notification immediately
+   * Security alerts (new sign-in, lockout) ignore preferences, quiet
+   * hours and digests - always in-app and by email (and WhatsApp for
+   * users who turned it on). `actionUrl` is only put in the email;
+   * `channels` narrows where this one goes.
    */
-  async deliverNotification(notification, user, options = {}) {
-    const { sendPush = true, sendEmail = false, emailSubject, emailTemplate } = options;
-    const results = { push: null, email: null };
-
+  async sendSecurityAlert(user, { title, message, details = {}, actionUrl, actionLabel, data = {}, channels = null }) {
     try {
-      // Send push notification
-      if (sendPush && user.pushTokens?.length > 0) {
-        results.push = await this.sendPushNotification(user, notification);
-      }
-
-      // Send email if enabled and user prefers it
-      if (sendEmail && user.email && user.notificationPreferences?.emailEnabled !== false) {
-        results.email = await this.sendEmailNotification(user, notification, emailSubject, emailTemplate);
-      }
-
-      // Update notification status
-      notification.status = 'delivered';
-      notification.deliveredAt = new Date();
-      notification.deliveryResults = results;
-      await notification.save();
-
-      // Emit via Socket.IO for real-time
-      this.emitRealTimeNotification(user._id, notification);
-
-      return results;
+      const notification = await notificationDelivery.notify('security', {
+        recipient: user._id,
+        message,
+        actionUrl,
+        data: { title, details, actionLabel, ...data },
+        channels
+      });
+      return { notification };
     } catch (error) {
-      console.error('Deliver notification error:', error);
-      notification.status = 'failed';
-      notification.error = error.message;
-      await notification.save();
-      return null;
+      console.error('Security notification error:', error.message);
+      return { notification: null };
     }
   }
 
   /**
-   * Send push notification
+   * New content for a saved search - in-app, push unless the user
+   * turned push off, and email when the saved search asks for it
    */
-  async sendPushNotification(user, notification) {
-    if (!this.pushService) return null;
-
+  async sendSavedSearchAlert(user, { savedSearchId, title, message, actionUrl, sendEmail = false, data = {} }) {
     try {
-      const payload = {
-        title: notification.title,
-        body: notification.message,
-        data: {
-          type: notification.type,
-          actionUrl: notification.actionUrl,
-          notificationId: notification._id.toString(),
-          ...notification.data
-        },
-        icon: notification.imageUrl || '/icons/notification.png',
-        badge: '/icons/badge.png',
-        tag: notification.groupKey || notification.type,
-        requireInteraction: notification.priority === 'urgent'
-      };
-
-      // Send to all user's devices
-      const results = await Promise.all(
-        user.pushTokens.map(token => 
-          this.pushService.send(token.token, payload).catch(err => ({ error: err.message }))
-        )
-      );
-
-      return { sent: results.filter(r => !r.error).length, failed: results.filter(r => r.error).length };
+      const notification = await notificationDelivery.notify('search_alert', {
+        recipient: user._id,
+        entityId: savedSearchId,
+        entityModel: 'SavedSearch',
+        message,
+        actionUrl,
+        data: { title, ...data },
+        channels: ['inApp', 'webPush', 'mobilePush', ...(sendEmail ? ['email'] : [])]
+      });
+      return { notification };
     } catch (error) {
-      console.error('Push notification error:', error);
-      return null;
+      console.error('Saved search notification error:', error.message);
+      return { notification: null };
     }
   }
 
   /**
-   * Send email notification
+   * Someone @mentioned the user (services/content-parsing.service.js
+   * has already checked blocks, mutes and the mentions preference) - in-app,
+   * plus push unless the user turned push off
    */
-  async sendEmailNotification(user, notification, subject, template) {
-    if (!this.emailService) return null;
-
+  async sendMentionNotification(user, { senderId, entityId, entityModel, message, actionUrl, data = {} }) {
     try {
-      const emailSubject = subject || notification.title;
-      const html = template ? 
-        await this.renderEmailTemplate(template, { user, notification }) :
-        this.generateDefaultEmailHtml(user, notification);
-
-      return await this.emailService.sendEmail({
-        to: user.email,
-        subject: emailSubject,
-        html
+      const notification = await notificationDelivery.notify('mention', {
+        recipient: user._id,
+        sender: senderId,
+        entityId,
+        entityModel,
+        message,
+        actionUrl,
+        data
       });
+      return { notification };
     } catch (error) {
-      console.error('Email notification error:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Emit real-time notification via Socket.IO
-   */
-  emitRealTimeNotification(userId, notification) {
-    const io = global.io;
-    if (io) {
-      io.to(`user:${userId}`).emit('notification', {
-        _id: notification._id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        actionUrl: notification.actionUrl,
-        imageUrl: notification.imageUrl,
-        createdAt: notification.createdAt,
-        priority: notification.priority
-      });
+      console.error('Mention notification error:', error.message);
+      return { notification: null };
     }
   }
 
@@ -628,7 +559,8 @@ class NotificationService {
       'reward': '🎁 Rewards',
       'stream': '🎬 Live Streams',
       'event': '📅 Events',
-      'group': '👥 Groups'
+      'group': '👥 Groups',
+      'search_alert': '🔎 Saved Searches'
     };
     return labels[type] || '🔔 Notifications';
   }
@@ -669,6 +601,36 @@ class NotificationService {
     `;
   }
 
+  /**
+   * Security alert email: details table + one action button
+   */
+  generateSecurityEmailHtml(user, { title, message, details, actionUrl, actionLabel }) {
+    // Values include the caller's user agent - never trust them as HTML
+    const escapeHtml = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    const rows = Object.entries(details || {})
+      .map(([label, value]) => `<p style="margin: 5px 0;"><strong>${label}:</strong> ${escapeHtml(value)}</p>`)
+      .join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #F59E0B;">${title}</h1>
+        <p>Hi ${user.name || 'there'},</p>
+        <p>${message}</p>
+        ${rows ? `<div style="background: #FEF3C7; padding: 15px; border-radius: 10px; margin: 20px 0;">${rows}</div>` : ''}
+        ${actionUrl ? `
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${actionUrl}" style="background: #DC2626; color: white; padding: 15px 30px; text-decoration: none; border-radius: 10px; font-weight: bold; display: inline-block;">
+            ${actionLabel || 'Review activity'}
+          </a>
+        </div>` : ''}
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+        <p style="color: #6b7280; font-size: 14px;">
+          This is an automated security notification from CYBEV.
+        </p>
+      </div>
+    `;
+  }
+
   /**
    * Get ScheduledNotification model (create if doesn't exist)
    */
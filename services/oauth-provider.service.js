@@ -0,0 +1,472 @@
+// ============================================
+// FILE: services/oauth-provider.service.js
+// OAuth2 Provider Service
+// VERSION: 1.0
+// Lets third-party apps act on behalf of CYBEV users
+// (authorization-code grant, PKCE, refresh tokens)
+// ============================================
+
+const crypto = require('crypto');
+const { isValidScope, scopesForRole, restrictScopes } = require('../config/permissions');
+
+class OAuthProviderService {
+  constructor() {
+    this.accessTokenPrefix = 'cybev_at_';
+    this.refreshTokenPrefix = 'cybev_rt_';
+    this.clientSecretPrefix = 'cybev_cs_';
+    this.codeTtl = 10 * 60 * 1000; // 10 minutes
+    this.accessTokenTtl = 60 * 60 * 1000; // 1 hour
+    this.refreshTokenDays = 30;
+    this.maxClientsPerUser = 20;
+    this.touchInterval = 60 * 1000;
+  }
+
+  getModels() {
+    return require('../models/oauth-app.model');
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+  }
+
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(this.accessTokenPrefix);
+  }
+
+  /**
+   * Errors carry the RFC 6749 error code so routes can answer in spec format
+   */
+  oauthError(code, description, status = 400) {
+    const error = new Error(description);
+    error.name = 'OAuthError';
+    error.oauthError = code;
+    error.status = status;
+    return error;
+  }
+
+  parseScopeParam(scope) {
+    if (Array.isArray(scope)) return [...new Set(scope.filter(Boolean))];
+    return [...new Set(String(scope || '').split(/[\s,]+/).filter(Boolean))];
+  }
+
+  // Only https (or localhost during development), no fragments
+  isValidRedirectUri(uri) {
+    try {
+      const url = new URL(uri);
+      if (url.hash) return false;
+      if (url.protocol === 'https:') return true;
+      return url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  // ==========================================
+  // CLIENTS
+  // ==========================================
+
+  validateClientInput({ name, redirectUris, scopes }, owner) {
+    if (!name || !String(name).trim()) throw this.oauthError('invalid_request', 'App name is required');
+
+    if (!Array.isArray(redirectUris) || !redirectUris.length) {
+      throw this.oauthError('invalid_request', 'At least one redirect URI is required');
+    }
+    const badUri = redirectUris.find(uri => !this.isValidRedirectUri(uri));
+    if (badUri) throw this.oauthError('invalid_request', `Invalid redirect URI: ${badUri}`);
+
+    const requested = this.parseScopeParam(scopes);
+    if (!requested.length) throw this.oauthError('invalid_scope', 'Select at least one scope');
+    const unknown = requested.filter(scope => !isValidScope(scope));
+    if (unknown.length) throw this.oauthError('invalid_scope', `Unknown scopes: ${unknown.join(', ')}`);
+
+    // Apps cannot request more than their developer could do
+    const allowed = restrictScopes(requested, scopesForRole(owner.isAdmin ? 'admin' : owner.role));
+    if (allowed.length !== requested.length) {
+      throw this.oauthError('invalid_scope', 'Your account cannot grant some of these scopes', 403);
+    }
+
+    return { redirectUris: [...new Set(redirectUris)], scopes: requested };
+  }
+
+  async createClient(owner, input = {}) {
+    const { OAuthClient } = this.getModels();
+    const { redirectUris, scopes } = this.validateClientInput(input, owner);
+
+    const count = await OAuthClient.countDocuments({ owner: owner._id, revokedAt: null });
+    if (count >= this.maxClientsPerUser) {
+      throw this.oauthError('invalid_request', `You can register at most ${this.maxClientsPerUser} apps`);
+    }
+
+    const clientSecret = `${this.clientSecretPrefix}${crypto.randomBytes(32).toString('hex')}`;
+    const client = await OAuthClient.create({
+      owner: owner._id,
+      name: String(input.name).trim(),
+      description: input.description || '',
+      website: input.website || '',
+      logoUrl: input.logoUrl || '',
+      clientId: crypto.randomBytes(16).toString('hex'),
+      clientSecretHash: this.hash(clientSecret),
+      redirectUris,
+      scopes
+    });
+
+    return { client, clientSecret };
+  }
+
+  async updateClient(owner, id, input = {}) {
+    const { OAuthClient } = this.getModels();
+    const client = await OAuthClient.findOne({ _id: id, owner: owner._id, revokedAt: null });
+    if (!client) return null;
+
+    const { redirectUris, scopes } = this.validateClientInput({
+      name: input.name ?? client.name,
+      redirectUris: input.redirectUris ?? client.redirectUris,
+      scopes: input.scopes ?? client.scopes
+    }, owner);
+
+    client.name = String(input.name ?? client.name).trim();
+    if (input.description !== undefined) client.description = input.description;
+    if (input.website !== undefined) client.website = input.website;
+    if (input.logoUrl !== undefined) client.logoUrl = input.logoUrl;
+    client.redirectUris = redirectUris;
+    client.scopes = scopes;
+    await client.save();
+
+    return client;
+  }
+
+  async rotateClientSecret(ownerId, id) {
+    const { OAuthClient } = this.getModels();
+    const client = await OAuthClient.findOne({ _id: id, owner: ownerId, revokedAt: null });
+    if (!client) return null;
+
+    const clientSecret = `${this.clientSecretPrefix}${crypto.randomBytes(32).toString('hex')}`;
+    client.clientSecretHash = this.hash(clientSecret);
+    await client.save();
+
+    return { client, clientSecret };
+  }
+
+  /**
+   * Delete an app and cut off every user who authorized it
+   */
+  async revokeClient(ownerId, id) {
+    const { OAuthClient, OAuthToken } = this.getModels();
+    const client = await OAuthClient.findOneAndUpdate(
+      { _id: id, owner: ownerId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!client) return false;
+
+    await OAuthToken.updateMany({ client: client._id, revokedAt: null }, { revokedAt: new Date() });
+    return true;
+  }
+
+  async listClients(ownerId) {
+    const { OAuthClient } = this.getModels();
+    return OAuthClient.find({ owner: ownerId, revokedAt: null })
+      .select('-clientSecretHash')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async findActiveClient(clientId) {
+    const { OAuthClient } = this.getModels();
+    if (!clientId) return null;
+    return OAuthClient.findOne({ clientId: String(clientId), revokedAt: null });
+  }
+
+  // ==========================================
+  // AUTHORIZATION
+  // ==========================================
+
+  /**
+   * Validate an authorization request and resolve the scopes shown on the
+   * consent screen. Scopes the user's role can't grant are dropped.
+   */
+  async validateAuthorizationRequest(user, query = {}) {
+    const client = await this.findActiveClient(query.client_id);
+    if (!client) throw this.oauthError('invalid_client', 'Unknown client_id', 401);
+
+    if (!query.redirect_uri || !client.redirectUris.includes(query.redirect_uri)) {
+      throw this.oauthError('invalid_request', 'redirect_uri is not registered for this app');
+    }
+    if (query.response_type !== 'code') {
+      throw this.oauthError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    // Only S256 - a `plain` challenge is the verifier itself, so anyone
+    // who sees the authorization request can redeem the code
+    const method = query.code_challenge ? query.code_challenge_method : null;
+    if (query.code_challenge && method !== 'S256') {
+      throw this.oauthError('invalid_request', 'code_challenge_method must be S256');
+    }
+
+    const requested = query.scope ? this.parseScopeParam(query.scope) : client.scopes;
+    const outsideClient = requested.filter(scope => !client.scopes.includes(scope));
+    if (outsideClient.length) {
+      throw this.oauthError('invalid_scope', `App is not allowed to request: ${outsideClient.join(', ')}`);
+    }
+
+    const scopes = restrictScopes(requested, scopesForRole(user.isAdmin ? 'admin' : user.role));
+    if (!scopes.length) throw this.oauthError('invalid_scope', 'None of the requested scopes can be granted');
+
+    return {
+      client,
+      scopes,
+      redirectUri: query.redirect_uri,
+      state: query.state,
+      codeChallenge: query.code_challenge || null,
+      codeChallengeMethod: method
+    };
+  }
+
+  async createAuthorizationCode(user, { client, scopes, redirectUri, codeChallenge, codeChallengeMethod }) {
+    const { OAuthAuthorizationCode } = this.getModels();
+    const code = crypto.randomBytes(32).toString('hex');
+
+    await OAuthAuthorizationCode.create({
+      client: client._id,
+      user: user._id || user.id,
+      codeHash: this.hash(code),
+      redirectUri,
+      scopes,
+      codeChallenge,
+      codeChallengeMethod,
+      expiresAt: new Date(Date.now() + this.codeTtl)
+    });
+
+    return code;
+  }
+
+  buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+    });
+    return url.toString();
+  }
+
+  // ==========================================
+  // TOKEN ENDPOINT
+  // ==========================================
+
+  verifyPkce(codeDoc, codeVerifier) {
+    if (!codeVerifier || codeDoc.codeChallengeMethod !== 'S256') return false;
+    const digest = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return digest === codeDoc.codeChallenge;
+  }
+
+  /**
+   * Confidential clients must present their secret. Public clients may skip it
+   * only when the grant is protected by PKCE.
+   */
+  async authenticateClient(clientId, clientSecret, { pkceVerified = false } = {}) {
+    const client = await this.findActiveClient(clientId);
+    if (!client) throw this.oauthError('invalid_client', 'Client authentication failed', 401);
+
+    if (clientSecret) {
+      const expected = Buffer.from(client.clientSecretHash);
+      const actual = Buffer.from(this.hash(clientSecret));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw this.oauthError('invalid_client', 'Client authentication failed', 401);
+      }
+    } else if (!pkceVerified) {
+      throw this.oauthError('invalid_client', 'client_secret is required', 401);
+    }
+
+    return client;
+  }
+
+  async issueTokens(client, userId, scopes, { publicClient = false } = {}) {
+    const { OAuthToken } = this.getModels();
+    const accessToken = `${this.accessTokenPrefix}${crypto.randomBytes(32).toString('hex')}`;
+    const refreshToken = `${this.refreshTokenPrefix}${crypto.randomBytes(32).toString('hex')}`;
+
+    await OAuthToken.create({
+      client: client._id,
+      user: userId,
+      scopes,
+      publicClient,
+      accessTokenHash: this.hash(accessToken),
+      accessTokenExpiresAt: new Date(Date.now() + this.accessTokenTtl),
+      refreshTokenHash: this.hash(refreshToken),
+      refreshTokenExpiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: Math.floor(this.accessTokenTtl / 1000),
+      refresh_token: refreshToken,
+      scope: scopes.join(' ')
+    };
+  }
+
+  async exchangeAuthorizationCode({ client_id, client_secret, code, redirect_uri, code_verifier }) {
+    const { OAuthAuthorizationCode, OAuthToken } = this.getModels();
+
+    if (!code) throw this.oauthError('invalid_request', 'code is required');
+
+    const codeDoc = await OAuthAuthorizationCode.findOne({ codeHash: this.hash(code) }).populate('client');
+    if (!codeDoc || !codeDoc.client || codeDoc.client.clientId !== String(client_id)) {
+      throw this.oauthError('invalid_grant', 'Invalid authorization code');
+    }
+
+    // A replayed code means it leaked - revoke what it produced
+    const revokeIssued = async () => {
+      await OAuthToken.updateMany(
+        { client: codeDoc.client._id, user: codeDoc.user, createdAt: { $gte: codeDoc.createdAt }, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      throw this.oauthError('invalid_grant', 'Authorization code already used');
+    };
+    if (codeDoc.usedAt) await revokeIssued();
+    if (codeDoc.expiresAt <= new Date()) throw this.oauthError('invalid_grant', 'Authorization code expired');
+    if (codeDoc.redirectUri !== redirect_uri) throw this.oauthError('invalid_grant', 'redirect_uri mismatch');
+
+    let pkceVerified = false;
+    if (codeDoc.codeChallenge) {
+      pkceVerified = this.verifyPkce(codeDoc, code_verifier);
+      if (!pkceVerified) throw this.oauthError('invalid_grant', 'Invalid code_verifier');
+    }
+
+    const client = await this.authenticateClient(client_id, client_secret, { pkceVerified });
+
+    // Claim the code atomically - of two concurrent exchanges only one gets tokens
+    const claimed = await OAuthAuthorizationCode.findOneAndUpdate(
+      { _id: codeDoc._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!claimed) await revokeIssued();
+
+    return this.issueTokens(client, codeDoc.user, codeDoc.scopes, { publicClient: !client_secret });
+  }
+
+  /**
+   * Rotate a refresh token - the old pair stops working
+   */
+  async refreshAccessToken({ client_id, client_secret, refresh_token }) {
+    const { OAuthToken } = this.getModels();
+
+    if (!refresh_token) throw this.oauthError('invalid_request', 'refresh_token is required');
+
+    const tokenDoc = await OAuthToken.findOne({ refreshTokenHash: this.hash(refresh_token) }).populate('client');
+    if (!tokenDoc || !tokenDoc.client || tokenDoc.client.clientId !== String(client_id)) {
+      throw this.oauthError('invalid_grant', 'Invalid refresh token');
+    }
+    if (tokenDoc.revokedAt || tokenDoc.refreshTokenExpiresAt <= new Date()) {
+      throw this.oauthError('invalid_grant', 'Refresh token expired or revoked');
+    }
+
+    // Public (PKCE) clients were let in without a secret - they may refresh the same way
+    const client = await this.authenticateClient(client_id, client_secret, { pkceVerified: tokenDoc.publicClient });
+
+    const claimed = await OAuthToken.findOneAndUpdate(
+      { _id: tokenDoc._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!claimed) throw this.oauthError('invalid_grant', 'Refresh token expired or revoked');
+
+    return this.issueTokens(client, tokenDoc.user, tokenDoc.scopes, { publicClient: tokenDoc.publicClient });
+  }
+
+  /**
+   * RFC 7009 revocation. The client authenticates as at the token
+   * endpoint (public PKCE clients by client_id) and can only revoke its
+   * own tokens; unknown tokens are not an error.
+   */
+  async revokeToken(token, { client_id, client_secret } = {}) {
+    const { OAuthToken } = this.getModels();
+    if (!token) throw this.oauthError('invalid_request', 'token is required');
+
+    const hash = this.hash(token);
+    const tokenDoc = await OAuthToken.findOne({
+      $or: [{ accessTokenHash: hash }, { refreshTokenHash: hash }],
+      revokedAt: null
+    }).select('client publicClient');
+
+    const client = await this.authenticateClient(client_id, client_secret, { pkceVerified: tokenDoc ? tokenDoc.publicClient : true });
+    if (!tokenDoc || String(tokenDoc.client) !== String(client._id)) return;
+
+    await OAuthToken.updateOne({ _id: tokenDoc._id, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  // ==========================================
+  // AUTHENTICATE (resource requests)
+  // ==========================================
+
+  async authenticate(accessToken) {
+    const { OAuthToken } = this.getModels();
+
+    const tokenDoc = await OAuthToken.findOne({ accessTokenHash: this.hash(accessToken) }).populate('client', 'clientId name revokedAt');
+    if (!tokenDoc || tokenDoc.revokedAt || !tokenDoc.client || tokenDoc.client.revokedAt) {
+      throw this.oauthError('invalid_token', 'Invalid access token', 401);
+    }
+    if (tokenDoc.accessTokenExpiresAt <= new Date()) {
+      const error = this.oauthError('invalid_token', 'Access token expired', 401);
+      error.expired = true;
+      throw error;
+    }
+
+    if (!tokenDoc.lastUsedAt || Date.now() - tokenDoc.lastUsedAt.getTime() > this.touchInterval) {
+      OAuthToken.updateOne({ _id: tokenDoc._id }, { lastUsedAt: new Date() })
+        .catch(err => console.error('OAuth token touch error:', err.message));
+    }
+
+    return tokenDoc;
+  }
+
+  // ==========================================
+  // USER GRANTS ("apps with access to your account")
+  // ==========================================
+
+  async listGrants(userId) {
+    const { OAuthToken } = this.getModels();
+    const tokens = await OAuthToken.find({
+      user: userId,
+      revokedAt: null,
+      refreshTokenExpiresAt: { $gt: new Date() }
+    })
+      .populate('client', 'name description website logoUrl clientId revokedAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const grants = new Map();
+    for (const token of tokens) {
+      if (!token.client || token.client.revokedAt) continue;
+      const key = String(token.client._id);
+      const grant = grants.get(key) || {
+        client: token.client,
+        scopes: new Set(),
+        authorizedAt: token.createdAt,
+        lastUsedAt: token.lastUsedAt
+      };
+      token.scopes.forEach(scope => grant.scopes.add(scope));
+      if (token.createdAt < grant.authorizedAt) grant.authorizedAt = token.createdAt;
+      if (token.lastUsedAt && (!grant.lastUsedAt || token.lastUsedAt > grant.lastUsedAt)) grant.lastUsedAt = token.lastUsedAt;
+      grants.set(key, grant);
+    }
+
+    return [...grants.values()].map(grant => ({ ...grant, scopes: [...grant.scopes] }));
+  }
+
+  async revokeGrant(userId, clientObjectId) {
+    const { OAuthToken } = this.getModels();
+    const result = await OAuthToken.updateMany(
+      { user: userId, client: clientObjectId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  async revokeAllGrants(userId) {
+    const { OAuthToken } = this.getModels();
+    const result = await OAuthToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new OAuthProviderService();
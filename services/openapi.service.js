@@ -0,0 +1,315 @@
+// ============================================
+// FILE: services/openapi.service.js
+// OpenAPI Service
+// VERSION: 1.0
+// Builds an OpenAPI 3 document from the routers actually mounted
+// on the app. Request schemas come from middleware/validate.js,
+// auth / scope / rate-limit requirements from the `apiDoc` tags on
+// middleware/auth.js and middleware/rate-limit.js.
+// Also keeps the load status of every router declared in server.js
+// so missing or broken modules show up in one report.
+// ============================================
+
+const path = require('path');
+const { toJsonSchema, shapeToJsonSchema } = require('../utils/validation');
+const { SCOPES } = require('../config/permissions');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+class OpenApiService {
+  constructor() {
+    this.app = null;
+    this.mounts = [];
+    this.spec = null;
+  }
+
+  // ==========================================
+  // ROUTER REGISTRY
+  // ==========================================
+
+  /**
+   * Load one router declared in server.js and mount it. Never throws;
+   * the outcome is recorded for the load report and the spec.
+   * `file` is relative to the project root, as written in server.js.
+   */
+  mountRouter(app, { name, path: mountPath, file }) {
+    const entry = { name, path: mountPath, file, status: 'loaded', error: null, router: null };
+    const modulePath = path.join(__dirname, '..', file);
+
+    try {
+      entry.router = require(modulePath);
+      app.use(mountPath, entry.router);
+    } catch (error) {
+      // The router file itself is missing, or something it requires failed
+      const ownFile = error.code === 'MODULE_NOT_FOUND' && error.message.includes(`'${modulePath}'`);
+      entry.status = ownFile ? 'missing' : 'failed';
+      entry.error = error.message.split('\n')[0];
+    }
+
+    this.mounts.push(entry);
+    this.spec = null;
+    return entry;
+  }
+
+  getLoadReport() {
+    const report = { loaded: [], missing: [], failed: [] };
+    for (const { name, path: mountPath, file, status, error } of this.mounts) {
+      report[status].push({ name, path: mountPath, file, ...(error ? { error } : {}) });
+    }
+    return report;
+  }
+
+  printLoadReport() {
+    const { loaded, missing, failed } = this.getLoadReport();
+    console.log(`=== Routes: ${loaded.length} loaded, ${missing.length + failed.length} skipped ===`);
+
+    if (missing.length) {
+      console.log(`❌ ${missing.length} router(s) declared in server.js have no module:`);
+      missing.forEach(r => console.log(`   - ${r.name} (${r.path}) -> ${r.file}.js`));
+    }
+    if (failed.length) {
+      console.log(`⚠️ ${failed.length} router(s) failed to load:`);
+      failed.forEach(r => console.log(`   - ${r.name} (${r.path}): ${r.error}`));
+    }
+    console.log('');
+  }
+
+  // ==========================================
+  // WALKING EXPRESS
+  // ==========================================
+
+  attach(app) {
+    this.app = app;
+    this.spec = null;
+  }
+
+  /**
+   * Mount path of a nested router layer, or null when it isn't a plain path
+   */
+  layerPath(layer) {
+    if (layer.regexp.fast_slash) return '';
+
+    let keyIndex = 0;
+    const source = layer.regexp.source
+      .replace(/^\^/, '')
+      .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+      .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++]?.name}`)
+      .replace(/\\\//g, '/');
+
+    return /[\\()[\]^$*+?|]/.test(source) ? null : source;
+  }
+
+  /**
+   * Every route below `stack` as { method, path, handlers, tag }
+   */
+  collectRoutes(stack, prefix = '', tag = null, inherited = []) {
+    const routes = [];
+    const middleware = [...inherited];
+
+    for (const layer of stack) {
+      if (layer.route) {
+        const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+
+        for (const routePath of paths) {
+          if (typeof routePath !== 'string') continue;
+          const fullPath = prefix + routePath;
+          const handlers = [
+            ...middleware.filter(m => fullPath.startsWith(m.base)).map(m => m.handle),
+            ...layer.route.stack.map(l => l.handle)
+          ];
+          for (const method of Object.keys(layer.route.methods)) {
+            if (!METHODS.includes(method)) continue;
+            routes.push({ method, path: fullPath, handlers, tag });
+          }
+        }
+        continue;
+      }
+
+      if (layer.name === 'router' && layer.handle?.stack) {
+        const childPath = this.layerPath(layer);
+        if (childPath === null) continue;
+
+        // The same module can be mounted twice (/api/follow and /api/follows)
+        const mount = prefix === ''
+          ? this.mounts.find(m => m.router === layer.handle && m.path === childPath)
+          : null;
+        const childTag = mount ? mount.name : tag || childPath.split('/').filter(Boolean).pop() || null;
+
+        routes.push(...this.collectRoutes(layer.handle.stack, prefix + childPath, childTag, middleware));
+        continue;
+      }
+
+      // router.use(verifyToken) applies to every route registered after it under its path
+      if (layer.handle?.apiDoc) {
+        const base = this.layerPath(layer);
+        if (base !== null) middleware.push({ handle: layer.handle, base: prefix + base });
+      }
+    }
+
+    return routes;
+  }
+
+  // ==========================================
+  // SPEC
+  // ==========================================
+
+  toOpenApiPath(expressPath) {
+    return expressPath
+      .replace(/\/+/g, '/')
+      .replace(/:(\w+)\??/g, '{$1}')
+      .replace(/\/$/, '') || '/';
+  }
+
+  describeOperation({ method, path: routePath, handlers, tag }) {
+    const docs = handlers.map(h => h.apiDoc).filter(Boolean);
+    const schemas = docs.filter(d => d.schemas).map(d => d.schemas);
+    const auth = docs.some(d => d.auth === 'required') ? 'required' : docs.some(d => d.auth === 'optional') ? 'optional' : null;
+    const scopes = [...new Set(docs.flatMap(d => d.scopes || []))];
+    const roles = [...new Set(docs.flatMap(d => d.roles || []))];
+    const access = docs.map(d => d.access).filter(Boolean);
+    const rateLimits = [...new Set(docs.flatMap(d => d.rateLimit || []))];
+
+    access.forEach(area => scopes.push(`${area}:${['get', 'head'].includes(method) ? 'read' : 'write'}`));
+
+    const parameters = [];
+    const documented = new Set();
+    for (const location of ['params', 'query']) {
+      for (const shape of schemas.map(s => s[location]).filter(Boolean)) {
+        for (const [name, field] of Object.entries(shape)) {
+          documented.add(`${location}:${name}`);
+          parameters.push({
+            name,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || !!field.options?.required,
+            schema: toJsonSchema(field)
+          });
+        }
+      }
+    }
+    for (const [, name] of routePath.matchAll(/:(\w+)/g)) {
+      if (!documented.has(`params:${name}`)) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+      }
+    }
+
+    const operation = {
+      tags: [tag || 'app'],
+      operationId: `${method}_${routePath}`.replace(/[^a-zA-Z0-9]+/g, '_').replace(/_+$/, ''),
+      parameters,
+      responses: { 200: { description: 'Success' } }
+    };
+
+    const bodies = schemas.map(s => s.body).filter(Boolean);
+    if (bodies.length) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: shapeToJsonSchema(Object.assign({}, ...bodies)) } }
+      };
+    }
+    if (schemas.length) operation.responses[400] = { $ref: '#/components/responses/ValidationError' };
+
+    if (auth === 'required') {
+      operation.security = [{ bearerAuth: [] }];
+      operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    } else if (auth === 'optional') {
+      operation.security = [{}, { bearerAuth: [] }];
+    }
+    if (scopes.length || roles.length) {
+      operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+      if (scopes.length) operation['x-required-scopes'] = scopes;
+      if (roles.length) operation['x-required-roles'] = roles;
+    }
+    if (rateLimits.length) {
+      operation['x-rate-limit-policies'] = rateLimits;
+      operation.responses[429] = { $ref: '#/components/responses/RateLimited' };
+    }
+
+    return operation;
+  }
+
+  build() {
+    if (!this.app?._router) throw new Error('OpenAPI: no app attached');
+
+    const pkg = require(path.join(__dirname, '..', 'package.json'));
+    const paths = {};
+
+    for (const route of this.collectRoutes(this.app._router.stack)) {
+      const openApiPath = this.toOpenApiPath(route.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      // First registration wins, like Express
+      if (!paths[openApiPath][route.method]) {
+        paths[openApiPath][route.method] = this.describeOperation(route);
+      }
+    }
+
+    const { loaded, missing, failed } = this.getLoadReport();
+    const errorBody = {
+      type: 'object',
+      properties: { ok: { type: 'boolean', example: false }, error: { type: 'string' }, code: { type: 'string' } }
+    };
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'CYBEV API',
+        version: pkg.version,
+        description: pkg.description
+      },
+      servers: [{ url: process.env.API_URL || '/' }],
+      tags: loaded.map(r => ({ name: r.name, description: `Mounted at ${r.path}` })),
+      paths: Object.fromEntries(Object.keys(paths).sort().map(p => [p, paths[p]])),
+      components: {
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            description: `Session JWT, personal API key or OAuth access token. Scopes: ${Object.keys(SCOPES).join(', ')}`
+          }
+        },
+        responses: {
+          ValidationError: {
+            description: 'Invalid request',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    ...errorBody.properties,
+                    errors: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          location: { type: 'string', enum: ['params', 'query', 'body'] },
+                          field: { type: 'string' },
+                          message: { type: 'string' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          Unauthorized: { description: 'Missing or invalid credentials', content: { 'application/json': { schema: errorBody } } },
+          Forbidden: { description: 'Role or scope not granted', content: { 'application/json': { schema: errorBody } } },
+          RateLimited: {
+            description: 'Rate limit exceeded (see Retry-After)',
+            content: { 'application/json': { schema: errorBody } }
+          }
+        }
+      },
+      'x-unavailable-routers': [...missing, ...failed]
+    };
+  }
+
+  /**
+   * Cached spec; rebuilt whenever another router is mounted
+   */
+  getSpec() {
+    if (!this.spec) this.spec = this.build();
+    return this.spec;
+  }
+}
+
+module.exports = new OpenApiService();
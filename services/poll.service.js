@@ -0,0 +1,537 @@
+// ============================================
+// FILE: services/poll.service.js
+// Poll Service
+// VERSION: 1.0
+// One poll implementation for feed posts, group posts, groups and
+// live streams (mounted at /api/polls; the group and stream routers
+// delegate here).
+// - Single or multiple choice (optionally capped), optional end time
+// - Anonymous polls never reveal voters; public polls list them
+// - Results visibility: always / after voting / after closing
+// - Who sees and votes follows what the poll is attached to: post
+//   visibility, group membership, stream privacy
+// - Stream polls push 'poll-created' / 'poll-update' / 'poll-ended'
+//   to the stream room
+// ============================================
+
+const mongoose = require('mongoose');
+
+const AUTHOR_FIELDS = 'name username avatar profilePicture isVerified';
+const MAX_OPTIONS = 10;
+// Stream polls closing within this long get an in-process timer so
+// viewers see 'poll-ended' on time; others close when next read
+const CLOSE_TIMER_MAX_MS = 6 * 60 * 60 * 1000;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+// Where each attachment lives
+const TARGETS = {
+  post: { model: 'Post', file: '../models/post.model', select: 'author authorId visibility isDeleted pollId' },
+  group_post: { model: 'GroupPost', file: '../models/groupPost.model', select: 'group author status pollId' },
+  group: { model: 'Group', file: '../models/group.model' },
+  stream: { model: 'LiveStream', file: '../models/livestream.model', select: 'streamer privacy status isActive' }
+};
+
+const GROUP_FIELDS = 'privacy members admins moderators creator settings features isActive';
+
+class PollService {
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getModel() {
+    return this.model('Poll', '../models/poll.model');
+  }
+
+  getVoteModel() {
+    return this.model('PollVote', '../models/poll-vote.model');
+  }
+
+  pollError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'PollError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // ACCESS
+  // ==========================================
+
+  groupRole(group, userId) {
+    if (!group || !userId) return null;
+    const id = idOf(userId);
+    const member = group.members?.find(m => idOf(m.user) === id && (m.status || 'active') !== 'banned');
+    const isAdmin = idOf(group.creator) === id ||
+      group.admins?.some(a => idOf(a) === id) ||
+      group.moderators?.some(m => idOf(m) === id) ||
+      ['admin', 'moderator'].includes(member?.role);
+    if (isAdmin) return 'admin';
+    return member ? 'member' : null;
+  }
+
+  async isFollowing(followerId, followingId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    return !!(await Follow.exists({ follower: followerId, following: followingId, status: 'active' }));
+  }
+
+  /**
+   * Load what a poll is (or will be) attached to and work out what
+   * `userId` may do with it: view, vote, create / manage polls on it
+   */
+  async getAccess(type, id, userId) {
+    const target = TARGETS[type];
+    if (!target || !mongoose.Types.ObjectId.isValid(id)) throw this.pollError('Invalid poll target');
+
+    const Model = this.model(target.model, target.file);
+    const doc = await Model.findById(id).select(target.select || GROUP_FIELDS).lean();
+    if (!doc || doc.isDeleted) throw this.pollError('Poll target not found', 404);
+
+    const viewer = idOf(userId);
+    const access = { doc, group: null, owner: null, canView: false, canVote: false, canManage: false };
+
+    if (type === 'post') {
+      access.owner = idOf(doc.author || doc.authorId);
+      const isOwner = !!viewer && viewer === access.owner;
+      const visibility = doc.visibility || 'public';
+      access.canView = isOwner || visibility === 'public' ||
+        (visibility === 'followers' && !!viewer && await this.isFollowing(viewer, access.owner));
+      access.canManage = isOwner;
+    } else if (type === 'stream') {
+      access.owner = idOf(doc.streamer);
+      const isOwner = !!viewer && viewer === access.owner;
+      const privacy = doc.privacy || 'public';
+      access.canView = isOwner || privacy === 'public' ||
+        (privacy === 'followers' && !!viewer && await this.isFollowing(viewer, access.owner));
+      access.canManage = isOwner;
+    } else {
+      const Group = this.model('Group', '../models/group.model');
+      const group = type === 'group' ? doc : await Group.findById(doc.group).select(GROUP_FIELDS).lean();
+      if (!group || group.isActive === false) throw this.pollError('Group not found', 404);
+      // Pending posts are only visible to their author until approved
+      if (type === 'group_post' && doc.status && doc.status !== 'approved' && idOf(doc.author) !== viewer) {
+        throw this.pollError('Poll target not found', 404);
+      }
+
+      access.group = group;
+      access.owner = type === 'group_post' ? idOf(doc.author) : null;
+      const role = this.groupRole(group, viewer);
+      access.canView = group.privacy === 'public' || !!role;
+      // Only members vote; posting polls also needs them enabled
+      access.canVote = !!role;
+      const pollsEnabled = group.settings?.allowPolls !== false && group.features?.polls !== false;
+      access.canManage = type === 'group'
+        ? !!role && (pollsEnabled || role === 'admin')
+        : (viewer === access.owner && pollsEnabled) || role === 'admin';
+      access.isGroupAdmin = role === 'admin';
+    }
+
+    if (type === 'post' || type === 'stream') access.canVote = access.canView && !!viewer;
+    return access;
+  }
+
+  /**
+   * A poll with its access for `userId`; 404 when they may not see it
+   */
+  async getPollForUser(pollId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(pollId)) throw this.pollError('Poll not found', 404);
+    let poll = await this.getModel().findById(pollId).lean();
+    if (!poll) throw this.pollError('Poll not found', 404);
+
+    const access = await this.getAccess(poll.attachedTo.type, poll.attachedTo.id, userId);
+    if (!access.canView) throw this.pollError('Poll not found', 404);
+
+    poll = await this.closeIfExpired(poll);
+    const isAuthor = idOf(poll.author) === idOf(userId);
+    access.canManage = isAuthor || access.canManage || !!access.isGroupAdmin;
+    return { poll, access };
+  }
+
+  // ==========================================
+  // LIFECYCLE
+  // ==========================================
+
+  isOpen(poll) {
+    return poll.status === 'open' && (!poll.endsAt || new Date(poll.endsAt) > new Date());
+  }
+
+  /**
+   * @param {Object} data
+   *   attachTo { type: post | group_post | group | stream, id },
+   *   question, options [text], multipleChoice, maxChoices, anonymous,
+   *   allowVoteChange, resultsVisibility, endsAt | durationSeconds
+   */
+  async create(userId, data) {
+    const { attachTo, question, multipleChoice = false, maxChoices = 0, anonymous = false, allowVoteChange = true, resultsVisibility = 'always' } = data;
+    const Poll = this.getModel();
+
+    const options = [...new Set((data.options || []).map(text => String(text).trim()).filter(Boolean))];
+    if (options.length < 2) throw this.pollError('At least 2 different options are required');
+    if (options.length > MAX_OPTIONS) throw this.pollError(`At most ${MAX_OPTIONS} options`);
+
+    const endsAt = data.endsAt
+      ? new Date(data.endsAt)
+      : data.durationSeconds ? new Date(Date.now() + data.durationSeconds * 1000) : null;
+    if (endsAt && endsAt <= new Date()) throw this.pollError('endsAt must be in the future');
+
+    const access = await this.getAccess(attachTo.type, attachTo.id, userId);
+    if (!access.canManage) throw this.pollError('You cannot add a poll here', 403);
+
+    // Posts carry at most one poll
+    if ((attachTo.type === 'post' || attachTo.type === 'group_post') && access.doc.pollId) {
+      throw this.pollError('This post already has a poll', 409);
+    }
+
+    // One live poll per stream at a time
+    if (attachTo.type === 'stream') {
+      const previous = await Poll.find({ 'attachedTo.type': 'stream', 'attachedTo.id': attachTo.id, status: 'open' }).select('_id').lean();
+      for (const open of previous) await this.close(open._id);
+    }
+
+    const poll = await Poll.create({
+      author: userId,
+      question,
+      options: options.map(text => ({ text })),
+      attachedTo: { type: attachTo.type, id: attachTo.id },
+      group: access.group?._id || null,
+      multipleChoice,
+      maxChoices: multipleChoice ? Math.min(maxChoices || 0, options.length) : 1,
+      anonymous,
+      allowVoteChange,
+      resultsVisibility,
+      endsAt
+    });
+
+    if (attachTo.type === 'post' || attachTo.type === 'group_post') {
+      const target = TARGETS[attachTo.type];
+      await this.model(target.model, target.file).updateOne({ _id: attachTo.id }, { $set: { pollId: poll._id } });
+    }
+
+    if (attachTo.type === 'stream') {
+      this.emitToStream(poll, 'poll-created', {
+        pollId: poll._id,
+        question: poll.question,
+        options: poll.options.map(o => ({ id: o._id, text: o.text, voteCount: 0 })),
+        multipleChoice: poll.multipleChoice,
+        endsAt: poll.endsAt
+      });
+      this.scheduleClose(poll);
+    }
+
+    return poll.toObject();
+  }
+
+  scheduleClose(poll) {
+    if (!poll.endsAt) return;
+    const delay = new Date(poll.endsAt) - Date.now();
+    if (delay > CLOSE_TIMER_MAX_MS) return;
+    const timer = setTimeout(() => {
+      this.getModel().findById(poll._id).lean()
+        .then(current => current && this.closeIfExpired(current))
+        .catch(error => console.error('Poll close timer error:', error.message));
+    }, Math.max(0, delay) + 500);
+    if (timer.unref) timer.unref();
+  }
+
+  async closeIfExpired(poll) {
+    if (poll.status !== 'open' || !poll.endsAt || new Date(poll.endsAt) > new Date()) return poll;
+    return (await this.close(poll._id, { closedAt: poll.endsAt })) || poll;
+  }
+
+  /**
+   * Close a poll (no-op if already closed); returns the closed poll
+   */
+  async close(pollId, { closedAt = new Date() } = {}) {
+    const poll = await this.getModel().findOneAndUpdate(
+      { _id: pollId, status: 'open' },
+      { $set: { status: 'closed', closedAt } },
+      { new: true }
+    ).lean();
+
+    if (poll && poll.attachedTo.type === 'stream') {
+      this.emitToStream(poll, 'poll-ended', {
+        pollId: poll._id,
+        question: poll.question,
+        results: this.results(poll),
+        totalVotes: poll.totalVotes,
+        voterCount: poll.voterCount
+      });
+    }
+    return poll;
+  }
+
+  async closeForUser(userId, pollId) {
+    const { poll, access } = await this.getPollForUser(pollId, userId);
+    if (!access.canManage) throw this.pollError('Not authorized', 403);
+    return (await this.close(poll._id)) || poll;
+  }
+
+  async remove(userId, pollId) {
+    const { poll, access } = await this.getPollForUser(pollId, userId);
+    if (!access.canManage) throw this.pollError('Not authorized', 403);
+
+    await Promise.all([
+      this.getModel().deleteOne({ _id: poll._id }),
+      this.getVoteModel().deleteMany({ poll: poll._id })
+    ]);
+
+    const target = TARGETS[poll.attachedTo.type];
+    if (poll.attachedTo.type === 'post' || poll.attachedTo.type === 'group_post') {
+      await this.model(target.model, target.file).updateOne({ _id: poll.attachedTo.id, pollId: poll._id }, { $unset: { pollId: 1 } });
+    }
+    return true;
+  }
+
+  // ==========================================
+  // VOTING
+  // ==========================================
+
+  /**
+   * Vote (or change a vote). `choices` are option ids or indexes.
+   */
+  async vote(userId, pollId, choices) {
+    const { poll, access } = await this.getPollForUser(pollId, userId);
+    if (!access.canVote) throw this.pollError('You cannot vote on this poll', 403);
+    if (!this.isOpen(poll)) throw this.pollError('Poll is closed');
+
+    const picked = this.resolveOptions(poll, choices);
+    if (!picked.length) throw this.pollError('Choose an option');
+    if (!poll.multipleChoice && picked.length > 1) throw this.pollError('Only one choice allowed');
+    if (poll.multipleChoice && poll.maxChoices && picked.length > poll.maxChoices) {
+      throw this.pollError(`Choose up to ${poll.maxChoices} options`);
+    }
+
+    const existing = poll.allowVoteChange
+      ? await this.replaceVote(poll._id, userId, picked)
+      : await this.insertVote(poll._id, userId, picked);
+
+    // Counts move from what the write replaced, not from an earlier read
+    const previous = (existing?.options || []).map(idOf);
+    const updated = await this.applyCounts(poll, previous, picked.map(idOf), existing ? 0 : 1);
+    this.emitUpdate(updated);
+    return { poll: updated, myVotes: picked.map(idOf) };
+  }
+
+  async insertVote(pollId, userId, options) {
+    try {
+      await this.getVoteModel().create({ poll: pollId, user: userId, options });
+      return null;
+    } catch (error) {
+      if (error.code === 11000) throw this.pollError('You already voted', 409);
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert the vote and return the one it replaced (null if new)
+   */
+  async replaceVote(pollId, userId, options, retried = false) {
+    try {
+      return await this.getVoteModel().findOneAndUpdate(
+        { poll: pollId, user: userId },
+        { $set: { options } },
+        { upsert: true, new: false }
+      ).lean();
+    } catch (error) {
+      // Two first votes raced on the unique index - the other one is there now
+      if (error.code === 11000 && !retried) return this.replaceVote(pollId, userId, options, true);
+      throw error;
+    }
+  }
+
+  async retract(userId, pollId) {
+    const { poll } = await this.getPollForUser(pollId, userId);
+    if (!this.isOpen(poll)) throw this.pollError('Poll is closed');
+    if (!poll.allowVoteChange) throw this.pollError('Votes on this poll cannot be changed', 409);
+
+    const existing = await this.getVoteModel().findOneAndDelete({ poll: poll._id, user: userId }).lean();
+    if (!existing) throw this.pollError('You have not voted', 404);
+
+    const updated = await this.applyCounts(poll, existing.options.map(idOf), [], -1);
+    this.emitUpdate(updated);
+    return { poll: updated, myVotes: [] };
+  }
+
+  resolveOptions(poll, choices) {
+    const list = (Array.isArray(choices) ? choices : [choices]).filter(c => c !== undefined && c !== null && c !== '');
+    const ids = new Set();
+    for (const choice of list) {
+      const option = /^\d+$/.test(String(choice))
+        ? poll.options[Number(choice)]
+        : poll.options.find(o => idOf(o._id) === String(choice));
+      if (!option) throw this.pollError('Invalid option');
+      ids.add(idOf(option._id));
+    }
+    return [...ids].map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  async applyCounts(poll, previous, next, voterDelta) {
+    const inc = {};
+    poll.options.forEach((option, index) => {
+      const delta = (next.includes(idOf(option._id)) ? 1 : 0) - (previous.includes(idOf(option._id)) ? 1 : 0);
+      if (delta) inc[`options.${index}.voteCount`] = delta;
+    });
+    const totalDelta = next.length - previous.length;
+    if (totalDelta) inc.totalVotes = totalDelta;
+    if (voterDelta) inc.voterCount = voterDelta;
+
+    if (!Object.keys(inc).length) return poll;
+    return this.getModel().findByIdAndUpdate(poll._id, { $inc: inc }, { new: true }).lean();
+  }
+
+  // ==========================================
+  // RESULTS
+  // ==========================================
+
+  results(poll) {
+    const base = poll.voterCount || 0;
+    return poll.options.map(option => ({
+      id: option._id,
+      text: option.text,
+      voteCount: option.voteCount,
+      // Share of voters who picked it (multi-choice adds up past 100)
+      percentage: base > 0 ? Math.round((option.voteCount / base) * 100) : 0
+    }));
+  }
+
+  resultsVisibleTo(poll, { isManager = false, hasVoted = false } = {}) {
+    if (isManager || poll.status === 'closed' || !this.isOpen(poll)) return true;
+    if (poll.resultsVisibility === 'always') return true;
+    if (poll.resultsVisibility === 'after_vote') return hasVoted;
+    return false;
+  }
+
+  /**
+   * Poll as a viewer sees it: counts only when results are visible to
+   * them, plus their own choices
+   */
+  serialize(poll, { myVotes = [], access = {}, userId = null } = {}) {
+    const isManager = !!access.canManage || idOf(poll.author) === idOf(userId);
+    const hasVoted = myVotes.length > 0;
+    const visible = this.resultsVisibleTo(poll, { isManager, hasVoted });
+    const results = visible ? this.results(poll) : null;
+
+    return {
+      _id: poll._id,
+      author: poll.author,
+      question: poll.question,
+      attachedTo: poll.attachedTo,
+      options: poll.options.map((option, index) => ({
+        id: option._id,
+        text: option.text,
+        voted: myVotes.includes(idOf(option._id)),
+        ...(results ? { voteCount: results[index].voteCount, percentage: results[index].percentage } : {})
+      })),
+      multipleChoice: poll.multipleChoice,
+      maxChoices: poll.multipleChoice ? poll.maxChoices : 1,
+      anonymous: poll.anonymous,
+      allowVoteChange: poll.allowVoteChange,
+      resultsVisibility: poll.resultsVisibility,
+      resultsVisible: visible,
+      ...(visible ? { totalVotes: poll.totalVotes, voterCount: poll.voterCount } : {}),
+      status: this.isOpen(poll) ? 'open' : 'closed',
+      endsAt: poll.endsAt,
+      closedAt: poll.closedAt,
+      hasVoted,
+      myVotes,
+      canVote: !!access.canVote && this.isOpen(poll) && (!hasVoted || poll.allowVoteChange),
+      canManage: isManager,
+      createdAt: poll.createdAt
+    };
+  }
+
+  async getMyVotes(pollIds, userId) {
+    if (!userId || !pollIds.length) return new Map();
+    const votes = await this.getVoteModel().find({ poll: { $in: pollIds }, user: userId }).select('poll options').lean();
+    return new Map(votes.map(v => [idOf(v.poll), v.options.map(idOf)]));
+  }
+
+  async getForUser(userId, pollId) {
+    const { poll, access } = await this.getPollForUser(pollId, userId);
+    const mine = await this.getMyVotes([poll._id], userId);
+    const populated = await this.populateAuthors([poll]);
+    return this.serialize(populated[0], { myVotes: mine.get(idOf(poll._id)) || [], access, userId });
+  }
+
+  /**
+   * Polls attached to one post / group / stream, newest first
+   */
+  async listFor(userId, type, id, { status = 'all', limit = 20 } = {}) {
+    const access = await this.getAccess(type, id, userId);
+    if (!access.canView) throw this.pollError('Poll target not found', 404);
+
+    let polls = await this.getModel()
+      .find({ 'attachedTo.type': type, 'attachedTo.id': id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    polls = await Promise.all(polls.map(poll => this.closeIfExpired(poll)));
+    if (status !== 'all') polls = polls.filter(poll => (this.isOpen(poll) ? 'open' : 'closed') === status);
+
+    const mine = await this.getMyVotes(polls.map(p => p._id), userId);
+    const populated = await this.populateAuthors(polls);
+    return populated.map(poll => this.serialize(poll, {
+      myVotes: mine.get(idOf(poll._id)) || [],
+      access: { ...access, canManage: access.canManage && (type !== 'group' || access.isGroupAdmin || idOf(poll.author) === idOf(userId)) },
+      userId
+    }));
+  }
+
+  async populateAuthors(polls) {
+    const User = this.model('User', '../models/user.model');
+    const users = await User.find({ _id: { $in: polls.map(p => p.author) } }).select(AUTHOR_FIELDS).lean();
+    const byId = new Map(users.map(u => [idOf(u._id), u]));
+    return polls.map(poll => ({ ...poll, author: byId.get(idOf(poll.author)) || poll.author }));
+  }
+
+  /**
+   * Who picked an option - public polls only, once results are visible
+   */
+  async getVoters(userId, pollId, optionId, { page = 1, limit = 50 } = {}) {
+    const { poll, access } = await this.getPollForUser(pollId, userId);
+    if (poll.anonymous) throw this.pollError('Votes on this poll are anonymous', 403);
+
+    const mine = await this.getMyVotes([poll._id], userId);
+    const hasVoted = (mine.get(idOf(poll._id)) || []).length > 0;
+    const isManager = access.canManage || idOf(poll.author) === idOf(userId);
+    if (!this.resultsVisibleTo(poll, { isManager, hasVoted })) throw this.pollError('Results are not visible yet', 403);
+
+    const option = poll.options.find(o => idOf(o._id) === String(optionId));
+    if (!option) throw this.pollError('Invalid option');
+
+    const PollVote = this.getVoteModel();
+    const filter = { poll: poll._id, options: option._id };
+    const [votes, total] = await Promise.all([
+      PollVote.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', AUTHOR_FIELDS)
+        .lean(),
+      PollVote.countDocuments(filter)
+    ]);
+
+    return { option: { id: option._id, text: option.text }, voters: votes.filter(v => v.user).map(v => v.user), total };
+  }
+
+  // ==========================================
+  // REAL-TIME
+  // ==========================================
+
+  emitToStream(poll, event, payload) {
+    if (global.io) global.io.to(`stream:${poll.attachedTo.id}`).emit(event, payload);
+  }
+
+  emitUpdate(poll) {
+    if (poll.attachedTo.type !== 'stream') return;
+    // Hidden results stay hidden from the room as well
+    const visible = poll.resultsVisibility === 'always';
+    this.emitToStream(poll, 'poll-update', {
+      pollId: poll._id,
+      voterCount: poll.voterCount,
+      ...(visible ? { options: this.results(poll), totalVotes: poll.totalVotes } : {})
+    });
+  }
+}
+
+module.exports = new PollService();
@@ -0,0 +1,464 @@
+// ============================================
+// FILE: services/privacy.service.js
+// Privacy Service
+// VERSION: 1.0
+// "Download my data" exports (zip of JSON + CSV) and account
+// deletion with a grace period. What is exported / deleted per
+// model is configured in config/personal-data.js.
+// Jobs are run by cron/privacy-processor.js.
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { SECRET_FIELDS, PERSONAL_DATA } = require('../config/personal-data');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class PrivacyService {
+  constructor() {
+    this.exportDir = process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'cybev-exports');
+    this.exportTtlMs = (parseInt(process.env.DATA_EXPORT_TTL_DAYS) || 7) * DAY;
+    this.exportCooldownMs = DAY;
+    this.gracePeriodMs = (parseInt(process.env.DELETION_GRACE_DAYS) || 30) * DAY;
+    this.frontendUrl = process.env.FRONTEND_URL || 'https://cybev.io';
+  }
+
+  getModel() {
+    return mongoose.models.DataRequest || require('../models/data-request.model');
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/user.model');
+  }
+
+  privacyError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'PrivacyError';
+    error.status = status;
+    return error;
+  }
+
+  async audit(action, userId, metadata = {}, performedBy = userId) {
+    try {
+      const AuditLog = mongoose.models.AuditLog || require('../models/audit-log.model');
+      await AuditLog.create({ action, performedBy, target: userId, metadata });
+    } catch (error) {
+      console.error('Privacy audit log error:', error.message);
+    }
+  }
+
+  async notify(user, subject, html) {
+    if (!user?.email) return;
+    try {
+      const { sendEmail } = require('../utils/sendEmail');
+      await sendEmail({ to: user.email, subject, html });
+    } catch (error) {
+      console.error('Privacy email error:', error.message);
+    }
+  }
+
+  // ==========================================
+  // COLLECTING
+  // ==========================================
+
+  ownerQuery(entry, userId) {
+    const fields = Array.isArray(entry.owner) ? entry.owner : [entry.owner];
+    const id = new mongoose.Types.ObjectId(String(userId));
+    return fields.length === 1 ? { [fields[0]]: id } : { $or: fields.map(field => ({ [field]: id })) };
+  }
+
+  /**
+   * Registry entries whose model is loaded in this process
+   */
+  activeEntries() {
+    return PERSONAL_DATA
+      .map(entry => ({ ...entry, Model: mongoose.models[entry.model] }))
+      .filter(entry => entry.Model);
+  }
+
+  stripSecrets(value) {
+    if (Array.isArray(value)) return value.map(item => this.stripSecrets(item));
+    if (!value || typeof value !== 'object' || value instanceof Date || value instanceof mongoose.Types.ObjectId) {
+      return value;
+    }
+    if (Buffer.isBuffer(value)) return undefined;
+
+    const clean = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (SECRET_FIELDS.includes(key)) continue;
+      clean[key] = this.stripSecrets(item);
+    }
+    return clean;
+  }
+
+  /**
+   * For shared documents (a church, a conversation) keep only the parts
+   * that belong to this user
+   */
+  extractOwned(entry, doc, userId) {
+    if (!entry.extract) return doc;
+    const { path: arrayPath, field, keep = [] } = entry.extract;
+    const items = (doc[arrayPath] || []).filter(item => String(item[field]) === String(userId));
+
+    const owned = { _id: doc._id, [arrayPath]: items };
+    for (const key of keep) owned[key] = doc[key];
+    return owned;
+  }
+
+  async collectUserData(userId) {
+    const data = {};
+
+    const user = await this.getUserModel().findById(userId).lean();
+    data.profile = user ? [this.stripSecrets(user)] : [];
+
+    for (const entry of this.activeEntries()) {
+      try {
+        const docs = await entry.Model.find(this.ownerQuery(entry, userId)).lean();
+        data[entry.file] = docs.map(doc => this.stripSecrets(this.extractOwned(entry, doc, userId)));
+      } catch (error) {
+        console.error(`Data export: ${entry.model} failed -`, error.message);
+        data[entry.file] = [];
+      }
+    }
+
+    return data;
+  }
+
+  // ==========================================
+  // FORMATTING
+  // ==========================================
+
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (value instanceof mongoose.Types.ObjectId) text = String(value);
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * One row per document, one column per top-level field. Nested values
+   * are written as JSON so nothing is lost.
+   */
+  toCsv(docs) {
+    if (!docs.length) return '';
+    const columns = [...new Set(docs.flatMap(doc => Object.keys(doc)))];
+    const rows = docs.map(doc => columns.map(column => this.csvCell(doc[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+  }
+
+  async writeArchive(filePath, data, manifest) {
+    const archiver = require('archiver');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(output);
+
+      archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+      for (const [name, docs] of Object.entries(data)) {
+        archive.append(JSON.stringify(docs, null, 2), { name: `json/${name}.json` });
+        if (docs.length) archive.append(this.toCsv(docs), { name: `csv/${name}.csv` });
+      }
+      archive.finalize();
+    });
+
+    return (await fs.promises.stat(filePath)).size;
+  }
+
+  async removeFile(filePath) {
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Data export cleanup error:', error.message);
+    }
+  }
+
+  // ==========================================
+  // EXPORT
+  // ==========================================
+
+  async requestExport(userId) {
+    const DataRequest = this.getModel();
+
+    const open = await DataRequest.findOne({ user: userId, type: 'export', status: { $in: ['pending', 'processing'] } });
+    if (open) throw this.privacyError('An export is already being prepared', 409);
+
+    const recent = await DataRequest.findOne({
+      user: userId,
+      type: 'export',
+      status: 'completed',
+      createdAt: { $gte: new Date(Date.now() - this.exportCooldownMs) }
+    });
+    if (recent) throw this.privacyError('You can request one export per day. Download your latest one instead.', 429);
+
+    const request = await DataRequest.create({ user: userId, type: 'export' });
+    await this.audit('data_export_requested', userId, { requestId: request._id });
+    return request;
+  }
+
+  async listRequests(userId) {
+    return this.getModel()
+      .find({ user: userId })
+      .select('-filePath -__v')
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+  }
+
+  /**
+   * Completed, unexpired export owned by the user. Returns the path on disk
+   * and a download filename.
+   */
+  async getDownload(userId, requestId) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) throw this.privacyError('Export not found', 404);
+
+    const request = await this.getModel().findOne({ _id: requestId, user: userId, type: 'export' });
+    if (!request) throw this.privacyError('Export not found', 404);
+    if (request.status !== 'completed') throw this.privacyError('This export is not ready yet', 409);
+    if (request.expiresAt && request.expiresAt <= new Date()) throw this.privacyError('This export has expired', 410);
+    if (!request.filePath || !fs.existsSync(request.filePath)) throw this.privacyError('This export is no longer available', 410);
+
+    request.downloadCount += 1;
+    await request.save();
+
+    const day = request.completedAt.toISOString().slice(0, 10);
+    return { filePath: request.filePath, filename: `cybev-data-${day}.zip` };
+  }
+
+  async processExport(request) {
+    const DataRequest = this.getModel();
+
+    // Claim the job so two instances don't build the same archive
+    const claimed = await DataRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    try {
+      const data = await this.collectUserData(claimed.user);
+      const summary = {};
+      for (const [name, docs] of Object.entries(data)) summary[name] = { exported: docs.length };
+
+      const filePath = path.join(this.exportDir, `${claimed._id}.zip`);
+      const fileSize = await this.writeArchive(filePath, data, {
+        generatedAt: new Date().toISOString(),
+        user: String(claimed.user),
+        format: 'Each dataset is in json/<name>.json; csv/<name>.csv has one row per record with nested fields as JSON.',
+        datasets: summary
+      });
+
+      claimed.status = 'completed';
+      claimed.filePath = filePath;
+      claimed.fileSize = fileSize;
+      claimed.summary = summary;
+      claimed.completedAt = new Date();
+      claimed.expiresAt = new Date(Date.now() + this.exportTtlMs);
+      await claimed.save();
+
+      const user = await this.getUserModel().findById(claimed.user).select('name email');
+      await this.notify(user, 'Your CYBEV data export is ready', `
+        <p>Hi ${user?.name || 'there'},</p>
+        <p>The copy of your CYBEV data you asked for is ready. Sign in and download it from your privacy settings.</p>
+        <p><a href="${this.frontendUrl}/settings/privacy">Download your data</a></p>
+        <p>The file is available until ${claimed.expiresAt.toUTCString()}.</p>
+      `);
+
+      console.log(`📦 Data export ${claimed._id} ready (${fileSize} bytes)`);
+      return claimed;
+    } catch (error) {
+      console.error(`Data export ${claimed._id} failed:`, error.message);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await claimed.save();
+      return claimed;
+    }
+  }
+
+  async expireExports() {
+    const DataRequest = this.getModel();
+    const expired = await DataRequest.find({ type: 'export', status: 'completed', expiresAt: { $lte: new Date() } });
+
+    for (const request of expired) {
+      await this.removeFile(request.filePath);
+      request.status = 'expired';
+      request.filePath = null;
+      await request.save();
+    }
+    return expired.length;
+  }
+
+  // ==========================================
+  // DELETION
+  // ==========================================
+
+  async getPendingDeletion(userId) {
+    return this.getModel().findOne({ user: userId, type: 'deletion', status: 'pending' });
+  }
+
+  /**
+   * Start the grace period. The account keeps working until `scheduledFor`
+   * and the user can cancel at any point before then.
+   */
+  async scheduleDeletion(user, { reason = '', ip = '' } = {}) {
+    const existing = await this.getPendingDeletion(user._id);
+    if (existing) return existing;
+
+    const scheduledFor = new Date(Date.now() + this.gracePeriodMs);
+    const request = await this.getModel().create({ user: user._id, type: 'deletion', scheduledFor });
+
+    user.deletionScheduledFor = scheduledFor;
+    await user.save();
+
+    await this.audit('account_deletion_requested', user._id, { requestId: request._id, scheduledFor, reason, ip });
+    await this.notify(user, 'Your CYBEV account is scheduled for deletion', `
+      <p>Hi ${user.name || 'there'},</p>
+      <p>We received a request to delete your CYBEV account. It will be permanently deleted on
+      <strong>${scheduledFor.toUTCString()}</strong>.</p>
+      <p>Changed your mind? Cancel from your privacy settings before then:
+      <a href="${this.frontendUrl}/settings/privacy">${this.frontendUrl}/settings/privacy</a></p>
+      <p>If you didn't ask for this, cancel the deletion and change your password.</p>
+    `);
+
+    return request;
+  }
+
+  async cancelDeletion(user) {
+    const request = await this.getPendingDeletion(user._id);
+    if (!request) throw this.privacyError('No account deletion is scheduled', 404);
+
+    request.status = 'cancelled';
+    request.cancelledAt = new Date();
+    await request.save();
+
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    await this.audit('account_deletion_cancelled', user._id, { requestId: request._id });
+    return request;
+  }
+
+  async applyRule(entry, userId) {
+    const query = this.ownerQuery(entry, userId);
+
+    switch (entry.onDelete) {
+      case 'delete': {
+        const result = await entry.Model.deleteMany(query);
+        return { deleted: result.deletedCount || 0 };
+      }
+      case 'anonymize': {
+        const result = await entry.Model.updateMany(query, { $set: entry.anonymize || {} });
+        return { anonymized: result.modifiedCount || 0 };
+      }
+      case 'pull': {
+        const id = new mongoose.Types.ObjectId(String(userId));
+        const { path: arrayPath, field } = entry.pull;
+        const match = field ? { [field]: id } : id;
+        const result = await entry.Model.updateMany(query, { $pull: { [arrayPath]: match } });
+        return { removedFrom: result.modifiedCount || 0 };
+      }
+      default:
+        return { retained: await entry.Model.countDocuments(query) };
+    }
+  }
+
+  /**
+   * Replace the user document with a tombstone. Only the id survives so
+   * retained records (transactions, earnings) still resolve.
+   */
+  async anonymizeUser(userId) {
+    const User = this.getUserModel();
+    const id = new mongoose.Types.ObjectId(String(userId));
+    const original = await User.collection.findOne({ _id: id }, { projection: { createdAt: 1, role: 1 } });
+    if (!original) return false;
+
+    const now = new Date();
+    await User.collection.replaceOne({ _id: id }, {
+      name: 'Deleted User',
+      username: `deleted_${id}`,
+      email: `deleted_${id}@deleted.invalid`,
+      status: 'deleted',
+      role: original.role || 'user',
+      deletedAt: now,
+      sessionsRevokedAt: now,
+      createdAt: original.createdAt,
+      updatedAt: now
+    });
+    return true;
+  }
+
+  async processDeletion(request) {
+    const DataRequest = this.getModel();
+
+    const claimed = await DataRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending', scheduledFor: { $lte: new Date() } },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const userId = claimed.user;
+    const summary = {};
+
+    try {
+      const user = await this.getUserModel().findById(userId).select('name email');
+
+      for (const entry of this.activeEntries()) {
+        try {
+          summary[entry.file] = await this.applyRule(entry, userId);
+        } catch (error) {
+          console.error(`Account deletion: ${entry.model} failed -`, error.message);
+          summary[entry.file] = { error: error.message };
+        }
+      }
+
+      // Exports hold a full copy of the data
+      const exports = await DataRequest.find({ user: userId, type: 'export', filePath: { $ne: null } });
+      for (const exported of exports) {
+        await this.removeFile(exported.filePath);
+        exported.filePath = null;
+        if (exported.status === 'completed') exported.status = 'expired';
+        await exported.save();
+      }
+
+      await this.anonymizeUser(userId);
+
+      claimed.status = 'completed';
+      claimed.completedAt = new Date();
+      claimed.summary = summary;
+      await claimed.save();
+
+      await this.audit('account_deleted', userId, { requestId: claimed._id, summary });
+      await this.notify(user, 'Your CYBEV account has been deleted', `
+        <p>Hi ${user?.name || 'there'},</p>
+        <p>As requested, your CYBEV account and the content linked to it have been deleted.
+        Payment records we are required to keep are no longer linked to your name or email.</p>
+      `);
+
+      console.log(`🗑️ Account ${userId} deleted`);
+      return claimed;
+    } catch (error) {
+      console.error(`Account deletion ${claimed._id} failed:`, error.message);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      claimed.summary = summary;
+      await claimed.save();
+      return claimed;
+    }
+  }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,221 @@
+// ============================================
+// FILE: services/rate-limit.service.js
+// Rate Limit Service
+// VERSION: 1.0
+// Fixed-window counters behind a pluggable store so limits hold
+// across instances. In-memory by default; set REDIS_URL (with the
+// ioredis package installed) or call useStore() to share counters.
+//
+// Store interface (all async):
+//   increment(key, windowMs)  -> { count, resetAt }
+//   reset(key)
+//   setThrottled(id, entry)   entry.until is a ms timestamp
+//   listThrottled()           -> entries whose `until` is in the future
+//   clearThrottled(id)
+// ============================================
+
+const { POLICIES, getPolicy, limitFor } = require('../config/rate-limits');
+
+// ==========================================
+// IN-MEMORY STORE (single instance)
+// ==========================================
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.throttled = new Map();
+
+    // Drop expired windows so idle keys don't pile up
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    if (this.sweeper.unref) this.sweeper.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+    for (const [id, entry] of this.throttled) {
+      if (entry.until <= now) this.throttled.delete(id);
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  async setThrottled(id, entry) {
+    this.throttled.set(id, entry);
+  }
+
+  async listThrottled() {
+    const now = Date.now();
+    return [...this.throttled.values()].filter(entry => entry.until > now);
+  }
+
+  async clearThrottled(id) {
+    this.throttled.delete(id);
+  }
+}
+
+// ==========================================
+// REDIS STORE (shared between instances)
+// Works with an ioredis-compatible client
+// ==========================================
+
+class RedisStore {
+  constructor(client, { prefix = 'ratelimit:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+    this.throttledKey = `${prefix}throttled`;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = this.prefix + key;
+    const [[incrError, count], [ttlError, ttl]] = await this.client.multi().incr(redisKey).pttl(redisKey).exec();
+    if (incrError || ttlError) throw incrError || ttlError;
+
+    let remainingMs = ttl;
+    if (remainingMs < 0) {
+      await this.client.pexpire(redisKey, windowMs);
+      remainingMs = windowMs;
+    }
+    return { count, resetAt: Date.now() + remainingMs };
+  }
+
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async setThrottled(id, entry) {
+    await this.client.hset(this.throttledKey, id, JSON.stringify(entry));
+  }
+
+  async listThrottled() {
+    const raw = await this.client.hgetall(this.throttledKey) || {};
+    const now = Date.now();
+    const active = [];
+    const expired = [];
+
+    for (const [id, value] of Object.entries(raw)) {
+      let entry = null;
+      try { entry = JSON.parse(value); } catch (e) { /* corrupt entry */ }
+      if (entry && entry.until > now) active.push(entry);
+      else expired.push(id);
+    }
+
+    if (expired.length) await this.client.hdel(this.throttledKey, ...expired);
+    return active;
+  }
+
+  async clearThrottled(id) {
+    await this.client.hdel(this.throttledKey, id);
+  }
+}
+
+// ==========================================
+// SERVICE
+// ==========================================
+
+class RateLimitService {
+  constructor() {
+    this.store = this.createDefaultStore();
+  }
+
+  createDefaultStore() {
+    if (process.env.REDIS_URL) {
+      try {
+        const Redis = require('ioredis');
+        const client = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 1 });
+        client.on('error', (err) => console.error('Rate limit Redis error:', err.message));
+        console.log('🚦 Rate limits: Redis store');
+        return new RedisStore(client);
+      } catch (error) {
+        console.log('⚠️ ioredis not installed - rate limits fall back to memory');
+      }
+    }
+    return new MemoryStore();
+  }
+
+  /**
+   * Swap the backing store (e.g. a RedisStore built from an existing client)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  getPolicy(name) {
+    return getPolicy(name);
+  }
+
+  listPolicies() {
+    return Object.keys(POLICIES).map(name => {
+      const { key, skip, ...policy } = getPolicy(name);
+      return { ...policy, key: typeof key === 'function' ? 'custom' : key };
+    });
+  }
+
+  /**
+   * Count one hit for `identity` ({ type, id, label }) against a policy.
+   * Returns { allowed, limit, remaining, resetAt, retryAfter } where
+   * retryAfter is in seconds.
+   */
+  async consume(policy, identity) {
+    const limit = limitFor(policy, identity.type);
+    const counterKey = `${policy.name}:${identity.type}:${identity.id}`;
+    const { count, resetAt } = await this.store.increment(counterKey, policy.windowMs);
+
+    const allowed = count <= limit;
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+    if (!allowed) {
+      await this.store.setThrottled(counterKey, {
+        id: counterKey,
+        policy: policy.name,
+        type: identity.type,
+        key: identity.id,
+        label: identity.label || identity.id,
+        count,
+        limit,
+        until: resetAt
+      });
+    }
+
+    return { allowed, limit, remaining: Math.max(0, limit - count), resetAt, retryAfter };
+  }
+
+  /**
+   * Currently throttled principals, most hits first
+   */
+  async listThrottled() {
+    const entries = await this.store.listThrottled();
+    return entries
+      .map(entry => ({ ...entry, until: new Date(entry.until) }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Lift a throttle early (admin action). `id` is the entry id from listThrottled().
+   */
+  async clear(id) {
+    await this.store.reset(id);
+    await this.store.clearThrottled(id);
+  }
+}
+
+const rateLimitService = new RateLimitService();
+rateLimitService.MemoryStore = MemoryStore;
+rateLimitService.RedisStore = RedisStore;
+
+module.exports = rateLimitService;
@@ -0,0 +1,770 @@
+// ============================================
+// FILE: services/reel.service.js
+// Reel Service
+// VERSION: 1.0
+// Short vertical videos. A reel is a Post with postType 'reel' and a
+// `reel` block (video, poster, sound, remix link, watch stats), so
+// likes, comments, shares and following timelines work as for any
+// post. This service adds:
+// - Upload: the file is probed with ffmpeg (utils/ffmpeg.js) for
+//   duration and aspect ratio, thumbnail / poster frames and the
+//   original sound are cut out, then everything goes to Cloudinary
+// - Sounds (models/audio-track.model.js) that other reels can reuse
+// - Remixes / duets / stitches linked to the reel they answer
+// - A swipe feed ranked on how much of each reel people watch
+// Limits and weights live in config/reels.js.
+// ============================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { REELS } = require('../config/reels');
+const ffmpeg = require('../utils/ffmpeg');
+const blockService = require('./block.service');
+
+const HOUR = 60 * 60 * 1000;
+const AUTHOR_FIELDS = 'name username avatar profilePicture isVerified';
+const AUDIO_FIELDS = 'title artist owner originalReel source url duration useCount allowReuse isActive';
+// Everything but the (unbounded) likes / comments arrays
+const REEL_FIELDS = '-likes -comments';
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class ReelService {
+  constructor() {
+    this.config = REELS;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  reelError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'ReelError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // ACCESS
+  // ==========================================
+
+  async getFollowing(userId) {
+    if (!userId) return new Set();
+    const Follow = this.model('Follow', '../models/follow.model');
+    const follows = await Follow.find({ follower: userId, status: 'active' }).select('following').lean();
+    return new Set(follows.map(f => idOf(f.following)));
+  }
+
+  canView(reel, userId, following) {
+    const authorId = idOf(reel.author || reel.authorId);
+    if (userId && idOf(userId) === authorId) return true;
+    if (reel.status !== 'active' || reel.isPublished === false) return false;
+    const visibility = reel.visibility || 'public';
+    return visibility === 'public' || (visibility === 'followers' && following.has(authorId));
+  }
+
+  /**
+   * A reel `userId` may see, or a 404
+   */
+  async getVisibleReel(reelId, userId, select = REEL_FIELDS) {
+    const Post = this.model('Post', '../models/post.model');
+    if (!mongoose.Types.ObjectId.isValid(reelId)) throw this.reelError('Reel not found', 404);
+
+    const reel = await Post.findOne({ _id: reelId, postType: 'reel', isDeleted: { $ne: true } }).select(select).lean();
+    if (!reel) throw this.reelError('Reel not found', 404);
+
+    const following = reel.visibility === 'followers' ? await this.getFollowing(userId) : new Set();
+    if (!this.canView(reel, userId, following)) throw this.reelError('Reel not found', 404);
+    return reel;
+  }
+
+  // ==========================================
+  // UPLOAD
+  // ==========================================
+
+  /**
+   * Check the file is a vertical video of the right length
+   */
+  validateMedia(info) {
+    const { minSeconds, maxSeconds, minAspect, maxAspect, minHeight } = this.config.upload;
+
+    if (!info.hasVideo || !info.width || !info.height) throw this.reelError('The file has no video track');
+    if (!info.duration) throw this.reelError('Could not read the video length');
+    if (info.duration < minSeconds) throw this.reelError(`Reels must be at least ${minSeconds} seconds`);
+    // A little slack for container rounding
+    if (info.duration > maxSeconds + 0.5) throw this.reelError(`Reels can be up to ${maxSeconds} seconds`);
+
+    const aspect = info.height / info.width;
+    if (aspect < minAspect || aspect > maxAspect) {
+      throw this.reelError('Reels must be vertical video (between 4:5 and 9:16)');
+    }
+    if (info.height < minHeight) throw this.reelError(`Reels must be at least ${minHeight}px tall`);
+  }
+
+  /**
+   * Probe the upload and cut thumbnail, poster and (optionally) the
+   * sound into `workDir`
+   */
+  async processVideo(filePath, workDir, { coverAt = null, keepAudio = true } = {}) {
+    if (!ffmpeg.isAvailable()) throw this.reelError('Video processing is not available right now', 503);
+
+    let info;
+    try {
+      info = await ffmpeg.probe(filePath);
+    } catch (error) {
+      throw this.reelError('Unsupported or damaged video file');
+    }
+    this.validateMedia(info);
+
+    const { thumbnailWidth, posterWidth } = this.config.upload;
+    const at = coverAt !== null && coverAt !== undefined
+      ? Math.min(Math.max(0, Number(coverAt) || 0), Math.max(0, info.duration - 0.1))
+      : Math.min(1, info.duration / 2);
+
+    const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+    const posterPath = path.join(workDir, 'poster.jpg');
+    await ffmpeg.extractFrame(filePath, thumbnailPath, { at, width: thumbnailWidth });
+    await ffmpeg.extractFrame(filePath, posterPath, { at, width: Math.min(posterWidth, info.width) });
+
+    let audioPath = null;
+    if (keepAudio && info.hasAudio) {
+      audioPath = path.join(workDir, 'audio.m4a');
+      try {
+        await ffmpeg.extractAudio(filePath, audioPath);
+      } catch (error) {
+        // The reel is still fine without a reusable sound
+        console.error('Reel audio extraction error:', error.message);
+        audioPath = null;
+      }
+    }
+
+    return { info, coverAt: at, thumbnailPath, posterPath, audioPath };
+  }
+
+  uploadFile(filePath, options) {
+    // Configured by routes/upload.routes.js at startup
+    const cloudinary = require('cloudinary').v2;
+    return new Promise((resolve, reject) => {
+      const done = (error, result) => (error ? reject(error) : resolve(result));
+      if (options.resource_type === 'video') {
+        cloudinary.uploader.upload_large(filePath, { chunk_size: 6000000, timeout: 300000, ...options }, done);
+      } else {
+        cloudinary.uploader.upload(filePath, options, done);
+      }
+    });
+  }
+
+  async destroyUploads(uploads) {
+    const cloudinary = require('cloudinary').v2;
+    await Promise.all(uploads.map(({ publicId, resourceType }) =>
+      cloudinary.uploader.destroy(publicId, { resource_type: resourceType }).catch(() => {})));
+  }
+
+  /**
+   * Sound a new reel may use: active and open for reuse (or the
+   * user's own)
+   */
+  async getReusableAudio(audioId, userId) {
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+    const track = mongoose.Types.ObjectId.isValid(audioId)
+      ? await AudioTrack.findOne({ _id: audioId, isActive: true }).select(AUDIO_FIELDS).lean()
+      : null;
+    if (!track) throw this.reelError('Sound not found', 404);
+    if (!track.allowReuse && idOf(track.owner) !== idOf(userId)) {
+      throw this.reelError('This sound is not available for new reels', 403);
+    }
+    return track;
+  }
+
+  /**
+   * @param {String} userId
+   * @param {Object} file   multer file on disk ({ path, size, mimetype })
+   * @param {Object} data   caption, visibility, allowRemix, coverAt,
+   *                        audioId, audioStart, audioTitle,
+   *                        remixOf, remixType
+   */
+  async create(userId, file, data = {}) {
+    const Post = this.model('Post', '../models/post.model');
+    const User = this.model('User', '../models/user.model');
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+
+    // Cheap checks before any video work
+    let original = null;
+    if (data.remixOf) {
+      original = await this.getVisibleReel(data.remixOf, userId);
+      if (original.reel?.allowRemix === false) throw this.reelError('This reel cannot be remixed', 403);
+    }
+
+    // Remixes keep the original's sound unless another is picked
+    const audioId = data.audioId || (original?.reel?.audio ? idOf(original.reel.audio) : null);
+    const track = audioId ? await this.getReusableAudio(audioId, userId) : null;
+
+    const user = await User.findById(userId).select('name username').lean();
+    if (!user) throw this.reelError('User not found', 404);
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'reel-'));
+    const uploads = [];
+
+    try {
+      const processed = await this.processVideo(file.path, workDir, { coverAt: data.coverAt, keepAudio: !track });
+      const stamp = `${userId}-${Date.now()}`;
+
+      const video = await this.uploadFile(file.path, {
+        folder: 'cybev/reels',
+        resource_type: 'video',
+        public_id: `reel-${stamp}`
+      });
+      uploads.push({ publicId: video.public_id, resourceType: 'video' });
+
+      const [thumbnail, poster] = await Promise.all([
+        this.uploadFile(processed.thumbnailPath, { folder: 'cybev/reels/posters', public_id: `reel-${stamp}-thumb` }),
+        this.uploadFile(processed.posterPath, { folder: 'cybev/reels/posters', public_id: `reel-${stamp}-poster` })
+      ]);
+      uploads.push({ publicId: thumbnail.public_id, resourceType: 'image' });
+      uploads.push({ publicId: poster.public_id, resourceType: 'image' });
+
+      let sound = null;
+      if (processed.audioPath) {
+        sound = await this.uploadFile(processed.audioPath, {
+          folder: 'cybev/reels/audio',
+          resource_type: 'video',
+          public_id: `audio-${stamp}`
+        });
+        uploads.push({ publicId: sound.public_id, resourceType: 'video' });
+      }
+
+      const { info } = processed;
+      const reel = await Post.create({
+        author: userId,
+        authorId: userId,
+        authorName: user.name || user.username,
+        content: data.caption?.trim() || '🎬 New reel',
+        postType: 'reel',
+        visibility: data.visibility || 'public',
+        videoUrl: video.secure_url,
+        media: [{ type: 'video', url: video.secure_url, thumbnail: poster.secure_url, mimeType: file.mimetype }],
+        reel: {
+          video: {
+            url: video.secure_url,
+            publicId: video.public_id,
+            duration: round(info.duration),
+            width: info.width,
+            height: info.height
+          },
+          thumbnailUrl: thumbnail.secure_url,
+          posterUrl: poster.secure_url,
+          audio: track?._id || null,
+          audioStart: track ? Math.max(0, Number(data.audioStart) || 0) : 0,
+          remixOf: original?._id || null,
+          remixType: original ? data.remixType || 'remix' : null,
+          allowRemix: data.allowRemix !== false
+        }
+      });
+
+      if (sound) {
+        const created = await AudioTrack.create({
+          title: data.audioTitle?.trim() || 'Original audio',
+          artist: user.username ? `@${user.username}` : user.name,
+          owner: userId,
+          originalReel: reel._id,
+          source: 'original',
+          url: sound.secure_url,
+          publicId: sound.public_id,
+          duration: round(sound.duration || info.duration),
+          useCount: 1
+        });
+        await Post.updateOne({ _id: reel._id }, { $set: { 'reel.audio': created._id } });
+        reel.reel.audio = created._id;
+      }
+
+      if (track) {
+        await AudioTrack.updateOne({ _id: track._id }, { $inc: { useCount: 1 } });
+      }
+      if (original) {
+        await Post.updateOne({ _id: original._id }, { $inc: { 'reel.remixCount': 1 } });
+      }
+
+      return this.getReel(reel._id, userId);
+    } catch (error) {
+      if (uploads.length) await this.destroyUploads(uploads);
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async update(userId, reelId, { caption, visibility, allowRemix }) {
+    const Post = this.model('Post', '../models/post.model');
+    const reel = await Post.findOne({ _id: reelId, postType: 'reel', isDeleted: { $ne: true } });
+    if (!reel || idOf(reel.author || reel.authorId) !== idOf(userId)) throw this.reelError('Reel not found', 404);
+
+    if (caption !== undefined) reel.content = caption.trim() || '🎬 New reel';
+    if (visibility !== undefined) reel.visibility = visibility;
+    if (allowRemix !== undefined) reel.reel.allowRemix = allowRemix;
+    await reel.save();
+
+    return this.getReel(reel._id, userId);
+  }
+
+  /**
+   * Soft delete; remixes keep playing but lose the link back
+   */
+  async remove(userId, reelId, { isAdmin = false } = {}) {
+    const Post = this.model('Post', '../models/post.model');
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+
+    const reel = await Post.findOne({ _id: reelId, postType: 'reel', isDeleted: { $ne: true } });
+    if (!reel) throw this.reelError('Reel not found', 404);
+    if (!isAdmin && idOf(reel.author || reel.authorId) !== idOf(userId)) throw this.reelError('Reel not found', 404);
+
+    reel.isDeleted = true;
+    reel.deletedAt = new Date();
+    reel.deletedBy = userId;
+    await reel.save();
+
+    if (reel.reel?.audio) {
+      await AudioTrack.updateOne({ _id: reel.reel.audio, useCount: { $gt: 0 } }, { $inc: { useCount: -1 } });
+    }
+    if (reel.reel?.remixOf) {
+      await Post.updateOne({ _id: reel.reel.remixOf, 'reel.remixCount': { $gt: 0 } }, { $inc: { 'reel.remixCount': -1 } });
+    }
+    return true;
+  }
+
+  // ==========================================
+  // WATCH TRACKING
+  // ==========================================
+
+  /**
+   * One play of a reel: how long it was watched, how many times it
+   * looped, and whether it reached the end. The author's own plays
+   * are not counted.
+   */
+  async recordWatch(reelId, userId, { watchedSeconds = 0, loops = 0, completed = false } = {}) {
+    const Post = this.model('Post', '../models/post.model');
+    const ReelView = this.model('ReelView', '../models/reel-view.model');
+
+    const reel = await this.getVisibleReel(reelId, userId, 'author authorId visibility status isPublished reel.video.duration');
+    if (userId && idOf(userId) === idOf(reel.author || reel.authorId)) return { counted: false };
+
+    const duration = reel.reel?.video?.duration || 0;
+    const loopCount = Math.min(Math.max(0, parseInt(loops) || 0), this.config.maxLoopsPerEvent);
+    const watched = Math.min(Math.max(0, Number(watchedSeconds) || 0), duration * (loopCount + 1));
+    const finished = !!completed || loopCount > 0 || (duration > 0 && watched >= duration - 0.5);
+
+    // Watching again counts as a replay, not another viewer
+    let previous = null;
+    if (userId) {
+      previous = await ReelView.findOneAndUpdate(
+        { reel: reel._id, viewer: userId },
+        {
+          $inc: { plays: 1, watchSeconds: watched },
+          $set: { lastWatchedAt: new Date(), ...(finished ? { completed: true } : {}) }
+        },
+        { upsert: true, new: false }
+      ).lean();
+    }
+
+    await Post.updateOne({ _id: reel._id }, {
+      $inc: {
+        viewCount: 1,
+        'reel.stats.plays': 1,
+        'reel.stats.viewers': userId && !previous ? 1 : 0,
+        'reel.stats.watchSeconds': round(watched),
+        'reel.stats.completions': finished ? 1 : 0,
+        'reel.stats.replays': loopCount + (previous ? 1 : 0)
+      }
+    });
+
+    return { counted: true };
+  }
+
+  // ==========================================
+  // FEED
+  // ==========================================
+
+  /**
+   * The cursor pins `asOf` so freshness and the seen filter stay the
+   * same across pages, plus the position of the last reel served
+   */
+  encodeCursor({ asOf, score, key, includeSeen }) {
+    return Buffer.from(JSON.stringify({ t: asOf.getTime(), s: score, k: key, a: includeSeen ? 1 : 0 }))
+      .toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, s, k, a } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !Number.isFinite(s) || typeof k !== 'string') throw new Error('shape');
+      return { asOf: new Date(t), score: s, key: k, includeSeen: a === 1 };
+    } catch (error) {
+      throw this.reelError('Invalid cursor');
+    }
+  }
+
+  async getCandidates(following, asOf) {
+    const Post = this.model('Post', '../models/post.model');
+    const { candidateDays, candidateLimit } = this.config;
+    const followingIds = [...following].map(id => new mongoose.Types.ObjectId(id));
+
+    return Post.find({
+      postType: 'reel',
+      isDeleted: { $ne: true },
+      status: 'active',
+      isPublished: { $ne: false },
+      'reel.video.url': { $exists: true },
+      createdAt: { $gte: new Date(asOf.getTime() - candidateDays * 24 * HOUR), $lte: asOf },
+      $or: [
+        { visibility: { $in: ['public', null] } },
+        { visibility: 'followers', $or: [{ author: { $in: followingIds } }, { authorId: { $in: followingIds } }] }
+      ]
+    })
+      .sort({ createdAt: -1 })
+      .limit(candidateLimit)
+      .select(REEL_FIELDS)
+      .lean();
+  }
+
+  score(reel, following, asOf) {
+    const { weights, halfLifeHours, priorPlays, priorWatchRatio, priorCompletion } = this.config;
+    const stats = reel.reel?.stats || {};
+    const duration = reel.reel?.video?.duration || 1;
+    const plays = stats.plays || 0;
+    const smoothed = plays + priorPlays;
+    const authorId = idOf(reel.author || reel.authorId);
+
+    const watchRatio = Math.min(
+      weights.maxWatchRatio,
+      ((stats.watchSeconds || 0) / duration + priorPlays * priorWatchRatio) / smoothed
+    );
+    const completionRate = ((stats.completions || 0) + priorPlays * priorCompletion) / smoothed;
+    const replayRate = (stats.replays || 0) / smoothed;
+    const interactions = (reel.likeCount || 0) + 2 * (reel.commentCount || 0) +
+      3 * (reel.shareCount || 0) + 4 * (reel.reel?.remixCount || 0);
+
+    const signals = {
+      base: weights.base,
+      watchRatio: weights.watchRatio * watchRatio,
+      completion: weights.completion * completionRate,
+      replay: weights.replay * replayRate,
+      engagement: weights.engagement * Math.log10(1 + interactions),
+      follow: following.has(authorId) ? weights.follow : 0
+    };
+
+    const ageHours = Math.max(0, (asOf - new Date(reel.createdAt)) / HOUR);
+    const freshness = Math.pow(0.5, ageHours / halfLifeHours);
+    const relevance = Object.values(signals).reduce((sum, value) => sum + value, 0);
+
+    return {
+      authorId,
+      rawScore: relevance * freshness,
+      explain: {
+        plays,
+        avgWatchRatio: round(watchRatio),
+        completionRate: round(completionRate),
+        ageHours: round(ageHours),
+        freshness: round(freshness),
+        relevance: round(relevance),
+        signals: Object.fromEntries(Object.entries(signals).map(([k, value]) => [k, round(value)]))
+      }
+    };
+  }
+
+  /**
+   * Score, spread out repeat authors, and sort (score desc, key asc)
+   */
+  rank(reels, following, asOf) {
+    const byRaw = reels
+      .map(reel => ({ doc: reel, key: idOf(reel._id), ...this.score(reel, following, asOf) }))
+      .sort((a, b) => b.rawScore - a.rawScore || a.key.localeCompare(b.key));
+
+    const perAuthor = new Map();
+    for (const item of byRaw) {
+      const seen = perAuthor.get(item.authorId) || 0;
+      perAuthor.set(item.authorId, seen + 1);
+      item.explain.diversity = round(Math.pow(this.config.authorRepeatPenalty, seen));
+      // Rounded so the cursor comparison is exact
+      item.score = round(item.rawScore * item.explain.diversity);
+    }
+
+    return byRaw.sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+  }
+
+  async getSeenIds(userId, reels, asOf) {
+    if (!userId || !reels.length) return new Set();
+    const ReelView = this.model('ReelView', '../models/reel-view.model');
+    const seen = await ReelView.find({
+      viewer: userId,
+      reel: { $in: reels.map(r => r._id) },
+      lastWatchedAt: { $gte: new Date(asOf.getTime() - this.config.seenTtlHours * HOUR), $lt: asOf }
+    }).select('reel').lean();
+    return new Set(seen.map(s => idOf(s.reel)));
+  }
+
+  /**
+   * @param {String|null} userId
+   * @param {Object} options { limit, cursor, explain }
+   */
+  async getFeed(userId, { limit = 10, cursor, explain = false } = {}) {
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const asOf = position?.asOf || new Date();
+    let includeSeen = !!position?.includeSeen;
+
+    const following = await this.getFollowing(userId);
+    // Nothing from people blocked either way or muted, nor with muted words / hashtags
+    const filter = await blockService.getFilter(userId);
+    const candidates = (await this.getCandidates(following, asOf))
+      .filter(reel => idOf(reel.author || reel.authorId) !== idOf(userId) && !filter.hidesDoc(reel));
+    const seenIds = includeSeen ? new Set() : await this.getSeenIds(userId, candidates, asOf);
+
+    let ranked = this.rank(candidates.filter(reel => !seenIds.has(idOf(reel._id))), following, asOf);
+    // Watched everything recent - loop round rather than an empty feed
+    const seenFallback = !position && !ranked.length && seenIds.size > 0;
+    if (seenFallback) {
+      includeSeen = true;
+      ranked = this.rank(candidates, following, asOf);
+    }
+
+    const start = position
+      ? ranked.findIndex(c => c.score < position.score || (c.score === position.score && c.key > position.key))
+      : 0;
+    const page = start === -1 ? [] : ranked.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < ranked.length;
+
+    const reels = await this.decorate(page.map(item => item.doc), userId);
+    if (explain) {
+      page.forEach((item, i) => {
+        reels[i]._ranking = { rank: start + i + 1, score: item.score, ...item.explain };
+      });
+    }
+
+    const last = page[page.length - 1];
+    return {
+      reels,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor({ asOf, score: last.score, key: last.key, includeSeen }) : null,
+      asOf,
+      ...(seenFallback ? { seenFallback } : {}),
+      ...(explain ? {
+        explain: {
+          candidates: candidates.length,
+          suppressedAsSeen: seenFallback ? 0 : seenIds.size,
+          weights: this.config.weights,
+          halfLifeHours: this.config.halfLifeHours
+        }
+      } : {})
+    };
+  }
+
+  // ==========================================
+  // READING
+  // ==========================================
+
+  /**
+   * Author, sound, remix source and the viewer's like for each reel
+   */
+  async decorate(reels, userId) {
+    if (!reels.length) return [];
+    const Post = this.model('Post', '../models/post.model');
+    const User = this.model('User', '../models/user.model');
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+
+    const ids = reels.map(r => r._id);
+    const audioIds = [...new Set(reels.map(r => idOf(r.reel?.audio)).filter(Boolean))];
+    const sourceIds = [...new Set(reels.map(r => idOf(r.reel?.remixOf)).filter(Boolean))];
+
+    const [tracks, sources, liked] = await Promise.all([
+      audioIds.length ? AudioTrack.find({ _id: { $in: audioIds } }).select(AUDIO_FIELDS).lean() : [],
+      sourceIds.length
+        ? Post.find({ _id: { $in: sourceIds }, isDeleted: { $ne: true } }).select('author authorId visibility reel.thumbnailUrl').lean()
+        : [],
+      userId ? Post.find({ _id: { $in: ids }, 'likes.user': userId }).select('_id').lean() : []
+    ]);
+
+    const authorIds = [...new Set([...reels, ...sources].map(r => idOf(r.author || r.authorId)).filter(Boolean))];
+    const users = await User.find({ _id: { $in: authorIds } }).select(AUTHOR_FIELDS).lean();
+
+    const usersById = new Map(users.map(u => [idOf(u._id), u]));
+    const tracksById = new Map(tracks.map(t => [idOf(t._id), t]));
+    const sourcesById = new Map(sources.map(s => [idOf(s._id), s]));
+    const likedIds = new Set(liked.map(p => idOf(p._id)));
+
+    return reels.map(reel => {
+      const track = tracksById.get(idOf(reel.reel?.audio));
+      const source = sourcesById.get(idOf(reel.reel?.remixOf));
+      return {
+        _id: reel._id,
+        author: usersById.get(idOf(reel.author || reel.authorId)) || { name: reel.authorName || 'Anonymous' },
+        caption: reel.content,
+        hashtags: reel.hashtags || [],
+        visibility: reel.visibility,
+        video: reel.reel?.video,
+        thumbnailUrl: reel.reel?.thumbnailUrl,
+        posterUrl: reel.reel?.posterUrl,
+        audio: track && track.isActive ? {
+          _id: track._id,
+          title: track.title,
+          artist: track.artist,
+          url: track.url,
+          duration: track.duration,
+          useCount: track.useCount,
+          isOriginal: idOf(track.originalReel) === idOf(reel._id),
+          start: reel.reel?.audioStart || 0
+        } : null,
+        remixOf: reel.reel?.remixOf ? {
+          _id: reel.reel.remixOf,
+          type: reel.reel.remixType,
+          // Gone, or private to this viewer
+          available: !!source && (source.visibility || 'public') === 'public',
+          author: source ? usersById.get(idOf(source.author || source.authorId)) || null : null,
+          thumbnailUrl: source?.reel?.thumbnailUrl || null
+        } : null,
+        allowRemix: reel.reel?.allowRemix !== false,
+        remixCount: reel.reel?.remixCount || 0,
+        likeCount: reel.likeCount || 0,
+        commentCount: reel.commentCount || 0,
+        shareCount: reel.shareCount || 0,
+        playCount: reel.reel?.stats?.plays || 0,
+        liked: likedIds.has(idOf(reel._id)),
+        createdAt: reel.createdAt
+      };
+    });
+  }
+
+  async getReel(reelId, userId) {
+    const reel = await this.getVisibleReel(reelId, userId);
+    const [decorated] = await this.decorate([reel], userId);
+    return decorated;
+  }
+
+  /**
+   * List of reels matching `filter` that the viewer may see, newest first
+   */
+  async listVisible(filter, userId, { page = 1, limit = 20, sort = { createdAt: -1 } } = {}) {
+    const Post = this.model('Post', '../models/post.model');
+    const following = await this.getFollowing(userId);
+    const followingIds = [...following].map(id => new mongoose.Types.ObjectId(id));
+    const viewer = userId ? [new mongoose.Types.ObjectId(String(userId))] : [];
+
+    const query = {
+      ...filter,
+      postType: 'reel',
+      isDeleted: { $ne: true },
+      $or: [
+        { author: { $in: viewer } },
+        {
+          status: 'active',
+          isPublished: { $ne: false },
+          $or: [
+            { visibility: { $in: ['public', null] } },
+            { visibility: 'followers', author: { $in: followingIds } }
+          ]
+        }
+      ]
+    };
+
+    const [reels, total] = await Promise.all([
+      Post.find(query).sort(sort).skip((page - 1) * limit).limit(limit).select(REEL_FIELDS).lean(),
+      Post.countDocuments(query)
+    ]);
+
+    return {
+      reels: await this.decorate(reels, userId),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getUserReels(viewerId, authorId, options) {
+    return this.listVisible({ author: authorId }, viewerId, options);
+  }
+
+  async getRemixes(viewerId, reelId, options) {
+    const reel = await this.getVisibleReel(reelId, viewerId, '_id author authorId visibility status isPublished');
+    return this.listVisible({ 'reel.remixOf': reel._id }, viewerId, options);
+  }
+
+  // ==========================================
+  // SOUNDS
+  // ==========================================
+
+  async getAudio(audioId, viewerId, { page = 1, limit = 20, sort = 'popular' } = {}) {
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+    const User = this.model('User', '../models/user.model');
+
+    const track = mongoose.Types.ObjectId.isValid(audioId)
+      ? await AudioTrack.findOne({ _id: audioId, isActive: true }).select(AUDIO_FIELDS).lean()
+      : null;
+    if (!track) throw this.reelError('Sound not found', 404);
+
+    const owner = track.owner ? await User.findById(track.owner).select(AUTHOR_FIELDS).lean() : null;
+    const { reels, pagination } = await this.listVisible({ 'reel.audio': track._id }, viewerId, {
+      page,
+      limit,
+      sort: sort === 'recent' ? { createdAt: -1 } : { 'reel.stats.plays': -1, createdAt: -1 }
+    });
+
+    return {
+      audio: {
+        ...track,
+        owner,
+        canReuse: track.allowReuse || idOf(track.owner) === idOf(viewerId)
+      },
+      reels,
+      pagination
+    };
+  }
+
+  /**
+   * Sounds used by the most new reels lately
+   */
+  async getTrendingAudio({ days = 7, limit = 20 } = {}) {
+    const Post = this.model('Post', '../models/post.model');
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+
+    const rows = await Post.aggregate([
+      {
+        $match: {
+          postType: 'reel',
+          isDeleted: { $ne: true },
+          status: 'active',
+          visibility: { $in: ['public', null] },
+          'reel.audio': { $ne: null },
+          createdAt: { $gte: new Date(Date.now() - days * 24 * HOUR) }
+        }
+      },
+      { $group: { _id: '$reel.audio', reels: { $sum: 1 }, plays: { $sum: '$reel.stats.plays' } } },
+      { $sort: { reels: -1, plays: -1 } },
+      { $limit: limit * 2 }
+    ]);
+
+    const tracks = await AudioTrack.find({ _id: { $in: rows.map(r => r._id) }, isActive: true, allowReuse: true })
+      .select(AUDIO_FIELDS)
+      .lean();
+    const byId = new Map(tracks.map(t => [idOf(t._id), t]));
+
+    return rows
+      .filter(row => byId.has(idOf(row._id)))
+      .slice(0, limit)
+      .map(row => ({ ...byId.get(idOf(row._id)), recentReels: row.reels, recentPlays: row.plays }));
+  }
+
+  /**
+   * Owners can rename their original sound or stop new reels using it
+   */
+  async updateAudio(userId, audioId, { title, allowReuse }) {
+    const AudioTrack = this.model('AudioTrack', '../models/audio-track.model');
+    const track = await AudioTrack.findOne({ _id: audioId, owner: userId, isActive: true });
+    if (!track) throw this.reelError('Sound not found', 404);
+
+    if (title !== undefined) track.title = title.trim() || 'Original audio';
+    if (allowReuse !== undefined) track.allowReuse = allowReuse;
+    await track.save();
+    return track.toObject();
+  }
+}
+
+module.exports = new ReelService();
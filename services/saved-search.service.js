@@ -0,0 +1,209 @@
+// ============================================
+// FILE: services/saved-search.service.js
+// Saved Search Service
+// VERSION: 1.0
+// Searches users keep to re-run, with optional alerts: the
+// saved-search alerts job (cron/saved-search-alerts.js) looks for
+// content indexed since the last check and notifies the owner
+// through services/notification.service.js.
+// ============================================
+
+const mongoose = require('mongoose');
+const { QUERY_TYPES } = require('../config/search-index');
+const { stripHtml } = require('../utils/search-text');
+
+const MAX_PER_USER = parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 25;
+
+class SavedSearchService {
+  constructor() {
+    // Minimum time between checks of one saved search
+    this.alertIntervalMs = (parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.alertBatchSize = 100;
+  }
+
+  getModel() {
+    return mongoose.models.SavedSearch || require('../models/saved-search.model');
+  }
+
+  savedSearchError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'SavedSearchError';
+    error.status = status;
+    return error;
+  }
+
+  searchOptions(saved, extra = {}) {
+    const { author, group, church } = saved.filters || {};
+    return {
+      q: saved.query,
+      types: QUERY_TYPES[saved.type] || QUERY_TYPES.all,
+      ...extra,
+      filters: { author, group, church, ...extra.filters }
+    };
+  }
+
+  // Nothing from people blocked either way
+  async getHiddenAuthors(userId) {
+    const blockService = require('./block.service');
+    const filter = await blockService.getFilter(userId);
+    return [...filter.blocked];
+  }
+
+  // ==========================================
+  // CRUD
+  // ==========================================
+
+  async list(userId) {
+    return this.getModel().find({ user: userId }).sort({ createdAt: -1 }).lean();
+  }
+
+  async get(userId, id) {
+    const saved = await this.getModel().findOne({ _id: id, user: userId });
+    if (!saved) throw this.savedSearchError('Saved search not found', 404);
+    return saved;
+  }
+
+  async create(userId, { name, query, type = 'all', filters = {}, alerts = {} }) {
+    const SavedSearch = this.getModel();
+
+    const count = await SavedSearch.countDocuments({ user: userId });
+    if (count >= MAX_PER_USER) {
+      throw this.savedSearchError(`You can keep up to ${MAX_PER_USER} saved searches`, 409);
+    }
+
+    const existing = await SavedSearch.findOne({ user: userId, query, type }).lean();
+    if (existing) throw this.savedSearchError('This search is already saved', 409);
+
+    return SavedSearch.create({
+      user: userId,
+      name: name || query,
+      query,
+      type,
+      filters,
+      alerts,
+      lastCheckedAt: new Date()
+    });
+  }
+
+  async update(userId, id, { name, alerts }) {
+    const saved = await this.get(userId, id);
+    if (name !== undefined) saved.name = name || saved.query;
+    if (alerts?.enabled !== undefined) {
+      // Turning alerts back on shouldn't announce everything missed meanwhile
+      if (alerts.enabled && !saved.alerts.enabled) saved.lastCheckedAt = new Date();
+      saved.alerts.enabled = alerts.enabled;
+    }
+    if (alerts?.email !== undefined) saved.alerts.email = alerts.email;
+    await saved.save();
+    return saved;
+  }
+
+  async remove(userId, id) {
+    const result = await this.getModel().deleteOne({ _id: id, user: userId });
+    if (!result.deletedCount) throw this.savedSearchError('Saved search not found', 404);
+    return true;
+  }
+
+  /**
+   * Run a saved search; clears its "new matches" badge
+   */
+  async run(userId, id, { page = 1, limit = 20, sort = 'relevance' } = {}) {
+    const searchService = require('./search.service');
+    const saved = await this.get(userId, id);
+
+    const result = await searchService.search(this.searchOptions(saved, {
+      page,
+      limit,
+      sort,
+      filters: { hiddenAuthors: await this.getHiddenAuthors(userId) }
+    }));
+
+    saved.lastRunAt = new Date();
+    saved.newMatches = 0;
+    await saved.save();
+
+    return { savedSearch: saved, result };
+  }
+
+  // ==========================================
+  // ALERTS
+  // ==========================================
+
+  /**
+   * Check saved searches due for an alert. Each one looks at content
+   * first indexed since its last check, leaving out the owner's own.
+   */
+  async processAlerts() {
+    const searchService = require('./search.service');
+    const SavedSearch = this.getModel();
+    const User = mongoose.models.User || require('../models/user.model');
+
+    const due = await SavedSearch.find({
+      'alerts.enabled': true,
+      lastCheckedAt: { $lte: new Date(Date.now() - this.alertIntervalMs) }
+    })
+      .sort({ lastCheckedAt: 1 })
+      .limit(this.alertBatchSize);
+
+    let notified = 0;
+    for (const saved of due) {
+      const checkedAt = new Date();
+      try {
+        const result = await searchService.search(this.searchOptions(saved, {
+          limit: 3,
+          sort: 'recent',
+          filters: {
+            since: saved.lastCheckedAt,
+            excludeAuthor: saved.user,
+            hiddenAuthors: await this.getHiddenAuthors(saved.user)
+          }
+        }));
+
+        if (result.total > 0) {
+          const user = await User.findById(saved.user).select('name username email preferences pushTokens').lean();
+          if (user) {
+            await this.notify(user, saved, result);
+            saved.newMatches += result.total;
+            saved.lastNotifiedAt = checkedAt;
+            notified++;
+          }
+        }
+
+        saved.lastCheckedAt = checkedAt;
+        await saved.save();
+      } catch (error) {
+        console.error(`Saved search alert (${saved._id}) error:`, error.message);
+      }
+    }
+
+    return { checked: due.length, notified };
+  }
+
+  async notify(user, saved, result) {
+    const notificationService = require('./notification.service');
+    const clientUrl = process.env.CLIENT_URL || 'https://cybev.io';
+
+    const count = result.total;
+    const title = `New results for "${saved.name || saved.query}"`;
+    const firstTitle = stripHtml(result.hits[0]?.highlight?.title);
+    const message = count === 1 && firstTitle
+      ? `1 new match: ${firstTitle}`
+      : `${count}${result.approximate ? '+' : ''} new matches for your saved search`;
+
+    return notificationService.sendSavedSearchAlert(user, {
+      savedSearchId: saved._id,
+      title,
+      message,
+      actionUrl: `${clientUrl}/search?saved=${saved._id}`,
+      sendEmail: saved.alerts.email,
+      data: {
+        query: saved.query,
+        type: saved.type,
+        count,
+        items: result.hits.map(hit => ({ type: hit.type, id: hit.id }))
+      }
+    });
+  }
+}
+
+module.exports = new SavedSearchService();
@@ -0,0 +1,285 @@
+// ============================================
+// FILE: services/scheduled-message.service.js
+// Scheduled Message Service
+// VERSION: 1.0
+// Chat messages written now and sent later. They wait in
+// models/scheduled-message.model.js until cron/scheduled-messages.js
+// picks them up; at send time the sender must still be in the chat (and
+// not blocked in a direct one), otherwise the message is marked failed.
+// Encrypted chats can't schedule - envelopes are made for the devices
+// at the time of writing, which may be gone by the send time.
+// Limits are in config/messaging.js (MESSAGING.scheduling).
+// ============================================
+
+const mongoose = require('mongoose');
+const { MESSAGING } = require('../config/messaging');
+const blockService = require('./block.service');
+const chatMedia = require('./chat-media.service');
+const contentParsingService = require('./content-parsing.service');
+const messageSync = require('./message-sync.service');
+const notificationDelivery = require('./notification-delivery.service');
+
+const USER_FIELDS = 'name username avatar';
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class ScheduledMessageService {
+  constructor() {
+    this.config = MESSAGING.scheduling;
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getScheduledModel() {
+    return this.model('ScheduledMessage', '../models/scheduled-message.model');
+  }
+
+  scheduleError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'ScheduledMessageError';
+    error.status = status;
+    return error;
+  }
+
+  checkSendAt(sendAt) {
+    const time = new Date(sendAt).getTime();
+    if (!time) throw this.scheduleError('A valid send time is required');
+    if (time < Date.now() + this.config.minDelaySeconds * 1000) {
+      throw this.scheduleError(`Schedule messages at least ${this.config.minDelaySeconds} seconds ahead`);
+    }
+    if (time > Date.now() + this.config.maxAheadDays * 24 * 60 * 60 * 1000) {
+      throw this.scheduleError(`Messages can be scheduled up to ${this.config.maxAheadDays} days ahead`);
+    }
+    return new Date(time);
+  }
+
+  /**
+   * Why `senderId` can't send to `conversation` right now, or null
+   */
+  async cannotSend(conversation, senderId) {
+    if (!conversation || !conversation.isActive) return 'Conversation not found';
+    if (!conversation.participants.some(id => idOf(id) === idOf(senderId))) return 'You are no longer in this conversation';
+    if (conversation.encryption?.enabled) return "Messages can't be scheduled in end-to-end encrypted chats";
+    if (conversation.type === 'direct') {
+      const otherId = conversation.participants.find(id => idOf(id) !== idOf(senderId));
+      if (otherId && await blockService.isBlocked(senderId, otherId)) return "You can't message this user";
+    }
+    return null;
+  }
+
+  // ==========================================
+  // SCHEDULING
+  // ==========================================
+
+  async schedule(userId, conversationId, { text, attachments = [], replyTo = null, sendAt }) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const ScheduledMessage = this.getScheduledModel();
+
+    if (!text && !attachments.length) throw this.scheduleError('Message text or attachment required');
+    const conversation = mongoose.Types.ObjectId.isValid(conversationId)
+      ? await Conversation.findOne({ _id: conversationId, participants: userId })
+      : null;
+    if (!conversation) throw this.scheduleError('Conversation not found', 404);
+
+    const reason = await this.cannotSend(conversation, userId);
+    if (reason) throw this.scheduleError(reason, 403);
+
+    const pending = await ScheduledMessage.countDocuments({ sender: userId, status: 'pending' });
+    if (pending >= this.config.maxPending) {
+      throw this.scheduleError(`You can have up to ${this.config.maxPending} scheduled messages`, 409);
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      conversation: conversation._id,
+      sender: userId,
+      text: text || '',
+      attachments: chatMedia.checkAttachments(userId, attachments),
+      replyTo,
+      sendAt: this.checkSendAt(sendAt)
+    });
+    return scheduled.toObject();
+  }
+
+  async list(userId, { conversationId = null, status = 'pending' } = {}) {
+    return this.getScheduledModel().find({
+      sender: userId,
+      ...(conversationId ? { conversation: conversationId } : {}),
+      ...(status ? { status } : {})
+    })
+      .sort({ sendAt: 1 })
+      .limit(this.config.maxPending * 2)
+      .lean();
+  }
+
+  async getPending(userId, id) {
+    const scheduled = mongoose.Types.ObjectId.isValid(id)
+      ? await this.getScheduledModel().findOne({ _id: id, sender: userId })
+      : null;
+    if (!scheduled) throw this.scheduleError('Scheduled message not found', 404);
+    if (scheduled.status !== 'pending') throw this.scheduleError(`This message is already ${scheduled.status}`, 409);
+    return scheduled;
+  }
+
+  async update(userId, id, { text, attachments, sendAt }) {
+    const scheduled = await this.getPending(userId, id);
+    const $set = {
+      ...(text !== undefined ? { text } : {}),
+      ...(attachments !== undefined ? { attachments: chatMedia.checkAttachments(userId, attachments) } : {}),
+      ...(sendAt !== undefined ? { sendAt: this.checkSendAt(sendAt) } : {})
+    };
+    const nextText = text !== undefined ? text : scheduled.text;
+    const nextAttachments = attachments !== undefined ? attachments : scheduled.attachments;
+    if (!nextText && !nextAttachments.length) throw this.scheduleError('Message text or attachment required');
+
+    // Only while the cron hasn't claimed it
+    const updated = await this.getScheduledModel().findOneAndUpdate(
+      { _id: scheduled._id, status: 'pending' },
+      { $set },
+      { new: true }
+    ).lean();
+    if (!updated) throw this.scheduleError('This message is already being sent', 409);
+    return updated;
+  }
+
+  async cancel(userId, id) {
+    const scheduled = await this.getPending(userId, id);
+    const result = await this.getScheduledModel().updateOne(
+      { _id: scheduled._id, status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+    if (!result.modifiedCount) throw this.scheduleError('This message is already being sent', 409);
+  }
+
+  // ==========================================
+  // SENDING (cron/scheduled-messages.js)
+  // ==========================================
+
+  /**
+   * Claim due messages one at a time (so several servers can run the
+   * cron) and send them. Claims left by a crashed run or a failed
+   * attempt are retried after `claimTimeoutMinutes`.
+   */
+  async processDue() {
+    const ScheduledMessage = this.getScheduledModel();
+    const stale = new Date(Date.now() - this.config.claimTimeoutMinutes * 60 * 1000);
+    let sent = 0;
+    let failed = 0;
+
+    for (let i = 0; i < this.config.batchSize; i++) {
+      const now = new Date();
+      const scheduled = await ScheduledMessage.findOneAndUpdate(
+        {
+          sendAt: { $lte: now },
+          $or: [
+            { status: 'pending' },
+            { status: 'sending', claimedAt: { $lt: stale } }
+          ]
+        },
+        { $set: { status: 'sending', claimedAt: now }, $inc: { attempts: 1 } },
+        { sort: { sendAt: 1 }, new: true }
+      );
+      if (!scheduled) break;
+
+      try {
+        await this.dispatch(scheduled);
+        sent++;
+      } catch (error) {
+        failed++;
+        // A retry stays claimed, so it's picked up again once the claim goes stale
+        const retry = !error.permanent && scheduled.attempts < this.config.maxAttempts;
+        await ScheduledMessage.updateOne(
+          { _id: scheduled._id },
+          { $set: { lastError: error.message, ...(retry ? {} : { status: 'failed' }) } }
+        );
+        if (!error.permanent) console.error('Scheduled message error:', error.message);
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Send one scheduled message as its sender
+   */
+  async dispatch(scheduled) {
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const Message = this.model('Message', '../models/message.model');
+    const ScheduledMessage = this.getScheduledModel();
+
+    const conversation = await Conversation.findById(scheduled.conversation);
+    const reason = await this.cannotSend(conversation, scheduled.sender);
+    if (reason) {
+      const error = this.scheduleError(reason, 409);
+      error.permanent = true;
+      throw error;
+    }
+
+    // A retry after a crash may find the message already sent
+    let message = await Message.findOne({ scheduledMessage: scheduled._id });
+    if (!message) {
+      const replyTo = scheduled.replyTo
+        ? await Message.exists({ _id: scheduled.replyTo, conversation: conversation._id })
+        : null;
+      message = await Message.create({
+        conversation: conversation._id,
+        sender: scheduled.sender,
+        text: scheduled.text,
+        attachments: scheduled.attachments,
+        replyTo: replyTo ? scheduled.replyTo : null,
+        readBy: [scheduled.sender],
+        scheduledMessage: scheduled._id
+      });
+
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { lastMessage: message._id, lastMessageAt: message.createdAt }
+      );
+
+      await contentParsingService.processContent({
+        type: 'message',
+        id: message._id,
+        parentId: conversation._id,
+        author: message.sender,
+        text: message.text,
+        url: `/messages/${conversation._id}`,
+        audience: conversation.participants,
+        isPublic: false
+      });
+
+      const populated = await Message.findById(message._id)
+        .populate('sender', USER_FIELDS)
+        .populate('replyTo');
+      await messageSync.messageSent(conversation, populated);
+      await this.notify(conversation, populated);
+    }
+
+    await ScheduledMessage.updateOne(
+      { _id: scheduled._id },
+      { $set: { status: 'sent', message: message._id, sentAt: new Date() }, $unset: { lastError: 1 } }
+    );
+    return message;
+  }
+
+  // Same notification as a message sent from the app
+  async notify(conversation, message) {
+    try {
+      const senderId = idOf(message.sender);
+      await notificationDelivery.notifyMany(
+        'message',
+        conversation.participants.filter(id => idOf(id) !== senderId),
+        {
+          sender: senderId,
+          entityId: conversation._id,
+          entityModel: 'Conversation',
+          data: { conversationId: idOf(conversation) }
+        }
+      );
+    } catch (error) {
+      console.log('Notification creation failed:', error.message);
+    }
+  }
+}
+
+module.exports = new ScheduledMessageService();
@@ -0,0 +1,280 @@
+// ============================================
+// FILE: services/search-analytics.service.js
+// Search Analytics Service
+// VERSION: 1.0
+// What people search for and which results they open.
+// - Every search is logged anonymously (models/search-log.model.js):
+//   no user id or IP, a per-day visitor hash, and the query text
+//   with emails / phone numbers redacted
+// - Clicks are attached to the search they came from
+// - Reports for admins: top queries with click-through, searches
+//   that found nothing, and the most opened results
+// - Public "popular searches" only show queries typed by several
+//   different people, so nobody's own search is exposed
+// ============================================
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SEARCH_SOURCES } = require('../config/search-index');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Clicks kept per search
+const MAX_CLICKS = 20;
+// Clicks only count within this long of the search
+const CLICK_WINDOW_MS = DAY;
+
+class SearchAnalyticsService {
+  constructor() {
+    this.salt = `${process.env.SEARCH_LOG_SALT || process.env.JWT_SECRET || 'cybev-secret-key'}:search-log`;
+    // Distinct searchers a query needs before it shows as popular
+    this.popularMinVisitors = parseInt(process.env.SEARCH_POPULAR_MIN_VISITORS) || 3;
+  }
+
+  getModel() {
+    return mongoose.models.SearchLog || require('../models/search-log.model');
+  }
+
+  // ==========================================
+  // LOGGING
+  // ==========================================
+
+  /**
+   * Lower-cased, whitespace-collapsed query with anything that looks
+   * like contact details replaced
+   */
+  anonymizeQuery(q) {
+    return String(q || '')
+      .toLowerCase()
+      .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+      .replace(/\+?\d[\d\s().-]{6,}\d/g, '[number]')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 100);
+  }
+
+  /**
+   * Same value for the same person all day, unrelated across days
+   */
+  visitorHash({ userId, ip }) {
+    const who = userId || ip;
+    if (!who) return null;
+    const day = new Date().toISOString().slice(0, 10);
+    return crypto.createHmac('sha256', this.salt).update(`${day}:${who}`).digest('hex').slice(0, 24);
+  }
+
+  /**
+   * Record a search. Returns the log id straight away (clients send it
+   * back with clicks); the write happens after the response.
+   */
+  logSearch({ q, type = 'all', sort = 'relevance', filtered = false, source = 'search', resultCount = 0, didYouMean = null, page = 1, userId = null, ip = null }) {
+    const query = this.anonymizeQuery(q);
+    if (!query || mongoose.connection.readyState !== 1) return null;
+
+    const _id = new mongoose.Types.ObjectId();
+    const entry = {
+      _id,
+      query,
+      type,
+      sort,
+      filtered,
+      source,
+      resultCount,
+      didYouMean,
+      page,
+      visitor: this.visitorHash({ userId, ip }),
+      signedIn: !!userId
+    };
+
+    setImmediate(() => {
+      this.getModel().create(entry).catch(error => console.error('Search log error:', error.message));
+    });
+    return _id;
+  }
+
+  /**
+   * Attach a result click to its search
+   */
+  async recordClick(searchId, { type, id, position }) {
+    if (!mongoose.Types.ObjectId.isValid(searchId) || !SEARCH_SOURCES[type]) return false;
+
+    const result = await this.getModel().updateOne(
+      {
+        _id: searchId,
+        createdAt: { $gte: new Date(Date.now() - CLICK_WINDOW_MS) },
+        [`clicks.${MAX_CLICKS - 1}`]: { $exists: false }
+      },
+      { $push: { clicks: { type, ref: id, position, at: new Date() } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ==========================================
+  // REPORTS
+  // ==========================================
+
+  since(days) {
+    return new Date(Date.now() - days * DAY);
+  }
+
+  /**
+   * Queries searched by at least `popularMinVisitors` different people
+   * on the same day. Visitor hashes change daily, so distinct visitors
+   * are counted per day - across days one person would count again
+   * every day they searched. `visitors` is the busiest day's count.
+   */
+  async getPopularQueries({ days = 7, limit = 10 } = {}) {
+    const rows = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) }, page: 1, resultCount: { $gt: 0 }, visitor: { $ne: null }, query: { $not: /\[(email|number)\]/ } } },
+      {
+        $group: {
+          _id: { query: '$query', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+          searches: { $sum: 1 },
+          visitors: { $addToSet: '$visitor' }
+        }
+      },
+      { $group: { _id: '$_id.query', searches: { $sum: '$searches' }, visitors: { $max: { $size: '$visitors' } } } },
+      { $match: { visitors: { $gte: this.popularMinVisitors } } },
+      { $sort: { visitors: -1, searches: -1 } },
+      { $limit: limit }
+    ]);
+    return rows.map(row => ({ query: row._id, searches: row.searches, visitors: row.visitors }));
+  }
+
+  /**
+   * Totals and click-through for the period
+   */
+  async getOverview({ days = 7 } = {}) {
+    const [totals] = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) }, page: 1 } },
+      {
+        $group: {
+          _id: null,
+          searches: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          withClicks: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          corrected: { $sum: { $cond: [{ $ne: ['$didYouMean', null] }, 1, 0] } },
+          visitors: { $addToSet: '$visitor' }
+        }
+      }
+    ]);
+
+    const [positions] = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) } } },
+      { $unwind: '$clicks' },
+      { $group: { _id: null, clicks: { $sum: 1 }, avgPosition: { $avg: '$clicks.position' } } }
+    ]);
+
+    const searches = totals?.searches || 0;
+    const ratio = (count) => (searches ? Math.round((count / searches) * 1000) / 1000 : 0);
+
+    return {
+      days,
+      searches,
+      visitors: totals ? totals.visitors.filter(Boolean).length : 0,
+      zeroResultRate: ratio(totals?.zeroResults || 0),
+      clickThroughRate: ratio(totals?.withClicks || 0),
+      correctedRate: ratio(totals?.corrected || 0),
+      clicks: positions?.clicks || 0,
+      avgClickPosition: positions ? Math.round(positions.avgPosition * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Most searched queries with their click-through rate
+   */
+  async getTopQueries({ days = 7, limit = 50 } = {}) {
+    const rows = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) }, page: 1 } },
+      {
+        $group: {
+          _id: '$query',
+          searches: { $sum: 1 },
+          withClicks: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          avgResults: { $avg: '$resultCount' },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { searches: -1 } },
+      { $limit: limit }
+    ]);
+
+    return rows.map(row => ({
+      query: row._id,
+      searches: row.searches,
+      clickThroughRate: Math.round((row.withClicks / row.searches) * 1000) / 1000,
+      avgResults: Math.round(row.avgResults),
+      lastSearchedAt: row.lastSearchedAt
+    }));
+  }
+
+  /**
+   * Searches that found nothing - content gaps and missing synonyms
+   */
+  async getZeroResultQueries({ days = 7, limit = 50 } = {}) {
+    const rows = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) }, page: 1, resultCount: 0 } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$query',
+          searches: { $sum: 1 },
+          visitors: { $addToSet: '$visitor' },
+          types: { $addToSet: '$type' },
+          didYouMean: { $first: '$didYouMean' },
+          lastSearchedAt: { $first: '$createdAt' }
+        }
+      },
+      { $sort: { searches: -1, lastSearchedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    return rows.map(row => ({
+      query: row._id,
+      searches: row.searches,
+      visitors: row.visitors.filter(Boolean).length,
+      types: row.types,
+      didYouMean: row.didYouMean,
+      lastSearchedAt: row.lastSearchedAt
+    }));
+  }
+
+  /**
+   * Results opened most often from search, with the queries that led there
+   */
+  async getTopClickedResults({ days = 7, limit = 50, type } = {}) {
+    const rows = await this.getModel().aggregate([
+      { $match: { createdAt: { $gte: this.since(days) } } },
+      { $unwind: '$clicks' },
+      ...(type ? [{ $match: { 'clicks.type': type } }] : []),
+      {
+        $group: {
+          _id: { type: '$clicks.type', ref: '$clicks.ref' },
+          clicks: { $sum: 1 },
+          avgPosition: { $avg: '$clicks.position' },
+          queries: { $addToSet: '$query' }
+        }
+      },
+      { $sort: { clicks: -1 } },
+      { $limit: limit }
+    ]);
+
+    // Titles from the search index
+    const SearchDocument = mongoose.models.SearchDocument || require('../models/search-document.model');
+    const docs = rows.length
+      ? await SearchDocument.find({ $or: rows.map(row => ({ type: row._id.type, ref: row._id.ref })) }).select('type ref title').lean()
+      : [];
+    const titles = new Map(docs.map(doc => [`${doc.type}:${doc.ref}`, doc.title]));
+
+    return rows.map(row => ({
+      type: row._id.type,
+      id: row._id.ref,
+      title: titles.get(`${row._id.type}:${row._id.ref}`) || null,
+      clicks: row.clicks,
+      avgPosition: Math.round(row.avgPosition * 10) / 10,
+      queries: row.queries.slice(0, 10)
+    }));
+  }
+}
+
+module.exports = new SearchAnalyticsService();
@@ -0,0 +1,690 @@
+// ============================================
+// FILE: services/search.service.js
+// Search Service
+// VERSION: 1.0
+// Full-text search over users, posts, blogs, groups, events,
+// hashtags, live streams and churches.
+// - Index: models/search-document.model.js (terms + facets per item),
+//   models/search-term.model.js (dictionary / document frequency)
+// - Ranking: BM25 over weighted fields (config/search-index.js),
+//   nudged by popularity; results must match most of the query
+// - Typo tolerance: unknown words are matched to dictionary terms
+//   within edit distance 1 (2 for long words); the last word also
+//   matches as a prefix
+// - Kept current by model hooks (models/plugins/search-indexed.js)
+//   and the incremental sweep in cron/search-indexer.js
+// ============================================
+
+const mongoose = require('mongoose');
+const { FIELD_WEIGHTS, SEARCH_SOURCES } = require('../config/search-index');
+const { tokenize, normalize, stripHtml, editDistance, highlight } = require('../utils/search-text');
+const { escapeRegex } = require('../utils/validation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const AUTHOR_FIELDS = 'name username avatar profilePicture isVerified';
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Weight of a query word's expansions relative to an exact match
+const PREFIX_WEIGHT = 0.5;
+const TYPO_WEIGHTS = { 1: 0.6, 2: 0.35 };
+
+const DATE_BUCKETS = { day: DAY, week: 7 * DAY, month: 30 * DAY, year: 365 * DAY };
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class SearchService {
+  constructor() {
+    this.candidateLimit = parseInt(process.env.SEARCH_CANDIDATE_LIMIT) || 2000;
+    this.sweepBatchSize = 200;
+    this.statsCache = null;
+    this.statsCacheMs = 60 * 1000;
+  }
+
+  // ==========================================
+  // MODELS
+  // ==========================================
+
+  getModel() {
+    return mongoose.models.SearchDocument || require('../models/search-document.model');
+  }
+
+  getTermModel() {
+    return mongoose.models.SearchTerm || require('../models/search-term.model');
+  }
+
+  getStateModel() {
+    return mongoose.models.SearchIndexState || require('../models/search-index-state.model');
+  }
+
+  /**
+   * Source model, or null when it isn't available in this deployment
+   */
+  sourceModel(type) {
+    const source = SEARCH_SOURCES[type];
+    if (!mongoose.models[source.model] && source.file) {
+      try {
+        require(source.file);
+      } catch (error) {
+        return null;
+      }
+    }
+    return mongoose.models[source.model] || null;
+  }
+
+  searchError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'SearchError';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Run an index update without holding up the request that caused it
+   */
+  defer(label, job) {
+    if (mongoose.connection.readyState !== 1) return;
+    setImmediate(() => {
+      job().catch(error => console.error(`Search ${label} error:`, error.message));
+    });
+  }
+
+  // ==========================================
+  // INDEXING
+  // ==========================================
+
+  /**
+   * Weighted term frequencies for one described document
+   */
+  analyze({ title, body, tags }) {
+    const frequencies = new Map();
+    const surfaces = new Map();
+    let length = 0;
+
+    const add = (text, weight) => {
+      for (const { term, surface } of tokenize(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        if (!surfaces.has(term)) surfaces.set(term, surface);
+        length += weight;
+      }
+    };
+
+    add(stripHtml(title), FIELD_WEIGHTS.title);
+    add((tags || []).map(tag => String(tag).replace(/^#/, '')).join(' '), FIELD_WEIGHTS.tags);
+    add(stripHtml(body), FIELD_WEIGHTS.body);
+
+    return {
+      terms: [...frequencies].map(([t, tf]) => ({ t, tf })),
+      length,
+      surfaces
+    };
+  }
+
+  async isPublicGroup(groupId) {
+    if (!groupId) return true;
+    const Group = this.sourceModel('group');
+    if (!Group) return false;
+    const group = await Group.findById(groupId).select('privacy').lean();
+    return group?.privacy === 'public';
+  }
+
+  async indexDocument(type, doc) {
+    const source = SEARCH_SOURCES[type];
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+
+    if (!source.searchable(plain)) return this.removeDocument(type, plain._id);
+    if (source.publicGroupOnly && plain.group && !(await this.isPublicGroup(plain.group))) {
+      return this.removeDocument(type, plain._id);
+    }
+
+    const described = source.describe(plain);
+    const { terms, length, surfaces } = this.analyze(described);
+
+    const previous = await this.getModel().findOneAndUpdate(
+      { type, ref: plain._id },
+      {
+        $set: {
+          terms,
+          length,
+          title: stripHtml(described.title).slice(0, 300),
+          body: stripHtml(described.body).slice(0, 2000),
+          author: described.author || null,
+          group: described.group || null,
+          church: described.church || null,
+          date: described.date || null,
+          popularity: described.popularity || 0,
+          indexedAt: new Date()
+        },
+        $setOnInsert: { firstIndexedAt: new Date() }
+      },
+      { upsert: true, new: false, projection: { 'terms.t': 1, length: 1 } }
+    ).lean();
+
+    const before = new Set((previous?.terms || []).map(entry => entry.t));
+    const after = new Set(terms.map(entry => entry.t));
+    const added = [...after].filter(term => !before.has(term));
+    const removed = [...before].filter(term => !after.has(term));
+
+    await this.updateDictionary(added, removed, surfaces);
+    await this.updateState(type, previous ? 0 : 1, length - (previous?.length || 0));
+    return true;
+  }
+
+  async reindex(type, id) {
+    const Model = this.sourceModel(type);
+    if (!Model) return false;
+    const doc = await Model.findById(id).lean();
+    if (!doc) return this.removeDocument(type, id);
+    return this.indexDocument(type, doc);
+  }
+
+  async removeDocument(type, id) {
+    const removed = await this.getModel().findOneAndDelete({ type, ref: id }).select('terms.t length').lean();
+    if (!removed) return false;
+
+    await this.updateDictionary([], removed.terms.map(entry => entry.t));
+    await this.updateState(type, -1, -removed.length);
+    return true;
+  }
+
+  async updateDictionary(added, removed, surfaces = new Map()) {
+    const operations = [
+      ...added.map(term => ({
+        updateOne: {
+          filter: { term },
+          update: { $inc: { df: 1 }, $set: { display: surfaces.get(term) || term }, $setOnInsert: { length: term.length } },
+          upsert: true
+        }
+      })),
+      ...removed.map(term => ({
+        updateOne: { filter: { term }, update: { $inc: { df: -1 } } }
+      }))
+    ];
+    if (operations.length) await this.getTermModel().bulkWrite(operations, { ordered: false });
+  }
+
+  async updateState(type, docDelta, lengthDelta) {
+    if (!docDelta && !lengthDelta) return;
+    await this.getStateModel().updateOne(
+      { source: type },
+      { $inc: { docCount: docDelta, totalLength: lengthDelta } },
+      { upsert: true }
+    );
+    this.statsCache = null;
+  }
+
+  /**
+   * Re-index source documents changed since the last sweep. Catches
+   * writes that bypass the model hooks (updateOne, updateMany, scripts).
+   * Returns the number of documents processed.
+   */
+  async sweep(type, { maxBatches = 10 } = {}) {
+    const Model = this.sourceModel(type);
+    if (!Model) return 0;
+
+    const State = this.getStateModel();
+    const state = await State.findOneAndUpdate(
+      { source: type },
+      { $setOnInsert: { checkpoint: new Date(0) } },
+      { upsert: true, new: true }
+    ).lean();
+
+    let checkpoint = state.checkpoint;
+    let checkpointId = state.checkpointId || null;
+    let processed = 0;
+
+    try {
+      for (let batch = 0; batch < maxBatches; batch++) {
+        // (updatedAt, _id) order, so a batch boundary between documents
+        // saved in the same millisecond doesn't skip the rest of them
+        const query = checkpointId
+          ? { $or: [{ updatedAt: { $gt: checkpoint } }, { updatedAt: checkpoint, _id: { $gt: checkpointId } }] }
+          : { updatedAt: { $gte: checkpoint } };
+        const docs = await Model.find(query)
+          .sort({ updatedAt: 1, _id: 1 })
+          .limit(this.sweepBatchSize)
+          .lean();
+        if (!docs.length) break;
+
+        for (const doc of docs) {
+          await this.indexDocument(type, doc);
+        }
+        processed += docs.length;
+        checkpoint = docs[docs.length - 1].updatedAt;
+        checkpointId = docs[docs.length - 1]._id;
+        await State.updateOne({ source: type }, { $set: { checkpoint, checkpointId, lastRunAt: new Date(), lastError: null } });
+
+        if (docs.length < this.sweepBatchSize) break;
+      }
+    } catch (error) {
+      await State.updateOne({ source: type }, { $set: { lastRunAt: new Date(), lastError: error.message } });
+      throw error;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start a full rebuild: the next sweeps re-index everything
+   */
+  async resetCheckpoints(types = Object.keys(SEARCH_SOURCES)) {
+    await this.getStateModel().updateMany({ source: { $in: types } }, { $set: { checkpoint: new Date(0), checkpointId: null } });
+  }
+
+  async pruneDictionary() {
+    const result = await this.getTermModel().deleteMany({ df: { $lte: 0 } });
+    return result.deletedCount || 0;
+  }
+
+  async getStatus() {
+    const states = await this.getStateModel().find().lean();
+    const terms = await this.getTermModel().estimatedDocumentCount();
+    return {
+      terms,
+      sources: Object.keys(SEARCH_SOURCES).map(type => {
+        const state = states.find(s => s.source === type) || {};
+        return {
+          type,
+          available: !!this.sourceModel(type),
+          documents: state.docCount || 0,
+          checkpoint: state.checkpoint || null,
+          lastRunAt: state.lastRunAt || null,
+          lastError: state.lastError || null
+        };
+      })
+    };
+  }
+
+  // ==========================================
+  // QUERYING
+  // ==========================================
+
+  async getStats() {
+    if (this.statsCache && this.statsCache.expiresAt > Date.now()) return this.statsCache;
+
+    const states = await this.getStateModel().find().select('source docCount totalLength').lean();
+    const total = states.reduce((sum, s) => sum + Math.max(0, s.docCount), 0);
+    const avgLength = {};
+    states.forEach(s => {
+      avgLength[s.source] = s.docCount > 0 ? s.totalLength / s.docCount : 1;
+    });
+
+    this.statsCache = { total, avgLength, expiresAt: Date.now() + this.statsCacheMs };
+    return this.statsCache;
+  }
+
+  maxTypoDistance(term) {
+    if (term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+  }
+
+  /**
+   * For each query word: the dictionary terms that count as a match,
+   * with a weight (exact 1, prefix / typo less)
+   */
+  async expandQuery(words, { prefixLast = true } = {}) {
+    const Term = this.getTermModel();
+    const exact = await Term.find({ term: { $in: words.map(w => w.term) } }).select('term display df').lean();
+    const known = new Map(exact.map(t => [t.term, t]));
+
+    return Promise.all(words.map(async (word, index) => {
+      const options = new Map();
+      const add = (entry, weight, kind) => {
+        const current = options.get(entry.term);
+        if (!current || current.weight < weight) {
+          options.set(entry.term, { term: entry.term, display: entry.display || entry.term, df: entry.df, weight, kind });
+        }
+      };
+
+      if (known.has(word.term)) add(known.get(word.term), 1, 'exact');
+
+      // Search-as-you-type: the word being typed may be incomplete
+      if (prefixLast && index === words.length - 1 && word.surface.length >= 2) {
+        const prefixes = await Term.find({ term: { $regex: `^${escapeRegex(word.term)}` }, df: { $gt: 0 } })
+          .sort({ df: -1 })
+          .limit(8)
+          .select('term display df')
+          .lean();
+        prefixes.forEach(entry => add(entry, PREFIX_WEIGHT, 'prefix'));
+      }
+
+      // Unknown or very rare words: look for near spellings
+      const maxDistance = this.maxTypoDistance(word.term);
+      if (maxDistance && (known.get(word.term)?.df || 0) < 2) {
+        const candidates = await Term.find({
+          length: { $gte: word.term.length - maxDistance, $lte: word.term.length + maxDistance },
+          term: { $regex: `^${escapeRegex(word.term[0])}` },
+          df: { $gt: 0 }
+        })
+          .sort({ df: -1 })
+          .limit(1000)
+          .select('term display df')
+          .lean();
+
+        for (const candidate of candidates) {
+          if (candidate.term === word.term) continue;
+          const distance = editDistance(word.term, candidate.term, maxDistance);
+          if (distance <= maxDistance) add(candidate, TYPO_WEIGHTS[distance], 'typo');
+        }
+      }
+
+      return { ...word, options: [...options.values()] };
+    }));
+  }
+
+  idf(df, total) {
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  }
+
+  scoreDocument(doc, expanded, stats) {
+    const frequencies = new Map(doc.terms.map(entry => [entry.t, entry.tf]));
+    const avgLength = stats.avgLength[doc.type] || 1;
+    const norm = K1 * (1 - B + B * (doc.length / avgLength));
+
+    let score = 0;
+    let matchedWords = 0;
+    const matchedTerms = [];
+
+    for (const word of expanded) {
+      let best = 0;
+      let bestTerm = null;
+      for (const option of word.options) {
+        const tf = frequencies.get(option.term);
+        if (!tf) continue;
+        const value = option.weight * this.idf(option.df, stats.total) * (tf * (K1 + 1)) / (tf + norm);
+        if (value > best) {
+          best = value;
+          bestTerm = option.term;
+        }
+      }
+      if (bestTerm) {
+        matchedWords++;
+        matchedTerms.push(bestTerm);
+        score += best;
+      }
+    }
+
+    if (!matchedWords) return null;
+
+    // Most of the query should be present; all of it ranks highest
+    const coverage = matchedWords / expanded.length;
+    score *= coverage * coverage;
+
+    // Exact name / title hits (e.g. a username) go first
+    const query = expanded.map(w => w.surface).join(' ');
+    if (normalize(doc.title) === query || normalize(doc.title).split(' ').includes(query)) score *= 1.5;
+
+    score *= 1 + 0.05 * Math.log10(1 + Math.max(0, doc.popularity || 0));
+
+    return { score, coverage, matchedTerms };
+  }
+
+  /**
+   * Documents containing a query term, best first, at most
+   * candidateLimit of them. For relevance the cap is applied after a
+   * cheap score (tf x term weight x idf, without length normalisation)
+   * so documents that merely share a common word can't crowd out the
+   * strongest matches; 'recent' and 'popular' keep the newest / most
+   * popular matches instead.
+   */
+  async findCandidates(expanded, stats, filters, sort) {
+    const weights = new Map();
+    for (const word of expanded) {
+      for (const option of word.options) {
+        const weight = option.weight * this.idf(option.df, stats.total);
+        if (weight > (weights.get(option.term) || 0)) weights.set(option.term, weight);
+      }
+    }
+    const terms = [...weights.keys()];
+    const termWeight = {
+      $let: {
+        vars: { at: { $indexOfArray: [{ $literal: terms }, '$$this.t'] } },
+        in: {
+          $cond: [
+            { $gte: ['$$at', 0] },
+            { $multiply: ['$$this.tf', { $arrayElemAt: [{ $literal: [...weights.values()] }, '$$at'] }] },
+            0
+          ]
+        }
+      }
+    };
+    const orders = {
+      relevance: { prescore: -1, popularity: -1, _id: 1 },
+      recent: { date: -1, _id: -1 },
+      popular: { popularity: -1, prescore: -1, _id: 1 }
+    };
+
+    return this.getModel().aggregate([
+      { $match: { 'terms.t': { $in: terms }, ...this.buildMatch(filters) } },
+      { $addFields: { prescore: { $reduce: { input: '$terms', initialValue: 0, in: { $add: ['$$value', termWeight] } } } } },
+      { $sort: orders[sort] || orders.relevance },
+      { $limit: this.candidateLimit },
+      { $project: { type: 1, ref: 1, terms: 1, length: 1, title: 1, body: 1, author: 1, group: 1, church: 1, date: 1, popularity: 1 } }
+    ]);
+  }
+
+  buildMatch({ author, group, church, date, since, excludeAuthor, hiddenAuthors = [] }) {
+    const match = {};
+    const excluded = [...hiddenAuthors, ...(!author && excludeAuthor ? [excludeAuthor] : [])]
+      .map(id => new mongoose.Types.ObjectId(String(id)));
+    if (author) match.author = new mongoose.Types.ObjectId(author);
+    if (excluded.length) match.author = author ? { $eq: match.author, $nin: excluded } : { $nin: excluded };
+    if (group) match.group = new mongoose.Types.ObjectId(group);
+    if (church) match.church = new mongoose.Types.ObjectId(church);
+    if (date && DATE_BUCKETS[date]) match.date = { $gte: new Date(Date.now() - DATE_BUCKETS[date]) };
+    // Only items that became searchable after `since`
+    if (since) match.firstIndexedAt = { $gt: new Date(since) };
+    return match;
+  }
+
+  countFacets(hits) {
+    const tally = (key) => {
+      const counts = new Map();
+      hits.forEach(hit => {
+        const id = idOf(hit.doc[key]);
+        if (id) counts.set(id, (counts.get(id) || 0) + 1);
+      });
+      return [...counts].sort((a, b) => b[1] - a[1]).slice(0, 10).map(([id, count]) => ({ id, count }));
+    };
+
+    const now = Date.now();
+    return {
+      date: Object.entries(DATE_BUCKETS).map(([bucket, span]) => ({
+        value: bucket,
+        count: hits.filter(hit => hit.doc.date && now - new Date(hit.doc.date) <= span).length
+      })),
+      author: tally('author'),
+      group: tally('group'),
+      church: tally('church')
+    };
+  }
+
+  async labelFacets(facets) {
+    const label = async (entries, type, fields, toLabel) => {
+      const Model = this.sourceModel(type);
+      if (!entries.length || !Model) return entries;
+      const docs = await Model.find({ _id: { $in: entries.map(e => e.id) } }).select(fields).lean();
+      const byId = new Map(docs.map(d => [idOf(d._id), d]));
+      return entries.map(e => ({ ...e, label: byId.has(e.id) ? toLabel(byId.get(e.id)) : null }));
+    };
+
+    const [author, group, church] = await Promise.all([
+      label(facets.author, 'user', 'name username', u => u.name || u.username),
+      label(facets.group, 'group', 'name', g => g.name),
+      label(facets.church, 'church', 'name', c => c.name)
+    ]);
+    return { ...facets, author, group, church };
+  }
+
+  /**
+   * Load the source documents behind a page of hits; index entries
+   * whose source is gone are dropped and cleaned up
+   */
+  async hydrate(hits, words) {
+    const byType = {};
+    hits.forEach(hit => (byType[hit.doc.type] = byType[hit.doc.type] || []).push(hit.doc.ref));
+
+    const loaded = new Map();
+    await Promise.all(Object.entries(byType).map(async ([type, ids]) => {
+      const Model = this.sourceModel(type);
+      if (!Model) return;
+      const source = SEARCH_SOURCES[type];
+      let query = Model.find({ _id: { $in: ids } }).select(source.select || '');
+      if (source.populate) query = query.populate(...source.populate);
+      const docs = await query.lean();
+      docs.forEach(doc => loaded.set(`${type}:${idOf(doc._id)}`, doc));
+    }));
+
+    const termSet = new Set(hits.flatMap(hit => hit.matchedTerms));
+    const prefixes = words.map(w => w.surface).filter(s => s.length >= 2);
+    const matches = (word) => {
+      const [{ term } = {}] = tokenize(word, { keepStopwords: true });
+      return !!term && (termSet.has(term) || prefixes.some(p => word.startsWith(p)));
+    };
+
+    const results = [];
+    for (const hit of hits) {
+      const item = loaded.get(`${hit.doc.type}:${idOf(hit.doc.ref)}`);
+      if (!item) {
+        this.defer('cleanup', () => this.removeDocument(hit.doc.type, hit.doc.ref));
+        continue;
+      }
+      results.push({
+        type: hit.doc.type,
+        id: hit.doc.ref,
+        score: Math.round(hit.score * 1000) / 1000,
+        highlight: {
+          title: highlight(hit.doc.title, matches),
+          snippet: highlight(hit.doc.body, matches, { length: 180 })
+        },
+        item
+      });
+    }
+    return results;
+  }
+
+  /**
+   * @param {Object} options
+   *   q, types (index types), page, limit,
+   *   sort 'relevance' | 'recent' | 'popular',
+   *   filters { author, group, church, date: day|week|month|year,
+   *             since: only items first indexed after this date,
+   *             excludeAuthor: leave out this user's own content,
+   *             hiddenAuthors: people (and their content) the viewer
+   *             mustn't see - blocked either way }
+   */
+  async search({ q, types = Object.keys(SEARCH_SOURCES), page = 1, limit = 20, sort = 'relevance', filters = {} }) {
+    const words = tokenize(q);
+    const empty = { total: 0, hits: [], facets: null, didYouMean: null };
+    if (!words.length) return empty;
+
+    const [expanded, stats] = await Promise.all([this.expandQuery(words), this.getStats()]);
+    const terms = [...new Set(expanded.flatMap(w => w.options.map(o => o.term)))];
+    if (!terms.length) return empty;
+
+    // Type is left out of the query so the type facet counts every tab
+    const candidates = await this.findCandidates(expanded, stats, filters, sort);
+
+    const scored = [];
+    for (const doc of candidates) {
+      const result = this.scoreDocument(doc, expanded, stats);
+      if (result) scored.push({ doc, ...result });
+    }
+
+    const typeCounts = {};
+    scored.forEach(hit => { typeCounts[hit.doc.type] = (typeCounts[hit.doc.type] || 0) + 1; });
+
+    const hits = scored.filter(hit => types.includes(hit.doc.type));
+    const sorters = {
+      relevance: (a, b) => b.score - a.score,
+      recent: (a, b) => new Date(b.doc.date || 0) - new Date(a.doc.date || 0),
+      popular: (a, b) => (b.doc.popularity || 0) - (a.doc.popularity || 0) || b.score - a.score
+    };
+    hits.sort(sorters[sort] || sorters.relevance);
+
+    const start = (page - 1) * limit;
+    const [results, facets] = await Promise.all([
+      this.hydrate(hits.slice(start, start + limit), words),
+      this.labelFacets(this.countFacets(hits))
+    ]);
+
+    // Offer the corrected query when a word only matched through a typo
+    const corrected = expanded.map(word => {
+      if (word.options.some(o => o.kind === 'exact')) return word.surface;
+      const typo = word.options.filter(o => o.kind === 'typo').sort((a, b) => b.weight - a.weight || b.df - a.df)[0];
+      return typo ? typo.display : word.surface;
+    }).join(' ');
+
+    return {
+      total: hits.length,
+      // The candidate cap was hit, so totals and facets are lower bounds
+      approximate: candidates.length >= this.candidateLimit,
+      hits: results,
+      facets: {
+        type: Object.keys(SEARCH_SOURCES).map(type => ({ value: type, count: typeCounts[type] || 0 })),
+        ...facets
+      },
+      didYouMean: corrected !== words.map(w => w.surface).join(' ') ? corrected : null
+    };
+  }
+
+  /**
+   * Autocomplete: people, hashtags and query completions for a
+   * partly typed word, tolerant of small typos
+   */
+  async suggest(q, { limit = 5, hiddenAuthors = [] } = {}) {
+    const words = tokenize(q, { keepStopwords: true });
+    if (!words.length) return [];
+
+    const expanded = await this.expandQuery(words.slice(-1));
+    const options = expanded[0].options.sort((a, b) => b.weight - a.weight || b.df - a.df);
+    if (!options.length) return [];
+
+    const terms = options.map(o => o.term);
+    const docs = await this.getModel()
+      .find({ type: { $in: ['user', 'hashtag'] }, 'terms.t': { $in: terms }, ...this.buildMatch({ hiddenAuthors }) })
+      .sort({ popularity: -1 })
+      .limit(limit * 4)
+      .select('type ref title popularity')
+      .lean();
+
+    const suggestions = [];
+    const users = docs.filter(d => d.type === 'user').slice(0, limit);
+    const User = this.sourceModel('user');
+    if (users.length && User) {
+      const profiles = await User.find({ _id: { $in: users.map(u => u.ref) } }).select(AUTHOR_FIELDS).lean();
+      const byId = new Map(profiles.map(p => [idOf(p._id), p]));
+      users.forEach(u => {
+        const profile = byId.get(idOf(u.ref));
+        if (!profile) return;
+        suggestions.push({
+          type: 'user',
+          text: `@${profile.username}`,
+          name: profile.name,
+          avatar: profile.avatar || profile.profilePicture,
+          userId: profile._id
+        });
+      });
+    }
+
+    docs.filter(d => d.type === 'hashtag').slice(0, limit).forEach(h => {
+      suggestions.push({ type: 'hashtag', text: `#${h.title}`, count: h.popularity });
+    });
+
+    // Completed / corrected wording for the whole query
+    const head = words.slice(0, -1).map(w => w.surface).join(' ');
+    options.slice(0, limit).forEach(option => {
+      suggestions.push({
+        type: 'query',
+        text: `${head ? `${head} ` : ''}${option.display}`,
+        ...(option.kind === 'typo' ? { corrected: true } : {})
+      });
+    });
+
+    return suggestions;
+  }
+}
+
+module.exports = new SearchService();
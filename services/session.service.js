@@ -0,0 +1,344 @@
+// ============================================
+// FILE: services/session.service.js
+// Session & Refresh Token Service
+// VERSION: 1.0
+// Short-lived access tokens, rotating refresh tokens with
+// reuse detection, per-device revocation. Revoking a session also
+// drops its open sockets (socket/auth.socket.js puts each socket in
+// a `session:<id>` room).
+// ============================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || 'cybev-secret-key';
+    this.accessTokenExpires = process.env.ACCESS_TOKEN_EXPIRES || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+    this.maxPreviousHashes = 20;
+    this.exchangeCodeSeconds = 60;
+  }
+
+  getSessionModel() {
+    return mongoose.models.Session || require('../models/session.model');
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/user.model');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>" so the session can be found
+  // even when an old (rotated) secret is replayed
+  buildRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId };
+  }
+
+  getRequestMeta(req) {
+    if (!req) return {};
+    return {
+      // Honours app 'trust proxy' (config/rate-limits.js)
+      ip: req.ip || req.socket?.remoteAddress || '',
+      userAgent: req.headers['user-agent'] || '',
+      deviceName: req.body?.deviceName || req.headers['x-device-name'] || ''
+    };
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user._id,
+        email: user.email,
+        role: user.role || 'user',
+        sid: sessionId
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenExpires }
+    );
+  }
+
+  sessionError(message) {
+    const error = new Error(message);
+    error.name = 'SessionRevokedError';
+    return error;
+  }
+
+  // ==========================================
+  // ISSUE / ROTATE
+  // ==========================================
+
+  /**
+   * Start a new session for a signed-in user
+   * Returns the token pair the client should store
+   */
+  async createSession(user, req, { authMethod = 'password' } = {}) {
+    const Session = this.getSessionModel();
+    const meta = this.getRequestMeta(req);
+
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: 'pending',
+      deviceName: meta.deviceName,
+      userAgent: meta.userAgent,
+      ip: meta.ip,
+      authMethod,
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    const refreshToken = this.buildRefreshToken(session._id);
+    session.refreshTokenHash = this.hashToken(refreshToken);
+    await session.save();
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: this.accessTokenExpires,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair.
+   * A replayed (already rotated) token revokes the whole session.
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    const Session = this.getSessionModel();
+    const User = this.getUserModel();
+
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) throw this.sessionError('Invalid refresh token');
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      throw this.sessionError('Session expired. Please sign in again.');
+    }
+
+    const hash = this.hashToken(refreshToken);
+
+    if (hash !== session.refreshTokenHash) {
+      await this.revokeOnReuse(session._id, hash);
+      throw this.sessionError('Session expired. Please sign in again.');
+    }
+
+    const user = await User.findById(session.user).select('email role isBanned');
+    if (!user || user.isBanned) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'admin';
+      await session.save();
+      throw this.sessionError('Account unavailable');
+    }
+
+    const nextRefreshToken = this.buildRefreshToken(session._id);
+    const meta = this.getRequestMeta(req);
+    const now = new Date();
+
+    // Swap only if the token is still the current one - of two concurrent
+    // refreshes with the same token, one wins and the other is a replay
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(nextRefreshToken),
+          lastRotatedAt: now,
+          lastUsedAt: now,
+          ...(meta.ip ? { ip: meta.ip } : {}),
+          ...(meta.userAgent ? { userAgent: meta.userAgent } : {})
+        },
+        $push: { previousTokenHashes: { $each: [hash], $slice: -this.maxPreviousHashes } },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      await this.revokeOnReuse(session._id, hash);
+      throw this.sessionError('Session expired. Please sign in again.');
+    }
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: this.accessTokenExpires,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * One-time code for a session started by a redirect (OAuth callback),
+   * so no token has to travel in a URL
+   */
+  async createExchangeCode(sessionId) {
+    const code = crypto.randomBytes(32).toString('hex');
+    await this.getSessionModel().updateOne(
+      { _id: sessionId },
+      {
+        $set: {
+          exchangeCodeHash: this.hashToken(code),
+          exchangeCodeExpiresAt: new Date(Date.now() + this.exchangeCodeSeconds * 1000)
+        }
+      }
+    );
+    return code;
+  }
+
+  /**
+   * Swap an exchange code for the session's token pair. The code works
+   * once; the refresh token issued with the session is replaced.
+   */
+  async redeemExchangeCode(code, req) {
+    const Session = this.getSessionModel();
+    const hash = this.hashToken(code);
+    const now = new Date();
+
+    const session = await Session.findOne({
+      exchangeCodeHash: hash,
+      exchangeCodeExpiresAt: { $gt: now },
+      revokedAt: null
+    }).select('_id user');
+    if (!session) throw this.sessionError('This sign-in link has expired. Please sign in again.');
+
+    const refreshToken = this.buildRefreshToken(session._id);
+    const meta = this.getRequestMeta(req);
+    // Clearing the code is the claim - of two concurrent exchanges one wins
+    const claimed = await Session.updateOne(
+      { _id: session._id, exchangeCodeHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(refreshToken),
+          exchangeCodeHash: null,
+          exchangeCodeExpiresAt: null,
+          lastUsedAt: now,
+          ...(meta.userAgent ? { userAgent: meta.userAgent } : {})
+        }
+      }
+    );
+    if (!claimed.modifiedCount) throw this.sessionError('This sign-in link has expired. Please sign in again.');
+
+    const user = await this.getUserModel().findById(session.user).select('email role');
+    if (!user) throw this.sessionError('Account unavailable');
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: this.accessTokenExpires,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * A rotated-out refresh token was presented again - revoke the session
+   */
+  async revokeOnReuse(sessionId, hash) {
+    const result = await this.getSessionModel().updateOne(
+      { _id: sessionId, previousTokenHashes: hash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+    if (result.modifiedCount) {
+      console.log(`🚨 Refresh token reuse detected - session ${sessionId} revoked`);
+    }
+  }
+
+  // ==========================================
+  // VERIFY
+  // ==========================================
+
+  /**
+   * Verify an access token and make sure its session is still live.
+   * Throws jwt errors (TokenExpiredError, JsonWebTokenError) or SessionRevokedError.
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, this.jwtSecret);
+
+    // Without a database we can't check revocation - fall back to the signature
+    if (mongoose.connection.readyState !== 1) return decoded;
+
+    if (decoded.sid) {
+      const session = await this.getSessionModel()
+        .findById(decoded.sid)
+        .select('revokedAt expiresAt')
+        .lean();
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw this.sessionError('Session has been signed out');
+      }
+      return decoded;
+    }
+
+    // Legacy tokens (issued before sessions) die with "log out all devices"
+    const userId = decoded.id || decoded.userId || decoded._id;
+    if (userId) {
+      const user = await this.getUserModel().findById(userId).select('sessionsRevokedAt').lean();
+      if (user?.sessionsRevokedAt && decoded.iat * 1000 < new Date(user.sessionsRevokedAt).getTime()) {
+        throw this.sessionError('Session has been signed out');
+      }
+    }
+
+    return decoded;
+  }
+
+  // ==========================================
+  // LIST / REVOKE
+  // ==========================================
+
+  async listSessions(userId, currentSessionId) {
+    const sessions = await this.getSessionModel().find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName userAgent ip authMethod lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(s => ({
+      ...s,
+      current: !!currentSessionId && String(s._id) === String(currentSessionId)
+    }));
+  }
+
+  async revokeSession(userId, sessionId, reason = 'logout') {
+    const result = await this.getSessionModel().updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    if (result.modifiedCount) this.disconnectSockets(`session:${sessionId}`);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Sign out every device. Also invalidates legacy tokens without a session id.
+   */
+  async revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await this.getSessionModel().updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    await this.getUserModel().updateOne({ _id: userId }, { sessionsRevokedAt: new Date() });
+
+    // Every socket of the user's but the kept session's - legacy tokens included
+    this.disconnectSockets(`user:${userId}`, exceptSessionId ? `session:${exceptSessionId}` : null);
+
+    return result.modifiedCount;
+  }
+
+  disconnectSockets(room, exceptRoom = null) {
+    if (!global.io) return;
+    const target = exceptRoom ? global.io.in(room).except(exceptRoom) : global.io.in(room);
+    target.disconnectSockets(true);
+  }
+}
+
+module.exports = new SessionService();
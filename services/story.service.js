@@ -0,0 +1,514 @@
+// ============================================
+// FILE: services/story.service.js
+// Story Service
+// VERSION: 1.0
+// 24-hour image / video / text stories.
+// - Media is uploaded first through POST /api/upload/story
+// - Audiences: public, followers, close friends (User.closeFriends)
+// - Viewer lists per story (models/story-view.model.js)
+// - Replies are delivered as direct messages with a story preview
+// - Nobody sees or replies to stories across a block (either direction)
+// - Highlights pin stories to the profile past their 24 hours
+// ============================================
+
+const mongoose = require('mongoose');
+const blockService = require('./block.service');
+
+const AUTHOR_FIELDS = 'name username avatar profilePicture isVerified';
+const MAX_ACTIVE_STORIES = 100;
+const MAX_CLOSE_FRIENDS = 1000;
+const MAX_HIGHLIGHTS = 100;
+const MAX_HIGHLIGHT_STORIES = 100;
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class StoryService {
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  getStoryModel() {
+    return this.model('Story', '../models/story.model');
+  }
+
+  getViewModel() {
+    return this.model('StoryView', '../models/story-view.model');
+  }
+
+  getHighlightModel() {
+    return this.model('StoryHighlight', '../models/story-highlight.model');
+  }
+
+  storyError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'StoryError';
+    error.status = status;
+    return error;
+  }
+
+  // ==========================================
+  // AUDIENCE
+  // ==========================================
+
+  /**
+   * Which of `authorIds` the viewer follows, which have the viewer
+   * on their close friends list, and which are blocked either way
+   */
+  async getAudienceContext(viewerId, authorIds) {
+    const context = { viewerId: idOf(viewerId), follows: new Set(), closeFriendOf: new Set(), blocked: new Set() };
+    if (!viewerId || !authorIds.length) return context;
+
+    const Follow = this.model('Follow', '../models/follow.model');
+    const User = this.model('User', '../models/user.model');
+
+    const [follows, lists, blocked] = await Promise.all([
+      Follow.find({ follower: viewerId, following: { $in: authorIds }, status: 'active' }).select('following').lean(),
+      User.find({ _id: { $in: authorIds }, closeFriends: viewerId }).select('_id').lean(),
+      blockService.getBlockedBetween(viewerId, authorIds.filter(id => idOf(id) !== idOf(viewerId)))
+    ]);
+
+    follows.forEach(f => context.follows.add(idOf(f.following)));
+    lists.forEach(u => context.closeFriendOf.add(idOf(u._id)));
+    context.blocked = blocked;
+    return context;
+  }
+
+  canView(story, context) {
+    const authorId = idOf(story.author);
+    if (context.viewerId && context.viewerId === authorId) return true;
+    if (context.blocked.has(authorId)) return false;
+    if (story.audience === 'public') return true;
+    if (story.audience === 'followers') return context.follows.has(authorId);
+    return context.closeFriendOf.has(authorId);
+  }
+
+  /**
+   * Load a story the viewer may see; expired stories only through a highlight
+   */
+  async getVisibleStory(viewerId, storyId, { allowExpired = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(storyId)) throw this.storyError('Story not found', 404);
+
+    const story = await this.getStoryModel().findById(storyId).lean();
+    const expired = story && story.expiresAt <= new Date();
+    if (!story || (expired && !(allowExpired && story.highlights?.length))) {
+      throw this.storyError('Story not found', 404);
+    }
+
+    const context = await this.getAudienceContext(viewerId, [story.author]);
+    if (!this.canView(story, context)) throw this.storyError('Story not found', 404);
+    return story;
+  }
+
+  // ==========================================
+  // CREATE / DELETE
+  // ==========================================
+
+  async create(userId, { mediaType, media = {}, text = '', style, audience = 'followers', allowReplies = true }) {
+    const Story = this.getStoryModel();
+
+    if (mediaType === 'text') {
+      if (!text.trim()) throw this.storyError('Text stories need some text');
+    } else {
+      // Must be media this user uploaded through POST /api/upload/story
+      if (!media.url || !media.publicId?.startsWith(`cybev/stories/story-${userId}-`)) {
+        throw this.storyError('Upload the story media with POST /api/upload/story first');
+      }
+    }
+
+    const active = await Story.countDocuments({ author: userId, expiresAt: { $gt: new Date() } });
+    if (active >= MAX_ACTIVE_STORIES) throw this.storyError('Too many active stories', 429);
+
+    const story = await Story.create({
+      author: userId,
+      mediaType,
+      media: mediaType === 'text' ? undefined : media,
+      text,
+      style,
+      audience,
+      allowReplies
+    });
+
+    return story.populate('author', AUTHOR_FIELDS);
+  }
+
+  async remove(userId, storyId) {
+    const story = await this.getStoryModel().findOneAndDelete({ _id: storyId, author: userId }).lean();
+    if (!story) throw this.storyError('Story not found', 404);
+
+    await Promise.all([
+      this.getViewModel().deleteMany({ story: story._id }),
+      this.getHighlightModel().updateMany({ _id: { $in: story.highlights || [] } }, { $pull: { stories: story._id } })
+    ]);
+    return true;
+  }
+
+  // ==========================================
+  // READING
+  // ==========================================
+
+  /**
+   * Story tray: one entry per author with active stories the viewer
+   * may see - own stories first, then authors with unseen stories,
+   * newest first. Signed out, only public stories.
+   */
+  async getTray(viewerId, { limit = 50 } = {}) {
+    const Story = this.getStoryModel();
+    const now = new Date();
+
+    let authorIds = null;
+    if (viewerId) {
+      const Follow = this.model('Follow', '../models/follow.model');
+      const follows = await Follow.find({ follower: viewerId, status: 'active' }).select('following').lean();
+      authorIds = [viewerId, ...follows.map(f => f.following)];
+    }
+
+    const stories = await Story.find({
+      expiresAt: { $gt: now },
+      ...(authorIds ? { author: { $in: authorIds } } : { audience: 'public' })
+    })
+      .sort({ createdAt: 1 })
+      .select('author mediaType media.thumbnailUrl media.url text style audience createdAt expiresAt')
+      .lean();
+
+    const context = await this.getAudienceContext(viewerId, [...new Set(stories.map(s => idOf(s.author)))]);
+    const visible = stories.filter(story => this.canView(story, context));
+
+    const seen = viewerId
+      ? new Set((await this.getViewModel()
+        .find({ viewer: viewerId, story: { $in: visible.map(s => s._id) } })
+        .select('story')
+        .lean()).map(v => idOf(v.story)))
+      : new Set();
+
+    const byAuthor = new Map();
+    for (const story of visible) {
+      const key = idOf(story.author);
+      if (!byAuthor.has(key)) byAuthor.set(key, { authorId: key, stories: [], latestAt: null, unseen: 0 });
+      const entry = byAuthor.get(key);
+      entry.stories.push({ ...story, viewed: seen.has(idOf(story._id)) });
+      entry.latestAt = story.createdAt;
+      if (!seen.has(idOf(story._id))) entry.unseen++;
+    }
+
+    const viewerKey = idOf(viewerId);
+    const tray = [...byAuthor.values()]
+      .sort((a, b) => (b.authorId === viewerKey) - (a.authorId === viewerKey) ||
+        (b.unseen > 0) - (a.unseen > 0) ||
+        new Date(b.latestAt) - new Date(a.latestAt))
+      .slice(0, limit);
+
+    const User = this.model('User', '../models/user.model');
+    const authors = await User.find({ _id: { $in: tray.map(t => t.authorId) } }).select(AUTHOR_FIELDS).lean();
+    const authorMap = new Map(authors.map(a => [idOf(a._id), a]));
+
+    return tray
+      .filter(entry => authorMap.has(entry.authorId))
+      .map(entry => ({
+        author: authorMap.get(entry.authorId),
+        isOwn: entry.authorId === viewerKey,
+        storyCount: entry.stories.length,
+        unseenCount: entry.unseen,
+        hasUnseen: entry.unseen > 0,
+        latestAt: entry.latestAt,
+        stories: entry.stories
+      }));
+  }
+
+  /**
+   * A user's active stories the viewer may see, oldest first
+   */
+  async getUserStories(viewerId, authorId) {
+    const stories = await this.getStoryModel()
+      .find({ author: authorId, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .lean();
+
+    const context = await this.getAudienceContext(viewerId, [authorId]);
+    const visible = stories.filter(story => this.canView(story, context));
+    return this.withViewerState(viewerId, visible);
+  }
+
+  async withViewerState(viewerId, stories) {
+    if (!viewerId || !stories.length) return stories.map(story => ({ ...story, viewed: false }));
+
+    const views = await this.getViewModel()
+      .find({ viewer: viewerId, story: { $in: stories.map(s => s._id) } })
+      .select('story reaction')
+      .lean();
+    const byStory = new Map(views.map(v => [idOf(v.story), v]));
+
+    const viewerKey = idOf(viewerId);
+    return stories.map(story => {
+      const own = idOf(story.author) === viewerKey;
+      const view = byStory.get(idOf(story._id));
+      return {
+        ...story,
+        viewed: own || !!view,
+        reaction: view?.reaction || null,
+        // Counts are for the author only
+        ...(own ? {} : { viewCount: undefined, replyCount: undefined })
+      };
+    });
+  }
+
+  // ==========================================
+  // VIEWS
+  // ==========================================
+
+  /**
+   * Record that the viewer saw a story (once per viewer), with an
+   * optional emoji reaction
+   */
+  async markViewed(viewerId, storyId, { reaction } = {}) {
+    const story = await this.getVisibleStory(viewerId, storyId, { allowExpired: true });
+    if (idOf(story.author) === idOf(viewerId)) return { counted: false };
+
+    const update = { $setOnInsert: { author: story.author, viewedAt: new Date() } };
+    if (reaction !== undefined) update.$set = { reaction: reaction || null };
+
+    const result = await this.getViewModel().updateOne({ story: story._id, viewer: viewerId }, update, { upsert: true });
+    const counted = result.upsertedCount > 0;
+    if (counted) await this.getStoryModel().updateOne({ _id: story._id }, { $inc: { viewCount: 1 } });
+
+    if (reaction && global.io) {
+      global.io.to(`user:${story.author}`).emit('story:reaction', { storyId: story._id, userId: viewerId, reaction });
+    }
+
+    return { counted };
+  }
+
+  /**
+   * Viewer list - author only
+   */
+  async getViewers(userId, storyId, { page = 1, limit = 50 } = {}) {
+    const story = await this.getStoryModel().findOne({ _id: storyId, author: userId }).select('viewCount').lean();
+    if (!story) throw this.storyError('Story not found', 404);
+
+    const StoryView = this.getViewModel();
+    const [views, listed] = await Promise.all([
+      StoryView.find({ story: storyId })
+        .sort({ viewedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('viewer', AUTHOR_FIELDS)
+        .lean(),
+      StoryView.countDocuments({ story: storyId })
+    ]);
+
+    return {
+      viewCount: story.viewCount,
+      viewers: views.filter(v => v.viewer).map(v => ({ user: v.viewer, viewedAt: v.viewedAt, reaction: v.reaction })),
+      total: listed
+    };
+  }
+
+  // ==========================================
+  // REPLIES
+  // ==========================================
+
+  /**
+   * Deliver a story reply as a direct message to the author
+   */
+  async reply(viewerId, storyId, text) {
+    const story = await this.getVisibleStory(viewerId, storyId);
+    const authorId = idOf(story.author);
+
+    if (authorId === idOf(viewerId)) throw this.storyError('You cannot reply to your own story');
+    await blockService.assertNotBlocked(viewerId, authorId, "You can't reply to this story");
+    if (!story.allowReplies) throw this.storyError('Replies are turned off for this story', 403);
+
+    const Conversation = this.model('Conversation', '../models/conversation.model');
+    const Message = this.model('Message', '../models/message.model');
+
+    let conversation = await Conversation.findOne({
+      type: 'direct',
+      participants: { $all: [viewerId, authorId], $size: 2 }
+    });
+    if (!conversation) {
+      conversation = await Conversation.create({
+        participants: [viewerId, authorId],
+        type: 'direct',
+        createdBy: viewerId
+      });
+    }
+    // A plaintext reply can't go into an end-to-end encrypted chat
+    if (conversation.encryption?.enabled) {
+      throw this.storyError('Your chat with this person is end-to-end encrypted - reply from the chat instead', 409);
+    }
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: viewerId,
+      text,
+      readBy: [viewerId],
+      storyReply: {
+        story: story._id,
+        owner: story.author,
+        mediaType: story.mediaType,
+        previewUrl: story.media?.thumbnailUrl || story.media?.url || null,
+        text: story.text ? story.text.slice(0, 100) : '',
+        expiresAt: story.expiresAt
+      }
+    });
+
+    await Promise.all([
+      Conversation.updateOne(
+        { _id: conversation._id },
+        { lastMessage: message._id, lastMessageAt: message.createdAt, isActive: true }
+      ),
+      this.getStoryModel().updateOne({ _id: story._id }, { $inc: { replyCount: 1 } })
+    ]);
+
+    const populated = await Message.findById(message._id).populate('sender', 'name username avatar').lean();
+    // Unread count, sync log and the `newMessage` push to the author
+    await require('./message-sync.service').messageSent(conversation, populated);
+
+    return { conversationId: conversation._id, message: populated };
+  }
+
+  // ==========================================
+  // CLOSE FRIENDS
+  // ==========================================
+
+  async getCloseFriends(userId) {
+    const User = this.model('User', '../models/user.model');
+    const user = await User.findById(userId).select('closeFriends').populate('closeFriends', AUTHOR_FIELDS).lean();
+    return (user?.closeFriends || []).filter(Boolean);
+  }
+
+  async addCloseFriend(userId, friendId) {
+    if (idOf(userId) === idOf(friendId)) throw this.storyError('You cannot add yourself');
+
+    const User = this.model('User', '../models/user.model');
+    const friend = await User.findById(friendId).select('_id').lean();
+    if (!friend) throw this.storyError('User not found', 404);
+
+    const result = await User.updateOne(
+      { _id: userId, [`closeFriends.${MAX_CLOSE_FRIENDS - 1}`]: { $exists: false } },
+      { $addToSet: { closeFriends: friend._id } }
+    );
+    if (!result.matchedCount) throw this.storyError(`Close friends is limited to ${MAX_CLOSE_FRIENDS} people`, 409);
+    return true;
+  }
+
+  async removeCloseFriend(userId, friendId) {
+    const User = this.model('User', '../models/user.model');
+    await User.updateOne({ _id: userId }, { $pull: { closeFriends: friendId } });
+    return true;
+  }
+
+  // ==========================================
+  // HIGHLIGHTS
+  // ==========================================
+
+  /**
+   * Pin / unpin stories. Pinned stories lose their purge date; a story
+   * left in no highlight gets it back (and goes if already expired).
+   */
+  async pinStories(highlightId, storyIds) {
+    if (!storyIds.length) return;
+    await this.getStoryModel().updateMany(
+      { _id: { $in: storyIds } },
+      { $addToSet: { highlights: highlightId }, $unset: { purgeAt: 1 } }
+    );
+  }
+
+  async unpinStories(highlightId, storyIds) {
+    if (!storyIds.length) return;
+    const Story = this.getStoryModel();
+    await Story.updateMany({ _id: { $in: storyIds } }, { $pull: { highlights: highlightId } });
+    await Story.updateMany(
+      { _id: { $in: storyIds }, highlights: { $size: 0 } },
+      [{ $set: { purgeAt: '$expiresAt' } }]
+    );
+  }
+
+  /**
+   * The user's own stories (active or already pinned) among `storyIds`
+   */
+  async ownStoryIds(userId, storyIds) {
+    if (!storyIds?.length) return [];
+    const stories = await this.getStoryModel()
+      .find({ _id: { $in: storyIds }, author: userId })
+      .select('_id')
+      .lean();
+    return stories.map(s => s._id);
+  }
+
+  async getHighlights(viewerId, userId) {
+    const highlights = await this.getHighlightModel()
+      .find({ user: userId })
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    const storyIds = highlights.flatMap(h => h.stories);
+    const stories = await this.getStoryModel().find({ _id: { $in: storyIds } }).lean();
+    const context = await this.getAudienceContext(viewerId, [userId]);
+    const visible = new Map(
+      (await this.withViewerState(viewerId, stories.filter(story => this.canView(story, context))))
+        .map(story => [idOf(story._id), story])
+    );
+
+    return highlights
+      .map(highlight => {
+        const items = highlight.stories.map(id => visible.get(idOf(id))).filter(Boolean);
+        return {
+          ...highlight,
+          coverUrl: highlight.coverUrl || items[0]?.media?.thumbnailUrl || items[0]?.media?.url || null,
+          stories: items
+        };
+      })
+      // Highlights with nothing this viewer may see are left out
+      .filter(highlight => highlight.stories.length || idOf(viewerId) === idOf(userId));
+  }
+
+  async createHighlight(userId, { title, coverUrl, storyIds = [] }) {
+    const StoryHighlight = this.getHighlightModel();
+
+    const count = await StoryHighlight.countDocuments({ user: userId });
+    if (count >= MAX_HIGHLIGHTS) throw this.storyError(`You can have up to ${MAX_HIGHLIGHTS} highlights`, 409);
+
+    const stories = (await this.ownStoryIds(userId, storyIds)).slice(0, MAX_HIGHLIGHT_STORIES);
+    if (!stories.length) throw this.storyError('Add at least one of your stories');
+
+    const highlight = await StoryHighlight.create({ user: userId, title, coverUrl, stories, order: count });
+    await this.pinStories(highlight._id, stories);
+    return highlight;
+  }
+
+  async updateHighlight(userId, highlightId, { title, coverUrl, order, addStories = [], removeStories = [] }) {
+    const highlight = await this.getHighlightModel().findOne({ _id: highlightId, user: userId });
+    if (!highlight) throw this.storyError('Highlight not found', 404);
+
+    if (title !== undefined) highlight.title = title;
+    if (coverUrl !== undefined) highlight.coverUrl = coverUrl || null;
+    if (order !== undefined) highlight.order = order;
+
+    const current = new Set(highlight.stories.map(idOf));
+    const added = (await this.ownStoryIds(userId, addStories)).filter(id => !current.has(idOf(id)));
+    const removing = new Set(removeStories.map(idOf));
+    const removed = highlight.stories.filter(id => removing.has(idOf(id)));
+
+    const stories = [...highlight.stories.filter(id => !removing.has(idOf(id))), ...added];
+    if (stories.length > MAX_HIGHLIGHT_STORIES) {
+      throw this.storyError(`A highlight holds up to ${MAX_HIGHLIGHT_STORIES} stories`, 409);
+    }
+    if (!stories.length) throw this.storyError('A highlight needs at least one story; delete it instead');
+
+    highlight.stories = stories;
+    await highlight.save();
+    await this.pinStories(highlight._id, added);
+    await this.unpinStories(highlight._id, removed);
+    return highlight;
+  }
+
+  async deleteHighlight(userId, highlightId) {
+    const highlight = await this.getHighlightModel().findOneAndDelete({ _id: highlightId, user: userId }).lean();
+    if (!highlight) throw this.storyError('Highlight not found', 404);
+    await this.unpinStories(highlight._id, highlight.stories);
+    return true;
+  }
+}
+
+module.exports = new StoryService();
@@ -0,0 +1,465 @@
+// ============================================
+// FILE: services/timeline.service.js
+// Timeline Service
+// VERSION: 1.0
+// "Following" timelines, precomputed on write:
+// - a published post / blog is copied into each follower's timeline
+//   (models/timeline-entry.model.js)
+// - authors above TIMELINE_FANOUT_MAX_FOLLOWERS are skipped on write;
+//   their content is merged in when a follower reads. The write path
+//   records that decision on the author (User.timelinePull) and the
+//   read path only looks at the flag, so both agree.
+// - following someone backfills their recent content, unfollowing /
+//   muting removes it
+// - accounts without a timeline yet get one built in the background;
+//   until it's done their followed authors are read like pull authors
+// The model hooks in post / blog / follow models call in here.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+const AUTHOR_FIELDS = 'name username avatar profileImage profilePicture isVerified';
+
+const SOURCES = {
+  post: {
+    model: 'Post',
+    file: '../models/post.model',
+    authorFields: ['author', 'authorId'],
+    query: {
+      isDeleted: { $ne: true },
+      status: 'active',
+      isPublished: { $ne: false },
+      visibility: { $ne: 'private' },
+      postType: { $ne: 'story' },
+      group: null
+    },
+    isPublished: (doc) => !doc.isDeleted && doc.status === 'active' && doc.isPublished !== false &&
+      doc.visibility !== 'private' && doc.postType !== 'story' && !doc.group,
+    syncPaths: ['status', 'visibility', 'isPublished', 'isDeleted', 'postType', 'group']
+  },
+  blog: {
+    model: 'Blog',
+    file: '../models/blog.model',
+    authorFields: ['author', 'authorId'],
+    query: { isDeleted: { $ne: true }, status: 'published' },
+    isPublished: (doc) => !doc.isDeleted && doc.status === 'published',
+    syncPaths: ['status', 'isDeleted']
+  }
+};
+
+const idOf = (value) => (value?._id || value)?.toString() || null;
+
+class TimelineService {
+  constructor() {
+    this.fanOutMaxFollowers = parseInt(process.env.TIMELINE_FANOUT_MAX_FOLLOWERS) || 5000;
+    this.backfillItems = parseInt(process.env.TIMELINE_BACKFILL_ITEMS) || 20;
+    this.retentionMs = (parseInt(process.env.TIMELINE_RETENTION_DAYS) || 30) * DAY;
+    // Most recent follows a rebuild covers
+    this.rebuildMaxAuthors = parseInt(process.env.TIMELINE_REBUILD_MAX_AUTHORS) || 500;
+    // A rebuild claimed longer ago than this is assumed to have died
+    this.rebuildTimeoutMs = 10 * 60 * 1000;
+    this.batchSize = 1000;
+  }
+
+  getModel() {
+    return mongoose.models.TimelineEntry || require('../models/timeline-entry.model');
+  }
+
+  model(name, file) {
+    return mongoose.models[name] || require(file);
+  }
+
+  sourceModel(type) {
+    return this.model(SOURCES[type].model, SOURCES[type].file);
+  }
+
+  timelineError(message, status = 400) {
+    const error = new Error(message);
+    error.name = 'TimelineError';
+    error.status = status;
+    return error;
+  }
+
+  authorOf(type, doc) {
+    for (const field of SOURCES[type].authorFields) {
+      if (doc[field]) return idOf(doc[field]);
+    }
+    return null;
+  }
+
+  isPublished(type, doc) {
+    return SOURCES[type].isPublished(doc);
+  }
+
+  /**
+   * Run a write-path job without holding up the request that triggered it
+   */
+  defer(label, job) {
+    if (mongoose.connection.readyState !== 1) return;
+    setImmediate(() => {
+      job().catch(error => console.error(`Timeline ${label} error:`, error.message));
+    });
+  }
+
+  async insertEntries(entries) {
+    if (!entries.length) return 0;
+    try {
+      const inserted = await this.getModel().insertMany(entries, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      // Entries that already exist are fine
+      if (error.code === 11000 || error.writeErrors) return error.insertedDocs?.length || 0;
+      throw error;
+    }
+  }
+
+  // ==========================================
+  // WRITE PATH
+  // ==========================================
+
+  async getFollowerCount(authorId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    return Follow.countDocuments({ following: authorId, status: 'active' });
+  }
+
+  isPullAuthor(followerCount) {
+    return followerCount > this.fanOutMaxFollowers;
+  }
+
+  /**
+   * Count the author's followers, decide push or pull and store it on
+   * the author for getPullAuthors(). Returns true for pull.
+   */
+  async resolvePullAuthor(authorId) {
+    const User = this.model('User', '../models/user.model');
+    const pull = this.isPullAuthor(await this.getFollowerCount(authorId));
+    await User.updateOne({ _id: authorId, timelinePull: { $ne: pull } }, { $set: { timelinePull: pull } });
+    return pull;
+  }
+
+  /**
+   * Copy a newly published item into every follower's timeline
+   */
+  async fanOut(type, doc) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    const authorId = this.authorOf(type, doc);
+    if (!authorId || !this.isPublished(type, doc)) return { mode: 'skipped', delivered: 0 };
+
+    if (await this.resolvePullAuthor(authorId)) return { mode: 'pull', delivered: 0 };
+
+    const base = { author: authorId, itemType: type, item: doc._id, publishedAt: doc.createdAt || new Date() };
+    const followers = Follow.find({ following: authorId, status: 'active' }).select('follower').lean().cursor();
+
+    let batch = [];
+    let delivered = 0;
+    for await (const follow of followers) {
+      batch.push({ ...base, owner: follow.follower });
+      if (batch.length >= this.batchSize) {
+        delivered += await this.insertEntries(batch);
+        batch = [];
+      }
+    }
+    delivered += await this.insertEntries(batch);
+
+    return { mode: 'push', delivered };
+  }
+
+  /**
+   * After a save that touched publication state: deliver it, or take
+   * it back out of timelines if it was hidden / unpublished
+   */
+  async syncItem(type, doc, isNew = false) {
+    if (this.isPublished(type, doc)) return this.fanOut(type, doc);
+    if (!isNew) await this.removeItem(type, doc._id);
+    return { mode: 'removed', delivered: 0 };
+  }
+
+  /**
+   * Whether a findOneAndUpdate changes anything isPublished() reads
+   */
+  touchesPublication(type, update) {
+    if (!update) return false;
+    const { syncPaths } = SOURCES[type];
+    return [update, update.$set, update.$unset].some(part => part && syncPaths.some(path => path in part));
+  }
+
+  /**
+   * syncItem() for a query update, which may hand back the old document
+   */
+  async syncItemById(type, itemId) {
+    const doc = await this.sourceModel(type).findById(itemId).lean();
+    if (!doc) return { mode: 'removed', delivered: 0, removed: await this.removeItem(type, itemId) };
+    return this.syncItem(type, doc);
+  }
+
+  async removeItem(type, itemId) {
+    const result = await this.getModel().deleteMany({ itemType: type, item: itemId });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Add an author's recent content to one timeline (after a follow)
+   */
+  async backfill(ownerId, authorId) {
+    if (await this.resolvePullAuthor(authorId)) return 0;
+
+    const since = new Date(Date.now() - this.retentionMs);
+    const entries = [];
+
+    for (const [type, source] of Object.entries(SOURCES)) {
+      const docs = await this.sourceModel(type).find({
+        ...source.query,
+        $or: source.authorFields.map(field => ({ [field]: authorId })),
+        createdAt: { $gte: since }
+      })
+        .sort({ createdAt: -1 })
+        .limit(this.backfillItems)
+        .select('_id createdAt')
+        .lean();
+
+      docs.forEach(doc => entries.push({
+        owner: ownerId,
+        author: authorId,
+        itemType: type,
+        item: doc._id,
+        publishedAt: doc.createdAt
+      }));
+    }
+
+    return this.insertEntries(entries);
+  }
+
+  async unlink(ownerId, authorId) {
+    const result = await this.getModel().deleteMany({ owner: ownerId, author: authorId });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Follow created / reactivated -> backfill; muted / blocked -> unlink
+   */
+  async syncFollow(follow) {
+    if (follow.status === 'active') return this.backfill(follow.follower, follow.following);
+    return this.unlink(follow.follower, follow.following);
+  }
+
+  async getFollowedAuthors(ownerId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    const follows = await Follow.find({ follower: ownerId, status: 'active' })
+      .sort({ createdAt: -1 })
+      .limit(this.rebuildMaxAuthors)
+      .select('following')
+      .lean();
+    return follows.map(f => f.following);
+  }
+
+  /**
+   * Build a timeline from scratch from the people the user follows
+   * (accounts that existed before timelines did). Started by
+   * ensureBuilt() and run off the request path.
+   */
+  async rebuild(ownerId) {
+    const User = this.model('User', '../models/user.model');
+
+    let delivered = 0;
+    for (const authorId of await this.getFollowedAuthors(ownerId)) {
+      delivered += await this.backfill(ownerId, authorId);
+    }
+
+    await User.updateOne({ _id: ownerId }, { $set: { timelineBuiltAt: new Date(), timelineRebuildAt: null } });
+    return delivered;
+  }
+
+  /**
+   * Returns true once the timeline is built. Otherwise starts the
+   * rebuild in the background (one at a time per user) and returns false.
+   */
+  async ensureBuilt(ownerId) {
+    const User = this.model('User', '../models/user.model');
+    const user = await User.findById(ownerId).select('timelineBuiltAt').lean();
+    if (!user || user.timelineBuiltAt) return true;
+
+    const now = new Date();
+    const claim = await User.updateOne(
+      {
+        _id: ownerId,
+        timelineBuiltAt: null,
+        $or: [{ timelineRebuildAt: null }, { timelineRebuildAt: { $lt: new Date(now - this.rebuildTimeoutMs) } }]
+      },
+      { $set: { timelineRebuildAt: now } }
+    );
+    if (claim.modifiedCount) this.defer('rebuild', () => this.rebuild(ownerId));
+    return false;
+  }
+
+  // ==========================================
+  // READ PATH
+  // ==========================================
+
+  encodeCursor(entry) {
+    return Buffer.from(JSON.stringify({ t: new Date(entry.publishedAt).getTime(), i: idOf(entry.item) }))
+      .toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(i)) throw new Error('shape');
+      return { publishedAt: new Date(t), item: new mongoose.Types.ObjectId(i) };
+    } catch (error) {
+      throw this.timelineError('Invalid cursor');
+    }
+  }
+
+  /**
+   * Followed authors whose content isn't fanned out (flagged by
+   * resolvePullAuthor when they last published or were followed)
+   */
+  async getPullAuthors(ownerId) {
+    const Follow = this.model('Follow', '../models/follow.model');
+    const User = this.model('User', '../models/user.model');
+
+    const follows = await Follow.find({ follower: ownerId, status: 'active' }).select('following').lean();
+    if (!follows.length) return [];
+
+    const large = await User.find({
+      _id: { $in: follows.map(f => f.following) },
+      timelinePull: true
+    }).select('_id').lean();
+
+    return large.map(u => u._id);
+  }
+
+  async readPulled(authorIds, types, position, limit) {
+    if (!authorIds.length) return [];
+    const entries = [];
+
+    for (const type of types) {
+      const source = SOURCES[type];
+      const and = [
+        source.query,
+        { $or: source.authorFields.map(field => ({ [field]: { $in: authorIds } })) },
+        { createdAt: { $gte: new Date(Date.now() - this.retentionMs) } }
+      ];
+      if (position) {
+        and.push({
+          $or: [
+            { createdAt: { $lt: position.publishedAt } },
+            { createdAt: position.publishedAt, _id: { $lt: position.item } }
+          ]
+        });
+      }
+
+      const docs = await this.sourceModel(type).find({ $and: and })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+
+      docs.forEach(doc => entries.push({
+        itemType: type,
+        item: doc._id,
+        publishedAt: doc.createdAt,
+        author: this.authorOf(type, doc),
+        doc
+      }));
+    }
+
+    return entries;
+  }
+
+  /**
+   * @param {String} ownerId
+   * @param {Object} options { limit, cursor, types, includeOwn,
+   *   hide: (doc) => true to leave an item out without dropping its entry
+   *   (blocks and mutes can be undone) }
+   */
+  async read(ownerId, { limit = 20, cursor, types = Object.keys(SOURCES), includeOwn = false, hide = null } = {}) {
+    const TimelineEntry = this.getModel();
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const owner = new mongoose.Types.ObjectId(String(ownerId));
+
+    const built = await this.ensureBuilt(owner);
+
+    // Over-fetch a little: entries for deleted content are dropped below
+    const fetchSize = limit * 2 + 1;
+    const query = { owner, itemType: { $in: types } };
+    if (position) {
+      query.$or = [
+        { publishedAt: { $lt: position.publishedAt } },
+        { publishedAt: position.publishedAt, item: { $lt: position.item } }
+      ];
+    }
+
+    // Until the rebuild lands, read every followed author directly
+    const pullAuthors = built ? await this.getPullAuthors(owner) : await this.getFollowedAuthors(owner);
+    if (includeOwn) pullAuthors.push(owner);
+
+    const [pushed, pulled] = await Promise.all([
+      TimelineEntry.find(query).sort({ publishedAt: -1, item: -1 }).limit(fetchSize).lean(),
+      this.readPulled(pullAuthors, types, position, fetchSize)
+    ]);
+
+    const merged = new Map();
+    for (const entry of [...pulled, ...pushed]) {
+      const key = `${entry.itemType}:${idOf(entry.item)}`;
+      if (!merged.has(key)) merged.set(key, entry);
+    }
+    // Each source returned its newest fetchSize, so the newest fetchSize
+    // of the merge are complete; anything older waits for the next page
+    const ordered = [...merged.values()].sort((a, b) =>
+      new Date(b.publishedAt) - new Date(a.publishedAt) || idOf(b.item).localeCompare(idOf(a.item)))
+      .slice(0, fetchSize);
+
+    // Load the content behind pushed entries
+    for (const type of types) {
+      const missing = ordered.filter(e => e.itemType === type && !e.doc).map(e => e.item);
+      if (!missing.length) continue;
+      const docs = await this.sourceModel(type).find({ _id: { $in: missing } }).lean();
+      const byId = new Map(docs.map(d => [idOf(d._id), d]));
+      ordered.forEach(e => {
+        if (e.itemType === type && !e.doc) e.doc = byId.get(idOf(e.item)) || null;
+      });
+    }
+
+    const stale = ordered.filter(e => !e.doc || !this.isPublished(e.itemType, e.doc));
+    if (stale.length) {
+      TimelineEntry.deleteMany({ owner, $or: stale.map(e => ({ itemType: e.itemType, item: e.item })) })
+        .catch(error => console.error('Timeline cleanup error:', error.message));
+    }
+
+    const valid = ordered.filter(e => e.doc && this.isPublished(e.itemType, e.doc) && !(hide && hide(e.doc)));
+    const page = valid.slice(0, limit);
+    // More may exist past the over-fetch even if everything here was stale
+    // or hidden; continue after the last entry scanned, not the last shown
+    const hasMore = valid.length > limit || ordered.length >= fetchSize;
+    const last = valid.length > limit ? page[page.length - 1] : ordered[ordered.length - 1];
+
+    return {
+      items: await this.attachAuthors(page),
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(last) : null
+    };
+  }
+
+  async attachAuthors(entries) {
+    const User = this.model('User', '../models/user.model');
+    const ids = [...new Set(entries.map(e => idOf(e.author) || this.authorOf(e.itemType, e.doc)).filter(Boolean))];
+    const authors = {};
+
+    if (ids.length) {
+      const users = await User.find({ _id: { $in: ids } }).select(AUTHOR_FIELDS).lean();
+      users.forEach(u => { authors[u._id.toString()] = u; });
+    }
+
+    return entries.map(e => {
+      const authorId = idOf(e.author) || this.authorOf(e.itemType, e.doc);
+      return {
+        ...e.doc,
+        contentType: e.itemType,
+        author: authors[authorId] || { name: e.doc.authorName || 'Anonymous' }
+      };
+    });
+  }
+}
+
+module.exports = new TimelineService();
@@ -0,0 +1,307 @@
+// ============================================
+// FILE: services/two-factor.service.js
+// TOTP Two-Factor Authentication Service
+// VERSION: 1.0
+// RFC 6238 codes, backup codes, login challenges
+// A code's time step and a login challenge are each accepted once
+// ============================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'CYBEV';
+    this.period = 30; // seconds per code
+    this.digits = 6;
+    this.window = 1; // accept one step of clock drift either side
+    this.backupCodeCount = 10;
+
+    // Challenge tokens are signed with a derived secret so they can never
+    // be accepted by the regular JWT middlewares as a session token
+    this.challengeSecret = `${process.env.JWT_SECRET || 'cybev-secret-key'}:2fa-challenge`;
+    this.challengeExpires = '5m';
+
+    // Roles that must enroll when no admin policy has been saved yet
+    this.defaultRequiredRoles = [];
+  }
+
+  // ==========================================
+  // BASE32
+  // ==========================================
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const idx = BASE32_ALPHABET.indexOf(char);
+      if (idx === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | idx;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  // ==========================================
+  // TOTP
+  // ==========================================
+
+  /**
+   * Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI understood by authenticator apps
+   */
+  buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Render the otpauth URI as a PNG data URL (null if qrcode is unavailable)
+   */
+  async generateQrCode(otpauthUrl) {
+    try {
+      const QRCode = require('qrcode');
+      return await QRCode.toDataURL(otpauthUrl);
+    } catch (error) {
+      console.log('⚠️ QR code generation skipped:', error.message);
+      return null;
+    }
+  }
+
+  generateCode(secret, counter) {
+    const key = this.base32Decode(secret);
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(buf).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+                   ((hmac[offset + 1] & 0xff) << 16) |
+                   ((hmac[offset + 2] & 0xff) << 8) |
+                   (hmac[offset + 3] & 0xff);
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  /**
+   * Time step a 6-digit code belongs to, allowing small clock drift,
+   * or null when it doesn't match
+   */
+  matchCounter(secret, code) {
+    if (!secret || !code) return null;
+
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) return null;
+
+    const counter = Math.floor(Date.now() / 1000 / this.period);
+    for (let i = -this.window; i <= this.window; i++) {
+      const expected = this.generateCode(secret, counter + i);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return counter + i;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Verify a 6-digit code against a secret, allowing small clock drift
+   */
+  verifyCode(secret, code) {
+    return this.matchCounter(secret, code) !== null;
+  }
+
+  getUserModel() {
+    return mongoose.models.User || require('../models/user.model');
+  }
+
+  /**
+   * Verify an enrolled user's code and claim its time step, so the same
+   * code (or an earlier one) can't be replayed inside the drift window
+   */
+  async acceptCode(user, code) {
+    const counter = this.matchCounter(user.twoFactorSecret, code);
+    if (counter === null) return false;
+
+    const result = await this.getUserModel().updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastCounter: null }, { twoFactorLastCounter: { $lt: counter } }]
+      },
+      { $set: { twoFactorLastCounter: counter } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ==========================================
+  // BACKUP CODES
+  // ==========================================
+
+  hashBackupCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+      .digest('hex');
+  }
+
+  /**
+   * Generate one-time backup codes.
+   * Returns plaintext codes (shown to the user once) and hashed entries for storage.
+   */
+  generateBackupCodes() {
+    const codes = [];
+    for (let i = 0; i < this.backupCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    return {
+      codes,
+      hashed: codes.map(code => ({ code: this.hashBackupCode(code), used: false }))
+    };
+  }
+
+  /**
+   * Mark a backup code as used. Returns true if it was valid and unused.
+   * Caller is responsible for saving the user document.
+   */
+  consumeBackupCode(user, code) {
+    if (!code || !user.backupCodes?.length) return false;
+
+    const hash = this.hashBackupCode(code);
+    const entry = user.backupCodes.find(c => c.code === hash && !c.used);
+    if (!entry) return false;
+
+    entry.used = true;
+    return true;
+  }
+
+  remainingBackupCodes(user) {
+    return (user.backupCodes || []).filter(c => !c.used).length;
+  }
+
+  /**
+   * Verify either a TOTP code or a backup code for an enrolled user
+   */
+  async verifyUserCode(user, { code, backupCode } = {}) {
+    if (code && await this.acceptCode(user, code)) {
+      return { valid: true, method: 'totp' };
+    }
+    if (backupCode && this.consumeBackupCode(user, backupCode)) {
+      return { valid: true, method: 'backup_code' };
+    }
+    return { valid: false };
+  }
+
+  // ==========================================
+  // LOGIN CHALLENGE
+  // ==========================================
+
+  createChallengeToken(user, extra = {}) {
+    return jwt.sign(
+      { id: user._id, purpose: '2fa_challenge', at: Date.now(), ...extra },
+      this.challengeSecret,
+      { expiresIn: this.challengeExpires }
+    );
+  }
+
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.challengeSecret);
+      if (decoded.purpose !== '2fa_challenge') return null;
+      return decoded;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Spend a verified challenge once its code has been accepted. Returns
+   * false when it (or a newer one) was already used.
+   */
+  async consumeChallenge(challenge) {
+    if (!challenge?.at) return false;
+    const result = await this.getUserModel().updateOne(
+      {
+        _id: challenge.id,
+        $or: [{ twoFactorLastChallengeAt: null }, { twoFactorLastChallengeAt: { $lt: challenge.at } }]
+      },
+      { $set: { twoFactorLastChallengeAt: challenge.at } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // ==========================================
+  // POLICY
+  // ==========================================
+
+  /**
+   * Roles that admins have marked as requiring 2FA (stored in platform Settings)
+   */
+  async getRequiredRoles() {
+    try {
+      const Settings = mongoose.models.Settings;
+      if (!Settings) return this.defaultRequiredRoles;
+
+      const setting = await Settings.findOne({ key: 'twoFactorRequiredRoles' }).lean();
+      return Array.isArray(setting?.value) ? setting.value : this.defaultRequiredRoles;
+    } catch (error) {
+      return this.defaultRequiredRoles;
+    }
+  }
+
+  async isRequiredForUser(user) {
+    const roles = await this.getRequiredRoles();
+    if (!roles.length) return false;
+
+    const userRoles = [user.role || 'user'];
+    if (user.isAdmin) userRoles.push('admin');
+    return userRoles.some(role => roles.includes(role));
+  }
+}
+
+module.exports = new TwoFactorService();
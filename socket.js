@@ -2,6 +2,7 @@
 // FILE: server/socket.js
 // ============================================
 const socketIo = require('socket.io');
+const { socketAuth, authorizeRoom } = require('./socket/auth.socket');
 
 let io;
 
@@ -21,12 +22,20 @@ function initializeSocket(server) {
     }
   });
 
+  // Handshake must carry a valid token (see socket/auth.socket.js)
+  io.use(socketAuth());
+
   io.on('connection', (socket) => {
     console.log('✅ Socket connected:', socket.id);
 
-    socket.on('join', (userId) => {
-      socket.join(`user:${userId}`);
-      console.log(`👤 User ${userId} joined their room`);
+    // Personal room is joined automatically; 'join' is kept for older clients
+    socket.join(`user:${socket.user.id}`);
+
+    socket.on('join', async (userId) => {
+      const id = userId || socket.user.id;
+      if (!(await authorizeRoom(socket, 'user', id))) return;
+      socket.join(`user:${id}`);
+      console.log(`👤 User ${id} joined their room`);
     });
 
     socket.on('leave', (userId) => {
@@ -47,6 +56,14 @@ function initializeSocket(server) {
     console.log('⚠️ Watch Party socket skipped:', err.message);
   }
 
+  // ─── Direct Messages: presence, receipts, sync ───
+  try {
+    const { initMessagingSocket } = require('./socket/messaging.socket');
+    initMessagingSocket(io);
+  } catch (err) {
+    console.log('⚠️ Messaging socket skipped:', err.message);
+  }
+
   // ─── Live Chat Namespace ───
   try {
     const { initLiveChatSocket } = require('./socket/liveChat.socket');
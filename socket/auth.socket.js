@@ -0,0 +1,205 @@
+// ============================================
+// FILE: auth.socket.js
+// PATH: /socket/auth.socket.js
+// Socket.IO handshake authentication and room authorization
+//
+// Clients connect with:
+//   io(url, { auth: { token } })
+// Failed handshakes arrive as `connect_error` with
+//   err.message = 'UNAUTHORIZED' and err.data = { code, error }
+// Refused room joins emit `join-error` { room, code, error }
+// ============================================
+
+const mongoose = require('mongoose');
+const { resolveToken } = require('../middleware/auth');
+
+const getModel = (name, path) => mongoose.models[name] || (path ? require(path) : null);
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+const sameId = (a, b) => !!a && !!b && String(a._id || a) === String(b._id || b);
+
+/**
+ * Token from the handshake: auth payload first, then ?token= and the
+ * Authorization header for older clients
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, query = {}, headers = {} } = socket.handshake || {};
+  if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+  if (query.token) return String(query.token);
+  const header = headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return null;
+};
+
+const handshakeError = (code, message) => {
+  const error = new Error('UNAUTHORIZED');
+  error.data = { code, error: message };
+  return error;
+};
+
+/**
+ * Namespace middleware. Sets socket.user to the same principal HTTP routes get.
+ * With allowGuests, connections without a token are let in as a server-assigned
+ * guest (socket.guestId) - a token that is present but invalid is still refused.
+ */
+const socketAuth = ({ allowGuests = false } = {}) => async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    if (!allowGuests) return next(handshakeError('NO_TOKEN', 'Authentication required'));
+    socket.user = null;
+    socket.guestId = `guest_${socket.id}`;
+    return next();
+  }
+
+  try {
+    socket.user = await resolveToken(token, { headers: socket.handshake.headers, socket: { remoteAddress: socket.handshake.address } });
+    socket.data.userId = socket.user.id;
+    // Lets session.service.js drop this socket when the session is revoked
+    if (socket.user.sessionId) socket.join(`session:${socket.user.sessionId}`);
+    next();
+  } catch (error) {
+    next(handshakeError(error.code || 'AUTH_FAILED', error.status ? error.message : 'Authentication failed'));
+  }
+};
+
+// ==========================================
+// ROOM AUTHORIZATION
+// Each check returns null when allowed, or { code, error } when refused
+// ==========================================
+
+const deny = (code, error) => ({ code, error });
+
+const requireUser = (user) => (user ? null : deny('AUTH_REQUIRED', 'Sign in to join this room'));
+
+const checks = {
+  // Personal notification room - only yourself
+  async user(user, userId) {
+    return requireUser(user) || (sameId(user.id, userId) ? null : deny('FORBIDDEN', 'You can only join your own room'));
+  },
+
+  async conversation(user, conversationId) {
+    const missing = requireUser(user);
+    if (missing) return missing;
+    if (!isValidId(conversationId)) return deny('NOT_FOUND', 'Conversation not found');
+
+    const Conversation = getModel('Conversation');
+    if (!Conversation) return deny('UNAVAILABLE', 'Messaging is unavailable');
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: user.id }).select('_id').lean();
+    return conversation ? null : deny('FORBIDDEN', 'You are not a participant of this conversation');
+  },
+
+  // Host or someone who joined through POST /api/meet/:roomId/join
+  async meeting(user, roomId) {
+    const missing = requireUser(user);
+    if (missing) return missing;
+
+    const Meeting = getModel('Meeting', '../models/meeting.model');
+    const meeting = await Meeting.findOne({ roomId: String(roomId), isDeleted: { $ne: true } })
+      .select('host participants status')
+      .lean();
+
+    if (!meeting) return deny('NOT_FOUND', 'Meeting not found');
+    if (meeting.status === 'ended') return deny('ENDED', 'This meeting has ended');
+
+    const allowed = sameId(meeting.host, user.id) || (meeting.participants || []).some(p => sameId(p, user.id));
+    return allowed ? null : deny('FORBIDDEN', 'Join the meeting before connecting');
+  },
+
+  // Public streams are open to everyone (including guests), followers-only
+  // streams to followers, private streams to the streamer only
+  async stream(user, streamId) {
+    if (!isValidId(streamId)) return deny('NOT_FOUND', 'Stream not found');
+
+    const LiveStream = getModel('LiveStream', '../models/livestream.model');
+    const stream = await LiveStream.findById(streamId).select('streamer privacy').lean();
+    if (!stream) return deny('NOT_FOUND', 'Stream not found');
+
+    const privacy = stream.privacy || 'public';
+    if (privacy === 'public') return null;
+
+    const missing = requireUser(user);
+    if (missing) return missing;
+    if (user.isAdmin || sameId(stream.streamer, user.id)) return null;
+    if (privacy === 'private') return deny('FORBIDDEN', 'This stream is private');
+
+    const Follow = getModel('Follow', '../models/follow.model');
+    const follows = await Follow.exists({ follower: user.id, following: stream.streamer, status: 'active' });
+    return follows ? null : deny('FORBIDDEN', 'Only followers can watch this stream');
+  },
+
+  async watchParty(user, partyId) {
+    if (!isValidId(partyId)) return deny('NOT_FOUND', 'Party not found');
+
+    const WatchParty = getModel('WatchParty', '../models/watchParty.model');
+    const party = await WatchParty.findById(partyId).select('host privacy invitedUsers status').lean();
+    if (!party) return deny('NOT_FOUND', 'Party not found');
+    if (party.status === 'ended') return deny('ENDED', 'This party has ended');
+
+    const privacy = party.privacy || 'public';
+    if (privacy === 'public') return null;
+
+    const missing = requireUser(user);
+    if (missing) return missing;
+    if (user.isAdmin || sameId(party.host, user.id)) return null;
+
+    if (privacy === 'private') {
+      const invited = (party.invitedUsers || []).some(id => sameId(id, user.id));
+      return invited ? null : deny('FORBIDDEN', 'This party is invite-only');
+    }
+
+    const Follow = getModel('Follow', '../models/follow.model');
+    const follows = await Follow.exists({ follower: user.id, following: party.host, status: 'active' });
+    return follows ? null : deny('FORBIDDEN', 'Only followers of the host can join');
+  },
+
+  async campaign(user, campaignId) {
+    const missing = requireUser(user);
+    if (missing) return missing;
+    if (!isValidId(campaignId)) return deny('NOT_FOUND', 'Campaign not found');
+
+    const Campaign = getModel('Campaign');
+    const campaign = Campaign && await Campaign.findOne({ _id: campaignId, user: user.id }).select('_id').lean();
+    return campaign ? null : deny('FORBIDDEN', 'Campaign not found');
+  },
+
+  async automation(user, automationId) {
+    const missing = requireUser(user);
+    if (missing) return missing;
+    if (!isValidId(automationId)) return deny('NOT_FOUND', 'Automation not found');
+
+    const Automation = getModel('Automation');
+    const automation = Automation && await Automation.findOne({ _id: automationId, user: user.id }).select('_id').lean();
+    return automation ? null : deny('FORBIDDEN', 'Automation not found');
+  }
+};
+
+/**
+ * Check whether the socket's user may join a room of the given type.
+ * Emits `join-error` and resolves false when refused.
+ */
+const authorizeRoom = async (socket, type, id, room = `${type}:${id}`) => {
+  const check = checks[type];
+  let denial;
+
+  try {
+    denial = check ? await check(socket.user, id) : deny('FORBIDDEN', 'Unknown room');
+  } catch (error) {
+    console.error(`Socket room check failed (${type}):`, error.message);
+    denial = deny('SERVER_ERROR', 'Could not verify access to this room');
+  }
+
+  if (denial) {
+    socket.emit('join-error', { room, type, id, ...denial });
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  socketAuth,
+  authorizeRoom,
+  getHandshakeToken
+};
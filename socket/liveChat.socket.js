@@ -4,6 +4,8 @@
 // CYBEV TV 2.0 — Live Stream Chat Namespace
 // ============================================
 
+const { socketAuth, authorizeRoom } = require('./auth.socket');
+
 /**
  * Initialize Live Chat Socket.io namespace
  * Add to socket.js:
@@ -16,13 +18,27 @@ function initLiveChatSocket(io) {
   // Track viewers per stream: { streamId: Set<socketId> }
   const streamViewers = new Map();
 
+  // Guests can watch public streams; names come from the handshake, not the client
+  liveChatNs.use(socketAuth({ allowGuests: true }));
+
+  const inStream = (socket, streamId) => !!streamId && socket.rooms.has(String(streamId));
+
   liveChatNs.on('connection', (socket) => {
     let currentStream = null;
     let currentUsername = null;
+    let currentAvatar = '';
 
-    socket.on('join-stream', ({ streamId, userId, username, avatar }) => {
+    socket.on('join-stream', async ({ streamId, username: guestName } = {}) => {
+      if (!(await authorizeRoom(socket, 'stream', streamId, streamId))) return;
+
+      const username = socket.user
+        ? (socket.user.username || socket.user.name || 'User')
+        : (String(guestName || '').trim().slice(0, 50) || 'Guest');
+
+      if (currentStream && currentStream !== streamId) cleanup(currentStream);
       currentStream = streamId;
       currentUsername = username;
+      currentAvatar = socket.user?.avatar || '';
       socket.join(streamId);
 
       // Track viewer
@@ -41,31 +57,44 @@ function initLiveChatSocket(io) {
       });
     });
 
-    socket.on('chat-message', ({ streamId, text, username, avatar }) => {
-      if (!text?.trim()) return;
+    socket.on('chat-message', ({ streamId, text } = {}) => {
+      if (!inStream(socket, streamId) || !text?.trim()) return;
       liveChatNs.to(streamId).emit('chat-message', {
         type: 'message',
-        username: username || currentUsername || 'Anonymous',
-        avatar: avatar || '',
+        username: currentUsername || 'Anonymous',
+        avatar: currentAvatar,
         text: text.trim(),
         createdAt: new Date()
       });
     });
 
-    socket.on('reaction', ({ streamId, emoji }) => {
+    socket.on('reaction', ({ streamId, emoji } = {}) => {
+      if (!inStream(socket, streamId)) return;
       liveChatNs.to(streamId).emit('reaction', {
         emoji,
         username: currentUsername
       });
     });
 
-    // Streamer can end
-    socket.on('end-stream', ({ streamId }) => {
-      liveChatNs.to(streamId).emit('stream-ended');
+    // Only the streamer can end
+    socket.on('end-stream', async ({ streamId } = {}) => {
+      if (!socket.user || !inStream(socket, streamId)) return;
+      try {
+        const LiveStream = require('../models/livestream.model');
+        const stream = await LiveStream.findById(streamId).select('streamer').lean();
+        if (!stream || String(stream.streamer) !== String(socket.user.id)) {
+          return socket.emit('error', { message: 'Only the streamer can end the stream' });
+        }
+        liveChatNs.to(streamId).emit('stream-ended');
+      } catch (err) {
+        console.error('end-stream error:', err);
+      }
     });
 
-    socket.on('leave-stream', ({ streamId }) => {
+    socket.on('leave-stream', ({ streamId } = {}) => {
+      if (!inStream(socket, streamId)) return;
       cleanup(streamId);
+      if (currentStream === streamId) currentStream = null;
     });
 
     socket.on('disconnect', () => {
@@ -0,0 +1,74 @@
+// ============================================
+// FILE: messaging.socket.js
+// PATH: /socket/messaging.socket.js
+// Direct message presence, receipts and sync over the main namespace
+// (services/message-sync.service.js)
+//
+// Server -> client (to the user's own `user:<id>` room):
+//   sync      { seq, type, conversationId, data, createdAt }
+//   presence  { userId, visible, online, lastSeenAt }
+// Client -> server (all take an optional ack callback):
+//   messages:delivered  { messageIds }
+//   messages:read       { conversationId, upToMessageId? }
+//   sync                { since, limit? }  - same as GET /api/messages/sync
+//   presence:get        { userIds }
+// ============================================
+
+const mongoose = require('mongoose');
+const messageSync = require('../services/message-sync.service');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+/**
+ * Initialize messaging socket handlers
+ * Add to server.js / socket.js after io.use(socketAuth()):
+ *   const { initMessagingSocket } = require('./socket/messaging.socket');
+ *   initMessagingSocket(io);
+ */
+function initMessagingSocket(io) {
+  io.on('connection', (socket) => {
+    if (!socket.user) return;
+    const userId = socket.user.id;
+
+    // Errors go back through the ack, never thrown at the socket
+    const handle = (event, handler) => {
+      socket.on(event, async (payload = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          reply({ ok: true, ...(await handler(payload || {})) });
+        } catch (error) {
+          if (error.name !== 'MessageSyncError') console.error(`Messaging socket (${event}) error:`, error.message);
+          reply({ ok: false, error: error.name === 'MessageSyncError' ? error.message : `${event} failed` });
+        }
+      });
+    };
+
+    messageSync.connected(userId, socket.id);
+    socket.on('disconnect', () => messageSync.disconnected(userId, socket.id));
+
+    handle('messages:delivered', async ({ messageIds }) => {
+      const ids = (Array.isArray(messageIds) ? messageIds : []).filter(isValidId).slice(0, 500);
+      return messageSync.markDelivered(userId, { messageIds: ids });
+    });
+
+    handle('messages:read', async ({ conversationId, upToMessageId }) => {
+      if (!isValidId(conversationId)) throw messageSync.syncError('Conversation not found', 404);
+      return messageSync.markRead(userId, conversationId, {
+        upToMessageId: isValidId(upToMessageId) ? upToMessageId : null
+      });
+    });
+
+    handle('sync', async ({ since, limit }) => messageSync.getSince(userId, {
+      since: Math.max(parseInt(since, 10) || 0, 0),
+      limit: Math.min(Math.max(parseInt(limit, 10) || messageSync.config.syncPageSize, 1), messageSync.config.maxSyncPageSize)
+    }));
+
+    handle('presence:get', async ({ userIds }) => ({
+      presence: await messageSync.getPresence(userId, (Array.isArray(userIds) ? userIds : []).filter(isValidId))
+    }));
+  });
+
+  console.log('💬 Messaging socket ready - presence, receipts, sync');
+}
+
+module.exports = { initMessagingSocket };
@@ -9,6 +9,7 @@
 // ============================================
 const WatchParty = require('../models/watchParty.model');
 const User = require('../models/user.model');
+const { socketAuth, authorizeRoom } = require('./auth.socket');
 
 // Load smart simulation compute function at module level
 let boostCompute;
@@ -183,6 +184,12 @@ function initWatchPartySocket(io) {
     return real + boosted + synthetic;
   };
 
+  // Guests may watch public parties; identity always comes from the handshake
+  wpNamespace.use(socketAuth({ allowGuests: true }));
+
+  // Events for a party are only accepted from sockets that joined it
+  const inParty = (socket, partyId) => !!partyId && socket.rooms.has(String(partyId));
+
   wpNamespace.on('connection', (socket) => {
     console.log(`🎬 Watch Party socket connected: ${socket.id}`);
 
@@ -191,11 +198,18 @@ function initWatchPartySocket(io) {
     let currentUsername = null;
 
     // ─── JOIN ROOM ───
-    socket.on('join-room', async ({ partyId, userId, username, avatar }) => {
+    socket.on('join-room', async ({ partyId, username: guestName, avatar } = {}) => {
       try {
+        if (!(await authorizeRoom(socket, 'watchParty', partyId, partyId))) return;
+
+        const userId = socket.user ? socket.user.id : socket.guestId;
+        const username = socket.user
+          ? (socket.user.username || socket.user.name || 'User')
+          : (String(guestName || '').trim().slice(0, 50) || 'Guest');
+
         currentRoom = partyId;
         currentUserId = userId;
-        currentUsername = username || 'Guest';
+        currentUsername = username;
 
         socket.join(partyId);
 
@@ -264,8 +278,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── PLAYBACK SYNC (host/co-host only) ───
-    socket.on('sync-playback', async ({ partyId, isPlaying, currentTime, playbackRate }) => {
+    socket.on('sync-playback', async ({ partyId, isPlaying, currentTime, playbackRate } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const party = await WatchParty.findById(partyId).select('host participants playbackState');
         if (!party) return;
 
@@ -296,8 +311,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── SEEK (host/co-host only) ───
-    socket.on('seek', async ({ partyId, currentTime }) => {
+    socket.on('seek', async ({ partyId, currentTime } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const party = await WatchParty.findById(partyId).select('host participants playbackState');
         if (!party) return;
 
@@ -318,8 +334,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── CHAT MESSAGE ───
-    socket.on('chat-message', async ({ partyId, text }) => {
+    socket.on('chat-message', async ({ partyId, text } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         if (!text || !text.trim()) return;
         const isGuest = typeof currentUserId === 'string' && currentUserId.startsWith('guest_');
 
@@ -346,8 +363,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── REACTION ───
-    socket.on('reaction', async ({ partyId, emoji }) => {
+    socket.on('reaction', async ({ partyId, emoji } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const allowedEmojis = ['🔥', '❤️', '😂', '👏', '🎉', '😮', '💯', '🙌', '😍', '💀', '🤣', '👀'];
         if (!allowedEmojis.includes(emoji)) return;
 
@@ -371,8 +389,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── PROMOTE / DEMOTE ───
-    socket.on('set-role', async ({ partyId, targetUserId, role }) => {
+    socket.on('set-role', async ({ partyId, targetUserId, role } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const party = await WatchParty.findById(partyId).select('host participants');
         if (!party || party.host.toString() !== currentUserId) return;
 
@@ -388,8 +407,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── REQUEST SYNC (viewer asks for current state) ───
-    socket.on('request-sync', async ({ partyId }) => {
+    socket.on('request-sync', async ({ partyId } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const party = await WatchParty.findById(partyId).select('playbackState participants boostedViewers syntheticEngagement boostConfig');
         if (!party) return;
         socket.emit('sync-state', {
@@ -403,8 +423,9 @@ function initWatchPartySocket(io) {
     });
 
     // ─── END PARTY (host broadcasts to all viewers) ───
-    socket.on('end-party', async ({ partyId }) => {
+    socket.on('end-party', async ({ partyId } = {}) => {
       try {
+        if (!inParty(socket, partyId)) return;
         const party = await WatchParty.findById(partyId).select('host status participants');
         if (!party) return;
         // Only host can end via socket
@@ -0,0 +1,33 @@
+// ============================================
+// FILE: utils/config-overrides.js
+// Reads a config/*.js `<NAME>_OVERRIDES` environment variable: a JSON
+// object merged over that file's defaults, so limits and feature switches
+// can be tuned per environment without a code change or deploy. Anything else - bad JSON,
+// null, an array, a number - is logged and ignored so a typo in the
+// environment can't stop the app from booting.
+// ============================================
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {string} name - environment variable, e.g. 'RATE_LIMIT_OVERRIDES'
+ * @returns {Object} the parsed overrides, or {} when unset or unusable
+ */
+const parseOverrides = (name) => {
+  if (!process.env[name]) return {};
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`⚠️ ${name} is not valid JSON - ignoring`);
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    console.error(`⚠️ ${name} must be a JSON object - ignoring`);
+    return {};
+  }
+  return value;
+};
+
+module.exports = { parseOverrides };
@@ -0,0 +1,193 @@
+// ============================================
+// FILE: utils/ffmpeg.js
+// Small ffmpeg wrapper for processing uploaded media on disk:
+// probing duration / size / rotation, grabbing still frames, pulling
+// out or re-encoding audio and reading loudness levels for waveforms.
+// Uses the system ffmpeg when present,
+// else ffmpeg-static (same order as services/webrtc-rtmp.service.js).
+// ============================================
+
+const { spawn, execSync } = require('child_process');
+
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+let ffmpegPath = null;
+
+const resolveFfmpeg = () => {
+  if (ffmpegPath !== null) return ffmpegPath;
+  try {
+    execSync('ffmpeg -version', { stdio: 'pipe' });
+    ffmpegPath = 'ffmpeg';
+  } catch (e) {
+    try {
+      ffmpegPath = require('ffmpeg-static');
+    } catch (e2) {
+      ffmpegPath = '';
+    }
+  }
+  return ffmpegPath;
+};
+
+const isAvailable = () => !!resolveFfmpeg();
+
+/**
+ * Run ffmpeg with `args`; resolves with stderr (ffmpeg logs there).
+ * `allowFailure` resolves on a non-zero exit too - `ffmpeg -i file`
+ * with no output always exits 1.
+ */
+const run = (args, { timeoutMs = DEFAULT_TIMEOUT_MS, allowFailure = false } = {}) => new Promise((resolve, reject) => {
+  const bin = resolveFfmpeg();
+  if (!bin) return reject(new Error('ffmpeg is not available on this server'));
+
+  const child = spawn(bin, ['-hide_banner', '-nostdin', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    // Keep the tail - the useful error is at the end
+    stderr = (stderr + chunk.toString()).slice(-20000);
+  });
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    if (code === 0 || allowFailure) return resolve(stderr);
+    const reason = signal ? `killed (${signal})` : stderr.trim().split('\n').pop();
+    reject(new Error(`ffmpeg failed: ${reason}`));
+  });
+});
+
+/**
+ * Duration (seconds), display width / height (rotation applied),
+ * codecs and whether there is an audio stream
+ */
+const probe = async (input) => {
+  const output = await run(['-i', input], { timeoutMs: 30 * 1000, allowFailure: true });
+
+  const duration = output.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const video = output.match(/Stream #[^\n]*Video:\s*([a-z0-9_]+)[^\n]*?,\s*(\d{2,5})x(\d{2,5})/i);
+  const audio = output.match(/Stream #[^\n]*Audio:\s*([a-z0-9_]+)/i);
+  const rotateTag = output.match(/rotate\s*:\s*(-?\d+)/);
+  const displayMatrix = output.match(/rotation of\s*(-?\d+(?:\.\d+)?)\s*degrees/);
+
+  if (!duration && !video && !audio) {
+    throw new Error('Unreadable media file');
+  }
+
+  const rotation = Math.abs(Math.round(Number(rotateTag?.[1] || displayMatrix?.[1] || 0))) % 180;
+  let width = video ? parseInt(video[2]) : null;
+  let height = video ? parseInt(video[3]) : null;
+  if (rotation === 90) [width, height] = [height, width];
+
+  return {
+    duration: duration
+      ? parseInt(duration[1]) * 3600 + parseInt(duration[2]) * 60 + parseFloat(duration[3])
+      : null,
+    width,
+    height,
+    videoCodec: video ? video[1] : null,
+    audioCodec: audio ? audio[1] : null,
+    hasVideo: !!video,
+    hasAudio: !!audio
+  };
+};
+
+/**
+ * Save the frame at `at` seconds as a JPEG, `width` pixels wide
+ */
+const extractFrame = (input, output, { at = 0, width = 720 } = {}) => run([
+  '-ss', String(Math.max(0, at)),
+  '-i', input,
+  '-frames:v', '1',
+  '-vf', `scale=${width}:-2`,
+  '-q:v', '3',
+  '-y', output
+]);
+
+/**
+ * Copy the audio track out as AAC in an .m4a container
+ */
+const extractAudio = (input, output, { bitrate = '128k' } = {}) => run([
+  '-i', input,
+  '-vn',
+  '-ac', '2',
+  '-c:a', 'aac',
+  '-b:a', bitrate,
+  '-movflags', '+faststart',
+  '-y', output
+]);
+
+/**
+ * Re-encode speech to mono AAC in an .m4a container
+ */
+const transcodeVoice = (input, output, { bitrate = '48k', sampleRate = 44100 } = {}) => run([
+  '-i', input,
+  '-vn',
+  '-ac', '1',
+  '-ar', String(sampleRate),
+  '-c:a', 'aac',
+  '-b:a', bitrate,
+  '-movflags', '+faststart',
+  '-y', output
+]);
+
+/**
+ * Peak level (0-1) of every `blockMs` of audio, read from decoded mono
+ * PCM as it streams out, plus the exact duration in seconds
+ */
+const audioLevels = (input, { sampleRate = 8000, blockMs = 20, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => new Promise((resolve, reject) => {
+  const bin = resolveFfmpeg();
+  if (!bin) return reject(new Error('ffmpeg is not available on this server'));
+
+  const child = spawn(bin, [
+    '-hide_banner', '-nostdin',
+    '-i', input,
+    '-vn', '-ac', '1', '-ar', String(sampleRate),
+    '-f', 's16le', '-'
+  ], { stdio: ['ignore', 'pipe', 'ignore'] });
+
+  const blockSize = Math.max(1, Math.round(sampleRate * blockMs / 1000));
+  const levels = [];
+  let samples = 0;
+  let peak = 0;
+  let leftover = null;
+
+  child.stdout.on('data', (chunk) => {
+    const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = data.length - (data.length % 2);
+    for (let offset = 0; offset < usable; offset += 2) {
+      peak = Math.max(peak, Math.abs(data.readInt16LE(offset)) / 32768);
+      if (++samples % blockSize === 0) {
+        levels.push(peak);
+        peak = 0;
+      }
+    }
+    leftover = usable < data.length ? data.subarray(usable) : null;
+  });
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timer);
+    if (code !== 0) return reject(new Error(`ffmpeg failed: ${signal ? `killed (${signal})` : `exit ${code}`}`));
+    if (samples % blockSize) levels.push(peak);
+    resolve({ levels, duration: samples / sampleRate });
+  });
+});
+
+module.exports = {
+  isAvailable,
+  run,
+  probe,
+  extractFrame,
+  extractAudio,
+  transcodeVoice,
+  audioLevels
+};
@@ -0,0 +1,37 @@
+// ============================================
+// FILE: utils/geolocation.js
+// IP -> approximate location (ip-api.com, free, no key,
+// 45 requests/minute - only call it where it matters)
+// ============================================
+
+const isPrivateIP = (ip) =>
+  !ip || ip === 'unknown' || ip === 'localhost' || ip === '127.0.0.1' || ip === '::1' ||
+  ip.startsWith('192.168.') || ip.startsWith('10.') || ip.startsWith('::ffff:127.');
+
+const getGeoLocation = async (ip) => {
+  try {
+    // Skip for local IPs
+    if (isPrivateIP(ip)) return null;
+
+    const fetch = require('node-fetch');
+    const response = await fetch(`http://ip-api.com/json/${ip}?fields=status,country,countryCode,region,regionName,city,zip,lat,lon,timezone`);
+    const data = await response.json();
+
+    if (data.status === 'success') {
+      return {
+        country: data.country,
+        countryCode: data.countryCode,
+        city: data.city,
+        region: data.regionName,
+        timezone: data.timezone,
+        coordinates: { lat: data.lat, lng: data.lon }
+      };
+    }
+    return null;
+  } catch (error) {
+    console.error('Geolocation error:', error.message);
+    return null;
+  }
+};
+
+module.exports = { getGeoLocation };
@@ -1,7 +1,21 @@
 import { toast } from 'react-toastify';
 
-export default function logout(router) {
+// Revokes the session server-side before clearing local tokens,
+// so a copied token stops working immediately
+export default async function logout(router, { allDevices = false } = {}) {
+  const token = localStorage.getItem('cybev_token');
+  if (token) {
+    try {
+      await fetch(`${process.env.NEXT_PUBLIC_API_URL || ''}/api/auth/${allDevices ? 'logout-all' : 'logout'}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+    } catch (err) {
+      // Still clear local state if the API is unreachable
+    }
+  }
   localStorage.removeItem('cybev_token');
-  toast.info('Logged out');
+  localStorage.removeItem('cybev_refresh_token');
+  toast.info(allDevices ? 'Logged out of all devices' : 'Logged out');
   router.push('/login');
-}
\ No newline at end of file
+}
@@ -6,29 +6,26 @@
 // This module is intentionally defensive: notifications should never crash the API.
 
 let Notification;
-let emitNotification;
+let notificationDelivery;
 
 /**
  * Create a notification.
  *
  * Supported call styles:
- * 1) createNotification({ recipient, sender, type, message, targetModel?, target? })
+ * 1) createNotification({ recipient, sender, type, message, targetModel?, target?, actionUrl?, data? })
  * 2) createNotification(recipientId, type, message, extra?)
+ *
+ * `type` is an event type from config/notification-events.js; the
+ * delivery pipeline (services/notification-delivery.service.js) saves
+ * it, pushes it to the user's sockets and sends it on the event's other
+ * channels.
  */
 let createNotification;
 let sendNotification;
 
 try {
   Notification = require('../models/notification.model');
-  
-  // Try to load socket emitter
-  try {
-    const socket = require('../socket');
-    emitNotification = socket.emitNotification;
-  } catch (e) {
-    console.log('⚠️ Socket not available for notifications');
-    emitNotification = () => {};
-  }
+  notificationDelivery = require('../services/notification-delivery.service');
 
   createNotification = async (arg1, type, message, extra = {}) => {
     try {
@@ -54,30 +51,15 @@ try {
         return null;
       }
 
-      const notification = new Notification({
+      return await notificationDelivery.notify(payload.type, {
         recipient: payload.recipient,
         sender: payload.sender,
-        type: payload.type,
-        message: payload.message,
         entityId: payload.entityId || payload.targetModel,
         entityModel: payload.entityModel || payload.target,
-        isRead: false
+        message: payload.message,
+        actionUrl: payload.actionUrl,
+        data: payload.data || {}
       });
-
-      await notification.save();
-      
-      // Emit real-time notification via socket
-      if (emitNotification) {
-        emitNotification(payload.recipient.toString(), {
-          _id: notification._id,
-          type: notification.type,
-          message: notification.message,
-          sender: payload.sender,
-          createdAt: notification.createdAt
-        });
-      }
-      
-      return notification;
     } catch (error) {
       console.log('⚠️ Could not create notification:', error.message);
       return null;
@@ -0,0 +1,203 @@
+// ============================================
+// FILE: utils/push.js
+// Push senders shared by the mobile / push routes and the notification
+// outbox (services/notification-delivery.service.js):
+// FCM for Android device tokens and web-push for browser subscriptions.
+// A sender returns null when its credentials aren't set. Errors for
+// tokens / subscriptions that no longer exist carry `expired: true`.
+// ============================================
+
+const fcmConfigured = () => Boolean(process.env.FIREBASE_SERVICE_ACCOUNT || process.env.FCM_SERVER_KEY);
+
+const webPushConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+const expiredError = (message) => {
+  const error = new Error(message);
+  error.expired = true;
+  return error;
+};
+
+// FCM V1 (Firebase Cloud Messaging) for Android
+// Uses Service Account authentication (new method)
+async function sendFCM(token, notification) {
+  try {
+    // Try FCM V1 first (recommended)
+    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+    if (serviceAccountJson) {
+      return await sendFCMv1(token, notification, serviceAccountJson);
+    }
+
+    // Fallback to legacy if configured
+    const FCM_SERVER_KEY = process.env.FCM_SERVER_KEY;
+    if (FCM_SERVER_KEY) {
+      return await sendFCMLegacy(token, notification, FCM_SERVER_KEY);
+    }
+
+    console.log('FCM not configured, skipping Android push');
+    return null;
+  } catch (error) {
+    console.error('FCM send error:', error.message);
+    throw error;
+  }
+}
+
+// FCM V1 API (New method with Service Account)
+async function sendFCMv1(token, notification, serviceAccountJson) {
+  const jwt = require('jsonwebtoken');
+
+  let serviceAccount;
+  try {
+    serviceAccount = typeof serviceAccountJson === 'string'
+      ? JSON.parse(serviceAccountJson)
+      : serviceAccountJson;
+  } catch (e) {
+    throw new Error('Invalid FIREBASE_SERVICE_ACCOUNT JSON');
+  }
+
+  const projectId = serviceAccount.project_id;
+
+  // Create JWT for authentication
+  const now = Math.floor(Date.now() / 1000);
+  const jwtPayload = {
+    iss: serviceAccount.client_email,
+    sub: serviceAccount.client_email,
+    aud: 'https://oauth2.googleapis.com/token',
+    iat: now,
+    exp: now + 3600,
+    scope: 'https://www.googleapis.com/auth/firebase.messaging'
+  };
+
+  const signedJwt = jwt.sign(jwtPayload, serviceAccount.private_key, { algorithm: 'RS256' });
+
+  // Get access token
+  const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `grant_type=urn:ietf:params:oauth:grant-type:jwt-bearer&assertion=${signedJwt}`
+  });
+
+  const tokenData = await tokenResponse.json();
+
+  if (!tokenData.access_token) {
+    throw new Error('Failed to get FCM access token');
+  }
+
+  // Send notification via FCM V1
+  const fcmResponse = await fetch(
+    `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${tokenData.access_token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        message: {
+          token: token,
+          notification: {
+            title: notification.title,
+            body: notification.body
+          },
+          android: {
+            notification: {
+              icon: notification.icon || 'ic_notification',
+              color: '#7c3aed',
+              click_action: notification.clickAction || 'OPEN_APP'
+            }
+          },
+          data: notification.data ?
+            Object.fromEntries(Object.entries(notification.data).map(([k, v]) => [k, String(v)]))
+            : {}
+        }
+      })
+    }
+  );
+
+  const result = await fcmResponse.json();
+
+  if (result.error) {
+    const message = result.error.message || 'FCM V1 send failed';
+    // UNREGISTERED / NOT_FOUND: the app was uninstalled or the token rotated
+    const codes = [result.error.status, ...(result.error.details || []).map(d => d.errorCode)];
+    if (codes.includes('UNREGISTERED') || codes.includes('NOT_FOUND')) throw expiredError(message);
+    throw new Error(message);
+  }
+
+  console.log('✅ FCM V1 notification sent:', result.name);
+  return result;
+}
+
+// FCM Legacy API (Deprecated but may still work for some)
+async function sendFCMLegacy(token, notification, serverKey) {
+  const response = await fetch('https://fcm.googleapis.com/fcm/send', {
+    method: 'POST',
+    headers: {
+      'Authorization': `key=${serverKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      to: token,
+      notification: {
+        title: notification.title,
+        body: notification.body,
+        icon: notification.icon || 'ic_notification',
+        color: '#7c3aed',
+        click_action: notification.clickAction || 'OPEN_APP'
+      },
+      data: notification.data || {}
+    })
+  });
+
+  const result = await response.json();
+
+  if (result.failure > 0) {
+    const message = result.results?.[0]?.error || 'FCM Legacy send failed';
+    if (message === 'NotRegistered' || message === 'InvalidRegistration') throw expiredError(message);
+    throw new Error(message);
+  }
+
+  return result;
+}
+
+// Web Push - `subscription` is a PushSubscription ({ endpoint, keys }) or its JSON
+async function sendWebPush(subscription, notification) {
+  const webPush = require('web-push');
+
+  if (!webPushConfigured()) {
+    console.log('Web push not configured');
+    return null;
+  }
+
+  webPush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:support@cybev.io',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+
+  const payload = JSON.stringify({
+    title: notification.title,
+    body: notification.body,
+    icon: notification.icon || '/icon-192.png',
+    badge: notification.badge || '/badge-72.png',
+    url: notification.url,
+    tag: notification.tag,
+    data: notification.data || {}
+  });
+
+  const target = typeof subscription === 'string' ? JSON.parse(subscription) : subscription;
+  try {
+    return await webPush.sendNotification({ endpoint: target.endpoint, keys: target.keys }, payload);
+  } catch (error) {
+    // 404 / 410: the browser dropped the subscription
+    if (error.statusCode === 404 || error.statusCode === 410) throw expiredError(error.body || error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  fcmConfigured,
+  webPushConfigured,
+  sendFCM,
+  sendWebPush
+};
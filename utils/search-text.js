@@ -0,0 +1,140 @@
+// ============================================
+// FILE: utils/search-text.js
+// Text helpers for the search index (services/search.service.js):
+// tokenising, a light English stemmer, edit distance for typo
+// tolerance, and highlighted snippets.
+// ============================================
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'so', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const MAX_TOKEN_LENGTH = 40;
+
+/**
+ * Lower-case and drop accents ("Café" -> "cafe")
+ */
+const normalize = (text) => String(text || '').normalize('NFKD').replace(/[̀-ͯ]/g, '').toLowerCase();
+
+const stripHtml = (html) => String(html || '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Suffix stripping just strong enough that "prayers" finds "prayer"
+ * and "blessed" finds "bless"; anything it misses is usually within
+ * the typo tolerance.
+ */
+const stem = (token) => {
+  if (token.length <= 3 || /^\d+$/.test(token)) return token;
+  if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('sses')) return token.slice(0, -2);
+  if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 4) return token.slice(0, -2);
+  if (token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Words of `text` as { term, surface }; `term` is what gets indexed
+ */
+const tokenize = (text, { keepStopwords = false } = {}) => {
+  const words = normalize(text).match(WORD) || [];
+  return words
+    .filter(word => word.length <= MAX_TOKEN_LENGTH && (keepStopwords || !STOPWORDS.has(word)))
+    .map(word => ({ term: stem(word), surface: word }));
+};
+
+/**
+ * Optimal-string-alignment distance, giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * HTML-escaped excerpt of `text` around the first matching word, with
+ * matches wrapped in <mark>. `matches(word)` gets the normalised word.
+ * Returns null when `text` is empty.
+ */
+const highlight = (text, matches, { length = 0 } = {}) => {
+  const plain = stripHtml(text);
+  if (!plain) return null;
+
+  const hits = [];
+  for (const match of plain.matchAll(WORD)) {
+    if (matches(normalize(match[0]))) hits.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  let from = 0;
+  let to = plain.length;
+  if (length && plain.length > length) {
+    const anchor = hits.length ? hits[0].start : 0;
+    from = Math.max(0, anchor - Math.floor(length / 4));
+    // Start on a word boundary
+    if (from > 0) {
+      const space = plain.indexOf(' ', from);
+      from = space !== -1 && space < anchor ? space + 1 : from;
+    }
+    to = Math.min(plain.length, from + length);
+  }
+
+  let out = from > 0 ? '…' : '';
+  let cursor = from;
+  for (const hit of hits) {
+    if (hit.start < from || hit.end > to) continue;
+    out += escapeHtml(plain.slice(cursor, hit.start)) + `<mark>${escapeHtml(plain.slice(hit.start, hit.end))}</mark>`;
+    cursor = hit.end;
+  }
+  out += escapeHtml(plain.slice(cursor, to));
+  if (to < plain.length) out += '…';
+  return out;
+};
+
+module.exports = {
+  STOPWORDS,
+  normalize,
+  stripHtml,
+  stem,
+  tokenize,
+  editDistance,
+  escapeHtml,
+  highlight
+};
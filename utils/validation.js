@@ -0,0 +1,348 @@
+// ============================================
+// FILE: utils/validation.js
+// Request schema types
+// VERSION: 1.0
+// Field builders used with middleware/validate.js:
+//
+//   const { v, pagination } = require('../utils/validation');
+//   router.get('/', validate({
+//     query: { q: v.search({ required: true, min: 2 }), type: v.enum(['all', 'users']), ...pagination() }
+//   }), handler);
+//
+// Every builder takes { required, default } plus its own options.
+// Query strings arrive as text, so numbers / booleans / arrays are
+// coerced. Values of the wrong shape (e.g. `?q[$ne]=x`) are rejected
+// instead of reaching a query.
+// ============================================
+
+const mongoose = require('mongoose');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Escape user text so it matches literally inside a RegExp / $regex
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive RegExp that matches `text` literally
+ * (anchored with { exact: true } or { prefix: true })
+ */
+const literalRegex = (text, { exact = false, prefix = false } = {}) => {
+  const escaped = escapeRegex(text);
+  const source = exact ? `^${escaped}$` : prefix ? `^${escaped}` : escaped;
+  return new RegExp(source, 'i');
+};
+
+class FieldError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FieldError';
+  }
+}
+
+const fail = (message) => { throw new FieldError(message); };
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Wrap a coercion function with the options every field shares
+ */
+const field = (kind, coerce, options = {}) => ({
+  kind,
+  options,
+  parse(value, path) {
+    if (isEmpty(value)) {
+      if (options.default !== undefined) {
+        return typeof options.default === 'function' ? options.default() : options.default;
+      }
+      if (options.required) fail('is required');
+      // Explicit clears (`bio: ''`, `website: null`) reach the handler as sent
+      if (value === null) return null;
+      return value === '' && kind === 'string' ? '' : undefined;
+    }
+    return coerce(value, path);
+  }
+});
+
+const checkLength = (value, { min, max }, unit) => {
+  if (min !== undefined && value.length < min) fail(`must be at least ${min} ${unit}`);
+  if (max !== undefined && value.length > max) fail(`must be at most ${max} ${unit}`);
+};
+
+const checkRange = (value, { min, max, clamp }) => {
+  if (min !== undefined && value < min) {
+    if (clamp) return min;
+    fail(`must be at least ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    if (clamp) return max;
+    fail(`must be at most ${max}`);
+  }
+  return value;
+};
+
+const v = {
+  string(options = {}) {
+    const { trim = true, lowercase = false, pattern, enum: allowed } = options;
+    return field('string', (value) => {
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') fail('must be a string');
+      if (trim) value = value.trim();
+      if (lowercase) value = value.toLowerCase();
+      if (options.required && !value) fail('is required');
+      checkLength(value, options, 'characters');
+      if (pattern && !pattern.test(value)) fail(options.patternMessage || 'has an invalid format');
+      if (allowed && !allowed.includes(value)) fail(`must be one of: ${allowed.join(', ')}`);
+      return value;
+    }, options);
+  },
+
+  /**
+   * Free text that will be used in a regex query. The handler receives it
+   * escaped, so `{ $regex: q }` / `new RegExp(q, 'i')` match it literally.
+   * The text as typed is kept on req.searchText[field].
+   */
+  search(options = {}) {
+    return { ...v.string({ max: 100, ...options }), kind: 'search' };
+  },
+
+  int(options = {}) {
+    return field('int', (value) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) fail('must be a whole number');
+      return checkRange(number, options);
+    }, options);
+  },
+
+  number(options = {}) {
+    return field('number', (value) => {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) fail('must be a number');
+      return checkRange(number, options);
+    }, options);
+  },
+
+  boolean(options = {}) {
+    return field('boolean', (value) => {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return true;
+      if (['false', '0', 'no', 'off'].includes(text)) return false;
+      return fail('must be true or false');
+    }, options);
+  },
+
+  enum(values, options = {}) {
+    return v.string({ ...options, enum: values });
+  },
+
+  objectId(options = {}) {
+    return field('objectId', (value) => {
+      if (typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) fail('must be a valid id');
+      const text = String(value).trim();
+      if (!mongoose.Types.ObjectId.isValid(text) || !/^[a-f0-9]{24}$/i.test(text)) fail('must be a valid id');
+      return text;
+    }, options);
+  },
+
+  email(options = {}) {
+    return v.string({
+      max: 254,
+      ...options,
+      lowercase: true,
+      format: 'email',
+      pattern: EMAIL_PATTERN,
+      patternMessage: 'must be a valid email address'
+    });
+  },
+
+  url(options = {}) {
+    return field('url', (value) => {
+      if (typeof value !== 'string') fail('must be a URL');
+      const text = value.trim();
+      let parsed;
+      try {
+        parsed = new URL(text);
+      } catch (error) {
+        fail('must be a valid URL');
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) fail('must be an http(s) URL');
+      checkLength(text, { max: options.max || 2048 }, 'characters');
+      return text;
+    }, options);
+  },
+
+  date(options = {}) {
+    return field('date', (value) => {
+      const date = value instanceof Date ? value : new Date(typeof value === 'string' ? value.trim() : value);
+      if (Number.isNaN(date.getTime())) fail('must be a valid date');
+      if (options.min && date < options.min) fail(`must be after ${options.min.toISOString()}`);
+      if (options.max && date > options.max) fail(`must be before ${options.max.toISOString()}`);
+      return date;
+    }, options);
+  },
+
+  /**
+   * Array of `item`. In query strings `?tags=a,b` and `?tags=a&tags=b` both work.
+   */
+  array(item, options = {}) {
+    const schema = field('array', (value, path) => {
+      if (typeof value === 'string') value = value.split(',').map(part => part.trim()).filter(Boolean);
+      if (!Array.isArray(value)) fail('must be a list');
+      checkLength(value, options, 'items');
+      return value.map((entry, index) => parseField(item, entry, `${path}[${index}]`));
+    }, options);
+    return { ...schema, item };
+  },
+
+  object(shape, options = {}) {
+    const schema = field('object', (value, path) => {
+      if (typeof value !== 'object' || Array.isArray(value)) fail('must be an object');
+      return parseShape(shape, value, path, options);
+    }, options);
+    return { ...schema, shape };
+  },
+
+  /**
+   * Anything, unchecked (documents a field the handler validates itself)
+   */
+  any(options = {}) {
+    return field('any', (value) => value, options);
+  }
+};
+
+/**
+ * Standard page / limit pair. `limit` above the maximum is clamped
+ * rather than rejected so existing clients keep working.
+ */
+const pagination = ({ defaultLimit = 20, maxLimit = 100 } = {}) => ({
+  page: v.int({ min: 1, default: 1 }),
+  limit: v.int({ min: 1, max: maxLimit, clamp: true, default: defaultLimit })
+});
+
+// ==========================================
+// DESCRIBING (OpenAPI / JSON Schema)
+// ==========================================
+
+/**
+ * JSON Schema for one field builder (used by services/openapi.service.js)
+ */
+const toJsonSchema = (schema) => {
+  const { kind, options = {} } = schema;
+  const out = {};
+
+  switch (kind) {
+    case 'string':
+    case 'search':
+      out.type = 'string';
+      if (options.min !== undefined) out.minLength = options.min;
+      if (options.max !== undefined) out.maxLength = options.max;
+      if (options.enum) out.enum = options.enum;
+      if (options.format) out.format = options.format;
+      else if (options.pattern) out.pattern = options.pattern.source;
+      if (kind === 'search') out.description = 'Matched literally (regex characters are escaped)';
+      break;
+    case 'int':
+    case 'number':
+      out.type = kind === 'int' ? 'integer' : 'number';
+      if (options.min !== undefined) out.minimum = options.min;
+      if (options.max !== undefined) out.maximum = options.max;
+      break;
+    case 'boolean':
+      out.type = 'boolean';
+      break;
+    case 'objectId':
+      out.type = 'string';
+      out.pattern = '^[a-f0-9]{24}$';
+      break;
+    case 'url':
+      out.type = 'string';
+      out.format = 'uri';
+      break;
+    case 'date':
+      out.type = 'string';
+      out.format = 'date-time';
+      break;
+    case 'array':
+      out.type = 'array';
+      out.items = toJsonSchema(schema.item);
+      if (options.min !== undefined) out.minItems = options.min;
+      if (options.max !== undefined) out.maxItems = options.max;
+      break;
+    case 'object':
+      Object.assign(out, shapeToJsonSchema(schema.shape));
+      break;
+    default:
+      break;
+  }
+
+  if (options.default !== undefined && typeof options.default !== 'function') out.default = options.default;
+  return out;
+};
+
+const shapeToJsonSchema = (shape = {}) => {
+  const properties = {};
+  const required = [];
+  for (const [key, schema] of Object.entries(shape)) {
+    properties[key] = toJsonSchema(schema);
+    if (schema.options?.required) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length ? { required } : {}) };
+};
+
+// ==========================================
+// PARSING
+// ==========================================
+
+class SchemaError extends Error {
+  constructor(errors) {
+    super('Validation failed');
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+function parseField(schema, value, path) {
+  try {
+    return schema.parse(value, path);
+  } catch (error) {
+    if (error instanceof FieldError) throw new SchemaError([{ field: path, message: error.message }]);
+    throw error;
+  }
+}
+
+/**
+ * Parse `input` against `shape`, collecting every invalid field.
+ * Unknown keys are kept unless `strip` is set.
+ */
+function parseShape(shape, input = {}, prefix = '', { strip = false } = {}) {
+  const output = strip ? {} : { ...input };
+  const errors = [];
+
+  for (const [key, schema] of Object.entries(shape)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    try {
+      const value = parseField(schema, input[key], path);
+      if (value === undefined) delete output[key];
+      else output[key] = value;
+    } catch (error) {
+      if (error instanceof SchemaError) errors.push(...error.errors);
+      else throw error;
+    }
+  }
+
+  if (errors.length) throw new SchemaError(errors);
+  return output;
+}
+
+module.exports = {
+  v,
+  pagination,
+  parseShape,
+  toJsonSchema,
+  shapeToJsonSchema,
+  escapeRegex,
+  literalRegex,
+  SchemaError
+};